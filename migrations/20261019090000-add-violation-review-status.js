@@ -0,0 +1,29 @@
+module.exports = {
+  /**
+   * Existing violations were published without review, so mark them as published
+   * to keep them visible once public queries only return published records.
+   * @param db {import('mongodb').Db}
+   * @returns {Promise<void>}
+   */
+  async up(db) {
+    const result = await db.collection('violations').updateMany(
+      { review_status: { $exists: false } },
+      { $set: { review_status: 'published' } }
+    );
+
+    console.log(`Set review_status to published on ${result.modifiedCount} violations`);
+  },
+
+  /**
+   * @param db {import('mongodb').Db}
+   * @returns {Promise<void>}
+   */
+  async down(db) {
+    const result = await db.collection('violations').updateMany(
+      {},
+      { $unset: { review_status: '', reviewed_by: '', reviewed_at: '', review_notes: '' } }
+    );
+
+    console.log(`Removed review fields from ${result.modifiedCount} violations`);
+  }
+};
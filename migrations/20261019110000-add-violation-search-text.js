@@ -0,0 +1,62 @@
+const { buildSearchText } = require('../src/utils/searchText');
+
+const BATCH_SIZE = 500;
+
+module.exports = {
+  /**
+   * Fill search_text on existing violations so they are found by
+   * GET /api/violations/search. The text index itself is built by Mongoose.
+   * @param db {import('mongodb').Db}
+   * @returns {Promise<void>}
+   */
+  async up(db) {
+    const collection = db.collection('violations');
+    const cursor = collection.find(
+      {},
+      { projection: { description: 1, location: 1, perpetrator: 1, tags: 1 } }
+    );
+
+    let operations = [];
+    let updated = 0;
+
+    for await (const violation of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { _id: violation._id },
+          update: { $set: { search_text: buildSearchText(violation) } }
+        }
+      });
+
+      if (operations.length === BATCH_SIZE) {
+        await collection.bulkWrite(operations, { ordered: false });
+        updated += operations.length;
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await collection.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+    }
+
+    console.log(`Built search_text for ${updated} violations`);
+  },
+
+  /**
+   * @param db {import('mongodb').Db}
+   * @returns {Promise<void>}
+   */
+  async down(db) {
+    const collection = db.collection('violations');
+
+    try {
+      await collection.dropIndex('violation_text_search');
+    } catch (error) {
+      console.log(`Text index not dropped: ${error.message}`);
+    }
+
+    const result = await collection.updateMany({}, { $unset: { search_text: '' } });
+
+    console.log(`Removed search_text from ${result.modifiedCount} violations`);
+  }
+};
@@ -0,0 +1,60 @@
+// Days an entry that is not pinned stays in the cache (see models/GeocodingCache)
+const CACHE_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+module.exports = {
+  /**
+   * Replace the TTL index of the geocoding cache with one that skips pinned entries.
+   * Existing entries are left unpinned, except manual ones (pins dropped by editors).
+   * @param db {import('mongodb').Db}
+   * @returns {Promise<void>}
+   */
+  async up(db) {
+    const collection = db.collection('geocodingcaches');
+
+    const manual = await collection.updateMany(
+      { pinned: { $exists: false }, source: 'manual' },
+      { $set: { pinned: true } }
+    );
+    const others = await collection.updateMany(
+      { pinned: { $exists: false } },
+      { $set: { pinned: false } }
+    );
+
+    try {
+      await collection.dropIndex('createdAt_1');
+    } catch (error) {
+      console.log(`Old TTL index not dropped: ${error.message}`);
+    }
+
+    await collection.createIndex(
+      { createdAt: 1 },
+      {
+        name: 'geocoding_cache_ttl',
+        expireAfterSeconds: CACHE_TTL_SECONDS,
+        partialFilterExpression: { pinned: false }
+      }
+    );
+
+    console.log(`Pinned ${manual.modifiedCount} manual cache entries, ${others.modifiedCount} entries left to expire`);
+  },
+
+  /**
+   * @param db {import('mongodb').Db}
+   * @returns {Promise<void>}
+   */
+  async down(db) {
+    const collection = db.collection('geocodingcaches');
+
+    try {
+      await collection.dropIndex('geocoding_cache_ttl');
+    } catch (error) {
+      console.log(`TTL index not dropped: ${error.message}`);
+    }
+
+    await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: CACHE_TTL_SECONDS });
+
+    const result = await collection.updateMany({}, { $unset: { pinned: '', aliases: '' } });
+
+    console.log(`Removed pinning and aliases from ${result.modifiedCount} cache entries`);
+  }
+};
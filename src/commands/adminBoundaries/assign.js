@@ -0,0 +1,112 @@
+const AdminBoundary = require('../../models/AdminBoundary');
+const Violation = require('../../models/Violation');
+const { ADMIN_LEVELS } = require('../../config/adminBoundaries');
+const logger = require('../../config/logger');
+const { isValidPoint } = require('../../utils/geometry');
+const { updateViolationsWithRevisions } = require('../violations/history');
+
+/**
+ * Find the canonical admin codes of a point from the loaded boundaries
+ * @param {Array<Number>} coordinates - Point coordinates [longitude, latitude]
+ * @returns {Promise<Object>} - { governorate, district, sub_district }, null where unknown
+ */
+const resolveAdminCodes = async (coordinates) => {
+  if (!isValidPoint(coordinates)) {
+    return AdminBoundary.codesOf(null);
+  }
+
+  const boundaries = await AdminBoundary.find({
+    geometry: { $geoIntersects: { $geometry: { type: 'Point', coordinates } } }
+  })
+    .select('code level governorate district')
+    .lean();
+
+  // The smallest unit containing the point carries the codes of its parents too
+  const deepest = boundaries.reduce((best, boundary) => (
+    !best || ADMIN_LEVELS.indexOf(boundary.level) > ADMIN_LEVELS.indexOf(best.level) ? boundary : best
+  ), null);
+
+  return AdminBoundary.codesOf(deepest);
+};
+
+// Whether two sets of admin codes are the same (null when outside every boundary)
+const sameAdminCodes = (a, b) => (
+  ['governorate', 'district', 'sub_district'].every(level => ((a && a[level]) || null) === ((b && b[level]) || null))
+);
+
+/**
+ * Recompute the admin codes of all violations from their coordinates. Violations are
+ * matched against every boundary from governorates down, so the codes of the smallest
+ * unit containing a violation win. The codes are worked out first and only those that
+ * changed are written (with a revision for each violation), so filters on admin codes
+ * keep working while this runs; violations outside every boundary are left without codes.
+ * @param {String} userId - User ID recomputing the codes (none when run from a script)
+ * @returns {Promise<Object>} - { boundaries, assigned, unassigned, updated }
+ */
+const assignAdminCodes = async (userId) => {
+  const codesByViolation = new Map();
+  let boundaries = 0;
+
+  for (const level of ADMIN_LEVELS) {
+    // Boundaries are streamed so only one polygon is in memory at a time
+    const cursor = AdminBoundary.find({ level })
+      .select('code level governorate district geometry')
+      .lean()
+      .cursor();
+
+    for await (const boundary of cursor) {
+      const codes = AdminBoundary.codesOf(boundary);
+      const violations = await Violation.find({
+        'location.coordinates': { $geoWithin: { $geometry: boundary.geometry } }
+      })
+        .select('_id')
+        .lean();
+
+      violations.forEach(violation => codesByViolation.set(violation._id.toString(), codes));
+      boundaries++;
+    }
+  }
+
+  // Violations whose codes changed, grouped by their new codes so each group is one update
+  const changed = new Map();
+  const violations = Violation.find({}).select('admin_codes').lean().cursor();
+
+  for await (const violation of violations) {
+    const codes = codesByViolation.get(violation._id.toString()) || null;
+
+    if (!sameAdminCodes(violation.admin_codes, codes)) {
+      const key = JSON.stringify(codes);
+      if (!changed.has(key)) changed.set(key, { codes, ids: [] });
+      changed.get(key).ids.push(violation._id);
+    }
+  }
+
+  let updated = 0;
+
+  for (const { codes, ids } of changed.values()) {
+    updated += await updateViolationsWithRevisions(
+      { _id: { $in: ids } },
+      { $set: { admin_codes: codes } },
+      { userId, reason: 'Admin codes recomputed from the loaded boundaries' }
+    );
+  }
+
+  const [assigned, total] = await Promise.all([
+    Violation.countDocuments({ 'admin_codes.governorate': { $ne: null } }),
+    Violation.countDocuments({})
+  ]);
+
+  logger.info('Admin codes of violations recomputed', { boundaries, assigned, unassigned: total - assigned, updated });
+
+  return {
+    boundaries,
+    assigned,
+    unassigned: total - assigned,
+    updated
+  };
+};
+
+module.exports = {
+  resolveAdminCodes,
+  assignAdminCodes
+};
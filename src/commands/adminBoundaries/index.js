@@ -0,0 +1,36 @@
+/**
+ * Administrative Boundary Commands
+ *
+ * This module exports the commands for the administrative boundary reference data
+ * and the assignment of canonical admin codes to violations.
+ */
+
+// Loading reference data
+const { buildBoundary, loadAdminBoundaries } = require('./load');
+
+// Query operations
+const {
+  buildAdminBoundaryFilterQuery,
+  getAdminBoundaries,
+  getAdminBoundaryByCode,
+  getAdminBoundaryNames
+} = require('./query');
+
+// Violation assignment
+const { resolveAdminCodes, assignAdminCodes } = require('./assign');
+
+module.exports = {
+  // Load
+  buildBoundary,
+  loadAdminBoundaries,
+
+  // Query
+  buildAdminBoundaryFilterQuery,
+  getAdminBoundaries,
+  getAdminBoundaryByCode,
+  getAdminBoundaryNames,
+
+  // Assignment
+  resolveAdminCodes,
+  assignAdminCodes
+};
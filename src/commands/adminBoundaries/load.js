@@ -0,0 +1,135 @@
+const AdminBoundary = require('../../models/AdminBoundary');
+const { ADMIN_LEVELS } = require('../../config/adminBoundaries');
+const logger = require('../../config/logger');
+
+/**
+ * Read an administrative unit from the properties of a COD-AB feature. Both the current
+ * (ADM2_PCODE, ADM2_EN, ADM2_AR) and the older HDX (admin2Pcode, admin2Name_en)
+ * property names are supported.
+ * @param {Object} properties - Feature properties
+ * @param {Number} number - Administrative level number (1 = governorate)
+ * @returns {Object} - { code, en, ar }
+ */
+const readUnit = (properties, number) => ({
+  code: String(properties[`ADM${number}_PCODE`] || properties[`admin${number}Pcode`] || '').trim().toUpperCase() || null,
+  en: properties[`ADM${number}_EN`] || properties[`admin${number}Name_en`] || '',
+  ar: properties[`ADM${number}_AR`] || properties[`admin${number}Name_ar`] || ''
+});
+
+/**
+ * Build an admin boundary from a COD-AB GeoJSON feature. The level is the deepest
+ * administrative level with a place code in the feature properties.
+ * @param {Object} feature - GeoJSON feature
+ * @param {String} source - Dataset name stored on the boundary
+ * @returns {Object} - Boundary data
+ */
+const buildBoundary = (feature, source) => {
+  const properties = feature.properties || {};
+  const units = ADMIN_LEVELS.map((level, index) => readUnit(properties, index + 1));
+  const depth = units.map(unit => Boolean(unit.code)).lastIndexOf(true);
+
+  if (depth === -1) {
+    throw new Error('Feature has no administrative place code');
+  }
+
+  const unit = units[depth];
+  const level = ADMIN_LEVELS[depth];
+
+  return {
+    code: unit.code,
+    level,
+    name: { en: unit.en, ar: unit.ar },
+    parent: depth > 0 ? units[depth - 1].code : null,
+    governorate: units[0].code || unit.code.slice(0, 4),
+    district: depth > 0 ? (units[1].code || unit.code.slice(0, 6)) : null,
+    geometry: feature.geometry,
+    source
+  };
+};
+
+/**
+ * Load administrative boundaries from a COD-AB GeoJSON FeatureCollection. Boundaries are
+ * upserted by place code, so a dataset can be reloaded to pick up corrections.
+ * @param {Object} featureCollection - GeoJSON FeatureCollection of one or more levels
+ * @param {Object} options - Load options
+ * @param {String} options.source - Dataset name stored on each boundary
+ * @returns {Promise<Object>} - { loaded, levels, failed: [{ index, code, error }] }
+ */
+const loadAdminBoundaries = async (featureCollection, options = {}) => {
+  if (!featureCollection || !Array.isArray(featureCollection.features)) {
+    throw new Error('Administrative boundaries must be a GeoJSON FeatureCollection');
+  }
+
+  const source = options.source || '';
+  const operations = [];
+  const operationIndexes = [];
+  const failed = [];
+  const levels = {};
+
+  featureCollection.features.forEach((feature, index) => {
+    let boundary;
+
+    try {
+      boundary = buildBoundary(feature, source);
+    } catch (error) {
+      failed.push({ index, code: null, error: error.message });
+      return;
+    }
+
+    const validationError = new AdminBoundary(boundary).validateSync();
+
+    if (validationError) {
+      failed.push({ index, code: boundary.code, error: validationError.message });
+      return;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { code: boundary.code },
+        update: { $set: boundary },
+        upsert: true
+      }
+    });
+    operationIndexes.push({ index, code: boundary.code, level: boundary.level });
+  });
+
+  // MongoDB rejects polygons it cannot index (e.g. self-intersecting); report those per feature
+  const rejected = new Set();
+
+  if (operations.length > 0) {
+    try {
+      await AdminBoundary.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+
+      [].concat(error.writeErrors).forEach(writeError => {
+        const { index, code } = operationIndexes[writeError.index];
+        rejected.add(writeError.index);
+        failed.push({ index, code, error: writeError.errmsg || writeError.message });
+      });
+    }
+  }
+
+  operationIndexes.forEach(({ level }, position) => {
+    if (!rejected.has(position)) {
+      levels[level] = (levels[level] || 0) + 1;
+    }
+  });
+
+  const loaded = operations.length - rejected.size;
+
+  logger.info('Administrative boundaries loaded', { source, loaded, levels, failed: failed.length });
+
+  return {
+    loaded,
+    levels,
+    failed: failed.sort((a, b) => a.index - b.index)
+  };
+};
+
+module.exports = {
+  buildBoundary,
+  loadAdminBoundaries
+};
@@ -0,0 +1,78 @@
+const AdminBoundary = require('../../models/AdminBoundary');
+const { GOVERNORATES } = require('../../config/adminBoundaries');
+const { escapeRegExp } = require('../../utils/textNormalizer');
+
+/**
+ * Build filter query based on query parameters
+ * @param {Object} queryParams - Request query parameters
+ * @returns {Object} Mongoose query object
+ */
+const buildAdminBoundaryFilterQuery = (queryParams) => {
+  const query = {};
+
+  if (queryParams.level) {
+    query.level = queryParams.level;
+  }
+
+  // Units directly inside a governorate or district
+  if (queryParams.parent) {
+    query.parent = queryParams.parent.toUpperCase();
+  }
+
+  if (queryParams.name) {
+    const name = new RegExp(escapeRegExp(queryParams.name.trim()), 'i');
+    query.$or = [{ 'name.en': name }, { 'name.ar': name }];
+  }
+
+  return query;
+};
+
+/**
+ * List administrative boundaries without their polygons, ordered by code
+ * @param {Object} queryParams - Query parameters for filtering (level, parent, name)
+ * @returns {Promise<Array>} - Boundaries
+ */
+const getAdminBoundaries = async (queryParams = {}) => {
+  return AdminBoundary.find(buildAdminBoundaryFilterQuery(queryParams))
+    .select('-geometry')
+    .sort({ code: 1 })
+    .lean();
+};
+
+/**
+ * Get an administrative boundary by place code, including its polygon
+ * @param {String} code - Place code (e.g. SY0200)
+ * @returns {Promise<Object|null>} - Boundary, or null if not found
+ */
+const getAdminBoundaryByCode = async (code) => {
+  return AdminBoundary.findOne({ code: String(code).toUpperCase() }).lean();
+};
+
+/**
+ * Get the bilingual names of place codes. Governorates fall back to the built-in list
+ * when the boundary dataset has not been loaded.
+ * @param {Array<String>} codes - Place codes
+ * @returns {Promise<Object>} - Map of code to { en, ar }
+ */
+const getAdminBoundaryNames = async (codes) => {
+  const uniqueCodes = [...new Set(codes.filter(Boolean))];
+  const names = {};
+
+  GOVERNORATES
+    .filter(governorate => uniqueCodes.includes(governorate.code))
+    .forEach(governorate => { names[governorate.code] = governorate.name; });
+
+  if (uniqueCodes.length > 0) {
+    const boundaries = await AdminBoundary.find({ code: { $in: uniqueCodes } }).select('code name').lean();
+    boundaries.forEach(boundary => { names[boundary.code] = { en: boundary.name.en, ar: boundary.name.ar }; });
+  }
+
+  return names;
+};
+
+module.exports = {
+  buildAdminBoundaryFilterQuery,
+  getAdminBoundaries,
+  getAdminBoundaryByCode,
+  getAdminBoundaryNames
+};
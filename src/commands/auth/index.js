@@ -0,0 +1,36 @@
+/**
+ * Auth Commands
+ *
+ * This module exports all commands managing login sessions: short lived access tokens,
+ * the rotating refresh tokens behind them and their revocation. These commands
+ * encapsulate business logic and can be used by controllers, middleware, CLI tools,
+ * or any other part of the application.
+ */
+
+// Session and revocation operations
+const {
+  createRefreshToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeRefreshTokenFamily,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  revokeRefreshTokensForUser,
+  revokeUserSessions
+} = require('./sessions');
+
+module.exports = {
+  // Sessions
+  createRefreshToken,
+  issueSession,
+  rotateRefreshToken,
+
+  // Revocation
+  revokeRefreshToken,
+  revokeRefreshTokenFamily,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  revokeRefreshTokensForUser,
+  revokeUserSessions
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const RevokedToken = require('../../models/RevokedToken');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const config = require('../../config/config');
+
+/**
+ * Create a refresh token for a user. Only its hash is stored, the token itself is
+ * returned once to be handed to the client.
+ * @param {Object} user - User document
+ * @param {Object} client - Client the token is issued to
+ * @param {String} client.ip - IP address
+ * @param {String} client.userAgent - User agent
+ * @param {String} family - Session the token continues; a new session when not given
+ * @returns {Promise<Object>} - { token, refreshToken } token and stored document
+ */
+const createRefreshToken = async (user, client = {}, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  const refreshToken = await RefreshToken.create({
+    user: user._id,
+    tokenHash: RefreshToken.hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + config.refreshTokenExpireDays * 24 * 60 * 60 * 1000),
+    createdByIp: client.ip,
+    userAgent: client.userAgent
+  });
+
+  return { token, refreshToken };
+};
+
+// Tokens handed to the client, with the time each of them expires
+const toSession = (token, refreshToken, stored) => ({
+  token,
+  tokenExpires: new Date(jwt.decode(token).exp * 1000),
+  refreshToken,
+  refreshTokenExpires: stored.expiresAt
+});
+
+/**
+ * Start a session for a user who logged in: a short lived access token and a refresh token
+ * @param {Object} user - User document
+ * @param {Object} client - Client the session is for ({ ip, userAgent })
+ * @returns {Promise<Object>} - { token, tokenExpires, refreshToken, refreshTokenExpires }
+ */
+const issueSession = async (user, client = {}) => {
+  const token = user.getSignedJwtToken();
+  const { token: refreshToken, refreshToken: stored } = await createRefreshToken(user, client);
+
+  return toSession(token, refreshToken, stored);
+};
+
+/**
+ * Revoke every refresh token of a session
+ * @param {String} family - Session
+ * @param {String} reason - Why the session ends
+ * @returns {Promise<Number>} - Number of tokens revoked
+ */
+const revokeRefreshTokenFamily = async (family, reason) => {
+  const result = await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token. The used
+ * token is revoked; presenting it again ends the whole session, since it means the
+ * token was copied.
+ * @param {String} token - Refresh token
+ * @param {Object} client - Client asking ({ ip, userAgent })
+ * @returns {Promise<Object>} - { user, token, tokenExpires, refreshToken, refreshTokenExpires }
+ */
+const rotateRefreshToken = async (token, client = {}) => {
+  if (!token) {
+    throw new ErrorResponse('Refresh token is required', 401);
+  }
+
+  const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(token) });
+
+  if (!stored || stored.expiresAt < new Date()) {
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+
+  // Mark the token used in the same query that checks it, so two refreshes with the same
+  // token cannot both succeed
+  const used = stored.revokedAt
+    ? null
+    : await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+      { new: true }
+    );
+
+  if (!used) {
+    if (stored.revokedReason === 'rotated' || !stored.revokedAt) {
+      const revoked = await revokeRefreshTokenFamily(stored.family, 'reuse_detected');
+      logger.warn(`Refresh token reused for user ${stored.user}; session ended (${revoked} tokens revoked)`);
+    }
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+
+  const user = await User.findById(stored.user);
+
+  if (!user) {
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+
+  const accessToken = user.getSignedJwtToken();
+  const { token: nextToken, refreshToken: next } = await createRefreshToken(user, client, stored.family);
+
+  await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: next._id } });
+
+  return { user, ...toSession(accessToken, nextToken, next) };
+};
+
+/**
+ * Revoke a refresh token (logging out of its session)
+ * @param {String} token - Refresh token
+ * @param {String} reason - Why it is revoked
+ * @returns {Promise<Boolean>} - Whether a token was revoked
+ */
+const revokeRefreshToken = async (token, reason = 'logout') => {
+  if (!token) return false;
+
+  const result = await RefreshToken.updateOne(
+    { tokenHash: RefreshToken.hashToken(token), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Put an access token on the revocation list until it expires
+ * @param {Object} decoded - Verified token payload (jti, id, exp)
+ * @param {String} reason - Why it is revoked
+ * @returns {Promise<Boolean>} - Whether the token was listed
+ */
+const revokeAccessToken = async (decoded, reason = 'logout') => {
+  if (!decoded || !decoded.jti || !decoded.exp) return false;
+
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        user: decoded.id,
+        reason,
+        expiresAt: new Date(decoded.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+
+  return true;
+};
+
+/**
+ * Whether an access token is on the revocation list
+ * @param {String} jti - JWT ID
+ * @returns {Promise<Boolean>}
+ */
+const isAccessTokenRevoked = async (jti) => {
+  return Boolean(await RevokedToken.exists({ jti }));
+};
+
+/**
+ * Revoke the refresh tokens of every session of a user
+ * @param {String} userId - User ID
+ * @param {String} reason - Why the sessions end
+ * @returns {Promise<Number>} - Number of tokens revoked
+ */
+const revokeRefreshTokensForUser = async (userId, reason) => {
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * End every session of a user: access tokens already handed out stop working (the
+ * token version is bumped) and refresh tokens are revoked
+ * @param {String} userId - User ID
+ * @param {String} reason - Why the sessions end (logout_all, role_changed, password_changed)
+ * @returns {Promise<Object>} - { tokenVersion, refreshTokensRevoked }
+ */
+const revokeUserSessions = async (userId, reason = 'logout_all') => {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
+
+  if (!user) {
+    throw new ErrorResponse(`User not found with id of ${userId}`, 404);
+  }
+
+  const refreshTokensRevoked = await revokeRefreshTokensForUser(userId, reason);
+  logger.info(`Sessions of user ${userId} revoked (${reason}); ${refreshTokensRevoked} refresh tokens revoked`);
+
+  return { tokenVersion: user.tokenVersion, refreshTokensRevoked };
+};
+
+module.exports = {
+  createRefreshToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeRefreshTokenFamily,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  revokeRefreshTokensForUser,
+  revokeUserSessions
+};
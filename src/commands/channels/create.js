@@ -0,0 +1,43 @@
+const Channel = require('../../models/Channel');
+const logger = require('../../config/logger');
+
+// Channel fields that can be set through the API
+const CHANNEL_FIELDS = ['name', 'url', 'description', 'active', 'priority', 'language', 'filtering'];
+
+const pickChannelFields = (data = {}) => {
+  const picked = {};
+  CHANNEL_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
+  });
+  return picked;
+};
+
+/**
+ * Add a Telegram channel to the channels monitored by the scraper
+ * @param {Object} channelData - Channel data
+ * @param {String} userId - User ID creating the channel
+ * @returns {Promise<Object>} - Created channel
+ */
+const createChannel = async (channelData, userId) => {
+  const channel = await Channel.create({
+    ...pickChannelFields(channelData),
+    created_by: userId,
+    updated_by: userId
+  });
+
+  logger.info(`Telegram channel ${channel.name} added`, {
+    userId,
+    active: channel.active,
+    priority: channel.priority
+  });
+
+  return channel;
+};
+
+module.exports = {
+  CHANNEL_FIELDS,
+  pickChannelFields,
+  createChannel
+};
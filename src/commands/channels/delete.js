@@ -0,0 +1,26 @@
+const Channel = require('../../models/Channel');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+
+/**
+ * Remove a Telegram channel. Reports already scraped from it are kept, as is its
+ * scraping state, so the channel resumes where it stopped if it is added again.
+ * @param {String} channelId - Channel ID
+ * @param {String} userId - User ID performing the deletion
+ * @returns {Promise<Object>} - Deleted channel
+ */
+const deleteChannel = async (channelId, userId) => {
+  const channel = await Channel.findByIdAndDelete(channelId);
+
+  if (!channel) {
+    throw new ErrorResponse(`Channel not found with id of ${channelId}`, 404);
+  }
+
+  logger.info(`Telegram channel ${channel.name} deleted`, { userId });
+
+  return channel;
+};
+
+module.exports = {
+  deleteChannel
+};
@@ -0,0 +1,24 @@
+const TelegramScraper = require('../../services/TelegramScraper');
+const ErrorResponse = require('../../utils/errorResponse');
+const { getChannelById } = require('./query');
+
+/**
+ * Dry run of a channel: fetch its latest messages and report which ones the scraper
+ * would keep, without saving anything. Inactive channels can be tested too.
+ * @param {String} channelId - Channel ID
+ * @returns {Promise<Object>} - Accessibility, response time and the parsed messages
+ */
+const testChannel = async (channelId) => {
+  const channel = await getChannelById(channelId);
+
+  if (!channel) {
+    throw new ErrorResponse(`Channel not found with id of ${channelId}`, 404);
+  }
+
+  const scraper = new TelegramScraper();
+  return scraper.testChannel(channel.toObject());
+};
+
+module.exports = {
+  testChannel
+};
@@ -0,0 +1,101 @@
+const FilterDecision = require('../../models/FilterDecision');
+
+/**
+ * Build filter query based on query parameters
+ * @param {Object} queryParams - Request query parameters
+ * @returns {Object} Mongoose query object
+ */
+const buildFilterDecisionQuery = (queryParams) => {
+  const query = {};
+
+  if (queryParams.channel) {
+    query.channel = queryParams.channel;
+  }
+
+  if (queryParams.reason) {
+    query.reason = queryParams.reason;
+  }
+
+  if (queryParams.kept !== undefined) {
+    query.kept = String(queryParams.kept) === 'true';
+  }
+
+  if (queryParams.keyword) {
+    query.matchedKeywords = queryParams.keyword;
+  }
+
+  if (queryParams.startDate || queryParams.endDate) {
+    query.decidedAt = {};
+    if (queryParams.startDate) {
+      query.decidedAt.$gte = new Date(queryParams.startDate);
+    }
+    if (queryParams.endDate) {
+      query.decidedAt.$lte = new Date(queryParams.endDate);
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Get the filtering decisions taken on scraped messages, newest first
+ * @param {Object} queryParams - Query parameters for filtering
+ * @param {Object} paginationOptions - Pagination options
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getFilterDecisions = async (queryParams, paginationOptions = {}) => {
+  const query = buildFilterDecisionQuery(queryParams);
+
+  const paginateOptions = {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 20,
+    sort: paginationOptions.sort || '-decidedAt'
+  };
+
+  const result = await FilterDecision.paginate(query, paginateOptions);
+
+  return {
+    decisions: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
+    }
+  };
+};
+
+/**
+ * Count kept and dropped messages per channel and reason
+ * @param {Object} queryParams - Query parameters for filtering
+ * @returns {Promise<Array<Object>>} - { channel, total, kept, dropped, reasons: { reason: count } } per channel
+ */
+const getFilterStats = async (queryParams) => {
+  const rows = await FilterDecision.aggregate([
+    { $match: buildFilterDecisionQuery(queryParams) },
+    { $group: { _id: { channel: '$channel', reason: '$reason' }, count: { $sum: 1 }, kept: { $max: '$kept' } } },
+    { $sort: { '_id.channel': 1, '_id.reason': 1 } }
+  ]);
+
+  const byChannel = new Map();
+  rows.forEach(({ _id, count, kept }) => {
+    const stats = byChannel.get(_id.channel) || { channel: _id.channel, total: 0, kept: 0, dropped: 0, reasons: {} };
+    stats.total += count;
+    stats[kept ? 'kept' : 'dropped'] += count;
+    stats.reasons[_id.reason] = count;
+    byChannel.set(_id.channel, stats);
+  });
+
+  return [...byChannel.values()];
+};
+
+module.exports = {
+  buildFilterDecisionQuery,
+  getFilterDecisions,
+  getFilterStats
+};
@@ -0,0 +1,63 @@
+/**
+ * Telegram Channel Commands
+ *
+ * This module exports all commands managing the Telegram channels monitored by the
+ * scraper. These commands encapsulate business logic and can be used by controllers,
+ * queue workers, CLI tools, or any other part of the application.
+ */
+
+// Create operations
+const { createChannel } = require('./create');
+
+// Update operations
+const { updateChannel } = require('./update');
+
+// Delete operations
+const { deleteChannel } = require('./delete');
+
+// Query operations
+const {
+  buildChannelFilterQuery,
+  getChannels,
+  getChannelById
+} = require('./query');
+
+// Seeding from YAML
+const { seedChannels } = require('./seed');
+
+// Dry runs
+const { testChannel } = require('./dryRun');
+
+// Filtering decisions
+const {
+  buildFilterDecisionQuery,
+  getFilterDecisions,
+  getFilterStats
+} = require('./filterDecisions');
+
+module.exports = {
+  // Create
+  createChannel,
+
+  // Update
+  updateChannel,
+
+  // Delete
+  deleteChannel,
+
+  // Query
+  buildChannelFilterQuery,
+  getChannels,
+  getChannelById,
+
+  // Seeding
+  seedChannels,
+
+  // Dry runs
+  testChannel,
+
+  // Filtering decisions
+  buildFilterDecisionQuery,
+  getFilterDecisions,
+  getFilterStats
+};
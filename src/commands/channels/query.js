@@ -0,0 +1,77 @@
+const Channel = require('../../models/Channel');
+const { escapeRegExp } = require('../../utils/textNormalizer');
+
+/**
+ * Build filter query based on query parameters
+ * @param {Object} queryParams - Request query parameters
+ * @returns {Object} Mongoose query object
+ */
+const buildChannelFilterQuery = (queryParams) => {
+  const query = {};
+
+  if (queryParams.name) {
+    query.name = new RegExp(escapeRegExp(queryParams.name), 'i');
+  }
+
+  if (queryParams.active !== undefined) {
+    query.active = String(queryParams.active) === 'true';
+  }
+
+  if (queryParams.priority) {
+    query.priority = queryParams.priority;
+  }
+
+  if (queryParams.language) {
+    query.language = queryParams.language;
+  }
+
+  return query;
+};
+
+/**
+ * Get Telegram channels with pagination
+ * @param {Object} queryParams - Query parameters for filtering
+ * @param {Object} paginationOptions - Pagination options
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getChannels = async (queryParams, paginationOptions = {}) => {
+  const query = buildChannelFilterQuery(queryParams);
+
+  const paginateOptions = {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 10,
+    sort: paginationOptions.sort || 'name'
+  };
+
+  const result = await Channel.paginate(query, paginateOptions);
+
+  return {
+    channels: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
+    }
+  };
+};
+
+/**
+ * Get a Telegram channel by ID
+ * @param {String} channelId - Channel ID
+ * @returns {Promise<Object|null>} - Channel, or null if not found
+ */
+const getChannelById = async (channelId) => {
+  return Channel.findById(channelId);
+};
+
+module.exports = {
+  buildChannelFilterQuery,
+  getChannels,
+  getChannelById
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Channel = require('../../models/Channel');
+const logger = require('../../config/logger');
+const { pickChannelFields } = require('./create');
+
+const CHANNELS_SEED_PATH = path.join(__dirname, '../../config/telegram-channels.yaml');
+
+/**
+ * Add the channels listed in config/telegram-channels.yaml to the collection. Channels
+ * that already exist, matched by name, are left untouched so changes made through the
+ * API survive re-seeding.
+ * @param {String} userId - User ID performing the seed
+ * @returns {Promise<Object>} - { created, existing }
+ */
+const seedChannels = async (userId) => {
+  const { channels = [] } = yaml.load(fs.readFileSync(CHANNELS_SEED_PATH, 'utf8')) || {};
+  let created = 0;
+  let existing = 0;
+
+  for (const entry of channels) {
+    if (await Channel.exists({ name: entry.name })) {
+      existing++;
+      continue;
+    }
+
+    await Channel.create({
+      ...pickChannelFields(entry),
+      created_by: userId,
+      updated_by: userId
+    });
+    created++;
+  }
+
+  logger.info('Telegram channels seeded', { userId, created, existing });
+
+  return { created, existing };
+};
+
+module.exports = {
+  CHANNELS_SEED_PATH,
+  seedChannels
+};
@@ -0,0 +1,49 @@
+const Channel = require('../../models/Channel');
+const TelegramChannelState = require('../../models/TelegramChannelState');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { pickChannelFields } = require('./create');
+
+/**
+ * Update a Telegram channel. The scraper picks up the change on its next run.
+ * Filtering rules are merged, so a single rule can be changed on its own.
+ * @param {String} channelId - Channel ID
+ * @param {Object} channelData - Fields to update
+ * @param {String} userId - User ID performing the update
+ * @returns {Promise<Object>} - Updated channel
+ */
+const updateChannel = async (channelId, channelData, userId) => {
+  const channel = await Channel.findById(channelId);
+
+  if (!channel) {
+    throw new ErrorResponse(`Channel not found with id of ${channelId}`, 404);
+  }
+
+  const previousName = channel.name;
+  const { filtering, ...fields } = pickChannelFields(channelData);
+
+  channel.set({ ...fields, updated_by: userId });
+
+  if (filtering) {
+    channel.set('filtering', { ...(channel.filtering ? channel.filtering.toObject() : {}), ...filtering });
+  }
+
+  await channel.save();
+
+  // The scraping cursor is kept by channel name
+  if (channel.name !== previousName) {
+    await TelegramChannelState.updateOne({ channel: previousName }, { $set: { channel: channel.name } });
+  }
+
+  logger.info(`Telegram channel ${channel.name} updated`, {
+    userId,
+    active: channel.active,
+    priority: channel.priority
+  });
+
+  return channel;
+};
+
+module.exports = {
+  updateChannel
+};
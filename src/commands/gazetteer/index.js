@@ -0,0 +1,30 @@
+/**
+ * Gazetteer Commands
+ *
+ * This module exports the commands for the offline gazetteer of Syrian places:
+ * loading GeoNames dumps and looking places up for geocoding.
+ */
+
+// Loading reference data
+const {
+  GEONAMES_COLUMNS,
+  parseAdminCodes,
+  buildPlace,
+  loadGazetteer
+} = require('./load');
+
+// Lookup
+const { adminDivisionKey, scorePlace, searchGazetteer } = require('./lookup');
+
+module.exports = {
+  // Load
+  GEONAMES_COLUMNS,
+  parseAdminCodes,
+  buildPlace,
+  loadGazetteer,
+
+  // Lookup
+  adminDivisionKey,
+  scorePlace,
+  searchGazetteer
+};
@@ -0,0 +1,188 @@
+const GazetteerPlace = require('../../models/GazetteerPlace');
+const { GOVERNORATES } = require('../../config/adminBoundaries');
+const logger = require('../../config/logger');
+const { normalizeText, transliterationKey } = require('../../utils/textNormalizer');
+
+// Columns of a GeoNames dump (e.g. SY.txt from download.geonames.org/export/dump)
+const GEONAMES_COLUMNS = [
+  'geonameId', 'name', 'asciiName', 'alternateNames', 'latitude', 'longitude',
+  'featureClass', 'featureCode', 'countryCode', 'cc2', 'admin1Code', 'admin2Code',
+  'admin3Code', 'admin4Code', 'population', 'elevation', 'dem', 'timezone', 'modificationDate'
+];
+
+// Places are written to the database in batches of this size
+const BATCH_SIZE = 1000;
+
+const ARABIC_LETTER = /[؀-ۿ]/;
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * Parse a GeoNames admin code file (admin1CodesASCII.txt or admin2Codes.txt), whose
+ * lines are "SY.09<TAB>name<TAB>ascii name<TAB>geonameid"
+ * @param {String} text - File contents
+ * @returns {Map<String, String>} - Name by admin code (e.g. 'SY.09' or 'SY.09.1234')
+ */
+const parseAdminCodes = (text = '') => new Map(
+  String(text)
+    .split(/\r?\n/)
+    .map(line => line.split('\t'))
+    .filter(([code, name]) => code && name)
+    .map(([code, name]) => [code.trim(), name.trim()])
+);
+
+/**
+ * Find the governorate whose English or Arabic name matches a GeoNames admin1 name
+ * @param {String} name - Admin1 name
+ * @returns {Object|null} - Governorate from the admin boundary reference data
+ */
+const findGovernorate = (name) => {
+  const key = transliterationKey(name);
+  if (!key) return null;
+
+  return GOVERNORATES.find(governorate =>
+    transliterationKey(governorate.name.en) === key || transliterationKey(governorate.name.ar) === key) || null;
+};
+
+/**
+ * Build a gazetteer place from a line of a GeoNames dump
+ * @param {String} line - Tab separated GeoNames record
+ * @param {Object} options - Build options
+ * @param {Map} options.admin1Names - Result of parseAdminCodes for admin1CodesASCII.txt
+ * @param {Map} options.admin2Names - Result of parseAdminCodes for admin2Codes.txt
+ * @param {String} options.source - Dump name stored on the place
+ * @returns {Object} - Place data
+ */
+const buildPlace = (line, options = {}) => {
+  const { admin1Names = new Map(), admin2Names = new Map(), source = '' } = options;
+  const values = line.split('\t');
+
+  if (values.length < 15) {
+    throw new Error(`Expected ${GEONAMES_COLUMNS.length} tab separated columns, got ${values.length}`);
+  }
+
+  const record = Object.fromEntries(GEONAMES_COLUMNS.map((column, index) => [column, (values[index] || '').trim()]));
+  const geonameId = parseInt(record.geonameId, 10);
+  const latitude = parseFloat(record.latitude);
+  const longitude = parseFloat(record.longitude);
+
+  if (!geonameId || Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    throw new Error('Record has no valid GeoNames ID or coordinates');
+  }
+
+  const alternateNames = unique(record.alternateNames.split(',').map(name => name.trim()));
+  const arabicName = alternateNames.find(name => ARABIC_LETTER.test(name)) || '';
+  const spellings = unique([record.name, record.asciiName, ...alternateNames]);
+
+  const admin1Name = admin1Names.get(`${record.countryCode}.${record.admin1Code}`) || '';
+  const admin2Name = admin2Names.get(`${record.countryCode}.${record.admin1Code}.${record.admin2Code}`) || '';
+  const governorate = findGovernorate(admin1Name);
+  const adminNames = unique([
+    admin1Name,
+    admin2Name,
+    ...(governorate ? [governorate.name.en, governorate.name.ar] : [])
+  ]);
+
+  return {
+    geonameId,
+    name: { en: record.name, ar: arabicName },
+    alternate_names: alternateNames,
+    search_names: unique(spellings.map(normalizeText)),
+    search_keys: unique(spellings.map(transliterationKey)),
+    feature_class: record.featureClass,
+    feature_code: record.featureCode,
+    population: parseInt(record.population, 10) || 0,
+    admin: {
+      admin1_code: record.admin1Code || null,
+      admin2_code: record.admin2Code || null,
+      governorate: governorate ? governorate.code : null,
+      names: adminNames
+    },
+    admin_keys: unique(adminNames.map(transliterationKey)),
+    location: { type: 'Point', coordinates: [longitude, latitude] },
+    source
+  };
+};
+
+/**
+ * Load places from a GeoNames dump into the gazetteer. Places are upserted by GeoNames
+ * ID, so a newer dump can be loaded over an older one.
+ * @param {String} dump - Contents of the dump, one tab separated record per line
+ * @param {Object} options - Load options
+ * @param {String} options.source - Dump name stored on each place
+ * @param {Map} options.admin1Names - Governorate names by GeoNames admin1 code
+ * @param {Map} options.admin2Names - District names by GeoNames admin2 code
+ * @param {Array<String>} options.featureClasses - GeoNames feature classes to load (default populated places)
+ * @returns {Promise<Object>} - { loaded, skipped, failed: [{ line, error }] }
+ */
+const loadGazetteer = async (dump, options = {}) => {
+  if (typeof dump !== 'string') {
+    throw new Error('Gazetteer dump must be the text of a GeoNames dump');
+  }
+
+  const featureClasses = options.featureClasses || ['P'];
+  const failed = [];
+  let operations = [];
+  let loaded = 0;
+  let skipped = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await GazetteerPlace.bulkWrite(operations, { ordered: false });
+    loaded += operations.length;
+    operations = [];
+  };
+
+  const lines = dump.split(/\r?\n/);
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.trim() || line.startsWith('#')) continue;
+
+    let place;
+
+    try {
+      place = buildPlace(line, options);
+    } catch (error) {
+      failed.push({ line: index + 1, error: error.message });
+      continue;
+    }
+
+    if (!featureClasses.includes(place.feature_class)) {
+      skipped++;
+      continue;
+    }
+
+    const validationError = new GazetteerPlace(place).validateSync();
+
+    if (validationError) {
+      failed.push({ line: index + 1, error: validationError.message });
+      continue;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { geonameId: place.geonameId },
+        update: { $set: place },
+        upsert: true
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  logger.info('Gazetteer loaded', { source: options.source || '', loaded, skipped, failed: failed.length });
+
+  return { loaded, skipped, failed };
+};
+
+module.exports = {
+  GEONAMES_COLUMNS,
+  parseAdminCodes,
+  buildPlace,
+  loadGazetteer
+};
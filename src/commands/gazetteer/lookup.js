@@ -0,0 +1,160 @@
+const stringSimilarity = require('string-similarity');
+const GazetteerPlace = require('../../models/GazetteerPlace');
+const config = require('../../config/config');
+const { normalizeText, transliterationKey, escapeRegExp } = require('../../utils/textNormalizer');
+
+// Most places compared with a query
+const CANDIDATE_LIMIT = 200;
+
+// Words naming the kind of administrative unit rather than the unit itself (normalized)
+const ADMIN_DIVISION_WORDS = new Set([
+  'governorate', 'province', 'district', 'subdistrict', 'sub', 'city', 'muhafazat', 'mohafazat',
+  'محافظه', 'منطقه', 'ناحيه', 'مدينه'
+]);
+
+// Ranking of GeoNames populated place codes, to break ties between places of the same name
+const FEATURE_RANK = {
+  PPLC: 5,
+  PPLA: 4,
+  PPLA2: 3,
+  PPLA3: 2,
+  PPL: 1
+};
+
+// Quality score of an exact name, a transliteration and a fuzzy match, and the
+// adjustment when the admin division matches or contradicts the place
+const QUALITY = {
+  name: 0.9,
+  key: 0.75,
+  adminMatch: 0.1,
+  adminMismatch: -0.2
+};
+
+/**
+ * Build the transliteration key of an admin division, without words such as
+ * "Governorate" or "محافظة"
+ * @param {String} adminDivision - Admin division of a query
+ * @returns {String} - Matching key
+ */
+const adminDivisionKey = (adminDivision) => transliterationKey(
+  normalizeText(adminDivision)
+    .split(' ')
+    .filter(word => !ADMIN_DIVISION_WORDS.has(word))
+    .join(' ')
+);
+
+/**
+ * Score how well a gazetteer place matches a query
+ * @param {Object} place - Gazetteer place
+ * @param {Object} query - { name, key, adminKey } of the query
+ * @param {Number} minSimilarity - Lowest similarity of a fuzzy match
+ * @returns {Object|null} - { place, match, quality }, null when the place does not match
+ */
+const scorePlace = (place, query, minSimilarity) => {
+  let match;
+  let quality;
+
+  if (place.search_names.includes(query.name)) {
+    match = 'name';
+    quality = QUALITY.name;
+  } else if (place.search_keys.includes(query.key)) {
+    match = 'key';
+    quality = QUALITY.key;
+  } else {
+    const similarity = Math.max(0, ...place.search_keys.map(key => stringSimilarity.compareTwoStrings(query.key, key)));
+    if (similarity < minSimilarity) return null;
+    match = 'fuzzy';
+    quality = QUALITY.key * similarity;
+  }
+
+  if (query.adminKey) {
+    const adminMatched = (place.admin_keys || []).some(key =>
+      key === query.adminKey || stringSimilarity.compareTwoStrings(key, query.adminKey) >= minSimilarity);
+    quality += adminMatched ? QUALITY.adminMatch : QUALITY.adminMismatch;
+  }
+
+  return {
+    place,
+    match,
+    quality: Math.round(Math.min(1, Math.max(0, quality)) * 100) / 100
+  };
+};
+
+/**
+ * Convert a scored gazetteer place to a geocoding result
+ * @param {Object} scored - Result of scorePlace
+ * @returns {Object} - Geocoding result
+ */
+const toGeocodeResult = ({ place, match, quality }) => {
+  const [longitude, latitude] = place.location.coordinates;
+  const state = (place.admin && place.admin.names[0]) || '';
+
+  return {
+    latitude,
+    longitude,
+    country: 'Syria',
+    city: place.name.en,
+    state,
+    formattedAddress: [place.name.en, state, 'Syria'].filter(Boolean).join(', '),
+    placeName: place.name.ar || place.name.en,
+    quality,
+    geonameId: place.geonameId,
+    gazetteerMatch: match,
+    fromGazetteer: true,
+    apiCallsUsed: 0
+  };
+};
+
+/**
+ * Look a place up in the offline gazetteer. Names are matched exactly after
+ * normalization, then by transliteration key (Deir ez-Zor = Dayr az Zawr) and last
+ * fuzzily on the key; places in the given admin division are preferred.
+ * @param {String} placeName - Place name in English or Arabic
+ * @param {String} adminDivision - Governorate or district the place is in (optional)
+ * @param {Object} options - Search options
+ * @param {Number} options.limit - Most results returned
+ * @param {Number} options.minSimilarity - Lowest similarity of a fuzzy match
+ * @returns {Promise<Array<Object>>} - Geocoding results, best first
+ */
+const searchGazetteer = async (placeName, adminDivision = '', options = {}) => {
+  const { limit = 5, minSimilarity = config.gazetteer.minSimilarity } = options;
+  const query = {
+    name: normalizeText(placeName),
+    key: transliterationKey(placeName),
+    adminKey: adminDivisionKey(adminDivision)
+  };
+
+  if (!query.key) return [];
+
+  let candidates = await GazetteerPlace.find({
+    $or: [{ search_names: query.name }, { search_keys: query.key }]
+  })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  // Nothing spelled alike: compare with the places whose key starts the same way
+  if (candidates.length === 0) {
+    candidates = await GazetteerPlace.find({
+      search_keys: { $regex: `^${escapeRegExp(query.key.slice(0, 2))}` }
+    })
+      .sort({ population: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+  }
+
+  return candidates
+    .map(place => scorePlace(place, query, minSimilarity))
+    .filter(Boolean)
+    .sort((a, b) =>
+      b.quality - a.quality ||
+      (FEATURE_RANK[b.place.feature_code] || 0) - (FEATURE_RANK[a.place.feature_code] || 0) ||
+      b.place.population - a.place.population)
+    .slice(0, limit)
+    .map(toGeocodeResult);
+};
+
+module.exports = {
+  adminDivisionKey,
+  scorePlace,
+  searchGazetteer
+};
@@ -0,0 +1,85 @@
+const GeocodingCache = require('../../models/GeocodingCache');
+const GeocodingMiss = require('../../models/GeocodingMiss');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { generateCacheKey } = require('../../utils/geocoder');
+const { findCacheEntry } = require('./update');
+
+/**
+ * Register another spelling of a place on a cache entry, so searches for it resolve to
+ * the entry. A separate entry cached for the spelling is replaced unless it is pinned.
+ * @param {String} entryId - Canonical cache entry ID
+ * @param {Object} alias - { placeName, adminDivision, language } of the spelling
+ * @param {String} userId - User ID adding the alias
+ * @returns {Promise<Object>} - Updated cache entry
+ */
+const addCacheAlias = async (entryId, alias = {}, userId) => {
+  const entry = await findCacheEntry(entryId);
+
+  const placeName = (alias.placeName || '').trim();
+  const adminDivision = (alias.adminDivision || '').trim();
+  const language = alias.language || 'en';
+
+  if (!placeName) {
+    throw new ErrorResponse('Alias place name is required', 400);
+  }
+
+  const cacheKey = generateCacheKey(placeName, adminDivision, language);
+
+  if (entry.cacheKey === cacheKey || entry.aliases.some(existing => existing.cacheKey === cacheKey)) {
+    throw new ErrorResponse(`"${placeName}" already resolves to this cache entry`, 400);
+  }
+
+  const other = await GeocodingCache.findByCacheKey(cacheKey);
+
+  if (other && (other.cacheKey !== cacheKey || other.pinned)) {
+    throw new ErrorResponse(
+      `"${placeName}" already resolves to ${other.pinned ? 'pinned ' : ''}cache entry ${other._id}`,
+      409
+    );
+  }
+
+  entry.aliases.push({ cacheKey, placeName, adminDivision, language, added_by: userId });
+  await entry.save();
+
+  // The spelling's own entry and misses are superseded by the alias
+  if (other) {
+    await GeocodingCache.deleteOne({ _id: other._id });
+  }
+  await GeocodingMiss.deleteOne({ cacheKey });
+
+  logger.info(`Alias "${placeName}" (${language}) added to geocoding cache entry ${entry._id}`, {
+    userId,
+    replacedEntry: other ? other._id : null
+  });
+
+  return entry;
+};
+
+/**
+ * Remove an alias from a cache entry; searches for the spelling miss the cache again
+ * @param {String} entryId - Cache entry ID
+ * @param {String} aliasId - Alias ID
+ * @param {String} userId - User ID removing the alias
+ * @returns {Promise<Object>} - Updated cache entry
+ */
+const removeCacheAlias = async (entryId, aliasId, userId) => {
+  const entry = await findCacheEntry(entryId);
+  const alias = entry.aliases.id(aliasId);
+
+  if (!alias) {
+    throw new ErrorResponse(`Alias not found with id of ${aliasId}`, 404);
+  }
+
+  alias.deleteOne();
+  await entry.save();
+
+  logger.info(`Alias "${alias.placeName}" removed from geocoding cache entry ${entry._id}`, { userId });
+
+  return entry;
+};
+
+module.exports = {
+  addCacheAlias,
+  removeCacheAlias
+};
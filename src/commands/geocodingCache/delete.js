@@ -0,0 +1,26 @@
+const logger = require('../../config/logger');
+const { findCacheEntry } = require('./update');
+
+/**
+ * Delete a cache entry with its aliases; the next search for the place geocodes it again
+ * @param {String} entryId - Cache entry ID
+ * @param {String} userId - User ID deleting the entry
+ * @returns {Promise<Object>} - Deleted cache entry
+ */
+const deleteCacheEntry = async (entryId, userId) => {
+  const entry = await findCacheEntry(entryId);
+
+  await entry.deleteOne();
+
+  logger.info(`Geocoding cache entry ${entry._id} deleted`, {
+    userId,
+    placeName: entry.searchTerms?.placeName,
+    aliases: entry.aliases.length
+  });
+
+  return entry;
+};
+
+module.exports = {
+  deleteCacheEntry
+};
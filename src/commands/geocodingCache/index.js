@@ -0,0 +1,56 @@
+/**
+ * Geocoding Cache Commands
+ *
+ * This module exports the commands administering the geocoding cache: searching and
+ * inspecting entries, correcting, pinning and deleting them, registering alias spellings
+ * and reporting usage statistics.
+ */
+
+// Query operations
+const {
+  buildCacheFilterQuery,
+  getCacheEntries,
+  getCacheEntryById,
+  getCacheStats
+} = require('./query');
+
+// Update operations
+const { findCacheEntry, updateCacheEntry, setCacheEntryPinned } = require('./update');
+
+// Delete operations
+const { deleteCacheEntry } = require('./delete');
+
+// Alias operations
+const { addCacheAlias, removeCacheAlias } = require('./aliases');
+
+// Re-geocoding of affected violations
+const {
+  getCacheEntryTerms,
+  findViolationsForCacheEntry,
+  regeocodeViolationsForCacheEntry
+} = require('./regeocode');
+
+module.exports = {
+  // Query
+  buildCacheFilterQuery,
+  getCacheEntries,
+  getCacheEntryById,
+  getCacheStats,
+
+  // Update
+  findCacheEntry,
+  updateCacheEntry,
+  setCacheEntryPinned,
+
+  // Delete
+  deleteCacheEntry,
+
+  // Aliases
+  addCacheAlias,
+  removeCacheAlias,
+
+  // Re-geocoding
+  getCacheEntryTerms,
+  findViolationsForCacheEntry,
+  regeocodeViolationsForCacheEntry
+};
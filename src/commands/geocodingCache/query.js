@@ -0,0 +1,119 @@
+const GeocodingCache = require('../../models/GeocodingCache');
+const GeocodingMiss = require('../../models/GeocodingMiss');
+const { escapeRegExp } = require('../../utils/textNormalizer');
+
+// Most searches listed as top misses in the cache statistics
+const TOP_MISSES_LIMIT = 20;
+
+/**
+ * Build filter query based on query parameters
+ * @param {Object} queryParams - Request query parameters
+ * @returns {Object} Mongoose query object
+ */
+const buildCacheFilterQuery = (queryParams) => {
+  const query = {};
+
+  // Place names, alias spellings and addresses containing the search text
+  if (queryParams.q) {
+    const pattern = new RegExp(escapeRegExp(queryParams.q.trim()), 'i');
+    query.$or = [
+      { 'searchTerms.placeName': pattern },
+      { 'aliases.placeName': pattern },
+      { 'results.formattedAddress': pattern }
+    ];
+  }
+
+  if (queryParams.source) {
+    query.source = queryParams.source;
+  }
+
+  if (queryParams.language) {
+    query['searchTerms.language'] = queryParams.language;
+  }
+
+  if (queryParams.pinned !== undefined) {
+    query.pinned = String(queryParams.pinned) === 'true';
+  }
+
+  return query;
+};
+
+/**
+ * Search geocoding cache entries with pagination
+ * @param {Object} queryParams - Query parameters for filtering
+ * @param {Object} paginationOptions - Pagination options
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getCacheEntries = async (queryParams, paginationOptions = {}) => {
+  const query = buildCacheFilterQuery(queryParams);
+
+  const paginateOptions = {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 10,
+    sort: paginationOptions.sort || '-hitCount'
+  };
+
+  const result = await GeocodingCache.paginate(query, paginateOptions);
+
+  return {
+    entries: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
+    }
+  };
+};
+
+/**
+ * Get a geocoding cache entry by ID
+ * @param {String} entryId - Cache entry ID
+ * @returns {Promise<Object|null>} - Cache entry, or null if not found
+ */
+const getCacheEntryById = async (entryId) => {
+  return GeocodingCache.findById(entryId)
+    .populate('corrected_by', 'name')
+    .populate('aliases.added_by', 'name');
+};
+
+/**
+ * Get usage statistics of the geocoding cache: entries, hits, API calls spent and
+ * saved, and the searches that miss the cache most often
+ * @returns {Promise<Object>} - Cache statistics
+ */
+const getCacheStats = async () => {
+  const [stats, topMisses, [misses]] = await Promise.all([
+    GeocodingCache.getStats(),
+    GeocodingMiss.find()
+      .sort({ missCount: -1 })
+      .limit(TOP_MISSES_LIMIT)
+      .select('searchTerms missCount apiCallsUsed found lastError lastMissedAt')
+      .lean(),
+    GeocodingMiss.aggregate([
+      { $group: { _id: null, misses: { $sum: '$missCount' }, apiCallsUsed: { $sum: '$apiCallsUsed' } } }
+    ])
+  ]);
+
+  const lookups = stats.hits + (misses ? misses.misses : 0);
+
+  return {
+    ...stats,
+    misses: misses ? misses.misses : 0,
+    missApiCalls: misses ? misses.apiCallsUsed : 0,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null,
+    topMisses
+  };
+};
+
+module.exports = {
+  buildCacheFilterQuery,
+  getCacheEntries,
+  getCacheEntryById,
+  getCacheStats
+};
@@ -0,0 +1,100 @@
+const Violation = require('../../models/Violation');
+const logger = require('../../config/logger');
+const { generateCacheKey } = require('../../utils/geocoder');
+const { escapeRegExp } = require('../../utils/textNormalizer');
+const { geocodeLocationForReview } = require('../violations/create');
+const { updateViolation } = require('../violations/update');
+
+/**
+ * Search terms of a cache entry and its aliases
+ * @param {Object} entry - Geocoding cache entry
+ * @returns {Array<Object>} - { cacheKey, placeName, adminDivision, language } for each spelling
+ */
+const getCacheEntryTerms = (entry) => [
+  { cacheKey: entry.cacheKey, ...entry.searchTerms },
+  ...(entry.aliases || [])
+]
+  .filter(terms => terms.placeName)
+  .map(({ cacheKey, placeName, adminDivision, language }) => ({
+    cacheKey,
+    placeName,
+    adminDivision: adminDivision || '',
+    language: language || 'en'
+  }));
+
+/**
+ * Find the violations whose location is looked up through a cache entry, i.e. whose
+ * name and admin division in some language give the key of the entry or of an alias
+ * @param {Object} entry - Geocoding cache entry
+ * @returns {Promise<Array>} - Violations
+ */
+const findViolationsForCacheEntry = async (entry) => {
+  const terms = getCacheEntryTerms(entry);
+  if (terms.length === 0) return [];
+
+  const cacheKeys = new Set(terms.map(term => term.cacheKey));
+
+  // Narrow down by name first; the cache key decides
+  const violations = await Violation.find({
+    deleted_at: null,
+    merged_into: null,
+    $or: terms.map(term => ({
+      [`location.name.${term.language}`]: new RegExp(escapeRegExp(term.placeName.trim()), 'i')
+    }))
+  });
+
+  return violations.filter(violation => ['en', 'ar'].some(language => {
+    const placeName = violation.location?.name?.[language];
+    return placeName && cacheKeys.has(
+      generateCacheKey(placeName, violation.location.administrative_division?.[language] || '', language)
+    );
+  }));
+};
+
+/**
+ * Geocode the violations looked up through a cache entry again, e.g. after the entry
+ * was corrected. Each violation goes through updateViolation, so territory control and
+ * admin codes are recomputed and a revision is recorded.
+ * @param {Object} entry - Geocoding cache entry
+ * @param {String} userId - User ID performing the correction
+ * @param {Object} options - Options
+ * @param {String} options.reason - Reason recorded in the revision history
+ * @returns {Promise<Object>} - { matched, updated, failed }
+ */
+const regeocodeViolationsForCacheEntry = async (entry, userId, options = {}) => {
+  const violations = await findViolationsForCacheEntry(entry);
+  const result = { matched: violations.length, updated: 0, failed: [] };
+
+  for (const violation of violations) {
+    try {
+      const location = typeof violation.location.toObject === 'function'
+        ? violation.location.toObject()
+        : { ...violation.location };
+      const { coordinates, geocoding } = await geocodeLocationForReview(location);
+
+      await updateViolation(
+        violation._id,
+        { location: { ...location, coordinates } },
+        userId,
+        {
+          reason: options.reason || `Geocoded again after cache entry ${entry._id} was corrected`,
+          geocoding
+        }
+      );
+      result.updated += 1;
+    } catch (error) {
+      logger.error(`Failed to geocode violation ${violation._id} again: ${error.message}`);
+      result.failed.push({ violation: violation._id, error: error.message });
+    }
+  }
+
+  logger.info(`Geocoded ${result.updated}/${result.matched} violations again for cache entry ${entry._id}`);
+
+  return result;
+};
+
+module.exports = {
+  getCacheEntryTerms,
+  findViolationsForCacheEntry,
+  regeocodeViolationsForCacheEntry
+};
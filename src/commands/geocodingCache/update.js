@@ -0,0 +1,104 @@
+const GeocodingCache = require('../../models/GeocodingCache');
+const GeocodingMiss = require('../../models/GeocodingMiss');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { isValidPoint } = require('../../utils/geometry');
+const { isWithinSyria } = require('../../services/geocodingProviders');
+const { getCacheEntryTerms, regeocodeViolationsForCacheEntry } = require('./regeocode');
+
+// Result fields an admin can correct
+const CORRECTABLE_RESULT_FIELDS = ['formattedAddress', 'city', 'state'];
+
+/**
+ * Find a cache entry or throw a 404
+ * @param {String} entryId - Cache entry ID
+ * @returns {Promise<Object>} - Cache entry
+ */
+const findCacheEntry = async (entryId) => {
+  const entry = await GeocodingCache.findById(entryId);
+
+  if (!entry) {
+    throw new ErrorResponse(`Geocoding cache entry not found with id of ${entryId}`, 404);
+  }
+
+  return entry;
+};
+
+/**
+ * Correct the result of a cache entry. The entry becomes a manual entry with full quality
+ * and is pinned unless pinned is false, so the correction does not expire.
+ * @param {String} entryId - Cache entry ID
+ * @param {Object} correction - { coordinates, formattedAddress, city, state, pinned }
+ * @param {String} userId - User ID performing the correction
+ * @param {Object} options - Correction options
+ * @param {Boolean} options.regeocodeViolations - Geocode the violations using the entry again
+ * @returns {Promise<Object>} - { entry, regeocoded } (regeocoded only when requested)
+ */
+const updateCacheEntry = async (entryId, correction = {}, userId, options = {}) => {
+  const entry = await findCacheEntry(entryId);
+
+  if (correction.coordinates !== undefined) {
+    if (!isValidPoint(correction.coordinates)) {
+      throw new ErrorResponse('Coordinates must be [longitude, latitude]', 400);
+    }
+    if (!isWithinSyria(correction.coordinates[1], correction.coordinates[0])) {
+      throw new ErrorResponse('Coordinates must be inside Syria', 400);
+    }
+    entry.set('results.coordinates', correction.coordinates);
+  }
+
+  CORRECTABLE_RESULT_FIELDS
+    .filter(field => correction[field] !== undefined)
+    .forEach(field => entry.set(`results.${field}`, correction[field]));
+
+  entry.set({
+    'results.quality': 1,
+    source: 'manual',
+    pinned: correction.pinned !== false,
+    corrected_by: userId,
+    corrected_at: new Date()
+  });
+
+  await entry.save();
+
+  // Searches for the entry's spellings no longer miss
+  await GeocodingMiss.deleteMany({ cacheKey: { $in: getCacheEntryTerms(entry).map(term => term.cacheKey) } });
+
+  logger.info(`Geocoding cache entry ${entry._id} corrected`, {
+    userId,
+    placeName: entry.searchTerms?.placeName,
+    coordinates: entry.results.coordinates
+  });
+
+  const result = { entry };
+
+  if (options.regeocodeViolations) {
+    result.regeocoded = await regeocodeViolationsForCacheEntry(entry, userId);
+  }
+
+  return result;
+};
+
+/**
+ * Pin a cache entry so it is exempt from the TTL, or unpin it
+ * @param {String} entryId - Cache entry ID
+ * @param {Boolean} pinned - Whether the entry is pinned
+ * @param {String} userId - User ID performing the change
+ * @returns {Promise<Object>} - Updated cache entry
+ */
+const setCacheEntryPinned = async (entryId, pinned, userId) => {
+  const entry = await findCacheEntry(entryId);
+
+  entry.pinned = pinned;
+  await entry.save();
+
+  logger.info(`Geocoding cache entry ${entry._id} ${pinned ? 'pinned' : 'unpinned'}`, { userId });
+
+  return entry;
+};
+
+module.exports = {
+  findCacheEntry,
+  updateCacheEntry,
+  setCacheEntryPinned
+};
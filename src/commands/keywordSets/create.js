@@ -0,0 +1,43 @@
+const KeywordSet = require('../../models/KeywordSet');
+const logger = require('../../config/logger');
+
+// Keyword set fields that can be set through the API
+const KEYWORD_SET_FIELDS = ['name', 'category', 'violation_type', 'keywords', 'active'];
+
+const pickKeywordSetFields = (data = {}) => {
+  const picked = {};
+  KEYWORD_SET_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
+  });
+  return picked;
+};
+
+/**
+ * Add a set of keywords the scraper matches Telegram messages against
+ * @param {Object} keywordSetData - Keyword set data
+ * @param {String} userId - User ID creating the keyword set
+ * @returns {Promise<Object>} - Created keyword set
+ */
+const createKeywordSet = async (keywordSetData, userId) => {
+  const keywordSet = await KeywordSet.create({
+    ...pickKeywordSetFields(keywordSetData),
+    created_by: userId,
+    updated_by: userId
+  });
+
+  logger.info(`Keyword set ${keywordSet.name} added`, {
+    userId,
+    category: keywordSet.category,
+    keywords: keywordSet.keywords.length
+  });
+
+  return keywordSet;
+};
+
+module.exports = {
+  KEYWORD_SET_FIELDS,
+  pickKeywordSetFields,
+  createKeywordSet
+};
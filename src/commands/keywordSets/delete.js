@@ -0,0 +1,25 @@
+const KeywordSet = require('../../models/KeywordSet');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+
+/**
+ * Remove a keyword set
+ * @param {String} keywordSetId - Keyword set ID
+ * @param {String} userId - User ID performing the deletion
+ * @returns {Promise<Object>} - Deleted keyword set
+ */
+const deleteKeywordSet = async (keywordSetId, userId) => {
+  const keywordSet = await KeywordSet.findByIdAndDelete(keywordSetId);
+
+  if (!keywordSet) {
+    throw new ErrorResponse(`Keyword set not found with id of ${keywordSetId}`, 404);
+  }
+
+  logger.info(`Keyword set ${keywordSet.name} deleted`, { userId });
+
+  return keywordSet;
+};
+
+module.exports = {
+  deleteKeywordSet
+};
@@ -0,0 +1,46 @@
+/**
+ * Keyword Set Commands
+ *
+ * This module exports all commands managing the keyword sets the Telegram scraper
+ * matches messages against. These commands encapsulate business logic and can be used
+ * by controllers, queue workers, CLI tools, or any other part of the application.
+ */
+
+// Create operations
+const { createKeywordSet } = require('./create');
+
+// Update operations
+const { updateKeywordSet } = require('./update');
+
+// Delete operations
+const { deleteKeywordSet } = require('./delete');
+
+// Query operations
+const {
+  buildKeywordSetFilterQuery,
+  getKeywordSets,
+  getKeywordSetById
+} = require('./query');
+
+// Seeding from YAML
+const { buildSeedKeywordSets, seedKeywordSets } = require('./seed');
+
+module.exports = {
+  // Create
+  createKeywordSet,
+
+  // Update
+  updateKeywordSet,
+
+  // Delete
+  deleteKeywordSet,
+
+  // Query
+  buildKeywordSetFilterQuery,
+  getKeywordSets,
+  getKeywordSetById,
+
+  // Seeding
+  buildSeedKeywordSets,
+  seedKeywordSets
+};
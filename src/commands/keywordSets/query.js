@@ -0,0 +1,77 @@
+const KeywordSet = require('../../models/KeywordSet');
+
+/**
+ * Build filter query based on query parameters
+ * @param {Object} queryParams - Request query parameters
+ * @returns {Object} Mongoose query object
+ */
+const buildKeywordSetFilterQuery = (queryParams) => {
+  const query = {};
+
+  if (queryParams.category) {
+    query.category = queryParams.category;
+  }
+
+  if (queryParams.violation_type) {
+    query.violation_type = queryParams.violation_type;
+  }
+
+  if (queryParams.active !== undefined) {
+    query.active = String(queryParams.active) === 'true';
+  }
+
+  // Sets containing a keyword
+  if (queryParams.keyword) {
+    query.keywords = queryParams.keyword.trim();
+  }
+
+  return query;
+};
+
+/**
+ * Get keyword sets with pagination
+ * @param {Object} queryParams - Query parameters for filtering
+ * @param {Object} paginationOptions - Pagination options
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getKeywordSets = async (queryParams, paginationOptions = {}) => {
+  const query = buildKeywordSetFilterQuery(queryParams);
+
+  const paginateOptions = {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 10,
+    sort: paginationOptions.sort || 'name'
+  };
+
+  const result = await KeywordSet.paginate(query, paginateOptions);
+
+  return {
+    keywordSets: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
+    }
+  };
+};
+
+/**
+ * Get a keyword set by ID
+ * @param {String} keywordSetId - Keyword set ID
+ * @returns {Promise<Object|null>} - Keyword set, or null if not found
+ */
+const getKeywordSetById = async (keywordSetId) => {
+  return KeywordSet.findById(keywordSetId);
+};
+
+module.exports = {
+  buildKeywordSetFilterQuery,
+  getKeywordSets,
+  getKeywordSetById
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const KeywordSet = require('../../models/KeywordSet');
+const logger = require('../../config/logger');
+
+const KEYWORDS_SEED_PATH = path.join(__dirname, '../../config/violation-keywords.yaml');
+
+/**
+ * Turn config/violation-keywords.yaml into keyword sets: one violation set per type,
+ * named after the type, plus the "context" and "location" sets
+ * @param {Object} keywordsConfig - Parsed YAML
+ * @returns {Array<Object>} - Keyword set data
+ */
+const buildSeedKeywordSets = (keywordsConfig = {}) => {
+  const sets = Object.entries(keywordsConfig.keywords || {}).map(([violationType, keywords]) => ({
+    name: violationType,
+    category: 'violation',
+    violation_type: violationType,
+    keywords
+  }));
+
+  ['context', 'location'].forEach(category => {
+    const keywords = keywordsConfig[`${category}_keywords`];
+    if (keywords && keywords.length > 0) {
+      sets.push({ name: category, category, keywords });
+    }
+  });
+
+  return sets;
+};
+
+/**
+ * Add the keyword sets from config/violation-keywords.yaml to the collection. Sets that
+ * already exist, matched by name, are left untouched so changes made through the API
+ * survive re-seeding.
+ * @param {String} userId - User ID performing the seed
+ * @returns {Promise<Object>} - { created, existing }
+ */
+const seedKeywordSets = async (userId) => {
+  const keywordsConfig = yaml.load(fs.readFileSync(KEYWORDS_SEED_PATH, 'utf8'));
+  let created = 0;
+  let existing = 0;
+
+  for (const entry of buildSeedKeywordSets(keywordsConfig)) {
+    if (await KeywordSet.exists({ name: entry.name })) {
+      existing++;
+      continue;
+    }
+
+    await KeywordSet.create({
+      ...entry,
+      created_by: userId,
+      updated_by: userId
+    });
+    created++;
+  }
+
+  logger.info('Keyword sets seeded', { userId, created, existing });
+
+  return { created, existing };
+};
+
+module.exports = {
+  KEYWORDS_SEED_PATH,
+  buildSeedKeywordSets,
+  seedKeywordSets
+};
@@ -0,0 +1,39 @@
+const KeywordSet = require('../../models/KeywordSet');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { pickKeywordSetFields } = require('./create');
+
+/**
+ * Update a keyword set. The scraper picks up the change on its next run.
+ * @param {String} keywordSetId - Keyword set ID
+ * @param {Object} keywordSetData - Fields to update
+ * @param {String} userId - User ID performing the update
+ * @returns {Promise<Object>} - Updated keyword set
+ */
+const updateKeywordSet = async (keywordSetId, keywordSetData, userId) => {
+  const keywordSet = await KeywordSet.findById(keywordSetId);
+
+  if (!keywordSet) {
+    throw new ErrorResponse(`Keyword set not found with id of ${keywordSetId}`, 404);
+  }
+
+  keywordSet.set({
+    ...pickKeywordSetFields(keywordSetData),
+    updated_by: userId
+  });
+
+  // Saved through the document so the category and keywords are validated together
+  await keywordSet.save();
+
+  logger.info(`Keyword set ${keywordSet.name} updated`, {
+    userId,
+    active: keywordSet.active,
+    keywords: keywordSet.keywords.length
+  });
+
+  return keywordSet;
+};
+
+module.exports = {
+  updateKeywordSet
+};
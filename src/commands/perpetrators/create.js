@@ -0,0 +1,46 @@
+const Perpetrator = require('../../models/Perpetrator');
+const logger = require('../../config/logger');
+const { clearParseInstructionsCache } = require('./instructions');
+
+// Perpetrator fields that can be set through the API
+const PERPETRATOR_FIELDS = ['name', 'aliases', 'kind', 'code', 'parent', 'description', 'guidance'];
+
+const pickPerpetratorFields = (data = {}) => {
+  const picked = {};
+  PERPETRATOR_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
+  });
+  return picked;
+};
+
+/**
+ * Add a unit, group, individual or affiliation to the perpetrator catalogue
+ * @param {Object} perpetratorData - Perpetrator data
+ * @param {String} userId - User ID creating the perpetrator
+ * @returns {Promise<Object>} - Created perpetrator
+ */
+const createPerpetrator = async (perpetratorData, userId) => {
+  const perpetrator = await Perpetrator.create({
+    ...pickPerpetratorFields(perpetratorData),
+    created_by: userId,
+    updated_by: userId
+  });
+
+  clearParseInstructionsCache();
+
+  logger.info(`Perpetrator ${perpetrator._id} added to the catalogue`, {
+    userId,
+    kind: perpetrator.kind,
+    affiliation: perpetrator.affiliation
+  });
+
+  return perpetrator;
+};
+
+module.exports = {
+  PERPETRATOR_FIELDS,
+  pickPerpetratorFields,
+  createPerpetrator
+};
@@ -0,0 +1,50 @@
+const Perpetrator = require('../../models/Perpetrator');
+const Violation = require('../../models/Violation');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { clearParseInstructionsCache } = require('./instructions');
+
+/**
+ * Remove a perpetrator from the catalogue. Perpetrators that still have members or
+ * are linked to violations cannot be deleted.
+ * @param {String} perpetratorId - Perpetrator ID
+ * @param {String} userId - User ID performing the deletion
+ * @returns {Promise<Object>} - Deleted perpetrator
+ */
+const deletePerpetrator = async (perpetratorId, userId) => {
+  const perpetrator = await Perpetrator.findById(perpetratorId);
+
+  if (!perpetrator) {
+    throw new ErrorResponse(`Perpetrator not found with id of ${perpetratorId}`, 404);
+  }
+
+  const members = await Perpetrator.countDocuments({ parent: perpetrator._id });
+
+  if (members > 0) {
+    throw new ErrorResponse(
+      `Perpetrator has ${members} member(s) and cannot be deleted; move or delete them first`,
+      400
+    );
+  }
+
+  const linkedViolations = await Violation.countDocuments({ perpetrator_entity: perpetrator._id });
+
+  if (linkedViolations > 0) {
+    throw new ErrorResponse(
+      `Perpetrator is linked to ${linkedViolations} violation(s) and cannot be deleted`,
+      400
+    );
+  }
+
+  await Perpetrator.findByIdAndDelete(perpetrator._id);
+
+  clearParseInstructionsCache();
+
+  logger.info(`Perpetrator ${perpetrator._id} deleted from the catalogue`, { userId });
+
+  return perpetrator;
+};
+
+module.exports = {
+  deletePerpetrator
+};
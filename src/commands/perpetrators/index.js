@@ -0,0 +1,68 @@
+/**
+ * Perpetrator Commands
+ *
+ * This module exports all perpetrator catalogue commands for database operations.
+ * These commands encapsulate business logic and can be used by controllers,
+ * queue workers, CLI tools, or any other part of the application.
+ */
+
+// Create operations
+const { createPerpetrator } = require('./create');
+
+// Update operations
+const { updatePerpetrator } = require('./update');
+
+// Delete operations
+const { deletePerpetrator } = require('./delete');
+
+// Query operations
+const {
+  buildPerpetratorFilterQuery,
+  getPerpetrators,
+  getPerpetratorById,
+  getPerpetratorTree
+} = require('./query');
+
+// Statistics operations
+const { getPerpetratorStats } = require('./stats');
+
+// Violation links
+const { findPerpetratorByName, resolvePerpetratorLink } = require('./link');
+
+// Catalogue seeding
+const { seedPerpetratorCatalogue, linkExistingViolations } = require('./seed');
+
+// Report parsing instructions
+const { getParseInstructions, clearParseInstructionsCache } = require('./instructions');
+
+module.exports = {
+  // Create
+  createPerpetrator,
+
+  // Update
+  updatePerpetrator,
+
+  // Delete
+  deletePerpetrator,
+
+  // Query
+  buildPerpetratorFilterQuery,
+  getPerpetrators,
+  getPerpetratorById,
+  getPerpetratorTree,
+
+  // Stats
+  getPerpetratorStats,
+
+  // Links
+  findPerpetratorByName,
+  resolvePerpetratorLink,
+
+  // Seeding
+  seedPerpetratorCatalogue,
+  linkExistingViolations,
+
+  // Parse instructions
+  getParseInstructions,
+  clearParseInstructionsCache
+};
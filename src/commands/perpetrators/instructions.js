@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Perpetrator = require('../../models/Perpetrator');
+const { buildParseInstructions } = require('../../config/parseInstructions');
+const { PERPETRATOR_AFFILIATIONS, PERPETRATOR_CATALOGUE } = require('../../config/perpetratorCatalogue');
+const logger = require('../../config/logger');
+
+// How long generated instructions are reused before the catalogue is read again
+const INSTRUCTIONS_CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cachedInstructions = null;
+let cachedAt = 0;
+
+/**
+ * Convert catalogue records into the nested shape used by the parse instructions.
+ * Affiliations missing from the collection fall back to their seed entry so the
+ * prompts always list every affiliation code.
+ * @param {Array<Object>} perpetrators - Perpetrator records (lean)
+ * @returns {Array<Object>} - Affiliations with their members, in affiliation code order
+ */
+const buildCatalogueTree = (perpetrators) => {
+  const membersByParent = new Map();
+  perpetrators.forEach(perpetrator => {
+    if (!perpetrator.parent) return;
+    const key = String(perpetrator.parent);
+    membersByParent.set(key, [...(membersByParent.get(key) || []), perpetrator]);
+  });
+
+  const toMember = (perpetrator) => ({
+    name: perpetrator.name.en || perpetrator.name.ar,
+    aliases: (perpetrator.aliases || []).map(alias => alias.en || alias.ar).filter(Boolean),
+    description: perpetrator.description,
+    guidance: perpetrator.guidance,
+    members: (membersByParent.get(String(perpetrator._id)) || []).map(toMember)
+  });
+
+  return PERPETRATOR_AFFILIATIONS.map(code => {
+    const affiliation = perpetrators.find(perpetrator => perpetrator.kind === 'affiliation' && perpetrator.code === code);
+
+    if (!affiliation) {
+      return PERPETRATOR_CATALOGUE.find(entry => entry.code === code);
+    }
+
+    return {
+      code,
+      name: affiliation.name,
+      description: affiliation.description,
+      guidance: affiliation.guidance,
+      members: (membersByParent.get(String(affiliation._id)) || []).map(toMember)
+    };
+  });
+};
+
+/**
+ * Get the report parsing prompts generated from the perpetrator catalogue
+ * @returns {Promise<Object>} - { SYSTEM_PROMPT, USER_PROMPT }
+ */
+const getParseInstructions = async () => {
+  if (cachedInstructions && Date.now() - cachedAt < INSTRUCTIONS_CACHE_TTL_MS) {
+    return cachedInstructions;
+  }
+
+  // Parsing must not wait for a database connection, so use the seed catalogue until there is one
+  if (mongoose.connection.readyState !== 1) {
+    return buildParseInstructions();
+  }
+
+  try {
+    const perpetrators = await Perpetrator.find()
+      .select('name aliases kind code parent description guidance')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    cachedInstructions = buildParseInstructions(buildCatalogueTree(perpetrators));
+    cachedAt = Date.now();
+  } catch (error) {
+    logger.error(`Failed to load the perpetrator catalogue, using the seed catalogue: ${error.message}`);
+    return buildParseInstructions();
+  }
+
+  return cachedInstructions;
+};
+
+/**
+ * Drop the cached prompts so the next parse picks up catalogue changes
+ */
+const clearParseInstructionsCache = () => {
+  cachedInstructions = null;
+  cachedAt = 0;
+};
+
+module.exports = {
+  buildCatalogueTree,
+  getParseInstructions,
+  clearParseInstructionsCache
+};
@@ -0,0 +1,89 @@
+const Perpetrator = require('../../models/Perpetrator');
+const ErrorResponse = require('../../utils/errorResponse');
+const { normalizeText } = require('../../utils/textNormalizer');
+
+// Upper bound on catalogue entries considered when matching a perpetrator name
+const MAX_NAME_MATCHES = 10;
+
+/**
+ * Find the catalogued perpetrator a free-text perpetrator name refers to
+ * @param {Object} perpetratorName - Perpetrator name with en and/or ar
+ * @param {String} affiliation - Reported affiliation code, used to tell apart groups listed under several affiliations
+ * @returns {Promise<Object|null>} - The perpetrator, or null when there is no single match
+ */
+const findPerpetratorByName = async (perpetratorName, affiliation) => {
+  const keys = [normalizeText(perpetratorName?.en), normalizeText(perpetratorName?.ar)].filter(Boolean);
+
+  if (keys.length === 0) {
+    return null;
+  }
+
+  let matches = await Perpetrator.find({ name_keys: { $in: keys } })
+    .select('name affiliation')
+    .limit(MAX_NAME_MATCHES)
+    .lean();
+
+  if (affiliation && affiliation !== 'unknown') {
+    matches = matches.filter(match => match.affiliation === affiliation);
+  }
+
+  // Ambiguous names are left for an editor to link
+  return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * Copy the affiliation and name of a catalogued perpetrator onto violation data
+ * @param {Object} violationData - Violation data (modified in place)
+ * @param {Object} perpetrator - Catalogued perpetrator
+ */
+const applyPerpetrator = (violationData, perpetrator) => {
+  violationData.perpetrator_entity = perpetrator._id;
+  violationData.perpetrator_affiliation = perpetrator.affiliation;
+  violationData.perpetrator = {
+    en: violationData.perpetrator?.en || perpetrator.name.en || '',
+    ar: violationData.perpetrator?.ar || perpetrator.name.ar || ''
+  };
+};
+
+/**
+ * Link violation data to the perpetrator catalogue. A linked perpetrator decides the
+ * affiliation and fills in missing perpetrator names; without a link, the perpetrator
+ * name is matched against catalogue names and aliases.
+ * @param {Object} violationData - Violation data (modified in place)
+ * @param {Object} options - Link options
+ * @param {Boolean} options.matchByName - Link by perpetrator name when no perpetrator is given (default true)
+ * @returns {Promise<Object>} - The violation data
+ */
+const resolvePerpetratorLink = async (violationData, options = {}) => {
+  const { matchByName = true } = options;
+
+  if (violationData.perpetrator_entity) {
+    const perpetrator = await Perpetrator.findById(violationData.perpetrator_entity)
+      .select('name affiliation')
+      .lean();
+
+    if (!perpetrator) {
+      throw new ErrorResponse(`Perpetrator not found with id of ${violationData.perpetrator_entity}`, 400);
+    }
+
+    applyPerpetrator(violationData, perpetrator);
+    return violationData;
+  }
+
+  if (!matchByName) {
+    return violationData;
+  }
+
+  const match = await findPerpetratorByName(violationData.perpetrator, violationData.perpetrator_affiliation);
+
+  if (match) {
+    applyPerpetrator(violationData, match);
+  }
+
+  return violationData;
+};
+
+module.exports = {
+  findPerpetratorByName,
+  resolvePerpetratorLink
+};
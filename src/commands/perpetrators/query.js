@@ -0,0 +1,118 @@
+const Perpetrator = require('../../models/Perpetrator');
+const { PERPETRATOR_AFFILIATIONS } = require('../../config/perpetratorCatalogue');
+const { normalizeText, escapeRegExp } = require('../../utils/textNormalizer');
+
+/**
+ * Build filter query based on query parameters
+ * @param {Object} queryParams - Request query parameters
+ * @returns {Object} Mongoose query object
+ */
+const buildPerpetratorFilterQuery = (queryParams) => {
+  const query = {};
+
+  // Search names and aliases in either language, ignoring case, accents and Arabic spelling variants
+  if (queryParams.name) {
+    const normalized = normalizeText(queryParams.name);
+    if (normalized) {
+      query.name_keys = new RegExp(escapeRegExp(normalized));
+    }
+  }
+
+  if (queryParams.kind) {
+    query.kind = queryParams.kind;
+  }
+
+  if (queryParams.affiliation) {
+    query.affiliation = queryParams.affiliation;
+  }
+
+  // Direct members of a unit, group or affiliation
+  if (queryParams.parent) {
+    query.parent = queryParams.parent;
+  }
+
+  return query;
+};
+
+/**
+ * Search the perpetrator catalogue with pagination
+ * @param {Object} queryParams - Query parameters for filtering
+ * @param {Object} paginationOptions - Pagination options
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getPerpetrators = async (queryParams, paginationOptions = {}) => {
+  const query = buildPerpetratorFilterQuery(queryParams);
+
+  const paginateOptions = {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 10,
+    sort: paginationOptions.sort || 'name.en',
+    populate: { path: 'parent', select: 'name kind code' }
+  };
+
+  const result = await Perpetrator.paginate(query, paginateOptions);
+
+  return {
+    perpetrators: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
+    }
+  };
+};
+
+/**
+ * Get a perpetrator by ID with its chain of parents
+ * @param {String} perpetratorId - Perpetrator ID
+ * @returns {Promise<Object|null>} - Perpetrator, or null if not found
+ */
+const getPerpetratorById = async (perpetratorId) => {
+  return Perpetrator.findById(perpetratorId)
+    .populate('parent', 'name kind code')
+    .populate('ancestors', 'name kind code');
+};
+
+/**
+ * Get the whole catalogue as a tree of affiliations and their members
+ * @param {Object} options - Query options
+ * @param {String} options.affiliation - Only return the tree of this affiliation code
+ * @returns {Promise<Array<Object>>} - Affiliations with nested members
+ */
+const getPerpetratorTree = async (options = {}) => {
+  const query = options.affiliation ? { affiliation: options.affiliation } : {};
+  const perpetrators = await Perpetrator.find(query)
+    .select('name aliases kind code parent affiliation description')
+    .sort({ 'name.en': 1 })
+    .lean();
+
+  const membersByParent = new Map();
+  perpetrators.forEach(perpetrator => {
+    if (!perpetrator.parent) return;
+    const key = String(perpetrator.parent);
+    membersByParent.set(key, [...(membersByParent.get(key) || []), perpetrator]);
+  });
+
+  const withMembers = (perpetrator) => ({
+    ...perpetrator,
+    members: (membersByParent.get(String(perpetrator._id)) || []).map(withMembers)
+  });
+
+  return perpetrators
+    .filter(perpetrator => perpetrator.kind === 'affiliation')
+    .sort((a, b) => PERPETRATOR_AFFILIATIONS.indexOf(a.code) - PERPETRATOR_AFFILIATIONS.indexOf(b.code))
+    .map(withMembers);
+};
+
+module.exports = {
+  buildPerpetratorFilterQuery,
+  getPerpetrators,
+  getPerpetratorById,
+  getPerpetratorTree
+};
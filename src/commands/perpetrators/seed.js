@@ -0,0 +1,105 @@
+const Perpetrator = require('../../models/Perpetrator');
+const Violation = require('../../models/Violation');
+const { PERPETRATOR_CATALOGUE } = require('../../config/perpetratorCatalogue');
+const { normalizeText } = require('../../utils/textNormalizer');
+const logger = require('../../config/logger');
+const { findPerpetratorByName } = require('./link');
+const { clearParseInstructionsCache } = require('./instructions');
+
+/**
+ * Add the seed catalogue (config/perpetratorCatalogue) to the collection. Entries that
+ * already exist, matched by affiliation code or by name under the same parent, are
+ * left untouched so editorial changes survive re-seeding.
+ * @param {String} userId - User ID performing the seed
+ * @returns {Promise<Object>} - { created, existing }
+ */
+const seedPerpetratorCatalogue = async (userId) => {
+  let created = 0;
+  let existing = 0;
+
+  for (const entry of PERPETRATOR_CATALOGUE) {
+    let affiliation = await Perpetrator.findOne({ kind: 'affiliation', code: entry.code });
+
+    if (affiliation) {
+      existing++;
+    } else {
+      affiliation = await Perpetrator.create({
+        name: entry.name,
+        kind: 'affiliation',
+        code: entry.code,
+        description: entry.description,
+        guidance: entry.guidance,
+        created_by: userId,
+        updated_by: userId
+      });
+      created++;
+    }
+
+    for (const member of entry.members) {
+      const found = await Perpetrator.exists({ parent: affiliation._id, name_keys: normalizeText(member.name) });
+
+      if (found) {
+        existing++;
+        continue;
+      }
+
+      await Perpetrator.create({
+        name: { en: member.name },
+        aliases: (member.aliases || []).map(alias => ({ en: alias })),
+        kind: member.kind || 'unit',
+        parent: affiliation._id,
+        description: member.description,
+        created_by: userId,
+        updated_by: userId
+      });
+      created++;
+    }
+  }
+
+  clearParseInstructionsCache();
+
+  logger.info('Perpetrator catalogue seeded', { userId, created, existing });
+
+  return { created, existing };
+};
+
+/**
+ * Link existing violations that only have a free-text perpetrator to the catalogue,
+ * where the name matches exactly one catalogued perpetrator
+ * @param {String} userId - User ID performing the backfill
+ * @returns {Promise<Object>} - { checked, linked }
+ */
+const linkExistingViolations = async (userId) => {
+  let checked = 0;
+  let linked = 0;
+
+  const cursor = Violation.find({
+    perpetrator_entity: null,
+    $or: [{ 'perpetrator.en': { $nin: [null, ''] } }, { 'perpetrator.ar': { $nin: [null, ''] } }]
+  })
+    .select('perpetrator perpetrator_affiliation')
+    .lean()
+    .cursor();
+
+  for await (const violation of cursor) {
+    checked++;
+    const match = await findPerpetratorByName(violation.perpetrator, violation.perpetrator_affiliation);
+
+    if (match) {
+      await Violation.updateOne(
+        { _id: violation._id },
+        { $set: { perpetrator_entity: match._id, perpetrator_affiliation: match.affiliation, updated_by: userId } }
+      );
+      linked++;
+    }
+  }
+
+  logger.info('Linked existing violations to the perpetrator catalogue', { userId, checked, linked });
+
+  return { checked, linked };
+};
+
+module.exports = {
+  seedPerpetratorCatalogue,
+  linkExistingViolations
+};
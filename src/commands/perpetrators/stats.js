@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Perpetrator = require('../../models/Perpetrator');
+const Violation = require('../../models/Violation');
+const { buildFilterQuery } = require('../violations/query');
+const { PERPETRATOR_CATALOGUE } = require('../../config/perpetratorCatalogue');
+
+// Victim counts summed for each group
+const COUNT_FIELDS = ['casualties', 'injured_count', 'kidnapped_count', 'detained_count', 'displaced_count'];
+
+const emptyTotals = () => COUNT_FIELDS.reduce((totals, field) => ({ ...totals, [field]: 0 }), { count: 0 });
+
+const addTotals = (totals, row) => {
+  totals.count += row.count;
+  COUNT_FIELDS.forEach(field => {
+    totals[field] += row[field] || 0;
+  });
+};
+
+const summarize = (perpetrator) => perpetrator && ({
+  _id: perpetrator._id,
+  name: perpetrator.name,
+  kind: perpetrator.kind
+});
+
+/**
+ * Count published violations per catalogued perpetrator, rolled up the hierarchy.
+ * Violations without a catalogued perpetrator are grouped under their affiliation
+ * with perpetrator set to null.
+ * @param {Object} queryParams - Violation filters (same as the violation list)
+ * @param {Object} options - Statistics options
+ * @param {String} options.groupBy - 'unit' (linked perpetrator), 'parent' (its direct parent)
+ *                                   or 'affiliation' (top-level affiliation, default)
+ * @param {String} options.within - Only count violations linked to this perpetrator or its members
+ * @returns {Promise<Array<Object>>} - Groups { perpetrator, affiliation, count, casualties, ... }, largest first
+ */
+const getPerpetratorStats = async (queryParams = {}, options = {}) => {
+  const groupBy = options.groupBy || 'affiliation';
+  const match = buildFilterQuery(queryParams);
+
+  if (options.within) {
+    // Aggregation does not cast, so the ID has to be an ObjectId already
+    const withinId = new mongoose.Types.ObjectId(String(options.within));
+    const members = await Perpetrator.find({ ancestors: withinId }).select('_id').lean();
+    match.perpetrator_entity = { $in: [withinId, ...members.map(member => member._id)] };
+  }
+
+  const rows = await Violation.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { perpetrator: '$perpetrator_entity', affiliation: '$perpetrator_affiliation' },
+        count: { $sum: 1 },
+        ...COUNT_FIELDS.reduce((sums, field) => ({ ...sums, [field]: { $sum: `$${field}` } }), {})
+      }
+    }
+  ]);
+
+  // Linked perpetrators, their parents and the top-level affiliations used as group labels
+  const linkedIds = rows.map(row => row._id.perpetrator).filter(Boolean);
+  const linked = await Perpetrator.find({ _id: { $in: linkedIds } }).select('name kind parent affiliation').lean();
+  const parentIds = linked.map(perpetrator => perpetrator.parent).filter(Boolean);
+  const related = await Perpetrator.find({
+    $or: [{ _id: { $in: parentIds } }, { kind: 'affiliation' }]
+  }).select('name kind code parent affiliation').lean();
+
+  const byId = new Map([...linked, ...related].map(perpetrator => [String(perpetrator._id), perpetrator]));
+  const affiliationByCode = new Map(related
+    .filter(perpetrator => perpetrator.kind === 'affiliation')
+    .map(perpetrator => [perpetrator.code, perpetrator]));
+
+  const groupFor = (row) => {
+    const perpetrator = row._id.perpetrator ? byId.get(String(row._id.perpetrator)) : null;
+    const affiliation = perpetrator ? perpetrator.affiliation : row._id.affiliation;
+
+    if (groupBy === 'affiliation') {
+      const root = affiliationByCode.get(affiliation);
+      const seed = PERPETRATOR_CATALOGUE.find(entry => entry.code === affiliation);
+      return {
+        key: `affiliation:${affiliation}`,
+        perpetrator: root ? summarize(root) : null,
+        affiliation,
+        name: root ? root.name : seed?.name
+      };
+    }
+
+    if (!perpetrator) {
+      return { key: `unlinked:${affiliation}`, perpetrator: null, affiliation };
+    }
+
+    // Affiliations have no parent and stand for themselves
+    const group = groupBy === 'parent' && perpetrator.parent
+      ? byId.get(String(perpetrator.parent)) || perpetrator
+      : perpetrator;
+
+    return { key: String(group._id), perpetrator: summarize(group), affiliation };
+  };
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const group = groupFor(row);
+    if (!groups.has(group.key)) {
+      const entry = { perpetrator: group.perpetrator, affiliation: group.affiliation, ...emptyTotals() };
+      if (group.name) entry.name = group.name;
+      groups.set(group.key, entry);
+    }
+    addTotals(groups.get(group.key), row);
+  });
+
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+};
+
+module.exports = {
+  getPerpetratorStats
+};
@@ -0,0 +1,93 @@
+const Perpetrator = require('../../models/Perpetrator');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { pickPerpetratorFields } = require('./create');
+const { clearParseInstructionsCache } = require('./instructions');
+const { updateViolationsWithRevisions } = require('../violations/history');
+
+/**
+ * Re-place the members of a perpetrator after it moved in the hierarchy, and carry
+ * a new affiliation over to the violations linked to it or its members
+ * @param {Object} perpetrator - Moved perpetrator (saved)
+ * @param {String} userId - User ID performing the move
+ * @returns {Promise<Object>} - { updatedMembers, updatedViolations }
+ */
+const cascadeHierarchyChange = async (perpetrator, userId) => {
+  const members = await Perpetrator.find({ ancestors: perpetrator._id }).select('ancestors').lean();
+  const prefix = [...perpetrator.ancestors, perpetrator._id];
+
+  if (members.length > 0) {
+    await Perpetrator.bulkWrite(members.map(member => {
+      const position = member.ancestors.findIndex(id => String(id) === String(perpetrator._id));
+      return {
+        updateOne: {
+          filter: { _id: member._id },
+          update: {
+            $set: {
+              ancestors: [...prefix, ...member.ancestors.slice(position + 1)],
+              affiliation: perpetrator.affiliation
+            }
+          }
+        }
+      };
+    }));
+  }
+
+  const updatedViolations = await updateViolationsWithRevisions(
+    { perpetrator_entity: { $in: [perpetrator._id, ...members.map(member => member._id)] } },
+    { $set: { perpetrator_affiliation: perpetrator.affiliation } },
+    {
+      userId,
+      reason: `Affiliation of perpetrator ${perpetrator._id} changed`,
+      metadata: { perpetrator: perpetrator._id }
+    }
+  );
+
+  return { updatedMembers: members.length, updatedViolations };
+};
+
+/**
+ * Update a perpetrator. Moving it under another parent moves its members with it.
+ * @param {String} perpetratorId - Perpetrator ID
+ * @param {Object} perpetratorData - Fields to update
+ * @param {String} userId - User ID performing the update
+ * @returns {Promise<Object>} - Updated perpetrator
+ */
+const updatePerpetrator = async (perpetratorId, perpetratorData, userId) => {
+  const perpetrator = await Perpetrator.findById(perpetratorId);
+
+  if (!perpetrator) {
+    throw new ErrorResponse(`Perpetrator not found with id of ${perpetratorId}`, 404);
+  }
+
+  const previousAffiliation = perpetrator.affiliation;
+  const previousParent = perpetrator.parent ? String(perpetrator.parent) : null;
+
+  perpetrator.set({
+    ...pickPerpetratorFields(perpetratorData),
+    updated_by: userId
+  });
+
+  // Saved through the document so the hierarchy and name keys are rebuilt
+  await perpetrator.save();
+
+  const currentParent = perpetrator.parent ? String(perpetrator.parent) : null;
+
+  if (currentParent !== previousParent || perpetrator.affiliation !== previousAffiliation) {
+    const { updatedMembers, updatedViolations } = await cascadeHierarchyChange(perpetrator, userId);
+    logger.info(`Perpetrator ${perpetrator._id} moved in the catalogue`, {
+      userId,
+      affiliation: perpetrator.affiliation,
+      updatedMembers,
+      updatedViolations
+    });
+  }
+
+  clearParseInstructionsCache();
+
+  return perpetrator;
+};
+
+module.exports = {
+  updatePerpetrator
+};
@@ -0,0 +1,25 @@
+/**
+ * Report Commands
+ *
+ * This module exports all commands handling the reports scraped from Telegram. These
+ * commands encapsulate business logic and can be used by controllers, queue workers,
+ * CLI tools, or any other part of the application.
+ */
+
+// LLM parsing pipeline
+const {
+  findReportsByChannelPriority,
+  createReportParsingJob,
+  createReportParsingJobs,
+  recordReportParsingOutcome,
+  reclaimStuckReports
+} = require('./parsing');
+
+module.exports = {
+  // LLM parsing pipeline
+  findReportsByChannelPriority,
+  createReportParsingJob,
+  createReportParsingJobs,
+  recordReportParsingOutcome,
+  reclaimStuckReports
+};
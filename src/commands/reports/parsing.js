@@ -0,0 +1,214 @@
+const Report = require('../../models/Report');
+const Channel = require('../../models/Channel');
+const MediaItem = require('../../models/MediaItem');
+const ReportParsingJob = require('../../models/jobs/ReportParsingJob');
+const config = require('../../config/config');
+const logger = require('../../config/logger');
+
+const { CHANNEL_PRIORITIES } = Channel;
+
+// Time a claimed report is given to get its job onto the queue before a missing job
+// counts as lost
+const QUEUE_GRACE_MS = 5 * 60 * 1000;
+
+/**
+ * Find the reports ready for parsing, those of high priority channels first and the
+ * newest first within a priority. Reports of channels that were deleted come last.
+ * @param {Number} limit - Most reports returned
+ * @returns {Promise<Array<Object>>} - Reports
+ */
+const findReportsByChannelPriority = async (limit) => {
+  const channels = await Channel.find({}).select('name priority').lean();
+  const reports = [];
+
+  for (const [index, priority] of CHANNEL_PRIORITIES.entries()) {
+    if (reports.length >= limit) break;
+
+    // The last priority also takes the reports of unknown channels
+    const isLast = index === CHANNEL_PRIORITIES.length - 1;
+    const names = channels
+      .filter(channel => (isLast ? channel.priority !== priority : channel.priority === priority))
+      .map(channel => channel.name);
+    const filter = isLast
+      ? { 'metadata.channel': { $nin: names } }
+      : { 'metadata.channel': { $in: names } };
+
+    reports.push(...await Report.findReadyForProcessing(limit - reports.length, filter));
+  }
+
+  return reports;
+};
+
+/**
+ * Create a parsing job for a report, claiming it first so a report is never queued twice
+ * @param {Object} report - Report ready for processing
+ * @returns {Promise<Object|null>} - Parsing job, or null if the report was already claimed
+ */
+const createReportParsingJob = async (report) => {
+  const claimed = await Report.findOneAndUpdate(
+    { _id: report._id, status: 'new' },
+    {
+      $set: { status: 'processing', error: null, processingStartedAt: new Date() },
+      $inc: { parsingAttempts: 1 }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  try {
+    const job = await ReportParsingJob.create({
+      report: claimed._id,
+      reportText: claimed.text,
+      sourceURL: {
+        name: claimed.metadata.channel,
+        url: claimed.source_url,
+        reportDate: claimed.date.toISOString().split('T')[0]
+      },
+      mediaLinks: await MediaItem.getArchivedUrls(claimed.media),
+      status: 'queued'
+    });
+
+    await Report.updateOne({ _id: claimed._id }, { parsingJobId: job._id });
+    return job;
+  } catch (error) {
+    await Report.updateOne({ _id: claimed._id }, { status: 'failed', error: `Could not queue report for parsing: ${error.message}` });
+    throw error;
+  }
+};
+
+/**
+ * Create parsing jobs for the reports ready for processing, keeping at most
+ * maxInFlight reports queued or being parsed
+ * @param {Object} options - Batch options
+ * @param {Number} options.maxInFlight - Most reports queued or being parsed at once
+ * @returns {Promise<Object>} - { jobs, inFlight, failed } where jobs are the created parsing jobs
+ */
+const createReportParsingJobs = async ({ maxInFlight = config.reportParsing.maxInFlight } = {}) => {
+  const inFlight = await Report.countDocuments({ status: 'processing' });
+  const available = maxInFlight - inFlight;
+  const result = { jobs: [], inFlight, failed: 0 };
+
+  if (available <= 0) {
+    return result;
+  }
+
+  const reports = await findReportsByChannelPriority(available);
+
+  for (const report of reports) {
+    try {
+      const job = await createReportParsingJob(report);
+      if (job) {
+        result.jobs.push(job);
+      }
+    } catch (error) {
+      result.failed++;
+      logger.error(`Error creating parsing job for report ${report._id}:`, error);
+    }
+  }
+
+  result.inFlight += result.jobs.length;
+  return result;
+};
+
+// Whether a report whose parsing failed gets another parsing job
+const canRetryReport = (report) => (report.parsingAttempts || 0) < config.reportParsing.reportAttempts;
+
+/**
+ * Record the outcome of a parsing job on its report, if it parsed a scraped report. The
+ * report of a failed job goes back to new while it has parsing jobs left.
+ * @param {String} jobId - Parsing job ID
+ * @param {Object} outcome - Outcome of the job
+ * @param {Boolean} outcome.success - Whether the job completed
+ * @param {String} outcome.error - Error of a failed job
+ * @returns {Promise<Object|null>} - Updated report
+ */
+const recordReportParsingOutcome = async (jobId, { success, error }) => {
+  const report = await Report.findOne({ parsingJobId: jobId });
+  if (!report) {
+    return null;
+  }
+
+  if (success) {
+    return report.markAsProcessed(jobId);
+  }
+
+  return canRetryReport(report)
+    ? report.markForRetry(error || 'Parsing failed')
+    : report.markAsFailed(error || 'Parsing failed');
+};
+
+/**
+ * Take back the reports stuck in processing: claimed longer than the processing timeout
+ * ago, or whose parsing job is no longer on the queue (lost when a worker crashed, a job
+ * stalled or Redis was flushed). They go back to new while they have parsing jobs left,
+ * to failed otherwise, and free their in-flight slot.
+ * @param {Object} options - Reclaim options
+ * @param {Number} options.timeoutMinutes - Minutes a report may stay processing
+ * @param {Function} options.isJobQueued - Called with a parsing job ID, resolves whether the job
+ * is still waiting or running on the queue; the queue is not checked when not given
+ * @returns {Promise<Object>} - { retried, failed } numbers of reports sent back and failed
+ */
+const reclaimStuckReports = async ({
+  timeoutMinutes = config.reportParsing.processingTimeoutMinutes,
+  isJobQueued = null
+} = {}) => {
+  const now = Date.now();
+  const timedOutBefore = new Date(now - timeoutMinutes * 60 * 1000);
+  const graceBefore = new Date(now - QUEUE_GRACE_MS);
+  const result = { retried: 0, failed: 0 };
+
+  const reports = await Report.find({ status: 'processing' });
+
+  for (const report of reports) {
+    // Reports claimed before the claim time was recorded fall back to their last update
+    const startedAt = report.processingStartedAt || report.updatedAt;
+    let reason = null;
+
+    if (!startedAt || startedAt < timedOutBefore) {
+      reason = `Parsing did not finish within ${timeoutMinutes} minutes`;
+    } else if (isJobQueued && startedAt < graceBefore &&
+      !(report.parsingJobId && await isJobQueued(report.parsingJobId.toString()))) {
+      reason = 'Parsing job is no longer on the queue';
+    }
+
+    if (!reason) continue;
+
+    const retry = canRetryReport(report);
+
+    // Only if the job did not finish in the meantime
+    const reclaimed = await Report.findOneAndUpdate(
+      { _id: report._id, status: 'processing', parsingJobId: report.parsingJobId },
+      { $set: { status: retry ? 'new' : 'failed', error: reason } },
+      { new: true }
+    );
+
+    if (!reclaimed) continue;
+
+    if (report.parsingJobId) {
+      await ReportParsingJob.updateOne(
+        { _id: report.parsingJobId, status: { $nin: ['completed', 'failed'] } },
+        { $set: { status: 'failed', error: reason } }
+      );
+    }
+
+    if (retry) {
+      result.retried++;
+    } else {
+      result.failed++;
+    }
+    logger.warn(`Report ${report._id} taken back from parsing (${reason}); ${retry ? 'queued again' : 'marked as failed'}`);
+  }
+
+  return result;
+};
+
+module.exports = {
+  findReportsByChannelPriority,
+  createReportParsingJob,
+  createReportParsingJobs,
+  recordReportParsingOutcome,
+  reclaimStuckReports
+};
@@ -0,0 +1,47 @@
+const Victim = require('../../models/Victim');
+const logger = require('../../config/logger');
+const { findVictimDuplicates } = require('./duplicates');
+
+// Victim fields that can be set through the API
+const VICTIM_FIELDS = ['name', 'aliases', 'birth_year', 'gender', 'hometown', 'restricted', 'notes'];
+
+const pickVictimFields = (data = {}) => {
+  const picked = {};
+  VICTIM_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
+  });
+  return picked;
+};
+
+/**
+ * Add a person to the victim registry
+ * @param {Object} victimData - Victim data
+ * @param {String} userId - User ID creating the victim
+ * @returns {Promise<Object>} - { victim, possibleDuplicates } where possibleDuplicates lists
+ *                              existing records that may be the same person
+ */
+const createVictim = async (victimData, userId) => {
+  const data = pickVictimFields(victimData);
+  const possibleDuplicates = await findVictimDuplicates(data);
+
+  const victim = await Victim.create({
+    ...data,
+    created_by: userId,
+    updated_by: userId
+  });
+
+  logger.info(`Victim ${victim._id} added to the registry`, {
+    userId,
+    possibleDuplicates: possibleDuplicates.length
+  });
+
+  return { victim, possibleDuplicates };
+};
+
+module.exports = {
+  VICTIM_FIELDS,
+  pickVictimFields,
+  createVictim
+};
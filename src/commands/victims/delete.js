@@ -0,0 +1,38 @@
+const Victim = require('../../models/Victim');
+const Violation = require('../../models/Violation');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+
+/**
+ * Remove a victim from the registry. Victims still linked to violations cannot be
+ * deleted; merge them into the right record instead.
+ * @param {String} victimId - Victim ID
+ * @param {String} userId - User ID performing the deletion
+ * @returns {Promise<Object>} - Deleted victim
+ */
+const deleteVictim = async (victimId, userId) => {
+  const victim = await Victim.findById(victimId);
+
+  if (!victim) {
+    throw new ErrorResponse(`Victim not found with id of ${victimId}`, 404);
+  }
+
+  const linkedViolations = await Violation.countDocuments({ 'victims.victim': victim._id });
+
+  if (linkedViolations > 0) {
+    throw new ErrorResponse(
+      `Victim is linked to ${linkedViolations} violation(s) and cannot be deleted`,
+      400
+    );
+  }
+
+  await Victim.findByIdAndDelete(victim._id);
+
+  logger.info(`Victim ${victim._id} deleted from the registry`, { userId });
+
+  return victim;
+};
+
+module.exports = {
+  deleteVictim
+};
@@ -0,0 +1,111 @@
+const stringSimilarity = require('string-similarity');
+const Victim = require('../../models/Victim');
+const { escapeRegExp } = require('../../utils/textNormalizer');
+
+// Name similarity above which two victim records are suggested as the same person
+const VICTIM_SIMILARITY_THRESHOLD = 0.8;
+
+// Birth years further apart than this mean two records cannot be the same person
+const BIRTH_YEAR_TOLERANCE = 1;
+
+// Upper bound on records compared against a victim
+const MAX_CANDIDATES = 200;
+
+// Name tokens shorter than this are too common to narrow the search (al, bin, abu)
+const MIN_TOKEN_LENGTH = 3;
+
+const sameText = (a, b) => Boolean(a && b && a.trim().toLowerCase() === b.trim().toLowerCase());
+
+/**
+ * Compare two victim records
+ * @param {Object} victim - Victim being checked (with name_keys)
+ * @param {Object} candidate - Existing victim (with name_keys)
+ * @returns {Object|null} - { similarity, matchedCriteria } or null if they cannot be the same person
+ */
+const compareVictims = (victim, candidate) => {
+  if (victim.birth_year && candidate.birth_year &&
+      Math.abs(victim.birth_year - candidate.birth_year) > BIRTH_YEAR_TOLERANCE) {
+    return null;
+  }
+
+  if (victim.gender && candidate.gender && victim.gender !== 'unknown' && candidate.gender !== 'unknown' &&
+      victim.gender !== candidate.gender) {
+    return null;
+  }
+
+  let similarity = 0;
+  (victim.name_keys || []).forEach(key => {
+    (candidate.name_keys || []).forEach(candidateKey => {
+      similarity = Math.max(similarity, stringSimilarity.compareTwoStrings(key, candidateKey));
+    });
+  });
+
+  if (similarity < VICTIM_SIMILARITY_THRESHOLD) {
+    return null;
+  }
+
+  const matchedCriteria = [similarity === 1 ? 'same_name' : 'similar_name'];
+
+  if (victim.birth_year && victim.birth_year === candidate.birth_year) {
+    matchedCriteria.push('same_birth_year');
+  }
+
+  if (sameText(victim.hometown?.en, candidate.hometown?.en) || sameText(victim.hometown?.ar, candidate.hometown?.ar)) {
+    matchedCriteria.push('same_hometown');
+  }
+
+  return { similarity: Math.round(similarity * 100) / 100, matchedCriteria };
+};
+
+/**
+ * Find registry records that may describe the same person as the given victim data
+ * @param {Object} victimData - Victim data (name, aliases, birth_year, gender, hometown)
+ * @param {Object} options - Search options
+ * @param {String} options.excludeId - Victim ID to leave out (the victim itself)
+ * @param {Number} options.limit - Maximum number of matches (default 10)
+ * @returns {Promise<Array<Object>>} - Matches { victim, similarity, matchedCriteria }, best first
+ */
+const findVictimDuplicates = async (victimData, options = {}) => {
+  const nameKeys = Victim.buildNameKeys(victimData);
+  const tokens = [...new Set(nameKeys.flatMap(key => key.split(' ')))]
+    .filter(token => token.length >= MIN_TOKEN_LENGTH);
+
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const query = {
+    merged_into: null,
+    name_keys: { $in: tokens.map(token => new RegExp(`(^| )${escapeRegExp(token)}( |$)`)) }
+  };
+
+  if (options.excludeId) {
+    query._id = { $ne: options.excludeId };
+  }
+
+  const candidates = await Victim.find(query)
+    .select('+name_keys')
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  const victim = { ...victimData, name_keys: nameKeys };
+
+  return candidates
+    .map(candidate => {
+      const match = compareVictims(victim, candidate);
+      if (!match) return null;
+
+      const candidateVictim = { ...candidate };
+      delete candidateVictim.name_keys;
+      return { victim: candidateVictim, ...match };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, options.limit || 10);
+};
+
+module.exports = {
+  VICTIM_SIMILARITY_THRESHOLD,
+  compareVictims,
+  findVictimDuplicates
+};
@@ -0,0 +1,48 @@
+/**
+ * Victim Commands
+ *
+ * This module exports all victim registry commands for database operations.
+ * These commands encapsulate business logic and can be used by controllers,
+ * queue workers, CLI tools, or any other part of the application.
+ */
+
+// Create operations
+const { createVictim } = require('./create');
+
+// Update operations
+const { updateVictim, mergeVictims } = require('./update');
+
+// Delete operations
+const { deleteVictim } = require('./delete');
+
+// Query operations
+const {
+  buildVictimFilterQuery,
+  getVictims,
+  getVictimById,
+  getVictimTimeline
+} = require('./query');
+
+// Duplicate detection
+const { findVictimDuplicates } = require('./duplicates');
+
+module.exports = {
+  // Create
+  createVictim,
+
+  // Update
+  updateVictim,
+  mergeVictims,
+
+  // Delete
+  deleteVictim,
+
+  // Query
+  buildVictimFilterQuery,
+  getVictims,
+  getVictimById,
+  getVictimTimeline,
+
+  // Duplicates
+  findVictimDuplicates
+};
@@ -0,0 +1,168 @@
+const Victim = require('../../models/Victim');
+const Violation = require('../../models/Violation');
+const { NOT_DELETED_FILTER, PUBLISHED_FILTER } = require('../violations/query');
+const { normalizeText, escapeRegExp } = require('../../utils/textNormalizer');
+
+/**
+ * Build filter query based on query parameters
+ * @param {Object} queryParams - Request query parameters
+ * @param {Object} options - Query options
+ * @param {Boolean} options.includeRestricted - Include restricted victims (editors and admins)
+ * @returns {Object} Mongoose query object
+ */
+const buildVictimFilterQuery = (queryParams, options = {}) => {
+  // Records merged into another victim are reached through the surviving record
+  const query = { merged_into: null };
+
+  if (!options.includeRestricted) {
+    query.restricted = false;
+  } else if (queryParams.restricted !== undefined) {
+    query.restricted = queryParams.restricted === 'true';
+  }
+
+  // Search names and aliases in either language, ignoring case, accents and Arabic spelling variants
+  if (queryParams.name) {
+    const normalized = normalizeText(queryParams.name);
+    if (normalized) {
+      query.name_keys = new RegExp(escapeRegExp(normalized));
+    }
+  }
+
+  if (queryParams.birth_year) {
+    query.birth_year = parseInt(queryParams.birth_year, 10);
+  }
+
+  if (queryParams.gender) {
+    query.gender = queryParams.gender;
+  }
+
+  if (queryParams.hometown) {
+    const hometownRegex = new RegExp(escapeRegExp(queryParams.hometown), 'i');
+    query.$or = [
+      { 'hometown.en': hometownRegex },
+      { 'hometown.ar': hometownRegex }
+    ];
+  }
+
+  return query;
+};
+
+/**
+ * Search the victim registry with pagination
+ * @param {Object} queryParams - Query parameters for filtering
+ * @param {Object} paginationOptions - Pagination options
+ * @param {Object} options - Query options
+ * @param {Boolean} options.includeRestricted - Include restricted victims
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getVictims = async (queryParams, paginationOptions = {}, options = {}) => {
+  const query = buildVictimFilterQuery(queryParams, options);
+
+  const paginateOptions = {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 10,
+    sort: paginationOptions.sort || 'name.en'
+  };
+
+  const result = await Victim.paginate(query, paginateOptions);
+
+  return {
+    victims: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
+    }
+  };
+};
+
+/**
+ * Get a victim by ID, following merges to the record that survived them
+ * @param {String} victimId - Victim ID
+ * @param {Object} options - Query options
+ * @param {Boolean} options.includeRestricted - Return restricted victims
+ * @returns {Promise<Object|null>} - Victim, or null if not found or not visible
+ */
+const getVictimById = async (victimId, options = {}) => {
+  const visited = new Set();
+  let victim = await Victim.findById(victimId);
+
+  // A merged record can itself be merged later, so follow the chain to its end
+  while (victim && victim.merged_into && !visited.has(String(victim.merged_into))) {
+    visited.add(String(victim._id));
+    victim = await Victim.findById(victim.merged_into);
+  }
+
+  if (!victim || (victim.restricted && !options.includeRestricted)) {
+    return null;
+  }
+
+  return victim;
+};
+
+/**
+ * Get the violations linked to a victim in chronological order
+ * @param {String} victimId - Victim ID
+ * @param {Object} options - Query options
+ * @param {Boolean} options.includeRestricted - Allow restricted victims
+ * @param {Boolean} options.includeUnpublished - Include violations that are not published yet
+ * @returns {Promise<Object|null>} - { victim, timeline } or null if the victim is not visible
+ */
+const getVictimTimeline = async (victimId, options = {}) => {
+  const victim = await getVictimById(victimId, options);
+
+  if (!victim) {
+    return null;
+  }
+
+  const violations = await Violation.find({
+    ...(options.includeUnpublished ? NOT_DELETED_FILTER : PUBLISHED_FILTER),
+    'victims.victim': victim._id
+  })
+    .select('type date location.name location.administrative_division perpetrator perpetrator_affiliation victims review_status')
+    .sort({ date: 1, _id: 1 })
+    .lean();
+
+  const timeline = violations.map(violation => {
+    const entry = {
+      violation: violation._id,
+      date: violation.date,
+      type: violation.type,
+      location: {
+        name: violation.location?.name,
+        administrative_division: violation.location?.administrative_division
+      },
+      perpetrator: violation.perpetrator,
+      perpetrator_affiliation: violation.perpetrator_affiliation,
+      // What the violation records about this person (status, age at the time, death date)
+      details: (violation.victims || [])
+        .filter(details => String(details.victim) === String(victim._id))
+        .map(details => {
+          const victimDetails = { ...details };
+          delete victimDetails.victim;
+          return victimDetails;
+        })
+    };
+
+    if (options.includeUnpublished) {
+      entry.review_status = violation.review_status;
+    }
+
+    return entry;
+  });
+
+  return { victim, timeline };
+};
+
+module.exports = {
+  buildVictimFilterQuery,
+  getVictims,
+  getVictimById,
+  getVictimTimeline
+};
@@ -0,0 +1,132 @@
+const Victim = require('../../models/Victim');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { pickVictimFields } = require('./create');
+const { updateViolationsWithRevisions } = require('../violations/history');
+
+/**
+ * Load a victim that has not been merged into another record
+ * @param {String} victimId - Victim ID
+ * @param {String} label - How the record is referred to in errors
+ * @returns {Promise<Object>} - Victim document
+ */
+const findActiveVictim = async (victimId, label = 'Victim') => {
+  const victim = await Victim.findById(victimId);
+
+  if (!victim) {
+    throw new ErrorResponse(`${label} not found with id of ${victimId}`, 404);
+  }
+
+  if (victim.merged_into) {
+    throw new ErrorResponse(`${label} ${victimId} has already been merged into ${victim.merged_into}`, 400);
+  }
+
+  return victim;
+};
+
+/**
+ * Update a victim record
+ * @param {String} victimId - Victim ID
+ * @param {Object} victimData - Fields to update
+ * @param {String} userId - User ID performing the update
+ * @returns {Promise<Object>} - Updated victim
+ */
+const updateVictim = async (victimId, victimData, userId) => {
+  const victim = await findActiveVictim(victimId);
+
+  victim.set({
+    ...pickVictimFields(victimData),
+    updated_by: userId
+  });
+
+  // Saved through the document so name keys are rebuilt
+  await victim.save();
+
+  return victim;
+};
+
+/**
+ * Merge a duplicate victim record into another. The source's names become aliases of the
+ * target, details missing on the target are copied over and violations linked to the
+ * source are re-linked to the target.
+ * @param {String} targetId - Victim that is kept
+ * @param {String} sourceId - Duplicate victim that is merged away
+ * @param {String} userId - User ID performing the merge
+ * @returns {Promise<Object>} - { victim, relinkedViolations }
+ */
+const mergeVictims = async (targetId, sourceId, userId) => {
+  if (String(targetId) === String(sourceId)) {
+    throw new ErrorResponse('A victim cannot be merged into itself', 400);
+  }
+
+  const target = await findActiveVictim(targetId);
+  const source = await findActiveVictim(sourceId, 'Source victim');
+
+  // Keep every spelling of the source as an alias unless the target already has it
+  const knownKeys = new Set(Victim.buildNameKeys(target));
+  const aliases = [...target.aliases];
+
+  [source.name, ...source.aliases].forEach(name => {
+    const keys = Victim.buildNameKeys({ name });
+    if (keys.length > 0 && keys.some(key => !knownKeys.has(key))) {
+      aliases.push({ en: name.en || '', ar: name.ar || '' });
+      keys.forEach(key => knownKeys.add(key));
+    }
+  });
+
+  target.aliases = aliases;
+
+  if (!target.birth_year && source.birth_year) {
+    target.birth_year = source.birth_year;
+  }
+
+  if ((!target.gender || target.gender === 'unknown') && source.gender) {
+    target.gender = source.gender;
+  }
+
+  ['en', 'ar'].forEach(lang => {
+    if (!target.hometown?.[lang] && source.hometown?.[lang]) {
+      target.set(`hometown.${lang}`, source.hometown[lang]);
+    }
+  });
+
+  if (source.notes) {
+    target.notes = [target.notes, source.notes].filter(Boolean).join('\n\n');
+  }
+
+  // A record the family asked to restrict stays restricted after a merge
+  target.restricted = target.restricted || source.restricted;
+  target.updated_by = userId;
+
+  await target.save();
+
+  const relinkedViolations = await updateViolationsWithRevisions(
+    { 'victims.victim': source._id },
+    violation => ({
+      victims: violation.victims.map(entry => (
+        String(entry.victim) === String(source._id) ? { ...entry, victim: target._id } : entry
+      ))
+    }),
+    {
+      userId,
+      reason: `Victim ${source._id} merged into ${target._id}`,
+      metadata: { mergedVictim: source._id, victim: target._id }
+    }
+  );
+
+  source.merged_into = target._id;
+  source.updated_by = userId;
+  await source.save();
+
+  logger.info(`Victim ${source._id} merged into ${target._id}`, {
+    userId,
+    relinkedViolations
+  });
+
+  return { victim: target, relinkedViolations };
+};
+
+module.exports = {
+  updateVictim,
+  mergeVictims
+};
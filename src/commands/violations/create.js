@@ -3,15 +3,25 @@ const mongoose = require('mongoose');
 const { getCachedOrFreshGeocode } = require('../../utils/geocoder');
 const { checkForDuplicates } = require('../../utils/duplicateChecker');
 const { mergeWithExistingViolation } = require('./merge');
+const { writeWithRevision } = require('./history');
+const { recordDuplicateCandidates } = require('./duplicates');
+const { resolvePerpetratorLink } = require('../perpetrators/link');
+const { resolveTerritoryControl } = require('./territory');
+const { resolveAdminCodes } = require('../adminBoundaries/assign');
+const { searchGazetteer } = require('../gazetteer');
+const config = require('../../config/config');
 const logger = require('../../config/logger');
 const ErrorResponse = require('../../utils/errorResponse');
 
+// Most candidate points kept on a violation for the geocoding review queue
+const MAX_GEOCODING_CANDIDATES = 5;
+
 /**
- * Geocode a location based on Arabic and English names with caching optimization
+ * Geocode a location with its Arabic and English names and keep the better result
  * @param {Object} location - Location object with name and administrative_division
- * @returns {Promise<Array>} - Coordinates [longitude, latitude] or null if failed
+ * @returns {Promise<Object>} - { best, results } with the chosen result and every result found
  */
-const geocodeLocationData = async (location) => {
+const geocodeLocationNames = async (location) => {
   if (!location || !location.name) {
     throw new Error('Location name is required');
   }
@@ -49,7 +59,10 @@ const geocodeLocationData = async (location) => {
     }
 
     if (geoData && geoData.length > 0) {
-      return [geoData[0].longitude, geoData[0].latitude];
+      return {
+        best: geoData[0],
+        results: [...(geoDataAr || []), ...(geoDataEn || [])]
+      };
     } else {
       throw new Error(
         `Could not find valid coordinates for location. Tried both Arabic (${locationNameAr}) and English (${locationNameEn}) names. Please verify the location names.`
@@ -60,6 +73,116 @@ const geocodeLocationData = async (location) => {
   }
 };
 
+/**
+ * Geocode a location based on Arabic and English names with caching optimization
+ * @param {Object} location - Location object with name and administrative_division
+ * @returns {Promise<Array>} - Coordinates [longitude, latitude] or null if failed
+ */
+const geocodeLocationData = async (location) => {
+  const { best } = await geocodeLocationNames(location);
+  return [best.longitude, best.latitude];
+};
+
+/**
+ * Convert a geocoding result to a candidate point for the geocoding review queue
+ * @param {Object} result - Geocoding result
+ * @returns {Object} - Candidate { coordinates, label, quality, source }
+ */
+const toGeocodingCandidate = (result) => ({
+  coordinates: [result.longitude, result.latitude],
+  label: result.formattedAddress || result.city || '',
+  quality: Number.isFinite(result.quality) ? result.quality : null,
+  source: result.source || (result.fromGazetteer ? 'gazetteer' : null)
+});
+
+/**
+ * Gather candidate points an editor can pick from: the results already found plus
+ * the gazetteer places matching either name
+ * @param {Object} location - Location object with name and administrative_division
+ * @param {Array} results - Geocoding results already found
+ * @returns {Promise<Array>} - Candidates, best first
+ */
+const findGeocodingCandidates = async (location, results = []) => {
+  const found = [...results];
+  const names = [
+    [location.name?.ar, location.administrative_division?.ar],
+    [location.name?.en, location.administrative_division?.en]
+  ];
+
+  for (const [name, adminDivision] of names) {
+    if (!name) continue;
+    try {
+      found.push(...await searchGazetteer(name, adminDivision || '', { limit: MAX_GEOCODING_CANDIDATES }));
+    } catch (error) {
+      logger.error(`Gazetteer candidate search failed for "${name}": ${error.message}`);
+    }
+  }
+
+  // One candidate per point (about 10 m apart)
+  const candidates = new Map();
+  found
+    .filter(result => Number.isFinite(result.longitude) && Number.isFinite(result.latitude))
+    .map(toGeocodingCandidate)
+    .forEach(candidate => {
+      const key = candidate.coordinates.map(value => value.toFixed(4)).join(',');
+      const existing = candidates.get(key);
+      if (!existing || (candidate.quality || 0) > (existing.quality || 0)) {
+        candidates.set(key, candidate);
+      }
+    });
+
+  return [...candidates.values()]
+    .sort((a, b) => (b.quality || 0) - (a.quality || 0))
+    .slice(0, MAX_GEOCODING_CANDIDATES);
+};
+
+/**
+ * Geocode a location and record how well it went. Results scoring below the review
+ * quality are kept but flagged, with candidate points, for the geocoding review queue.
+ * @param {Object} location - Location object with name and administrative_division
+ * @param {Object} options - Geocoding options
+ * @param {Boolean} options.allowFailure - Flag a location that cannot be geocoded instead of throwing
+ * @returns {Promise<Object>} - { coordinates, geocoding }, coordinates null when the geocode failed
+ */
+const geocodeLocationForReview = async (location, options = {}) => {
+  let geocoded;
+  try {
+    geocoded = await geocodeLocationNames(location);
+  } catch (error) {
+    if (!options.allowFailure || !location || !location.name) throw error;
+
+    return {
+      coordinates: null,
+      geocoding: {
+        status: 'failed',
+        quality: null,
+        source: null,
+        error: error.message,
+        candidates: await findGeocodingCandidates(location)
+      }
+    };
+  }
+
+  const { best, results } = geocoded;
+  const quality = Number.isFinite(best.quality) ? best.quality : null;
+  const lowQuality = quality !== null && quality < config.geocoding.reviewMinQuality;
+
+  if (lowQuality) {
+    logger.info(`Low quality geocode (${quality}) flagged for review: ${location.name.en || location.name.ar}`);
+  }
+
+  return {
+    coordinates: [best.longitude, best.latitude],
+    geocoding: {
+      status: lowQuality ? 'low_quality' : 'ok',
+      quality,
+      source: toGeocodingCandidate(best).source,
+      error: null,
+      candidates: lowQuality ? await findGeocodingCandidates(location, results) : []
+    }
+  };
+};
+
 /**
  * Process a single violation data (geocode and add user info)
  * @param {Object} violationData - Violation data
@@ -68,16 +191,29 @@ const geocodeLocationData = async (location) => {
  * @returns {Promise<Object>} - Processed violation data
  */
 const processViolationData = async (violationData, userId, options = {}) => {
-  // Geocode location if provided and not skipped
+  // Geocode location if provided and not skipped. The geocoding outcome is never taken
+  // from input; batch geocoding has already set it when individual geocoding is skipped.
   if (violationData.location && violationData.location.name && !options.skipGeocoding) {
-    const coordinates = await geocodeLocationData(violationData.location);
-    violationData.location.coordinates = coordinates;
+    const { coordinates, geocoding } = await geocodeLocationForReview(violationData.location, {
+      allowFailure: options.allowFailedGeocoding
+    });
+    if (coordinates) {
+      violationData.location.coordinates = coordinates;
+    }
+    violationData.geocoding = geocoding;
+  } else if (!options.skipGeocoding) {
+    delete violationData.geocoding;
   }
 
   // Add user information
   violationData.created_by = userId;
   violationData.updated_by = userId;
 
+  // Set initial review state (defaults to published when not specified)
+  if (options.reviewStatus) {
+    violationData.review_status = options.reviewStatus;
+  }
+
   return violationData;
 };
 
@@ -89,17 +225,25 @@ const processViolationData = async (violationData, userId, options = {}) => {
  * @returns {Promise<Object>} - Created or merged violation
  */
 const createSingleViolation = async (violationData, userId, options = {}) => {
+  // Likely duplicates are kept as candidates for an editor unless merging is asked for
   const { 
     checkDuplicates = true,
-    mergeDuplicates = true,
+    mergeDuplicates = false,
+    recordCandidates = true,
     duplicateThreshold = 0.75 
   } = options;
 
+  // Link the perpetrator catalogue, which also decides the perpetrator affiliation
+  await resolvePerpetratorLink(violationData);
+
   // 1. Validate and sanitize data using model validation
   const sanitizedData = await Violation.validateForCreation(violationData, { 
     requiresGeocoding: true 
   });
 
+  // Matches kept as duplicate candidates for an editor to confirm or dismiss
+  let candidateMatches = [];
+
   // 2. Check for duplicates if enabled
   if (checkDuplicates) {
     // Use a more robust duplicate checking with retry logic to handle race conditions
@@ -129,7 +273,7 @@ const createSingleViolation = async (violationData, userId, options = {}) => {
            
           if (process.env.NODE_ENV !== 'test' && mongoose.Types.ObjectId.isValid(bestMatch.violation._id)) {
             const freshViolation = await Violation.findById(bestMatch.violation._id);
-            if (!freshViolation) {
+            if (!freshViolation || freshViolation.deleted_at) {
               // Violation was deleted, retry duplicate check
               retryCount++;
               await new Promise(resolve => setTimeout(resolve, 100)); // Small delay
@@ -143,7 +287,7 @@ const createSingleViolation = async (violationData, userId, options = {}) => {
             sanitizedData, 
             existingViolation, 
             userId,
-            { preferNew: true }
+            { preferNew: true, reason: options.reason }
           );
 
           return {
@@ -155,6 +299,9 @@ const createSingleViolation = async (violationData, userId, options = {}) => {
               originalId: bestMatch.violation._id
             }
           };
+        } else if (recordCandidates) {
+          // Keep both records and let an editor decide once the new violation exists
+          candidateMatches = duplicateResult.duplicates;
         } else {
           // Return duplicate information without merging
           throw new ErrorResponse(
@@ -179,17 +326,44 @@ const createSingleViolation = async (violationData, userId, options = {}) => {
 
   // 3. Process data (geocode and add user info)
   const processedData = await processViolationData(sanitizedData, userId, options);
+
+  // Record who controlled the location on the incident date
+  processedData.territory_control = await resolveTerritoryControl(processedData);
+
+  // Place the location in the administrative boundaries
+  processedData.admin_codes = await resolveAdminCodes(processedData.location?.coordinates);
   
   // 4. Create violation with additional race condition protection
   try {
-    const violation = await Violation.create(processedData);
+    // The ID is chosen up front so the revision can be stored before the violation
+    processedData._id = new mongoose.Types.ObjectId();
+
+    const violation = await writeWithRevision({
+      violationId: processedData._id,
+      action: 'create',
+      update: processedData,
+      userId,
+      reason: options.reason
+    }, () => Violation.create(processedData));
+
+    if (candidateMatches.length > 0) {
+      const duplicateCandidates = await recordDuplicateCandidates(violation, candidateMatches, userId);
+
+      return {
+        violation,
+        wasMerged: false,
+        duplicateCandidates
+      };
+    }
+
     return {
       violation,
       wasMerged: false
     };
   } catch (error) {
-    // If it's a duplicate key error, do one final duplicate check and merge
-    if (error.code === 11000 && checkDuplicates && mergeDuplicates) {
+    // If it's a duplicate key error, do one final duplicate check and merge.
+    // Identical content cannot be stored twice, so this also applies when recording candidates.
+    if (error.code === 11000 && checkDuplicates && (mergeDuplicates || recordCandidates)) {
       logger.info('Caught duplicate key error, performing final duplicate check', {
         error: error.message
       });
@@ -205,7 +379,7 @@ const createSingleViolation = async (violationData, userId, options = {}) => {
           sanitizedData, 
           bestMatch.violation, 
           userId,
-          { preferNew: true }
+          { preferNew: true, reason: options.reason }
         );
 
         return {
@@ -261,27 +435,32 @@ const batchGeocodeLocations = async (violations) => {
   for (const [locationKey, location] of locationMap) {
     try {
       const startTime = Date.now();
-      const coordinates = await geocodeLocationData(location);
+      const geocoded = await geocodeLocationForReview(location, { allowFailure: true });
       const endTime = Date.now();
       
-      geocodedResults.set(locationKey, coordinates);
+      geocodedResults.set(locationKey, geocoded);
       totalApiCalls += 1; // Track API usage
       
-      logger.info(`Geocoded unique location in ${endTime - startTime}ms: ${location.name?.en || location.name?.ar}`);
+      if (geocoded.coordinates) {
+        logger.info(`Geocoded unique location in ${endTime - startTime}ms: ${location.name?.en || location.name?.ar}`);
+      } else {
+        logger.error(`Failed to geocode location ${location.name?.en || location.name?.ar}: ${geocoded.geocoding.error}`);
+      }
     } catch (error) {
       logger.error(`Failed to geocode location ${location.name?.en || location.name?.ar}: ${error.message}`);
       geocodedResults.set(locationKey, null);
     }
   }
   
-  // Apply results back to violations
+  // Apply results back to violations; failed geocodes are flagged for review
   let successCount = 0;
   violations.forEach((violation, index) => {
     const locationKey = violationLocationMap.get(index);
-    if (locationKey && geocodedResults.has(locationKey)) {
-      const coordinates = geocodedResults.get(locationKey);
-      if (coordinates) {
-        violation.location.coordinates = coordinates;
+    const geocoded = locationKey && geocodedResults.get(locationKey);
+    if (geocoded) {
+      violation.geocoding = geocoded.geocoding;
+      if (geocoded.coordinates) {
+        violation.location.coordinates = geocoded.coordinates;
         successCount++;
       }
     }
@@ -302,7 +481,8 @@ const batchGeocodeLocations = async (violations) => {
 const createBatchViolations = async (violationsData, userId, options = {}) => {
   const { 
     checkDuplicates = true,
-    mergeDuplicates = true,
+    mergeDuplicates = false,
+    recordCandidates = true,
     duplicateThreshold = 0.75 
   } = options;
 
@@ -323,6 +503,9 @@ const createBatchViolations = async (violationsData, userId, options = {}) => {
     throw new ErrorResponse('All violations failed validation', 400, { errors: invalid });
   }
 
+  // The geocoding outcome is never taken from input
+  valid.forEach(data => delete data.geocoding);
+
   // 2. Batch geocode all locations at once to minimize API calls
   if (options.useBatchGeocoding !== false) {
     try {
@@ -343,7 +526,10 @@ const createBatchViolations = async (violationsData, userId, options = {}) => {
       const result = await createSingleViolation(violationData, userId, {
         checkDuplicates,
         mergeDuplicates,
+        recordCandidates,
         duplicateThreshold,
+        reviewStatus: options.reviewStatus,
+        reason: options.reason,
         skipGeocoding: options.useBatchGeocoding !== false // Skip individual geocoding if batch geocoding was used
       });
       
@@ -376,6 +562,7 @@ const createBatchViolations = async (violationsData, userId, options = {}) => {
       violation: r.violation,
       duplicateInfo: r.duplicateInfo
     })),
+    duplicateCandidates: processedResults.flatMap(r => r.duplicateCandidates || []),
     errors: invalid.length > 0 ? invalid : undefined
   };
 };
@@ -384,5 +571,7 @@ module.exports = {
   createSingleViolation,
   createBatchViolations,
   geocodeLocationData,
+  geocodeLocationForReview,
+  findGeocodingCandidates,
   batchGeocodeLocations
 };
\ No newline at end of file
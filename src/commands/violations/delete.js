@@ -1,23 +1,118 @@
 const Violation = require('../../models/Violation');
 const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { writeWithRevision } = require('./history');
 
 /**
- * Delete a violation by ID
+ * Soft delete a violation by ID. The record is tombstoned and hidden from
+ * queries until it is restored or purged.
  * @param {String} violationId - Violation ID to delete
+ * @param {String} userId - User ID performing the deletion
+ * @param {Object} options - Delete options
+ * @param {String} options.reason - Reason for the deletion
  * @returns {Promise<Object>} - Deleted violation
  */
-const deleteViolation = async (violationId) => {
+const deleteViolation = async (violationId, userId, options = {}) => {
+  const violation = await Violation.findById(violationId);
+
+  if (!violation || violation.deleted_at) {
+    throw new ErrorResponse(`Violation not found with id of ${violationId}`, 404);
+  }
+
+  const deletion = {
+    deleted_at: new Date(),
+    deleted_by: userId,
+    deletion_reason: options.reason || ''
+  };
+
+  return writeWithRevision({
+    violationId: violation._id,
+    action: 'delete',
+    before: violation,
+    update: deletion,
+    userId,
+    reason: options.reason
+  }, () => Violation.findByIdAndUpdate(violationId, deletion, { new: true }));
+};
+
+/**
+ * Restore a soft deleted violation from the trash
+ * @param {String} violationId - Violation ID to restore
+ * @param {String} userId - User ID performing the restore
+ * @param {Object} options - Restore options
+ * @param {String} options.reason - Reason for the restore
+ * @returns {Promise<Object>} - Restored violation
+ */
+const restoreViolation = async (violationId, userId, options = {}) => {
   const violation = await Violation.findById(violationId);
 
   if (!violation) {
     throw new ErrorResponse(`Violation not found with id of ${violationId}`, 404);
   }
 
-  await Violation.findByIdAndDelete(violationId);
+  if (!violation.deleted_at) {
+    throw new ErrorResponse('Violation is not deleted', 400);
+  }
+
+  // Restoring a merged record on its own would leave its data duplicated in the survivor
+  if (violation.merged_into) {
+    throw new ErrorResponse(`Violation was merged into ${violation.merged_into}. Un-merge it instead of restoring it`, 400);
+  }
+
+  const restoration = {
+    $set: { deleted_at: null, updated_by: userId },
+    $unset: { deleted_by: '', deletion_reason: '' }
+  };
+
+  return writeWithRevision({
+    violationId: violation._id,
+    action: 'restore',
+    before: violation,
+    update: restoration,
+    userId,
+    reason: options.reason
+  }, () => Violation.findByIdAndUpdate(violationId, restoration, { new: true }));
+};
+
+/**
+ * Permanently remove violations that have been in the trash longer than the retention period
+ * @param {Number} retentionDays - Number of days deleted violations are kept
+ * @returns {Promise<Object>} - Purge summary
+ */
+const purgeDeletedViolations = async (retentionDays) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  // Merged records are kept so their IDs keep redirecting to the survivor and can be un-merged
+  const expired = await Violation.find({ deleted_at: { $ne: null, $lte: cutoff }, merged_into: null });
+
+  let purged = 0;
+  for (const violation of expired) {
+    try {
+      // Revisions are kept so the audit trail survives the purge
+      await writeWithRevision({
+        violationId: violation._id,
+        action: 'purge',
+        before: violation,
+        userId: violation.deleted_by,
+        reason: `Purged after ${retentionDays} day retention period`
+      }, () => Violation.findByIdAndDelete(violation._id));
+
+      purged++;
+    } catch (error) {
+      logger.error(`Failed to purge violation ${violation._id}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Purged ${purged} deleted violations older than ${retentionDays} days`);
 
-  return violation;
+  return {
+    purged,
+    failed: expired.length - purged,
+    cutoff
+  };
 };
 
 module.exports = {
-  deleteViolation
-};
\ No newline at end of file
+  deleteViolation,
+  restoreViolation,
+  purgeDeletedViolations
+};
@@ -0,0 +1,266 @@
+const Violation = require('../../models/Violation');
+const DuplicateCandidate = require('../../models/DuplicateCandidate');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { findPotentialDuplicates } = require('../../utils/duplicateChecker');
+const { mergeViolationRecords } = require('./merge');
+
+/**
+ * Persist duplicate checker matches as candidates awaiting an editor's decision.
+ * Pairs that already exist (including dismissed ones) are left untouched.
+ * @param {Object} violation - Violation the matches were found for
+ * @param {Array} duplicates - Matches returned by the duplicate checker
+ * @param {String} userId - User ID that triggered the check
+ * @returns {Promise<Array>} - Candidates that are pending review
+ */
+const recordDuplicateCandidates = async (violation, duplicates = [], userId) => {
+  const candidates = [];
+
+  for (const match of duplicates) {
+    const duplicateOfId = match.violation._id;
+
+    if (String(duplicateOfId) === String(violation._id)) {
+      continue;
+    }
+
+    const distance = match.matchDetails?.distance;
+
+    try {
+      // $setOnInsert keeps earlier decisions, so a dismissed pair is never suggested again
+      const candidate = await DuplicateCandidate.findOneAndUpdate(
+        { pair_key: DuplicateCandidate.buildPairKey(violation._id, duplicateOfId) },
+        {
+          $setOnInsert: {
+            violation: violation._id,
+            duplicate_of: duplicateOfId,
+            similarity: match.similarity,
+            distance: Number.isFinite(distance) ? Math.round(distance) : null,
+            exact_match: Boolean(match.exactMatch),
+            matched_criteria: DuplicateCandidate.criteriaFromMatch(match),
+            detected_by: userId
+          }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      if (candidate.status === 'pending') {
+        candidates.push(candidate);
+      }
+    } catch (error) {
+      logger.error('Failed to record duplicate candidate', {
+        violationId: violation._id,
+        duplicateOfId,
+        error: error.message
+      });
+    }
+  }
+
+  if (candidates.length > 0) {
+    logger.info(`Recorded ${candidates.length} duplicate candidate(s) for violation ${violation._id}`);
+  }
+
+  return candidates;
+};
+
+/**
+ * Run the duplicate checker against an existing violation and record any candidates
+ * @param {String} violationId - Violation ID
+ * @param {String} userId - User ID requesting the scan
+ * @param {Object} options - Scan options
+ * @param {Number} options.limit - Maximum number of matches to record
+ * @returns {Promise<Array>} - Pending candidates for the violation
+ */
+const scanForDuplicates = async (violationId, userId, options = {}) => {
+  const violation = await Violation.findById(violationId);
+
+  if (!violation || violation.deleted_at) {
+    throw new ErrorResponse(`Violation not found with id of ${violationId}`, 404);
+  }
+
+  const violationData = typeof violation.toObject === 'function' ? violation.toObject() : violation;
+
+  const duplicates = await findPotentialDuplicates(violationData, {
+    limit: options.limit || 5,
+    excludeIds: [violation._id]
+  });
+
+  return recordDuplicateCandidates(violation, duplicates, userId);
+};
+
+/**
+ * Get duplicate candidates with filtering and pagination
+ * @param {Object} queryParams - Query parameters (status, violation, minSimilarity)
+ * @param {Object} paginationOptions - Pagination options
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getDuplicateCandidates = async (queryParams = {}, paginationOptions = {}) => {
+  const query = {
+    status: queryParams.status || 'pending'
+  };
+
+  // Candidates involving a specific violation on either side of the pair
+  if (queryParams.violation) {
+    query.$or = [
+      { violation: queryParams.violation },
+      { duplicate_of: queryParams.violation }
+    ];
+  }
+
+  if (queryParams.minSimilarity) {
+    query.similarity = { $gte: parseFloat(queryParams.minSimilarity) };
+  }
+
+  const violationFields = 'type date location.name description perpetrator_affiliation casualties review_status deleted_at';
+
+  const options = {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 10,
+    // Most likely duplicates first
+    sort: paginationOptions.sort || { similarity: -1, createdAt: 1 },
+    populate: [
+      { path: 'violation', select: violationFields },
+      { path: 'duplicate_of', select: violationFields },
+      { path: 'reviewed_by', select: 'name' }
+    ]
+  };
+
+  const result = await DuplicateCandidate.paginate(query, options);
+
+  return {
+    candidates: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
+    }
+  };
+};
+
+/**
+ * Get a duplicate candidate by ID with both violations populated
+ * @param {String} candidateId - Duplicate candidate ID
+ * @returns {Promise<Object>} - Duplicate candidate
+ */
+const getDuplicateCandidateById = async (candidateId) => {
+  return DuplicateCandidate.findById(candidateId)
+    .populate('violation')
+    .populate('duplicate_of')
+    .populate('reviewed_by', 'name');
+};
+
+/**
+ * Load a candidate and make sure it is still waiting for a decision
+ * @param {String} candidateId - Duplicate candidate ID
+ * @returns {Promise<Object>} - Pending duplicate candidate
+ */
+const findPendingCandidate = async (candidateId) => {
+  const candidate = await DuplicateCandidate.findById(candidateId);
+
+  if (!candidate) {
+    throw new ErrorResponse(`Duplicate candidate not found with id of ${candidateId}`, 404);
+  }
+
+  if (candidate.status !== 'pending') {
+    throw new ErrorResponse(`Duplicate candidate has already been ${candidate.status}`, 400);
+  }
+
+  return candidate;
+};
+
+/**
+ * Confirm a duplicate candidate: merge the suggested violation into the record it
+ * duplicates. The merged-away record redirects to the survivor and can be un-merged.
+ * @param {String} candidateId - Duplicate candidate ID
+ * @param {String} userId - User ID confirming the candidate
+ * @param {Object} options - Options
+ * @param {String} options.notes - Reviewer notes
+ * @param {Object} options.fieldChoices - Per-field conflict choices passed to the merge
+ * @returns {Promise<Object>} - { candidate, violation } with the surviving violation
+ */
+const confirmDuplicateCandidate = async (candidateId, userId, options = {}) => {
+  const candidate = await findPendingCandidate(candidateId);
+  const sourceId = candidate.violation;
+  const targetId = candidate.duplicate_of;
+
+  const { violation: mergedViolation } = await mergeViolationRecords(targetId, sourceId, userId, {
+    fieldChoices: options.fieldChoices,
+    reason: options.notes || `Confirmed duplicate candidate ${candidate._id}`
+  });
+
+  const reviewedAt = new Date();
+
+  const updatedCandidate = await DuplicateCandidate.findByIdAndUpdate(
+    candidate._id,
+    {
+      status: 'confirmed',
+      reviewed_by: userId,
+      reviewed_at: reviewedAt,
+      review_notes: options.notes || ''
+    },
+    { new: true }
+  );
+
+  // Other suggestions involving the merged-away record can no longer be acted on
+  await DuplicateCandidate.updateMany(
+    {
+      _id: { $ne: candidate._id },
+      status: 'pending',
+      $or: [{ violation: sourceId }, { duplicate_of: sourceId }]
+    },
+    {
+      status: 'dismissed',
+      reviewed_by: userId,
+      reviewed_at: reviewedAt,
+      review_notes: `Closed automatically after ${sourceId} was merged into ${targetId}`
+    }
+  );
+
+  logger.info(`Duplicate candidate ${candidate._id} confirmed: ${sourceId} merged into ${targetId}`, { userId });
+
+  return {
+    candidate: updatedCandidate,
+    violation: mergedViolation
+  };
+};
+
+/**
+ * Dismiss a duplicate candidate so the pair is not suggested again
+ * @param {String} candidateId - Duplicate candidate ID
+ * @param {String} userId - User ID dismissing the candidate
+ * @param {Object} options - Options
+ * @param {String} options.notes - Reviewer notes
+ * @returns {Promise<Object>} - Dismissed candidate
+ */
+const dismissDuplicateCandidate = async (candidateId, userId, options = {}) => {
+  const candidate = await findPendingCandidate(candidateId);
+
+  const updatedCandidate = await DuplicateCandidate.findByIdAndUpdate(
+    candidate._id,
+    {
+      status: 'dismissed',
+      reviewed_by: userId,
+      reviewed_at: new Date(),
+      review_notes: options.notes || ''
+    },
+    { new: true }
+  );
+
+  logger.info(`Duplicate candidate ${candidate._id} dismissed`, { userId });
+
+  return updatedCandidate;
+};
+
+module.exports = {
+  recordDuplicateCandidates,
+  scanForDuplicates,
+  getDuplicateCandidates,
+  getDuplicateCandidateById,
+  confirmDuplicateCandidate,
+  dismissDuplicateCandidate
+};
@@ -0,0 +1,462 @@
+const fs = require('fs');
+const path = require('path');
+const { finished } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const Violation = require('../../models/Violation');
+const ViolationExportJob = require('../../models/jobs/ViolationExportJob');
+const { ExportFormats } = require('../../models/jobs/ViolationExportJob');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const config = require('../../config/config');
+const { buildFilterQuery } = require('./query');
+
+// Content type and file extension for each export format
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  geojson: 'application/geo+json',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const EXPORT_EXTENSIONS = {
+  csv: 'csv',
+  geojson: 'geojson',
+  xlsx: 'xlsx'
+};
+
+// Query parameters that control the export itself rather than filter violations
+const EXPORT_CONTROL_PARAMS = ['format', 'async', 'page', 'limit', 'sort'];
+
+// How often (in violations) progress is reported while exporting
+const EXPORT_PROGRESS_INTERVAL = 500;
+
+const localized = (value, lang) => (value && value[lang]) || '';
+
+const formatDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+const getCoordinates = (violation) => {
+  const coordinates = violation.location?.coordinates;
+  return Array.isArray(coordinates) && coordinates.length === 2 ? coordinates : null;
+};
+
+// English and Arabic columns for a localized field
+const bilingualColumns = (header, getValue) => ['en', 'ar'].map(lang => ({
+  header: `${header}_${lang}`,
+  value: (item) => localized(getValue(item), lang)
+}));
+
+// Columns describing the violation itself
+const VIOLATION_COLUMNS = [
+  { header: 'id', value: (v) => String(v._id) },
+  { header: 'type', value: (v) => v.type },
+  { header: 'date', value: (v) => formatDate(v.date) },
+  { header: 'reported_date', value: (v) => formatDate(v.reported_date) },
+  ...bilingualColumns('location_name', (v) => v.location?.name),
+  ...bilingualColumns('administrative_division', (v) => v.location?.administrative_division),
+  { header: 'latitude', value: (v) => getCoordinates(v)?.[1] ?? '' },
+  { header: 'longitude', value: (v) => getCoordinates(v)?.[0] ?? '' },
+  ...bilingualColumns('description', (v) => v.description),
+  ...bilingualColumns('source', (v) => v.source),
+  { header: 'source_urls', value: (v) => (v.source_urls || []).join(' | ') },
+  { header: 'verified', value: (v) => Boolean(v.verified) },
+  { header: 'certainty_level', value: (v) => v.certainty_level || '' },
+  ...bilingualColumns('verification_method', (v) => v.verification_method),
+  { header: 'casualties', value: (v) => v.casualties || 0 },
+  { header: 'injured_count', value: (v) => v.injured_count || 0 },
+  { header: 'kidnapped_count', value: (v) => v.kidnapped_count || 0 },
+  { header: 'detained_count', value: (v) => v.detained_count || 0 },
+  { header: 'displaced_count', value: (v) => v.displaced_count || 0 },
+  ...bilingualColumns('perpetrator', (v) => v.perpetrator),
+  { header: 'perpetrator_affiliation', value: (v) => v.perpetrator_affiliation || '' },
+  { header: 'tags_en', value: (v) => (v.tags || []).map(tag => tag.en).filter(Boolean).join('; ') },
+  { header: 'tags_ar', value: (v) => (v.tags || []).map(tag => tag.ar).filter(Boolean).join('; ') },
+  { header: 'media_links', value: (v) => (v.media_links || []).join(' | ') },
+  { header: 'victim_count', value: (v) => (v.victims || []).length }
+];
+
+// Columns describing a single victim of the violation
+const VICTIM_COLUMNS = [
+  { header: 'victim_id', value: (victim) => (victim.victim ? String(victim.victim) : '') },
+  { header: 'victim_age', value: (victim) => victim.age ?? '' },
+  { header: 'victim_gender', value: (victim) => victim.gender || '' },
+  { header: 'victim_status', value: (victim) => victim.status || '' },
+  ...bilingualColumns('victim_group_affiliation', (victim) => victim.group_affiliation),
+  ...bilingualColumns('victim_sectarian_identity', (victim) => victim.sectarian_identity),
+  { header: 'victim_death_date', value: (victim) => formatDate(victim.death_date) }
+];
+
+const EXPORT_HEADERS = [
+  ...VIOLATION_COLUMNS.map(column => column.header),
+  'victim_number',
+  ...VICTIM_COLUMNS.map(column => column.header)
+];
+
+/**
+ * Flatten a violation into spreadsheet rows. Each victim gets its own row with the
+ * violation columns repeated; violations without victims produce a single row.
+ * @param {Object} violation - Violation document (lean)
+ * @returns {Array<Array>} - Rows of cell values in EXPORT_HEADERS order
+ */
+const buildExportRows = (violation) => {
+  const violationCells = VIOLATION_COLUMNS.map(column => column.value(violation));
+  const victims = violation.victims || [];
+
+  if (victims.length === 0) {
+    return [[...violationCells, '', ...VICTIM_COLUMNS.map(() => '')]];
+  }
+
+  return victims.map((victim, index) => [
+    ...violationCells,
+    index + 1,
+    ...VICTIM_COLUMNS.map(column => column.value(victim))
+  ]);
+};
+
+/**
+ * Build a GeoJSON feature for a violation. Victims are included as a list of flat objects.
+ * @param {Object} violation - Violation document (lean)
+ * @returns {Object} - GeoJSON Feature (geometry is null when the violation has no coordinates)
+ */
+const buildGeoJsonFeature = (violation) => {
+  const coordinates = getCoordinates(violation);
+  const properties = {};
+
+  VIOLATION_COLUMNS.forEach(column => {
+    properties[column.header] = column.value(violation);
+  });
+
+  properties.victims = (violation.victims || []).map(victim => {
+    const flattened = {};
+    VICTIM_COLUMNS.forEach(column => {
+      flattened[column.header.replace('victim_', '')] = column.value(victim);
+    });
+    return flattened;
+  });
+
+  return {
+    type: 'Feature',
+    id: String(violation._id),
+    geometry: coordinates ? { type: 'Point', coordinates } : null,
+    properties
+  };
+};
+
+/**
+ * Escape a value for a CSV cell. Text that spreadsheet tools would evaluate as a
+ * formula is prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {String} - Escaped cell
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+const toCsvLine = (cells) => `${cells.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {Stream} stream - Writable stream
+ * @param {String} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+const writeChunk = (stream, chunk) => new Promise((resolve, reject) => {
+  if (stream.destroyed) {
+    reject(new Error('Export stream was closed'));
+    return;
+  }
+
+  if (stream.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const cleanup = () => {
+    stream.off('drain', onDrain);
+    stream.off('close', onClose);
+    stream.off('error', onError);
+  };
+  const onDrain = () => {
+    cleanup();
+    resolve();
+  };
+  const onClose = () => {
+    cleanup();
+    reject(new Error('Export stream was closed'));
+  };
+  const onError = (error) => {
+    cleanup();
+    reject(error);
+  };
+
+  stream.on('drain', onDrain);
+  stream.on('close', onClose);
+  stream.on('error', onError);
+});
+
+/**
+ * Create a writer that serializes violations to a stream in the given format
+ * @param {String} format - Export format (csv, geojson or xlsx)
+ * @param {Stream} stream - Writable stream
+ * @returns {Object} - { start, write, finish }; write resolves to the number of rows written
+ */
+const createExportWriter = (format, stream) => {
+  if (format === 'csv') {
+    return {
+      // The byte order mark makes spreadsheet tools read the Arabic columns as UTF-8
+      start: () => writeChunk(stream, `\uFEFF${toCsvLine(EXPORT_HEADERS)}`),
+      write: async (violation) => {
+        const rows = buildExportRows(violation);
+        await writeChunk(stream, rows.map(toCsvLine).join(''));
+        return rows.length;
+      },
+      finish: async () => {
+        stream.end();
+        await finished(stream, { readable: false });
+      }
+    };
+  }
+
+  if (format === 'geojson') {
+    let featureCount = 0;
+
+    return {
+      start: () => writeChunk(stream, '{"type":"FeatureCollection","features":['),
+      write: async (violation) => {
+        const separator = featureCount > 0 ? ',' : '';
+        featureCount += 1;
+        await writeChunk(stream, `${separator}\n${JSON.stringify(buildGeoJsonFeature(violation))}`);
+        return 1;
+      },
+      finish: async () => {
+        stream.end('\n]}\n');
+        await finished(stream, { readable: false });
+      }
+    };
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: false,
+    useSharedStrings: false
+  });
+  const worksheet = workbook.addWorksheet('Violations');
+
+  return {
+    start: async () => {
+      worksheet.addRow(EXPORT_HEADERS).commit();
+    },
+    write: async (violation) => {
+      const rows = buildExportRows(violation);
+      rows.forEach(row => worksheet.addRow(row).commit());
+      return rows.length;
+    },
+    finish: async () => {
+      worksheet.commit();
+      // Committing the workbook ends the stream
+      await workbook.commit();
+      await finished(stream, { readable: false });
+    }
+  };
+};
+
+/**
+ * Build the download file name for an export
+ * @param {String} format - Export format
+ * @param {Date} date - Date the export was produced
+ * @returns {String} - File name
+ */
+const buildExportFileName = (format, date = new Date()) => {
+  return `violations-${formatDate(date)}.${EXPORT_EXTENSIONS[format]}`;
+};
+
+/**
+ * Remove parameters that control the export so only violation filters remain
+ * @param {Object} queryParams - Request query parameters
+ * @returns {Object} - Filters accepted by buildFilterQuery
+ */
+const pickExportFilters = (queryParams = {}) => {
+  const filters = { ...queryParams };
+  EXPORT_CONTROL_PARAMS.forEach(param => delete filters[param]);
+  return filters;
+};
+
+/**
+ * Count the violations an export with the given filters would contain
+ * @param {Object} queryParams - Filters accepted by buildFilterQuery
+ * @returns {Promise<Number>} - Number of matching violations
+ */
+const countViolationsForExport = async (queryParams = {}) => {
+  return Violation.countDocuments(buildFilterQuery(pickExportFilters(queryParams)));
+};
+
+/**
+ * Stream every violation matching the filters to a writable stream. The stream is
+ * ended when the export is complete.
+ * @param {String} format - Export format (csv, geojson or xlsx)
+ * @param {Object} queryParams - Filters accepted by buildFilterQuery
+ * @param {Stream} stream - Writable stream (HTTP response or file)
+ * @param {Object} options - Export options
+ * @param {Function} options.onProgress - Called periodically with { exportedViolations, exportedRows }
+ * @returns {Promise<Object>} - { exportedViolations, exportedRows }
+ */
+const exportViolations = async (format, queryParams, stream, options = {}) => {
+  if (!ExportFormats.includes(format)) {
+    throw new ErrorResponse(`Unsupported export format: ${format}`, 400);
+  }
+
+  const query = buildFilterQuery(pickExportFilters(queryParams));
+  const writer = createExportWriter(format, stream);
+  let exportedViolations = 0;
+  let exportedRows = 0;
+
+  await writer.start();
+
+  const cursor = Violation.find(query)
+    .sort({ date: -1, _id: 1 })
+    .lean()
+    .cursor();
+
+  for await (const violation of cursor) {
+    exportedRows += await writer.write(violation);
+    exportedViolations += 1;
+
+    if (options.onProgress && exportedViolations % EXPORT_PROGRESS_INTERVAL === 0) {
+      await options.onProgress({ exportedViolations, exportedRows });
+    }
+  }
+
+  await writer.finish();
+
+  return { exportedViolations, exportedRows };
+};
+
+/**
+ * Create a background export job record
+ * @param {String} format - Export format
+ * @param {Object} queryParams - Request query parameters
+ * @param {String} userId - User ID requesting the export
+ * @param {Number} totalViolations - Number of matching violations
+ * @returns {Promise<Object>} - Created export job
+ */
+const createExportJob = async (format, queryParams, userId, totalViolations = 0) => {
+  if (!ExportFormats.includes(format)) {
+    throw new ErrorResponse(`Unsupported export format: ${format}`, 400);
+  }
+
+  return ViolationExportJob.create({
+    format,
+    filters: pickExportFilters(queryParams),
+    requestedBy: userId,
+    status: 'queued',
+    totalViolations
+  });
+};
+
+/**
+ * Get an export job including the location of its file
+ * @param {String} jobId - Export job ID
+ * @returns {Promise<Object>} - Export job
+ */
+const getExportJob = async (jobId) => {
+  return ViolationExportJob.findById(jobId)
+    .select('+filePath')
+    .populate('requestedBy', 'name');
+};
+
+/**
+ * Run a background export job, writing the file to the export directory
+ * @param {String} jobId - Export job ID
+ * @returns {Promise<Object>} - { exportedViolations, exportedRows }
+ */
+const runExportJob = async (jobId) => {
+  const job = await ViolationExportJob.findById(jobId);
+
+  if (!job) {
+    throw new Error(`Export job with ID ${jobId} not found in database`);
+  }
+
+  const fileName = buildExportFileName(job.format, job.createdAt);
+  const filePath = path.join(config.exportDir, `${job._id}.${EXPORT_EXTENSIONS[job.format]}`);
+
+  await ViolationExportJob.findByIdAndUpdate(jobId, {
+    status: 'processing',
+    progress: 0,
+    fileName,
+    filePath
+  });
+
+  let stream;
+
+  try {
+    await fs.promises.mkdir(config.exportDir, { recursive: true });
+
+    // Count again, the data may have changed while the job was queued
+    const totalViolations = await countViolationsForExport(job.filters);
+    stream = fs.createWriteStream(filePath);
+
+    // A failed file stream is destroyed, which makes the next write reject
+    stream.on('error', (error) => {
+      logger.error(`Export job ${jobId} could not write ${filePath}: ${error.message}`);
+    });
+
+    const result = await exportViolations(job.format, job.filters, stream, {
+      onProgress: ({ exportedViolations, exportedRows }) => ViolationExportJob.findByIdAndUpdate(jobId, {
+        progress: Math.min(99, Math.floor((exportedViolations / Math.max(totalViolations, 1)) * 100)),
+        exportedViolations,
+        exportedRows
+      })
+    });
+
+    await ViolationExportJob.findByIdAndUpdate(jobId, {
+      status: 'completed',
+      progress: 100,
+      totalViolations,
+      exportedViolations: result.exportedViolations,
+      exportedRows: result.exportedRows,
+      completedAt: new Date()
+    });
+
+    logger.info(`Export job ${jobId} completed: ${result.exportedViolations} violations written to ${fileName}`);
+
+    return result;
+  } catch (error) {
+    if (stream) {
+      stream.destroy();
+    }
+    await fs.promises.rm(filePath, { force: true });
+    await ViolationExportJob.findByIdAndUpdate(jobId, {
+      status: 'failed',
+      error: error.message
+    });
+
+    logger.error(`Export job ${jobId} failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  EXPORT_CONTENT_TYPES,
+  EXPORT_HEADERS,
+  buildExportRows,
+  buildGeoJsonFeature,
+  buildExportFileName,
+  escapeCsvValue,
+  countViolationsForExport,
+  exportViolations,
+  createExportJob,
+  getExportJob,
+  runExportJob
+};
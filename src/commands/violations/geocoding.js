@@ -0,0 +1,172 @@
+const Violation = require('../../models/Violation');
+const GeocodingCache = require('../../models/GeocodingCache');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { generateCacheKey } = require('../../utils/geocoder');
+const { isWithinSyria } = require('../../services/geocodingProviders');
+const { isValidPoint } = require('../../utils/geometry');
+const { updateViolation } = require('./update');
+
+// Geocoding outcomes waiting for an editor
+const GEOCODING_REVIEW_STATUSES = ['low_quality', 'failed'];
+
+/**
+ * Get violations whose location was geocoded with low quality or not at all, with
+ * their candidate points
+ * @param {Object} queryParams - Query parameters (status, source)
+ * @param {Object} paginationOptions - Pagination options
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getGeocodingReviewQueue = async (queryParams = {}, paginationOptions = {}) => {
+  const query = {
+    deleted_at: null,
+    'geocoding.status': queryParams.status || { $in: GEOCODING_REVIEW_STATUSES }
+  };
+
+  if (queryParams.source) {
+    query['geocoding.source'] = queryParams.source;
+  }
+
+  const options = {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 10,
+    // Oldest first so the queue is worked through in order of arrival
+    sort: paginationOptions.sort || 'createdAt',
+    select: 'type date location geocoding review_status createdAt',
+    populate: [{ path: 'created_by', select: 'name' }]
+  };
+
+  const result = await Violation.paginate(query, options);
+
+  return {
+    violations: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
+    }
+  };
+};
+
+/**
+ * Remember an editor's pin for the names of a location, so the same place name
+ * resolves to it from then on (pinned, so it does not expire)
+ * @param {Object} location - Location with name and administrative_division
+ * @param {Array<Number>} coordinates - [longitude, latitude]
+ * @param {String} label - Address shown for the pin
+ * @returns {Promise<Number>} - Number of cache entries written
+ */
+const cacheManualGeocode = async (location, coordinates, label) => {
+  let written = 0;
+
+  for (const language of ['ar', 'en']) {
+    const placeName = location.name?.[language];
+    if (!placeName) continue;
+
+    const adminDivision = location.administrative_division?.[language] || '';
+
+    await GeocodingCache.createOrUpdate(generateCacheKey(placeName, adminDivision, language), {
+      searchTerms: { placeName, adminDivision, language },
+      results: {
+        coordinates,
+        formattedAddress: label || [placeName, adminDivision, 'Syria'].filter(Boolean).join(', '),
+        country: 'Syria',
+        city: location.name.en || placeName,
+        state: location.administrative_division?.en || adminDivision,
+        quality: 1
+      },
+      source: 'manual',
+      apiCallsUsed: 0,
+      pinned: true
+    });
+    written += 1;
+  }
+
+  return written;
+};
+
+/**
+ * Resolve a flagged geocode by picking one of its candidates or dropping a pin. The
+ * coordinates are saved on the violation (recomputing territory control and admin codes)
+ * and written to the geocoding cache as a manual entry for the location's names.
+ * @param {String} violationId - Violation ID
+ * @param {Object} resolution - { candidate } index of a candidate, or { coordinates } [longitude, latitude]
+ * @param {String} userId - User ID resolving the geocode
+ * @param {Object} options - Resolution options
+ * @param {String} options.notes - Reviewer notes, recorded in the revision history
+ * @returns {Promise<Object>} - Updated violation
+ */
+const resolveGeocodingReview = async (violationId, resolution = {}, userId, options = {}) => {
+  const violation = await Violation.findById(violationId);
+
+  if (!violation || violation.deleted_at) {
+    throw new ErrorResponse(`Violation not found with id of ${violationId}`, 404);
+  }
+
+  if (!violation.location || !violation.location.name) {
+    throw new ErrorResponse('Violation has no location to geocode', 400);
+  }
+
+  let coordinates;
+  let label = '';
+
+  if (resolution.candidate !== undefined && resolution.candidate !== null) {
+    const candidates = violation.geocoding?.candidates || [];
+    const candidate = candidates[resolution.candidate];
+    if (!candidate) {
+      throw new ErrorResponse(`Geocoding candidate ${resolution.candidate} not found`, 400);
+    }
+    coordinates = [...candidate.coordinates];
+    label = candidate.label;
+  } else {
+    coordinates = resolution.coordinates;
+  }
+
+  if (!isValidPoint(coordinates)) {
+    throw new ErrorResponse('A candidate or coordinates [longitude, latitude] are required', 400);
+  }
+
+  if (!isWithinSyria(coordinates[1], coordinates[0])) {
+    throw new ErrorResponse('Coordinates must be inside Syria', 400);
+  }
+
+  const location = typeof violation.location.toObject === 'function'
+    ? violation.location.toObject()
+    : { ...violation.location };
+
+  const updatedViolation = await updateViolation(
+    violationId,
+    { location: { ...location, coordinates } },
+    userId,
+    {
+      reason: options.notes || 'Geocoding reviewed',
+      geocoding: {
+        status: 'manual',
+        quality: 1,
+        source: 'manual',
+        error: null,
+        candidates: [],
+        reviewed_by: userId,
+        reviewed_at: new Date()
+      }
+    }
+  );
+
+  const cached = await cacheManualGeocode(location, coordinates, label);
+  logger.info(`Geocoding of violation ${violationId} resolved by ${userId}; ${cached} manual cache entries written`);
+
+  return updatedViolation;
+};
+
+module.exports = {
+  GEOCODING_REVIEW_STATUSES,
+  getGeocodingReviewQueue,
+  cacheManualGeocode,
+  resolveGeocodingReview
+};
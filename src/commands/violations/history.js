@@ -0,0 +1,391 @@
+const mongoose = require('mongoose');
+const Violation = require('../../models/Violation');
+const ViolationRevision = require('../../models/ViolationRevision');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { SOFT_DELETE_FIELDS, REVIEW_FIELDS, MERGE_FIELDS } = require('./query');
+const { buildSearchText } = require('../../utils/searchText');
+
+// Fields that are bookkeeping rather than content and never appear in diffs
+const IGNORED_DIFF_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'created_by', 'updated_by', 'content_hash'];
+
+// Fields stripped from snapshots before they are stored or restored
+const SNAPSHOT_EXCLUDED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+
+// Deletion, review and merge state are owned by their own commands and never restored from snapshots
+const WORKFLOW_FIELDS = [...SOFT_DELETE_FIELDS, ...REVIEW_FIELDS, ...MERGE_FIELDS];
+
+/**
+ * Convert a violation document or plain object into a storable snapshot
+ * @param {Object} violation - Mongoose document or plain object
+ * @returns {Object|null} - Plain JSON-safe snapshot
+ */
+const toSnapshot = (violation) => {
+  if (!violation) return null;
+
+  const raw = typeof violation.toObject === 'function'
+    ? violation.toObject({ virtuals: false, getters: false, transform: false })
+    : violation;
+
+  // Round-trip through JSON to drop ObjectId/Date instances and undefined values
+  const snapshot = JSON.parse(JSON.stringify(raw));
+  SNAPSHOT_EXCLUDED_FIELDS.forEach(field => delete snapshot[field]);
+
+  return snapshot;
+};
+
+/**
+ * Flatten a nested object into dot-notation paths. Arrays are treated as leaf values.
+ * @param {Object} obj - Object to flatten
+ * @param {String} prefix - Current path prefix
+ * @param {Object} result - Accumulator
+ * @returns {Object} - Map of path to value
+ */
+const flattenObject = (obj, prefix = '', result = {}) => {
+  Object.keys(obj || {}).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = obj[key];
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+      flattenObject(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Compute field-level changes between two violation states
+ * @param {Object} before - Previous state (document or plain object)
+ * @param {Object} after - New state (document or plain object)
+ * @returns {Array} - Array of { field, old_value, new_value }
+ */
+const computeChanges = (before, after) => {
+  const flatBefore = flattenObject(toSnapshot(before) || {});
+  const flatAfter = flattenObject(toSnapshot(after) || {});
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_DIFF_FIELDS.includes(field.split('.')[0])) {
+      return;
+    }
+
+    const oldValue = flatBefore[field] === undefined ? null : flatBefore[field];
+    const newValue = flatAfter[field] === undefined ? null : flatAfter[field];
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, old_value: oldValue, new_value: newValue });
+    }
+  });
+
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+};
+
+/**
+ * Replace the content of a violation document with a stored snapshot, leaving workflow state untouched
+ * @param {Object} violation - Mongoose violation document
+ * @param {Object} snapshot - Snapshot to apply
+ * @returns {Object} - The same document, modified but not saved
+ */
+const applySnapshot = (violation, snapshot) => {
+  const content = { ...snapshot };
+  WORKFLOW_FIELDS.forEach(field => delete content[field]);
+
+  // Clear fields that did not exist when the snapshot was taken
+  Object.keys(toSnapshot(violation)).forEach(field => {
+    if (!(field in content) && !IGNORED_DIFF_FIELDS.includes(field) && !WORKFLOW_FIELDS.includes(field)) {
+      violation.set(field, undefined);
+    }
+  });
+  violation.set(content);
+
+  return violation;
+};
+
+/**
+ * Record an immutable revision for a violation. Changes go through writeWithRevision,
+ * which stores the revision before the write, so a revision that cannot be stored
+ * fails the request before anything is changed.
+ * @param {Object} params - Revision parameters
+ * @param {String} params.violationId - Violation ID
+ * @param {String} params.action - Revision action (create, update, merge, unmerge, delete, restore, purge, review, revert)
+ * @param {Object} params.before - State before the change (null for create)
+ * @param {Object} params.after - State after the change (null for purge)
+ * @param {String} params.userId - User ID performing the change
+ * @param {String} params.reason - Optional reason for the change
+ * @param {Object} params.metadata - Optional extra context
+ * @returns {Promise<Object>} - Created revision
+ */
+const recordRevision = async ({ violationId, action, before = null, after = null, userId, reason = '', metadata = {} }) => {
+  const maxAttempts = 3;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const revisionNumber = await ViolationRevision.getNextRevisionNumber(violationId);
+
+      return await ViolationRevision.create({
+        violation: violationId,
+        revision_number: revisionNumber,
+        action,
+        changed_by: userId,
+        reason: reason || '',
+        changes: computeChanges(before, after),
+        snapshot: toSnapshot(after || before),
+        metadata
+      });
+    } catch (error) {
+      // Another revision claimed the same number concurrently; try again
+      if (error.code === 11000 && attempt < maxAttempts) {
+        continue;
+      }
+
+      logger.error('Failed to record violation revision', {
+        violationId,
+        action,
+        error: error.message
+      });
+      throw new ErrorResponse(`Failed to record the revision of violation ${violationId}`, 500);
+    }
+  }
+};
+
+/**
+ * Work out the state a violation will have once an update is applied, without saving it
+ * @param {Object} violation - Current state (document or plain object, null for a new violation)
+ * @param {Object} update - Plain fields, $set and $unset as passed to findByIdAndUpdate
+ * @returns {Object} - Mongoose document in the updated state
+ */
+const applyUpdate = (violation, update = {}) => {
+  const planned = violation
+    ? Violation.hydrate(typeof violation.toObject === 'function' ? violation.toObject({ virtuals: false }) : violation)
+    : new Violation();
+  const { $set = {}, $unset = {}, ...fields } = update;
+
+  planned.set({ ...fields, ...$set });
+  Object.keys($unset).forEach(path => planned.set(path, undefined));
+
+  return planned;
+};
+
+/**
+ * Write a change to a violation together with its revision. MongoDB runs standalone here,
+ * so there is no transaction: the revision is stored first, from the state the write will
+ * produce, and discarded again if the write fails or finds nothing to change. A change is
+ * therefore never saved without its revision, and never reported as failed once saved.
+ * @param {Object} revision - recordRevision parameters; instead of after, update may give
+ *                            the update the write applies to before
+ * @param {Function} write - Performs the write and resolves to the written violation
+ * @returns {Promise<Object>} - Result of the write
+ */
+const writeWithRevision = async ({ update, ...revision }, write) => {
+  // Hydrating fills in schema defaults, so the previous state is hydrated too for a fair diff
+  const recorded = await recordRevision(update
+    ? { ...revision, before: revision.before && applyUpdate(revision.before), after: applyUpdate(revision.before, update) }
+    : revision);
+
+  let result;
+  try {
+    result = await write();
+  } catch (error) {
+    await discardRevision(recorded, error);
+    throw error;
+  }
+
+  if (!result) {
+    await discardRevision(recorded);
+  }
+
+  return result;
+};
+
+/**
+ * Remove the revision of a write that did not happen
+ * @param {Object} revision - Recorded revision
+ * @param {Error} cause - Error of the failed write, if any
+ */
+const discardRevision = async (revision, cause) => {
+  try {
+    await ViolationRevision.discard(revision._id);
+  } catch (error) {
+    logger.error('Failed to discard the revision of a failed violation write', {
+      violationId: revision.violation,
+      revisionNumber: revision.revision_number,
+      cause: cause && cause.message,
+      error: error.message
+    });
+  }
+};
+
+// Violations loaded at a time by bulk updates
+const BULK_REVISION_SIZE = 500;
+
+/**
+ * Apply an update to many violations and record an update revision for each violation
+ * it changes. Used by commands that change violations as a side effect (victim merges,
+ * perpetrator moves, admin code and territory control backfills). Each violation is
+ * written on its own through writeWithRevision, and its search text is rebuilt with it
+ * because these writes skip the save hooks. The revisions are marked bulk, so they do
+ * not count as edits when a merge is undone.
+ * @param {Object} filter - Violations to update
+ * @param {Object|Function} update - Update (plain fields, $set and $unset) or a function
+ *                                   returning the update of a given violation
+ * @param {Object} options - Revision options
+ * @param {String} options.userId - User ID performing the change
+ * @param {String} options.reason - Reason recorded with each revision
+ * @param {Object} options.metadata - Extra context recorded with each revision
+ * @returns {Promise<Number>} - Number of violations changed
+ */
+const updateViolationsWithRevisions = async (filter, update, { userId, reason = '', metadata = {} } = {}) => {
+  const ids = (await Violation.find(filter).select('_id').lean()).map(violation => violation._id);
+  let modified = 0;
+
+  for (let start = 0; start < ids.length; start += BULK_REVISION_SIZE) {
+    const violations = await Violation.find({ _id: { $in: ids.slice(start, start + BULK_REVISION_SIZE) } }).lean();
+
+    for (const violation of violations) {
+      const { $set = {}, $unset, ...fields } = typeof update === 'function' ? update(violation) : update;
+      const before = applyUpdate(violation);
+      const after = applyUpdate(violation, { ...fields, $set, $unset });
+
+      if (computeChanges(before, after).length === 0) {
+        continue;
+      }
+
+      const written = await writeWithRevision({
+        violationId: violation._id,
+        action: 'update',
+        before,
+        after,
+        userId,
+        reason,
+        metadata: { ...metadata, bulk: true }
+      }, async () => {
+        const result = await Violation.updateOne(
+          { _id: violation._id },
+          { $set: { ...fields, ...$set, search_text: buildSearchText(after.toObject()) }, ...($unset ? { $unset } : {}) }
+        );
+        return result.matchedCount > 0 ? result : null;
+      });
+
+      if (written) modified++;
+    }
+  }
+
+  return modified;
+};
+
+/**
+ * Get the revision history of a violation
+ * @param {String} violationId - Violation ID
+ * @param {Object} options - Pagination options
+ * @returns {Promise<Object>} - Revisions and pagination info
+ */
+const getViolationHistory = async (violationId, options = {}) => {
+  const page = parseInt(options.page, 10) || 1;
+  const limit = parseInt(options.limit, 10) || 20;
+
+  const result = await ViolationRevision.paginate(
+    { violation: violationId },
+    {
+      page,
+      limit,
+      sort: { revision_number: -1 },
+      select: '-snapshot',
+      populate: { path: 'changed_by', select: 'name email' }
+    }
+  );
+
+  // Violations created before revisions were tracked have no history yet
+  if (result.totalDocs === 0 && !(await Violation.exists({ _id: violationId }))) {
+    throw new ErrorResponse(`Violation not found with id of ${violationId}`, 404);
+  }
+
+  return {
+    revisions: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage
+    }
+  };
+};
+
+/**
+ * Revert a violation to the state captured by a given revision
+ * @param {String} violationId - Violation ID
+ * @param {String} revisionId - Revision ID to revert to
+ * @param {String} userId - User ID performing the revert
+ * @param {Object} options - Revert options
+ * @param {String} options.reason - Reason for the revert
+ * @returns {Promise<Object>} - Reverted violation
+ */
+const revertViolation = async (violationId, revisionId, userId, options = {}) => {
+  const revision = await ViolationRevision.findOne({ _id: revisionId, violation: violationId });
+
+  if (!revision) {
+    throw new ErrorResponse(`Revision not found with id of ${revisionId}`, 404);
+  }
+
+  if (['delete', 'purge'].includes(revision.action) || !revision.snapshot) {
+    throw new ErrorResponse('Cannot revert to a deletion revision', 400);
+  }
+
+  let violation = await Violation.findById(violationId);
+  const before = violation ? toSnapshot(violation) : null;
+
+  if (violation && violation.deleted_at) {
+    throw new ErrorResponse('Violation is deleted. Restore it before reverting to a previous revision', 400);
+  }
+
+  if (violation) {
+    applySnapshot(violation, revision.snapshot);
+  } else {
+    // The violation was purged; recreate it under its original ID with its recorded review state
+    const content = { ...revision.snapshot };
+    WORKFLOW_FIELDS.forEach(field => delete content[field]);
+    const reviewState = {};
+    REVIEW_FIELDS.forEach(field => {
+      if (revision.snapshot[field] !== undefined) reviewState[field] = revision.snapshot[field];
+    });
+    violation = new Violation({ ...content, ...reviewState, _id: new mongoose.Types.ObjectId(violationId) });
+  }
+
+  violation.updated_by = userId;
+
+  // Save (rather than findByIdAndUpdate) so validators and the content hash hook run
+  await writeWithRevision({
+    violationId: violation._id,
+    action: 'revert',
+    before,
+    after: violation,
+    userId,
+    reason: options.reason,
+    metadata: {
+      revertedTo: revision._id,
+      revertedToRevisionNumber: revision.revision_number
+    }
+  }, () => violation.save());
+
+  logger.info(`Violation ${violationId} reverted to revision ${revision.revision_number}`, { userId });
+
+  return violation;
+};
+
+module.exports = {
+  toSnapshot,
+  computeChanges,
+  applySnapshot,
+  recordRevision,
+  applyUpdate,
+  writeWithRevision,
+  updateViolationsWithRevisions,
+  getViolationHistory,
+  revertViolation
+};
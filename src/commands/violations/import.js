@@ -0,0 +1,700 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Violation = require('../../models/Violation');
+const ImportMappingProfile = require('../../models/ImportMappingProfile');
+const { ImportFieldTypes } = require('../../models/ImportMappingProfile');
+const ViolationImportJob = require('../../models/jobs/ViolationImportJob');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const config = require('../../config/config');
+const { checkForDuplicates } = require('../../utils/duplicateChecker');
+const { createSingleViolation } = require('./create');
+
+// File types accepted for import
+const IMPORT_FILE_TYPES = ['csv', 'xlsx'];
+
+// Same threshold used when creating violations through the API
+const IMPORT_DUPLICATE_THRESHOLD = 0.75;
+
+// How often (in records) progress is saved while importing
+const IMPORT_PROGRESS_INTERVAL = 10;
+
+// Cell values accepted for boolean fields (English and Arabic)
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'نعم'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'لا'];
+
+// Normalizations for enum fields so "Airstrike" or "Assad Regime" map onto schema values
+const toEnumValue = (value) => value.toLowerCase().replace(/[\s-]+/g, '_');
+const FIELD_NORMALIZERS = {
+  type: (value) => toEnumValue(value).toUpperCase(),
+  certainty_level: toEnumValue,
+  perpetrator_affiliation: toEnumValue,
+  'victims.gender': toEnumValue,
+  'victims.status': toEnumValue
+};
+
+/**
+ * Get the file type of an upload from its name
+ * @param {String} fileName - Uploaded file name
+ * @returns {String} - File type (csv or xlsx)
+ */
+const getImportFileType = (fileName = '') => {
+  const extension = path.extname(fileName).replace('.', '').toLowerCase();
+
+  if (!IMPORT_FILE_TYPES.includes(extension)) {
+    throw new ErrorResponse('Import file must be a .csv or .xlsx file', 400);
+  }
+
+  return extension;
+};
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting)
+ * @param {String} text - CSV content
+ * @returns {Array<Array<String>>} - Rows of cells
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const content = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Unwrap the rich text, hyperlink and formula objects ExcelJS uses for some cells
+const getXlsxCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return value.text;
+  if (value.result !== undefined) return getXlsxCellValue(value.result);
+  return String(value);
+};
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file
+ * @param {Buffer} buffer - File content
+ * @param {String} fileName - Uploaded file name
+ * @returns {Promise<Object>} - { headers, rows: [{ rowNumber, values: { header: cell } }] }
+ */
+const readImportFile = async (buffer, fileName) => {
+  const fileType = getImportFileType(fileName);
+  let table;
+
+  if (fileType === 'csv') {
+    table = parseCsv(buffer.toString('utf8'));
+  } else {
+    const workbook = new ExcelJS.Workbook();
+
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new ErrorResponse(`Could not read XLSX file: ${error.message}`, 400);
+    }
+
+    const worksheet = workbook.worksheets[0];
+    table = [];
+
+    if (worksheet) {
+      worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        // row.values is 1-indexed
+        table[rowNumber - 1] = row.values.slice(1).map(getXlsxCellValue);
+      });
+    }
+  }
+
+  const [headerRow = [], ...dataRows] = table;
+  const headers = Array.from(headerRow, header => String(header ?? '').trim());
+
+  if (headers.filter(Boolean).length === 0) {
+    throw new ErrorResponse('Import file must start with a header row', 400);
+  }
+
+  const rows = [];
+
+  dataRows.forEach((cells = [], index) => {
+    const values = {};
+    let hasValue = false;
+
+    headers.forEach((header, column) => {
+      if (!header) return;
+      const cell = cells[column] ?? '';
+      values[header] = cell;
+      if (String(cell).trim() !== '') hasValue = true;
+    });
+
+    // Skip blank lines, row numbers match what the user sees in their spreadsheet
+    if (hasValue) {
+      rows.push({ rowNumber: index + 2, values });
+    }
+  });
+
+  return { headers, rows };
+};
+
+/**
+ * List the columns a profile maps that are missing from the file
+ * @param {Array<String>} headers - File headers
+ * @param {Object} profile - Mapping profile
+ * @returns {Array<String>} - Missing column names
+ */
+const findMissingColumns = (headers, profile) => {
+  const available = new Set(headers.map(header => header.toLowerCase()));
+  const columns = profile.mappings.map(mapping => mapping.column);
+
+  if (profile.group_by_column) {
+    columns.push(profile.group_by_column);
+  }
+
+  return columns.filter(column => !available.has(column.trim().toLowerCase()));
+};
+
+/**
+ * Convert a cell into the type of the violation field it maps onto
+ * @param {*} raw - Cell value
+ * @param {String} field - Import field
+ * @param {String} listSeparator - Separator for list cells
+ * @returns {*} - Converted value (undefined for empty cells)
+ */
+const convertCellValue = (raw, field, listSeparator = '|') => {
+  if (raw === null || raw === undefined || String(raw).trim() === '') {
+    return undefined;
+  }
+
+  const type = ImportFieldTypes[field];
+  const text = raw instanceof Date ? raw.toISOString().split('T')[0] : String(raw).trim();
+
+  switch (type) {
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(text.replace(/,/g, ''));
+      if (!Number.isFinite(number)) {
+        throw new Error(`"${text}" is not a number`);
+      }
+      return number;
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return raw;
+      const lowered = text.toLowerCase();
+      if (TRUE_VALUES.includes(lowered)) return true;
+      if (FALSE_VALUES.includes(lowered)) return false;
+      throw new Error(`"${text}" is not a yes/no value`);
+    }
+    case 'date': {
+      if (raw instanceof Date) return text;
+      // Day-first dates (31/12/2023) as used by most partner spreadsheets
+      const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+      const date = dayFirst
+        ? new Date(Date.UTC(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1])))
+        : new Date(text);
+      if (isNaN(date.getTime()) || (dayFirst && date.getUTCDate() !== Number(dayFirst[1]))) {
+        throw new Error(`"${text}" is not a valid date`);
+      }
+      return date.toISOString().split('T')[0];
+    }
+    case 'list':
+      return text.split(listSeparator).map(item => item.trim()).filter(Boolean);
+    default:
+      return FIELD_NORMALIZERS[field] ? FIELD_NORMALIZERS[field](text) : text;
+  }
+};
+
+// Set a value at a dotted path, creating intermediate objects
+const setPath = (target, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  let current = target;
+
+  keys.slice(0, -1).forEach(key => {
+    current[key] = current[key] || {};
+    current = current[key];
+  });
+
+  current[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Map one spreadsheet row onto violation fields using a profile
+ * @param {Object} values - Row values keyed by header
+ * @param {Object} profile - Mapping profile
+ * @returns {Object} - { fields, victim, errors } where fields are keyed by import field
+ */
+const mapRow = (values, profile) => {
+  const lookup = {};
+  Object.keys(values).forEach(header => {
+    lookup[header.toLowerCase()] = values[header];
+  });
+
+  const fields = {};
+  const victim = {};
+  const errors = [];
+
+  profile.mappings.forEach(({ column, field }) => {
+    try {
+      const value = convertCellValue(lookup[column.trim().toLowerCase()], field, profile.list_separator);
+      if (value === undefined) return;
+
+      if (field.startsWith('victims.')) {
+        setPath(victim, field.replace('victims.', ''), value);
+      } else {
+        fields[field] = value;
+      }
+    } catch (error) {
+      errors.push(`Column "${column}": ${error.message}`);
+    }
+  });
+
+  return { fields, victim: Object.keys(victim).length > 0 ? victim : null, errors };
+};
+
+/**
+ * Build violation data from mapped fields, filling gaps from the profile defaults
+ * @param {Object} fields - Mapped fields keyed by import field
+ * @param {Array<Object>} victims - Victims collected from the record's rows
+ * @param {Object} profile - Mapping profile
+ * @returns {Object} - { data, errors }
+ */
+const buildViolationData = (fields, victims, profile) => {
+  const data = {};
+  const errors = [];
+  const values = { ...fields };
+  const defaults = profile.defaults || {};
+
+  Object.keys(defaults).forEach(field => {
+    if (values[field] !== undefined) return;
+
+    try {
+      const value = convertCellValue(defaults[field], field, profile.list_separator);
+      if (value === undefined) return;
+
+      if (field.startsWith('victims.')) {
+        // Victim defaults only fill in details of victims present in the file
+        victims.forEach(victim => {
+          if (victim[field.replace('victims.', '')] === undefined) {
+            setPath(victim, field.replace('victims.', ''), value);
+          }
+        });
+      } else {
+        values[field] = value;
+      }
+    } catch (error) {
+      errors.push(`Default for ${field}: ${error.message}`);
+    }
+  });
+
+  Object.keys(values).forEach(field => {
+    if (['latitude', 'longitude', 'tags.en', 'tags.ar'].includes(field)) return;
+    setPath(data, field, values[field]);
+  });
+
+  if (values.latitude !== undefined || values.longitude !== undefined) {
+    if (values.latitude === undefined || values.longitude === undefined) {
+      errors.push('Both latitude and longitude are required for coordinates');
+    } else {
+      data.location = data.location || {};
+      data.location.coordinates = [values.longitude, values.latitude];
+    }
+  }
+
+  // Tags are mapped from separate English and Arabic lists paired by position
+  if (values['tags.en'] || values['tags.ar']) {
+    const tagsEn = values['tags.en'] || [];
+    const tagsAr = values['tags.ar'] || [];
+    data.tags = Array.from({ length: Math.max(tagsEn.length, tagsAr.length) }, (item, index) => ({
+      en: tagsEn[index] || '',
+      ar: tagsAr[index] || ''
+    }));
+  }
+
+  if (victims.length > 0) {
+    data.victims = victims;
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Turn spreadsheet rows into violation records. When the profile has a group_by_column,
+ * rows sharing its value become one violation (fields read from the first row) with
+ * one victim per row.
+ * @param {Array<Object>} rows - Rows returned by readImportFile
+ * @param {Object} profile - Mapping profile
+ * @returns {Array<Object>} - Records { rows, data, errors }
+ */
+const buildImportRecords = (rows, profile) => {
+  const groups = [];
+  const groupsByKey = new Map();
+
+  rows.forEach(row => {
+    const key = profile.group_by_column
+      ? String(row.values[Object.keys(row.values).find(header =>
+        header.toLowerCase() === profile.group_by_column.trim().toLowerCase())] ?? '').trim()
+      : '';
+
+    if (key && groupsByKey.has(key)) {
+      groupsByKey.get(key).push(row);
+      return;
+    }
+
+    const group = [row];
+    groups.push(group);
+    if (key) {
+      groupsByKey.set(key, group);
+    }
+  });
+
+  return groups.map(group => {
+    const mappedRows = group.map(row => mapRow(row.values, profile));
+    const victims = mappedRows.map(mapped => mapped.victim).filter(Boolean);
+    const { data, errors } = buildViolationData(mappedRows[0].fields, victims, profile);
+
+    return {
+      rows: group.map(row => row.rowNumber),
+      data,
+      errors: [
+        ...mappedRows.flatMap((mapped, index) =>
+          mapped.errors.map(error => (group.length > 1 ? `Row ${group[index].rowNumber}: ${error}` : error))),
+        ...errors
+      ]
+    };
+  });
+};
+
+/**
+ * Load a profile and the records of an uploaded file
+ * @param {Buffer} buffer - File content
+ * @param {String} fileName - Uploaded file name
+ * @param {Object} profile - Mapping profile
+ * @returns {Promise<Object>} - { totalRows, records }
+ */
+const loadImportRecords = async (buffer, fileName, profile) => {
+  const { headers, rows } = await readImportFile(buffer, fileName);
+  const missingColumns = findMissingColumns(headers, profile);
+
+  if (missingColumns.length > 0) {
+    throw new ErrorResponse(`Columns missing from the file: ${missingColumns.join(', ')}`, 400);
+  }
+
+  if (rows.length === 0) {
+    throw new ErrorResponse('Import file does not contain any rows', 400);
+  }
+
+  return {
+    totalRows: rows.length,
+    records: buildImportRecords(rows, profile)
+  };
+};
+
+/**
+ * Validate mapped records with the same rules used when creating violations
+ * @param {Array<Object>} records - Records from buildImportRecords
+ * @returns {Promise<Array<Object>>} - Records with errors and the validated data
+ */
+const validateImportRecords = async (records) => {
+  const mappable = records.filter(record => record.errors.length === 0);
+  const { valid, invalid } = await Violation.validateBatch(mappable.map(record => record.data), {
+    requiresGeocoding: true
+  });
+
+  invalid.forEach(({ index, errors }) => {
+    mappable[index].errors.push(...errors);
+  });
+
+  valid.forEach(({ _batchIndex, ...validatedData }) => {
+    const record = mappable[_batchIndex];
+
+    // Schema rules (enums, lengths) are otherwise only checked when the violation is saved
+    const schemaError = new Violation(validatedData).validateSync();
+    if (schemaError) {
+      record.errors.push(...Object.values(schemaError.errors).map(error => error.message));
+      return;
+    }
+
+    record.validatedData = validatedData;
+  });
+
+  return records;
+};
+
+/**
+ * Dry run an import: map the file, validate every record and look for existing
+ * duplicates without writing anything
+ * @param {Buffer} buffer - File content
+ * @param {String} fileName - Uploaded file name
+ * @param {String} profileId - Mapping profile ID
+ * @param {Object} options - Preview options
+ * @param {Boolean} options.checkDuplicates - Look for matching existing violations (default true)
+ * @returns {Promise<Object>} - { summary, records } with a report per record
+ */
+const previewImport = async (buffer, fileName, profileId, options = {}) => {
+  const profile = await ImportMappingProfile.findById(profileId);
+
+  if (!profile) {
+    throw new ErrorResponse(`Import profile not found with id of ${profileId}`, 404);
+  }
+
+  const { totalRows, records } = await loadImportRecords(buffer, fileName, profile);
+  await validateImportRecords(records);
+
+  const report = [];
+
+  for (const record of records) {
+    let duplicates = [];
+
+    if (record.validatedData && options.checkDuplicates !== false) {
+      const duplicateResult = await checkForDuplicates(record.validatedData, {
+        similarityThreshold: IMPORT_DUPLICATE_THRESHOLD,
+        limit: 3
+      });
+
+      duplicates = duplicateResult.duplicates.map(match => ({
+        id: match.violation._id,
+        similarity: match.similarity,
+        exactMatch: match.exactMatch
+      }));
+    }
+
+    let status = 'valid';
+    if (!record.validatedData) {
+      status = 'invalid';
+    } else if (duplicates.length > 0) {
+      status = 'duplicate';
+    }
+
+    report.push({
+      rows: record.rows,
+      status,
+      errors: record.errors,
+      duplicates,
+      violation: record.data
+    });
+  }
+
+  return {
+    summary: {
+      totalRows,
+      totalRecords: report.length,
+      valid: report.filter(entry => entry.status === 'valid').length,
+      invalid: report.filter(entry => entry.status === 'invalid').length,
+      duplicates: report.filter(entry => entry.status === 'duplicate').length
+    },
+    records: report
+  };
+};
+
+/**
+ * Store an uploaded file and create the job that imports it
+ * @param {Buffer} buffer - File content
+ * @param {String} fileName - Uploaded file name
+ * @param {String} profileId - Mapping profile ID
+ * @param {String} userId - User ID requesting the import
+ * @param {Object} options - Import options
+ * @param {String} options.duplicateHandling - candidate (default), merge or skip
+ * @param {String} options.reviewStatus - Review state of imported violations (default pending_review)
+ * @returns {Promise<Object>} - Created import job
+ */
+const createImportJob = async (buffer, fileName, profileId, userId, options = {}) => {
+  const profile = await ImportMappingProfile.findById(profileId);
+
+  if (!profile) {
+    throw new ErrorResponse(`Import profile not found with id of ${profileId}`, 404);
+  }
+
+  // Reject unreadable files and missing columns now rather than in the background
+  const { totalRows, records } = await loadImportRecords(buffer, fileName, profile);
+
+  const jobId = new mongoose.Types.ObjectId();
+  const filePath = path.join(config.importDir, `${jobId}.${getImportFileType(fileName)}`);
+
+  await fs.promises.mkdir(config.importDir, { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  const job = await ViolationImportJob.create({
+    _id: jobId,
+    profile: profile._id,
+    fileName,
+    filePath,
+    options: {
+      duplicateHandling: options.duplicateHandling || 'candidate',
+      reviewStatus: options.reviewStatus || 'pending_review'
+    },
+    requestedBy: userId,
+    status: 'queued',
+    results: {
+      totalRows,
+      totalRecords: records.length
+    }
+  });
+
+  logger.info(`Violation import job ${job._id} created for ${fileName} (${records.length} records)`, { userId });
+
+  return job;
+};
+
+/**
+ * Get an import job
+ * @param {String} jobId - Import job ID
+ * @returns {Promise<Object>} - Import job
+ */
+const getImportJob = async (jobId) => {
+  return ViolationImportJob.findById(jobId)
+    .populate('profile', 'name')
+    .populate('requestedBy', 'name');
+};
+
+/**
+ * Run a queued import: validate the file again and create its violations
+ * @param {String} jobId - Import job ID
+ * @returns {Promise<Object>} - Import results
+ */
+const runImportJob = async (jobId) => {
+  const job = await ViolationImportJob.findById(jobId).select('+filePath');
+
+  if (!job) {
+    throw new Error(`Import job with ID ${jobId} not found in database`);
+  }
+
+  const results = {
+    totalRows: 0,
+    totalRecords: 0,
+    createdCount: 0,
+    mergedCount: 0,
+    skippedCount: 0,
+    failedCount: 0,
+    violations: [],
+    failedRecords: []
+  };
+
+  try {
+    await ViolationImportJob.findByIdAndUpdate(jobId, { status: 'processing', progress: 0 });
+
+    const profile = await ImportMappingProfile.findById(job.profile);
+    if (!profile) {
+      throw new Error(`Import profile ${job.profile} no longer exists`);
+    }
+
+    const buffer = await fs.promises.readFile(job.filePath);
+    const { totalRows, records } = await loadImportRecords(buffer, job.fileName, profile);
+    await validateImportRecords(records);
+
+    results.totalRows = totalRows;
+    results.totalRecords = records.length;
+
+    const { duplicateHandling, reviewStatus } = job.options;
+    let processed = 0;
+
+    for (const record of records) {
+      if (!record.validatedData) {
+        results.failedCount += 1;
+        results.failedRecords.push({ rows: record.rows, status: 'invalid', reasons: record.errors });
+      } else {
+        try {
+          const result = await createSingleViolation(record.validatedData, job.requestedBy, {
+            checkDuplicates: true,
+            mergeDuplicates: duplicateHandling === 'merge',
+            recordCandidates: duplicateHandling === 'candidate',
+            reviewStatus,
+            // Coordinates from the file are kept as they are
+            skipGeocoding: Array.isArray(record.validatedData.location?.coordinates),
+            reason: `Imported from ${job.fileName} (rows ${record.rows.join(', ')}, import job ${job._id})`
+          });
+
+          results[result.wasMerged ? 'mergedCount' : 'createdCount'] += 1;
+          results.violations.push(result.violation._id);
+        } catch (error) {
+          // Without merging or candidates, a duplicate is reported as a 409
+          const isDuplicate = error.statusCode === 409;
+          results[isDuplicate ? 'skippedCount' : 'failedCount'] += 1;
+          results.failedRecords.push({
+            rows: record.rows,
+            status: isDuplicate ? 'duplicate' : 'failed',
+            reasons: [error.message]
+          });
+        }
+      }
+
+      processed += 1;
+
+      if (processed % IMPORT_PROGRESS_INTERVAL === 0) {
+        await ViolationImportJob.findByIdAndUpdate(jobId, {
+          progress: Math.min(99, Math.floor((processed / records.length) * 100))
+        });
+      }
+    }
+
+    await ViolationImportJob.findByIdAndUpdate(jobId, {
+      status: 'completed',
+      progress: 100,
+      results,
+      completedAt: new Date()
+    });
+
+    logger.info(`Import job ${jobId} completed: ${results.createdCount} created, ${results.mergedCount} merged, ${results.skippedCount} skipped, ${results.failedCount} failed`);
+
+    return results;
+  } catch (error) {
+    await ViolationImportJob.findByIdAndUpdate(jobId, {
+      status: 'failed',
+      error: error.message,
+      results
+    });
+
+    logger.error(`Import job ${jobId} failed: ${error.message}`);
+    throw error;
+  } finally {
+    // Jobs are not retried, so the upload is no longer needed
+    if (job.filePath) {
+      await fs.promises.rm(job.filePath, { force: true });
+    }
+  }
+};
+
+module.exports = {
+  IMPORT_FILE_TYPES,
+  parseCsv,
+  readImportFile,
+  convertCellValue,
+  buildImportRecords,
+  previewImport,
+  createImportJob,
+  getImportJob,
+  runImportJob
+};
@@ -0,0 +1,135 @@
+const ImportMappingProfile = require('../../models/ImportMappingProfile');
+const ViolationImportJob = require('../../models/jobs/ViolationImportJob');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+
+// Profile fields that can be set through the API
+const PROFILE_FIELDS = ['name', 'description', 'mappings', 'group_by_column', 'list_separator', 'defaults'];
+
+const pickProfileFields = (data = {}) => {
+  const picked = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
+  });
+  return picked;
+};
+
+/**
+ * Get column-mapping profiles with pagination
+ * @param {Object} paginationOptions - Pagination options
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getImportProfiles = async (paginationOptions = {}) => {
+  const options = {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 20,
+    sort: 'name',
+    populate: [{ path: 'created_by', select: 'name' }]
+  };
+
+  const result = await ImportMappingProfile.paginate({}, options);
+
+  return {
+    profiles: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
+    }
+  };
+};
+
+/**
+ * Get a column-mapping profile by ID
+ * @param {String} profileId - Profile ID
+ * @returns {Promise<Object>} - Mapping profile
+ */
+const getImportProfileById = async (profileId) => {
+  const profile = await ImportMappingProfile.findById(profileId);
+
+  if (!profile) {
+    throw new ErrorResponse(`Import profile not found with id of ${profileId}`, 404);
+  }
+
+  return profile;
+};
+
+/**
+ * Create a column-mapping profile
+ * @param {Object} profileData - Profile data
+ * @param {String} userId - User ID creating the profile
+ * @returns {Promise<Object>} - Created profile
+ */
+const createImportProfile = async (profileData, userId) => {
+  const profile = await ImportMappingProfile.create({
+    ...pickProfileFields(profileData),
+    created_by: userId,
+    updated_by: userId
+  });
+
+  logger.info(`Import profile ${profile._id} (${profile.name}) created`, { userId });
+
+  return profile;
+};
+
+/**
+ * Update a column-mapping profile
+ * @param {String} profileId - Profile ID
+ * @param {Object} profileData - Fields to update
+ * @param {String} userId - User ID updating the profile
+ * @returns {Promise<Object>} - Updated profile
+ */
+const updateImportProfile = async (profileId, profileData, userId) => {
+  const profile = await ImportMappingProfile.findByIdAndUpdate(
+    profileId,
+    {
+      ...pickProfileFields(profileData),
+      updated_by: userId
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!profile) {
+    throw new ErrorResponse(`Import profile not found with id of ${profileId}`, 404);
+  }
+
+  return profile;
+};
+
+/**
+ * Delete a column-mapping profile that no pending import depends on
+ * @param {String} profileId - Profile ID
+ * @returns {Promise<Object>} - Deleted profile
+ */
+const deleteImportProfile = async (profileId) => {
+  const profile = await getImportProfileById(profileId);
+
+  const activeJobs = await ViolationImportJob.countDocuments({
+    profile: profile._id,
+    status: { $in: ['queued', 'processing'] }
+  });
+
+  if (activeJobs > 0) {
+    throw new ErrorResponse('Import profile is used by an import that has not finished yet', 400);
+  }
+
+  await ImportMappingProfile.findByIdAndDelete(profile._id);
+
+  return profile;
+};
+
+module.exports = {
+  getImportProfiles,
+  getImportProfileById,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile
+};
@@ -7,22 +7,40 @@
  */
 
 // Create operations
-const { createSingleViolation, createBatchViolations, geocodeLocationData, batchGeocodeLocations } = require('./create');
+const {
+  createSingleViolation,
+  createBatchViolations,
+  geocodeLocationData,
+  geocodeLocationForReview,
+  findGeocodingCandidates,
+  batchGeocodeLocations
+} = require('./create');
 
 // Update operations
 const { updateViolation, hasLocationChanged } = require('./update');
 
 // Delete operations
-const { deleteViolation } = require('./delete');
+const { deleteViolation, restoreViolation, purgeDeletedViolations } = require('./delete');
 
 // Query operations
 const { 
   buildFilterQuery, 
   getViolations, 
   getViolationsInRadius, 
-  getViolationById 
+  getViolationById,
+  resolveMergedViolationId,
+  getDeletedViolations
 } = require('./query');
 
+// Search operations
+const { searchViolations } = require('./search');
+
+// Map operations
+const { getViolationMap, getViolationTile } = require('./map');
+
+// Spatial operations
+const { getViolationsInArea, resolveTerritoryGeometry } = require('./spatial');
+
 // Statistics operations
 const { 
   getViolationStats, 
@@ -36,17 +54,85 @@ const {
 const { 
   mergeViolations, 
   mergeWithExistingViolation, 
+  mergeViolationRecords,
+  unmergeViolation,
   mergeVictims, 
   mergeMediaLinks, 
   mergeTags, 
   mergeLocalizedString 
 } = require('./merge');
 
+// Review operations
+const {
+  getReviewQueue,
+  transitionReviewStatus,
+  submitForReview,
+  approveViolation,
+  rejectViolation
+} = require('./review');
+
+// History operations
+const {
+  recordRevision,
+  writeWithRevision,
+  updateViolationsWithRevisions,
+  getViolationHistory,
+  revertViolation
+} = require('./history');
+
+// Duplicate candidate operations
+const {
+  recordDuplicateCandidates,
+  scanForDuplicates,
+  getDuplicateCandidates,
+  getDuplicateCandidateById,
+  confirmDuplicateCandidate,
+  dismissDuplicateCandidate
+} = require('./duplicates');
+
+// Geocoding review operations
+const {
+  GEOCODING_REVIEW_STATUSES,
+  getGeocodingReviewQueue,
+  cacheManualGeocode,
+  resolveGeocodingReview
+} = require('./geocoding');
+
+// Export operations
+const {
+  EXPORT_CONTENT_TYPES,
+  buildExportFileName,
+  countViolationsForExport,
+  exportViolations,
+  createExportJob,
+  getExportJob,
+  runExportJob
+} = require('./export');
+
+// Import operations
+const {
+  previewImport,
+  createImportJob,
+  getImportJob,
+  runImportJob
+} = require('./import');
+
+// Import mapping profile operations
+const {
+  getImportProfiles,
+  getImportProfileById,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile
+} = require('./importProfiles');
+
 module.exports = {
   // Create
   createSingleViolation,
   createBatchViolations,
   geocodeLocationData,
+  geocodeLocationForReview,
+  findGeocodingCandidates,
   batchGeocodeLocations,
   
   // Update
@@ -55,12 +141,27 @@ module.exports = {
   
   // Delete
   deleteViolation,
+  restoreViolation,
+  purgeDeletedViolations,
   
   // Query
   buildFilterQuery,
   getViolations,
   getViolationsInRadius,
   getViolationById,
+  resolveMergedViolationId,
+  getDeletedViolations,
+
+  // Search
+  searchViolations,
+
+  // Map
+  getViolationMap,
+  getViolationTile,
+
+  // Spatial
+  getViolationsInArea,
+  resolveTerritoryGeometry,
   
   // Stats
   getViolationStats,
@@ -72,8 +173,58 @@ module.exports = {
   // Merge
   mergeViolations,
   mergeWithExistingViolation,
+  mergeViolationRecords,
+  unmergeViolation,
   mergeVictims,
   mergeMediaLinks,
   mergeTags,
-  mergeLocalizedString
+  mergeLocalizedString,
+
+  // Review
+  getReviewQueue,
+  transitionReviewStatus,
+  submitForReview,
+  approveViolation,
+  rejectViolation,
+
+  // History
+  recordRevision,
+  writeWithRevision,
+  updateViolationsWithRevisions,
+  getViolationHistory,
+  revertViolation,
+
+  // Duplicates
+  recordDuplicateCandidates,
+  scanForDuplicates,
+  getDuplicateCandidates,
+  getDuplicateCandidateById,
+  confirmDuplicateCandidate,
+  dismissDuplicateCandidate,
+
+  // Geocoding review
+  GEOCODING_REVIEW_STATUSES,
+  getGeocodingReviewQueue,
+  cacheManualGeocode,
+  resolveGeocodingReview,
+
+  // Export
+  EXPORT_CONTENT_TYPES,
+  buildExportFileName,
+  countViolationsForExport,
+  exportViolations,
+  createExportJob,
+  getExportJob,
+  runExportJob,
+
+  // Import
+  previewImport,
+  createImportJob,
+  getImportJob,
+  runImportJob,
+  getImportProfiles,
+  getImportProfileById,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile
 };
\ No newline at end of file
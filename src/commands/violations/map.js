@@ -0,0 +1,251 @@
+const vtpbf = require('vt-pbf');
+const Violation = require('../../models/Violation');
+const config = require('../../config/config');
+const { buildAreaFilterQuery } = require('./query');
+const {
+  MAX_LATITUDE,
+  longitudeToWorldX,
+  latitudeToWorldY,
+  tileToBBox
+} = require('../../utils/tiles');
+
+// Clusters are built on a fixed grid of this many cells per tile side (64 px cells on
+// 256 px tiles), so a cluster never straddles two tiles
+const CLUSTER_CELLS_PER_TILE = 4;
+
+// Coordinate extent of vector tiles
+const TILE_EXTENT = 4096;
+
+// Name of the vector tile layer
+const TILE_LAYER = 'violations';
+
+// Fields of individual violations shown on the map
+const POINT_FIELDS = 'type date casualties location.name location.coordinates';
+
+/**
+ * Build the query for violations matching the list filters inside a bounding box
+ * @param {Object} queryParams - Violation filters (same as the violation list)
+ * @param {Array<Number>} bbox - [west, south, east, north]
+ * @returns {Object} - Mongoose query object
+ */
+const buildMapQuery = (queryParams, [west, south, east, north]) => buildAreaFilterQuery(
+  queryParams,
+  { 'location.coordinates': { $geoWithin: { $box: [[west, south], [east, north]] } } }
+);
+
+/**
+ * Aggregation expression for the grid cell of a violation along one axis
+ * @param {Object} worldPosition - Expression of the position in world units at zoom 0
+ * @param {Number} zoom - Zoom level
+ * @returns {Object} - Aggregation expression
+ */
+const cellExpression = (worldPosition, zoom) => ({
+  $floor: { $multiply: [worldPosition, 2 ** zoom * CLUSTER_CELLS_PER_TILE] }
+});
+
+// Web Mercator positions at zoom 0, computed from the projected lng and lat fields
+const WORLD_X = { $divide: [{ $add: ['$lng', 180] }, 360] };
+const LATITUDE_RADIANS = { $degreesToRadians: { $max: [-MAX_LATITUDE, { $min: [MAX_LATITUDE, '$lat'] }] } };
+const WORLD_Y = {
+  $divide: [
+    {
+      $subtract: [
+        1,
+        {
+          $divide: [
+            { $ln: { $add: [{ $tan: LATITUDE_RADIANS }, { $divide: [1, { $cos: LATITUDE_RADIANS }] }] } },
+            Math.PI
+          ]
+        }
+      ]
+    },
+    2
+  ]
+};
+
+const pointFeature = (violation) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: violation.location.coordinates },
+  properties: {
+    cluster: false,
+    id: String(violation._id),
+    type: violation.type,
+    date: violation.date,
+    casualties: violation.casualties || 0,
+    name: violation.location.name || null
+  }
+});
+
+const clusterFeature = (cell) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [cell.lng, cell.lat] },
+  properties: {
+    cluster: true,
+    count: cell.count,
+    casualties: cell.casualties,
+    types: cell.types
+  }
+});
+
+/**
+ * Group matching violations into grid cells, with counts per type. Cells holding a
+ * single violation come back as that violation.
+ * @param {Object} query - Violation query
+ * @param {Number} zoom - Zoom level
+ * @param {Number} limit - Most cells returned (largest first)
+ * @returns {Promise<Array>} - Cells
+ */
+const aggregateClusters = (query, zoom, limit) => Violation.aggregate([
+  { $match: query },
+  {
+    $project: {
+      type: 1,
+      date: 1,
+      casualties: 1,
+      'location.name': 1,
+      'location.coordinates': 1,
+      lng: { $arrayElemAt: ['$location.coordinates', 0] },
+      lat: { $arrayElemAt: ['$location.coordinates', 1] }
+    }
+  },
+  {
+    $group: {
+      _id: { x: cellExpression(WORLD_X, zoom), y: cellExpression(WORLD_Y, zoom), type: '$type' },
+      count: { $sum: 1 },
+      lng: { $sum: '$lng' },
+      lat: { $sum: '$lat' },
+      casualties: { $sum: { $ifNull: ['$casualties', 0] } },
+      violation: { $first: '$$ROOT' }
+    }
+  },
+  {
+    $group: {
+      _id: { x: '$_id.x', y: '$_id.y' },
+      count: { $sum: '$count' },
+      lng: { $sum: '$lng' },
+      lat: { $sum: '$lat' },
+      casualties: { $sum: '$casualties' },
+      types: { $push: { k: { $ifNull: ['$_id.type', 'OTHER'] }, v: '$count' } },
+      violation: { $first: '$violation' }
+    }
+  },
+  { $sort: { count: -1 } },
+  { $limit: limit + 1 },
+  {
+    $project: {
+      _id: 0,
+      count: 1,
+      casualties: 1,
+      lng: { $divide: ['$lng', '$count'] },
+      lat: { $divide: ['$lat', '$count'] },
+      types: { $arrayToObject: '$types' },
+      violation: { $cond: [{ $eq: ['$count', 1] }, '$violation', null] }
+    }
+  }
+]);
+
+/**
+ * Find the map features of the violations matching the filters inside a bounding box:
+ * clusters up to the cluster zoom limit, individual violations beyond it
+ * @param {Object} queryParams - Violation filters
+ * @param {Array<Number>} bbox - [west, south, east, north]
+ * @param {Number} zoom - Zoom level
+ * @returns {Promise<Object>} - { clustered, truncated, features }
+ */
+const findMapFeatures = async (queryParams, bbox, zoom) => {
+  const query = buildMapQuery(queryParams, bbox);
+  const limit = config.mapPointLimit;
+  const clustered = zoom <= config.mapClusterMaxZoom;
+
+  let features;
+  let found;
+
+  if (clustered) {
+    const cells = await aggregateClusters(query, zoom, limit);
+    found = cells.length;
+    features = cells.slice(0, limit).map(cell => (cell.violation ? pointFeature(cell.violation) : clusterFeature(cell)));
+  } else {
+    const violations = await Violation.find(query)
+      .select(POINT_FIELDS)
+      .sort({ date: -1 })
+      .limit(limit + 1)
+      .lean();
+    found = violations.length;
+    features = violations.slice(0, limit).map(pointFeature);
+  }
+
+  return {
+    clustered,
+    truncated: found > limit,
+    features
+  };
+};
+
+/**
+ * Get violations for a map view: clusters with counts and type breakdowns at low zoom,
+ * individual violations at high zoom
+ * @param {Object} queryParams - Violation filters (same as the violation list)
+ * @param {Object} view - Map view
+ * @param {Array<Number>} view.bbox - [west, south, east, north]
+ * @param {Number} view.zoom - Zoom level
+ * @returns {Promise<Object>} - { zoom, bbox, clustered, truncated, features: GeoJSON FeatureCollection }
+ */
+const getViolationMap = async (queryParams, { bbox, zoom }) => {
+  const { clustered, truncated, features } = await findMapFeatures(queryParams, bbox, zoom);
+
+  return {
+    zoom,
+    bbox,
+    clustered,
+    truncated,
+    features: {
+      type: 'FeatureCollection',
+      features
+    }
+  };
+};
+
+// Vector tile properties must be scalars, so names and type counts are flattened
+const tileProperties = ({ name, types, date, ...properties }) => ({
+  ...properties,
+  ...(date ? { date: new Date(date).toISOString() } : {}),
+  ...(name ? { name_en: name.en || null, name_ar: name.ar || null } : {}),
+  ...Object.fromEntries(Object.entries(types || {}).map(([type, count]) => [`type_${type}`, count]))
+});
+
+/**
+ * Get a Mapbox Vector Tile of the violations matching the filters, with the same
+ * clusters and points as the map view at the tile's zoom
+ * @param {Object} queryParams - Violation filters (same as the violation list)
+ * @param {Object} tile - Tile coordinates
+ * @param {Number} tile.z - Zoom level
+ * @param {Number} tile.x - Tile column
+ * @param {Number} tile.y - Tile row
+ * @returns {Promise<Buffer>} - Encoded tile with a "violations" layer
+ */
+const getViolationTile = async (queryParams, { z, x, y }) => {
+  const { features } = await findMapFeatures(queryParams, tileToBBox(z, x, y), z);
+
+  const tileFeatures = features.map(feature => {
+    const [longitude, latitude] = feature.geometry.coordinates;
+    return {
+      type: 1,
+      geometry: [[
+        Math.round((longitudeToWorldX(longitude, z) - x) * TILE_EXTENT),
+        Math.round((latitudeToWorldY(latitude, z) - y) * TILE_EXTENT)
+      ]],
+      tags: tileProperties(feature.properties)
+    };
+  });
+
+  return Buffer.from(vtpbf.fromGeojsonVt(
+    { [TILE_LAYER]: { features: tileFeatures } },
+    { version: 2, extent: TILE_EXTENT }
+  ));
+};
+
+module.exports = {
+  buildMapQuery,
+  getViolationMap,
+  getViolationTile
+};
@@ -1,5 +1,22 @@
+const mongoose = require('mongoose');
 const Violation = require('../../models/Violation');
+const ViolationMerge = require('../../models/ViolationMerge');
+const ViolationRevision = require('../../models/ViolationRevision');
+const ErrorResponse = require('../../utils/errorResponse');
 const logger = require('../../config/logger');
+const { writeWithRevision, toSnapshot, applySnapshot } = require('./history');
+const { SOFT_DELETE_FIELDS, REVIEW_FIELDS, MERGE_FIELDS } = require('./query');
+
+// Content fields an editor can pick from either record when merging
+const MERGEABLE_FIELDS = [
+  'type', 'date', 'reported_date', 'location', 'description', 'source', 'source_urls',
+  'verified', 'certainty_level', 'verification_method', 'casualties', 'kidnapped_count',
+  'detained_count', 'injured_count', 'displaced_count', 'victims', 'perpetrator',
+  'perpetrator_affiliation', 'media_links', 'tags', 'related_violations'
+];
+
+// Fields of the merged-away record that must not be carried into the surviving record
+const MERGE_EXCLUDED_FIELDS = ['content_hash', 'created_by', 'updated_by', ...SOFT_DELETE_FIELDS, ...REVIEW_FIELDS, ...MERGE_FIELDS];
 
 /**
  * Merge victims from source violation into target violation
@@ -141,12 +158,16 @@ function mergeSourceUrls(targetSourceUrls = [], sourceSourceUrls = []) {
  * @param {Object} newViolationData - New violation data
  * @param {Object} existingViolation - Existing violation from database
  * @param {Object} options - Merge options
+ * @param {Boolean} options.preferNew - Whether to prefer new data over existing
+ * @param {Object} options.fieldChoices - Explicit per-field choices ({ field: 'source' | 'target' }),
+ *   where the source is the new data and the target the existing violation
  * @returns {Object} Merged violation data
  */
 function mergeViolations(newViolationData, existingViolation, options = {}) {
   const { 
     preferNew = true, // Whether to prefer new data over existing
-    updateTimestamp = true 
+    updateTimestamp = true,
+    fieldChoices = {}
   } = options;
 
   const merged = { ...existingViolation };
@@ -229,6 +250,14 @@ function mergeViolations(newViolationData, existingViolation, options = {}) {
     merged.certainty_level = existingViolation.certainty_level;
   }
 
+  // Explicit choices override the automatic merge result
+  Object.keys(fieldChoices).forEach(field => {
+    const chosen = fieldChoices[field] === 'source' ? newViolationData[field] : existingViolation[field];
+    if (chosen !== undefined) {
+      merged[field] = chosen;
+    }
+  });
+
   // Update timestamps if requested
   if (updateTimestamp) {
     merged.updatedAt = new Date();
@@ -242,7 +271,7 @@ function mergeViolations(newViolationData, existingViolation, options = {}) {
  * @param {Object} newViolationData - New violation data
  * @param {Object} existingViolation - Existing violation from database
  * @param {String} userId - User ID performing the merge
- * @param {Object} options - Merge options
+ * @param {Object} options - Merge options (also accepts a revision reason and metadata)
  * @returns {Promise<Object>} Updated violation
  */
 async function mergeWithExistingViolation(newViolationData, existingViolation, userId, options = {}) {
@@ -254,11 +283,19 @@ async function mergeWithExistingViolation(newViolationData, existingViolation, u
     mergedData.updated_by = userId;
     
     // Update the existing violation
-    const updatedViolation = await Violation.findByIdAndUpdate(
+    const updatedViolation = await writeWithRevision({
+      violationId: existingViolation._id,
+      action: 'merge',
+      before: existingViolation,
+      update: mergedData,
+      userId,
+      reason: options.reason,
+      metadata: options.metadata
+    }, () => Violation.findByIdAndUpdate(
       existingViolation._id,
       mergedData,
       { new: true, runValidators: true }
-    );
+    ));
 
     logger.info('Merged violation data', {
       violationId: existingViolation._id,
@@ -273,13 +310,239 @@ async function mergeWithExistingViolation(newViolationData, existingViolation, u
       userId,
       error: error.message
     });
+    if (error instanceof ErrorResponse) {
+      throw error;
+    }
     throw new Error(`Failed to merge violation: ${error.message}`);
   }
 }
 
+/**
+ * Check editor supplied field choices before a merge
+ * @param {Object} fieldChoices - Choices keyed by field name
+ */
+function validateFieldChoices(fieldChoices) {
+  Object.keys(fieldChoices).forEach(field => {
+    if (!MERGEABLE_FIELDS.includes(field)) {
+      throw new ErrorResponse(`Field ${field} cannot be chosen when merging violations`, 400);
+    }
+    if (!['source', 'target'].includes(fieldChoices[field])) {
+      throw new ErrorResponse(`Invalid choice for ${field}. Use 'source' or 'target'`, 400);
+    }
+  });
+}
+
+/**
+ * Merge a chosen source violation into a target violation. The source is kept as a
+ * tombstone that redirects to the target, and both snapshots are stored so the merge can be undone.
+ * @param {String} targetId - ID of the violation that survives the merge
+ * @param {String} sourceId - ID of the violation merged into the target
+ * @param {String} userId - User ID performing the merge
+ * @param {Object} options - Merge options
+ * @param {Object} options.fieldChoices - Per-field conflict choices ({ field: 'source' | 'target' })
+ * @param {String} options.reason - Reason for the merge
+ * @returns {Promise<Object>} - { violation, merge } with the updated target and the merge record
+ */
+async function mergeViolationRecords(targetId, sourceId, userId, options = {}) {
+  const fieldChoices = options.fieldChoices || {};
+
+  if (String(targetId) === String(sourceId)) {
+    throw new ErrorResponse('A violation cannot be merged into itself', 400);
+  }
+
+  validateFieldChoices(fieldChoices);
+
+  const [target, source] = await Promise.all([
+    Violation.findById(targetId),
+    Violation.findById(sourceId)
+  ]);
+
+  if (!target || target.deleted_at) {
+    throw new ErrorResponse(`Violation not found with id of ${targetId}`, 404);
+  }
+
+  if (!source || source.deleted_at) {
+    throw new ErrorResponse(`Violation not found with id of ${sourceId}`, 404);
+  }
+
+  const sourceSnapshot = toSnapshot(source);
+  const targetSnapshot = toSnapshot(target);
+  const reason = options.reason || `Merged violation ${sourceId}`;
+
+  const sourceData = { ...sourceSnapshot };
+  MERGE_EXCLUDED_FIELDS.forEach(field => delete sourceData[field]);
+
+  // Without explicit choices the target keeps its values and only gains what the source adds
+  const mergedViolation = await mergeWithExistingViolation(
+    sourceData,
+    { ...targetSnapshot, _id: target._id },
+    userId,
+    {
+      preferNew: false,
+      fieldChoices,
+      reason,
+      metadata: { mergedFrom: String(source._id) }
+    }
+  );
+
+  const merge = await ViolationMerge.create({
+    target: target._id,
+    source: source._id,
+    field_choices: fieldChoices,
+    source_snapshot: sourceSnapshot,
+    target_snapshot: targetSnapshot,
+    target_updated_at: mergedViolation.updatedAt,
+    target_revision: (await ViolationRevision.getNextRevisionNumber(target._id)) - 1,
+    reason: options.reason || '',
+    merged_by: userId
+  });
+
+  // Tombstone the source so it disappears from listings but keeps redirecting to the target
+  const tombstone = {
+    deleted_at: new Date(),
+    deleted_by: userId,
+    deletion_reason: `Merged into ${target._id}`,
+    merged_into: target._id
+  };
+
+  await writeWithRevision({
+    violationId: source._id,
+    action: 'merge',
+    before: source,
+    update: tombstone,
+    userId,
+    reason,
+    metadata: { mergedInto: String(target._id), mergeId: String(merge._id) }
+  }, () => Violation.findByIdAndUpdate(source._id, tombstone, { new: true }));
+
+  logger.info(`Violation ${sourceId} merged into ${targetId}`, { userId, mergeId: merge._id });
+
+  return {
+    violation: mergedViolation,
+    merge
+  };
+}
+
+/**
+ * Check whether the target of a merge was edited after the merge. Bulk updates of
+ * derived fields and links (admin codes, territory control, affiliations, victim
+ * re-links) are not edits and do not block an un-merge.
+ * @param {Object} merge - Active merge record
+ * @param {Object} target - Current target violation
+ * @returns {Promise<Boolean>} - True if the target has later edits
+ */
+async function isEditedSinceMerge(merge, target) {
+  if (merge.target_revision === undefined || merge.target_revision === null) {
+    const targetUpdatedAt = target.updatedAt ? new Date(target.updatedAt).getTime() : 0;
+    const mergedAt = merge.target_updated_at ? new Date(merge.target_updated_at).getTime() : 0;
+    return targetUpdatedAt > mergedAt;
+  }
+
+  const laterEdit = await ViolationRevision.exists({
+    violation: merge.target,
+    revision_number: { $gt: merge.target_revision },
+    'metadata.bulk': { $ne: true }
+  });
+
+  return Boolean(laterEdit);
+}
+
+/**
+ * Split a merged violation back out of the record it was merged into. The target is
+ * restored to its state before the merge and the source is restored from its snapshot.
+ * @param {String} sourceId - ID of the violation that was merged away
+ * @param {String} userId - User ID performing the un-merge
+ * @param {Object} options - Un-merge options
+ * @param {String} options.reason - Reason for the un-merge
+ * @param {Boolean} options.force - Discard edits made to the target after the merge
+ * @returns {Promise<Object>} - { source, target } restored violations
+ */
+async function unmergeViolation(sourceId, userId, options = {}) {
+  const merge = await ViolationMerge.findOne({ source: sourceId, status: 'active' });
+
+  if (!merge) {
+    throw new ErrorResponse(`No active merge found for violation ${sourceId}`, 404);
+  }
+
+  const target = await Violation.findById(merge.target);
+
+  if (!target || target.deleted_at) {
+    throw new ErrorResponse(`Violation not found with id of ${merge.target}`, 404);
+  }
+
+  // Restoring the pre-merge snapshot would silently drop later edits to the target
+  if (!options.force && await isEditedSinceMerge(merge, target)) {
+    throw new ErrorResponse(
+      `Violation ${merge.target} has been edited since the merge. Pass force to discard those edits`,
+      409
+    );
+  }
+
+  const reason = options.reason || `Un-merged violation ${sourceId}`;
+
+  const metadata = { mergeId: String(merge._id), source: String(sourceId), target: String(merge.target) };
+
+  const targetBefore = toSnapshot(target);
+  applySnapshot(target, merge.target_snapshot);
+  target.updated_by = userId;
+
+  await writeWithRevision({
+    violationId: target._id,
+    action: 'unmerge',
+    before: targetBefore,
+    after: target,
+    userId,
+    reason,
+    metadata
+  }, () => target.save());
+
+  let source = await Violation.findById(sourceId);
+  const sourceBefore = source ? toSnapshot(source) : null;
+
+  if (source) {
+    applySnapshot(source, merge.source_snapshot);
+  } else {
+    // The tombstone is gone; recreate the record under its original ID
+    const content = { ...merge.source_snapshot };
+    [...SOFT_DELETE_FIELDS, ...MERGE_FIELDS].forEach(field => delete content[field]);
+    source = new Violation({ ...content, _id: new mongoose.Types.ObjectId(String(sourceId)) });
+  }
+
+  source.set({ deleted_at: null, merged_into: null });
+  source.set('deleted_by', undefined);
+  source.set('deletion_reason', undefined);
+  source.updated_by = userId;
+
+  await writeWithRevision({
+    violationId: source._id,
+    action: 'unmerge',
+    before: sourceBefore,
+    after: source,
+    userId,
+    reason,
+    metadata
+  }, () => source.save());
+
+  await ViolationMerge.findByIdAndUpdate(merge._id, {
+    status: 'reverted',
+    unmerged_by: userId,
+    unmerged_at: new Date()
+  });
+
+  logger.info(`Violation ${sourceId} un-merged from ${merge.target}`, { userId, mergeId: merge._id });
+
+  return {
+    source,
+    target
+  };
+}
+
 module.exports = {
+  MERGEABLE_FIELDS,
   mergeViolations,
   mergeWithExistingViolation,
+  mergeViolationRecords,
+  unmergeViolation,
   mergeVictims,
   mergeMediaLinks,
   mergeTags,
@@ -1,12 +1,22 @@
+const mongoose = require('mongoose');
 const Violation = require('../../models/Violation');
 
+// Matches violations that have not been soft deleted (also matches legacy records without the field)
+const NOT_DELETED_FILTER = { deleted_at: null };
+
+// Matches violations that are visible to the public (legacy records without a review status are published)
+const PUBLISHED_FILTER = { ...NOT_DELETED_FILTER, review_status: { $in: ['published', null] } };
+
+// Fields that hold soft delete, editorial review and merge state
+const { SOFT_DELETE_FIELDS, REVIEW_FIELDS, MERGE_FIELDS } = Violation;
+
 /**
  * Build filter query based on query parameters
  * @param {Object} queryParams - Request query parameters
  * @returns {Object} Mongoose query object
  */
 const buildFilterQuery = (queryParams) => {
-  const query = {};
+  const query = { ...PUBLISHED_FILTER };
 
   // Filter by type
   if (queryParams.type) {
@@ -43,6 +53,13 @@ const buildFilterQuery = (queryParams) => {
     query[langField] = new RegExp(queryParams.administrative_division, 'i');
   }
 
+  // Filter by canonical place codes assigned from the administrative boundaries
+  ['governorate', 'district', 'sub_district'].forEach(level => {
+    if (queryParams[level]) {
+      query[`admin_codes.${level}`] = String(queryParams[level]).toUpperCase();
+    }
+  });
+
   // Filter by certainty level
   if (queryParams.certainty_level) {
     query.certainty_level = queryParams.certainty_level;
@@ -64,12 +81,27 @@ const buildFilterQuery = (queryParams) => {
     query.perpetrator_affiliation = queryParams.perpetrator_affiliation;
   }
 
+  // Filter by a catalogued perpetrator (cast so the query also works in aggregations)
+  if (queryParams.perpetrator_entity) {
+    query.perpetrator_entity = new mongoose.Types.ObjectId(String(queryParams.perpetrator_entity));
+  }
+
+  // Filter by who controlled the territory on the incident date
+  if (queryParams.territory_controller) {
+    query['territory_control.controlled_by'] = queryParams.territory_controller;
+  }
+
   // Filter by description
   if (queryParams.description) {
     const langField = queryParams.lang === 'ar' ? 'description.ar' : 'description.en';
     query[langField] = new RegExp(queryParams.description, 'i');
   }
 
+  // Filter by a victim from the victim registry (cast so the query also works in aggregations)
+  if (queryParams.victim) {
+    query['victims.victim'] = new mongoose.Types.ObjectId(String(queryParams.victim));
+  }
+
   // Filter by tags
   if (queryParams.tags) {
     const tags = queryParams.tags.split(',').map(tag => tag.trim());
@@ -103,15 +135,26 @@ const buildFilterQuery = (queryParams) => {
 };
 
 /**
- * Get violations with filtering, sorting, and pagination
- * @param {Object} queryParams - Query parameters for filtering
- * @param {Object} paginationOptions - Pagination options
- * @returns {Promise<Object>} - Paginated results
+ * Build filter query limited to an area. The radius filter also constrains the
+ * coordinates, so the area is added to $and instead of replacing that filter.
+ * @param {Object} queryParams - Request query parameters
+ * @param {Object} areaCondition - Condition on location.coordinates
+ * @returns {Object} Mongoose query object
  */
-const getViolations = async (queryParams, paginationOptions = {}) => {
-  // Build query with filters
+const buildAreaFilterQuery = (queryParams, areaCondition) => {
   const query = buildFilterQuery(queryParams);
-  
+  query.$and = [...(query.$and || []), areaCondition];
+
+  return query;
+};
+
+/**
+ * Paginate the violations matching a query
+ * @param {Object} query - Mongoose query object
+ * @param {Object} paginationOptions - Pagination options (page, limit, sort)
+ * @returns {Promise<Object>} - Paginated results
+ */
+const paginateViolations = async (query, paginationOptions = {}) => {
   // Pagination options
   const options = {
     page: paginationOptions.page || 1,
@@ -143,6 +186,19 @@ const getViolations = async (queryParams, paginationOptions = {}) => {
   };
 };
 
+/**
+ * Get violations with filtering, sorting, and pagination
+ * @param {Object} queryParams - Query parameters for filtering
+ * @param {Object} paginationOptions - Pagination options
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getViolations = async (queryParams, paginationOptions = {}) => {
+  // Build query with filters
+  const query = buildFilterQuery(queryParams);
+
+  return paginateViolations(query, paginationOptions);
+};
+
 /**
  * Get violations within a specified radius
  * @param {Number} latitude - Center latitude
@@ -156,6 +212,7 @@ const getViolationsInRadius = async (latitude, longitude, radius) => {
 
   // Find violations within radius
   const violations = await Violation.find({
+    ...PUBLISHED_FILTER,
     'location.coordinates': {
       $geoWithin: {
         $centerSphere: [
@@ -186,12 +243,85 @@ const getViolationById = async (violationId) => {
     ]) : 
     await violationQuery;
 
+  // Soft deleted violations are only reachable through the trash, and
+  // unpublished ones through the review queue
+  if (violation && (violation.deleted_at || (violation.review_status && violation.review_status !== 'published'))) {
+    return null;
+  }
+
   return violation;
 };
 
+/**
+ * Follow the merge chain of a violation to the record that survived it
+ * @param {String} violationId - Violation ID
+ * @returns {Promise<String|null>} - ID of the surviving violation, or null if it was never merged
+ */
+const resolveMergedViolationId = async (violationId) => {
+  const visited = new Set([String(violationId)]);
+  let currentId = violationId;
+
+  // A merged record can itself be merged later, so follow the chain to its end
+  for (;;) {
+    const record = await Violation.findById(currentId).select('merged_into').lean();
+
+    if (!record || !record.merged_into || visited.has(String(record.merged_into))) {
+      break;
+    }
+
+    currentId = record.merged_into;
+    visited.add(String(currentId));
+  }
+
+  return String(currentId) === String(violationId) ? null : String(currentId);
+};
+
+/**
+ * Get soft deleted violations (trash) with pagination
+ * @param {Object} paginationOptions - Pagination options
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getDeletedViolations = async (paginationOptions = {}) => {
+  const options = {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 10,
+    sort: paginationOptions.sort || '-deleted_at',
+    populate: [
+      { path: 'created_by', select: 'name' },
+      { path: 'deleted_by', select: 'name' }
+    ]
+  };
+
+  const result = await Violation.paginate({ deleted_at: { $ne: null } }, options);
+
+  return {
+    violations: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
+    }
+  };
+};
+
 module.exports = {
+  NOT_DELETED_FILTER,
+  PUBLISHED_FILTER,
+  SOFT_DELETE_FIELDS,
+  REVIEW_FIELDS,
+  MERGE_FIELDS,
   buildFilterQuery,
+  buildAreaFilterQuery,
+  paginateViolations,
   getViolations,
   getViolationsInRadius,
-  getViolationById
+  getViolationById,
+  resolveMergedViolationId,
+  getDeletedViolations
 };
\ No newline at end of file
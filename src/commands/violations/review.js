@@ -0,0 +1,158 @@
+const Violation = require('../../models/Violation');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../config/logger');
+const { buildFilterQuery } = require('./query');
+const { updateViolation } = require('./update');
+const { writeWithRevision } = require('./history');
+
+/**
+ * Get violations in the review queue with filtering and pagination
+ * @param {Object} queryParams - Query parameters (status plus the usual violation filters)
+ * @param {Object} paginationOptions - Pagination options
+ * @returns {Promise<Object>} - Paginated results
+ */
+const getReviewQueue = async (queryParams = {}, paginationOptions = {}) => {
+  const query = {
+    ...buildFilterQuery(queryParams),
+    review_status: queryParams.status || 'pending_review'
+  };
+
+  const options = {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 10,
+    // Oldest first so the queue is worked through in order of arrival
+    sort: paginationOptions.sort || 'createdAt',
+    populate: [
+      { path: 'created_by', select: 'name' },
+      { path: 'reviewed_by', select: 'name' }
+    ]
+  };
+
+  const result = await Violation.paginate(query, options);
+
+  return {
+    violations: result.docs,
+    totalDocs: result.totalDocs,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalResults: result.totalDocs,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage
+    }
+  };
+};
+
+/**
+ * Move a violation to a new review state, enforcing the review state machine
+ * @param {String} violationId - Violation ID
+ * @param {String} toStatus - Target review status
+ * @param {String} userId - User ID performing the transition
+ * @param {Object} options - Transition options
+ * @param {String} options.notes - Reviewer notes
+ * @returns {Promise<Object>} - Updated violation
+ */
+const transitionReviewStatus = async (violationId, toStatus, userId, options = {}) => {
+  const violation = await Violation.findById(violationId);
+
+  if (!violation || violation.deleted_at) {
+    throw new ErrorResponse(`Violation not found with id of ${violationId}`, 404);
+  }
+
+  const fromStatus = violation.review_status || 'published';
+
+  if (!Violation.canTransitionReview(fromStatus, toStatus)) {
+    throw new ErrorResponse(`Cannot change review status from ${fromStatus} to ${toStatus}`, 400);
+  }
+
+  const review = {
+    review_status: toStatus,
+    reviewed_by: userId,
+    reviewed_at: new Date(),
+    review_notes: options.notes || ''
+  };
+
+  const updatedViolation = await writeWithRevision({
+    violationId: violation._id,
+    action: 'review',
+    before: violation,
+    update: review,
+    userId,
+    reason: options.notes,
+    metadata: { from: fromStatus, to: toStatus }
+  }, () => Violation.findByIdAndUpdate(violationId, review, { new: true, runValidators: true }));
+
+  logger.info(`Violation ${violationId} review status changed from ${fromStatus} to ${toStatus}`, { userId });
+
+  return updatedViolation;
+};
+
+/**
+ * Submit a draft or rejected violation for review
+ * @param {String} violationId - Violation ID
+ * @param {String} userId - User ID submitting the violation
+ * @param {Object} options - Options (notes)
+ * @returns {Promise<Object>} - Updated violation
+ */
+const submitForReview = async (violationId, userId, options = {}) => {
+  return transitionReviewStatus(violationId, 'pending_review', userId, options);
+};
+
+/**
+ * Approve a violation for publication, optionally applying edits first
+ * @param {String} violationId - Violation ID
+ * @param {String} userId - User ID approving the violation
+ * @param {Object} options - Options
+ * @param {String} options.notes - Reviewer notes
+ * @param {Object} options.updates - Edits to apply before publishing (edit-then-approve)
+ * @returns {Promise<Object>} - Published violation
+ */
+const approveViolation = async (violationId, userId, options = {}) => {
+  const { updates, notes } = options;
+
+  if (updates && Object.keys(updates).length > 0) {
+    const violation = await Violation.findById(violationId);
+
+    if (!violation || violation.deleted_at) {
+      throw new ErrorResponse(`Violation not found with id of ${violationId}`, 404);
+    }
+
+    // Check the transition up front so edits are not applied to a record that cannot be approved
+    if (!Violation.canTransitionReview(violation.review_status || 'published', 'published')) {
+      throw new ErrorResponse(`Cannot change review status from ${violation.review_status} to published`, 400);
+    }
+
+    await updateViolation(violationId, { ...updates }, userId, {
+      reason: notes || 'Edited during review'
+    });
+  }
+
+  return transitionReviewStatus(violationId, 'published', userId, { notes });
+};
+
+/**
+ * Reject a violation in review
+ * @param {String} violationId - Violation ID
+ * @param {String} userId - User ID rejecting the violation
+ * @param {Object} options - Options
+ * @param {String} options.notes - Reason for the rejection (required)
+ * @returns {Promise<Object>} - Rejected violation
+ */
+const rejectViolation = async (violationId, userId, options = {}) => {
+  if (!options.notes || !options.notes.trim()) {
+    throw new ErrorResponse('Review notes are required when rejecting a violation', 400);
+  }
+
+  return transitionReviewStatus(violationId, 'rejected', userId, options);
+};
+
+module.exports = {
+  getReviewQueue,
+  transitionReviewStatus,
+  submitForReview,
+  approveViolation,
+  rejectViolation
+};
@@ -0,0 +1,64 @@
+const Violation = require('../../models/Violation');
+const ErrorResponse = require('../../utils/errorResponse');
+const { buildTextSearch, buildHighlights } = require('../../utils/searchText');
+const { buildFilterQuery } = require('./query');
+
+/**
+ * Full-text search over the bilingual violation text, ranked by relevance and
+ * combined with the structured filters of the violation list
+ * @param {Object} queryParams - Query parameters: q (search text) and any violation filter
+ * @param {Object} paginationOptions - Pagination options (page, limit)
+ * @returns {Promise<Object>} - Paginated results, each with score and highlights
+ */
+const searchViolations = async (queryParams, paginationOptions = {}) => {
+  const { search, terms } = buildTextSearch(queryParams.q);
+
+  if (!search) {
+    throw new ErrorResponse('Search text must contain at least one letter or number', 400);
+  }
+
+  const filters = { ...queryParams };
+  delete filters.q;
+
+  const query = {
+    ...buildFilterQuery(filters),
+    $text: { $search: search }
+  };
+
+  const page = paginationOptions.page || 1;
+  const limit = paginationOptions.limit || 10;
+
+  const [docs, totalDocs] = await Promise.all([
+    Violation.find(query, { score: { $meta: 'textScore' } })
+      .select('+perpetrator_affiliation')
+      .sort({ score: { $meta: 'textScore' }, date: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Violation.countDocuments(query)
+  ]);
+
+  const totalPages = Math.ceil(totalDocs / limit);
+
+  return {
+    violations: docs.map(violation => ({
+      ...violation,
+      highlights: buildHighlights(violation, terms)
+    })),
+    totalDocs,
+    pagination: {
+      page,
+      limit,
+      totalPages,
+      totalResults: totalDocs,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      nextPage: page < totalPages ? page + 1 : null,
+      prevPage: page > 1 ? page - 1 : null
+    }
+  };
+};
+
+module.exports = {
+  searchViolations
+};
@@ -0,0 +1,125 @@
+const TerritoryControl = require('../../models/TerritoryControl');
+const ErrorResponse = require('../../utils/errorResponse');
+const { bufferSegment } = require('../../utils/geometry');
+const { buildAreaFilterQuery, paginateViolations } = require('./query');
+
+// Earth radius used by MongoDB spherical queries, in kilometres
+const EARTH_RADIUS_KM = 6378.1;
+
+/**
+ * Build the coordinate condition for violations inside a Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} - Query condition on location.coordinates
+ */
+const buildWithinQuery = (geometry) => ({
+  'location.coordinates': { $geoWithin: { $geometry: { type: geometry.type, coordinates: geometry.coordinates } } }
+});
+
+/**
+ * Build the coordinate condition for violations within a distance of a line. The buffer
+ * is the union of a circle around every vertex and a rectangle along every segment, each
+ * of which can use the 2dsphere index.
+ * @param {Object} line - GeoJSON LineString
+ * @param {Number} distanceKm - Buffer distance in kilometres
+ * @returns {Object} - Query condition
+ */
+const buildCorridorQuery = (line, distanceKm) => {
+  const positions = line.coordinates;
+
+  const caps = positions.map(position => ({
+    'location.coordinates': { $geoWithin: { $centerSphere: [position, distanceKm / EARTH_RADIUS_KM] } }
+  }));
+
+  const segments = positions.slice(1)
+    .map((position, index) => bufferSegment(positions[index], position, distanceKm))
+    .filter(Boolean)
+    .map(rectangle => ({ 'location.coordinates': { $geoWithin: { $geometry: rectangle } } }));
+
+  return { $or: [...caps, ...segments] };
+};
+
+/**
+ * Find the polygon of a territory on a territory control map
+ * @param {Object} territory - Territory reference
+ * @param {String} territory.id - Territory control map ID (or use date)
+ * @param {String} territory.date - Date whose map in effect is used (or use id)
+ * @param {Number|String} territory.feature - Feature index on the map, or territory name
+ * @returns {Promise<Object>} - { geometry, territory: { map, date, index, name, controlledBy } }
+ */
+const resolveTerritoryGeometry = async ({ id, date, feature }) => {
+  const map = id
+    ? await TerritoryControl.findById(id)
+    : await TerritoryControl.findByDate(date);
+
+  if (!map) {
+    throw new ErrorResponse(
+      id ? `Territory control not found with id of ${id}` : `No territory control map in effect on ${date}`,
+      404
+    );
+  }
+
+  const features = map.features || [];
+  const index = typeof feature === 'number' || /^\d+$/.test(String(feature))
+    ? Number(feature)
+    : features.findIndex(item => item.properties?.name?.toLowerCase() === String(feature).trim().toLowerCase());
+
+  if (!features[index]) {
+    throw new ErrorResponse(`Territory ${feature} not found on the territory control map of ${map.date.toISOString().slice(0, 10)}`, 404);
+  }
+
+  const { geometry, properties } = features[index];
+
+  return {
+    geometry,
+    territory: {
+      map: map._id,
+      date: map.date,
+      index,
+      name: properties.name,
+      controlledBy: properties.controlledBy
+    }
+  };
+};
+
+/**
+ * Get violations inside an area, combined with the violation list filters and pagination.
+ * The area is one of: a Polygon or MultiPolygon, a LineString with a buffer distance,
+ * or a territory on a territory control map.
+ * @param {Object} area - Area to search
+ * @param {Object} area.geometry - GeoJSON Polygon, MultiPolygon or LineString
+ * @param {Number} area.distance - Buffer distance in kilometres (LineString only)
+ * @param {Object} area.territory - Territory reference ({ id | date, feature })
+ * @param {Object} queryParams - Violation filters (same as the violation list)
+ * @param {Object} paginationOptions - Pagination options (page, limit, sort)
+ * @returns {Promise<Object>} - Paginated results with the area searched
+ */
+const getViolationsInArea = async (area, queryParams = {}, paginationOptions = {}) => {
+  let condition;
+  let searched;
+
+  if (area.territory) {
+    const { geometry, territory } = await resolveTerritoryGeometry(area.territory);
+    condition = buildWithinQuery(geometry);
+    searched = { mode: 'territory', territory };
+  } else if (area.geometry?.type === 'LineString') {
+    condition = buildCorridorQuery(area.geometry, Number(area.distance));
+    searched = { mode: 'corridor', distance: Number(area.distance) };
+  } else {
+    condition = buildWithinQuery(area.geometry);
+    searched = { mode: 'polygon' };
+  }
+
+  const result = await paginateViolations(buildAreaFilterQuery(queryParams, condition), paginationOptions);
+
+  return {
+    ...result,
+    area: searched
+  };
+};
+
+module.exports = {
+  buildWithinQuery,
+  buildCorridorQuery,
+  resolveTerritoryGeometry,
+  getViolationsInArea
+};
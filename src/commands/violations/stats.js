@@ -1,106 +1,106 @@
 const Violation = require('../../models/Violation');
+const { PUBLISHED_FILTER, buildFilterQuery } = require('./query');
+const { getAdminBoundaryNames } = require('../adminBoundaries/query');
+
+// Victim counts summed for every bucket
+const STATS_COUNT_FIELDS = ['casualties', 'injured_count', 'detained_count', 'kidnapped_count', 'displaced_count'];
+
+// Dimensions statistics can be grouped by, and the fields they read
+const STATS_GROUP_FIELDS = {
+  type: '$type',
+  affiliation: '$perpetrator_affiliation',
+  // Canonical place codes, so spelling variants of a governorate count together
+  governorate: '$admin_codes.governorate',
+  district: '$admin_codes.district',
+  certainty: '$certainty_level',
+  // Who controlled the territory at the time, as opposed to who committed the violation
+  controller: '$territory_control.controlled_by'
+};
 
-/**
- * Get comprehensive violation statistics
- * @returns {Promise<Object>} - Statistics object
- */
-const getViolationStats = async () => {
-  // Count by type
-  const typeStats = await Violation.aggregate([
-    {
-      $group: {
-        _id: '$type',
-        count: { $sum: 1 }
-      }
-    },
-    {
-      $sort: { count: -1 }
-    }
-  ]);
+// Dimensions holding place codes, returned with their names
+const STATS_PLACE_DIMENSIONS = ['governorate', 'district'];
 
-  // Count by administrative division
-  const locationStats = await Violation.aggregate([
-    {
-      $group: {
-        _id: '$location.administrative_division',
-        count: { $sum: 1 }
-      }
-    },
-    {
-      $sort: { count: -1 }
-    }
-  ]);
+// Time buckets supported by the timeline
+const STATS_INTERVALS = ['day', 'week', 'month', 'year'];
 
-  // Count by time periods (yearly)
-  const timeStats = await Violation.aggregate([
-    {
-      $project: {
-        year: { $year: { $toDate: '$date' } }
-      }
-    },
-    {
-      $group: {
-        _id: '$year',
-        count: { $sum: 1 }
-      }
-    },
-    {
-      $sort: { _id: 1 }
-    }
-  ]);
+const countAccumulators = () => STATS_COUNT_FIELDS.reduce((sums, field) => ({
+  ...sums,
+  [field]: { $sum: { $ifNull: [`$${field}`, 0] } }
+}), { count: { $sum: 1 } });
 
-  // Get total casualties
-  const casualties = await Violation.aggregate([
-    {
-      $group: {
-        _id: null,
-        total: { $sum: '$casualties' }
-      }
-    }
-  ]);
+const emptyTotals = () => STATS_COUNT_FIELDS.reduce((totals, field) => ({ ...totals, [field]: 0 }), { count: 0 });
 
-  // Get total kidnapped
-  const kidnapped = await Violation.aggregate([
-    {
-      $group: {
-        _id: null,
-        total: { $sum: '$kidnapped_count' }
-      }
-    }
-  ]);
+const countsOf = (row) => STATS_COUNT_FIELDS.reduce((counts, field) => ({
+  ...counts,
+  [field]: row[field]
+}), { count: row.count });
 
-  // Get total injured
-  const injured = await Violation.aggregate([
-    {
-      $group: {
-        _id: null,
-        total: { $sum: '$injured_count' }
-      }
-    }
-  ]);
+/**
+ * Get violation statistics in a single aggregation: totals, counts per group and a timeline.
+ * Every bucket carries the violation count and the summed victim counts.
+ * @param {Object} queryParams - Violation filters (same as the violation list)
+ * @param {Object} options - Statistics options
+ * @param {Array<String>} options.groupBy - Dimensions to group by: type, affiliation, governorate, district, certainty, controller
+ * @param {String} options.interval - Timeline bucket: day, week (starting Monday), month (default) or year
+ * @returns {Promise<Object>} - { totals, groups, timeline }
+ */
+const getViolationStats = async (queryParams = {}, options = {}) => {
+  const groupBy = (options.groupBy || []).filter(dimension => STATS_GROUP_FIELDS[dimension]);
+  const interval = STATS_INTERVALS.includes(options.interval) ? options.interval : 'month';
+  const dateField = queryParams.dateFilterType === 'reported_date' ? '$reported_date' : '$date';
+
+  const facets = {
+    totals: [
+      { $group: { _id: null, ...countAccumulators() } }
+    ],
+    timeline: [
+      {
+        $group: {
+          _id: { $dateTrunc: { date: dateField, unit: interval, startOfWeek: 'monday' } },
+          ...countAccumulators()
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]
+  };
 
-  // Get total displaced
-  const displaced = await Violation.aggregate([
-    {
-      $group: {
-        _id: null,
-        total: { $sum: '$displaced_count' }
-      }
-    }
+  if (groupBy.length > 0) {
+    facets.groups = [
+      {
+        $group: {
+          _id: groupBy.reduce((key, dimension) => ({ ...key, [dimension]: STATS_GROUP_FIELDS[dimension] }), {}),
+          ...countAccumulators()
+        }
+      },
+      { $sort: { count: -1 } }
+    ];
+  }
+
+  const [result] = await Violation.aggregate([
+    { $match: buildFilterQuery(queryParams) },
+    { $facet: facets }
   ]);
 
-  // Total violations
-  const totalViolations = await Violation.countDocuments();
+  const placeDimensions = STATS_PLACE_DIMENSIONS.filter(dimension => groupBy.includes(dimension));
+  const names = placeDimensions.length > 0
+    ? await getAdminBoundaryNames((result.groups || []).flatMap(row => placeDimensions.map(dimension => row._id[dimension])))
+    : {};
+
+  const groups = (result.groups || []).map(row => {
+    const group = { ...row._id };
+    placeDimensions.forEach(dimension => {
+      const code = group[dimension] ?? null;
+      group[dimension] = { code, en: names[code]?.en ?? null, ar: names[code]?.ar ?? null };
+    });
+    return { ...group, ...countsOf(row) };
+  });
 
   return {
-    totalViolations,
-    totalCasualties: casualties.length > 0 ? casualties[0].total : 0,
-    totalKidnapped: kidnapped.length > 0 ? kidnapped[0].total : 0,
-    totalInjured: injured.length > 0 ? injured[0].total : 0,
-    totalDisplaced: displaced.length > 0 ? displaced[0].total : 0,
-    byType: typeStats,
-    byLocation: locationStats,
-    byYear: timeStats
+    totals: result.totals.length > 0 ? countsOf(result.totals[0]) : emptyTotals(),
+    groupBy,
+    interval,
+    groups,
+    timeline: result.timeline.map(row => ({ period: row._id, ...countsOf(row) }))
   };
 };
 
@@ -110,6 +110,9 @@ const getViolationStats = async () => {
  */
 const getViolationsByType = async () => {
   const stats = await Violation.aggregate([
+    {
+      $match: PUBLISHED_FILTER
+    },
     {
       $group: {
         _id: '$type',
@@ -122,20 +125,32 @@ const getViolationsByType = async () => {
 };
 
 /**
- * Get violations grouped by location
- * @returns {Promise<Array>} - Array of location statistics
+ * Get violations grouped by governorate, using the canonical place codes
+ * @returns {Promise<Array>} - Array of location statistics ({ _id: code, name: { en, ar }, count })
  */
 const getViolationsByLocation = async () => {
   const stats = await Violation.aggregate([
+    {
+      $match: PUBLISHED_FILTER
+    },
     {
       $group: {
-        _id: '$location.administrative_division',
+        _id: '$admin_codes.governorate',
         count: { $sum: 1 }
       }
+    },
+    {
+      $sort: { count: -1 }
     }
   ]);
 
-  return stats;
+  const names = await getAdminBoundaryNames(stats.map(stat => stat._id));
+
+  return stats.map(stat => ({
+    _id: stat._id ?? null,
+    name: names[stat._id] || { en: null, ar: null },
+    count: stat.count
+  }));
 };
 
 /**
@@ -144,6 +159,9 @@ const getViolationsByLocation = async () => {
  */
 const getViolationsByYear = async () => {
   const stats = await Violation.aggregate([
+    {
+      $match: PUBLISHED_FILTER
+    },
     {
       $project: {
         year: { $year: '$date' }
@@ -165,7 +183,7 @@ const getViolationsByYear = async () => {
  * @returns {Promise<Number>} - Total count
  */
 const getViolationsTotal = async () => {
-  const total = await Violation.countDocuments();
+  const total = await Violation.countDocuments(PUBLISHED_FILTER);
   return total;
 };
 
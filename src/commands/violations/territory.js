@@ -0,0 +1,134 @@
+const TerritoryControl = require('../../models/TerritoryControl');
+const logger = require('../../config/logger');
+const { findFeatureContainingPoint, isValidPoint } = require('../../utils/geometry');
+const { updateViolationsWithRevisions } = require('./history');
+
+/**
+ * Build the territory control snapshot of a violation from a territory control map
+ * @param {Array<Number>} coordinates - Violation coordinates [longitude, latitude]
+ * @param {Object|null} map - Territory control map in effect on the violation date
+ * @returns {Object} - { controlled_by, territory, map, map_date, resolved_at }
+ */
+const buildTerritoryControl = (coordinates, map) => {
+  const feature = map && isValidPoint(coordinates)
+    ? findFeatureContainingPoint(map.features, coordinates)
+    : null;
+
+  return {
+    controlled_by: feature ? feature.properties.controlledBy : null,
+    territory: feature ? feature.properties.name : null,
+    map: map ? map._id : null,
+    map_date: map ? map.date : null,
+    resolved_at: new Date()
+  };
+};
+
+/**
+ * Find who controlled the location of a violation on its incident date
+ * @param {Object} violationData - Violation data with date and location.coordinates
+ * @returns {Promise<Object>} - Territory control snapshot (controlled_by is null when unknown)
+ */
+const resolveTerritoryControl = async (violationData) => {
+  const coordinates = violationData.location?.coordinates;
+
+  if (!violationData.date || !isValidPoint(coordinates)) {
+    return buildTerritoryControl(coordinates, null);
+  }
+
+  const map = await TerritoryControl.findByDate(violationData.date);
+  return buildTerritoryControl(coordinates, map);
+};
+
+/**
+ * Check whether two territory control snapshots name the same controller from the same map
+ * @param {Object|null} current - Stored snapshot
+ * @param {Object} next - Recomputed snapshot
+ * @returns {Boolean} - True if only the resolution time differs
+ */
+const sameTerritoryControl = (current, next) => (
+  Boolean(current) &&
+  (current.controlled_by || null) === next.controlled_by &&
+  (current.territory || null) === next.territory &&
+  String(current.map || null) === String(next.map)
+);
+
+/**
+ * Recompute territory control for violations dated in [from, to) against one map.
+ * Violations whose snapshot changes get a bulk update revision like other recomputed fields.
+ * @param {Object|null} map - Map in effect for the whole period (null when there is none)
+ * @param {Date|null} from - Start of the period (inclusive), null for no lower bound
+ * @param {Date|null} to - End of the period (exclusive), null for no upper bound
+ * @returns {Promise<Number>} - Number of violations updated
+ */
+const refreshPeriod = async (map, from, to) => {
+  const query = {};
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = from;
+    if (to) query.date.$lt = to;
+  }
+
+  return updateViolationsWithRevisions(
+    query,
+    violation => {
+      const territoryControl = buildTerritoryControl(violation.location?.coordinates, map);
+      return sameTerritoryControl(violation.territory_control, territoryControl)
+        ? {}
+        : { $set: { territory_control: territoryControl } };
+    },
+    {
+      reason: 'Territory control recomputed from the territory control maps',
+      metadata: { territoryMap: map ? map._id : null }
+    }
+  );
+};
+
+/**
+ * Recompute territory control for the violations whose period is covered by a changed map.
+ * A map applies from its date until the date of the next map, so changing, adding or
+ * removing the map dated D affects violations from D up to the next map.
+ * @param {Object} options - Refresh options
+ * @param {Array<Date|String>} options.dates - Dates of the maps that changed; all violations when omitted
+ * @returns {Promise<Object>} - { periods, updated }
+ */
+const refreshTerritoryControl = async (options = {}) => {
+  const maps = await TerritoryControl.find().select('date').sort({ date: 1 }).lean();
+  const nextMapDate = (date) => maps.find(map => map.date > date)?.date || null;
+  const uniqueDates = (dates) => [...new Set(dates.map(date => new Date(date).getTime()))]
+    .map(time => new Date(time));
+
+  // Periods to recompute as [from, to); a null from covers violations before the first map
+  let periods;
+  if (options.dates && options.dates.length > 0) {
+    periods = uniqueDates(options.dates).map(date => ({ from: date, to: nextMapDate(date) }));
+  } else {
+    periods = [
+      { from: null, to: maps.length > 0 ? maps[0].date : null },
+      ...uniqueDates(maps.map(map => map.date)).map(date => ({ from: date, to: nextMapDate(date) }))
+    ];
+  }
+
+  let updated = 0;
+
+  // Maps are loaded one period at a time to keep their polygons out of memory in between
+  for (const period of periods) {
+    const map = period.from ? await TerritoryControl.findByDate(period.from) : null;
+    updated += await refreshPeriod(map, period.from, period.to);
+  }
+
+  logger.info('Territory control of violations recomputed', {
+    periods: periods.length,
+    updated
+  });
+
+  return {
+    periods: periods.length,
+    updated
+  };
+};
+
+module.exports = {
+  buildTerritoryControl,
+  resolveTerritoryControl,
+  refreshTerritoryControl
+};
@@ -1,7 +1,12 @@
 const Violation = require('../../models/Violation');
-const { geocodeLocationData } = require('./create');
+const { geocodeLocationForReview } = require('./create');
 const ErrorResponse = require('../../utils/errorResponse');
 const logger = require('../../config/logger');
+const { writeWithRevision } = require('./history');
+const { SOFT_DELETE_FIELDS, REVIEW_FIELDS, MERGE_FIELDS } = require('./query');
+const { resolvePerpetratorLink } = require('../perpetrators/link');
+const { resolveTerritoryControl } = require('./territory');
+const { resolveAdminCodes } = require('../adminBoundaries/assign');
 
 /**
  * Check if location has changed by comparing nested objects
@@ -25,39 +30,85 @@ const hasLocationChanged = (newLocation, existingLocation) => {
  * @param {String} violationId - Violation ID
  * @param {Object} updateData - Data to update
  * @param {String} userId - User ID performing the update
+ * @param {Object} options - Update options
+ * @param {String} options.reason - Reason recorded in the revision history
+ * @param {Object} options.geocoding - Geocoding outcome to record (set by the geocoding review)
  * @returns {Promise<Object>} - Updated violation
  */
-const updateViolation = async (violationId, updateData, userId) => {
+const updateViolation = async (violationId, updateData, userId, options = {}) => {
   // Find the existing violation
   const existingViolation = await Violation.findById(violationId);
   
-  if (!existingViolation) {
+  if (!existingViolation || existingViolation.deleted_at) {
     throw new ErrorResponse(`Violation not found with id of ${violationId}`, 404);
   }
 
+  // The geocoding outcome comes from geocoding or from an editor's review, never from input
+  delete updateData.geocoding;
+  if (options.geocoding) {
+    updateData.geocoding = options.geocoding;
+  }
+
   // Check if location needs geocoding
   if (updateData.location && hasLocationChanged(updateData.location, existingViolation.location)) {
     try {
-      const coordinates = await geocodeLocationData(updateData.location);
+      const { coordinates, geocoding } = await geocodeLocationForReview(updateData.location);
       updateData.location.coordinates = coordinates;
+      updateData.geocoding = geocoding;
       logger.info(`Location updated and geocoded for violation ${violationId}`);
     } catch (error) {
       throw new ErrorResponse(error.message, 400);
     }
   }
 
+  // A linked catalogue perpetrator decides the affiliation; linking or unlinking goes through perpetrator_entity
+  if (updateData.perpetrator_entity !== undefined) {
+    await resolvePerpetratorLink(updateData, { matchByName: false });
+  } else if (existingViolation.perpetrator_entity) {
+    delete updateData.perpetrator_affiliation;
+  }
+
+  // Territory control is derived from the date and location, never taken from input
+  delete updateData.territory_control;
+  if (updateData.date !== undefined || updateData.location) {
+    updateData.territory_control = await resolveTerritoryControl({
+      date: updateData.date || existingViolation.date,
+      location: {
+        coordinates: updateData.location?.coordinates || existingViolation.location?.coordinates
+      }
+    });
+  }
+
+  // Admin codes are derived from the coordinates
+  delete updateData.admin_codes;
+  if (updateData.location) {
+    updateData.admin_codes = await resolveAdminCodes(
+      updateData.location.coordinates || existingViolation.location?.coordinates
+    );
+  }
+
+  // Deletion, review and merge state can only be changed through their own commands
+  [...SOFT_DELETE_FIELDS, ...REVIEW_FIELDS, ...MERGE_FIELDS].forEach(field => delete updateData[field]);
+
   // Add updated_by field
   updateData.updated_by = userId;
 
   // Update the violation
-  const updatedViolation = await Violation.findByIdAndUpdate(
+  const updatedViolation = await writeWithRevision({
+    violationId: existingViolation._id,
+    action: 'update',
+    before: existingViolation,
+    update: updateData,
+    userId,
+    reason: options.reason
+  }, () => Violation.findByIdAndUpdate(
     violationId,
     updateData,
     {
       new: true,
       runValidators: true
     }
-  );
+  ));
 
   if (!updatedViolation) {
     throw new ErrorResponse(`Violation not found with id of ${violationId}`, 404);
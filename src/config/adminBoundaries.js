@@ -0,0 +1,39 @@
+/**
+ * Administrative boundary reference data for Syria.
+ *
+ * Boundaries use the OCHA Common Operational Dataset (COD-AB) place codes (pcodes):
+ * governorates are SYnn, districts SYnnnn and sub-districts SYnnnnnn, each starting
+ * with the code of the unit containing it. The polygons themselves are loaded from the
+ * COD-AB GeoJSON files with `npm run load:boundaries`; governorate names are kept here
+ * so statistics can label codes even before the polygons are loaded.
+ */
+
+// Administrative levels from largest to smallest, as numbered in COD-AB (ADM1..ADM3)
+const ADMIN_LEVELS = ['governorate', 'district', 'sub_district'];
+
+// Syrian governorates (ADM1)
+const GOVERNORATES = [
+  { code: 'SY01', name: { en: 'Damascus', ar: 'دمشق' } },
+  { code: 'SY02', name: { en: 'Aleppo', ar: 'حلب' } },
+  { code: 'SY03', name: { en: 'Rural Damascus', ar: 'ريف دمشق' } },
+  { code: 'SY04', name: { en: 'Homs', ar: 'حمص' } },
+  { code: 'SY05', name: { en: 'Hama', ar: 'حماة' } },
+  { code: 'SY06', name: { en: 'Lattakia', ar: 'اللاذقية' } },
+  { code: 'SY07', name: { en: 'Idleb', ar: 'إدلب' } },
+  { code: 'SY08', name: { en: 'Al-Hasakeh', ar: 'الحسكة' } },
+  { code: 'SY09', name: { en: 'Deir-ez-Zor', ar: 'دير الزور' } },
+  { code: 'SY10', name: { en: 'Tartous', ar: 'طرطوس' } },
+  { code: 'SY11', name: { en: 'Ar-Raqqa', ar: 'الرقة' } },
+  { code: 'SY12', name: { en: 'Dar\'a', ar: 'درعا' } },
+  { code: 'SY13', name: { en: 'As-Sweida', ar: 'السويداء' } },
+  { code: 'SY14', name: { en: 'Quneitra', ar: 'القنيطرة' } }
+];
+
+// Pattern of a place code at any level
+const ADMIN_CODE_PATTERN = /^SY\d{2}(\d{2}(\d{2})?)?$/;
+
+module.exports = {
+  ADMIN_LEVELS,
+  GOVERNORATES,
+  ADMIN_CODE_PATTERN
+};
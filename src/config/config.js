@@ -19,16 +19,114 @@ const loadEnv = () => {
 
 loadEnv();
 
+// Timeout, daily quota and quality weight of a geocoding provider, read from
+// GEOCODING_<NAME>_TIMEOUT_MS, GEOCODING_<NAME>_DAILY_QUOTA and GEOCODING_<NAME>_WEIGHT
+const geocodingProvider = (name) => {
+  const prefix = `GEOCODING_${name.toUpperCase()}`;
+  return {
+    timeoutMs: parseInt(process.env[`${prefix}_TIMEOUT_MS`]) || parseInt(process.env.GEOCODING_TIMEOUT_MS) || 10000,
+    // API calls a day, 0 for no limit
+    dailyQuota: parseInt(process.env[`${prefix}_DAILY_QUOTA`]) || 0,
+    // Multiplier of the quality score of the provider's results
+    weight: parseFloat(process.env[`${prefix}_WEIGHT`]) || 1
+  };
+};
+
+// Read a decimal setting where 0 is meaningful, so only a missing or invalid value falls back
+const parseFloatSetting = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
 module.exports = {
   env: process.env.NODE_ENV || 'development',
   port: parseInt(process.env.PORT) || 5001,
   mongoUri: process.env.MONGO_URI,
   jwtSecret: process.env.JWT_SECRET,
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '30d',
-  jwtCookieExpire: parseInt(process.env.JWT_COOKIE_EXPIRE) || 30,
+  // Access tokens are short lived; clients get a new one with their refresh token
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  // Days a refresh token (and the session it belongs to) stays valid without being used
+  refreshTokenExpireDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30,
   // API keys for various geocoding services
   googleApiKey: process.env.GOOGLE_API_KEY,
   mapquestApiKey: process.env.MAPQUEST_API_KEY,
+  // Days a soft deleted violation stays in the trash before it is purged
+  violationTrashRetentionDays: parseInt(process.env.VIOLATION_TRASH_RETENTION_DAYS) || 30,
+  // Exports matching more violations than this run as a background job instead of streaming
+  exportSyncLimit: parseInt(process.env.EXPORT_SYNC_LIMIT) || 5000,
+  // Directory where background export files are written
+  exportDir: process.env.EXPORT_DIR || path.resolve(process.cwd(), 'exports'),
+  // Directory where uploaded import files wait for their background job
+  importDir: process.env.IMPORT_DIR || path.resolve(process.cwd(), 'imports'),
+  // Largest accepted import upload in megabytes
+  importMaxFileSizeMb: parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB) || 10,
+  // Highest zoom level at which the violation map returns clusters instead of individual violations
+  mapClusterMaxZoom: parseInt(process.env.MAP_CLUSTER_MAX_ZOOM) || 13,
+  // Most clusters or violations returned for one map view or tile
+  mapPointLimit: parseInt(process.env.MAP_POINT_LIMIT) || 5000,
+  // Parsing of scraped reports by the LLM
+  reportParsing: {
+    // Parsing jobs run at the same time (each one calls the LLM)
+    concurrency: parseInt(process.env.REPORT_PARSING_CONCURRENCY) || 2,
+    // Most scraped reports queued or being parsed at once; new reports wait for the next batch
+    maxInFlight: parseInt(process.env.REPORT_PARSING_MAX_IN_FLIGHT) || 20,
+    // Attempts per parsing job before the job fails
+    attempts: parseInt(process.env.REPORT_PARSING_ATTEMPTS) || 3,
+    // Parsing jobs a report gets before it stays failed; a report whose job failed goes back
+    // to new (and is queued again by the next run) while it has jobs left
+    reportAttempts: parseInt(process.env.REPORT_PARSING_REPORT_ATTEMPTS) || 2,
+    // Minutes a report may stay processing before it is taken back from its parsing job
+    processingTimeoutMinutes: parseInt(process.env.REPORT_PARSING_PROCESSING_TIMEOUT_MINUTES) || 60
+  },
+  // Storage of the media attached to scraped Telegram messages
+  mediaStorage: {
+    // 'local' (files under dir, served by GET /api/media/:key) or 's3' (any S3 compatible store, e.g. MinIO)
+    driver: process.env.MEDIA_STORAGE_DRIVER || 'local',
+    dir: process.env.MEDIA_DIR || path.resolve(process.cwd(), 'media'),
+    // Base URL the archived files are linked from; defaults to this API for local storage
+    // and to the bucket URL for S3
+    publicUrl: process.env.MEDIA_PUBLIC_URL,
+    // Largest media file downloaded in megabytes
+    maxFileSizeMb: parseInt(process.env.MEDIA_MAX_FILE_SIZE_MB) || 50,
+    s3: {
+      endpoint: process.env.MEDIA_S3_ENDPOINT,
+      region: process.env.MEDIA_S3_REGION || 'us-east-1',
+      bucket: process.env.MEDIA_S3_BUCKET,
+      accessKeyId: process.env.MEDIA_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.MEDIA_S3_SECRET_ACCESS_KEY
+    }
+  },
+  // Geocoding providers, tried in order until one finds the place inside Syria. Providers
+  // without their URL or API key are skipped, so without GOOGLE_API_KEY geocoding runs
+  // on the gazetteer and the self-hosted services alone.
+  geocoding: {
+    providers: (process.env.GEOCODING_PROVIDERS || 'gazetteer,nominatim,photon,google,google_places,mapquest')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    gazetteer: geocodingProvider('gazetteer'),
+    nominatim: {
+      ...geocodingProvider('nominatim'),
+      url: process.env.NOMINATIM_URL
+    },
+    photon: {
+      ...geocodingProvider('photon'),
+      url: process.env.PHOTON_URL
+    },
+    google: geocodingProvider('google'),
+    google_places: geocodingProvider('google_places'),
+    mapquest: geocodingProvider('mapquest'),
+    // Geocodes scoring below this quality are flagged for review by an editor
+    reviewMinQuality: parseFloatSetting(process.env.GEOCODING_REVIEW_MIN_QUALITY, 0.7)
+  },
+  // Offline gazetteer of Syrian places, tried before the Google APIs
+  gazetteer: {
+    enabled: process.env.GAZETTEER_ENABLED !== 'false',
+    // Lowest quality score of a gazetteer match used instead of calling Google
+    minQuality: parseFloat(process.env.GAZETTEER_MIN_QUALITY) || 0.6,
+    // Lowest similarity (0-1) of a misspelled name to a gazetteer name
+    minSimilarity: parseFloat(process.env.GAZETTEER_MIN_SIMILARITY) || 0.8
+  },
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
     max: 500
@@ -1,9 +1,51 @@
 /**
  * Parsing instructions and prompts for Claude API
+ *
+ * The perpetrator affiliation lists and reference guide are generated from the
+ * perpetrator catalogue. commands/perpetrators builds them from the Perpetrator
+ * collection; the exported prompts use the seed catalogue.
  */
 
+const { PERPETRATOR_CATALOGUE } = require('./perpetratorCatalogue');
+
+/**
+ * Format a catalogued unit or group, and its own members, as reference guide lines
+ * @param {Object} member - Member with name, aliases, description, guidance and members
+ * @param {Number} depth - Nesting depth below the affiliation
+ * @returns {Array<String>} - Lines of the reference guide
+ */
+const formatMember = (member, depth = 0) => {
+  const aliases = member.aliases && member.aliases.length > 0 ? ` / ${member.aliases.join(' / ')}` : '';
+  const description = member.description ? ` (${member.description})` : '';
+  const line = `${'  '.repeat(depth)}- ${member.name}${aliases}${description}`;
+
+  const guidance = (member.guidance || []).map(note => `${'  '.repeat(depth + 1)}- ${note}`);
+
+  return [line, ...guidance, ...(member.members || []).flatMap(child => formatMember(child, depth + 1))];
+};
+
+/**
+ * Generate the perpetrator sections of the prompts from a catalogue
+ * @param {Array<Object>} catalogue - Affiliations with code, name, description, guidance and members
+ * @returns {Object} - { affiliationList, affiliationCategories, affiliationReference }
+ */
+const buildPerpetratorSections = (catalogue) => ({
+  affiliationList: catalogue.map(affiliation => affiliation.code).join(', '),
+  affiliationCategories: catalogue
+    .map((affiliation, index) => `${index + 1}. "${affiliation.code}" - ${affiliation.description || affiliation.name.en}`)
+    .join('\n'),
+  affiliationReference: catalogue
+    .filter(affiliation => (affiliation.members || []).length > 0 || (affiliation.guidance || []).length > 0)
+    .map(affiliation => [
+      `### ${affiliation.name.en} ("${affiliation.code}")`,
+      ...(affiliation.members || []).flatMap(member => formatMember(member)),
+      ...(affiliation.guidance || []).map(note => `- ${note}`)
+    ].join('\n'))
+    .join('\n\n')
+});
+
 // System prompt that provides the overall context and instructions
-const SYSTEM_PROMPT = `You are a human rights expert specialized in extracting and organizing information about human rights violations in Syria. 
+const buildSystemPrompt = (sections) => `You are a human rights expert specialized in extracting and organizing information about human rights violations in Syria. 
 Your task is to parse human rights reports and extract structured data about individual violations according to our database schema.
 
 For each violation mentioned in the report, extract the following information and ensure it matches our database requirements:
@@ -27,7 +69,7 @@ VIOLATION MODEL SCHEMA:
 - kidnapped_count: OPTIONAL - Integer
 - displaced_count: OPTIONAL - Integer
 - perpetrator: OPTIONAL - Object with English (.en) and optionally Arabic (.ar) versions
-- perpetrator_affiliation: REQUIRED - One of [assad_regime, post_8th_december_government, various_armed_groups, isis, sdf, israel, turkey, druze_militias, russia, iran_shia_militias, international_coalition, unknown]
+- perpetrator_affiliation: REQUIRED - One of [${sections.affiliationList}]
 - media_links: OPTIONAL - Array of URL strings
 - tags: OPTIONAL - Array of objects with English (.en) and optionally Arabic (.ar) versions
 
@@ -54,7 +96,7 @@ IMPORTANT GUIDELINES:
   - DISPLACEMENT violations require displaced_count > 0`;
 
 // User prompt with detailed schema and examples
-const USER_PROMPT = `Please parse the following human rights report and extract all violations mentioned in a structured format. Use the following schema:
+const buildUserPrompt = (sections) => `Please parse the following human rights report and extract all violations mentioned in a structured format. Use the following schema:
 
 \`\`\`json
 [
@@ -90,7 +132,7 @@ const USER_PROMPT = `Please parse the following human rights report and extract
       "en": "Known perpetrator in English",
       "ar": "Known perpetrator in Arabic (if available)"
     },
-    "perpetrator_affiliation": "One of: assad_regime, post_8th_december_government, various_armed_groups, isis, sdf, israel, turkey, druze_militias, russia, iran_shia_militias, international_coalition, unknown",
+    "perpetrator_affiliation": "One of: ${sections.affiliationList}",
     "tags": [
       {
         "en": "Relevant tag in English",
@@ -98,12 +140,12 @@ const USER_PROMPT = `Please parse the following human rights report and extract
       }
     ]
   }
-<<<<<<< HEAD
 ]
 \`\`\`
-=======
+
+# REQUIRED FIELDS:
 - description: {en: "English description (REQUIRED, 10-2000 chars)", ar: "Arabic description (REQUIRED, 10-2000 chars)"}
-- perpetrator_affiliation: assad_regime, post_8th_december_government, various_armed_groups, isis, sdf, israel, turkey, druze_militias, russia, iran_shia_militias, international_coalition, bedouins, unknown
+- perpetrator_affiliation: ${sections.affiliationList}
 - certainty_level: confirmed, probable, possible
 - verified: false (default)
 - casualties: number (deaths, default 0)
@@ -121,7 +163,6 @@ const USER_PROMPT = `Please parse the following human rights report and extract
 - victims: array of victim objects (optional)
 - media_links: array of URLs (optional)
 - tags: array of {en: "English tag", ar: "Arabic tag"} (optional, max 50 chars each)
->>>>>>> 864bb26 (add bedouins as a separate perpetrator affiliation)
 
 # PARSING GUIDELINES
 
@@ -150,6 +191,7 @@ const USER_PROMPT = `Please parse the following human rights report and extract
 ## Perpetrator Attribution
 - Only attribute to specific perpetrators when explicitly stated in the report
 - Use "unknown" when perpetrator identity is unclear or contested
+- When the perpetrator is one of the units or groups listed in the reference guide, use its listed English name in perpetrator.en so the violation can be linked to the perpetrator catalogue
 
 # IMPORTANT PROCESSING RULES
 
@@ -172,162 +214,11 @@ For found Mass graves, use "assad_regime" as the perpetrator_affiliation, unless
 
 ## PERPETRATOR AFFILIATION CATEGORIES
 
-1. "assad_regime" - Assad Regime and affiliated forces (pre-December 8, 2024)
-2. "post_8th_december_government" - Alsharaa Government and affiliated rebel groups (after transition on December 8, 2024)
-3. "isis" - Islamic State and affiliated groups
-4. "sdf" - Syrian Democratic Forces and affiliated groups
-5. "israel" - Israeli forces
-6. "russia" - Russian military forces
-7. "iran_shia_militias" - Iranian military forces or proxies
-8. "turkey" - Turkish military forces
-9. "usa" - United States forces
-10. "various_armed_groups" - Unaffiliated armed groups, gangs, or bandits
-11. "unknown" - Unknown perpetrators
+${sections.affiliationCategories}
 
 ## DETAILED AFFILIATION REFERENCE
 
-### Assad Regime Forces ("assad_regime")
-- Syrian Arab Army (SAA)
-- Republican Guard
-- 4th Armored Division
-- Tiger Forces / 25th Special Forces Division
-- Air Force Intelligence Directorate
-- Military Intelligence Directorate
-- General Intelligence Directorate
-- Political Security Directorate
-- National Defense Forces (NDF)
-- Liwa al-Quds (Jerusalem Brigade)
-- Baath Battalions
-- Military Security Shield Forces
-- Syrian Social Nationalist Party (SSNP) militias
-- Arab Nationalist Guard
-- Suqour al-Sahara (Desert Hawks Brigade)
-- Coastal Shield Brigade
-- Qalamoun Shield Forces
-- Al-Bustan Association / Al-Bustan militia
-- Liwa Usud al-Hussein (Lions of Hussein Brigade)
-- Saraya al-Areen (Den Companies)
-- Local Defence Forces (LDF)
-- Kata'eb al-Ba'ath (Ba'ath Battalions)
-- Al-Assad regime government security forces
-- Assad remnants (post-December 8, 2024)
-- Syrian Air Force
-- Any forces explicitly identified as "regime forces" or "government forces" for incidents/violations that occur BEFORE December 8, 2024
-
-### Iranian Forces and Proxies ("iran")
-- Islamic Revolutionary Guard Corps (IRGC)
-- IRGC-Quds Force
-- Hezbollah / Hizbollah (Lebanese)
-- Kata'ib Hezbollah (Iraqi)
-- Harakat Hezbollah al-Nujaba (Iraqi)
-- Asa'ib Ahl al-Haq (Iraqi)
-- Liwa Fatemiyoun (Afghan Shiite militia)
-- Liwa Zainebiyoun (Pakistani Shiite militia)
-- Kata'ib Sayyid al-Shuhada (Iraqi)
-- Harakat al-Nujaba (Iraqi)
-- Badr Organization
-- Saraya al-Khorasani
-- Imam Ali Battalions
-- Kata'ib Seyyed al-Shuhada
-- Zulfiqar Brigade
-- Abu al-Fadl al-Abbas Brigade
-- Iranian advisors and military personnel
-- Any militias explicitly identified as "Iranian-backed," "Shiite militias," or "Shia militias" operating in Syria
-
-### Russian Forces ("russia")
-- Russian Aerospace Forces
-- Russian Army units in Syria
-- Russian Military Police
-- Wagner Group / Wagner PMC
-- Russian special forces (Spetsnaz)
-- Russian advisors and military personnel
-
-### Alsharaa Government ("post_8th_december_government")
-- Free Syrian Army (FSA) groups
-- Syrian Interim Government forces
-- Syrian Liberation Front
-- National Liberation Front (NLF)
-- Jabhat Shamiya (Levant Front)
-- Jaysh al-Islam (Army of Islam)
-- Ahrar al-Sham
-- Faylaq al-Sham (Sham Legion)
-- 1st Coastal Division
-- 2nd Coastal Division
-- Sham Falcons (Suqour al-Sham)
-- Free Idlib Army
-- Northern Storm Brigade
-- Sultan Murad Division
-- Hamza Division
-- Mu'tasim Division
-- Ahrar al-Sharqiya
-- Jaysh al-Sharqiya (Army of the East)
-- 23rd Division
-- Revolutionary Commando Army
-- Southern Front groups
-- Syrian National Army (SNA)
-- Any forces explicitly identified as "opposition forces" or "rebel groups" before December 8, 2024
-- Any forces explicitly identified as Alsharaa government forces,  interim forces, government forces, or pro-government auxiliary or allies for incidents/violations that occur post December 8, 2024
-
-### SDF and Affiliated Groups ("sdf")
-- People's Protection Units (YPG)
-- Women's Protection Units (YPJ)
-- Kurdish People's Defense Forces
-- Internal Security Forces (Asayish)
-- Self-Defense Forces (HXP)
-- Syrian Arab Coalition within SDF
-- Deir ez-Zor Military Council
-- Manbij Military Council
-- Raqqa Military Council
-- Al-Sanadid Forces
-- Jaysh al-Thuwar (Army of Revolutionaries)
-- Syriac Military Council (MFS)
-- Northern Democratic Brigade
-- Liwa Thuwar al-Raqqa (Raqqa Revolutionaries Brigade)
-- Jabhat Thuwar al-Raqqa (Raqqa Revolutionaries Front)
-- Al-Bab Military Council
-- Idlib Military Council
-- Any forces explicitly identified as affiliated with the Autonomous Administration of North and East Syria (AANES)
-
-### Druze-Affiliated Groups
-- Jaysh al-Muwahhideen (Army of Monotheists)
-- Druze Muwahhideen militia
-- Local Druze protection committees
-- Al-Kafn al-Abyad (White Shroud) militia
-- Sheikh al-Aql Druze leadership militias
-- Druze Community Defense Forces
-- Any forces explicitly identified as Druze community defense organizations
-- Any forces identified as Druze fighters or militias, gangs
-
-### Islamic State and Affiliates ("isis")
-- Islamic State (ISIS/ISIL/Daesh)
-- Islamic State Khorasan Province (ISIS-K)
-- Islamic State Sinai Province
-- Jund al-Aqsa (when pledged to ISIS)
-- Jaysh Khalid ibn al-Waleed
-- Ansar Bait al-Maqdis (when pledged to ISIS)
-- Any group explicitly identified as an ISIS affiliate
-
-### Turkish Forces and Proxies ("turkey")
-- Turkish Armed Forces
-- Turkish-backed Syrian National Army (SNA) factions
-- Sultan Murad Division (when explicitly identified as Turkish-backed)
-- Hamza Division (when explicitly identified as Turkish-backed)
-- Suleyman Shah Brigade
-- Jaysh al-Islam (when operating in Turkish-controlled areas)
-- Any forces explicitly identified as "Turkish-backed" or operating under Turkish command
-
-### U.S. Forces and Proxies ("usa")
-- United States Armed Forces
-- Combined Joint Task Force – Operation Inherent Resolve (CJTF-OIR)
-- U.S.-backed elements of SDF (when explicitly identified as such)
-- Maghawir al-Thawra / Revolutionary Commando Army (when identified as U.S.-backed)
-- Any forces explicitly identified as "U.S.-backed" or operating under U.S. direction
-
-### Bedouin Tribes ("bedouins")
-- Bedouin tribes
-- Bedouin tribesmen
-- Bedouin tribespeople
-- Bedouin tribespeople
+${sections.affiliationReference}
 
 ## IMPORTANT CLASSIFICATION RULES
 
@@ -341,7 +232,7 @@ For found Mass graves, use "assad_regime" as the perpetrator_affiliation, unless
 
 5. **Generalized References**: For general references to "regime forces" or "government forces" before December 8, 2024, use "assad_regime". For references to "opposition" or "rebels" before this date, use "post_8th_december_government".
 
-6. **Iranian Proxies Recognition**: For any Shiite militias or groups described as "Iranian-backed" operating in Syria, classify as "iran" unless they are more specifically affiliated with another category.
+6. **Iranian Proxies Recognition**: For any Shiite militias or groups described as "Iranian-backed" operating in Syria, classify as "iran_shia_militias" unless they are more specifically affiliated with another category.
 
 7. **New or Unrecognized Groups**: If a group is not listed here, attempt to determine its broader affiliation based on the context of the report, or use "various_armed_groups" if unable to determine a clear affiliation.
 
@@ -360,7 +251,24 @@ EXTRACTION GUIDELINES:
 
 Ensure your output is a valid JSON array, properly formatted, even if some fields have default or empty values.`;
 
+/**
+ * Build the system and user prompts for a perpetrator catalogue
+ * @param {Array<Object>} catalogue - Affiliations in the shape of config/perpetratorCatalogue
+ * @returns {Object} - { SYSTEM_PROMPT, USER_PROMPT }
+ */
+const buildParseInstructions = (catalogue = PERPETRATOR_CATALOGUE) => {
+  const sections = buildPerpetratorSections(catalogue);
+
+  return {
+    SYSTEM_PROMPT: buildSystemPrompt(sections),
+    USER_PROMPT: buildUserPrompt(sections)
+  };
+};
+
+const { SYSTEM_PROMPT, USER_PROMPT } = buildParseInstructions();
+
 module.exports = {
   SYSTEM_PROMPT,
-  USER_PROMPT
+  USER_PROMPT,
+  buildParseInstructions
 };
\ No newline at end of file
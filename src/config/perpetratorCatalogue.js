@@ -0,0 +1,270 @@
+/**
+ * Perpetrator affiliation codes and the seed catalogue of known units and groups.
+ *
+ * The codes are stored on violations (perpetrator_affiliation) and territories
+ * (controlledBy). The catalogue seeds the Perpetrator collection and is the
+ * fallback for the parse instructions when the collection is empty.
+ */
+
+// Top-level affiliations a perpetrator rolls up to
+const PERPETRATOR_AFFILIATIONS = [
+  'assad_regime',
+  'post_8th_december_government',
+  'various_armed_groups',
+  'isis',
+  'sdf',
+  'israel',
+  'turkey',
+  'druze_militias',
+  'russia',
+  'iran_shia_militias',
+  'international_coalition',
+  'bedouins',
+  'unknown'
+];
+
+// Values accepted for the controller of a territory
+const TERRITORY_CONTROLLERS = [
+  ...PERPETRATOR_AFFILIATIONS.filter(code => code !== 'bedouins'),
+  'FOREIGN_MILITARY',
+  'REBEL_GROUP'
+];
+
+/**
+ * Seed catalogue, one entry per affiliation.
+ * - description: short summary used in the affiliation list of the parse instructions
+ * - guidance: classification rules for the detailed reference
+ * - members: units and groups that belong to the affiliation
+ */
+const PERPETRATOR_CATALOGUE = [
+  {
+    code: 'assad_regime',
+    name: { en: 'Assad Regime', ar: 'نظام الأسد' },
+    description: 'Assad Regime and affiliated forces (pre-December 8, 2024)',
+    guidance: [
+      'Any forces explicitly identified as "regime forces" or "government forces" for incidents/violations that occur BEFORE December 8, 2024'
+    ],
+    members: [
+      { name: 'Syrian Arab Army', aliases: ['SAA'] },
+      { name: 'Republican Guard' },
+      { name: '4th Armored Division' },
+      { name: 'Tiger Forces', aliases: ['25th Special Forces Division'] },
+      { name: 'Air Force Intelligence Directorate' },
+      { name: 'Military Intelligence Directorate' },
+      { name: 'General Intelligence Directorate' },
+      { name: 'Political Security Directorate' },
+      { name: 'National Defense Forces', aliases: ['NDF'] },
+      { name: 'Liwa al-Quds', aliases: ['Jerusalem Brigade'] },
+      { name: 'Baath Battalions', aliases: ['Kata\'eb al-Ba\'ath', 'Ba\'ath Battalions'] },
+      { name: 'Military Security Shield Forces' },
+      { name: 'Syrian Social Nationalist Party militias', aliases: ['SSNP militias'] },
+      { name: 'Arab Nationalist Guard' },
+      { name: 'Suqour al-Sahara', aliases: ['Desert Hawks Brigade'] },
+      { name: 'Coastal Shield Brigade' },
+      { name: 'Qalamoun Shield Forces' },
+      { name: 'Al-Bustan Association', aliases: ['Al-Bustan militia'] },
+      { name: 'Liwa Usud al-Hussein', aliases: ['Lions of Hussein Brigade'] },
+      { name: 'Saraya al-Areen', aliases: ['Den Companies'] },
+      { name: 'Local Defence Forces', aliases: ['LDF'] },
+      { name: 'Al-Assad regime government security forces' },
+      { name: 'Assad remnants', description: 'post-December 8, 2024' },
+      { name: 'Syrian Air Force' }
+    ]
+  },
+  {
+    code: 'post_8th_december_government',
+    name: { en: 'Alsharaa Government', ar: 'الحكومة الانتقالية المؤقتة و حلفائها' },
+    description: 'Alsharaa Government and affiliated rebel groups (after transition on December 8, 2024)',
+    guidance: [
+      'Any forces explicitly identified as "opposition forces" or "rebel groups" before December 8, 2024',
+      'Any forces explicitly identified as Alsharaa government forces, interim forces, government forces, or pro-government auxiliary or allies for incidents/violations that occur post December 8, 2024'
+    ],
+    members: [
+      { name: 'Free Syrian Army', aliases: ['FSA'] },
+      { name: 'Syrian Interim Government forces' },
+      { name: 'Syrian Liberation Front' },
+      { name: 'National Liberation Front', aliases: ['NLF'] },
+      { name: 'Jabhat Shamiya', aliases: ['Levant Front'] },
+      { name: 'Jaysh al-Islam', aliases: ['Army of Islam'] },
+      { name: 'Ahrar al-Sham' },
+      { name: 'Faylaq al-Sham', aliases: ['Sham Legion'] },
+      { name: '1st Coastal Division' },
+      { name: '2nd Coastal Division' },
+      { name: 'Sham Falcons', aliases: ['Suqour al-Sham'] },
+      { name: 'Free Idlib Army' },
+      { name: 'Northern Storm Brigade' },
+      { name: 'Sultan Murad Division' },
+      { name: 'Hamza Division' },
+      { name: 'Mu\'tasim Division' },
+      { name: 'Ahrar al-Sharqiya' },
+      { name: 'Jaysh al-Sharqiya', aliases: ['Army of the East'] },
+      { name: '23rd Division' },
+      { name: 'Revolutionary Commando Army' },
+      { name: 'Southern Front groups' },
+      { name: 'Syrian National Army', aliases: ['SNA'] }
+    ]
+  },
+  {
+    code: 'various_armed_groups',
+    name: { en: 'Various Armed Groups', ar: 'مجموعات مسلحة متنوعة' },
+    description: 'Unaffiliated armed groups, gangs, or bandits',
+    guidance: [],
+    members: []
+  },
+  {
+    code: 'isis',
+    name: { en: 'Islamic State', ar: 'داعش' },
+    description: 'Islamic State and affiliated groups',
+    guidance: ['Any group explicitly identified as an ISIS affiliate'],
+    members: [
+      { name: 'Islamic State', aliases: ['ISIS', 'ISIL', 'Daesh'] },
+      { name: 'Islamic State Khorasan Province', aliases: ['ISIS-K'] },
+      { name: 'Islamic State Sinai Province' },
+      { name: 'Jund al-Aqsa', description: 'when pledged to ISIS' },
+      { name: 'Jaysh Khalid ibn al-Waleed' },
+      { name: 'Ansar Bait al-Maqdis', description: 'when pledged to ISIS' }
+    ]
+  },
+  {
+    code: 'sdf',
+    name: { en: 'Syrian Democratic Forces', ar: 'قوات سوريا الديمقراطية' },
+    description: 'Syrian Democratic Forces and affiliated groups',
+    guidance: [
+      'Any forces explicitly identified as affiliated with the Autonomous Administration of North and East Syria (AANES)'
+    ],
+    members: [
+      { name: 'People\'s Protection Units', aliases: ['YPG'] },
+      { name: 'Women\'s Protection Units', aliases: ['YPJ'] },
+      { name: 'Kurdish People\'s Defense Forces' },
+      { name: 'Internal Security Forces', aliases: ['Asayish'] },
+      { name: 'Self-Defense Forces', aliases: ['HXP'] },
+      { name: 'Syrian Arab Coalition within SDF' },
+      { name: 'Deir ez-Zor Military Council' },
+      { name: 'Manbij Military Council' },
+      { name: 'Raqqa Military Council' },
+      { name: 'Al-Sanadid Forces' },
+      { name: 'Jaysh al-Thuwar', aliases: ['Army of Revolutionaries'] },
+      { name: 'Syriac Military Council', aliases: ['MFS'] },
+      { name: 'Northern Democratic Brigade' },
+      { name: 'Liwa Thuwar al-Raqqa', aliases: ['Raqqa Revolutionaries Brigade'] },
+      { name: 'Jabhat Thuwar al-Raqqa', aliases: ['Raqqa Revolutionaries Front'] },
+      { name: 'Al-Bab Military Council' },
+      { name: 'Idlib Military Council' }
+    ]
+  },
+  {
+    code: 'israel',
+    name: { en: 'Israel', ar: 'إسرائيل' },
+    description: 'Israeli forces',
+    guidance: [],
+    members: []
+  },
+  {
+    code: 'turkey',
+    name: { en: 'Turkey', ar: 'تركيا' },
+    description: 'Turkish military forces and proxies',
+    guidance: ['Any forces explicitly identified as "Turkish-backed" or operating under Turkish command'],
+    members: [
+      { name: 'Turkish Armed Forces' },
+      { name: 'Turkish-backed Syrian National Army factions', aliases: ['Turkish-backed SNA factions'] },
+      { name: 'Sultan Murad Division', description: 'when explicitly identified as Turkish-backed' },
+      { name: 'Hamza Division', description: 'when explicitly identified as Turkish-backed' },
+      { name: 'Suleyman Shah Brigade' },
+      { name: 'Jaysh al-Islam', description: 'when operating in Turkish-controlled areas' }
+    ]
+  },
+  {
+    code: 'druze_militias',
+    name: { en: 'Druze Militias', ar: 'الميليشيات الدرزية' },
+    description: 'Druze-affiliated armed groups',
+    guidance: [
+      'Any forces explicitly identified as Druze community defense organizations',
+      'Any forces identified as Druze fighters or militias, gangs'
+    ],
+    members: [
+      { name: 'Jaysh al-Muwahhideen', aliases: ['Army of Monotheists'] },
+      { name: 'Druze Muwahhideen militia' },
+      { name: 'Local Druze protection committees' },
+      { name: 'Al-Kafn al-Abyad', aliases: ['White Shroud'] },
+      { name: 'Sheikh al-Aql Druze leadership militias' },
+      { name: 'Druze Community Defense Forces' }
+    ]
+  },
+  {
+    code: 'russia',
+    name: { en: 'Russia', ar: 'روسيا' },
+    description: 'Russian military forces',
+    guidance: [],
+    members: [
+      { name: 'Russian Aerospace Forces' },
+      { name: 'Russian Army units in Syria' },
+      { name: 'Russian Military Police' },
+      { name: 'Wagner Group', aliases: ['Wagner PMC'] },
+      { name: 'Russian special forces', aliases: ['Spetsnaz'] },
+      { name: 'Russian advisors and military personnel' }
+    ]
+  },
+  {
+    code: 'iran_shia_militias',
+    name: { en: 'Iran and Shia Militias', ar: 'إيران والميليشيات الشيعية' },
+    description: 'Iranian military forces or proxies',
+    guidance: [
+      'Any militias explicitly identified as "Iranian-backed," "Shiite militias," or "Shia militias" operating in Syria'
+    ],
+    members: [
+      { name: 'Islamic Revolutionary Guard Corps', aliases: ['IRGC'] },
+      { name: 'IRGC-Quds Force', aliases: ['Quds Force'] },
+      { name: 'Hezbollah', aliases: ['Hizbollah'], description: 'Lebanese' },
+      { name: 'Kata\'ib Hezbollah', description: 'Iraqi' },
+      { name: 'Harakat Hezbollah al-Nujaba', aliases: ['Harakat al-Nujaba'], description: 'Iraqi' },
+      { name: 'Asa\'ib Ahl al-Haq', description: 'Iraqi' },
+      { name: 'Liwa Fatemiyoun', description: 'Afghan Shiite militia' },
+      { name: 'Liwa Zainebiyoun', description: 'Pakistani Shiite militia' },
+      { name: 'Kata\'ib Sayyid al-Shuhada', aliases: ['Kata\'ib Seyyed al-Shuhada'], description: 'Iraqi' },
+      { name: 'Badr Organization' },
+      { name: 'Saraya al-Khorasani' },
+      { name: 'Imam Ali Battalions' },
+      { name: 'Zulfiqar Brigade' },
+      { name: 'Abu al-Fadl al-Abbas Brigade' },
+      { name: 'Iranian advisors and military personnel' }
+    ]
+  },
+  {
+    code: 'international_coalition',
+    name: { en: 'International Coalition', ar: 'التحالف الدولي' },
+    description: 'United States and international coalition forces',
+    guidance: ['Any forces explicitly identified as "U.S.-backed" or operating under U.S. direction'],
+    members: [
+      { name: 'United States Armed Forces' },
+      { name: 'Combined Joint Task Force – Operation Inherent Resolve', aliases: ['CJTF-OIR'] },
+      { name: 'U.S.-backed elements of SDF', description: 'when explicitly identified as such' },
+      {
+        name: 'Maghawir al-Thawra',
+        aliases: ['Revolutionary Commando Army'],
+        description: 'when identified as U.S.-backed'
+      }
+    ]
+  },
+  {
+    code: 'bedouins',
+    name: { en: 'Bedouin Tribes', ar: 'العشائر البدوية' },
+    description: 'Bedouin tribes and tribesmen',
+    guidance: [],
+    members: [
+      { name: 'Bedouin tribes', aliases: ['Bedouin tribesmen', 'Bedouin tribespeople'] }
+    ]
+  },
+  {
+    code: 'unknown',
+    name: { en: 'Unknown', ar: 'غير معروف' },
+    description: 'Unknown perpetrators',
+    guidance: [],
+    members: []
+  }
+];
+
+module.exports = {
+  PERPETRATOR_AFFILIATIONS,
+  TERRITORY_CONTROLLERS,
+  PERPETRATOR_CATALOGUE
+};
@@ -0,0 +1,56 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  // Query operations
+  getAdminBoundaries,
+  getAdminBoundaryByCode,
+  // Violation assignment
+  assignAdminCodes
+} = require('../commands/adminBoundaries');
+
+/**
+ * @desc    List administrative boundaries (without polygons)
+ * @route   GET /api/admin-boundaries
+ * @access  Public
+ */
+exports.getAdminBoundaries = asyncHandler(async (req, res, next) => {
+  const boundaries = await getAdminBoundaries(req.query);
+
+  res.status(200).json({
+    success: true,
+    count: boundaries.length,
+    data: boundaries
+  });
+});
+
+/**
+ * @desc    Get an administrative boundary with its polygon
+ * @route   GET /api/admin-boundaries/:code
+ * @access  Public
+ */
+exports.getAdminBoundary = asyncHandler(async (req, res, next) => {
+  const boundary = await getAdminBoundaryByCode(req.params.code);
+
+  if (!boundary) {
+    return next(new ErrorResponse(`Administrative boundary not found with code of ${req.params.code}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: boundary
+  });
+});
+
+/**
+ * @desc    Recompute the admin codes of all violations from the loaded boundaries
+ * @route   POST /api/admin-boundaries/assign-violations
+ * @access  Private (Admin)
+ */
+exports.assignViolations = asyncHandler(async (req, res, next) => {
+  const result = await assignAdminCodes(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
@@ -1,6 +1,16 @@
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../utils/asyncHandler');
+const config = require('../config/config');
+const { getAccessToken } = require('../middleware/auth');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeUserSessions
+} = require('../commands/auth');
 
 /**
  * @desc    Register user
@@ -19,7 +29,7 @@ exports.register = asyncHandler(async (req, res, next) => {
     organization
   });
 
-  sendTokenResponse(user, 201, res);
+  await sendTokenResponse(user, 201, req, res);
 });
 
 /**
@@ -44,7 +54,7 @@ exports.login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res);
 });
 
 /**
@@ -62,15 +72,38 @@ exports.getMe = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Log user out / clear cookie
+ * @desc    Get a new access token with a refresh token (the refresh token is rotated)
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refresh = asyncHandler(async (req, res, next) => {
+  const token = req.body?.refreshToken || req.cookies?.refreshToken;
+
+  const session = await rotateRefreshToken(token, clientInfo(req));
+
+  sendSessionResponse(session, 200, res);
+});
+
+/**
+ * @desc    Log user out: revoke the access and refresh token, clear cookies
  * @route   GET /api/auth/logout
- * @access  Private
+ * @route   POST /api/auth/logout
+ * @access  Public
  */
 exports.logout = asyncHandler(async (req, res, next) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
+  const token = getAccessToken(req);
+
+  if (token) {
+    try {
+      await revokeAccessToken(jwt.verify(token, config.jwtSecret), 'logout');
+    } catch (err) {
+      // Expired or invalid tokens are refused anyway
+    }
+  }
+
+  await revokeRefreshToken(req.body?.refreshToken || req.cookies?.refreshToken, 'logout');
+
+  clearTokenCookies(res);
 
   res.status(200).json({
     success: true,
@@ -79,26 +112,65 @@ exports.logout = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Get token from model, create cookie and send response
+ * @desc    Log user out of all sessions
+ * @route   POST /api/auth/logout-all
+ * @access  Private
  */
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
-
-  const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict'
-  };
+exports.logoutAll = asyncHandler(async (req, res, next) => {
+  const { refreshTokensRevoked } = await revokeUserSessions(req.user.id, 'logout_all');
+
+  clearTokenCookies(res);
+
+  res.status(200).json({
+    success: true,
+    data: { refreshTokensRevoked }
+  });
+});
+
+// Cookie options; the refresh token is only sent to the auth routes
+const cookieOptions = (expires, path = '/') => ({
+  expires,
+  path,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict'
+});
+
+// Client a session is issued to, kept with its refresh tokens
+const clientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
 
+const clearTokenCookies = (res) => {
+  const expires = new Date(Date.now() + 10 * 1000);
+
+  res.cookie('token', 'none', cookieOptions(expires));
+  res.cookie('refreshToken', 'none', cookieOptions(expires, '/api/auth'));
+};
+
+/**
+ * Set the cookies of a session and send its tokens
+ */
+const sendSessionResponse = (session, statusCode, res) => {
   res
     .status(statusCode)
-    .cookie('token', token, options)
+    .cookie('token', session.token, cookieOptions(session.tokenExpires))
+    .cookie('refreshToken', session.refreshToken, cookieOptions(session.refreshTokenExpires, '/api/auth'))
     .json({
       success: true,
-      token
+      token: session.token,
+      tokenExpires: session.tokenExpires,
+      refreshToken: session.refreshToken,
+      refreshTokenExpires: session.refreshTokenExpires
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Start a session for the user, create cookies and send response
+ */
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const session = await issueSession(user, clientInfo(req));
+
+  sendSessionResponse(session, statusCode, res);
+};
@@ -0,0 +1,167 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  // Create operations
+  createChannel,
+  // Update operations
+  updateChannel,
+  // Delete operations
+  deleteChannel,
+  // Query operations
+  getChannels,
+  getChannelById,
+  // Seeding
+  seedChannels,
+  // Dry runs
+  testChannel,
+  // Filtering decisions
+  getFilterDecisions,
+  getFilterStats
+} = require('../commands/channels');
+
+/**
+ * @desc    Get the Telegram channels monitored by the scraper
+ * @route   GET /api/channels
+ * @access  Private (Admin only)
+ */
+exports.getChannels = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10,
+    sort: req.query.sort || 'name'
+  };
+
+  const result = await getChannels(req.query, paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.channels
+  });
+});
+
+/**
+ * @desc    Get why scraped messages were kept or dropped by the channel filtering rules
+ * @route   GET /api/channels/filter-decisions
+ * @access  Private (Admin only)
+ */
+exports.getFilterDecisions = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 20,
+    sort: req.query.sort || '-decidedAt'
+  };
+
+  const result = await getFilterDecisions(req.query, paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.decisions
+  });
+});
+
+/**
+ * @desc    Count kept and dropped messages per channel and reason
+ * @route   GET /api/channels/filter-stats
+ * @access  Private (Admin only)
+ */
+exports.getFilterStats = asyncHandler(async (req, res, next) => {
+  const stats = await getFilterStats(req.query);
+
+  res.status(200).json({
+    success: true,
+    count: stats.length,
+    data: stats
+  });
+});
+
+/**
+ * @desc    Get a Telegram channel by ID
+ * @route   GET /api/channels/:id
+ * @access  Private (Admin only)
+ */
+exports.getChannel = asyncHandler(async (req, res, next) => {
+  const channel = await getChannelById(req.params.id);
+
+  if (!channel) {
+    return next(new ErrorResponse(`Channel not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: channel
+  });
+});
+
+/**
+ * @desc    Add a Telegram channel
+ * @route   POST /api/channels
+ * @access  Private (Admin only)
+ */
+exports.createChannel = asyncHandler(async (req, res, next) => {
+  const channel = await createChannel(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: channel
+  });
+});
+
+/**
+ * @desc    Seed the channels from src/config/telegram-channels.yaml
+ * @route   POST /api/channels/seed
+ * @access  Private (Admin only)
+ */
+exports.seedChannels = asyncHandler(async (req, res, next) => {
+  const result = await seedChannels(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Dry run of a channel: fetch its latest messages and report which would be saved
+ * @route   POST /api/channels/:id/test
+ * @access  Private (Admin only)
+ */
+exports.testChannel = asyncHandler(async (req, res, next) => {
+  const result = await testChannel(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Update a Telegram channel
+ * @route   PUT /api/channels/:id
+ * @access  Private (Admin only)
+ */
+exports.updateChannel = asyncHandler(async (req, res, next) => {
+  const channel = await updateChannel(req.params.id, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: channel
+  });
+});
+
+/**
+ * @desc    Delete a Telegram channel
+ * @route   DELETE /api/channels/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteChannel = asyncHandler(async (req, res, next) => {
+  await deleteChannel(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,158 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  // Query operations
+  getCacheEntries,
+  getCacheEntryById,
+  getCacheStats,
+  // Update operations
+  updateCacheEntry,
+  setCacheEntryPinned,
+  // Delete operations
+  deleteCacheEntry,
+  // Alias operations
+  addCacheAlias,
+  removeCacheAlias
+} = require('../commands/geocodingCache');
+
+/**
+ * @desc    Search geocoding cache entries
+ * @route   GET /api/geocoding-cache
+ * @access  Private (Admin only)
+ */
+exports.getCacheEntries = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10,
+    sort: req.query.sort || '-hitCount'
+  };
+
+  const result = await getCacheEntries(req.query, paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.entries
+  });
+});
+
+/**
+ * @desc    Get geocoding cache usage statistics
+ * @route   GET /api/geocoding-cache/stats
+ * @access  Private (Admin only)
+ */
+exports.getCacheStats = asyncHandler(async (req, res, next) => {
+  const stats = await getCacheStats();
+
+  res.status(200).json({
+    success: true,
+    data: stats
+  });
+});
+
+/**
+ * @desc    Get a geocoding cache entry by ID
+ * @route   GET /api/geocoding-cache/:id
+ * @access  Private (Admin only)
+ */
+exports.getCacheEntry = asyncHandler(async (req, res, next) => {
+  const entry = await getCacheEntryById(req.params.id);
+
+  if (!entry) {
+    return next(new ErrorResponse(`Geocoding cache entry not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+/**
+ * @desc    Correct a geocoding cache entry, optionally geocoding the violations using it again
+ * @route   PUT /api/geocoding-cache/:id
+ * @access  Private (Admin only)
+ */
+exports.updateCacheEntry = asyncHandler(async (req, res, next) => {
+  const { regeocodeViolations, ...correction } = req.body;
+  const result = await updateCacheEntry(req.params.id, correction, req.user.id, {
+    regeocodeViolations: regeocodeViolations === true
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result.entry,
+    regeocoded: result.regeocoded
+  });
+});
+
+/**
+ * @desc    Pin a geocoding cache entry so it does not expire
+ * @route   POST /api/geocoding-cache/:id/pin
+ * @access  Private (Admin only)
+ */
+exports.pinCacheEntry = asyncHandler(async (req, res, next) => {
+  const entry = await setCacheEntryPinned(req.params.id, true, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+/**
+ * @desc    Unpin a geocoding cache entry so it expires with the TTL again
+ * @route   POST /api/geocoding-cache/:id/unpin
+ * @access  Private (Admin only)
+ */
+exports.unpinCacheEntry = asyncHandler(async (req, res, next) => {
+  const entry = await setCacheEntryPinned(req.params.id, false, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+/**
+ * @desc    Register another spelling of the place of a geocoding cache entry
+ * @route   POST /api/geocoding-cache/:id/aliases
+ * @access  Private (Admin only)
+ */
+exports.addCacheAlias = asyncHandler(async (req, res, next) => {
+  const entry = await addCacheAlias(req.params.id, req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: entry
+  });
+});
+
+/**
+ * @desc    Remove an alias from a geocoding cache entry
+ * @route   DELETE /api/geocoding-cache/:id/aliases/:aliasId
+ * @access  Private (Admin only)
+ */
+exports.removeCacheAlias = asyncHandler(async (req, res, next) => {
+  const entry = await removeCacheAlias(req.params.id, req.params.aliasId, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+/**
+ * @desc    Delete a geocoding cache entry with its aliases
+ * @route   DELETE /api/geocoding-cache/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteCacheEntry = asyncHandler(async (req, res, next) => {
+  await deleteCacheEntry(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,111 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  // Create operations
+  createKeywordSet,
+  // Update operations
+  updateKeywordSet,
+  // Delete operations
+  deleteKeywordSet,
+  // Query operations
+  getKeywordSets,
+  getKeywordSetById,
+  // Seeding
+  seedKeywordSets
+} = require('../commands/keywordSets');
+
+/**
+ * @desc    Get the keyword sets the scraper matches messages against
+ * @route   GET /api/keyword-sets
+ * @access  Private (Admin only)
+ */
+exports.getKeywordSets = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10,
+    sort: req.query.sort || 'name'
+  };
+
+  const result = await getKeywordSets(req.query, paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.keywordSets
+  });
+});
+
+/**
+ * @desc    Get a keyword set by ID
+ * @route   GET /api/keyword-sets/:id
+ * @access  Private (Admin only)
+ */
+exports.getKeywordSet = asyncHandler(async (req, res, next) => {
+  const keywordSet = await getKeywordSetById(req.params.id);
+
+  if (!keywordSet) {
+    return next(new ErrorResponse(`Keyword set not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: keywordSet
+  });
+});
+
+/**
+ * @desc    Add a keyword set
+ * @route   POST /api/keyword-sets
+ * @access  Private (Admin only)
+ */
+exports.createKeywordSet = asyncHandler(async (req, res, next) => {
+  const keywordSet = await createKeywordSet(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: keywordSet
+  });
+});
+
+/**
+ * @desc    Seed the keyword sets from src/config/violation-keywords.yaml
+ * @route   POST /api/keyword-sets/seed
+ * @access  Private (Admin only)
+ */
+exports.seedKeywordSets = asyncHandler(async (req, res, next) => {
+  const result = await seedKeywordSets(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Update a keyword set
+ * @route   PUT /api/keyword-sets/:id
+ * @access  Private (Admin only)
+ */
+exports.updateKeywordSet = asyncHandler(async (req, res, next) => {
+  const keywordSet = await updateKeywordSet(req.params.id, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: keywordSet
+  });
+});
+
+/**
+ * @desc    Delete a keyword set
+ * @route   DELETE /api/keyword-sets/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteKeywordSet = asyncHandler(async (req, res, next) => {
+  await deleteKeywordSet(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const MediaItem = require('../models/MediaItem');
+const { createMediaStorage } = require('../services/mediaStorage');
+
+/**
+ * @desc    Get an archived media file kept in local storage
+ * @route   GET /api/media/:key
+ * @access  Public
+ */
+exports.getMediaFile = asyncHandler(async (req, res, next) => {
+  const item = await MediaItem.findOne({ key: req.params.key, status: 'archived', storage: 'local' });
+  const storage = createMediaStorage();
+
+  if (!item || storage.driver !== 'local' || !fs.existsSync(storage.getPath(item.key))) {
+    return next(new ErrorResponse(`Media file ${req.params.key} not found`, 404));
+  }
+
+  // Files are named after their contents, so they never change
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.set('X-Content-SHA256', item.sha256);
+  // Shown by the frontend, which is served from another origin
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.type(item.content_type || 'application/octet-stream');
+  res.sendFile(storage.getPath(item.key));
+});
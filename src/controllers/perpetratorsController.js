@@ -0,0 +1,162 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  // Create operations
+  createPerpetrator,
+  // Update operations
+  updatePerpetrator,
+  // Delete operations
+  deletePerpetrator,
+  // Query operations
+  getPerpetrators,
+  getPerpetratorById,
+  getPerpetratorTree,
+  // Statistics operations
+  getPerpetratorStats,
+  // Catalogue seeding
+  seedPerpetratorCatalogue,
+  linkExistingViolations
+} = require('../commands/perpetrators');
+
+/**
+ * @desc    Search the perpetrator catalogue
+ * @route   GET /api/perpetrators
+ * @access  Public
+ */
+exports.getPerpetrators = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10,
+    sort: req.query.sort || 'name.en'
+  };
+
+  const result = await getPerpetrators(req.query, paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.perpetrators
+  });
+});
+
+/**
+ * @desc    Get the catalogue as a tree of affiliations and their members
+ * @route   GET /api/perpetrators/tree
+ * @access  Public
+ */
+exports.getPerpetratorTree = asyncHandler(async (req, res, next) => {
+  const tree = await getPerpetratorTree({ affiliation: req.query.affiliation });
+
+  res.status(200).json({
+    success: true,
+    count: tree.length,
+    data: tree
+  });
+});
+
+/**
+ * @desc    Get violation counts rolled up by unit, parent or affiliation
+ * @route   GET /api/perpetrators/stats
+ * @access  Public
+ */
+exports.getPerpetratorStats = asyncHandler(async (req, res, next) => {
+  const stats = await getPerpetratorStats(req.query, {
+    groupBy: req.query.groupBy,
+    within: req.query.within
+  });
+
+  res.status(200).json({
+    success: true,
+    count: stats.length,
+    data: stats
+  });
+});
+
+/**
+ * @desc    Get a perpetrator by ID
+ * @route   GET /api/perpetrators/:id
+ * @access  Public
+ */
+exports.getPerpetrator = asyncHandler(async (req, res, next) => {
+  const perpetrator = await getPerpetratorById(req.params.id);
+
+  if (!perpetrator) {
+    return next(new ErrorResponse(`Perpetrator not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: perpetrator
+  });
+});
+
+/**
+ * @desc    Add a perpetrator to the catalogue
+ * @route   POST /api/perpetrators
+ * @access  Private (Editors and Admins)
+ */
+exports.createPerpetrator = asyncHandler(async (req, res, next) => {
+  const perpetrator = await createPerpetrator(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: perpetrator
+  });
+});
+
+/**
+ * @desc    Seed the catalogue with the built-in affiliations, units and groups
+ * @route   POST /api/perpetrators/seed
+ * @access  Private (Admin only)
+ */
+exports.seedPerpetrators = asyncHandler(async (req, res, next) => {
+  const result = await seedPerpetratorCatalogue(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Link violations with a free-text perpetrator to matching catalogue entries
+ * @route   POST /api/perpetrators/link-violations
+ * @access  Private (Admin only)
+ */
+exports.linkViolations = asyncHandler(async (req, res, next) => {
+  const result = await linkExistingViolations(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Update a perpetrator
+ * @route   PUT /api/perpetrators/:id
+ * @access  Private (Editors and Admins)
+ */
+exports.updatePerpetrator = asyncHandler(async (req, res, next) => {
+  const perpetrator = await updatePerpetrator(req.params.id, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: perpetrator
+  });
+});
+
+/**
+ * @desc    Delete a perpetrator without members or linked violations
+ * @route   DELETE /api/perpetrators/:id
+ * @access  Private (Admin only)
+ */
+exports.deletePerpetrator = asyncHandler(async (req, res, next) => {
+  await deletePerpetrator(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
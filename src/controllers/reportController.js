@@ -4,7 +4,10 @@ const logger = require('../config/logger');
 const ReportParsingJob = require('../models/jobs/ReportParsingJob');
 const queueService = require('../services/queueService');
 const Report = require('../models/Report');
+const TelegramChannelState = require('../models/TelegramChannelState');
+const TelegramScraper = require('../services/TelegramScraper');
 const telegramScrapingJobManager = require('../jobs/telegramScrapingJob');
+const { findReportsByChannelPriority } = require('../commands/reports');
 
 /**
  * @desc    Submit a report for parsing
@@ -65,8 +68,9 @@ exports.getJobStatus = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Job with ID ${req.params.jobId} not found`, 404));
   }
 
-  // Check authorization - only admins or the job creator can view the job
-  if (req.user.role !== 'admin' && job.submittedBy._id.toString() !== req.user.id) {
+  // Check authorization - only admins or the job creator can view the job.
+  // Jobs queued automatically for scraped reports have no creator.
+  if (req.user.role !== 'admin' && (!job.submittedBy || job.submittedBy._id.toString() !== req.user.id)) {
     return next(new ErrorResponse('Not authorized to access this job', 403));
   }
 
@@ -75,8 +79,9 @@ exports.getJobStatus = asyncHandler(async (req, res, next) => {
     id: job._id,
     status: job.status,
     progress: job.progress,
-    submittedBy: job.submittedBy.name,
+    submittedBy: job.submittedBy ? job.submittedBy.name : null,
     submittedAt: job.createdAt,
+    report: job.report,
     estimatedProcessingTime: job.estimatedProcessingTime,
     source: job.sourceURL,
     error: job.error,
@@ -239,7 +244,8 @@ exports.getReports = asyncHandler(async (req, res, next) => {
 exports.getReport = asyncHandler(async (req, res, next) => {
   try {
     const report = await Report.findById(req.params.id)
-      .populate('parsingJobId', 'status progress results');
+      .populate('parsingJobId', 'status progress results')
+      .populate('media');
 
     if (!report) {
       return next(new ErrorResponse(`Report not found with id of ${req.params.id}`, 404));
@@ -341,7 +347,7 @@ exports.getReportStats = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Get reports ready for LLM processing
+ * @desc    Get reports ready for LLM processing, in the order they are queued
  * @route   GET /api/reports/ready-for-processing
  * @access  Private (Admin)
  */
@@ -349,7 +355,7 @@ exports.getReportsReadyForProcessing = asyncHandler(async (req, res, next) => {
   const limit = parseInt(req.query.limit, 10) || 10;
 
   try {
-    const reports = await Report.findReadyForProcessing(limit);
+    const reports = await findReportsByChannelPriority(limit);
 
     res.status(200).json({
       success: true,
@@ -361,6 +367,25 @@ exports.getReportsReadyForProcessing = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * @desc    Queue the reports ready for processing for LLM parsing now instead of after
+ *          the next scraping run
+ * @route   POST /api/reports/processing/trigger
+ * @access  Private (Admin)
+ */
+exports.triggerReportParsing = asyncHandler(async (req, res, next) => {
+  try {
+    const result = await queueService.queueReportsForParsing();
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    return next(new ErrorResponse('Error queueing reports for parsing', 500));
+  }
+});
+
 /**
  * @desc    Mark report as processed
  * @route   PUT /api/reports/:id/mark-processed
@@ -481,4 +506,54 @@ exports.getScrapingJobStatus = asyncHandler(async (req, res, next) => {
   } catch (error) {
     return next(new ErrorResponse('Error getting scraping job status', 500));
   }
-});
\ No newline at end of file
+});
+
+/**
+ * @desc    Get the scraping state (cursor, last success, consecutive failures) of each channel
+ * @route   GET /api/reports/scraping/channels
+ * @access  Private (Admin)
+ */
+exports.getScrapingChannelStates = asyncHandler(async (req, res, next) => {
+  const states = await TelegramChannelState.find().sort({ channel: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: states.length,
+    data: states
+  });
+});
+
+/**
+ * @desc    Backfill a Telegram channel over a date range as a background job
+ * @route   POST /api/reports/scraping/backfill
+ * @access  Private (Admin)
+ */
+exports.backfillTelegramChannel = asyncHandler(async (req, res, next) => {
+  const { channel } = req.body;
+
+  const scraper = new TelegramScraper();
+  if (!(await scraper.findChannel(channel))) {
+    return next(new ErrorResponse(`Channel ${channel} not found`, 404));
+  }
+
+  const from = new Date(req.body.from);
+  const to = req.body.to ? new Date(req.body.to) : new Date();
+
+  const job = await queueService.addTelegramBackfillJob({
+    channel,
+    from: from.toISOString(),
+    to: to.toISOString()
+  });
+
+  logger.info(`Telegram backfill job ${job.id} queued for ${channel}`);
+
+  res.status(202).json({
+    success: true,
+    data: {
+      jobId: job.id,
+      channel,
+      from,
+      to
+    }
+  });
+});
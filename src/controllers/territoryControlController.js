@@ -1,5 +1,7 @@
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../config/logger');
+const queueService = require('../services/queueService');
 const { addColorsToTerritoryControl } = require('../config/territorColorMapping');
 const {
   // Create operations
@@ -26,6 +28,25 @@ const {
   getTerritorialDistribution
 } = require('../commands/territoryControl');
 
+/**
+ * Queue recomputing the territory controller of the violations covered by changed maps.
+ * The map change itself has succeeded, so a failure to queue is only logged.
+ * @param {Array<Date|String>} dates - Dates of the maps that changed
+ */
+const queueTerritoryRefresh = async (dates) => {
+  const mapDates = dates.filter(Boolean);
+  if (mapDates.length === 0) return;
+
+  try {
+    await queueService.addTerritoryRefreshJob(mapDates);
+  } catch (error) {
+    logger.error('Failed to queue territory refresh of violations', {
+      error: error.message,
+      dates: mapDates
+    });
+  }
+};
+
 /**
  * @desc    Get all territory controls with filtering, sorting, and pagination
  * @route   GET /api/territory-control
@@ -141,6 +162,8 @@ exports.createTerritoryControl = asyncHandler(async (req, res, next) => {
     const territoryControl = await createTerritoryControl(req.body, req.user.id, {
       allowDuplicateDates: req.body.allowDuplicateDates || false
     });
+
+    await queueTerritoryRefresh([territoryControl.date]);
     
     res.status(201).json({
       success: true,
@@ -161,6 +184,8 @@ exports.importTerritoryControl = asyncHandler(async (req, res, next) => {
     const territoryControl = await createTerritoryControlFromData(req.body, req.user.id, {
       allowDuplicateDates: req.body.allowDuplicateDates || false
     });
+
+    await queueTerritoryRefresh([territoryControl.date]);
     
     res.status(201).json({
       success: true,
@@ -179,6 +204,9 @@ exports.importTerritoryControl = asyncHandler(async (req, res, next) => {
  */
 exports.updateTerritoryControl = asyncHandler(async (req, res, next) => {
   try {
+    // Moving a map to another date changes the periods of both dates
+    const previous = req.body.date ? await getTerritoryControlById(req.params.id) : null;
+
     const territoryControl = await updateTerritoryControl(
       req.params.id,
       req.body,
@@ -187,6 +215,8 @@ exports.updateTerritoryControl = asyncHandler(async (req, res, next) => {
         allowDuplicateDates: req.body.allowDuplicateDates || false
       }
     );
+
+    await queueTerritoryRefresh([previous?.date, territoryControl.date]);
     
     res.status(200).json({
       success: true,
@@ -237,6 +267,8 @@ exports.addFeature = asyncHandler(async (req, res, next) => {
       req.body,
       req.user.id
     );
+
+    await queueTerritoryRefresh([territoryControl.date]);
     
     res.status(200).json({
       success: true,
@@ -268,6 +300,8 @@ exports.removeFeature = asyncHandler(async (req, res, next) => {
       featureIndex,
       req.user.id
     );
+
+    await queueTerritoryRefresh([territoryControl.date]);
     
     res.status(200).json({
       success: true,
@@ -288,9 +322,11 @@ exports.removeFeature = asyncHandler(async (req, res, next) => {
  */
 exports.deleteTerritoryControl = asyncHandler(async (req, res, next) => {
   try {
-    await deleteTerritoryControl(req.params.id, {
+    const territoryControl = await deleteTerritoryControl(req.params.id, {
       preventLastDeletion: req.query.preventLastDeletion !== 'false'
     });
+
+    await queueTerritoryRefresh([territoryControl.date]);
     
     res.status(200).json({
       success: true,
@@ -304,6 +340,20 @@ exports.deleteTerritoryControl = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * @desc    Recompute the territory controller of all violations from the territory control maps
+ * @route   POST /api/territory-control/refresh-violations
+ * @access  Private (Admin only)
+ */
+exports.refreshViolationTerritories = asyncHandler(async (req, res, next) => {
+  const job = await queueService.addTerritoryRefreshJob();
+
+  res.status(202).json({
+    success: true,
+    data: { jobId: job.id }
+  });
+});
+
 /**
  * @desc    Get territory control statistics
  * @route   GET /api/territory-control/stats
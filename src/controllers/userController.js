@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../utils/asyncHandler');
+const { revokeRefreshTokensForUser } = require('../commands/auth');
 
 /**
  * @desc    Get all users
@@ -57,10 +58,7 @@ exports.createUser = asyncHandler(async (req, res, next) => {
  * @access  Private (Admin only)
  */
 exports.updateUser = asyncHandler(async (req, res, next) => {
-  const user = await User.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  }).select('-password');
+  const user = await User.findById(req.params.id).select('+password');
 
   if (!user) {
     return next(
@@ -68,6 +66,30 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Sessions are managed through the auth routes only
+  const updates = { ...req.body };
+  delete updates.tokenVersion;
+  delete updates.passwordChangedAt;
+
+  const roleChanged = updates.role !== undefined && updates.role !== user.role;
+  const passwordChanged = Boolean(updates.password);
+
+  // Saved through the document so a new password is hashed
+  user.set(updates);
+
+  // A new role or password ends every session of the user
+  if (roleChanged || passwordChanged) {
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+  }
+
+  await user.save();
+
+  if (roleChanged || passwordChanged) {
+    await revokeRefreshTokensForUser(user._id, passwordChanged ? 'password_changed' : 'role_changed');
+  }
+
+  user.password = undefined;
+
   res.status(200).json({
     success: true,
     data: user
@@ -0,0 +1,162 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  // Create operations
+  createVictim,
+  // Update operations
+  updateVictim,
+  mergeVictims,
+  // Delete operations
+  deleteVictim,
+  // Query operations
+  getVictims,
+  getVictimById,
+  getVictimTimeline,
+  // Duplicate detection
+  findVictimDuplicates
+} = require('../commands/victims');
+
+// Editors and admins can see restricted victims and unpublished violations
+const isEditor = (user) => Boolean(user && ['editor', 'admin'].includes(user.role));
+
+/**
+ * @desc    Search the victim registry
+ * @route   GET /api/victims
+ * @access  Private
+ */
+exports.getVictims = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10,
+    sort: req.query.sort || 'name.en'
+  };
+
+  const result = await getVictims(req.query, paginationOptions, {
+    includeRestricted: isEditor(req.user)
+  });
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.victims
+  });
+});
+
+/**
+ * @desc    Get a victim by ID
+ * @route   GET /api/victims/:id
+ * @access  Private (restricted victims: Editors and Admins)
+ */
+exports.getVictim = asyncHandler(async (req, res, next) => {
+  const victim = await getVictimById(req.params.id, { includeRestricted: isEditor(req.user) });
+
+  if (!victim) {
+    return next(new ErrorResponse(`Victim not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: victim
+  });
+});
+
+/**
+ * @desc    Get the violations linked to a victim in chronological order
+ * @route   GET /api/victims/:id/timeline
+ * @access  Private (restricted victims: Editors and Admins)
+ */
+exports.getVictimTimeline = asyncHandler(async (req, res, next) => {
+  const result = await getVictimTimeline(req.params.id, {
+    includeRestricted: isEditor(req.user),
+    includeUnpublished: isEditor(req.user)
+  });
+
+  if (!result) {
+    return next(new ErrorResponse(`Victim not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    count: result.timeline.length,
+    data: result
+  });
+});
+
+/**
+ * @desc    Get registry records that may be the same person as a victim
+ * @route   GET /api/victims/:id/duplicates
+ * @access  Private (Editors and Admins)
+ */
+exports.getVictimDuplicates = asyncHandler(async (req, res, next) => {
+  const victim = await getVictimById(req.params.id, { includeRestricted: true });
+
+  if (!victim) {
+    return next(new ErrorResponse(`Victim not found with id of ${req.params.id}`, 404));
+  }
+
+  const duplicates = await findVictimDuplicates(victim.toObject(), { excludeId: victim._id });
+
+  res.status(200).json({
+    success: true,
+    count: duplicates.length,
+    data: duplicates
+  });
+});
+
+/**
+ * @desc    Add a victim to the registry
+ * @route   POST /api/victims
+ * @access  Private (Editors and Admins)
+ */
+exports.createVictim = asyncHandler(async (req, res, next) => {
+  const result = await createVictim(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: result.victim,
+    possibleDuplicates: result.possibleDuplicates
+  });
+});
+
+/**
+ * @desc    Update a victim
+ * @route   PUT /api/victims/:id
+ * @access  Private (Editors and Admins)
+ */
+exports.updateVictim = asyncHandler(async (req, res, next) => {
+  const victim = await updateVictim(req.params.id, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: victim
+  });
+});
+
+/**
+ * @desc    Merge a duplicate victim record into this one
+ * @route   POST /api/victims/:id/merge
+ * @access  Private (Editors and Admins)
+ */
+exports.mergeVictims = asyncHandler(async (req, res, next) => {
+  const result = await mergeVictims(req.params.id, req.body.sourceId, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Delete a victim that is not linked to any violation
+ * @route   DELETE /api/victims/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteVictim = asyncHandler(async (req, res, next) => {
+  await deleteVictim(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -1,5 +1,10 @@
+const fs = require('fs');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../config/logger');
+const config = require('../config/config');
+const queueService = require('../services/queueService');
+const { parseBBox } = require('../utils/tiles');
 const {
   // Create operations
   createSingleViolation,
@@ -8,16 +13,62 @@ const {
   updateViolation,
   // Delete operations
   deleteViolation,
+  restoreViolation,
   // Query operations
   getViolations,
   getViolationsInRadius,
   getViolationById,
+  resolveMergedViolationId,
+  getDeletedViolations,
+  // Search operations
+  searchViolations,
+  // Map operations
+  getViolationMap,
+  getViolationTile,
+  // Spatial operations
+  getViolationsInArea,
   // Stats operations
   getViolationStats,
   getViolationsByType,
   getViolationsByLocation,
   getViolationsByYear,
-  getViolationsTotal
+  getViolationsTotal,
+  // Review operations
+  getReviewQueue,
+  submitForReview,
+  approveViolation,
+  rejectViolation,
+  // History operations
+  getViolationHistory,
+  revertViolation,
+  // Merge operations
+  mergeViolationRecords,
+  unmergeViolation,
+  // Duplicate candidate operations
+  getDuplicateCandidates,
+  getDuplicateCandidateById,
+  scanForDuplicates,
+  confirmDuplicateCandidate,
+  dismissDuplicateCandidate,
+  // Geocoding review operations
+  getGeocodingReviewQueue,
+  resolveGeocodingReview,
+  // Export operations
+  EXPORT_CONTENT_TYPES,
+  buildExportFileName,
+  countViolationsForExport,
+  exportViolations,
+  createExportJob,
+  getExportJob,
+  // Import operations
+  previewImport,
+  createImportJob,
+  getImportJob,
+  getImportProfiles,
+  getImportProfileById,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile
 } = require('../commands/violations');
 
 /**
@@ -42,6 +93,27 @@ exports.getViolations = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Full-text search of violations in English and Arabic, ranked by relevance
+ * @route   GET /api/violations/search
+ * @access  Public
+ */
+exports.searchViolations = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10
+  };
+
+  const result = await searchViolations(req.query, paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.violations
+  });
+});
+
 /**
  * @desc    Get violations within a specified radius
  * @route   GET /api/violations/radius/:latitude/:longitude/:radius
@@ -59,6 +131,68 @@ exports.getViolationsInRadius = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get violations inside a polygon, along a route corridor, or inside a territory
+ * @route   POST /api/violations/spatial
+ * @access  Public
+ */
+exports.getViolationsInArea = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10,
+    sort: req.query.sort || '-date'
+  };
+
+  const result = await getViolationsInArea(req.body, req.query, paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    area: result.area,
+    data: result.violations
+  });
+});
+
+/**
+ * @desc    Get violations for a map view, clustered below the cluster zoom limit
+ * @route   GET /api/violations/map
+ * @access  Public
+ */
+exports.getViolationMap = asyncHandler(async (req, res, next) => {
+  const map = await getViolationMap(req.query, {
+    bbox: parseBBox(req.query.bbox),
+    zoom: parseInt(req.query.zoom, 10)
+  });
+
+  res.status(200).json({
+    success: true,
+    count: map.features.features.length,
+    zoom: map.zoom,
+    bbox: map.bbox,
+    clustered: map.clustered,
+    truncated: map.truncated,
+    data: map.features
+  });
+});
+
+/**
+ * @desc    Get a Mapbox Vector Tile of violations
+ * @route   GET /api/violations/tiles/:z/:x/:y.mvt
+ * @access  Public
+ */
+exports.getViolationTile = asyncHandler(async (req, res, next) => {
+  const tile = await getViolationTile(req.query, {
+    z: parseInt(req.params.z, 10),
+    x: parseInt(req.params.x, 10),
+    y: parseInt(req.params.y, 10)
+  });
+
+  res.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).send(tile);
+});
+
 /**
  * @desc    Get violation by ID
  * @route   GET /api/violations/:id
@@ -68,6 +202,20 @@ exports.getViolation = asyncHandler(async (req, res, next) => {
   const violation = await getViolationById(req.params.id);
 
   if (!violation) {
+    // Merged violations redirect to the record they were merged into. The redirect is
+    // temporary because a merge can be undone.
+    const survivorId = await resolveMergedViolationId(req.params.id);
+
+    if (survivorId) {
+      return res
+        .status(302)
+        .location(`${req.baseUrl}/${survivorId}`)
+        .json({
+          success: true,
+          mergedInto: survivorId
+        });
+    }
+
     return next(
       new ErrorResponse(`Violation not found with id of ${req.params.id}`, 404)
     );
@@ -86,7 +234,11 @@ exports.getViolation = asyncHandler(async (req, res, next) => {
  */
 exports.createViolation = asyncHandler(async (req, res, next) => {
   try {
-    const result = await createSingleViolation(req.body, req.user.id);
+    // Likely duplicates are kept as candidates for an editor instead of being merged
+    const result = await createSingleViolation(req.body, req.user.id, {
+      mergeDuplicates: false,
+      recordCandidates: true
+    });
     
     // Build response object
     const response = {
@@ -103,10 +255,14 @@ exports.createViolation = asyncHandler(async (req, res, next) => {
       };
     } else {
       response.merged = false;
+      response.duplicateCandidates = result.duplicateCandidates || [];
     }
     
     res.status(201).json(response);
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
     return next(new ErrorResponse(error.message, 400));
   }
 });
@@ -118,7 +274,8 @@ exports.createViolation = asyncHandler(async (req, res, next) => {
  */
 exports.updateViolation = asyncHandler(async (req, res, next) => {
   try {
-    const violation = await updateViolation(req.params.id, req.body, req.user.id);
+    const { reason, ...updateData } = req.body;
+    const violation = await updateViolation(req.params.id, updateData, req.user.id, { reason });
     
     res.status(200).json({
       success: true,
@@ -139,7 +296,8 @@ exports.updateViolation = asyncHandler(async (req, res, next) => {
  */
 exports.deleteViolation = asyncHandler(async (req, res, next) => {
   try {
-    await deleteViolation(req.params.id);
+    const reason = (req.body && req.body.reason) || req.query.reason;
+    await deleteViolation(req.params.id, req.user.id, { reason });
     
     res.status(200).json({
       success: true,
@@ -154,12 +312,674 @@ exports.deleteViolation = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Get violation statistics
+ * @desc    Get soft deleted violations (trash)
+ * @route   GET /api/violations/trash
+ * @access  Private (Admin only)
+ */
+exports.getDeletedViolations = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10,
+    sort: req.query.sort || '-deleted_at'
+  };
+
+  const result = await getDeletedViolations(paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.violations
+  });
+});
+
+/**
+ * @desc    Restore a soft deleted violation
+ * @route   POST /api/violations/:id/restore
+ * @access  Private (Admin only)
+ */
+exports.restoreViolation = asyncHandler(async (req, res, next) => {
+  try {
+    const violation = await restoreViolation(req.params.id, req.user.id, {
+      reason: req.body && req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      data: violation
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+    return next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Get violations awaiting editorial review
+ * @route   GET /api/violations/review
+ * @access  Private (Editors and Admins)
+ */
+exports.getReviewQueue = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10,
+    sort: req.query.sort || 'createdAt'
+  };
+
+  const result = await getReviewQueue(req.query, paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.violations
+  });
+});
+
+/**
+ * @desc    Submit a draft or rejected violation for review
+ * @route   POST /api/violations/:id/submit
+ * @access  Private (Editors and Admins)
+ */
+exports.submitForReview = asyncHandler(async (req, res, next) => {
+  try {
+    const violation = await submitForReview(req.params.id, req.user.id, {
+      notes: req.body && req.body.notes
+    });
+
+    res.status(200).json({
+      success: true,
+      data: violation
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+    return next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Approve a violation for publication, optionally applying edits first
+ * @route   POST /api/violations/:id/approve
+ * @access  Private (Editors and Admins)
+ */
+exports.approveViolation = asyncHandler(async (req, res, next) => {
+  try {
+    const { notes, updates } = req.body || {};
+    const violation = await approveViolation(req.params.id, req.user.id, { notes, updates });
+
+    res.status(200).json({
+      success: true,
+      data: violation
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+    return next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Reject a violation in review
+ * @route   POST /api/violations/:id/reject
+ * @access  Private (Editors and Admins)
+ */
+exports.rejectViolation = asyncHandler(async (req, res, next) => {
+  try {
+    const violation = await rejectViolation(req.params.id, req.user.id, {
+      notes: req.body && req.body.notes
+    });
+
+    res.status(200).json({
+      success: true,
+      data: violation
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+    return next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Get revision history of a violation
+ * @route   GET /api/violations/:id/history
+ * @access  Private (Editors and Admins)
+ */
+exports.getViolationHistory = asyncHandler(async (req, res, next) => {
+  const result = await getViolationHistory(req.params.id, {
+    page: req.query.page,
+    limit: req.query.limit
+  });
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.revisions
+  });
+});
+
+/**
+ * @desc    Revert a violation to a previous revision
+ * @route   POST /api/violations/:id/revert/:revisionId
+ * @access  Private (Editors and Admins)
+ */
+exports.revertViolation = asyncHandler(async (req, res, next) => {
+  try {
+    const violation = await revertViolation(
+      req.params.id,
+      req.params.revisionId,
+      req.user.id,
+      { reason: req.body && req.body.reason }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: violation
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+    return next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Merge a source violation into this violation
+ * @route   POST /api/violations/:id/merge
+ * @access  Private (Editors and Admins)
+ */
+exports.mergeViolation = asyncHandler(async (req, res, next) => {
+  try {
+    const { sourceId, fieldChoices, reason } = req.body;
+
+    const result = await mergeViolationRecords(req.params.id, sourceId, req.user.id, {
+      fieldChoices,
+      reason
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+    return next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Split a merged violation back out of the record it was merged into
+ * @route   POST /api/violations/:id/unmerge
+ * @access  Private (Editors and Admins)
+ */
+exports.unmergeViolation = asyncHandler(async (req, res, next) => {
+  try {
+    const result = await unmergeViolation(req.params.id, req.user.id, {
+      reason: req.body && req.body.reason,
+      force: Boolean(req.body && req.body.force)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+    return next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Get duplicate candidates awaiting a decision
+ * @route   GET /api/violations/duplicates
+ * @access  Private (Editors and Admins)
+ */
+exports.getDuplicateCandidates = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10
+  };
+
+  const result = await getDuplicateCandidates(req.query, paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.candidates
+  });
+});
+
+/**
+ * @desc    Get a duplicate candidate with both violations
+ * @route   GET /api/violations/duplicates/:candidateId
+ * @access  Private (Editors and Admins)
+ */
+exports.getDuplicateCandidate = asyncHandler(async (req, res, next) => {
+  const candidate = await getDuplicateCandidateById(req.params.candidateId);
+
+  if (!candidate) {
+    return next(
+      new ErrorResponse(`Duplicate candidate not found with id of ${req.params.candidateId}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: candidate
+  });
+});
+
+/**
+ * @desc    Check an existing violation for duplicates and record candidates
+ * @route   POST /api/violations/:id/duplicates/scan
+ * @access  Private (Editors and Admins)
+ */
+exports.scanForDuplicates = asyncHandler(async (req, res, next) => {
+  try {
+    const candidates = await scanForDuplicates(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: candidates.length,
+      data: candidates
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+    return next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Confirm a duplicate candidate and merge the pair
+ * @route   POST /api/violations/duplicates/:candidateId/confirm
+ * @access  Private (Editors and Admins)
+ */
+exports.confirmDuplicateCandidate = asyncHandler(async (req, res, next) => {
+  try {
+    const result = await confirmDuplicateCandidate(req.params.candidateId, req.user.id, {
+      notes: req.body && req.body.notes,
+      fieldChoices: req.body && req.body.fieldChoices
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+    return next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Dismiss a duplicate candidate so the pair is not suggested again
+ * @route   POST /api/violations/duplicates/:candidateId/dismiss
+ * @access  Private (Editors and Admins)
+ */
+exports.dismissDuplicateCandidate = asyncHandler(async (req, res, next) => {
+  try {
+    const candidate = await dismissDuplicateCandidate(req.params.candidateId, req.user.id, {
+      notes: req.body && req.body.notes
+    });
+
+    res.status(200).json({
+      success: true,
+      data: candidate
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+    return next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Get violations geocoded with low quality or not at all, with candidate points
+ * @route   GET /api/violations/geocoding-review
+ * @access  Private (Editors and Admins)
+ */
+exports.getGeocodingReviewQueue = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10
+  };
+
+  const result = await getGeocodingReviewQueue(req.query, paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.violations
+  });
+});
+
+/**
+ * @desc    Pick a candidate or drop a pin for a flagged geocode
+ * @route   POST /api/violations/:id/geocoding-review
+ * @access  Private (Editors and Admins)
+ */
+exports.resolveGeocodingReview = asyncHandler(async (req, res, next) => {
+  try {
+    const violation = await resolveGeocodingReview(
+      req.params.id,
+      { candidate: req.body.candidate, coordinates: req.body.coordinates },
+      req.user.id,
+      { notes: req.body.notes }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: violation
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+    return next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Export filtered violations as CSV, GeoJSON or XLSX. Small exports are
+ *          streamed directly, large ones (or ?async=true) run as a background job.
+ * @route   GET /api/violations/export
+ * @access  Private
+ */
+exports.exportViolations = asyncHandler(async (req, res, next) => {
+  const format = req.query.format || 'csv';
+  const totalViolations = await countViolationsForExport(req.query);
+
+  if (req.query.async === 'true' || totalViolations > config.exportSyncLimit) {
+    const job = await createExportJob(format, req.query, req.user.id, totalViolations);
+
+    await queueService.addExportJob(job._id.toString());
+
+    logger.info(`Violation export job created: ${job._id} (${totalViolations} violations)`);
+
+    return res
+      .status(202)
+      .location(`${req.baseUrl}/export/${job._id}`)
+      .json({
+        success: true,
+        data: {
+          jobId: job._id,
+          format: job.format,
+          status: job.status,
+          totalViolations
+        }
+      });
+  }
+
+  res.status(200);
+  res.type(EXPORT_CONTENT_TYPES[format]);
+  res.attachment(buildExportFileName(format));
+
+  try {
+    await exportViolations(format, req.query, res);
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+
+    // The response is already partially written, so the client can only be told by closing it
+    logger.error(`Violation export failed while streaming: ${error.message}`);
+    res.destroy(error);
+  }
+});
+
+/**
+ * Load an export job the current user is allowed to see
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Export job
+ */
+const findAccessibleExportJob = async (req) => {
+  const job = await getExportJob(req.params.jobId);
+
+  if (!job) {
+    throw new ErrorResponse(`Export job with ID ${req.params.jobId} not found`, 404);
+  }
+
+  // Only admins or the user who requested the export can access it
+  if (req.user.role !== 'admin' && String(job.requestedBy?._id || job.requestedBy) !== String(req.user.id)) {
+    throw new ErrorResponse('Not authorized to access this export', 403);
+  }
+
+  return job;
+};
+
+/**
+ * @desc    Get the status of a background export job
+ * @route   GET /api/violations/export/:jobId
+ * @access  Private (requester or Admin)
+ */
+exports.getExportJob = asyncHandler(async (req, res, next) => {
+  const job = await findAccessibleExportJob(req);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: job._id,
+      format: job.format,
+      filters: job.filters,
+      status: job.status,
+      progress: job.progress,
+      totalViolations: job.totalViolations,
+      exportedViolations: job.exportedViolations,
+      exportedRows: job.exportedRows,
+      fileName: job.fileName,
+      error: job.error,
+      requestedBy: job.requestedBy?.name,
+      requestedAt: job.createdAt,
+      completedAt: job.completedAt
+    }
+  });
+});
+
+/**
+ * @desc    Download the file produced by a background export job
+ * @route   GET /api/violations/export/:jobId/download
+ * @access  Private (requester or Admin)
+ */
+exports.downloadExport = asyncHandler(async (req, res, next) => {
+  const job = await findAccessibleExportJob(req);
+
+  if (job.status !== 'completed') {
+    return next(new ErrorResponse(`Export job ${job._id} is not ready for download (status: ${job.status})`, 409));
+  }
+
+  if (!job.filePath || !fs.existsSync(job.filePath)) {
+    return next(new ErrorResponse(`Export file for job ${job._id} is no longer available`, 410));
+  }
+
+  res.type(EXPORT_CONTENT_TYPES[job.format]);
+  res.download(job.filePath, job.fileName);
+});
+
+/**
+ * @desc    Dry run a CSV/XLSX import and report on every row without saving anything
+ * @route   POST /api/violations/import/preview
+ * @access  Private (Editors and Admins)
+ */
+exports.previewImport = asyncHandler(async (req, res, next) => {
+  const report = await previewImport(req.file.buffer, req.file.originalname, req.body.profileId, {
+    checkDuplicates: req.body.checkDuplicates !== 'false'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
+
+/**
+ * @desc    Import violations from a CSV/XLSX file as a background job
+ * @route   POST /api/violations/import
+ * @access  Private (Editors and Admins)
+ */
+exports.importViolations = asyncHandler(async (req, res, next) => {
+  const job = await createImportJob(req.file.buffer, req.file.originalname, req.body.profileId, req.user.id, {
+    duplicateHandling: req.body.duplicateHandling,
+    reviewStatus: req.body.reviewStatus
+  });
+
+  await queueService.addImportJob(job._id.toString());
+
+  res
+    .status(202)
+    .location(`${req.baseUrl}/import/${job._id}`)
+    .json({
+      success: true,
+      data: {
+        jobId: job._id,
+        status: job.status,
+        totalRows: job.results.totalRows,
+        totalRecords: job.results.totalRecords
+      }
+    });
+});
+
+/**
+ * @desc    Get the status and results of a violation import job
+ * @route   GET /api/violations/import/:jobId
+ * @access  Private (requester or Admin)
+ */
+exports.getImportJob = asyncHandler(async (req, res, next) => {
+  const job = await getImportJob(req.params.jobId);
+
+  if (!job) {
+    return next(new ErrorResponse(`Import job with ID ${req.params.jobId} not found`, 404));
+  }
+
+  // Only admins or the user who started the import can access it
+  if (req.user.role !== 'admin' && String(job.requestedBy?._id || job.requestedBy) !== String(req.user.id)) {
+    return next(new ErrorResponse('Not authorized to access this import', 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: job._id,
+      profile: job.profile?.name,
+      fileName: job.fileName,
+      options: job.options,
+      status: job.status,
+      progress: job.progress,
+      results: job.results,
+      error: job.error,
+      requestedBy: job.requestedBy?.name,
+      requestedAt: job.createdAt,
+      completedAt: job.completedAt
+    }
+  });
+});
+
+/**
+ * @desc    Get import column-mapping profiles
+ * @route   GET /api/violations/import/profiles
+ * @access  Private (Editors and Admins)
+ */
+exports.getImportProfiles = asyncHandler(async (req, res, next) => {
+  const paginationOptions = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 20
+  };
+
+  const result = await getImportProfiles(paginationOptions);
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    pagination: result.pagination,
+    data: result.profiles
+  });
+});
+
+/**
+ * @desc    Get an import column-mapping profile
+ * @route   GET /api/violations/import/profiles/:profileId
+ * @access  Private (Editors and Admins)
+ */
+exports.getImportProfile = asyncHandler(async (req, res, next) => {
+  const profile = await getImportProfileById(req.params.profileId);
+
+  res.status(200).json({
+    success: true,
+    data: profile
+  });
+});
+
+/**
+ * @desc    Create an import column-mapping profile
+ * @route   POST /api/violations/import/profiles
+ * @access  Private (Editors and Admins)
+ */
+exports.createImportProfile = asyncHandler(async (req, res, next) => {
+  const profile = await createImportProfile(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: profile
+  });
+});
+
+/**
+ * @desc    Update an import column-mapping profile
+ * @route   PUT /api/violations/import/profiles/:profileId
+ * @access  Private (Editors and Admins)
+ */
+exports.updateImportProfile = asyncHandler(async (req, res, next) => {
+  const profile = await updateImportProfile(req.params.profileId, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: profile
+  });
+});
+
+/**
+ * @desc    Delete an import column-mapping profile
+ * @route   DELETE /api/violations/import/profiles/:profileId
+ * @access  Private (Admin only)
+ */
+exports.deleteImportProfile = asyncHandler(async (req, res, next) => {
+  await deleteImportProfile(req.params.profileId);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+/**
+ * @desc    Get violation statistics, filtered like the violation list and
+ *          grouped by type, affiliation, governorate, district, certainty and/or controller over time
  * @route   GET /api/violations/stats
  * @access  Public
  */
 exports.getViolationStats = asyncHandler(async (req, res, next) => {
-  const stats = await getViolationStats();
+  const stats = await getViolationStats(req.query, {
+    groupBy: req.query.groupBy ? req.query.groupBy.split(',').map(dimension => dimension.trim()) : [],
+    interval: req.query.interval
+  });
 
   res.status(200).json({
     success: true,
@@ -182,7 +1002,7 @@ exports.getViolationsByType = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Get violations by location
+ * @desc    Get violations by governorate
  * @route   GET /api/violations/stats/location
  * @access  Private (Admin)
  */
@@ -230,7 +1050,11 @@ exports.getViolationsTotal = asyncHandler(async (req, res, next) => {
  */
 exports.createViolationsBatch = asyncHandler(async (req, res, next) => {
   try {
-    const result = await createBatchViolations(req.body, req.user.id);
+    const result = await createBatchViolations(req.body, req.user.id, {
+      mergeDuplicates: false,
+      recordCandidates: true
+    });
+    const duplicateCandidates = result.duplicateCandidates || [];
     
     res.status(201).json({
       success: true,
@@ -240,9 +1064,11 @@ exports.createViolationsBatch = asyncHandler(async (req, res, next) => {
         total: result.violations.length,
         created: result.created.length,
         merged: result.merged.length,
+        duplicateCandidates: duplicateCandidates.length,
         errors: result.errors ? result.errors.length : 0
       },
       mergedInfo: result.merged,
+      duplicateCandidates,
       errors: result.errors
     });
   } catch (error) {
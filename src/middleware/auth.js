@@ -3,9 +3,10 @@ const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const User = require('../models/User');
 const config = require('../config/config');
+const { isAccessTokenRevoked } = require('../commands/auth');
 
-// Protect routes
-exports.protect = asyncHandler(async (req, res, next) => {
+// Get the access token of a request, from the Authorization header or the cookie
+const getAccessToken = (req) => {
   let token;
 
   // Check if authorization header exists and starts with Bearer
@@ -21,6 +22,15 @@ exports.protect = asyncHandler(async (req, res, next) => {
     token = req.cookies.token;
   }
 
+  return token;
+};
+
+exports.getAccessToken = getAccessToken;
+
+// Protect routes
+exports.protect = asyncHandler(async (req, res, next) => {
+  const token = getAccessToken(req);
+
   // Make sure token exists
   if (!token) {
     return next(new ErrorResponse('Not authorized to access this route', 401));
@@ -30,6 +40,11 @@ exports.protect = asyncHandler(async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, config.jwtSecret);
 
+    // Refuse tokens without an ID (issued before tokens could be revoked) and revoked ones
+    if (!decoded.jti || await isAccessTokenRevoked(decoded.jti)) {
+      return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
+
     // Add user to request object
     req.user = await User.findById(decoded.id);
 
@@ -37,6 +52,13 @@ exports.protect = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse('User not found', 404));
     }
 
+    // All sessions of the user were ended (log out everywhere, role or password change)
+    if ((decoded.ver || 0) !== (req.user.tokenVersion || 0)) {
+      return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
+
+    req.token = decoded;
+
     next();
   } catch (err) {
     return next(new ErrorResponse('Not authorized to access this route', 401));
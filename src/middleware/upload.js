@@ -0,0 +1,50 @@
+const path = require('path');
+const multer = require('multer');
+const config = require('../config/config');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Spreadsheet uploads are kept in memory; the import job writes them to disk when queued
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.importMaxFileSizeMb * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (!['.csv', '.xlsx'].includes(extension)) {
+      return cb(new ErrorResponse('Import file must be a .csv or .xlsx file', 400));
+    }
+
+    cb(null, true);
+  }
+}).single('file');
+
+/**
+ * Accept a single spreadsheet upload in the "file" field and require it to be present
+ */
+const importFileUpload = (req, res, next) => {
+  importUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Import file cannot be larger than ${config.importMaxFileSizeMb} MB`
+        : err.message;
+      return next(new ErrorResponse(message, 400));
+    }
+
+    if (err) {
+      return next(err);
+    }
+
+    if (!req.file) {
+      return next(new ErrorResponse('Please upload a CSV or XLSX file in the "file" field', 400));
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  importFileUpload
+};
@@ -1,5 +1,15 @@
 const { body, param, query, validationResult } = require('express-validator');
 const ErrorResponse = require('../utils/errorResponse');
+const { ImportFields } = require('../models/ImportMappingProfile');
+const { PERPETRATOR_AFFILIATIONS, TERRITORY_CONTROLLERS } = require('../config/perpetratorCatalogue');
+const { PERPETRATOR_KINDS } = require('../models/Perpetrator');
+const Victim = require('../models/Victim');
+const { CHANNEL_PRIORITIES, CHANNEL_LANGUAGES, CHANNEL_URL_PATTERN, isValidPattern } = require('../models/Channel');
+const { KEYWORD_CATEGORIES, isViolationType } = require('../models/KeywordSet');
+const { FILTER_REASONS } = require('../utils/messageFilter');
+const { ADMIN_LEVELS, ADMIN_CODE_PATTERN } = require('../config/adminBoundaries');
+const { MAX_ZOOM, isValidTile, parseBBox } = require('../utils/tiles');
+const { isValidPolygonGeometry, isValidLineString } = require('../utils/geometry');
 
 // Validate request based on schema
 const validateRequest = (req, res, next) => {
@@ -48,6 +58,14 @@ const userLoginRules = [
     .withMessage('Password is required')
 ];
 
+// Refresh token, sent in the body by clients that do not keep cookies
+const refreshTokenRules = [
+  body('refreshToken')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string')
+];
+
 // Violation creation/update validation rules - simplified to basic input validation only
 const violationRules = [
   body('type')
@@ -78,128 +96,1070 @@ const violationRules = [
   body('verified')
     .optional()
     .isBoolean()
-    .withMessage('Verified must be a boolean value'),
-  
-  body('certainty_level')
+    .withMessage('Verified must be a boolean value'),
+  
+  body('certainty_level')
+    .optional()
+    .isIn(['confirmed', 'probable', 'possible'])
+    .withMessage('Certainty level must be one of: confirmed, probable, possible'),
+  
+  body('casualties')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Casualties must be a non-negative integer'),
+  
+  body('victims')
+    .optional()
+    .isArray()
+    .withMessage('Victims must be an array'),
+
+  body('victims.*.victim')
+    .optional()
+    .isMongoId()
+    .withMessage('Victim reference must be a valid ID'),
+
+  body('perpetrator_affiliation')
+    .optional()
+    .isIn(PERPETRATOR_AFFILIATIONS)
+    .withMessage('Invalid perpetrator affiliation'),
+
+  body('perpetrator_entity')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Perpetrator reference must be a valid ID'),
+  
+  body('media_links')
+    .optional()
+    .isArray()
+    .withMessage('Media links must be an array'),
+  
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  
+  body('related_violations')
+    .optional()
+    .isArray()
+    .withMessage('Related violations must be an array'),
+  
+  body('kidnapped_count')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Kidnapped count must be a non-negative integer'),
+  
+  body('detained_count')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Detained count must be a non-negative integer'),
+  
+  body('injured_count')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Injured count must be a non-negative integer'),
+];
+
+// Batch violations validation - simplified
+const batchViolationsRules = [
+  body()
+    .isArray()
+    .withMessage('Request body must be an array of violations')
+    .notEmpty()
+    .withMessage('At least one violation must be provided'),
+  body('*.type')
+    .notEmpty()
+    .withMessage('Violation type is required'),
+  body('*.date')
+    .notEmpty()
+    .withMessage('Incident date is required')
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date (YYYY-MM-DD)'),
+  body('*.reported_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Reported date must be a valid ISO date (YYYY-MM-DD)'),
+  body('*.location')
+    .notEmpty()
+    .withMessage('Location is required')
+    .isObject()
+    .withMessage('Location must be an object'),
+  body('*.description')
+    .notEmpty()
+    .withMessage('Description is required'),
+  body('*.verified')
+    .optional()
+    .isBoolean()
+    .withMessage('Verified must be a boolean value'),
+  body('*.certainty_level')
+    .optional()
+    .isIn(['confirmed', 'probable', 'possible'])
+    .withMessage('Certainty level must be one of: confirmed, probable, possible'),
+  body('*.casualties')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Casualties must be a non-negative integer'),
+  body('*.victims')
+    .optional()
+    .isArray()
+    .withMessage('Victims must be an array'),
+  body('*.victims.*.victim')
+    .optional()
+    .isMongoId()
+    .withMessage('Victim reference must be a valid ID'),
+  body('*.perpetrator_affiliation')
+    .optional()
+    .isIn(PERPETRATOR_AFFILIATIONS)
+    .withMessage('Invalid perpetrator affiliation'),
+  body('*.perpetrator_entity')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Perpetrator reference must be a valid ID'),
+  body('*.media_links')
+    .optional()
+    .isArray()
+    .withMessage('Media links must be an array'),
+  body('*.tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('*.related_violations')
+    .optional()
+    .isArray()
+    .withMessage('Related violations must be an array'),
+  body('*.kidnapped_count')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Kidnapped count must be a non-negative integer'),
+  body('*.detained_count')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Detained count must be a non-negative integer'),
+  body('*.injured_count')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Injured count must be a non-negative integer'),
+];
+
+// Validation for ID parameter
+const idParamRules = [
+  param('id')
+    .notEmpty()
+    .withMessage('ID is required')
+];
+
+// Validation for revision route parameters
+const revisionParamRules = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid violation ID'),
+
+  param('revisionId')
+    .isMongoId()
+    .withMessage('Invalid revision ID')
+];
+
+// Validation for the optional reason attached to revision-tracked changes
+const revisionReasonRules = [
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot be more than 1000 characters')
+];
+
+// Validation for review queue filters
+const reviewQueueRules = [
+  query('status')
+    .optional()
+    .isIn(['draft', 'pending_review', 'published', 'rejected'])
+    .withMessage('Invalid review status'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Validation for review actions (submit, approve, reject)
+const reviewActionRules = [
+  body('notes')
+    .optional()
+    .isString()
+    .withMessage('Review notes must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('Review notes cannot be more than 1000 characters'),
+
+  body('updates')
+    .optional()
+    .isObject()
+    .withMessage('Updates must be an object')
+];
+
+// Validation for merging a source violation into a target
+const mergeViolationRules = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid violation ID'),
+
+  body('sourceId')
+    .isMongoId()
+    .withMessage('A valid source violation ID is required'),
+
+  body('fieldChoices')
+    .optional()
+    .isObject()
+    .withMessage('Field choices must be an object'),
+
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot be more than 1000 characters')
+];
+
+// Validation for splitting a merged violation back out
+const unmergeViolationRules = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid violation ID'),
+
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('Force must be a boolean')
+];
+
+// Validation for duplicate candidate listing filters
+const duplicateCandidateQueryRules = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'confirmed', 'dismissed'])
+    .withMessage('Invalid duplicate candidate status'),
+
+  query('violation')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid violation ID'),
+
+  query('minSimilarity')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Minimum similarity must be between 0 and 1'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Validation for confirming or dismissing a duplicate candidate
+const duplicateCandidateRules = [
+  param('candidateId')
+    .isMongoId()
+    .withMessage('Invalid duplicate candidate ID'),
+
+  body('notes')
+    .optional()
+    .isString()
+    .withMessage('Review notes must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('Review notes cannot be more than 1000 characters'),
+
+  body('fieldChoices')
+    .optional()
+    .isObject()
+    .withMessage('Field choices must be an object')
+];
+
+// Validation for geocoding review queue filters
+const geocodingReviewQueueRules = [
+  query('status')
+    .optional()
+    .isIn(['low_quality', 'failed'])
+    .withMessage('Geocoding status must be one of: low_quality, failed'),
+
+  query('source')
+    .optional()
+    .isString()
+    .withMessage('Source must be a string'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Validation for resolving a flagged geocode (pick a candidate or drop a pin)
+const geocodingReviewRules = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid violation ID'),
+
+  body('candidate')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Candidate must be the index of a geocoding candidate'),
+
+  body('coordinates')
+    .optional()
+    .custom(value => Array.isArray(value)
+      && value.length === 2
+      && value.every(coordinate => typeof coordinate === 'number' && Number.isFinite(coordinate)))
+    .withMessage('Coordinates must be [longitude, latitude]'),
+
+  body()
+    .custom(value => value && (value.candidate !== undefined || value.coordinates !== undefined))
+    .withMessage('Either a candidate or coordinates are required'),
+
+  body('notes')
+    .optional()
+    .isString()
+    .withMessage('Review notes must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('Review notes cannot be more than 1000 characters')
+];
+
+// Validation for violation export options (filters are validated by violationFilterRules)
+const exportRules = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'geojson', 'xlsx'])
+    .withMessage('Export format must be one of: csv, geojson, xlsx'),
+
+  query('async')
+    .optional()
+    .isBoolean()
+    .withMessage('Async must be a boolean value')
+];
+
+// Validation for export job lookups
+const exportJobRules = [
+  param('jobId')
+    .isMongoId()
+    .withMessage('Invalid export job ID')
+];
+
+// Validation for spreadsheet import uploads (multipart form fields)
+const importRules = [
+  body('profileId')
+    .isMongoId()
+    .withMessage('A valid import profile ID is required'),
+
+  body('duplicateHandling')
+    .optional()
+    .isIn(['candidate', 'merge', 'skip'])
+    .withMessage('Duplicate handling must be one of: candidate, merge, skip'),
+
+  body('reviewStatus')
+    .optional()
+    .isIn(['draft', 'pending_review', 'published'])
+    .withMessage('Review status must be one of: draft, pending_review, published'),
+
+  body('checkDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('Check duplicates must be a boolean')
+];
+
+// Validation for import job lookups
+const importJobRules = [
+  param('jobId')
+    .isMongoId()
+    .withMessage('Invalid import job ID')
+];
+
+// Validation for import mapping profile lookups
+const importProfileIdRules = [
+  param('profileId')
+    .isMongoId()
+    .withMessage('Invalid import profile ID')
+];
+
+// Import mapping profile fields shared by create and update
+const importProfileFieldRules = [
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('Description must be a string')
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+
+  body('mappings.*.column')
+    .isString()
+    .withMessage('Mapped column must be a string')
+    .notEmpty()
+    .withMessage('Mapped column is required'),
+
+  body('mappings.*.field')
+    .isIn(ImportFields)
+    .withMessage('Unsupported import field'),
+
+  body('group_by_column')
+    .optional()
+    .isString()
+    .withMessage('Group by column must be a string'),
+
+  body('list_separator')
+    .optional()
+    .isString()
+    .withMessage('List separator must be a string')
+    .isLength({ min: 1, max: 5 })
+    .withMessage('List separator must be between 1 and 5 characters'),
+
+  body('defaults')
+    .optional()
+    .isObject()
+    .withMessage('Defaults must be an object')
+];
+
+// Import mapping profile creation rules
+const importProfileRules = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Profile name is required')
+    .isLength({ max: 100 })
+    .withMessage('Profile name cannot be more than 100 characters'),
+
+  body('mappings')
+    .isArray({ min: 1 })
+    .withMessage('At least one column mapping is required'),
+
+  ...importProfileFieldRules
+];
+
+// Import mapping profile update rules
+const importProfileUpdateRules = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Profile name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Profile name cannot be more than 100 characters'),
+
+  body('mappings')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one column mapping is required'),
+
+  ...importProfileFieldRules
+];
+
+// Victim fields shared by create and update
+const victimFieldRules = [
+  body('name.en')
+    .optional()
+    .isString()
+    .withMessage('English name must be a string')
+    .isLength({ max: 200 })
+    .withMessage('English name cannot be more than 200 characters'),
+
+  body('name.ar')
+    .optional()
+    .isString()
+    .withMessage('Arabic name must be a string')
+    .isLength({ max: 200 })
+    .withMessage('Arabic name cannot be more than 200 characters'),
+
+  body('aliases')
+    .optional()
+    .isArray()
+    .withMessage('Aliases must be an array'),
+
+  body('birth_year')
+    .optional({ nullable: true })
+    .isInt({ min: 1900, max: new Date().getFullYear() })
+    .withMessage('Birth year must be a year between 1900 and the current year'),
+
+  body('gender')
+    .optional()
+    .isIn(['male', 'female', 'other', 'unknown'])
+    .withMessage('Gender must be one of: male, female, other, unknown'),
+
+  body('hometown')
+    .optional()
+    .isObject()
+    .withMessage('Hometown must be an object with en and ar names'),
+
+  body('restricted')
+    .optional()
+    .isBoolean()
+    .withMessage('Restricted must be a boolean'),
+
+  body('notes')
+    .optional()
+    .isString()
+    .withMessage('Notes must be a string')
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot be more than 2000 characters')
+];
+
+// Victim creation rules
+const victimRules = [
+  body('name')
+    .isObject()
+    .withMessage('Victim name is required')
+    .custom(name => Boolean((name.en && name.en.trim()) || (name.ar && name.ar.trim())))
+    .withMessage('Victim name is required in English or Arabic'),
+
+  ...victimFieldRules
+];
+
+// Victim update rules
+const victimUpdateRules = [
+  body('name')
+    .optional()
+    .isObject()
+    .withMessage('Victim name must be an object')
+    .custom(name => Boolean((name.en && name.en.trim()) || (name.ar && name.ar.trim())))
+    .withMessage('Victim name is required in English or Arabic'),
+
+  ...victimFieldRules
+];
+
+// Victim registry search rules
+const victimFilterRules = [
+  query('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be a string'),
+
+  query('birth_year')
+    .optional()
+    .isInt({ min: 1900 })
+    .withMessage('Birth year must be a valid year'),
+
+  query('gender')
+    .optional()
+    .isIn(['male', 'female', 'other', 'unknown'])
+    .withMessage('Gender must be one of: male, female, other, unknown'),
+
+  query('hometown')
+    .optional()
+    .isString()
+    .withMessage('Hometown must be a string'),
+
+  query('restricted')
+    .optional()
+    .isBoolean()
+    .withMessage('Restricted must be a boolean')
+];
+
+// Victim merge rules
+const victimMergeRules = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid victim ID'),
+
+  body('sourceId')
+    .isMongoId()
+    .withMessage('A valid source victim ID is required')
+];
+
+// Fields shared by perpetrator creation and update
+const perpetratorFieldRules = [
+  body('name.en')
+    .optional()
+    .isString()
+    .withMessage('English name must be a string')
+    .isLength({ max: 200 })
+    .withMessage('English name cannot be more than 200 characters'),
+
+  body('name.ar')
+    .optional()
+    .isString()
+    .withMessage('Arabic name must be a string')
+    .isLength({ max: 200 })
+    .withMessage('Arabic name cannot be more than 200 characters'),
+
+  body('aliases')
+    .optional()
+    .isArray()
+    .withMessage('Aliases must be an array'),
+
+  body('code')
+    .optional({ nullable: true })
+    .isIn(PERPETRATOR_AFFILIATIONS)
+    .withMessage('Invalid affiliation code'),
+
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent must be a valid perpetrator ID'),
+
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('Description must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot be more than 1000 characters'),
+
+  body('guidance')
+    .optional()
+    .isArray()
+    .withMessage('Guidance must be an array of classification notes')
+];
+
+// Perpetrator creation rules
+const perpetratorRules = [
+  body('name')
+    .isObject()
+    .withMessage('Perpetrator name is required')
+    .custom(name => Boolean((name.en && name.en.trim()) || (name.ar && name.ar.trim())))
+    .withMessage('Perpetrator name is required in English or Arabic'),
+
+  body('kind')
+    .isIn(PERPETRATOR_KINDS)
+    .withMessage(`Kind must be one of: ${PERPETRATOR_KINDS.join(', ')}`),
+
+  ...perpetratorFieldRules
+];
+
+// Perpetrator update rules
+const perpetratorUpdateRules = [
+  body('name')
+    .optional()
+    .isObject()
+    .withMessage('Perpetrator name must be an object')
+    .custom(name => Boolean((name.en && name.en.trim()) || (name.ar && name.ar.trim())))
+    .withMessage('Perpetrator name is required in English or Arabic'),
+
+  body('kind')
+    .optional()
+    .isIn(PERPETRATOR_KINDS)
+    .withMessage(`Kind must be one of: ${PERPETRATOR_KINDS.join(', ')}`),
+
+  ...perpetratorFieldRules
+];
+
+// Perpetrator catalogue search rules
+const perpetratorFilterRules = [
+  query('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be a string'),
+
+  query('kind')
+    .optional()
+    .isIn(PERPETRATOR_KINDS)
+    .withMessage(`Kind must be one of: ${PERPETRATOR_KINDS.join(', ')}`),
+
+  query('affiliation')
+    .optional()
+    .isIn(PERPETRATOR_AFFILIATIONS)
+    .withMessage('Invalid perpetrator affiliation'),
+
+  query('parent')
+    .optional()
+    .isMongoId()
+    .withMessage('Parent must be a valid perpetrator ID')
+];
+
+// Perpetrator statistics rules
+const perpetratorStatsRules = [
+  query('groupBy')
+    .optional()
+    .isIn(['unit', 'parent', 'affiliation'])
+    .withMessage('Group by must be one of: unit, parent, affiliation'),
+
+  query('within')
+    .optional()
+    .isMongoId()
+    .withMessage('Within must be a valid perpetrator ID'),
+
+  query('type')
+    .optional()
+    .isString()
+    .withMessage('Type must be a string'),
+
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date (YYYY-MM-DD)'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date (YYYY-MM-DD)')
+];
+
+// Fields shared by Telegram channel creation and update
+const channelFieldRules = [
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('Description must be a string')
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean'),
+
+  body('priority')
+    .optional()
+    .isIn(CHANNEL_PRIORITIES)
+    .withMessage(`Priority must be one of: ${CHANNEL_PRIORITIES.join(', ')}`),
+
+  body('language')
+    .optional()
+    .isIn(CHANNEL_LANGUAGES)
+    .withMessage(`Language must be one of: ${CHANNEL_LANGUAGES.join(', ')}`),
+
+  body('filtering')
+    .optional()
+    .isObject()
+    .withMessage('Filtering must be an object'),
+
+  body('filtering.min_keyword_matches')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum keyword matches must be a positive integer'),
+
+  body('filtering.require_context_keywords')
+    .optional()
+    .isBoolean()
+    .withMessage('Require context keywords must be a boolean'),
+
+  body('filtering.min_text_length')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Minimum text length must be a non-negative integer'),
+
+  body('filtering.exclude_patterns')
+    .optional()
+    .isArray()
+    .withMessage('Exclude patterns must be an array')
+    .custom(patterns => patterns.every(pattern => typeof pattern === 'string' && isValidPattern(pattern)))
+    .withMessage('Exclude patterns must be valid regular expressions')
+];
+
+// Telegram channel creation rules
+const channelRules = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Channel name is required')
+    .isLength({ max: 100 })
+    .withMessage('Channel name cannot be more than 100 characters'),
+
+  body('url')
+    .trim()
+    .notEmpty()
+    .withMessage('Channel URL is required')
+    .custom(url => CHANNEL_URL_PATTERN.test(url))
+    .withMessage('Channel URL must be a public t.me link'),
+
+  ...channelFieldRules
+];
+
+// Telegram channel update rules
+const channelUpdateRules = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Channel name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Channel name cannot be more than 100 characters'),
+
+  body('url')
+    .optional()
+    .trim()
+    .custom(url => CHANNEL_URL_PATTERN.test(url))
+    .withMessage('Channel URL must be a public t.me link'),
+
+  ...channelFieldRules
+];
+
+// Telegram channel search rules
+const channelFilterRules = [
+  query('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be a string'),
+
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false'),
+
+  query('priority')
     .optional()
-    .isIn(['confirmed', 'probable', 'possible'])
-    .withMessage('Certainty level must be one of: confirmed, probable, possible'),
-  
-  body('casualties')
+    .isIn(CHANNEL_PRIORITIES)
+    .withMessage(`Priority must be one of: ${CHANNEL_PRIORITIES.join(', ')}`),
+
+  query('language')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Casualties must be a non-negative integer'),
-  
-  body('victims')
+    .isIn(CHANNEL_LANGUAGES)
+    .withMessage(`Language must be one of: ${CHANNEL_LANGUAGES.join(', ')}`)
+];
+
+// Channel filtering decision search rules
+const filterDecisionRules = [
+  query('channel')
     .optional()
-    .isArray()
-    .withMessage('Victims must be an array'),
-  
-  body('media_links')
+    .isString()
+    .withMessage('Channel must be a string'),
+
+  query('reason')
     .optional()
-    .isArray()
-    .withMessage('Media links must be an array'),
-  
-  body('tags')
+    .isIn(Object.values(FILTER_REASONS))
+    .withMessage(`Reason must be one of: ${Object.values(FILTER_REASONS).join(', ')}`),
+
+  query('kept')
     .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
-  
-  body('related_violations')
+    .isBoolean()
+    .withMessage('Kept must be true or false'),
+
+  query('keyword')
     .optional()
-    .isArray()
-    .withMessage('Related violations must be an array'),
-  
-  body('kidnapped_count')
+    .isString()
+    .withMessage('Keyword must be a string'),
+
+  query('startDate')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Kidnapped count must be a non-negative integer'),
-  
-  body('detained_count')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date (YYYY-MM-DD)'),
+
+  query('endDate')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Detained count must be a non-negative integer'),
-  
-  body('injured_count')
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date (YYYY-MM-DD)'),
+
+  query('page')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Injured count must be a non-negative integer'),
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
 ];
 
-// Batch violations validation - simplified
-const batchViolationsRules = [
-  body()
-    .isArray()
-    .withMessage('Request body must be an array of violations')
-    .notEmpty()
-    .withMessage('At least one violation must be provided'),
-  body('*.type')
-    .notEmpty()
-    .withMessage('Violation type is required'),
-  body('*.date')
-    .notEmpty()
-    .withMessage('Incident date is required')
-    .isISO8601()
-    .withMessage('Date must be a valid ISO date (YYYY-MM-DD)'),
-  body('*.reported_date')
+// Fields shared by keyword set creation and update
+const keywordSetFieldRules = [
+  body('violation_type')
+    .optional({ nullable: true })
+    .custom(isViolationType)
+    .withMessage('Invalid violation type'),
+
+  body('active')
     .optional()
-    .isISO8601()
-    .withMessage('Reported date must be a valid ISO date (YYYY-MM-DD)'),
-  body('*.location')
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+];
+
+// Keyword set creation rules
+const keywordSetRules = [
+  body('name')
+    .trim()
     .notEmpty()
-    .withMessage('Location is required')
-    .isObject()
-    .withMessage('Location must be an object'),
-  body('*.description')
+    .withMessage('Keyword set name is required')
+    .isLength({ max: 100 })
+    .withMessage('Keyword set name cannot be more than 100 characters'),
+
+  body('category')
+    .isIn(KEYWORD_CATEGORIES)
+    .withMessage(`Category must be one of: ${KEYWORD_CATEGORIES.join(', ')}`)
+    .custom((category, { req }) => (category === 'violation') === Boolean(req.body.violation_type))
+    .withMessage('Violation keyword sets need a violation type, other categories cannot have one'),
+
+  body('keywords')
+    .isArray({ min: 1 })
+    .withMessage('Keywords must be a non-empty array')
+    .custom(keywords => keywords.every(keyword => typeof keyword === 'string' && keyword.trim()))
+    .withMessage('Keywords must be non-empty strings'),
+
+  ...keywordSetFieldRules
+];
+
+// Keyword set update rules
+const keywordSetUpdateRules = [
+  body('name')
+    .optional()
+    .trim()
     .notEmpty()
-    .withMessage('Description is required'),
-  body('*.verified')
+    .withMessage('Keyword set name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Keyword set name cannot be more than 100 characters'),
+
+  body('category')
+    .optional()
+    .isIn(KEYWORD_CATEGORIES)
+    .withMessage(`Category must be one of: ${KEYWORD_CATEGORIES.join(', ')}`),
+
+  body('keywords')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Keywords must be a non-empty array')
+    .custom(keywords => keywords.every(keyword => typeof keyword === 'string' && keyword.trim()))
+    .withMessage('Keywords must be non-empty strings'),
+
+  ...keywordSetFieldRules
+];
+
+// Keyword set search rules
+const keywordSetFilterRules = [
+  query('category')
+    .optional()
+    .isIn(KEYWORD_CATEGORIES)
+    .withMessage(`Category must be one of: ${KEYWORD_CATEGORIES.join(', ')}`),
+
+  query('violation_type')
+    .optional()
+    .custom(isViolationType)
+    .withMessage('Invalid violation type'),
+
+  query('active')
     .optional()
     .isBoolean()
-    .withMessage('Verified must be a boolean value'),
-  body('*.certainty_level')
+    .withMessage('Active must be true or false'),
+
+  query('keyword')
     .optional()
-    .isIn(['confirmed', 'probable', 'possible'])
-    .withMessage('Certainty level must be one of: confirmed, probable, possible'),
-  body('*.casualties')
+    .isString()
+    .withMessage('Keyword must be a string')
+];
+
+// Geocoding cache search rules
+const geocodingCacheFilterRules = [
+  query('q')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Casualties must be a non-negative integer'),
-  body('*.victims')
+    .isString()
+    .withMessage('Search text must be a string'),
+
+  query('source')
     .optional()
-    .isArray()
-    .withMessage('Victims must be an array'),
-  body('*.media_links')
+    .isIn(['gazetteer', 'nominatim', 'photon', 'geocoding_api', 'places_api', 'mapquest', 'manual'])
+    .withMessage('Invalid geocoding cache source'),
+
+  query('language')
     .optional()
-    .isArray()
-    .withMessage('Media links must be an array'),
-  body('*.tags')
+    .isIn(['en', 'ar'])
+    .withMessage('Language must be en or ar'),
+
+  query('pinned')
     .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
-  body('*.related_violations')
+    .isBoolean()
+    .withMessage('Pinned must be true or false'),
+
+  query('page')
     .optional()
-    .isArray()
-    .withMessage('Related violations must be an array'),
-  body('*.kidnapped_count')
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Kidnapped count must be a non-negative integer'),
-  body('*.detained_count')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Geocoding cache correction rules
+const geocodingCacheUpdateRules = [
+  body('coordinates')
+    .optional()
+    .custom(value => Array.isArray(value)
+      && value.length === 2
+      && value.every(coordinate => typeof coordinate === 'number' && Number.isFinite(coordinate)))
+    .withMessage('Coordinates must be [longitude, latitude]'),
+
+  body(['formattedAddress', 'city', 'state'])
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Detained count must be a non-negative integer'),
-  body('*.injured_count')
+    .isString()
+    .withMessage('Address fields must be strings')
+    .isLength({ max: 500 })
+    .withMessage('Address fields cannot be more than 500 characters'),
+
+  body('pinned')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Injured count must be a non-negative integer'),
+    .isBoolean()
+    .withMessage('Pinned must be a boolean'),
+
+  body('regeocodeViolations')
+    .optional()
+    .isBoolean()
+    .withMessage('Re-geocode violations must be a boolean')
 ];
 
-// Validation for ID parameter
-const idParamRules = [
-  param('id')
+// Geocoding cache alias rules
+const geocodingCacheAliasRules = [
+  body('placeName')
+    .isString()
+    .withMessage('Alias place name must be a string')
+    .trim()
     .notEmpty()
-    .withMessage('ID is required')
+    .withMessage('Alias place name is required')
+    .isLength({ max: 200 })
+    .withMessage('Alias place name cannot be more than 200 characters'),
+
+  body('adminDivision')
+    .optional()
+    .isString()
+    .withMessage('Alias admin division must be a string')
+    .isLength({ max: 200 })
+    .withMessage('Alias admin division cannot be more than 200 characters'),
+
+  body('language')
+    .optional()
+    .isIn(['en', 'ar'])
+    .withMessage('Language must be en or ar')
+];
+
+const geocodingCacheAliasParamRules = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid geocoding cache entry ID'),
+
+  param('aliasId')
+    .isMongoId()
+    .withMessage('Invalid alias ID')
+];
+
+const isAdminCode = (value) => ADMIN_CODE_PATTERN.test(String(value).toUpperCase());
+
+// Administrative boundary validation rules
+const adminBoundaryFilterRules = [
+  query('level')
+    .optional()
+    .isIn(ADMIN_LEVELS)
+    .withMessage(`Level must be one of: ${ADMIN_LEVELS.join(', ')}`),
+
+  query('parent')
+    .optional()
+    .custom(isAdminCode)
+    .withMessage('Parent must be a place code (e.g. SY02)'),
+
+  query('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be a string')
+];
+
+const adminBoundaryCodeParamRules = [
+  param('code')
+    .custom(isAdminCode)
+    .withMessage('Code must be a place code (e.g. SY0200)')
 ];
 
 // Violation filtering validation rules
@@ -227,6 +1187,26 @@ const violationFilterRules = [
     .optional()
     .isIn(['date', 'reported_date'])
     .withMessage('Date filter type must be either "date" or "reported_date"'),
+
+  query('victim')
+    .optional()
+    .isMongoId()
+    .withMessage('Victim must be a valid ID')
+    // Restricted victims are only visible to editors, and unknown ones are answered the same way
+    .custom(async (value, { req }) => {
+      // Malformed IDs are already reported by isMongoId
+      if (!/^[a-f\d]{24}$/i.test(value)) {
+        return true;
+      }
+
+      const victim = await Victim.findById(value).select('restricted').lean();
+      const isEditor = Boolean(req.user && ['editor', 'admin'].includes(req.user.role));
+
+      if (!victim || (victim.restricted && !isEditor)) {
+        throw new Error('Victim not found');
+      }
+      return true;
+    }),
   
   query('location')
     .optional()
@@ -257,6 +1237,21 @@ const violationFilterRules = [
     .optional()
     .isString()
     .withMessage('Perpetrator affiliation must be a string'),
+
+  query('perpetrator_entity')
+    .optional()
+    .isMongoId()
+    .withMessage('Perpetrator entity must be a valid ID'),
+
+  query('territory_controller')
+    .optional()
+    .isIn(TERRITORY_CONTROLLERS)
+    .withMessage('Invalid territory controller'),
+
+  query(['governorate', 'district', 'sub_district'])
+    .optional()
+    .custom(isAdminCode)
+    .withMessage('Governorate, district and sub-district must be place codes (e.g. SY02, SY0200, SY020000)'),
   
   query('latitude')
     .optional()
@@ -289,6 +1284,117 @@ const violationFilterRules = [
     .withMessage('Sort must be a string')
 ];
 
+// Full-text search rules; the structured violation filters can be combined with the search
+const violationSearchRules = [
+  query('q')
+    .trim()
+    .notEmpty()
+    .withMessage('Search text is required')
+    .isLength({ max: 200 })
+    .withMessage('Search text cannot be more than 200 characters'),
+
+  ...violationFilterRules
+];
+
+// Violation map rules; the structured violation filters narrow the mapped violations
+const violationMapRules = [
+  query('bbox')
+    .custom(value => parseBBox(value) !== null)
+    .withMessage('Bounding box must be "west,south,east,north" in degrees with west < east and south < north'),
+
+  query('zoom')
+    .isInt({ min: 0, max: MAX_ZOOM })
+    .withMessage(`Zoom must be an integer between 0 and ${MAX_ZOOM}`),
+
+  ...violationFilterRules
+];
+
+// Violation vector tile rules
+const violationTileRules = [
+  param('z')
+    .custom((value, { req }) => isValidTile(Number(value), Number(req.params.x), Number(req.params.y)))
+    .withMessage(`Tile must exist: z between 0 and ${MAX_ZOOM}, x and y between 0 and 2^z - 1`),
+
+  ...violationFilterRules
+];
+
+// Most positions accepted in a corridor line (each becomes a query clause)
+const MAX_CORRIDOR_POSITIONS = 500;
+
+// Widest corridor accepted, in kilometres
+const MAX_CORRIDOR_DISTANCE_KM = 100;
+
+// Violation spatial query rules: exactly one of a polygon, a line with a buffer distance,
+// or a territory of a territory control map; the structured violation filters still apply
+const violationSpatialRules = [
+  body()
+    .custom(value => [value?.geometry, value?.territory].filter(Boolean).length === 1)
+    .withMessage('Provide either a geometry or a territory'),
+
+  body('geometry')
+    .optional()
+    .custom(value => isValidPolygonGeometry(value) || isValidLineString(value, MAX_CORRIDOR_POSITIONS))
+    .withMessage(`Geometry must be a GeoJSON Polygon or MultiPolygon with closed rings, or a LineString of 2 to ${MAX_CORRIDOR_POSITIONS} positions`),
+
+  body('distance')
+    .custom((value, { req }) => req.body.geometry?.type !== 'LineString' || (
+      Number(value) > 0 && Number(value) <= MAX_CORRIDOR_DISTANCE_KM
+    ))
+    .withMessage(`Distance must be greater than 0 and at most ${MAX_CORRIDOR_DISTANCE_KM} kilometres for a LineString`),
+
+  body('territory')
+    .optional()
+    .custom(value => Boolean(value.id) || !Number.isNaN(Date.parse(value.date)))
+    .withMessage('Territory requires a territory control ID or a valid date')
+    .custom(value => value.feature !== undefined && value.feature !== null && String(value.feature).trim() !== '')
+    .withMessage('Territory feature index or name is required'),
+
+  body('territory.id')
+    .optional()
+    .isMongoId()
+    .withMessage('Territory control ID must be a valid ID'),
+
+  ...violationFilterRules
+];
+
+// Violation statistics rules; the structured violation filters narrow the counted violations
+const violationStatsRules = [
+  query('groupBy')
+    .optional()
+    .custom(value => String(value).split(',').every(dimension => (
+      ['type', 'affiliation', 'governorate', 'district', 'certainty', 'controller'].includes(dimension.trim())
+    )))
+    .withMessage('Group by must be a comma-separated list of: type, affiliation, governorate, district, certainty, controller'),
+
+  query('interval')
+    .optional()
+    .isIn(['day', 'week', 'month', 'year'])
+    .withMessage('Interval must be one of: day, week, month, year'),
+
+  ...violationFilterRules
+];
+
+// Telegram channel backfill rules
+const telegramBackfillRules = [
+  body('channel')
+    .trim()
+    .notEmpty()
+    .withMessage('Channel name is required'),
+
+  body('from')
+    .isISO8601()
+    .withMessage('From must be a valid date')
+    .custom(value => new Date(value) < new Date())
+    .withMessage('From must be in the past'),
+
+  body('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+    .custom((value, { req }) => new Date(value) > new Date(req.body.from))
+    .withMessage('To must be after from')
+];
+
 // Territory control validation rules
 const territoryControlRules = [
   body('type')
@@ -322,12 +1428,7 @@ const territoryControlRules = [
   body('features.*.properties.controlledBy')
     .notEmpty()
     .withMessage('Controlled by field is required')
-    .isIn([
-      'assad_regime', 'post_8th_december_government', 'various_armed_groups',
-      'isis', 'sdf', 'israel', 'turkey', 'druze_militias', 'russia',
-      'iran_shia_militias', 'international_coalition', 'unknown',
-      'FOREIGN_MILITARY', 'REBEL_GROUP'
-    ])
+    .isIn(TERRITORY_CONTROLLERS)
     .withMessage('Invalid controller type'),
   
   body('features.*.properties.color')
@@ -408,12 +1509,7 @@ const territoryControlUpdateRules = [
   
   body('features.*.properties.controlledBy')
     .optional()
-    .isIn([
-      'assad_regime', 'post_8th_december_government', 'various_armed_groups',
-      'isis', 'sdf', 'israel', 'turkey', 'druze_militias', 'russia',
-      'iran_shia_militias', 'international_coalition', 'unknown',
-      'FOREIGN_MILITARY', 'REBEL_GROUP'
-    ])
+    .isIn(TERRITORY_CONTROLLERS)
     .withMessage('Invalid controller type'),
   
   body('features.*.properties.color')
@@ -491,12 +1587,7 @@ const territoryControlFeatureRules = [
   body('properties.controlledBy')
     .notEmpty()
     .withMessage('Controlled by field is required')
-    .isIn([
-      'assad_regime', 'post_8th_december_government', 'various_armed_groups',
-      'isis', 'sdf', 'israel', 'turkey', 'druze_militias', 'russia',
-      'iran_shia_militias', 'international_coalition', 'unknown',
-      'FOREIGN_MILITARY', 'REBEL_GROUP'
-    ])
+    .isIn(TERRITORY_CONTROLLERS)
     .withMessage('Invalid controller type'),
   
   body('properties.color')
@@ -571,12 +1662,7 @@ const territoryControlFilterRules = [
   
   query('controlledBy')
     .optional()
-    .isIn([
-      'assad_regime', 'post_8th_december_government', 'various_armed_groups',
-      'isis', 'sdf', 'israel', 'turkey', 'druze_militias', 'russia',
-      'iran_shia_militias', 'international_coalition', 'unknown',
-      'FOREIGN_MILITARY', 'REBEL_GROUP'
-    ])
+    .isIn(TERRITORY_CONTROLLERS)
     .withMessage('Invalid controller type'),
   
   query('territoryName')
@@ -629,10 +1715,55 @@ module.exports = {
   validateRequest,
   userRegistrationRules,
   userLoginRules,
+  refreshTokenRules,
   violationRules,
   batchViolationsRules,
   idParamRules,
+  revisionParamRules,
+  revisionReasonRules,
+  reviewQueueRules,
+  reviewActionRules,
+  mergeViolationRules,
+  unmergeViolationRules,
+  duplicateCandidateQueryRules,
+  duplicateCandidateRules,
+  geocodingReviewQueueRules,
+  geocodingReviewRules,
+  exportRules,
+  exportJobRules,
+  importRules,
+  importJobRules,
+  importProfileIdRules,
+  importProfileRules,
+  importProfileUpdateRules,
+  victimRules,
+  victimUpdateRules,
+  victimFilterRules,
+  victimMergeRules,
+  perpetratorRules,
+  perpetratorUpdateRules,
+  perpetratorFilterRules,
+  perpetratorStatsRules,
+  channelRules,
+  channelUpdateRules,
+  channelFilterRules,
+  filterDecisionRules,
+  keywordSetRules,
+  keywordSetUpdateRules,
+  keywordSetFilterRules,
+  geocodingCacheFilterRules,
+  geocodingCacheUpdateRules,
+  geocodingCacheAliasRules,
+  geocodingCacheAliasParamRules,
+  adminBoundaryFilterRules,
+  adminBoundaryCodeParamRules,
   violationFilterRules,
+  violationSearchRules,
+  violationMapRules,
+  violationTileRules,
+  violationSpatialRules,
+  violationStatsRules,
+  telegramBackfillRules,
   territoryControlRules,
   territoryControlUpdateRules,
   territoryControlMetadataRules,
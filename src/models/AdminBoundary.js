@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { ADMIN_LEVELS, ADMIN_CODE_PATTERN } = require('../config/adminBoundaries');
+
+// Schema for a name written in English and Arabic
+const AdminBoundaryNameSchema = new mongoose.Schema({
+  en: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  ar: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
+
+// A governorate, district or sub-district polygon from the administrative boundary
+// reference dataset, identified by its place code
+const AdminBoundarySchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Boundary code is required'],
+    uppercase: true,
+    trim: true,
+    match: [ADMIN_CODE_PATTERN, 'Boundary code must be a Syrian place code (e.g. SY02, SY0200)']
+  },
+  level: {
+    type: String,
+    enum: ADMIN_LEVELS,
+    required: [true, 'Boundary level is required']
+  },
+  name: {
+    type: AdminBoundaryNameSchema,
+    required: [true, 'Boundary name is required']
+  },
+  // Code of the containing unit (null for governorates)
+  parent: {
+    type: String,
+    default: null
+  },
+  // Codes of the governorate and district the boundary belongs to, including itself
+  governorate: {
+    type: String,
+    required: [true, 'Governorate code is required']
+  },
+  district: {
+    type: String,
+    default: null
+  },
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: [true, 'Geometry type is required']
+    },
+    coordinates: {
+      type: Array,
+      required: [true, 'Geometry coordinates are required']
+    }
+  },
+  // Dataset the boundary was loaded from
+  source: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+AdminBoundarySchema.index({ code: 1 }, { unique: true });
+AdminBoundarySchema.index({ level: 1, parent: 1 });
+AdminBoundarySchema.index({ geometry: '2dsphere' });
+
+/**
+ * Canonical admin codes of a point inside a boundary
+ * @param {Object|null} boundary - Boundary with code, level, governorate and district
+ * @returns {Object} - { governorate, district, sub_district }
+ */
+AdminBoundarySchema.statics.codesOf = function(boundary) {
+  if (!boundary) {
+    return { governorate: null, district: null, sub_district: null };
+  }
+
+  return {
+    governorate: boundary.governorate,
+    district: boundary.level === 'governorate' ? null : boundary.district,
+    sub_district: boundary.level === 'sub_district' ? boundary.code : null
+  };
+};
+
+const AdminBoundary = mongoose.model('AdminBoundary', AdminBoundarySchema);
+
+module.exports = AdminBoundary;
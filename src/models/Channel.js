@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+const CHANNEL_PRIORITIES = ['high', 'medium', 'low'];
+const CHANNEL_LANGUAGES = ['ar', 'en', 'mixed'];
+
+// Public channel links, e.g. https://t.me/nahermedia
+const CHANNEL_URL_PATTERN = /^https:\/\/t\.me\/[A-Za-z0-9_]{3,}$/;
+
+const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Rules deciding which messages of a channel are kept as reports
+const ChannelFilteringSchema = new mongoose.Schema({
+  min_keyword_matches: {
+    type: Number,
+    min: [1, 'Minimum keyword matches must be at least 1'],
+    default: 1
+  },
+  require_context_keywords: {
+    type: Boolean,
+    default: false
+  },
+  min_text_length: {
+    type: Number,
+    min: [0, 'Minimum text length cannot be negative'],
+    default: 0
+  },
+  // Regular expressions; messages matching any of them are dropped
+  exclude_patterns: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (value) => value.every(isValidPattern),
+      message: 'Exclude patterns must be valid regular expressions'
+    }
+  }
+}, { _id: false });
+
+// A public Telegram channel monitored by the scraper
+const ChannelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Channel name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Channel name cannot be more than 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Channel URL is required'],
+    trim: true,
+    match: [CHANNEL_URL_PATTERN, 'Channel URL must be a public t.me link']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+    default: ''
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  priority: {
+    type: String,
+    enum: CHANNEL_PRIORITIES,
+    default: 'medium'
+  },
+  language: {
+    type: String,
+    enum: CHANNEL_LANGUAGES,
+    default: 'ar'
+  },
+  filtering: {
+    type: ChannelFilteringSchema,
+    default: () => ({})
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ChannelSchema.index({ active: 1, priority: 1 });
+
+// Static method to get the active channels, highest priority first
+ChannelSchema.statics.findActive = async function() {
+  const channels = await this.find({ active: true }).sort('name').lean();
+  return channels.sort((a, b) => CHANNEL_PRIORITIES.indexOf(a.priority) - CHANNEL_PRIORITIES.indexOf(b.priority));
+};
+
+// Add pagination plugin
+ChannelSchema.plugin(mongoosePaginate);
+
+const Channel = mongoose.model('Channel', ChannelSchema);
+
+module.exports = Channel;
+module.exports.CHANNEL_PRIORITIES = CHANNEL_PRIORITIES;
+module.exports.CHANNEL_LANGUAGES = CHANNEL_LANGUAGES;
+module.exports.CHANNEL_URL_PATTERN = CHANNEL_URL_PATTERN;
+module.exports.isValidPattern = isValidPattern;
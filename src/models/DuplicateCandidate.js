@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// Review states for a suggested duplicate pair
+const DuplicateCandidateStatuses = ['pending', 'confirmed', 'dismissed'];
+
+// Criteria reported by the duplicate checker that can contribute to a match
+const MatchCriteria = ['same_type', 'same_date', 'same_perpetrator', 'nearby_location', 'same_casualties', 'similar_description', 'exact_match'];
+
+// A pair of violations the duplicate checker believes describe the same incident
+const DuplicateCandidateSchema = new mongoose.Schema({
+  // Record that triggered the suggestion (usually the newer one)
+  violation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Violation',
+    required: [true, 'Violation reference is required']
+  },
+  // Existing record it appears to duplicate
+  duplicate_of: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Violation',
+    required: [true, 'Duplicate violation reference is required']
+  },
+  // Order-independent key so a pair is only ever stored once
+  pair_key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  similarity: {
+    type: Number,
+    min: [0, 'Similarity cannot be less than 0'],
+    max: [1, 'Similarity cannot be more than 1'],
+    required: [true, 'Similarity score is required']
+  },
+  // Distance between the two locations in meters (null when either has no coordinates)
+  distance: {
+    type: Number,
+    default: null
+  },
+  exact_match: {
+    type: Boolean,
+    default: false
+  },
+  matched_criteria: {
+    type: [{
+      type: String,
+      enum: MatchCriteria
+    }],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: DuplicateCandidateStatuses,
+    default: 'pending'
+  },
+  detected_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_at: {
+    type: Date
+  },
+  review_notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review notes cannot be more than 1000 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+DuplicateCandidateSchema.index({ status: 1, similarity: -1 });
+DuplicateCandidateSchema.index({ violation: 1 });
+DuplicateCandidateSchema.index({ duplicate_of: 1 });
+
+// Add pagination plugin
+DuplicateCandidateSchema.plugin(mongoosePaginate);
+
+/**
+ * Build the order-independent key for a pair of violations
+ * @param {String|ObjectId} firstId - First violation ID
+ * @param {String|ObjectId} secondId - Second violation ID
+ * @returns {String} Pair key
+ */
+DuplicateCandidateSchema.statics.buildPairKey = function(firstId, secondId) {
+  return [String(firstId), String(secondId)].sort().join(':');
+};
+
+// Static method to convert duplicate checker match details into criteria names
+DuplicateCandidateSchema.statics.criteriaFromMatch = function(match = {}) {
+  const details = match.matchDetails || {};
+  const criteria = [];
+
+  if (details.sameType) criteria.push('same_type');
+  if (details.sameDate) criteria.push('same_date');
+  if (details.samePerpetrator) criteria.push('same_perpetrator');
+  if (details.nearbyLocation) criteria.push('nearby_location');
+  if (details.sameCasualties) criteria.push('same_casualties');
+  if (details.similarDescription) criteria.push('similar_description');
+  if (match.exactMatch) criteria.push('exact_match');
+
+  return criteria;
+};
+
+const DuplicateCandidate = mongoose.model('DuplicateCandidate', DuplicateCandidateSchema);
+
+module.exports = DuplicateCandidate;
+module.exports.DuplicateCandidateStatuses = DuplicateCandidateStatuses;
+module.exports.MatchCriteria = MatchCriteria;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const { FILTER_REASONS } = require('../utils/messageFilter');
+
+// Why a scraped Telegram message was kept as a report or dropped, kept for tuning the
+// channel filtering rules and keywords
+const FilterDecisionSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: [true, 'Channel name is required'],
+    trim: true
+  },
+  messageId: {
+    type: String,
+    required: [true, 'Message ID is required']
+  },
+  messageDate: {
+    type: Date,
+    default: null
+  },
+  source_url: {
+    type: String,
+    default: null
+  },
+  // Start of the message, enough to judge the decision
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  kept: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: Object.values(FILTER_REASONS),
+    required: true
+  },
+  matchedKeywords: {
+    type: [String],
+    default: []
+  },
+  violationTypes: {
+    type: [String],
+    default: []
+  },
+  excludedBy: {
+    type: String,
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FilterDecisionSchema.index({ channel: 1, messageId: 1 }, { unique: true });
+FilterDecisionSchema.index({ channel: 1, reason: 1, decidedAt: -1 });
+
+// TTL index - decisions expire after 30 days
+FilterDecisionSchema.index({ decidedAt: 1 }, { expireAfterSeconds: 2592000 });
+
+// Length of the stored message excerpt
+const EXCERPT_LENGTH = 200;
+
+/**
+ * Record the decision taken on a message. Scraping the same message again (e.g. in a
+ * backfill) replaces the earlier decision.
+ * @param {String} channel - Channel name
+ * @param {Object} messageData - Parsed message
+ * @param {Object} decision - Result of filterMessage
+ */
+FilterDecisionSchema.statics.record = function(channel, messageData, decision) {
+  return this.updateOne(
+    { channel, messageId: messageData.metadata.messageId },
+    {
+      $set: {
+        messageDate: messageData.date,
+        source_url: messageData.source_url,
+        excerpt: messageData.text.substring(0, EXCERPT_LENGTH),
+        kept: decision.kept,
+        reason: decision.reason,
+        matchedKeywords: decision.matchedKeywords,
+        violationTypes: decision.violationTypes,
+        excludedBy: decision.excludedBy,
+        decidedAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Add pagination plugin
+FilterDecisionSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('FilterDecision', FilterDecisionSchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Schema for a name written in English and Arabic
+const GazetteerNameSchema = new mongoose.Schema({
+  en: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  ar: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
+
+// A Syrian populated place from the offline gazetteer, loaded from a GeoNames dump with
+// `npm run load:gazetteer`. Geocoding looks places up here before calling Google.
+const GazetteerPlaceSchema = new mongoose.Schema({
+  geonameId: {
+    type: Number,
+    required: [true, 'GeoNames ID is required']
+  },
+  name: {
+    type: GazetteerNameSchema,
+    required: [true, 'Place name is required']
+  },
+  // Other spellings and transliterations of the name, in any language
+  alternate_names: {
+    type: [String],
+    default: []
+  },
+  // Normalized names and transliteration keys of every spelling, used for lookup
+  search_names: {
+    type: [String],
+    default: []
+  },
+  search_keys: {
+    type: [String],
+    default: []
+  },
+  // GeoNames feature class and code (P/PPL village, P/PPLA governorate seat, ...)
+  feature_class: {
+    type: String,
+    default: 'P'
+  },
+  feature_code: {
+    type: String,
+    default: ''
+  },
+  population: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Containing administrative units
+  admin: {
+    // GeoNames admin1 (governorate) and admin2 (district) codes
+    admin1_code: {
+      type: String,
+      default: null
+    },
+    admin2_code: {
+      type: String,
+      default: null
+    },
+    // Place code of the governorate (e.g. SY02), when its name is recognised
+    governorate: {
+      type: String,
+      default: null
+    },
+    // Names of the governorate and district in English and Arabic
+    names: {
+      type: [String],
+      default: []
+    }
+  },
+  // Transliteration keys of the admin names, matched against the admin division of a query
+  admin_keys: {
+    type: [String],
+    default: []
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: [true, 'Coordinates are required'],
+      validate: {
+        validator: coords => coords.length === 2 &&
+          coords[0] >= -180 && coords[0] <= 180 && coords[1] >= -90 && coords[1] <= 90,
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+  // Dump the place was loaded from
+  source: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+GazetteerPlaceSchema.index({ geonameId: 1 }, { unique: true });
+GazetteerPlaceSchema.index({ search_names: 1 });
+GazetteerPlaceSchema.index({ search_keys: 1 });
+GazetteerPlaceSchema.index({ location: '2dsphere' });
+
+const GazetteerPlace = mongoose.model('GazetteerPlace', GazetteerPlaceSchema);
+
+module.exports = GazetteerPlace;
@@ -1,4 +1,39 @@
 const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// Days an entry that is not pinned stays in the cache
+const CACHE_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Another spelling of the place that resolves to the same entry
+const AliasSchema = new mongoose.Schema({
+  cacheKey: {
+    type: String,
+    required: true
+  },
+  placeName: {
+    type: String,
+    required: [true, 'Alias place name is required'],
+    trim: true
+  },
+  adminDivision: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  language: {
+    type: String,
+    enum: ['en', 'ar'],
+    default: 'en'
+  },
+  added_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  added_at: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const GeocodingCacheSchema = new mongoose.Schema({
   // Cache key based on normalized location names
@@ -26,7 +61,7 @@ const GeocodingCacheSchema = new mongoose.Schema({
   // Cache metadata
   source: {
     type: String,
-    enum: ['places_api', 'geocoding_api', 'manual'],
+    enum: ['gazetteer', 'nominatim', 'photon', 'geocoding_api', 'places_api', 'mapquest', 'manual'],
     default: 'places_api'
   },
   apiCallsUsed: {
@@ -40,13 +75,41 @@ const GeocodingCacheSchema = new mongoose.Schema({
   hitCount: {
     type: Number,
     default: 1
+  },
+  // Pinned entries are exempt from the TTL, e.g. coordinates corrected by an admin
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  aliases: {
+    type: [AliasSchema],
+    default: []
+  },
+  corrected_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  corrected_at: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
-// TTL index - cache expires after 90 days
-GeocodingCacheSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 });
+// TTL index - entries that are not pinned expire after 90 days
+GeocodingCacheSchema.index(
+  { createdAt: 1 },
+  {
+    name: 'geocoding_cache_ttl',
+    expireAfterSeconds: CACHE_TTL_SECONDS,
+    partialFilterExpression: { pinned: false }
+  }
+);
+
+// Index alias keys, which resolve to their canonical entry
+GeocodingCacheSchema.index({ 'aliases.cacheKey': 1 });
 
 // Index for efficient lookups
 GeocodingCacheSchema.index({ lastUsed: -1 });
@@ -59,9 +122,9 @@ GeocodingCacheSchema.methods.recordHit = function() {
   return this.save();
 };
 
-// Static method to find cached result
+// Static method to find cached result, directly or through an alias
 GeocodingCacheSchema.statics.findByCacheKey = function(cacheKey) {
-  return this.findOne({ cacheKey });
+  return this.findOne({ $or: [{ cacheKey }, { 'aliases.cacheKey': cacheKey }] });
 };
 
 // Static method to create or update cache entry
@@ -81,17 +144,40 @@ GeocodingCacheSchema.statics.createOrUpdate = async function(cacheKey, data) {
 
 // Static method to get cache statistics
 GeocodingCacheSchema.statics.getStats = async function() {
-  const [totalEntries, recentHits, topLocations] = await Promise.all([
+  const [totalEntries, pinnedEntries, recentHits, topLocations, [usage], bySource] = await Promise.all([
     this.countDocuments(),
+    this.countDocuments({ pinned: true }),
     this.countDocuments({ lastUsed: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } }),
-    this.find().sort({ hitCount: -1 }).limit(10).select('searchTerms hitCount lastUsed')
+    this.find().sort({ hitCount: -1 }).limit(10).select('searchTerms hitCount lastUsed'),
+    // The first use of an entry is the lookup that created it; every later hit saved its API calls
+    this.aggregate([
+      {
+        $group: {
+          _id: null,
+          hits: { $sum: { $max: [{ $subtract: ['$hitCount', 1] }, 0] } },
+          apiCallsSpent: { $sum: '$apiCallsUsed' },
+          apiCallsSaved: {
+            $sum: { $multiply: ['$apiCallsUsed', { $max: [{ $subtract: ['$hitCount', 1] }, 0] }] }
+          }
+        }
+      }
+    ]),
+    this.aggregate([{ $group: { _id: '$source', entries: { $sum: 1 } } }, { $sort: { entries: -1 } }])
   ]);
   
   return {
     totalEntries,
+    pinnedEntries,
     recentHits,
+    hits: usage ? usage.hits : 0,
+    apiCallsSpent: usage ? usage.apiCallsSpent : 0,
+    apiCallsSaved: usage ? usage.apiCallsSaved : 0,
+    bySource: bySource.map(({ _id, entries }) => ({ source: _id, entries })),
     topLocations
   };
 };
 
+// Add pagination plugin
+GeocodingCacheSchema.plugin(mongoosePaginate);
+
 module.exports = mongoose.model('GeocodingCache', GeocodingCacheSchema); 
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A search that was not in the geocoding cache and went to the geocoding providers.
+// Counted per cache key, so searches that keep missing (usually places no provider
+// finds) show up in the cache statistics and can be fixed with an alias or a correction.
+const GeocodingMissSchema = new mongoose.Schema({
+  cacheKey: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  searchTerms: {
+    placeName: String,
+    adminDivision: String,
+    language: String
+  },
+  missCount: {
+    type: Number,
+    default: 0
+  },
+  // API calls spent on this search by the geocoding providers
+  apiCallsUsed: {
+    type: Number,
+    default: 0
+  },
+  // Whether the last lookup found the place, and why not when it did not
+  found: {
+    type: Boolean,
+    default: false
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  lastMissedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+GeocodingMissSchema.index({ missCount: -1 });
+
+// Count a cache miss and the outcome of the lookup that followed
+GeocodingMissSchema.statics.recordMiss = function(cacheKey, searchTerms, outcome = {}) {
+  return this.findOneAndUpdate(
+    { cacheKey },
+    {
+      $set: {
+        searchTerms,
+        found: Boolean(outcome.found),
+        lastError: outcome.error || null,
+        lastMissedAt: new Date()
+      },
+      $inc: { missCount: 1, apiCallsUsed: outcome.apiCallsUsed || 0 }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('GeocodingMiss', GeocodingMissSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// API calls made to a geocoding provider on one day (UTC). Kept in the database so the
+// daily quota holds across restarts and is shared by every worker.
+const GeocodingUsageSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // Day as YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  calls: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+GeocodingUsageSchema.index({ provider: 1, day: 1 }, { unique: true });
+
+// Reserve API calls against a daily quota (0 for no quota) before they are made. The check
+// and the increment are one update, so concurrent searches cannot overrun the quota.
+GeocodingUsageSchema.statics.reserveCalls = async function(provider, day, calls, quota = 0) {
+  if (quota && calls > quota) {
+    return false;
+  }
+
+  const filter = quota ? { provider, day, calls: { $lte: quota - calls } } : { provider, day };
+
+  try {
+    await this.findOneAndUpdate(filter, { $inc: { calls } }, { upsert: true, new: true });
+    return true;
+  } catch (error) {
+    // The day's record exists but has no room left, so the upsert collided with it
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('GeocodingUsage', GeocodingUsageSchema);
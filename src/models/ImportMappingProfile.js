@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// Violation fields a spreadsheet column can be mapped onto, with the type its cells are converted to.
+// victims.* fields describe one victim per row.
+const ImportFieldTypes = {
+  type: 'string',
+  date: 'date',
+  reported_date: 'date',
+  'location.name.en': 'string',
+  'location.name.ar': 'string',
+  'location.administrative_division.en': 'string',
+  'location.administrative_division.ar': 'string',
+  latitude: 'number',
+  longitude: 'number',
+  'description.en': 'string',
+  'description.ar': 'string',
+  'source.en': 'string',
+  'source.ar': 'string',
+  source_urls: 'list',
+  verified: 'boolean',
+  certainty_level: 'string',
+  'verification_method.en': 'string',
+  'verification_method.ar': 'string',
+  casualties: 'number',
+  injured_count: 'number',
+  kidnapped_count: 'number',
+  detained_count: 'number',
+  displaced_count: 'number',
+  'perpetrator.en': 'string',
+  'perpetrator.ar': 'string',
+  perpetrator_affiliation: 'string',
+  'tags.en': 'list',
+  'tags.ar': 'list',
+  media_links: 'list',
+  'victims.age': 'number',
+  'victims.gender': 'string',
+  'victims.status': 'string',
+  'victims.group_affiliation.en': 'string',
+  'victims.group_affiliation.ar': 'string',
+  'victims.sectarian_identity.en': 'string',
+  'victims.sectarian_identity.ar': 'string',
+  'victims.death_date': 'date'
+};
+
+const ImportFields = Object.keys(ImportFieldTypes);
+
+// Schema for a single column mapping
+const ColumnMappingSchema = new mongoose.Schema({
+  // Column header as it appears in the uploaded file
+  column: {
+    type: String,
+    required: [true, 'Column name is required'],
+    trim: true
+  },
+  field: {
+    type: String,
+    enum: {
+      values: ImportFields,
+      message: 'Unsupported import field: {VALUE}'
+    },
+    required: [true, 'Target field is required']
+  }
+}, { _id: false });
+
+// Saved description of how a partner's spreadsheet columns map onto violations
+const ImportMappingProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Profile name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+    default: ''
+  },
+  mappings: {
+    type: [ColumnMappingSchema],
+    validate: [
+      {
+        validator: (value) => Array.isArray(value) && value.length > 0,
+        message: 'At least one column mapping is required'
+      },
+      {
+        validator: (value) => new Set(value.map(mapping => mapping.field)).size === value.length,
+        message: 'Each field can only be mapped from one column'
+      }
+    ]
+  },
+  // Rows sharing a value in this column are combined into one violation with one victim per row
+  group_by_column: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Separator for cells holding several values (source URLs, media links, tags)
+  list_separator: {
+    type: String,
+    default: '|',
+    maxlength: [5, 'List separator cannot be more than 5 characters']
+  },
+  // Values applied to every imported violation when its row does not provide them ({ field: value })
+  defaults: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    validate: {
+      validator: (value) => !value || Object.keys(value).every(field => ImportFields.includes(field)),
+      message: 'Defaults can only be set for supported import fields'
+    }
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Add pagination plugin
+ImportMappingProfileSchema.plugin(mongoosePaginate);
+
+const ImportMappingProfile = mongoose.model('ImportMappingProfile', ImportMappingProfileSchema);
+
+module.exports = ImportMappingProfile;
+module.exports.ImportFieldTypes = ImportFieldTypes;
+module.exports.ImportFields = ImportFields;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+require('./Violation');
+
+// Violation keywords identify the type of a violation; context and location keywords
+// only show that a message is about an incident in Syria
+const KEYWORD_CATEGORIES = ['violation', 'context', 'location'];
+
+// Checked against the violation model when used, so the two lists cannot drift apart
+const isViolationType = (value) => mongoose.model('Violation').schema.path('type').enumValues.includes(value);
+
+// A named list of keywords the scraper matches Telegram messages against
+const KeywordSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Keyword set name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Keyword set name cannot be more than 100 characters']
+  },
+  category: {
+    type: String,
+    enum: KEYWORD_CATEGORIES,
+    required: [true, 'Keyword set category is required']
+  },
+  // Violation type identified by the keywords, only set on violation keyword sets
+  violation_type: {
+    type: String,
+    validate: {
+      validator: isViolationType,
+      message: 'Invalid violation type'
+    }
+  },
+  keywords: {
+    type: [String],
+    required: [true, 'Keywords are required'],
+    validate: {
+      validator: (value) => value.length > 0 && value.every(keyword => typeof keyword === 'string' && keyword.trim()),
+      message: 'Keywords must be a non-empty list of words or phrases'
+    }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+KeywordSetSchema.index({ category: 1, active: 1 });
+
+// Violation keyword sets need a type, the others cannot have one
+KeywordSetSchema.pre('validate', function(next) {
+  if (this.category === 'violation' && !this.violation_type) {
+    this.invalidate('violation_type', 'Violation keyword sets must have a violation type');
+  } else if (this.category !== 'violation' && this.violation_type) {
+    this.invalidate('violation_type', 'Only violation keyword sets have a violation type');
+  }
+
+  // Keywords are stored trimmed and without duplicates
+  if (this.isModified('keywords')) {
+    this.keywords = [...new Set(this.keywords.map(keyword => String(keyword).trim()).filter(Boolean))];
+  }
+  next();
+});
+
+/**
+ * Build the keyword configuration used by the scraper from the active keyword sets
+ * @returns {Promise<Object>} - { keywords: { TYPE: [..] }, context_keywords: [..], location_keywords: [..] }
+ */
+KeywordSetSchema.statics.buildKeywordsConfig = async function() {
+  const sets = await this.find({ active: true }).sort('name').lean();
+  const config = { keywords: {}, context_keywords: [], location_keywords: [] };
+
+  sets.forEach(set => {
+    if (set.category === 'violation') {
+      config.keywords[set.violation_type] = [...(config.keywords[set.violation_type] || []), ...set.keywords];
+    } else {
+      config[`${set.category}_keywords`].push(...set.keywords);
+    }
+  });
+
+  return config;
+};
+
+// Add pagination plugin
+KeywordSetSchema.plugin(mongoosePaginate);
+
+const KeywordSet = mongoose.model('KeywordSet', KeywordSetSchema);
+
+module.exports = KeywordSet;
+module.exports.KEYWORD_CATEGORIES = KEYWORD_CATEGORIES;
+module.exports.isViolationType = isViolationType;
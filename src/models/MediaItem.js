@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const MEDIA_TYPES = ['photo', 'video'];
+const MEDIA_STATUSES = ['archived', 'failed'];
+
+// A media file attached to a scraped Telegram message, archived as evidence because the
+// Telegram CDN links expire. Files are stored once per content hash, so the same photo
+// posted by several channels has one file and one item per message.
+const MediaItemSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: [true, 'Channel name is required']
+  },
+  messageId: {
+    type: String,
+    required: [true, 'Message ID is required']
+  },
+  type: {
+    type: String,
+    enum: MEDIA_TYPES,
+    required: [true, 'Media type is required']
+  },
+  // Telegram CDN URL the file was downloaded from
+  source_url: {
+    type: String,
+    required: [true, 'Source URL is required']
+  },
+  status: {
+    type: String,
+    enum: MEDIA_STATUSES,
+    default: 'archived'
+  },
+  // Where the archived file is stored
+  storage: {
+    type: String,
+    enum: ['local', 's3']
+  },
+  key: {
+    type: String
+  },
+  url: {
+    type: String
+  },
+  // SHA-256 of the file contents, to prove it was not altered after capture
+  sha256: {
+    type: String,
+    match: [/^[a-f0-9]{64}$/, 'SHA-256 must be 64 hexadecimal characters']
+  },
+  content_type: {
+    type: String
+  },
+  size: {
+    type: Number,
+    min: 0
+  },
+  captured_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Why the file could not be archived
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+MediaItemSchema.index({ channel: 1, messageId: 1 });
+MediaItemSchema.index({ sha256: 1 });
+MediaItemSchema.index({ key: 1 });
+
+// Archived items need the stored file and its hash
+MediaItemSchema.pre('validate', function(next) {
+  if (this.status === 'archived') {
+    ['storage', 'key', 'url', 'sha256'].forEach(field => {
+      if (!this[field]) {
+        this.invalidate(field, `Archived media must have a ${field}`);
+      }
+    });
+  }
+  next();
+});
+
+/**
+ * Get the archived file URLs of media items, in the given order
+ * @param {Array<ObjectId>} ids - Media item IDs
+ * @returns {Promise<Array<String>>}
+ */
+MediaItemSchema.statics.getArchivedUrls = async function(ids = []) {
+  const items = await this.find({ _id: { $in: ids }, status: 'archived' }).select('url').lean();
+  const urls = new Map(items.map(item => [item._id.toString(), item.url]));
+  return ids.map(id => urls.get(id.toString())).filter(Boolean);
+};
+
+const MediaItem = mongoose.model('MediaItem', MediaItemSchema);
+
+module.exports = MediaItem;
+module.exports.MEDIA_TYPES = MEDIA_TYPES;
+module.exports.MEDIA_STATUSES = MEDIA_STATUSES;
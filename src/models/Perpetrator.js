@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const { normalizeText } = require('../utils/textNormalizer');
+const { PERPETRATOR_AFFILIATIONS } = require('../config/perpetratorCatalogue');
+
+// Affiliations are the roots of the hierarchy; units, groups and individuals sit below them
+const PERPETRATOR_KINDS = ['affiliation', 'unit', 'group', 'individual'];
+
+// Schema for a name written in English and/or Arabic
+const PerpetratorNameSchema = new mongoose.Schema({
+  en: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'English name cannot be more than 200 characters'],
+    default: ''
+  },
+  ar: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Arabic name cannot be more than 200 characters'],
+    default: ''
+  }
+}, { _id: false });
+
+const hasName = (value) => Boolean(value && ((value.en && value.en.trim()) || (value.ar && value.ar.trim())));
+
+// A catalogued perpetrator. Every entry belongs to exactly one top-level affiliation,
+// which is what violations and territories store in perpetrator_affiliation / controlledBy.
+const PerpetratorSchema = new mongoose.Schema({
+  name: {
+    type: PerpetratorNameSchema,
+    required: [true, 'Perpetrator name is required'],
+    validate: {
+      validator: hasName,
+      message: 'Perpetrator name is required in English or Arabic'
+    }
+  },
+  // Other spellings, abbreviations or names the perpetrator is known by
+  aliases: {
+    type: [PerpetratorNameSchema],
+    default: [],
+    validate: {
+      validator: (value) => value.every(hasName),
+      message: 'Aliases must have an English or Arabic name'
+    }
+  },
+  kind: {
+    type: String,
+    enum: PERPETRATOR_KINDS,
+    required: [true, 'Perpetrator kind is required']
+  },
+  // Affiliation code, only set on top-level affiliations
+  code: {
+    type: String,
+    enum: PERPETRATOR_AFFILIATIONS
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Perpetrator',
+    default: null
+  },
+  // Parents from the top-level affiliation down to the direct parent, kept in sync on save
+  ancestors: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  // Code of the top-level affiliation this perpetrator rolls up to
+  affiliation: {
+    type: String,
+    enum: PERPETRATOR_AFFILIATIONS
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+    default: ''
+  },
+  // Classification notes included in the report parsing instructions
+  guidance: {
+    type: [String],
+    default: []
+  },
+  // Normalized name and alias spellings used for search and linking violations
+  name_keys: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+PerpetratorSchema.index({ code: 1 }, { unique: true, sparse: true });
+PerpetratorSchema.index({ parent: 1 });
+PerpetratorSchema.index({ ancestors: 1 });
+PerpetratorSchema.index({ affiliation: 1, kind: 1 });
+PerpetratorSchema.index({ name_keys: 1 });
+
+/**
+ * Build the normalized name keys of a perpetrator from its name and aliases
+ * @param {Object} perpetrator - Perpetrator data with name and aliases
+ * @returns {Array<String>} - Unique normalized spellings
+ */
+PerpetratorSchema.statics.buildNameKeys = function(perpetrator) {
+  const names = [perpetrator.name, ...(perpetrator.aliases || [])].filter(Boolean);
+  const keys = names.flatMap(name => [normalizeText(name.en), normalizeText(name.ar)]);
+  return [...new Set(keys.filter(Boolean))];
+};
+
+// Place the perpetrator in the hierarchy: affiliations are roots, everything else needs a parent
+PerpetratorSchema.pre('validate', async function() {
+  if (this.kind === 'affiliation') {
+    if (this.parent) {
+      this.invalidate('parent', 'Affiliations cannot have a parent');
+    }
+    if (!this.code) {
+      this.invalidate('code', 'Affiliation code is required');
+    }
+    this.ancestors = [];
+    this.affiliation = this.code;
+    return;
+  }
+
+  if (this.code) {
+    this.invalidate('code', 'Only affiliations have a code');
+  }
+
+  if (!this.parent) {
+    this.invalidate('parent', 'Units, groups and individuals must have a parent');
+    return;
+  }
+
+  if (!this.isNew && !this.isModified('parent') && !this.isModified('kind')) {
+    return;
+  }
+
+  const parent = await this.constructor.findById(this.parent).select('kind ancestors affiliation');
+
+  if (!parent) {
+    this.invalidate('parent', `Parent perpetrator ${this.parent} not found`);
+    return;
+  }
+
+  if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+    this.invalidate('parent', 'A perpetrator cannot be placed under itself or one of its members');
+    return;
+  }
+
+  if (parent.kind === 'individual') {
+    this.invalidate('parent', 'Individuals cannot have members');
+    return;
+  }
+
+  this.ancestors = [...parent.ancestors, parent._id];
+  this.affiliation = parent.affiliation;
+});
+
+// Keep name keys in sync with the name and aliases
+PerpetratorSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('name') || this.isModified('aliases')) {
+    this.name_keys = this.constructor.buildNameKeys(this);
+  }
+  next();
+});
+
+// Add pagination plugin
+PerpetratorSchema.plugin(mongoosePaginate);
+
+const Perpetrator = mongoose.model('Perpetrator', PerpetratorSchema);
+
+module.exports = Perpetrator;
+module.exports.PERPETRATOR_KINDS = PERPETRATOR_KINDS;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A refresh token handed out at login. Only its SHA-256 hash is stored. Each refresh
+// rotates the token: the used one is revoked and replaced by a new one of the same
+// family, so a revoked token coming back means it was stolen and the family is ended.
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  // Every token rotated from the same login (one session)
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // logout, logout_all, rotated, reuse_detected, role_changed or password_changed
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+
+// TTL index - tokens are removed once they have expired
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a refresh token the way it is stored
+RefreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -81,12 +81,27 @@ const ReportSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Media attached to the message, archived because the Telegram links expire
+  media: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MediaItem'
+  }],
   // Reference to parsing job if this report has been processed
   parsingJobId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ReportParsingJob',
     default: null
   },
+  // Parsing jobs created for the report, and when the current one claimed it
+  parsingAttempts: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  processingStartedAt: {
+    type: Date,
+    default: null
+  },
   // Status tracking
   status: {
     type: String,
@@ -110,6 +125,8 @@ ReportSchema.index({ parsedByLLM: 1, status: 1 });
 ReportSchema.index({ source_url: 1 }, { unique: true });
 ReportSchema.index({ 'metadata.scrapedAt': -1 });
 ReportSchema.index({ 'metadata.messageId': 1, 'metadata.channel': 1 }, { unique: true });
+ReportSchema.index({ parsingJobId: 1 });
+ReportSchema.index({ status: 1, processingStartedAt: 1 });
 
 // Add pagination plugin
 ReportSchema.plugin(mongoosePaginate);
@@ -130,9 +147,10 @@ ReportSchema.methods.toJSON = function() {
   return report;
 };
 
-// Static method to find reports ready for LLM processing
-ReportSchema.statics.findReadyForProcessing = function(limit = 10) {
+// Static method to find reports ready for LLM processing, optionally narrowed by a filter
+ReportSchema.statics.findReadyForProcessing = function(limit = 10, filter = {}) {
   return this.find({
+    ...filter,
     parsedByLLM: false,
     status: 'new'
   })
@@ -196,6 +214,13 @@ ReportSchema.methods.markAsFailed = function(errorMessage) {
   return this.save();
 };
 
+// Instance method to send a report whose parsing failed back to the parsing pipeline
+ReportSchema.methods.markForRetry = function(errorMessage) {
+  this.status = 'new';
+  this.error = errorMessage;
+  return this.save();
+};
+
 // Instance method to extract keywords from text
 ReportSchema.methods.extractKeywords = function(keywordsList) {
   const text = this.text.toLowerCase();
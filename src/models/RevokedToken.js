@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// An access token revoked before it expired (on logout), by its JWT ID. Checked by the
+// protect middleware; the entry is only needed until the token would have expired anyway.
+const RevokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    default: 'logout'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index - entries are removed once the token has expired
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Messages between two IDs (both excluded) that were not scraped yet, left when a run hit
+// its page limit before reaching the cursor
+const GapSchema = new mongoose.Schema({
+  // The cursor when the gap was left
+  newerThan: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  // The oldest message scraped above the gap
+  olderThan: {
+    type: Number,
+    min: 0,
+    required: true
+  }
+}, { _id: false });
+
+// Scraping state of a Telegram channel: the newest message already scraped (the cursor),
+// the range still to scrape below it and the outcome of recent runs
+const TelegramChannelStateSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: [true, 'Channel name is required'],
+    unique: true,
+    trim: true
+  },
+  lastMessageId: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  lastMessageDate: {
+    type: Date,
+    default: null
+  },
+  gap: {
+    type: GapSchema,
+    default: null
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lastSuccessAt: {
+    type: Date,
+    default: null
+  },
+  consecutiveFailures: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the state of a channel (null if it was never scraped)
+TelegramChannelStateSchema.statics.findByChannel = function(channel) {
+  return this.findOne({ channel });
+};
+
+// Static method to record a successful run. The cursor only ever moves forward; the gap
+// is replaced when given (null once it is filled) and left as is otherwise.
+TelegramChannelStateSchema.statics.recordSuccess = function(channel, { lastMessageId = null, lastMessageDate = null } = {}, { gap } = {}) {
+  const now = new Date();
+  const update = {
+    $set: {
+      lastAttemptAt: now,
+      lastSuccessAt: now,
+      consecutiveFailures: 0,
+      lastError: null
+    }
+  };
+
+  if (gap !== undefined) {
+    update.$set.gap = gap;
+  }
+
+  if (lastMessageId !== null) {
+    update.$max = { lastMessageId, lastMessageDate };
+  }
+
+  return this.findOneAndUpdate({ channel }, update, { new: true, upsert: true, setDefaultsOnInsert: true });
+};
+
+// Static method to record a failed run
+TelegramChannelStateSchema.statics.recordFailure = function(channel, errorMessage) {
+  return this.findOneAndUpdate(
+    { channel },
+    {
+      $set: { lastAttemptAt: new Date(), lastError: errorMessage },
+      $inc: { consecutiveFailures: 1 }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('TelegramChannelState', TelegramChannelStateSchema);
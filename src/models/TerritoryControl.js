@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
+const { TERRITORY_CONTROLLERS } = require('../config/perpetratorCatalogue');
 
 // Schema for localized string
 const LocalizedStringSchema = new mongoose.Schema({
@@ -23,22 +24,7 @@ const TerritoryFeaturePropertiesSchema = new mongoose.Schema({
   },
   controlledBy: {
     type: String,
-    enum: [
-      'assad_regime',
-      'post_8th_december_government', 
-      'various_armed_groups',
-      'isis',
-      'sdf',
-      'israel',
-      'turkey',
-      'druze_militias',
-      'russia',
-      'iran_shia_militias',
-      'international_coalition',
-      'unknown',
-      'FOREIGN_MILITARY',
-      'REBEL_GROUP'
-    ],
+    enum: TERRITORY_CONTROLLERS,
     required: [true, 'Controlled by field is required']
   },
   color: {
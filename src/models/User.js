@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const config = require('../config/config');
 
 const UserSchema = new mongoose.Schema({
@@ -36,6 +37,13 @@ const UserSchema = new mongoose.Schema({
   },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Bumped to end every session of the user: access tokens signed with an older
+  // version are refused (see middleware/auth)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -45,18 +53,28 @@ const UserSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
+  }
+
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
+// Sign a short lived access token and return it. The JWT ID lets a single token be
+// revoked, the token version all tokens of the user at once.
 UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id, role: this.role }, config.jwtSecret, {
-    expiresIn: config.jwtExpiresIn
-  });
+  return jwt.sign(
+    { id: this._id, role: this.role, ver: this.tokenVersion || 0 },
+    config.jwtSecret,
+    {
+      expiresIn: config.jwtExpiresIn,
+      jwtid: crypto.randomUUID()
+    }
+  );
 };
 
 // Match user entered password to hashed password in database
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const { normalizeText } = require('../utils/textNormalizer');
+
+// Schema for a name written in English and/or Arabic
+const VictimNameSchema = new mongoose.Schema({
+  en: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'English name cannot be more than 200 characters'],
+    default: ''
+  },
+  ar: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Arabic name cannot be more than 200 characters'],
+    default: ''
+  }
+}, { _id: false });
+
+const hasName = (value) => Boolean(value && ((value.en && value.en.trim()) || (value.ar && value.ar.trim())));
+
+// An individual person in the victim registry. Violations link to victims through
+// victims[].victim so the same person can be followed across incidents.
+const VictimSchema = new mongoose.Schema({
+  name: {
+    type: VictimNameSchema,
+    required: [true, 'Victim name is required'],
+    validate: {
+      validator: hasName,
+      message: 'Victim name is required in English or Arabic'
+    }
+  },
+  // Other spellings or names the person is known by
+  aliases: {
+    type: [VictimNameSchema],
+    default: [],
+    validate: {
+      validator: (value) => value.every(hasName),
+      message: 'Aliases must have an English or Arabic name'
+    }
+  },
+  birth_year: {
+    type: Number,
+    min: [1900, 'Birth year must be 1900 or later'],
+    validate: {
+      validator: function(value) {
+        return value === undefined || value === null || value <= new Date().getFullYear();
+      },
+      message: 'Birth year cannot be in the future'
+    }
+  },
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'other', 'unknown'],
+    default: 'unknown'
+  },
+  hometown: {
+    type: VictimNameSchema,
+    default: { en: '', ar: '' }
+  },
+  // Restricted victims are only visible to editors and admins (e.g. at the family's request)
+  restricted: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot be more than 2000 characters'],
+    default: ''
+  },
+  // Normalized name and alias spellings used for search and duplicate detection
+  name_keys: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Set when this record was merged into another victim record
+  merged_into: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Victim',
+    default: null
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+VictimSchema.index({ name_keys: 1 });
+VictimSchema.index({ merged_into: 1, restricted: 1 });
+
+/**
+ * Build the normalized name keys of a victim from its name and aliases
+ * @param {Object} victim - Victim data with name and aliases
+ * @returns {Array<String>} - Unique normalized spellings
+ */
+VictimSchema.statics.buildNameKeys = function(victim) {
+  const names = [victim.name, ...(victim.aliases || [])].filter(Boolean);
+  const keys = names.flatMap(name => [normalizeText(name.en), normalizeText(name.ar)]);
+  return [...new Set(keys.filter(Boolean))];
+};
+
+// Keep name keys in sync with the name and aliases
+VictimSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('name') || this.isModified('aliases')) {
+    this.name_keys = this.constructor.buildNameKeys(this);
+  }
+  next();
+});
+
+// Add pagination plugin
+VictimSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('Victim', VictimSchema);
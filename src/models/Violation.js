@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
+require('./Victim');
+const { PERPETRATOR_AFFILIATIONS, TERRITORY_CONTROLLERS } = require('../config/perpetratorCatalogue');
+const { SEARCH_TEXT_WEIGHTS, SEARCH_SOURCE_FIELDS, buildSearchText } = require('../utils/searchText');
 
 // Enum for violation types
 const ViolationTypes = {
@@ -21,6 +24,35 @@ const ViolationTypes = {
   OTHER: 'OTHER'
 };
 
+// Editorial review states
+const ReviewStatuses = {
+  DRAFT: 'draft',
+  PENDING_REVIEW: 'pending_review',
+  PUBLISHED: 'published',
+  REJECTED: 'rejected'
+};
+
+// Outcome of geocoding the location. Low quality and failed geocodes wait for an editor.
+const GeocodingStatuses = {
+  OK: 'ok',
+  LOW_QUALITY: 'low_quality',
+  FAILED: 'failed',
+  MANUAL: 'manual'
+};
+
+// Allowed review state transitions (from -> [to])
+const ReviewTransitions = {
+  draft: ['pending_review'],
+  pending_review: ['published', 'rejected', 'draft'],
+  rejected: ['pending_review', 'draft'],
+  published: ['pending_review']
+};
+
+// Fields managed by the delete, review and merge commands that must never come from user input
+const SOFT_DELETE_FIELDS = ['deleted_at', 'deleted_by', 'deletion_reason'];
+const REVIEW_FIELDS = ['review_status', 'reviewed_by', 'reviewed_at', 'review_notes'];
+const MERGE_FIELDS = ['merged_into'];
+
 // Schema for localized string
 const LocalizedStringSchema = new mongoose.Schema({
   en: {
@@ -47,6 +79,11 @@ const OptionalLocalizedStringSchema = new mongoose.Schema({
 
 // Schema for victim information
 const VictimSchema = new mongoose.Schema({
+  // Person in the victim registry, when identified
+  victim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Victim'
+  },
   age: {
     type: Number,
     min: [0, 'Age must be at least 0'],
@@ -283,10 +320,16 @@ const ViolationSchema = new mongoose.Schema({
   },
   perpetrator_affiliation: {
     type: String,
-    enum: ['assad_regime', 'post_8th_december_government', 'various_armed_groups', 'isis', 'sdf', 'israel', 'turkey', 'druze_militias', 'russia', 'iran_shia_militias', 'international_coalition', 'bedouins', 'unknown'],
+    enum: PERPETRATOR_AFFILIATIONS,
     required: [true, 'Perpetrator affiliation is required'],
     default: 'unknown'
   },
+  // Catalogued unit, group or individual; its affiliation overrides perpetrator_affiliation
+  perpetrator_entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Perpetrator',
+    default: null
+  },
   media_links: {
     type: [String],
     validate: {
@@ -332,6 +375,133 @@ const ViolationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Editorial review state. Only published violations are publicly visible.
+  review_status: {
+    type: String,
+    enum: {
+      values: Object.values(ReviewStatuses),
+      message: 'Invalid review status'
+    },
+    default: ReviewStatuses.PUBLISHED,
+    index: true
+  },
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_at: {
+    type: Date
+  },
+  review_notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review notes cannot be more than 1000 characters']
+  },
+  // Soft delete (tombstone) fields. Deleted violations are hidden from queries
+  // and stats, can be restored from the trash, and are purged after retention.
+  deleted_at: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deleted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletion_reason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Deletion reason cannot be more than 1000 characters']
+  },
+  // Set when the violation was merged into another record; its ID then redirects to the survivor
+  merged_into: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Violation',
+    default: null,
+    index: true
+  },
+  // Who controlled the territory containing the location on the incident date, taken from
+  // the territory control map in effect then. Recomputed when the date, location or map changes.
+  territory_control: {
+    type: new mongoose.Schema({
+      controlled_by: {
+        type: String,
+        enum: TERRITORY_CONTROLLERS,
+        default: null
+      },
+      territory: {
+        type: String,
+        default: null
+      },
+      map: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TerritoryControl',
+        default: null
+      },
+      map_date: {
+        type: Date,
+        default: null
+      },
+      resolved_at: {
+        type: Date
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // Canonical place codes of the location, assigned from the administrative boundary
+  // reference data (see commands/adminBoundaries). Recomputed when the location changes.
+  admin_codes: {
+    type: new mongoose.Schema({
+      governorate: { type: String, default: null },
+      district: { type: String, default: null },
+      sub_district: { type: String, default: null }
+    }, { _id: false }),
+    default: null
+  },
+  // How the coordinates were found. Low quality and failed geocodes keep a few candidate
+  // points and wait in the geocoding review queue until an editor picks or drops a pin.
+  geocoding: {
+    type: new mongoose.Schema({
+      status: {
+        type: String,
+        enum: Object.values(GeocodingStatuses),
+        default: GeocodingStatuses.OK
+      },
+      quality: { type: Number, min: 0, max: 1, default: null },
+      // GeocodingCache source of the result (gazetteer, nominatim, geocoding_api, manual, ...)
+      source: { type: String, default: null },
+      error: { type: String, default: null },
+      candidates: {
+        type: [new mongoose.Schema({
+          coordinates: { type: [Number], required: true }, // [longitude, latitude]
+          label: { type: String, default: '' },
+          quality: { type: Number, default: null },
+          source: { type: String, default: null }
+        }, { _id: false })],
+        default: []
+      },
+      reviewed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      reviewed_at: {
+        type: Date,
+        default: null
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // Normalized bilingual text carrying the full-text index, rebuilt when the source fields change
+  search_text: {
+    type: new mongoose.Schema({
+      description: { type: String, default: '' },
+      location: { type: String, default: '' },
+      perpetrator: { type: String, default: '' },
+      tags: { type: String, default: '' }
+    }, { _id: false }),
+    select: false
+  },
   // Hash of key violation fields to prevent identical duplicates
   content_hash: {
     type: String,
@@ -353,6 +523,40 @@ const ViolationSchema = new mongoose.Schema({
 // Create a 2dsphere index for geospatial queries
 ViolationSchema.index({ 'location.coordinates': '2dsphere' });
 
+// Index victim registry links for per-victim timelines
+ViolationSchema.index({ 'victims.victim': 1 });
+
+// Index catalogued perpetrator links for rollup statistics
+ViolationSchema.index({ perpetrator_entity: 1 });
+
+// Index territory controllers for statistics and filtering
+ViolationSchema.index({ 'territory_control.controlled_by': 1 });
+
+// Index admin codes for statistics and filtering
+ViolationSchema.index({ 'admin_codes.governorate': 1 });
+ViolationSchema.index({ 'admin_codes.district': 1 });
+ViolationSchema.index({ 'admin_codes.sub_district': 1 });
+
+// Index geocoding outcomes for the geocoding review queue
+ViolationSchema.index({ 'geocoding.status': 1 });
+
+// Full-text index over the normalized text. Arabic has no MongoDB stemmer, so no language
+// is applied; normalization happens in utils/searchText instead.
+ViolationSchema.index(
+  {
+    'search_text.location': 'text',
+    'search_text.perpetrator': 'text',
+    'search_text.tags': 'text',
+    'search_text.description': 'text'
+  },
+  {
+    name: 'violation_text_search',
+    weights: SEARCH_TEXT_WEIGHTS,
+    default_language: 'none',
+    language_override: 'search_language'
+  }
+);
+
 // Method to generate content hash
 ViolationSchema.methods.generateContentHash = function() {
   const crypto = require('crypto');
@@ -387,9 +591,39 @@ ViolationSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the search text in sync with the fields it is built from
+ViolationSchema.pre('save', function(next) {
+  if (this.isNew || SEARCH_SOURCE_FIELDS.some(field => this.isModified(field))) {
+    this.search_text = buildSearchText(this);
+  }
+  next();
+});
+
+// findByIdAndUpdate skips save hooks, so rebuild the search text after updates that touch its fields
+ViolationSchema.post('findOneAndUpdate', async function(doc) {
+  if (!doc) return;
+
+  const update = this.getUpdate() || {};
+  const paths = [...Object.keys(update), ...Object.keys(update.$set || {})];
+  const touchesSearchText = paths.some(path => SEARCH_SOURCE_FIELDS.some(field => path === field || path.startsWith(`${field}.`)));
+
+  if (!touchesSearchText) return;
+
+  const current = await this.model.findById(doc._id).select(SEARCH_SOURCE_FIELDS.join(' ')).lean();
+  if (current) {
+    await this.model.updateOne({ _id: doc._id }, { $set: { search_text: buildSearchText(current) } });
+  }
+});
+
 // Add pagination plugin
 ViolationSchema.plugin(mongoosePaginate);
 
+// Static method to check whether a review state transition is allowed
+ViolationSchema.statics.canTransitionReview = function(fromStatus, toStatus) {
+  const allowed = ReviewTransitions[fromStatus || ReviewStatuses.PUBLISHED] || [];
+  return allowed.includes(toStatus);
+};
+
 // Format dates to YYYY-MM-DD when converting to JSON
 ViolationSchema.methods.toJSON = function() {
   const violation = this.toObject();
@@ -540,6 +774,42 @@ ViolationSchema.statics._validateBusinessRules = async function(data, errors, op
       }
     });
   }
+
+  // Linked victims must exist in the registry and not have been merged away
+  const linkedVictims = (data.victims || [])
+    .map((victim, index) => ({ id: victim && victim.victim, index }))
+    .filter(link => link.id);
+
+  if (linkedVictims.length > 0) {
+    const invalidLinks = linkedVictims.filter(link => !mongoose.Types.ObjectId.isValid(link.id));
+    invalidLinks.forEach(link => {
+      errors.push({
+        field: `victims[${link.index}].victim`,
+        message: 'Victim reference must be a valid ID'
+      });
+    });
+
+    const validIds = linkedVictims
+      .filter(link => mongoose.Types.ObjectId.isValid(link.id))
+      .map(link => String(link.id));
+
+    if (validIds.length > 0) {
+      const existing = await mongoose.model('Victim')
+        .find({ _id: { $in: validIds }, merged_into: null })
+        .select('_id')
+        .lean();
+      const existingIds = new Set(existing.map(victim => String(victim._id)));
+
+      linkedVictims.forEach(link => {
+        if (mongoose.Types.ObjectId.isValid(link.id) && !existingIds.has(String(link.id))) {
+          errors.push({
+            field: `victims[${link.index}].victim`,
+            message: `Victim ${link.id} was not found in the victim registry`
+          });
+        }
+      });
+    }
+  }
 };
 
 // Static method for sanitization/normalization
@@ -593,6 +863,9 @@ ViolationSchema.statics.sanitizeData = function(violationData) {
     });
   }
   
+  // Deletion, review and merge state are managed by their own commands only
+  [...SOFT_DELETE_FIELDS, ...REVIEW_FIELDS, ...MERGE_FIELDS].forEach(field => delete sanitized[field]);
+
   // Set required defaults
   if (sanitized.verified === undefined) sanitized.verified = false;
   if (!sanitized.perpetrator_affiliation) sanitized.perpetrator_affiliation = 'unknown';
@@ -639,4 +912,7 @@ ViolationSchema.statics.sanitizeData = function(violationData) {
   return sanitized;
 };
 
-module.exports = mongoose.model('Violation', ViolationSchema);
\ No newline at end of file
+module.exports = mongoose.model('Violation', ViolationSchema);
+module.exports.SOFT_DELETE_FIELDS = SOFT_DELETE_FIELDS;
+module.exports.REVIEW_FIELDS = REVIEW_FIELDS;
+module.exports.MERGE_FIELDS = MERGE_FIELDS;
\ No newline at end of file
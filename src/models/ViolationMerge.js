@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Whether a merge is in effect or has been split back apart
+const ViolationMergeStatuses = ['active', 'reverted'];
+
+// Record of one violation being merged into another, kept so the merge can be undone
+const ViolationMergeSchema = new mongoose.Schema({
+  // Surviving violation that received the merged data
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Violation',
+    required: [true, 'Target violation is required']
+  },
+  // Violation that was merged away and now redirects to the target
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Violation',
+    required: [true, 'Source violation is required']
+  },
+  // Per-field choices made by the editor ({ field: 'source' | 'target' })
+  field_choices: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // State of both records immediately before the merge
+  source_snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Source snapshot is required']
+  },
+  target_snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Target snapshot is required']
+  },
+  // Last modification of the target written by the merge; detects later edits of merges
+  // recorded before target_revision was kept
+  target_updated_at: {
+    type: Date
+  },
+  // Revision number of the target written by the merge, used to detect later edits
+  target_revision: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ViolationMergeStatuses,
+    default: 'active'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Merge reason cannot be more than 1000 characters'],
+    default: ''
+  },
+  merged_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  unmerged_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  unmerged_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+ViolationMergeSchema.index({ source: 1, status: 1 });
+ViolationMergeSchema.index({ target: 1, createdAt: -1 });
+
+const ViolationMerge = mongoose.model('ViolationMerge', ViolationMergeSchema);
+
+module.exports = ViolationMerge;
+module.exports.ViolationMergeStatuses = ViolationMergeStatuses;
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// Actions that produce a revision
+const RevisionActions = ['create', 'update', 'merge', 'unmerge', 'delete', 'restore', 'purge', 'review', 'revert'];
+
+// Schema for a single field-level change
+const FieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: [true, 'Changed field path is required']
+  },
+  old_value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  new_value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// Immutable revision record for a violation
+const ViolationRevisionSchema = new mongoose.Schema({
+  violation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Violation',
+    required: [true, 'Violation reference is required']
+  },
+  revision_number: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: [1, 'Revision number must be at least 1']
+  },
+  action: {
+    type: String,
+    enum: RevisionActions,
+    required: [true, 'Revision action is required']
+  },
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Revision reason cannot be more than 1000 characters'],
+    default: ''
+  },
+  changes: {
+    type: [FieldChangeSchema],
+    default: []
+  },
+  // Full state of the violation captured by this revision (used for reverts)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Extra context such as merge sources or revert targets
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// One revision number per violation, listed newest first
+ViolationRevisionSchema.index({ violation: 1, revision_number: -1 }, { unique: true });
+ViolationRevisionSchema.index({ changed_by: 1, createdAt: -1 });
+
+// Add pagination plugin
+ViolationRevisionSchema.plugin(mongoosePaginate);
+
+// Revisions are append-only: block any attempt to modify an existing record
+const rejectMutation = function(next) {
+  next(new Error('Violation revisions are immutable'));
+};
+
+ViolationRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+ViolationRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+// Remove a revision whose write failed. Revisions are stored before the write they
+// record, so this is the one deletion allowed, and it bypasses the hooks above.
+ViolationRevisionSchema.statics.discard = function(revisionId) {
+  return this.collection.deleteOne({ _id: revisionId });
+};
+
+// Static method to get the next revision number for a violation
+ViolationRevisionSchema.statics.getNextRevisionNumber = async function(violationId) {
+  const latest = await this.findOne({ violation: violationId })
+    .sort({ revision_number: -1 })
+    .select('revision_number');
+
+  return latest ? latest.revision_number + 1 : 1;
+};
+
+const ViolationRevision = mongoose.model('ViolationRevision', ViolationRevisionSchema);
+
+module.exports = ViolationRevision;
+module.exports.RevisionActions = RevisionActions;
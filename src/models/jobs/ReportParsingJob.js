@@ -27,10 +27,24 @@ const ReportParsingJobSchema = new mongoose.Schema({
       required: false
     }
   },
+  // Scraped report parsed by this job; manual submissions have none
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null
+  },
+  // Archived media of the report, added to the media links of every violation created
+  mediaLinks: {
+    type: [String],
+    default: []
+  },
+  // Jobs queued automatically for scraped reports have no submitter
   submittedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.report;
+    }
   },
   status: {
     type: String,
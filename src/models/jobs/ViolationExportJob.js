@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Formats a violation export can be produced in
+const ExportFormats = ['csv', 'geojson', 'xlsx'];
+
+// Schema for a background violation export
+const ViolationExportJobSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: ExportFormats,
+    required: [true, 'Export format is required']
+  },
+  // Query parameters accepted by buildFilterQuery
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  // Number of violations matching the filters when the job was created
+  totalViolations: {
+    type: Number,
+    default: 0
+  },
+  exportedViolations: {
+    type: Number,
+    default: 0
+  },
+  // Spreadsheet rows written (one per victim, so this can exceed the violation count)
+  exportedRows: {
+    type: Number,
+    default: 0
+  },
+  fileName: {
+    type: String
+  },
+  filePath: {
+    type: String,
+    select: false
+  },
+  error: {
+    type: String,
+    required: false
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+ViolationExportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ViolationExportJob', ViolationExportJobSchema);
+module.exports.ExportFormats = ExportFormats;
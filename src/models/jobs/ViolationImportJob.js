@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// How rows that look like an existing violation are handled during an import
+const DuplicateHandlingModes = ['candidate', 'merge', 'skip'];
+
+// Schema for a background violation import
+const ViolationImportJobSchema = new mongoose.Schema({
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportMappingProfile',
+    required: [true, 'Mapping profile is required']
+  },
+  // Original name of the uploaded file
+  fileName: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  filePath: {
+    type: String,
+    select: false
+  },
+  options: {
+    duplicateHandling: {
+      type: String,
+      enum: DuplicateHandlingModes,
+      default: 'candidate'
+    },
+    reviewStatus: {
+      type: String,
+      enum: ['draft', 'pending_review', 'published'],
+      default: 'pending_review'
+    }
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  error: {
+    type: String,
+    required: false
+  },
+  results: {
+    totalRows: {
+      type: Number,
+      default: 0
+    },
+    totalRecords: {
+      type: Number,
+      default: 0
+    },
+    createdCount: {
+      type: Number,
+      default: 0
+    },
+    mergedCount: {
+      type: Number,
+      default: 0
+    },
+    skippedCount: {
+      type: Number,
+      default: 0
+    },
+    failedCount: {
+      type: Number,
+      default: 0
+    },
+    violations: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Violation'
+      }
+    ],
+    // Records that were not imported, identified by their spreadsheet row numbers
+    failedRecords: [
+      {
+        rows: [Number],
+        status: String,
+        reasons: [String]
+      }
+    ]
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ViolationImportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ViolationImportJob', ViolationImportJobSchema);
+module.exports.DuplicateHandlingModes = DuplicateHandlingModes;
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getAdminBoundaries,
+  getAdminBoundary,
+  assignViolations
+} = require('../controllers/adminBoundariesController');
+
+const {
+  validateRequest,
+  adminBoundaryFilterRules,
+  adminBoundaryCodeParamRules
+} = require('../middleware/validators');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', adminBoundaryFilterRules, validateRequest, getAdminBoundaries);
+router.get('/:code', adminBoundaryCodeParamRules, validateRequest, getAdminBoundary);
+
+// Protected routes
+router.post('/assign-violations', protect, authorize('admin'), assignViolations);
+
+module.exports = router;
@@ -3,13 +3,16 @@ const {
   register,
   login,
   getMe,
-  logout
+  refresh,
+  logout,
+  logoutAll
 } = require('../controllers/authController');
 
 const {
   validateRequest,
   userRegistrationRules,
-  userLoginRules
+  userLoginRules,
+  refreshTokenRules
 } = require('../middleware/validators');
 
 const { protect } = require('../middleware/auth');
@@ -19,6 +22,9 @@ const router = express.Router();
 router.post('/register', userRegistrationRules, validateRequest, register);
 router.post('/login', userLoginRules, validateRequest, login);
 router.get('/me', protect, getMe);
+router.post('/refresh', refreshTokenRules, validateRequest, refresh);
 router.get('/logout', logout);
+router.post('/logout', refreshTokenRules, validateRequest, logout);
+router.post('/logout-all', protect, logoutAll);
 
 module.exports = router;
\ No newline at end of file
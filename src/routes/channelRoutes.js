@@ -0,0 +1,42 @@
+const express = require('express');
+const {
+  getChannels,
+  getFilterDecisions,
+  getFilterStats,
+  getChannel,
+  createChannel,
+  seedChannels,
+  testChannel,
+  updateChannel,
+  deleteChannel
+} = require('../controllers/channelsController');
+
+const {
+  validateRequest,
+  idParamRules,
+  channelRules,
+  channelUpdateRules,
+  channelFilterRules,
+  filterDecisionRules
+} = require('../middleware/validators');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected and for admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', channelFilterRules, validateRequest, getChannels);
+router.post('/', channelRules, validateRequest, createChannel);
+router.post('/seed', seedChannels);
+router.get('/filter-decisions', filterDecisionRules, validateRequest, getFilterDecisions);
+router.get('/filter-stats', filterDecisionRules, validateRequest, getFilterStats);
+
+router.get('/:id', idParamRules, validateRequest, getChannel);
+router.put('/:id', idParamRules, channelUpdateRules, validateRequest, updateChannel);
+router.delete('/:id', idParamRules, validateRequest, deleteChannel);
+router.post('/:id/test', idParamRules, validateRequest, testChannel);
+
+module.exports = router;
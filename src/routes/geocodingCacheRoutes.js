@@ -0,0 +1,42 @@
+const express = require('express');
+const {
+  getCacheEntries,
+  getCacheStats,
+  getCacheEntry,
+  updateCacheEntry,
+  pinCacheEntry,
+  unpinCacheEntry,
+  addCacheAlias,
+  removeCacheAlias,
+  deleteCacheEntry
+} = require('../controllers/geocodingCacheController');
+
+const {
+  validateRequest,
+  idParamRules,
+  geocodingCacheFilterRules,
+  geocodingCacheUpdateRules,
+  geocodingCacheAliasRules,
+  geocodingCacheAliasParamRules
+} = require('../middleware/validators');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected and for admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', geocodingCacheFilterRules, validateRequest, getCacheEntries);
+router.get('/stats', getCacheStats);
+
+router.get('/:id', idParamRules, validateRequest, getCacheEntry);
+router.put('/:id', idParamRules, geocodingCacheUpdateRules, validateRequest, updateCacheEntry);
+router.delete('/:id', idParamRules, validateRequest, deleteCacheEntry);
+router.post('/:id/pin', idParamRules, validateRequest, pinCacheEntry);
+router.post('/:id/unpin', idParamRules, validateRequest, unpinCacheEntry);
+router.post('/:id/aliases', idParamRules, geocodingCacheAliasRules, validateRequest, addCacheAlias);
+router.delete('/:id/aliases/:aliasId', geocodingCacheAliasParamRules, validateRequest, removeCacheAlias);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getKeywordSets,
+  getKeywordSet,
+  createKeywordSet,
+  seedKeywordSets,
+  updateKeywordSet,
+  deleteKeywordSet
+} = require('../controllers/keywordSetsController');
+
+const {
+  validateRequest,
+  idParamRules,
+  keywordSetRules,
+  keywordSetUpdateRules,
+  keywordSetFilterRules
+} = require('../middleware/validators');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected and for admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', keywordSetFilterRules, validateRequest, getKeywordSets);
+router.post('/', keywordSetRules, validateRequest, createKeywordSet);
+router.post('/seed', seedKeywordSets);
+
+router.get('/:id', idParamRules, validateRequest, getKeywordSet);
+router.put('/:id', idParamRules, keywordSetUpdateRules, validateRequest, updateKeywordSet);
+router.delete('/:id', idParamRules, validateRequest, deleteKeywordSet);
+
+module.exports = router;
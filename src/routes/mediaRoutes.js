@@ -0,0 +1,9 @@
+const express = require('express');
+const { getMediaFile } = require('../controllers/mediaController');
+
+const router = express.Router();
+
+// Archived media is linked from reports and violations, so it is public like them
+router.get('/:key', getMediaFile);
+
+module.exports = router;
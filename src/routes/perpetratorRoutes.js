@@ -0,0 +1,65 @@
+const express = require('express');
+const {
+  getPerpetrators,
+  getPerpetratorTree,
+  getPerpetratorStats,
+  getPerpetrator,
+  createPerpetrator,
+  seedPerpetrators,
+  linkViolations,
+  updatePerpetrator,
+  deletePerpetrator
+} = require('../controllers/perpetratorsController');
+
+const {
+  validateRequest,
+  idParamRules,
+  perpetratorRules,
+  perpetratorUpdateRules,
+  perpetratorFilterRules,
+  perpetratorStatsRules
+} = require('../middleware/validators');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', perpetratorFilterRules, validateRequest, getPerpetrators);
+router.get('/tree', perpetratorFilterRules, validateRequest, getPerpetratorTree);
+router.get('/stats', perpetratorStatsRules, validateRequest, getPerpetratorStats);
+router.get('/:id', idParamRules, validateRequest, getPerpetrator);
+
+// Protected routes
+router.post(
+  '/',
+  protect,
+  authorize('editor', 'admin'),
+  perpetratorRules,
+  validateRequest,
+  createPerpetrator
+);
+
+router.post('/seed', protect, authorize('admin'), seedPerpetrators);
+router.post('/link-violations', protect, authorize('admin'), linkViolations);
+
+router.put(
+  '/:id',
+  protect,
+  authorize('editor', 'admin'),
+  idParamRules,
+  perpetratorUpdateRules,
+  validateRequest,
+  updatePerpetrator
+);
+
+router.delete(
+  '/:id',
+  protect,
+  authorize('admin'),
+  idParamRules,
+  validateRequest,
+  deletePerpetrator
+);
+
+module.exports = router;
@@ -7,15 +7,18 @@ const {
   getReport,
   getReportStats,
   getReportsReadyForProcessing,
+  triggerReportParsing,
   markReportAsProcessed,
   markReportAsFailed,
   triggerManualScraping,
   startTelegramScraping,
   stopTelegramScraping,
-  getScrapingJobStatus
+  getScrapingJobStatus,
+  getScrapingChannelStates,
+  backfillTelegramChannel
 } = require('../controllers/reportController');
 const { protect, authorize } = require('../middleware/auth');
-const { validateRequest, idParamRules } = require('../middleware/validators');
+const { validateRequest, idParamRules, telegramBackfillRules } = require('../middleware/validators');
 
 const router = express.Router();
 
@@ -30,12 +33,15 @@ router.get('/jobs', protect, authorize('admin'), getAllJobs);
 // Protected routes - Report management (Admin only) - SPECIFIC ROUTES BEFORE PARAMETERIZED
 router.get('/stats', protect, authorize('admin'), getReportStats);
 router.get('/ready-for-processing', protect, authorize('admin'), getReportsReadyForProcessing);
+router.post('/processing/trigger', protect, authorize('admin'), triggerReportParsing);
 
 // Protected routes - Telegram scraping job management (Admin only)
 router.post('/scraping/trigger', protect, authorize('admin'), triggerManualScraping);
 router.post('/scraping/start', protect, authorize('admin'), startTelegramScraping);
 router.post('/scraping/stop', protect, authorize('admin'), stopTelegramScraping);
 router.get('/scraping/status', protect, authorize('admin'), getScrapingJobStatus);
+router.get('/scraping/channels', protect, authorize('admin'), getScrapingChannelStates);
+router.post('/scraping/backfill', protect, authorize('admin'), telegramBackfillRules, validateRequest, backfillTelegramChannel);
 
 // PARAMETERIZED ROUTES LAST - these catch-all routes must be at the end
 router.get('/:id', idParamRules, validateRequest, getReport);
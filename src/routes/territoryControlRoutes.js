@@ -11,6 +11,7 @@ const {
   addFeature,
   removeFeature,
   deleteTerritoryControl,
+  refreshViolationTerritories,
   getTerritoryControlStats,
   getControllerStats,
   getTerritoryTimeline,
@@ -70,6 +71,14 @@ router.post(
   createTerritoryControl
 );
 
+// Recompute the territory controller of existing violations (admin only)
+router.post(
+  '/refresh-violations',
+  protect,
+  authorize('admin'),
+  refreshViolationTerritories
+);
+
 router.post(
   '/import',
   protect,
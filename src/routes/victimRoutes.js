@@ -0,0 +1,76 @@
+const express = require('express');
+const {
+  getVictims,
+  getVictim,
+  getVictimTimeline,
+  getVictimDuplicates,
+  createVictim,
+  updateVictim,
+  mergeVictims,
+  deleteVictim
+} = require('../controllers/victimsController');
+
+const {
+  validateRequest,
+  idParamRules,
+  victimRules,
+  victimUpdateRules,
+  victimFilterRules,
+  victimMergeRules
+} = require('../middleware/validators');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Victim identities are sensitive, so every route requires authentication
+router.get('/', protect, victimFilterRules, validateRequest, getVictims);
+router.get('/:id', protect, idParamRules, validateRequest, getVictim);
+router.get('/:id/timeline', protect, idParamRules, validateRequest, getVictimTimeline);
+router.get(
+  '/:id/duplicates',
+  protect,
+  authorize('editor', 'admin'),
+  idParamRules,
+  validateRequest,
+  getVictimDuplicates
+);
+
+router.post(
+  '/',
+  protect,
+  authorize('editor', 'admin'),
+  victimRules,
+  validateRequest,
+  createVictim
+);
+
+router.post(
+  '/:id/merge',
+  protect,
+  authorize('editor', 'admin'),
+  victimMergeRules,
+  validateRequest,
+  mergeVictims
+);
+
+router.put(
+  '/:id',
+  protect,
+  authorize('editor', 'admin'),
+  idParamRules,
+  victimUpdateRules,
+  validateRequest,
+  updateVictim
+);
+
+router.delete(
+  '/:id',
+  protect,
+  authorize('admin'),
+  idParamRules,
+  validateRequest,
+  deleteVictim
+);
+
+module.exports = router;
@@ -1,16 +1,49 @@
 const express = require('express');
 const {
   getViolations,
+  searchViolations,
+  getViolationMap,
+  getViolationTile,
+  getViolationsInArea,
   getViolation,
   createViolation,
   createViolationsBatch,
   updateViolation,
   deleteViolation,
   getViolationsInRadius,
+  getViolationStats,
   getViolationsByType,
   getViolationsByLocation,
   getViolationsByYear,
-  getViolationsTotal
+  getViolationsTotal,
+  getViolationHistory,
+  revertViolation,
+  getDeletedViolations,
+  restoreViolation,
+  getReviewQueue,
+  submitForReview,
+  approveViolation,
+  rejectViolation,
+  getDuplicateCandidates,
+  getDuplicateCandidate,
+  scanForDuplicates,
+  confirmDuplicateCandidate,
+  dismissDuplicateCandidate,
+  getGeocodingReviewQueue,
+  resolveGeocodingReview,
+  mergeViolation,
+  unmergeViolation,
+  exportViolations,
+  getExportJob,
+  downloadExport,
+  previewImport,
+  importViolations,
+  getImportJob,
+  getImportProfiles,
+  getImportProfile,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile
 } = require('../controllers/violationsController');
 
 const {
@@ -18,21 +51,103 @@ const {
   violationRules,
   batchViolationsRules,
   idParamRules,
-  violationFilterRules
+  revisionParamRules,
+  revisionReasonRules,
+  reviewQueueRules,
+  reviewActionRules,
+  mergeViolationRules,
+  unmergeViolationRules,
+  duplicateCandidateQueryRules,
+  duplicateCandidateRules,
+  geocodingReviewQueueRules,
+  geocodingReviewRules,
+  exportRules,
+  exportJobRules,
+  importRules,
+  importJobRules,
+  importProfileIdRules,
+  importProfileRules,
+  importProfileUpdateRules,
+  violationFilterRules,
+  violationSearchRules,
+  violationMapRules,
+  violationTileRules,
+  violationSpatialRules,
+  violationStatsRules
 } = require('../middleware/validators');
 
 const { protect, authorize } = require('../middleware/auth');
+const { importFileUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
 // Public routes
 router.get('/', violationFilterRules, validateRequest, getViolations);
+router.get('/search', violationSearchRules, validateRequest, searchViolations);
+router.get('/map', violationMapRules, validateRequest, getViolationMap);
+router.get('/tiles/:z/:x/:y.mvt', violationTileRules, validateRequest, getViolationTile);
+router.get('/stats', violationStatsRules, validateRequest, getViolationStats);
 router.get('/stats/type', protect, authorize('admin'), getViolationsByType);
 router.get('/stats/location', protect, authorize('admin'), getViolationsByLocation);
 router.get('/stats/yearly', protect, authorize('admin'), getViolationsByYear);
 router.get('/stats/total', protect, authorize('admin'), getViolationsTotal);
+router.get('/trash', protect, authorize('admin'), getDeletedViolations);
+router.get(
+  '/review',
+  protect,
+  authorize('editor', 'admin'),
+  reviewQueueRules,
+  violationFilterRules,
+  validateRequest,
+  getReviewQueue
+);
+router.get(
+  '/duplicates',
+  protect,
+  authorize('editor', 'admin'),
+  duplicateCandidateQueryRules,
+  validateRequest,
+  getDuplicateCandidates
+);
+router.get(
+  '/duplicates/:candidateId',
+  protect,
+  authorize('editor', 'admin'),
+  duplicateCandidateRules,
+  validateRequest,
+  getDuplicateCandidate
+);
+router.get(
+  '/geocoding-review',
+  protect,
+  authorize('editor', 'admin'),
+  geocodingReviewQueueRules,
+  validateRequest,
+  getGeocodingReviewQueue
+);
+router.get(
+  '/export',
+  protect,
+  exportRules,
+  violationFilterRules,
+  validateRequest,
+  exportViolations
+);
+router.get('/export/:jobId', protect, exportJobRules, validateRequest, getExportJob);
+router.get('/export/:jobId/download', protect, exportJobRules, validateRequest, downloadExport);
+router.get('/import/profiles', protect, authorize('editor', 'admin'), getImportProfiles);
+router.get(
+  '/import/profiles/:profileId',
+  protect,
+  authorize('editor', 'admin'),
+  importProfileIdRules,
+  validateRequest,
+  getImportProfile
+);
+router.get('/import/:jobId', protect, importJobRules, validateRequest, getImportJob);
 router.get('/radius/:latitude/:longitude/:radius', getViolationsInRadius);
 router.get('/:id', idParamRules, validateRequest, getViolation);
+router.post('/spatial', violationSpatialRules, validateRequest, getViolationsInArea);
 
 // Protected routes
 router.post(
@@ -53,12 +168,175 @@ router.post(
   createViolationsBatch
 );
 
+router.post(
+  '/import/preview',
+  protect,
+  authorize('editor', 'admin'),
+  importFileUpload,
+  importRules,
+  validateRequest,
+  previewImport
+);
+
+router.post(
+  '/import',
+  protect,
+  authorize('editor', 'admin'),
+  importFileUpload,
+  importRules,
+  validateRequest,
+  importViolations
+);
+
+router.post(
+  '/import/profiles',
+  protect,
+  authorize('editor', 'admin'),
+  importProfileRules,
+  validateRequest,
+  createImportProfile
+);
+
+router.put(
+  '/import/profiles/:profileId',
+  protect,
+  authorize('editor', 'admin'),
+  importProfileIdRules,
+  importProfileUpdateRules,
+  validateRequest,
+  updateImportProfile
+);
+
+router.delete(
+  '/import/profiles/:profileId',
+  protect,
+  authorize('admin'),
+  importProfileIdRules,
+  validateRequest,
+  deleteImportProfile
+);
+
+router.get(
+  '/:id/history',
+  protect,
+  authorize('editor', 'admin'),
+  idParamRules,
+  validateRequest,
+  getViolationHistory
+);
+
+router.post(
+  '/:id/revert/:revisionId',
+  protect,
+  authorize('editor', 'admin'),
+  revisionParamRules,
+  revisionReasonRules,
+  validateRequest,
+  revertViolation
+);
+
+router.post(
+  '/duplicates/:candidateId/confirm',
+  protect,
+  authorize('editor', 'admin'),
+  duplicateCandidateRules,
+  validateRequest,
+  confirmDuplicateCandidate
+);
+
+router.post(
+  '/duplicates/:candidateId/dismiss',
+  protect,
+  authorize('editor', 'admin'),
+  duplicateCandidateRules,
+  validateRequest,
+  dismissDuplicateCandidate
+);
+
+router.post(
+  '/:id/merge',
+  protect,
+  authorize('editor', 'admin'),
+  mergeViolationRules,
+  validateRequest,
+  mergeViolation
+);
+
+router.post(
+  '/:id/unmerge',
+  protect,
+  authorize('editor', 'admin'),
+  unmergeViolationRules,
+  revisionReasonRules,
+  validateRequest,
+  unmergeViolation
+);
+
+router.post(
+  '/:id/duplicates/scan',
+  protect,
+  authorize('editor', 'admin'),
+  idParamRules,
+  validateRequest,
+  scanForDuplicates
+);
+
+router.post(
+  '/:id/geocoding-review',
+  protect,
+  authorize('editor', 'admin'),
+  geocodingReviewRules,
+  validateRequest,
+  resolveGeocodingReview
+);
+
+router.post(
+  '/:id/submit',
+  protect,
+  authorize('editor', 'admin'),
+  idParamRules,
+  reviewActionRules,
+  validateRequest,
+  submitForReview
+);
+
+router.post(
+  '/:id/approve',
+  protect,
+  authorize('editor', 'admin'),
+  idParamRules,
+  reviewActionRules,
+  validateRequest,
+  approveViolation
+);
+
+router.post(
+  '/:id/reject',
+  protect,
+  authorize('editor', 'admin'),
+  idParamRules,
+  reviewActionRules,
+  validateRequest,
+  rejectViolation
+);
+
+router.post(
+  '/:id/restore',
+  protect,
+  authorize('admin'),
+  idParamRules,
+  revisionReasonRules,
+  validateRequest,
+  restoreViolation
+);
+
 router.put(
   '/:id',
   protect,
   authorize('editor', 'admin'),
   idParamRules,
   violationRules,
+  revisionReasonRules,
   validateRequest,
   updateViolation
 );
@@ -68,6 +346,7 @@ router.delete(
   protect,
   authorize('admin'),
   idParamRules,
+  revisionReasonRules,
   validateRequest,
   deleteViolation
 );
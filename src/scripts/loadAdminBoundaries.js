@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+
+// Load the appropriate .env file based on NODE_ENV
+let envFile = '.env';
+if (process.env.NODE_ENV === 'staging') {
+  envFile = '.env.staging';
+} else if (process.env.NODE_ENV === 'production') {
+  envFile = '.env.production';
+} else if (process.env.NODE_ENV === 'development') {
+  envFile = '.env.development';
+}
+require('dotenv').config({ path: path.resolve(__dirname, '..', '..', envFile) });
+
+const { loadAdminBoundaries, assignAdminCodes } = require('../commands/adminBoundaries');
+
+/**
+ * Load administrative boundary GeoJSON files, then assign admin codes to all violations.
+ * Usage: node src/scripts/loadAdminBoundaries.js <adm1.geojson> [adm2.geojson] [adm3.geojson] [--skip-assign]
+ */
+async function run() {
+  const args = process.argv.slice(2);
+  const files = args.filter(arg => !arg.startsWith('--'));
+  const skipAssign = args.includes('--skip-assign');
+
+  if (files.length === 0) {
+    console.error('Usage: node src/scripts/loadAdminBoundaries.js <file.geojson> [...files] [--skip-assign]');
+    process.exit(1);
+  }
+
+  try {
+    console.log('Current environment:', process.env.NODE_ENV);
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    for (const file of files) {
+      const featureCollection = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+      const result = await loadAdminBoundaries(featureCollection, { source: path.basename(file) });
+
+      console.log(`${file}: loaded ${result.loaded} boundaries`, result.levels);
+      result.failed.forEach(failure => {
+        console.log(`  Feature ${failure.index} (${failure.code || 'no code'}) skipped: ${failure.error}`);
+      });
+    }
+
+    if (!skipAssign) {
+      const assignment = await assignAdminCodes();
+      console.log(
+        `Assigned admin codes to ${assignment.assigned} violations ` +
+        `(${assignment.unassigned} outside every boundary, ${assignment.updated} changed) ` +
+        `using ${assignment.boundaries} boundaries`
+      );
+    }
+
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error('Error loading administrative boundaries:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+run();
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+
+// Load the appropriate .env file based on NODE_ENV
+let envFile = '.env';
+if (process.env.NODE_ENV === 'staging') {
+  envFile = '.env.staging';
+} else if (process.env.NODE_ENV === 'production') {
+  envFile = '.env.production';
+} else if (process.env.NODE_ENV === 'development') {
+  envFile = '.env.development';
+}
+require('dotenv').config({ path: path.resolve(__dirname, '..', '..', envFile) });
+
+const { loadGazetteer, parseAdminCodes } = require('../commands/gazetteer');
+
+/**
+ * Load Syrian places from a GeoNames dump (e.g. SY.txt) into the offline gazetteer.
+ * The GeoNames admin code files label each place with its governorate and district.
+ * Usage: node src/scripts/loadGazetteer.js <SY.txt> [--admin1=admin1CodesASCII.txt] [--admin2=admin2Codes.txt] [--feature-classes=P]
+ */
+async function run() {
+  const args = process.argv.slice(2);
+  const files = args.filter(arg => !arg.startsWith('--'));
+  const option = (name) => {
+    const arg = args.find(value => value.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  const readAdminCodes = (file) => (file ? parseAdminCodes(fs.readFileSync(path.resolve(file), 'utf8')) : new Map());
+
+  if (files.length === 0) {
+    console.error('Usage: node src/scripts/loadGazetteer.js <SY.txt> [--admin1=file] [--admin2=file] [--feature-classes=P,A]');
+    process.exit(1);
+  }
+
+  try {
+    console.log('Current environment:', process.env.NODE_ENV);
+    const admin1Names = readAdminCodes(option('admin1'));
+    const admin2Names = readAdminCodes(option('admin2'));
+    const featureClasses = (option('feature-classes') || 'P').split(',').map(value => value.trim().toUpperCase());
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    for (const file of files) {
+      const dump = fs.readFileSync(path.resolve(file), 'utf8');
+      const result = await loadGazetteer(dump, {
+        source: path.basename(file),
+        admin1Names,
+        admin2Names,
+        featureClasses
+      });
+
+      console.log(`${file}: loaded ${result.loaded} places, skipped ${result.skipped} of other feature classes`);
+      result.failed.forEach(failure => {
+        console.log(`  Line ${failure.line} skipped: ${failure.error}`);
+      });
+    }
+
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error('Error loading the gazetteer:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+run();
@@ -1,6 +1,7 @@
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
 const swaggerUi = require('swagger-ui-express');
 const YAML = require('yamljs');
@@ -27,12 +28,22 @@ const userRoutes = require('./routes/userRoutes');
 const violationRoutes = require('./routes/violationRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const territoryControlRoutes = require('./routes/territoryControlRoutes');
+const victimRoutes = require('./routes/victimRoutes');
+const perpetratorRoutes = require('./routes/perpetratorRoutes');
+const adminBoundaryRoutes = require('./routes/adminBoundaryRoutes');
+const channelRoutes = require('./routes/channelRoutes');
+const keywordSetRoutes = require('./routes/keywordSetRoutes');
+const geocodingCacheRoutes = require('./routes/geocodingCacheRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
 
 const app = express();
 
 // Body parser
 app.use(express.json());
 
+// Cookie parser (access and refresh token cookies)
+app.use(cookieParser());
+
 // Request logging
 app.use(requestLogger);
 
@@ -54,6 +65,13 @@ app.use('/api/users', userRoutes);
 app.use('/api/violations', violationRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/territory-control', territoryControlRoutes);
+app.use('/api/victims', victimRoutes);
+app.use('/api/perpetrators', perpetratorRoutes);
+app.use('/api/admin-boundaries', adminBoundaryRoutes);
+app.use('/api/channels', channelRoutes);
+app.use('/api/keyword-sets', keywordSetRoutes);
+app.use('/api/geocoding-cache', geocodingCacheRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -71,7 +89,7 @@ const { BullAdapter } = require('@bull-board/api/bullAdapter');
 const { ExpressAdapter } = require('@bull-board/express');
 
 // Import the queues
-const { reportParsingQueue, telegramScrapingQueue, startTelegramScraping } = require('./services/queueService');
+const { reportParsingQueue, telegramScrapingQueue, violationPurgeQueue, violationExportQueue, violationImportQueue, territoryRefreshQueue, startTelegramScraping, startViolationPurge } = require('./services/queueService');
 
 // Setup Bull Board
 const serverAdapter = new ExpressAdapter();
@@ -80,7 +98,11 @@ serverAdapter.setBasePath('/admin/queues');
 createBullBoard({
   queues: [
     new BullAdapter(reportParsingQueue),
-    new BullAdapter(telegramScrapingQueue)
+    new BullAdapter(telegramScrapingQueue),
+    new BullAdapter(violationPurgeQueue),
+    new BullAdapter(violationExportQueue),
+    new BullAdapter(violationImportQueue),
+    new BullAdapter(territoryRefreshQueue)
   ],
   serverAdapter
 });
@@ -138,4 +160,9 @@ if (process.env.NODE_ENV === 'production' || process.env.NODE_ENV === 'staging'
   }
 }
 
+// Schedule the purge of soft deleted violations outside of tests
+if (process.env.NODE_ENV !== 'test') {
+  startViolationPurge();
+}
+
 module.exports = server;
\ No newline at end of file
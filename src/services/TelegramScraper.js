@@ -1,10 +1,34 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const cheerio = require('cheerio');
 const yaml = require('js-yaml');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../config/logger');
 const Report = require('../models/Report');
+const TelegramChannelState = require('../models/TelegramChannelState');
+const Channel = require('../models/Channel');
+const KeywordSet = require('../models/KeywordSet');
+const FilterDecision = require('../models/FilterDecision');
+const MediaItem = require('../models/MediaItem');
+const config = require('../config/config');
+const { createMediaStorage } = require('./mediaStorage');
+const { compileKeywords, matchKeywords, filterMessage } = require('../utils/messageFilter');
+
+// Telegram web previews of a channel list about 20 messages per page
+const DEFAULT_MAX_PAGES_PER_RUN = 20;
+const DEFAULT_MAX_BACKFILL_PAGES = 500;
+
+// File extensions of the media types Telegram serves
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm'
+};
 
 class TelegramScraper {
   constructor() {
@@ -13,44 +37,44 @@ class TelegramScraper {
   }
 
   /**
-   * Load configuration from YAML files
+   * Load the scraping settings from YAML. Channels and keywords are managed through
+   * the API and loaded from the database by loadSources().
    */
   loadConfiguration() {
     try {
-      // Load channels configuration
       const channelsPath = path.join(__dirname, '../config/telegram-channels.yaml');
       const channelsData = fs.readFileSync(channelsPath, 'utf8');
       this.channelsConfig = yaml.load(channelsData);
 
-      // Load keywords configuration
-      const keywordsPath = path.join(__dirname, '../config/violation-keywords.yaml');
-      const keywordsData = fs.readFileSync(keywordsPath, 'utf8');
-      this.keywordsConfig = yaml.load(keywordsData);
-
-      // Extract active channels
-      this.activeChannels = this.channelsConfig.channels.filter(channel => channel.active);
-      
-      // Combine all keywords for matching
+      this.activeChannels = [];
+      this.keywordsConfig = { keywords: {}, context_keywords: [], location_keywords: [] };
       this.allKeywords = [];
-      Object.keys(this.keywordsConfig.keywords).forEach(violationType => {
-        this.allKeywords.push(...this.keywordsConfig.keywords[violationType]);
-      });
-      
-      // Add context and location keywords
-      if (this.keywordsConfig.context_keywords) {
-        this.allKeywords.push(...this.keywordsConfig.context_keywords);
-      }
-      if (this.keywordsConfig.location_keywords) {
-        this.allKeywords.push(...this.keywordsConfig.location_keywords);
-      }
-
-      logger.info(`Loaded ${this.activeChannels.length} active channels and ${this.allKeywords.length} keywords`);
+      this.compiledKeywords = [];
     } catch (error) {
       logger.error('Error loading configuration:', error);
       throw error;
     }
   }
 
+  /**
+   * Load the active channels and keyword sets from the database. Called at the start of
+   * every run, so changes made through the API apply from the next run without a restart.
+   */
+  async loadSources() {
+    this.activeChannels = await Channel.findActive();
+    this.keywordsConfig = await KeywordSet.buildKeywordsConfig();
+
+    // Combine all keywords for matching
+    this.allKeywords = [
+      ...Object.values(this.keywordsConfig.keywords).flat(),
+      ...this.keywordsConfig.context_keywords,
+      ...this.keywordsConfig.location_keywords
+    ];
+    this.compiledKeywords = compileKeywords(this.keywordsConfig);
+
+    logger.info(`Loaded ${this.activeChannels.length} active channels and ${this.allKeywords.length} keywords`);
+  }
+
   /**
    * Setup axios defaults for web scraping
    */
@@ -77,9 +101,12 @@ class TelegramScraper {
       failed: 0,
       newReports: 0,
       duplicates: 0,
+      dropped: 0,
       channels: []
     };
 
+    await this.loadSources();
+
     logger.info(`Starting scraping for ${this.activeChannels.length} channels`);
 
     for (const channel of this.activeChannels) {
@@ -88,13 +115,14 @@ class TelegramScraper {
         results.success++;
         results.newReports += channelResult.newReports;
         results.duplicates += channelResult.duplicates;
+        results.dropped += channelResult.dropped;
         results.channels.push({
           name: channel.name,
           status: 'success',
           ...channelResult
         });
         
-        logger.info(`Scraped ${channel.name}: ${channelResult.newReports} new reports, ${channelResult.duplicates} duplicates`);
+        logger.info(`Scraped ${channel.name}: ${channelResult.newReports} new reports, ${channelResult.duplicates} duplicates, ${channelResult.dropped} dropped by filters`);
       } catch (error) {
         results.failed++;
         results.channels.push({
@@ -115,101 +143,314 @@ class TelegramScraper {
   }
 
   /**
-   * Scrape a specific channel
+   * Scrape the messages of a channel posted since the last run. Pages backwards with
+   * ?before= until the channel cursor (the newest message already scraped) is reached;
+   * a channel without a cursor is scraped back to the lookback window. The cursor is
+   * moved to the newest message seen. When the page limit runs out before the cursor,
+   * the messages left between them are kept as the channel gap and scraped with the
+   * pages left over by the next runs.
    */
   async scrapeChannel(channel) {
     const result = {
       newReports: 0,
       duplicates: 0,
       processed: 0,
+      dropped: 0,
+      pages: 0,
+      reachedCursor: false,
+      gap: null,
       errors: []
     };
 
     try {
-      // Construct the web version URL
-      const webUrl = channel.url.replace('https://t.me/', 'https://t.me/s/');
-      
-      logger.debug(`Scraping channel: ${channel.name} from ${webUrl}`);
+      const state = await TelegramChannelState.findByChannel(channel.name);
+      const cursor = state ? state.lastMessageId : null;
+      const cutoffTime = new Date(Date.now() - (this.channelsConfig.scraping.lookback_window * 60 * 1000));
+      const maxPages = this.channelsConfig.scraping.max_pages_per_run || DEFAULT_MAX_PAGES_PER_RUN;
+      let gap = state && state.gap ? { newerThan: state.gap.newerThan, olderThan: state.gap.olderThan } : null;
 
-      const response = await this.httpClient.get(webUrl);
-      const $ = cheerio.load(response.data);
+      logger.debug(`Scraping channel: ${channel.name} down to message ${cursor === null ? `at ${cutoffTime.toISOString()}` : cursor}`);
 
-      // Find message containers
-      const messages = $('.tgme_widget_message');
-      const cutoffTime = new Date(Date.now() - (this.channelsConfig.scraping.lookback_window * 60 * 1000));
+      let newest = null;
+      let oldest = null;
 
-      let processedCount = 0;
-      const maxMessages = this.channelsConfig.scraping.max_messages_per_channel;
+      const paging = await this.pageMessages(channel, { maxPages }, async (messageElement, messageId) => {
+        if (cursor !== null && messageId <= cursor) {
+          result.reachedCursor = true;
+          return false;
+        }
 
-      for (let i = 0; i < messages.length && processedCount < maxMessages; i++) {
-        const messageElement = messages.eq(i);
-        
-        try {
-          const messageData = await this.parseMessage(messageElement, channel);
-          
-          if (!messageData) {
-            continue;
-          }
-
-          // Increment processed count here since we successfully parsed the message
-          processedCount++;
-          result.processed++;
-
-          // Check if message is within our time window
-          if (messageData.date < cutoffTime) {
-            logger.debug(`Message too old, skipping: ${messageData.date}`);
-            continue;
-          }
-
-          // Check for keywords
-          const matchedKeywords = this.findMatchingKeywords(messageData.text);
-          if (matchedKeywords.length === 0) {
-            logger.debug(`No keywords matched for message ${messageData.metadata.messageId}`);
-            continue;
-          }
-
-          messageData.metadata.matchedKeywords = matchedKeywords;
-
-          // Check if report already exists
-          const existingReport = await Report.exists(channel.name, messageData.metadata.messageId);
-          if (existingReport) {
-            result.duplicates++;
-            continue;
-          }
-
-          // Create new report
-          const reportData = Report.sanitizeData(messageData);
-          const report = new Report(reportData);
-          await report.save();
-          
-          result.newReports++;
-          logger.debug(`Saved new report: ${messageData.metadata.messageId} from ${channel.name}`);
-          
-        } catch (error) {
-          result.errors.push(`Message parsing error: ${error.message}`);
-          logger.error(`Error parsing message from ${channel.name}:`, error);
+        const messageData = await this.parseMessage(messageElement, channel);
+
+        if (newest === null) {
+          newest = { lastMessageId: messageId, lastMessageDate: messageData ? messageData.date : null };
         }
+        oldest = messageId;
+
+        if (!messageData) {
+          return true;
+        }
+
+        // Without a cursor only the lookback window is scraped
+        if (cursor === null && messageData.date < cutoffTime) {
+          logger.debug(`Message too old, stopping: ${messageData.date}`);
+          return false;
+        }
+
+        await this.saveMessage(messageData, channel, result);
+        return true;
+      });
+
+      result.pages = paging.pages;
+
+      if (cursor !== null && !result.reachedCursor && !paging.exhausted && oldest !== null) {
+        // An older gap still open is merged in: the messages between the two were
+        // scraped already and come back as duplicates
+        gap = { newerThan: gap ? gap.newerThan : cursor, olderThan: oldest };
+        logger.warn(`Stopped scraping ${channel.name} after ${paging.pages} pages before reaching message ${cursor}; messages ${gap.newerThan + 1} to ${gap.olderThan - 1} are left for the next runs`);
+      } else if (gap && result.pages < maxPages) {
+        gap = await this.scrapeGap(channel, gap, maxPages - result.pages, result);
       }
 
+      result.gap = gap;
+
+      await TelegramChannelState.recordSuccess(channel.name, newest || {}, { gap });
     } catch (error) {
       logger.error(`Error scraping channel ${channel.name}:`, error);
+      await TelegramChannelState.recordFailure(channel.name, error.message).catch((stateError) => {
+        logger.error(`Error recording scraping failure of ${channel.name}:`, stateError);
+      });
       throw error;
     }
 
     return result;
   }
 
+  /**
+   * Scrape the messages of a channel gap, from its newest message down
+   * @param {Object} channel - Channel configuration
+   * @param {Object} gap - { newerThan, olderThan } message IDs around the gap
+   * @param {Number} maxPages - Most pages fetched
+   * @param {Object} result - Scraping result the saved messages are counted in
+   * @returns {Promise<Object|null>} - What is left of the gap, null once it is filled
+   */
+  async scrapeGap(channel, gap, maxPages, result) {
+    let oldest = null;
+    let filled = false;
+
+    const paging = await this.pageMessages(channel, { maxPages, before: gap.olderThan }, async (messageElement, messageId) => {
+      if (messageId <= gap.newerThan) {
+        filled = true;
+        return false;
+      }
+
+      oldest = messageId;
+
+      const messageData = await this.parseMessage(messageElement, channel);
+      if (messageData) {
+        await this.saveMessage(messageData, channel, result);
+      }
+      return true;
+    });
+
+    result.pages += paging.pages;
+
+    if (filled || paging.exhausted) {
+      logger.info(`Filled the scraping gap of ${channel.name} down to message ${gap.newerThan}`);
+      return null;
+    }
+
+    return oldest === null ? gap : { newerThan: gap.newerThan, olderThan: oldest };
+  }
+
+  /**
+   * Scrape the messages a channel posted over a date range, regardless of the channel
+   * cursor (which is left unchanged). Used to fill gaps left by outages.
+   * @param {Object} channel - Channel configuration
+   * @param {Object} range - Date range
+   * @param {Date} range.from - Oldest message date to scrape
+   * @param {Date} range.to - Newest message date to scrape (defaults to now)
+   * @returns {Promise<Object>} - { newReports, duplicates, processed, dropped, pages, reachedStart, errors }
+   */
+  async backfillChannel(channel, { from, to = new Date() }) {
+    const result = {
+      newReports: 0,
+      duplicates: 0,
+      processed: 0,
+      dropped: 0,
+      pages: 0,
+      reachedStart: false,
+      errors: []
+    };
+
+    const maxPages = this.channelsConfig.scraping.max_backfill_pages || DEFAULT_MAX_BACKFILL_PAGES;
+
+    await this.loadSources();
+
+    logger.info(`Backfilling channel ${channel.name} from ${from.toISOString()} to ${to.toISOString()}`);
+
+    const paging = await this.pageMessages(channel, { maxPages }, async (messageElement) => {
+      const messageData = await this.parseMessage(messageElement, channel);
+
+      if (!messageData) {
+        return true;
+      }
+
+      if (messageData.date < from) {
+        result.reachedStart = true;
+        return false;
+      }
+
+      if (messageData.date <= to) {
+        await this.saveMessage(messageData, channel, result);
+      }
+
+      return true;
+    });
+
+    result.pages = paging.pages;
+    result.reachedStart = result.reachedStart || paging.exhausted;
+
+    logger.info(`Backfilled ${channel.name}: ${result.newReports} new reports, ${result.duplicates} duplicates over ${result.pages} pages`);
+    return result;
+  }
+
+  /**
+   * Walk the messages of a channel from newest to oldest, one web preview page at a time
+   * @param {Object} channel - Channel configuration
+   * @param {Object} options - Paging options
+   * @param {Number} options.maxPages - Most pages fetched
+   * @param {Number} options.before - Start below this message ID (the latest page when null)
+   * @param {Function} visit - Called with (messageElement, messageId) for each message; return false to stop
+   * @returns {Promise<Object>} - { pages, exhausted } where exhausted means the first message of the channel was reached
+   */
+  async pageMessages(channel, { maxPages, before: start = null }, visit) {
+    const pageDelay = this.channelsConfig.scraping.page_delay || 0;
+    let before = start;
+    let pages = 0;
+
+    while (pages < maxPages) {
+      const $ = await this.fetchChannelPage(channel, before);
+      pages++;
+
+      // Pages list messages oldest first
+      const messages = $('.tgme_widget_message').toArray()
+        .map(element => $(element))
+        .map(messageElement => ({ messageElement, messageId: this.getMessageId(messageElement) }))
+        .filter(message => message.messageId !== null && (before === null || message.messageId < before))
+        .reverse();
+
+      if (messages.length === 0) {
+        return { pages, exhausted: true };
+      }
+
+      for (const { messageElement, messageId } of messages) {
+        const keepGoing = await visit(messageElement, messageId);
+        if (!keepGoing) {
+          return { pages, exhausted: false };
+        }
+      }
+
+      before = messages[messages.length - 1].messageId;
+      if (before <= 1) {
+        return { pages, exhausted: true };
+      }
+
+      await this.delay(pageDelay);
+    }
+
+    return { pages, exhausted: false };
+  }
+
+  /**
+   * Fetch a web preview page of a channel
+   * @param {Object} channel - Channel configuration
+   * @param {Number} before - Only list messages older than this message ID (latest page when null)
+   * @returns {Promise<Function>} - Cheerio root of the page
+   */
+  async fetchChannelPage(channel, before = null) {
+    const webUrl = channel.url.replace('https://t.me/', 'https://t.me/s/');
+    const pageUrl = before === null ? webUrl : `${webUrl}?before=${before}`;
+
+    logger.debug(`Fetching ${pageUrl}`);
+
+    const response = await this.httpClient.get(pageUrl);
+    return cheerio.load(response.data);
+  }
+
+  /**
+   * Save a parsed message as a report when it passes the channel filtering rules and is
+   * not already saved. The filtering decision is recorded either way.
+   */
+  async saveMessage(messageData, channel, result) {
+    result.processed++;
+
+    try {
+      const decision = this.filterMessage(messageData.text, channel);
+
+      await FilterDecision.record(channel.name, messageData, decision).catch((error) => {
+        logger.error(`Error recording filter decision for message ${messageData.metadata.messageId}:`, error);
+      });
+
+      if (!decision.kept) {
+        result.dropped++;
+        logger.debug(`Dropped message ${messageData.metadata.messageId} from ${channel.name}: ${decision.reason}`);
+        return;
+      }
+
+      messageData.metadata.matchedKeywords = decision.matchedKeywords;
+
+      // Check if report already exists
+      const existingReport = await Report.exists(channel.name, messageData.metadata.messageId);
+      if (existingReport) {
+        result.duplicates++;
+        return;
+      }
+
+      // Create new report
+      const reportData = Report.sanitizeData(messageData);
+      if (this.channelsConfig.scraping.archive_media) {
+        reportData.media = await this.archiveMedia(messageData);
+      }
+      const report = new Report(reportData);
+      await report.save();
+
+      result.newReports++;
+      logger.debug(`Saved new report: ${messageData.metadata.messageId} from ${channel.name}`);
+    } catch (error) {
+      result.errors.push(`Message parsing error: ${error.message}`);
+      logger.error(`Error parsing message from ${channel.name}:`, error);
+    }
+  }
+
+  /**
+   * Get the link of a message element
+   */
+  getMessageLink(messageElement) {
+    // Extract message link from the date anchor
+    let messageLink = messageElement.find('.tgme_widget_message_date a').attr('href');
+    if (!messageLink) {
+      // Fallback to old structure if needed
+      messageLink = messageElement.find('.tgme_widget_message_date').attr('href');
+    }
+    return messageLink || null;
+  }
+
+  /**
+   * Get the numeric ID of a message element, or null if it has none
+   */
+  getMessageId(messageElement) {
+    const messageLink = this.getMessageLink(messageElement);
+    const messageId = messageLink ? parseInt(messageLink.split('/').pop(), 10) : NaN;
+    return Number.isInteger(messageId) ? messageId : null;
+  }
+
   /**
    * Parse a single message element
    */
   async parseMessage(messageElement, channel) {
     try {
-      // Extract message ID from data attribute or href
-      let messageLink = messageElement.find('.tgme_widget_message_date a').attr('href');
-      if (!messageLink) {
-        // Fallback to old structure if needed
-        messageLink = messageElement.find('.tgme_widget_message_date').attr('href');
-      }
+      const messageLink = this.getMessageLink(messageElement);
       if (!messageLink) {
         return null;
       }
@@ -252,6 +493,7 @@ class TelegramScraper {
       // Count media elements
       const mediaElements = messageElement.find('.tgme_widget_message_photo, .tgme_widget_message_video, .tgme_widget_message_document');
       const mediaCount = mediaElements.length;
+      const mediaFiles = this.extractMedia(messageElement);
 
       // Check for forwarded message
       const forwardedElement = messageElement.find('.tgme_widget_message_forwarded_from');
@@ -266,6 +508,7 @@ class TelegramScraper {
         text: text.substring(0, 10000), // Truncate if too long
         date: messageDate,
         parsedByLLM: false,
+        mediaFiles: mediaFiles,
         metadata: {
           channel: channel.name,
           messageId: messageId,
@@ -285,19 +528,98 @@ class TelegramScraper {
   }
 
   /**
-   * Find matching keywords in text
+   * Get the photos and videos of a message element. Documents are left out: the web
+   * preview only links them to the Telegram app.
+   * @returns {Array<Object>} - { type, url }
    */
-  findMatchingKeywords(text) {
-    const lowerText = text.toLowerCase();
-    const matched = [];
+  extractMedia(messageElement) {
+    const media = [];
+    const add = (type, url) => {
+      if (url && !media.some(item => item.url === url)) {
+        media.push({ type, url });
+      }
+    };
+
+    messageElement.find('.tgme_widget_message_photo_wrap').each((index, element) => {
+      const match = /background-image:\s*url\(['"]?([^'")]+)['"]?\)/.exec(element.attribs.style || '');
+      add('photo', match && match[1]);
+    });
 
-    for (const keyword of this.allKeywords) {
-      if (lowerText.includes(keyword.toLowerCase())) {
-        matched.push(keyword);
+    messageElement.find('video.tgme_widget_message_video').each((index, element) => {
+      add('video', element.attribs.src);
+    });
+
+    return media;
+  }
+
+  /**
+   * Download the media of a message and store it in the media storage before the
+   * Telegram links expire. Files are stored under their SHA-256, so a file posted
+   * several times is stored once. Media that cannot be downloaded is recorded as failed.
+   * @param {Object} messageData - Parsed message
+   * @returns {Promise<Array<ObjectId>>} - IDs of the media items, in message order
+   */
+  async archiveMedia(messageData) {
+    const files = messageData.mediaFiles || [];
+    if (files.length === 0) {
+      return [];
+    }
+
+    this.mediaStorage = this.mediaStorage || createMediaStorage();
+    const { channel, messageId } = messageData.metadata;
+    const items = [];
+
+    for (const file of files) {
+      const item = { channel, messageId, type: file.type, source_url: file.url };
+
+      try {
+        const response = await this.httpClient.get(file.url, {
+          responseType: 'arraybuffer',
+          maxContentLength: config.mediaStorage.maxFileSizeMb * 1024 * 1024
+        });
+        const data = Buffer.from(response.data);
+        const contentType = (response.headers && response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim();
+        const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+        const extension = MEDIA_EXTENSIONS[contentType] || path.extname(new URL(file.url).pathname).toLowerCase();
+        const key = `${sha256}${extension}`;
+
+        if (!await this.mediaStorage.exists(key)) {
+          await this.mediaStorage.put(key, data, contentType);
+        }
+
+        items.push(await MediaItem.create({
+          ...item,
+          status: 'archived',
+          storage: this.mediaStorage.driver,
+          key,
+          url: this.mediaStorage.getUrl(key),
+          sha256,
+          content_type: contentType,
+          size: data.length,
+          captured_at: new Date()
+        }));
+      } catch (error) {
+        logger.warn(`Could not archive ${file.type} of message ${messageId} from ${channel}: ${error.message}`);
+        items.push(await MediaItem.create({ ...item, status: 'failed', error: error.message }));
       }
     }
 
-    return matched;
+    return items.map(item => item._id);
+  }
+
+  /**
+   * Find matching keywords in text, as whole words on normalized text
+   */
+  findMatchingKeywords(text) {
+    return [...new Set(matchKeywords(text, this.compiledKeywords).map(match => match.keyword))];
+  }
+
+  /**
+   * Decide whether a message is kept, applying the filtering rules of its channel
+   * @returns {Object} - { kept, reason, matchedKeywords, violationTypes, excludedBy }
+   */
+  filterMessage(text, channel) {
+    return filterMessage(text, channel.filtering, this.compiledKeywords);
   }
 
   /**
@@ -344,6 +666,8 @@ class TelegramScraper {
    * Get scraper statistics
    */
   async getStats() {
+    await this.loadSources();
+
     const totalReports = await Report.countDocuments();
     const recentReports = await Report.countDocuments({
       'metadata.scrapedAt': { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
@@ -369,33 +693,70 @@ class TelegramScraper {
   }
 
   /**
-   * Test connectivity to a specific channel
+   * Find an active channel by name
+   * @param {String} channelName - Channel name
+   * @returns {Promise<Object|null>} - Channel, or null if there is no active channel with that name
    */
-  async testChannel(channelName) {
-    const channel = this.activeChannels.find(c => c.name === channelName);
+  async findChannel(channelName) {
+    return Channel.findOne({ name: channelName, active: true }).lean();
+  }
+
+  /**
+   * Dry run of a channel: fetch its latest page and report which messages would be kept
+   * and why, without saving reports, filter decisions or moving the channel cursor. Works on inactive channels too,
+   * so a channel can be checked before it is activated.
+   * @param {Object|String} channelOrName - Channel, or the name of an active channel
+   * @returns {Promise<Object>} - Accessibility, response time and the parsed messages
+   */
+  async testChannel(channelOrName) {
+    const channel = typeof channelOrName === 'string' ? await this.findChannel(channelOrName) : channelOrName;
     if (!channel) {
-      throw new Error(`Channel ${channelName} not found`);
+      throw new Error(`Channel ${channelOrName} not found`);
     }
 
+    await this.loadSources();
+
+    const webUrl = channel.url.replace('https://t.me/', 'https://t.me/s/');
+    const startedAt = Date.now();
+
     try {
-      const webUrl = channel.url.replace('https://t.me/', 'https://t.me/s/');
       const response = await this.httpClient.get(webUrl);
-      
+      const responseTime = Date.now() - startedAt;
+      const $ = cheerio.load(response.data);
+
+      const messages = [];
+      for (const element of $('.tgme_widget_message').toArray().reverse()) {
+        const messageData = await this.parseMessage($(element), channel);
+        if (!messageData) {
+          continue;
+        }
+
+        messages.push({
+          messageId: messageData.metadata.messageId,
+          date: messageData.date,
+          text: messageData.text.substring(0, 200),
+          ...this.filterMessage(messageData.text, channel)
+        });
+      }
+
       return {
         channel: channel.name,
         url: webUrl,
         status: response.status,
         accessible: response.status === 200,
-        responseTime: Date.now() - Date.now() // This would need to be measured properly
+        responseTime,
+        messages
       };
     } catch (error) {
       return {
         channel: channel.name,
+        url: webUrl,
         accessible: false,
+        responseTime: Date.now() - startedAt,
         error: error.message
       };
     }
   }
 }
 
-module.exports = TelegramScraper;
\ No newline at end of file
+module.exports = TelegramScraper;
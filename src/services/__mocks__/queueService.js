@@ -34,13 +34,31 @@ const getTelegramScrapingStatus = jest.fn().mockResolvedValue({
   nextRun: null
 });
 
+const addTelegramBackfillJob = jest.fn().mockResolvedValue({ id: 'mock-backfill-job-id' });
+
+const queueReportsForParsing = jest.fn().mockResolvedValue({ queued: 0, inFlight: 0, failed: 0, reclaimed: 0 });
+
+const startViolationPurge = jest.fn().mockResolvedValue(undefined);
+
+const addExportJob = jest.fn().mockResolvedValue(undefined);
+
+const addImportJob = jest.fn().mockResolvedValue(undefined);
+
 module.exports = {
   addJob,
   reportParsingQueue: mockQueue,
   telegramScrapingQueue: mockQueue,
+  violationPurgeQueue: mockQueue,
+  violationExportQueue: mockQueue,
+  addExportJob,
+  violationImportQueue: mockQueue,
+  addImportJob,
+  queueReportsForParsing,
+  startViolationPurge,
   cleanup,
   triggerTelegramScraping,
   startRecurringTelegramScraping,
   stopRecurringTelegramScraping,
-  getTelegramScrapingStatus
+  getTelegramScrapingStatus,
+  addTelegramBackfillJob
 }; 
\ No newline at end of file
@@ -1,6 +1,6 @@
 const axios = require('axios');
 const logger = require('../config/logger');
-const parseInstructions = require('../config/parseInstructions');
+const { getParseInstructions } = require('../commands/perpetrators/instructions');
 
 /**
  * Service to parse human rights violation reports using Claude API
@@ -32,6 +32,9 @@ class ClaudeParserService {
         `Report source: ${source.name}${source.url ? ` (${source.url})` : ''}${source.reportDate ? ` published on ${source.reportDate}` : ''}` : 
         'No source information provided';
 
+      // Prompts are generated from the perpetrator catalogue
+      const parseInstructions = await getParseInstructions();
+
       // Prepare the request to Claude API
       const response = await axios.post(
         this.apiEndpoint,
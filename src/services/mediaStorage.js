@@ -0,0 +1,169 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+const MEDIA_STORAGE_DRIVERS = ['local', 's3'];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Media storage on the local disk. Files are served by GET /api/media/:key.
+ */
+class LocalMediaStorage {
+  constructor({ dir, publicUrl }) {
+    this.driver = 'local';
+    this.dir = dir;
+    this.publicUrl = (publicUrl || `http://localhost:${config.port}/api/media`).replace(/\/$/, '');
+  }
+
+  /**
+   * Path of a stored file
+   */
+  getPath(key) {
+    return path.join(this.dir, path.basename(key));
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.getPath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async put(key, data) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.getPath(key), data);
+  }
+
+  getUrl(key) {
+    return `${this.publicUrl}/${encodeURIComponent(key)}`;
+  }
+}
+
+/**
+ * Media storage in an S3 compatible bucket (AWS S3, MinIO, ...). Requests are signed
+ * with AWS Signature Version 4 and use path style URLs, which every S3 compatible
+ * store accepts.
+ */
+class S3MediaStorage {
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, publicUrl }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 media storage needs a bucket, an access key ID and a secret access key');
+    }
+
+    this.driver = 's3';
+    this.endpoint = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.publicUrl = (publicUrl || `${this.endpoint}/${bucket}`).replace(/\/$/, '');
+    this.httpClient = axios.create({ timeout: 60000 });
+  }
+
+  getObjectUrl(key) {
+    return `${this.endpoint}/${this.bucket}/${encodeURIComponent(key)}`;
+  }
+
+  /**
+   * Build the signed headers of a request
+   * @param {String} method - HTTP method
+   * @param {String} url - Object URL
+   * @param {Object} headers - Headers to sign besides host, x-amz-date and x-amz-content-sha256
+   * @param {String} payloadHash - SHA-256 of the request body
+   * @param {Date} date - Request time
+   * @returns {Object} - Headers including Authorization
+   */
+  signRequest(method, url, headers = {}, payloadHash = sha256(''), date = new Date()) {
+    const { host, pathname } = new URL(url);
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const signed = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(signed).sort();
+
+    const canonicalRequest = [
+      method,
+      pathname,
+      '',
+      ...signedHeaders.map(name => `${name}:${signed[name]}`),
+      '',
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    delete signed.host;
+    return {
+      ...signed,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+    };
+  }
+
+  async exists(key) {
+    const url = this.getObjectUrl(key);
+    const response = await this.httpClient.request({
+      method: 'HEAD',
+      url,
+      headers: this.signRequest('HEAD', url),
+      validateStatus: status => status === 200 || status === 404
+    });
+    return response.status === 200;
+  }
+
+  async put(key, data, contentType = 'application/octet-stream') {
+    const url = this.getObjectUrl(key);
+    await this.httpClient.request({
+      method: 'PUT',
+      url,
+      data,
+      headers: this.signRequest('PUT', url, { 'content-type': contentType }, sha256(data)),
+      maxBodyLength: Infinity
+    });
+  }
+
+  getUrl(key) {
+    return `${this.publicUrl}/${encodeURIComponent(key)}`;
+  }
+}
+
+/**
+ * Create the configured media storage
+ * @param {Object} options - Storage options, defaults to config.mediaStorage
+ * @returns {LocalMediaStorage|S3MediaStorage}
+ */
+const createMediaStorage = (options = config.mediaStorage) => {
+  switch (options.driver) {
+    case 'local':
+      return new LocalMediaStorage({ dir: options.dir, publicUrl: options.publicUrl });
+    case 's3':
+      return new S3MediaStorage({ ...options.s3, publicUrl: options.publicUrl });
+    default:
+      throw new Error(`Unknown media storage driver: ${options.driver}`);
+  }
+};
+
+module.exports = {
+  MEDIA_STORAGE_DRIVERS,
+  LocalMediaStorage,
+  S3MediaStorage,
+  createMediaStorage
+};
@@ -3,11 +3,24 @@ const logger = require('../config/logger');
 const claudeParser = require('./claudeParser');
 const ReportParsingJob = require('../models/jobs/ReportParsingJob');
 const { createSingleViolation } = require('../commands/violations/create');
+const { purgeDeletedViolations } = require('../commands/violations/delete');
+const { runExportJob } = require('../commands/violations/export');
+const { runImportJob } = require('../commands/violations/import');
+const { refreshTerritoryControl } = require('../commands/violations/territory');
+const { createReportParsingJobs, recordReportParsingOutcome, reclaimStuckReports } = require('../commands/reports');
+const config = require('../config/config');
+
+// Daily at 03:00
+const VIOLATION_PURGE_CRON = '0 3 * * *';
 
 // Check if Redis is available
 let redisAvailable = true;
 let reportParsingQueue;
 let telegramScrapingQueue;
+let violationPurgeQueue;
+let violationExportQueue;
+let violationImportQueue;
+let territoryRefreshQueue;
 
 try {
   logger.info('Attempting to initialize queues with Redis...');
@@ -34,7 +47,7 @@ try {
   reportParsingQueue = new Queue('report-parsing-queue', {
     redis: redisConfig,
     defaultJobOptions: {
-      attempts: 3,
+      attempts: config.reportParsing.attempts,
       backoff: {
         type: 'exponential',
         delay: 5000
@@ -61,6 +74,58 @@ try {
     }
   });
 
+  // Create queue for purging soft deleted violations
+  violationPurgeQueue = new Queue('violation-purge-queue', {
+    redis: redisConfig,
+    defaultJobOptions: {
+      attempts: 2,
+      backoff: {
+        type: 'exponential',
+        delay: 60000
+      },
+      removeOnComplete: 30,
+      removeOnFail: 50
+    }
+  });
+
+  // Create queue for background violation exports
+  violationExportQueue = new Queue('violation-export-queue', {
+    redis: redisConfig,
+    defaultJobOptions: {
+      attempts: 2,
+      backoff: {
+        type: 'exponential',
+        delay: 10000
+      },
+      removeOnComplete: 50,
+      removeOnFail: 100
+    }
+  });
+
+  // Create queue for spreadsheet imports. Imports are not retried so rows are never created twice.
+  violationImportQueue = new Queue('violation-import-queue', {
+    redis: redisConfig,
+    defaultJobOptions: {
+      attempts: 1,
+      removeOnComplete: 50,
+      removeOnFail: 100
+    }
+  });
+
+  // Create queue for recomputing the territory controller of violations after map changes
+  territoryRefreshQueue = new Queue('territory-refresh-queue', {
+    redis: redisConfig,
+    defaultJobOptions: {
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 10000
+      },
+      removeOnComplete: 50,
+      removeOnFail: 100
+    }
+  });
+
   // Test Redis connection
   reportParsingQueue.on('error', (error) => {
     logger.error('Queue error - Redis may not be available:', error);
@@ -72,6 +137,26 @@ try {
     redisAvailable = false;
   });
 
+  violationPurgeQueue.on('error', (error) => {
+    logger.error('Violation purge queue error - Redis may not be available:', error);
+    redisAvailable = false;
+  });
+
+  violationExportQueue.on('error', (error) => {
+    logger.error('Violation export queue error - Redis may not be available:', error);
+    redisAvailable = false;
+  });
+
+  violationImportQueue.on('error', (error) => {
+    logger.error('Violation import queue error - Redis may not be available:', error);
+    redisAvailable = false;
+  });
+
+  territoryRefreshQueue.on('error', (error) => {
+    logger.error('Territory refresh queue error - Redis may not be available:', error);
+    redisAvailable = false;
+  });
+
   logger.info('Queues initialized successfully with Redis');
 
 } catch (error) {
@@ -93,10 +178,44 @@ try {
     on: () => {},
     close: () => Promise.resolve()
   };
+
+  violationPurgeQueue = {
+    process: () => {},
+    add: () => Promise.resolve({ id: 'mock' }),
+    removeRepeatable: () => Promise.resolve(),
+    on: () => {},
+    close: () => Promise.resolve()
+  };
+
+  violationExportQueue = {
+    process: () => {},
+    add: () => Promise.resolve({ id: 'mock' }),
+    on: () => {},
+    close: () => Promise.resolve()
+  };
+
+  violationImportQueue = {
+    process: () => {},
+    add: () => Promise.resolve({ id: 'mock' }),
+    on: () => {},
+    close: () => Promise.resolve()
+  };
+
+  territoryRefreshQueue = {
+    process: () => {},
+    add: () => Promise.resolve({ id: 'mock' }),
+    on: () => {},
+    close: () => Promise.resolve()
+  };
 }
 
-// Process jobs
-reportParsingQueue.process(async (job, done) => {
+// Record the outcome of a parsing job on the scraped report it parsed
+const recordParsingOutcome = (jobId, outcome) => recordReportParsingOutcome(jobId, outcome).catch((error) => {
+  logger.error(`Failed to update the report of job ${jobId}: ${error.message}`);
+});
+
+// Process jobs, running at most config.reportParsing.concurrency at once
+reportParsingQueue.process(config.reportParsing.concurrency, async (job, done) => {
   try {
     // Make sure no unhandled promise rejections occur
     process.on('unhandledRejection', (reason) => {
@@ -183,6 +302,7 @@ reportParsingQueue.process(async (job, done) => {
         progress: 100,
         error: invalid.length > 0 ? 'All parsed violations failed validation' : 'No violations were extracted from the report'
       });
+      await recordParsingOutcome(jobId, { success: true });
       done();
       return;
     }
@@ -204,11 +324,21 @@ reportParsingQueue.process(async (job, done) => {
           }
         }
 
-        // Use the proper creation function with duplicate checking enabled
+        // Link the archived media of the report as evidence
+        if (dbJob.mediaLinks && dbJob.mediaLinks.length > 0) {
+          violation.media_links = [...new Set([...(violation.media_links || []), ...dbJob.mediaLinks])];
+        }
+
+        // Use the proper creation function with duplicate checking enabled.
+        // Likely duplicates are kept as candidates for an editor instead of being merged automatically.
         const result = await createSingleViolation(violation, dbJob.submittedBy, {
           checkDuplicates: true,
-          mergeDuplicates: true,
-          duplicateThreshold: 0.85 // Slightly higher threshold for LLM-parsed content
+          mergeDuplicates: false,
+          recordCandidates: true,
+          duplicateThreshold: 0.85, // Slightly higher threshold for LLM-parsed content
+          reviewStatus: 'pending_review', // LLM output must be checked by an editor before it is published
+          allowFailedGeocoding: true, // Places that cannot be geocoded wait in the geocoding review queue
+          reason: `Parsed by LLM from report parsing job ${dbJob._id}`
         });
 
         if (result.wasMerged) {
@@ -222,7 +352,8 @@ reportParsingQueue.process(async (job, done) => {
           logger.info('LLM violation created as new violation', {
             violationId: result.violation._id,
             type: result.violation.type,
-            location: result.violation.location?.name?.en
+            location: result.violation.location?.name?.en,
+            duplicateCandidates: result.duplicateCandidates?.length || 0
           });
         }
 
@@ -246,6 +377,7 @@ reportParsingQueue.process(async (job, done) => {
     });
 
     logger.info(`Job ${jobId} completed. Created ${createdViolations.length} violations.`);
+    await recordParsingOutcome(jobId, { success: true });
     done();
   } catch (error) {
     const errorMessage = error.message || 'Unknown error';
@@ -267,6 +399,11 @@ reportParsingQueue.process(async (job, done) => {
           updateError: updateErr.stack || updateErr
         });
       }
+
+      // The report fails once the job has no attempts left, otherwise it stays processing until the retry
+      if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+        await recordParsingOutcome(job.data.jobId, { success: false, error: errorMessage });
+      }
     }
     
     done(error);
@@ -295,6 +432,15 @@ telegramScrapingQueue.process('telegram-scraping', async (job) => {
     job.progress(20);
     
     const results = await scraper.scrapeAllChannels();
+    job.progress(80);
+
+    // Send the new reports to the LLM
+    let parsing = null;
+    try {
+      parsing = await queueReportsForParsing();
+    } catch (error) {
+      logger.error(`Error queueing reports for parsing after scraping job ${job.id}:`, error);
+    }
     job.progress(90);
     
     logger.info(`Telegram scraping job ${job.id} completed:`, {
@@ -311,6 +457,7 @@ telegramScrapingQueue.process('telegram-scraping', async (job) => {
       newReports: results.newReports,
       duplicates: results.duplicates,
       channels: results.channels,
+      queuedForParsing: parsing ? parsing.queued : 0,
       completedAt: new Date()
     };
     
@@ -336,10 +483,99 @@ telegramScrapingQueue.on('stalled', (job) => {
   logger.warn(`Telegram scraping job ${job.id} stalled`);
 });
 
+// Process Telegram channel backfill jobs
+telegramScrapingQueue.process('telegram-backfill', async (job) => {
+  const TelegramScraper = require('./TelegramScraper');
+  const { channel: channelName, from, to } = job.data;
+
+  logger.info(`Starting Telegram backfill job ${job.id} for ${channelName}`, { from, to });
+
+  const scraper = new TelegramScraper();
+  const channel = await scraper.findChannel(channelName);
+  if (!channel) {
+    throw new Error(`Channel ${channelName} not found`);
+  }
+
+  const result = await scraper.backfillChannel(channel, { from: new Date(from), to: new Date(to) });
+
+  return {
+    channel: channelName,
+    ...result,
+    completedAt: new Date()
+  };
+});
+
+// Process violation purge jobs
+violationPurgeQueue.process('violation-purge', async (job) => {
+  const retentionDays = job.data.retentionDays || config.violationTrashRetentionDays;
+
+  logger.info(`Starting violation purge job ${job.id} (retention: ${retentionDays} days)`);
+  const result = await purgeDeletedViolations(retentionDays);
+
+  return {
+    ...result,
+    completedAt: new Date()
+  };
+});
+
+violationPurgeQueue.on('failed', (job, error) => {
+  logger.error(`Violation purge job ${job.id} failed:`, error);
+});
+
+// Process background violation export jobs
+violationExportQueue.process('violation-export', async (job) => {
+  logger.info(`Starting violation export job ${job.id}: ${job.data.jobId}`);
+  const result = await runExportJob(job.data.jobId);
+
+  return {
+    ...result,
+    completedAt: new Date()
+  };
+});
+
+violationExportQueue.on('failed', (job, error) => {
+  logger.error(`Violation export job ${job.id} failed:`, error);
+});
+
+// Process spreadsheet import jobs
+violationImportQueue.process('violation-import', async (job) => {
+  logger.info(`Starting violation import job ${job.id}: ${job.data.jobId}`);
+  const result = await runImportJob(job.data.jobId);
+
+  return {
+    createdCount: result.createdCount,
+    mergedCount: result.mergedCount,
+    skippedCount: result.skippedCount,
+    failedCount: result.failedCount,
+    completedAt: new Date()
+  };
+});
+
+violationImportQueue.on('failed', (job, error) => {
+  logger.error(`Violation import job ${job.id} failed:`, error);
+});
+
+// Recompute the territory controller of violations after territory control maps changed
+territoryRefreshQueue.process('territory-refresh', async (job) => {
+  logger.info(`Starting territory refresh job ${job.id}`, { dates: job.data.dates });
+  const result = await refreshTerritoryControl({ dates: job.data.dates });
+
+  return {
+    ...result,
+    completedAt: new Date()
+  };
+});
+
+territoryRefreshQueue.on('failed', (job, error) => {
+  logger.error(`Territory refresh job ${job.id} failed:`, error);
+});
+
 // Add a job to the queue
 const addJob = async (jobId) => {
   await reportParsingQueue.add({ jobId }, {
-    attempts: 3,
+    // Queued under the parsing job ID, so isParsingJobQueued can look it up
+    jobId,
+    attempts: config.reportParsing.attempts,
     backoff: {
       type: 'exponential',
       delay: 5000
@@ -347,6 +583,127 @@ const addJob = async (jobId) => {
   });
 };
 
+// Whether a parsing job is still waiting, retrying or running on the queue
+const isParsingJobQueued = async (jobId) => {
+  const job = await reportParsingQueue.getJob(jobId);
+  if (!job) {
+    return false;
+  }
+
+  return ['waiting', 'active', 'delayed', 'paused'].includes(await job.getState());
+};
+
+// Create and queue parsing jobs for the scraped reports ready for processing, high
+// priority channels first, keeping at most config.reportParsing.maxInFlight in flight.
+// Reports stuck in processing are taken back first so they do not hold slots forever.
+const queueReportsForParsing = async () => {
+  if (!redisAvailable) {
+    // Parsing jobs only run on the queue
+    logger.warn('Redis not available - scraped reports are not queued for parsing');
+    return { queued: 0, inFlight: 0, failed: 0, reclaimed: 0 };
+  }
+
+  const reclaimed = await reclaimStuckReports({ isJobQueued: isParsingJobQueued });
+  const { jobs, inFlight, failed } = await createReportParsingJobs();
+  const result = { queued: 0, inFlight, failed, reclaimed: reclaimed.retried + reclaimed.failed };
+
+  for (const job of jobs) {
+    try {
+      await addJob(job._id.toString());
+      result.queued++;
+    } catch (error) {
+      logger.error(`Error queueing parsing job ${job._id}:`, error);
+      await ReportParsingJob.findByIdAndUpdate(job._id, { status: 'failed', error: error.message });
+      await recordParsingOutcome(job._id, { success: false, error: `Could not queue report for parsing: ${error.message}` });
+      result.inFlight--;
+      result.failed++;
+    }
+  }
+
+  if (result.queued > 0 || result.failed > 0 || result.reclaimed > 0) {
+    logger.info(`Queued ${result.queued} scraped reports for parsing`, result);
+  }
+
+  return result;
+};
+
+// Queue a background violation export
+const addExportJob = async (jobId) => {
+  if (redisAvailable) {
+    await violationExportQueue.add('violation-export', { jobId });
+    return;
+  }
+
+  // Fallback: run the export in this process when Redis is not available
+  logger.warn(`Redis not available - running violation export ${jobId} in process`);
+  setImmediate(() => {
+    runExportJob(jobId).catch((error) => {
+      logger.error(`Fallback violation export ${jobId} failed:`, error);
+    });
+  });
+};
+
+// Queue a spreadsheet import
+const addImportJob = async (jobId) => {
+  if (redisAvailable) {
+    await violationImportQueue.add('violation-import', { jobId });
+    return;
+  }
+
+  // Fallback: run the import in this process when Redis is not available
+  logger.warn(`Redis not available - running violation import ${jobId} in process`);
+  setImmediate(() => {
+    runImportJob(jobId).catch((error) => {
+      logger.error(`Fallback violation import ${jobId} failed:`, error);
+    });
+  });
+};
+
+// Queue a territory refresh for the maps dated on the given dates (all violations when empty)
+const addTerritoryRefreshJob = async (dates = []) => {
+  if (redisAvailable) {
+    return await territoryRefreshQueue.add('territory-refresh', { dates });
+  }
+
+  // Fallback: run the refresh in this process when Redis is not available
+  logger.warn('Redis not available - running territory refresh in process');
+  setImmediate(() => {
+    refreshTerritoryControl({ dates }).catch((error) => {
+      logger.error('Fallback territory refresh failed:', error);
+    });
+  });
+  return { id: 'in-process' };
+};
+
+// Queue a backfill of a Telegram channel over a date range
+const addTelegramBackfillJob = async ({ channel, from, to }) => {
+  const data = { channel, from, to };
+
+  if (redisAvailable) {
+    // Scraping jobs repeat by default, a backfill runs once
+    return await telegramScrapingQueue.add('telegram-backfill', data, { repeat: undefined, attempts: 1 });
+  }
+
+  // Fallback: run the backfill in this process when Redis is not available
+  logger.warn(`Redis not available - running Telegram backfill of ${channel} in process`);
+  setImmediate(() => {
+    const TelegramScraper = require('./TelegramScraper');
+    const scraper = new TelegramScraper();
+
+    scraper.findChannel(channel)
+      .then((channelConfig) => {
+        if (!channelConfig) {
+          throw new Error(`Channel ${channel} not found`);
+        }
+        return scraper.backfillChannel(channelConfig, { from: new Date(from), to: new Date(to) });
+      })
+      .catch((error) => {
+        logger.error(`Fallback Telegram backfill of ${channel} failed:`, error);
+      });
+  });
+  return { id: 'in-process' };
+};
+
 // Add function to start Telegram scraping
 const startTelegramScraping = async () => {
   try {
@@ -425,11 +782,46 @@ const triggerManualScraping = async () => {
   }
 };
 
+// Schedule the recurring purge of soft deleted violations
+const startViolationPurge = async () => {
+  try {
+    if (redisAvailable) {
+      await violationPurgeQueue.add('violation-purge', {
+        retentionDays: config.violationTrashRetentionDays
+      }, {
+        repeat: { cron: VIOLATION_PURGE_CRON },
+        jobId: 'violation-purge-recurring' // Use fixed ID to prevent duplicates
+      });
+
+      logger.info(`Violation purge recurring job added to queue (${VIOLATION_PURGE_CRON})`);
+    } else {
+      // Fallback: Use setInterval for purging when Redis is not available
+      logger.warn('Redis not available - using fallback timer for violation purge');
+
+      const runPurge = async () => {
+        try {
+          await purgeDeletedViolations(config.violationTrashRetentionDays);
+        } catch (error) {
+          logger.error('Fallback violation purge failed:', error);
+        }
+      };
+
+      setInterval(runPurge, 24 * 60 * 60 * 1000);
+    }
+  } catch (error) {
+    logger.error('Error starting violation purge job:', error);
+  }
+};
+
 // Cleanup function to close Redis connections
 const cleanup = async () => {
   try {
     await reportParsingQueue.close();
     await telegramScrapingQueue.close();
+    await violationPurgeQueue.close();
+    await violationExportQueue.close();
+    await violationImportQueue.close();
+    await territoryRefreshQueue.close();
     logger.info('Queue service cleanup completed');
   } catch (error) {
     logger.error('Error during queue service cleanup:', error);
@@ -440,8 +832,18 @@ module.exports = {
   addJob,
   reportParsingQueue,
   telegramScrapingQueue,
+  violationPurgeQueue,
+  violationExportQueue,
+  addExportJob,
+  violationImportQueue,
+  addImportJob,
+  territoryRefreshQueue,
+  addTerritoryRefreshJob,
   startTelegramScraping,
   stopTelegramScraping,
   triggerManualScraping,
+  addTelegramBackfillJob,
+  queueReportsForParsing,
+  startViolationPurge,
   cleanup
 };
\ No newline at end of file
@@ -0,0 +1,198 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation', () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../../../commands/violations/history', () => ({
+  updateViolationsWithRevisions: jest.fn()
+}));
+
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const {
+  buildBoundary,
+  loadAdminBoundaries,
+  resolveAdminCodes,
+  assignAdminCodes
+} = require('../../../commands/adminBoundaries');
+const AdminBoundary = require('../../../models/AdminBoundary');
+const Violation = require('../../../models/Violation');
+const { updateViolationsWithRevisions } = require('../../../commands/violations/history');
+
+const square = ([west, south, east, north]) => ({
+  type: 'Polygon',
+  coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+});
+
+const aleppoDistrict = {
+  type: 'Feature',
+  properties: {
+    ADM1_PCODE: 'SY02',
+    ADM1_EN: 'Aleppo',
+    ADM1_AR: 'حلب',
+    ADM2_PCODE: 'SY0200',
+    ADM2_EN: 'Jebel Saman',
+    ADM2_AR: 'جبل سمعان'
+  },
+  geometry: square([36.8, 36.0, 37.4, 36.4])
+};
+
+// Chainable find().select().lean() mock resolving to the given documents
+const mockQuery = (docs) => ({
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(docs)
+});
+
+describe('Administrative boundary commands', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('buildBoundary', () => {
+    it('should read the deepest level and its parents from COD-AB properties', () => {
+      expect(buildBoundary(aleppoDistrict, 'syr_admbnda_adm2')).toMatchObject({
+        code: 'SY0200',
+        level: 'district',
+        name: { en: 'Jebel Saman', ar: 'جبل سمعان' },
+        parent: 'SY02',
+        governorate: 'SY02',
+        district: 'SY0200',
+        source: 'syr_admbnda_adm2'
+      });
+    });
+
+    it('should support the older HDX property names', () => {
+      const boundary = buildBoundary({
+        properties: { admin1Pcode: 'sy07', admin1Name_en: 'Idleb', admin1Name_ar: 'إدلب' },
+        geometry: square([36.0, 35.5, 37.0, 36.3])
+      }, '');
+
+      expect(boundary).toMatchObject({ code: 'SY07', level: 'governorate', parent: null, governorate: 'SY07', district: null });
+    });
+  });
+
+  describe('loadAdminBoundaries', () => {
+    it('should upsert valid boundaries by code and report the rest', async () => {
+      const bulkWrite = jest.spyOn(AdminBoundary, 'bulkWrite').mockResolvedValue({});
+
+      const result = await loadAdminBoundaries({
+        type: 'FeatureCollection',
+        features: [
+          aleppoDistrict,
+          { properties: { ADM1_EN: 'Nowhere' }, geometry: square([0, 0, 1, 1]) },
+          { properties: { ADM1_PCODE: 'SY03' }, geometry: { type: 'Point', coordinates: [36.3, 33.5] } }
+        ]
+      }, { source: 'cod-ab' });
+
+      expect(bulkWrite).toHaveBeenCalledWith([
+        expect.objectContaining({
+          updateOne: expect.objectContaining({ filter: { code: 'SY0200' }, upsert: true })
+        })
+      ], { ordered: false });
+      expect(result.loaded).toBe(1);
+      expect(result.levels).toEqual({ district: 1 });
+      expect(result.failed.map(failure => [failure.index, failure.code])).toEqual([[1, null], [2, 'SY03']]);
+    });
+
+    it('should report polygons rejected by the database', async () => {
+      jest.spyOn(AdminBoundary, 'bulkWrite').mockRejectedValue(Object.assign(new Error('Bulk write failed'), {
+        writeErrors: [{ index: 0, errmsg: 'Can\'t extract geo keys' }]
+      }));
+
+      const result = await loadAdminBoundaries({ features: [aleppoDistrict] });
+
+      expect(result.loaded).toBe(0);
+      expect(result.levels).toEqual({});
+      expect(result.failed).toEqual([{ index: 0, code: 'SY0200', error: 'Can\'t extract geo keys' }]);
+    });
+
+    it('should reject anything but a FeatureCollection', async () => {
+      await expect(loadAdminBoundaries({ type: 'Feature' })).rejects.toThrow('GeoJSON FeatureCollection');
+    });
+  });
+
+  describe('resolveAdminCodes', () => {
+    it('should take the codes of the smallest boundary containing the point', async () => {
+      const find = jest.spyOn(AdminBoundary, 'find').mockReturnValue(mockQuery([
+        { code: 'SY02', level: 'governorate', governorate: 'SY02', district: null },
+        { code: 'SY020000', level: 'sub_district', governorate: 'SY02', district: 'SY0200' },
+        { code: 'SY0200', level: 'district', governorate: 'SY02', district: 'SY0200' }
+      ]));
+
+      const codes = await resolveAdminCodes([37.16, 36.2]);
+
+      expect(find).toHaveBeenCalledWith({
+        geometry: { $geoIntersects: { $geometry: { type: 'Point', coordinates: [37.16, 36.2] } } }
+      });
+      expect(codes).toEqual({ governorate: 'SY02', district: 'SY0200', sub_district: 'SY020000' });
+    });
+
+    it('should return empty codes outside every boundary or without coordinates', async () => {
+      const find = jest.spyOn(AdminBoundary, 'find').mockReturnValue(mockQuery([]));
+      const empty = { governorate: null, district: null, sub_district: null };
+
+      expect(await resolveAdminCodes([10, 10])).toEqual(empty);
+      expect(await resolveAdminCodes(undefined)).toEqual(empty);
+      expect(find).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('assignAdminCodes', () => {
+    it('should set the codes of the deepest boundary and write only those that changed', async () => {
+      const boundaries = {
+        governorate: [{ code: 'SY02', level: 'governorate', governorate: 'SY02', district: null, geometry: square([36, 35, 39, 37]) }],
+        district: [{ code: 'SY0200', level: 'district', governorate: 'SY02', district: 'SY0200', geometry: square([36.8, 36.0, 37.4, 36.4]) }],
+        sub_district: []
+      };
+      const districtCodes = { governorate: 'SY02', district: 'SY0200', sub_district: null };
+      const violations = [
+        // Moved into the district
+        { _id: 'v1', admin_codes: { governorate: 'SY02', district: null, sub_district: null } },
+        // Already up to date
+        { _id: 'v2', admin_codes: districtCodes },
+        // In the governorate only, without codes yet
+        { _id: 'v3', admin_codes: null },
+        // Now outside every boundary
+        { _id: 'v4', admin_codes: { governorate: 'SY01', district: null, sub_district: null } },
+        // Outside every boundary and already without codes
+        { _id: 'v5' }
+      ];
+      const cursorOf = (docs) => ({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockReturnThis(),
+        cursor: jest.fn(() => (async function* () {
+          yield* docs;
+        })())
+      });
+      jest.spyOn(AdminBoundary, 'find').mockImplementation(({ level }) => cursorOf(boundaries[level]));
+      Violation.find.mockImplementation((filter) => {
+        if (Object.keys(filter).length === 0) return cursorOf(violations);
+        const ids = filter['location.coordinates'].$geoWithin.$geometry === boundaries.district[0].geometry
+          ? ['v1', 'v2']
+          : ['v1', 'v2', 'v3'];
+        return mockQuery(ids.map(_id => ({ _id })));
+      });
+      updateViolationsWithRevisions.mockImplementation(async (filter) => filter._id.$in.length);
+      Violation.countDocuments.mockResolvedValueOnce(3).mockResolvedValueOnce(5);
+
+      const result = await assignAdminCodes('admin-id');
+
+      expect(Violation.find).toHaveBeenCalledWith({
+        'location.coordinates': { $geoWithin: { $geometry: boundaries.district[0].geometry } }
+      });
+      expect(updateViolationsWithRevisions.mock.calls.map(([filter, update]) => [filter, update])).toEqual([
+        [{ _id: { $in: ['v1'] } }, { $set: { admin_codes: districtCodes } }],
+        [{ _id: { $in: ['v3'] } }, { $set: { admin_codes: { governorate: 'SY02', district: null, sub_district: null } } }],
+        [{ _id: { $in: ['v4'] } }, { $set: { admin_codes: null } }]
+      ]);
+      expect(updateViolationsWithRevisions).toHaveBeenCalledWith(
+        expect.any(Object), expect.any(Object), expect.objectContaining({ userId: 'admin-id' })
+      );
+      expect(result).toEqual({ boundaries: 2, assigned: 3, unassigned: 2, updated: 3 });
+    });
+  });
+});
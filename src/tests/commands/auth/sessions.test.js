@@ -0,0 +1,167 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/User', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../../models/RefreshToken', () => ({
+  hashToken: jest.fn(token => `hash:${token}`),
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../../models/RevokedToken', () => ({
+  updateOne: jest.fn(),
+  exists: jest.fn()
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  revokeUserSessions
+} = require('../../../commands/auth');
+const User = require('../../../models/User');
+const RefreshToken = require('../../../models/RefreshToken');
+const RevokedToken = require('../../../models/RevokedToken');
+const ErrorResponse = require('../../../utils/errorResponse');
+const logger = require('../../../config/logger');
+
+describe('Auth Session Commands', () => {
+  const exp = Math.floor(Date.now() / 1000) + 15 * 60;
+  const mockUser = {
+    _id: 'user-id',
+    getSignedJwtToken: jest.fn(() => jwt.sign({ id: 'user-id', exp }, 'secret'))
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RefreshToken.create.mockImplementation(async data => ({ _id: 'next-token-id', ...data }));
+    RefreshToken.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    RefreshToken.updateMany.mockResolvedValue({ modifiedCount: 2 });
+  });
+
+  describe('issueSession', () => {
+    it('should sign an access token and store the hash of a new refresh token', async () => {
+      const session = await issueSession(mockUser, { ip: '10.0.0.1', userAgent: 'curl' });
+
+      expect(session.tokenExpires).toEqual(new Date(exp * 1000));
+      expect(session.refreshToken).toMatch(/^[0-9a-f]{80}$/);
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: 'user-id',
+        tokenHash: `hash:${session.refreshToken}`,
+        family: expect.any(String),
+        createdByIp: '10.0.0.1',
+        userAgent: 'curl'
+      }));
+      expect(session.refreshTokenExpires.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    const storedToken = (data = {}) => ({
+      _id: 'token-id',
+      user: 'user-id',
+      family: 'family-id',
+      expiresAt: new Date(Date.now() + 60000),
+      revokedAt: null,
+      revokedReason: null,
+      ...data
+    });
+
+    it('should revoke the used token and issue a new one in the same session', async () => {
+      RefreshToken.findOne.mockResolvedValue(storedToken());
+      RefreshToken.findOneAndUpdate.mockResolvedValue(storedToken({ revokedAt: new Date(), revokedReason: 'rotated' }));
+      User.findById.mockResolvedValue(mockUser);
+
+      const result = await rotateRefreshToken('old-token');
+
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: 'hash:old-token' });
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'token-id', revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'rotated' } },
+        { new: true }
+      );
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ family: 'family-id' }));
+      expect(RefreshToken.updateOne).toHaveBeenCalledWith({ _id: 'token-id' }, { $set: { replacedBy: 'next-token-id' } });
+      expect(result.user).toBe(mockUser);
+      expect(result.refreshToken).not.toBe('old-token');
+    });
+
+    it('should end the session when a rotated token is used again', async () => {
+      RefreshToken.findOne.mockResolvedValue(storedToken({ revokedAt: new Date(), revokedReason: 'rotated' }));
+
+      await expect(rotateRefreshToken('old-token')).rejects.toThrow(new ErrorResponse('Invalid refresh token', 401));
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: 'family-id', revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'reuse_detected' } }
+      );
+      expect(logger.warn).toHaveBeenCalled();
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse unknown, expired and logged out tokens', async () => {
+      RefreshToken.findOne.mockResolvedValueOnce(null);
+      await expect(rotateRefreshToken('unknown')).rejects.toThrow(new ErrorResponse('Invalid refresh token', 401));
+
+      RefreshToken.findOne.mockResolvedValueOnce(storedToken({ expiresAt: new Date(Date.now() - 1000) }));
+      await expect(rotateRefreshToken('expired')).rejects.toThrow(new ErrorResponse('Invalid refresh token', 401));
+
+      RefreshToken.findOne.mockResolvedValueOnce(storedToken({ revokedAt: new Date(), revokedReason: 'logout' }));
+      await expect(rotateRefreshToken('logged-out')).rejects.toThrow(new ErrorResponse('Invalid refresh token', 401));
+
+      await expect(rotateRefreshToken()).rejects.toThrow(new ErrorResponse('Refresh token is required', 401));
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeAccessToken', () => {
+    it('should list the token until it expires', async () => {
+      RevokedToken.updateOne.mockResolvedValue({});
+
+      expect(await revokeAccessToken({ id: 'user-id', jti: 'token-id', exp })).toBe(true);
+      expect(RevokedToken.updateOne).toHaveBeenCalledWith(
+        { jti: 'token-id' },
+        { $setOnInsert: { user: 'user-id', reason: 'logout', expiresAt: new Date(exp * 1000) } },
+        { upsert: true }
+      );
+    });
+
+    it('should report listed tokens as revoked', async () => {
+      RevokedToken.exists.mockResolvedValue({ _id: 'revoked-id' });
+
+      expect(await isAccessTokenRevoked('token-id')).toBe(true);
+      expect(RevokedToken.exists).toHaveBeenCalledWith({ jti: 'token-id' });
+    });
+  });
+
+  describe('revokeUserSessions', () => {
+    it('should bump the token version and revoke every refresh token of the user', async () => {
+      User.findByIdAndUpdate.mockResolvedValue({ _id: 'user-id', tokenVersion: 3 });
+
+      const result = await revokeUserSessions('user-id');
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith('user-id', { $inc: { tokenVersion: 1 } }, { new: true });
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { user: 'user-id', revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'logout_all' } }
+      );
+      expect(result).toEqual({ tokenVersion: 3, refreshTokensRevoked: 2 });
+    });
+
+    it('should throw 404 for an unknown user', async () => {
+      User.findByIdAndUpdate.mockResolvedValue(null);
+
+      await expect(revokeUserSessions('missing-id')).rejects.toThrow(new ErrorResponse('User not found with id of missing-id', 404));
+    });
+  });
+});
@@ -0,0 +1,223 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Channel', () => ({
+  exists: jest.fn(),
+  create: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndDelete: jest.fn()
+}));
+jest.mock('../../../models/TelegramChannelState', () => ({
+  updateOne: jest.fn()
+}));
+jest.mock('../../../models/FilterDecision', () => ({
+  aggregate: jest.fn()
+}));
+jest.mock('../../../services/TelegramScraper');
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const mongoose = require('mongoose');
+const {
+  buildChannelFilterQuery,
+  updateChannel,
+  deleteChannel,
+  seedChannels,
+  testChannel,
+  buildFilterDecisionQuery,
+  getFilterStats
+} = require('../../../commands/channels');
+const { CHANNELS_SEED_PATH } = require('../../../commands/channels/seed');
+const Channel = require('../../../models/Channel');
+const TelegramChannelState = require('../../../models/TelegramChannelState');
+const FilterDecision = require('../../../models/FilterDecision');
+const TelegramScraper = require('../../../services/TelegramScraper');
+
+// Channel document mock with the subset of the mongoose document API the commands use
+const mockChannelDocument = (data) => {
+  const doc = {
+    ...data,
+    filtering: { toObject: () => ({ ...data.filtering }) },
+    set: jest.fn((key, value) => {
+      if (typeof key === 'string') {
+        doc[key] = value;
+      } else {
+        Object.assign(doc, key);
+      }
+    }),
+    save: jest.fn().mockResolvedValue(),
+    toObject: jest.fn(() => ({ ...data }))
+  };
+  return doc;
+};
+
+describe('Channel Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildChannelFilterQuery', () => {
+    it('should filter by name, activation, priority and language', () => {
+      const query = buildChannelFilterQuery({ name: 'snn.', active: 'false', priority: 'high', language: 'ar' });
+
+      expect(query.name).toEqual(/snn\./i);
+      expect(query.active).toBe(false);
+      expect(query.priority).toBe('high');
+      expect(query.language).toBe('ar');
+    });
+
+    it('should return an empty query without filters', () => {
+      expect(buildChannelFilterQuery({})).toEqual({});
+    });
+  });
+
+  describe('updateChannel', () => {
+    it('should merge filtering rules into the existing ones', async () => {
+      const channel = mockChannelDocument({
+        name: 'SNN',
+        filtering: { min_keyword_matches: 2, require_context_keywords: true, min_text_length: 30, exclude_patterns: [] }
+      });
+      Channel.findById.mockResolvedValue(channel);
+
+      await updateChannel('channel1', { priority: 'low', filtering: { min_text_length: 50 }, lastMessageId: 10 }, mockUserId);
+
+      expect(channel.set).toHaveBeenCalledWith({ priority: 'low', updated_by: mockUserId });
+      expect(channel.set).toHaveBeenCalledWith('filtering', {
+        min_keyword_matches: 2,
+        require_context_keywords: true,
+        min_text_length: 50,
+        exclude_patterns: []
+      });
+      expect(channel.save).toHaveBeenCalled();
+      expect(TelegramChannelState.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should carry the scraping state over to a renamed channel', async () => {
+      Channel.findById.mockResolvedValue(mockChannelDocument({ name: 'SNN', filtering: {} }));
+
+      await updateChannel('channel1', { name: 'Shaam Network' }, mockUserId);
+
+      expect(TelegramChannelState.updateOne).toHaveBeenCalledWith(
+        { channel: 'SNN' },
+        { $set: { channel: 'Shaam Network' } }
+      );
+    });
+
+    it('should return 404 for unknown channels', async () => {
+      Channel.findById.mockResolvedValue(null);
+
+      await expect(updateChannel('missing', { active: false }, mockUserId)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('deleteChannel', () => {
+    it('should return 404 for unknown channels', async () => {
+      Channel.findByIdAndDelete.mockResolvedValue(null);
+
+      await expect(deleteChannel('missing', mockUserId)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('seedChannels', () => {
+    it('should add the YAML channels missing from the collection', async () => {
+      jest.spyOn(fs, 'readFileSync').mockReturnValueOnce(yaml.dump({
+        channels: [
+          { name: 'SNN', url: 'https://t.me/ShaamNetwork', active: true, priority: 'high', language: 'ar' },
+          {
+            name: 'Naher Media',
+            url: 'https://t.me/nahermedia',
+            active: true,
+            priority: 'medium',
+            language: 'ar',
+            filtering: { min_keyword_matches: 2, exclude_patterns: [] }
+          }
+        ],
+        scraping: { interval: 5 }
+      }));
+      Channel.exists.mockImplementation(async ({ name }) => name === 'SNN');
+
+      const result = await seedChannels(mockUserId);
+
+      expect(fs.readFileSync).toHaveBeenCalledWith(CHANNELS_SEED_PATH, 'utf8');
+      expect(result).toEqual({ created: 1, existing: 1 });
+      expect(Channel.create).toHaveBeenCalledTimes(1);
+      expect(Channel.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Naher Media',
+        priority: 'medium',
+        filtering: { min_keyword_matches: 2, exclude_patterns: [] },
+        created_by: mockUserId
+      }));
+    });
+
+    it('should seed every channel of the shipped YAML', async () => {
+      Channel.exists.mockResolvedValue(null);
+
+      const result = await seedChannels(mockUserId);
+
+      expect(result.created).toBeGreaterThan(0);
+      expect(result.existing).toBe(0);
+    });
+  });
+
+  describe('testChannel', () => {
+    it('should dry run the channel with the scraper', async () => {
+      const channel = mockChannelDocument({ name: 'SNN', url: 'https://t.me/ShaamNetwork', active: false });
+      Channel.findById.mockResolvedValue(channel);
+      TelegramScraper.prototype.testChannel.mockResolvedValue({ channel: 'SNN', accessible: true, messages: [] });
+
+      const result = await testChannel('channel1');
+
+      expect(result.accessible).toBe(true);
+      expect(TelegramScraper.prototype.testChannel).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'SNN', active: false })
+      );
+    });
+
+    it('should return 404 for unknown channels', async () => {
+      Channel.findById.mockResolvedValue(null);
+
+      await expect(testChannel('missing')).rejects.toMatchObject({ statusCode: 404 });
+      expect(TelegramScraper).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('filtering decisions', () => {
+    it('should filter decisions by channel, reason, outcome, keyword and date', () => {
+      const query = buildFilterDecisionQuery({
+        channel: 'SNN',
+        reason: 'missing_context',
+        kept: 'false',
+        keyword: 'قصف',
+        startDate: '2024-03-01'
+      });
+
+      expect(query).toEqual({
+        channel: 'SNN',
+        reason: 'missing_context',
+        kept: false,
+        matchedKeywords: 'قصف',
+        decidedAt: { $gte: new Date('2024-03-01') }
+      });
+    });
+
+    it('should roll decision counts up per channel', async () => {
+      FilterDecision.aggregate.mockResolvedValue([
+        { _id: { channel: 'SNN', reason: 'matched' }, count: 4, kept: true },
+        { _id: { channel: 'SNN', reason: 'no_keywords' }, count: 5, kept: false },
+        { _id: { channel: 'SNN', reason: 'too_short' }, count: 1, kept: false },
+        { _id: { channel: 'D24net', reason: 'excluded' }, count: 2, kept: false }
+      ]);
+
+      const stats = await getFilterStats({});
+
+      expect(stats).toEqual([
+        { channel: 'SNN', total: 10, kept: 4, dropped: 6, reasons: { matched: 4, no_keywords: 5, too_short: 1 } },
+        { channel: 'D24net', total: 2, kept: 0, dropped: 2, reasons: { excluded: 2 } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const {
+  parseAdminCodes,
+  buildPlace,
+  loadGazetteer,
+  adminDivisionKey,
+  searchGazetteer
+} = require('../../../commands/gazetteer');
+const GazetteerPlace = require('../../../models/GazetteerPlace');
+const { transliterationKey } = require('../../../utils/textNormalizer');
+
+// A line of a GeoNames dump
+const geonamesLine = ({ id, name, alternateNames = '', lat, lng, featureClass = 'P', featureCode = 'PPL', admin1 = '', admin2 = '', population = 0 }) => [
+  id, name, name, alternateNames, lat, lng, featureClass, featureCode, 'SY', '', admin1, admin2, '', '',
+  population, '', '300', 'Asia/Damascus', '2024-01-01'
+].join('\t');
+
+const deirEzZor = geonamesLine({
+  id: 170794,
+  name: 'Deir ez-Zor',
+  alternateNames: 'Dayr az Zawr,Deir Ezzor,دير الزور',
+  lat: 35.33588,
+  lng: 40.14084,
+  featureCode: 'PPLA',
+  admin1: '03',
+  population: 242565
+});
+
+const admin1Names = parseAdminCodes('SY.03\tDayr az Zawr\tDayr az Zawr\t170792\nSY.09\tAleppo\tAleppo\t170063\n');
+
+// Chainable find().sort().limit().lean() mock resolving to the given documents
+const mockQuery = (docs) => ({
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(docs)
+});
+
+describe('Gazetteer commands', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('transliterationKey', () => {
+    it('should give transliteration variants of a name the same key', () => {
+      expect(transliterationKey('Deir ez-Zor')).toBe(transliterationKey('Dayr az Zawr'));
+      expect(transliterationKey('Idlib')).toBe(transliterationKey('Idleb'));
+      expect(transliterationKey('Dar\'a')).toBe(transliterationKey('Daraa'));
+      expect(transliterationKey('Muadamiyat al-Sham')).toBe(transliterationKey('Moadamiyet ash-Sham'));
+    });
+
+    it('should drop the Arabic article and unify letter variants', () => {
+      expect(transliterationKey('الميدان')).toBe(transliterationKey('ميدان'));
+      expect(transliterationKey('معضمية الشام')).toBe(transliterationKey('معضميه شام'));
+    });
+  });
+
+  describe('buildPlace', () => {
+    it('should read names, admin hierarchy and coordinates from a GeoNames record', () => {
+      const place = buildPlace(deirEzZor, { admin1Names, source: 'SY.txt' });
+
+      expect(place).toMatchObject({
+        geonameId: 170794,
+        name: { en: 'Deir ez-Zor', ar: 'دير الزور' },
+        feature_code: 'PPLA',
+        population: 242565,
+        admin: { admin1_code: '03', governorate: 'SY09', names: ['Dayr az Zawr', 'Deir-ez-Zor', 'دير الزور'] },
+        location: { type: 'Point', coordinates: [40.14084, 35.33588] },
+        source: 'SY.txt'
+      });
+      expect(place.search_names).toEqual(expect.arrayContaining(['deir ez zor', 'دير الزور']));
+      expect(place.search_keys).toEqual(expect.arrayContaining(['dr zr', 'دير زور']));
+    });
+
+    it('should reject records without coordinates', () => {
+      expect(() => buildPlace(geonamesLine({ id: 1, name: 'Nowhere', lat: '', lng: '' })))
+        .toThrow('no valid GeoNames ID or coordinates');
+      expect(() => buildPlace('1\tNowhere')).toThrow('tab separated columns');
+    });
+  });
+
+  describe('loadGazetteer', () => {
+    it('should upsert populated places by GeoNames ID and report the rest', async () => {
+      const bulkWrite = jest.spyOn(GazetteerPlace, 'bulkWrite').mockResolvedValue({});
+
+      const result = await loadGazetteer([
+        deirEzZor,
+        geonamesLine({ id: 163345, name: 'Jabal Qasyun', lat: 33.54, lng: 36.27, featureClass: 'T', featureCode: 'MT' }),
+        '1\tBroken line',
+        ''
+      ].join('\n'), { admin1Names, source: 'SY.txt' });
+
+      expect(bulkWrite).toHaveBeenCalledWith([
+        expect.objectContaining({
+          updateOne: expect.objectContaining({ filter: { geonameId: 170794 }, upsert: true })
+        })
+      ], { ordered: false });
+      expect(result).toMatchObject({ loaded: 1, skipped: 1 });
+      expect(result.failed.map(failure => failure.line)).toEqual([3]);
+    });
+
+    it('should reject anything but the text of a dump', async () => {
+      await expect(loadGazetteer(null)).rejects.toThrow('text of a GeoNames dump');
+    });
+  });
+
+  describe('searchGazetteer', () => {
+    const place = buildPlace(deirEzZor, { admin1Names });
+    const village = buildPlace(geonamesLine({
+      id: 999001,
+      name: 'Khan Shaykhun',
+      alternateNames: 'Khan Sheikhoun,خان شيخون',
+      lat: 35.44,
+      lng: 36.65,
+      admin1: '09',
+      population: 20000
+    }), { admin1Names });
+
+    it('should match a transliteration variant and prefer the given governorate', async () => {
+      const find = jest.spyOn(GazetteerPlace, 'find').mockReturnValue(mockQuery([place]));
+
+      const [result] = await searchGazetteer('Dayr al-Zour', 'محافظة دير الزور');
+
+      expect(find).toHaveBeenCalledWith({ $or: [{ search_names: 'dayr al zour' }, { search_keys: 'dr zr' }] });
+      expect(result).toMatchObject({
+        latitude: 35.33588,
+        longitude: 40.14084,
+        city: 'Deir ez-Zor',
+        placeName: 'دير الزور',
+        gazetteerMatch: 'key',
+        quality: 0.85,
+        fromGazetteer: true,
+        apiCallsUsed: 0
+      });
+    });
+
+    it('should lower the quality when the admin division does not match', async () => {
+      jest.spyOn(GazetteerPlace, 'find').mockReturnValue(mockQuery([place]));
+
+      const [result] = await searchGazetteer('دير الزور', 'Aleppo Governorate');
+
+      expect(result).toMatchObject({ gazetteerMatch: 'name', quality: 0.7 });
+    });
+
+    it('should fall back to fuzzy matching on misspelled names', async () => {
+      const find = jest.spyOn(GazetteerPlace, 'find')
+        .mockReturnValueOnce(mockQuery([]))
+        .mockReturnValueOnce(mockQuery([place, village]));
+
+      const results = await searchGazetteer('Khan Shaykhung');
+
+      expect(find).toHaveBeenLastCalledWith({ search_keys: { $regex: '^kn' } });
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ city: 'Khan Shaykhun', gazetteerMatch: 'fuzzy' });
+    });
+
+    it('should not query without a usable name', async () => {
+      const find = jest.spyOn(GazetteerPlace, 'find');
+
+      expect(await searchGazetteer('  -- ')).toEqual([]);
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('adminDivisionKey', () => {
+    it('should ignore words naming the kind of unit', () => {
+      expect(adminDivisionKey('Aleppo Governorate')).toBe(transliterationKey('Aleppo'));
+      expect(adminDivisionKey('محافظة حلب')).toBe(transliterationKey('حلب'));
+    });
+  });
+});
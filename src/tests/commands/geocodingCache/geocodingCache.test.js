@@ -0,0 +1,232 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/GeocodingCache', () => ({
+  findById: jest.fn(),
+  findByCacheKey: jest.fn(),
+  deleteOne: jest.fn(),
+  getStats: jest.fn()
+}));
+jest.mock('../../../models/GeocodingMiss', () => ({
+  find: jest.fn(),
+  aggregate: jest.fn(),
+  deleteOne: jest.fn(),
+  deleteMany: jest.fn()
+}));
+jest.mock('../../../models/Violation', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../../commands/violations/create', () => ({
+  geocodeLocationForReview: jest.fn()
+}));
+jest.mock('../../../commands/violations/update', () => ({
+  updateViolation: jest.fn()
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const {
+  buildCacheFilterQuery,
+  getCacheStats,
+  updateCacheEntry,
+  addCacheAlias,
+  removeCacheAlias,
+  findViolationsForCacheEntry
+} = require('../../../commands/geocodingCache');
+const GeocodingCache = require('../../../models/GeocodingCache');
+const GeocodingMiss = require('../../../models/GeocodingMiss');
+const Violation = require('../../../models/Violation');
+const ErrorResponse = require('../../../utils/errorResponse');
+const { generateCacheKey } = require('../../../utils/geocoder');
+const { geocodeLocationForReview } = require('../../../commands/violations/create');
+const { updateViolation } = require('../../../commands/violations/update');
+
+// A cache entry document with the parts of the Mongoose API the commands use
+const mockEntry = (overrides = {}) => {
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    cacheKey: generateCacheKey('Jobar', 'Damascus', 'en'),
+    searchTerms: { placeName: 'Jobar', adminDivision: 'Damascus', language: 'en' },
+    results: { coordinates: [36.3, 33.5], formattedAddress: 'Damascus, Syria', quality: 0.5 },
+    source: 'photon',
+    pinned: false,
+    aliases: [],
+    save: jest.fn().mockResolvedValue(undefined),
+    set: jest.fn(function(path, value) {
+      const updates = typeof path === 'string' ? { [path]: value } : path;
+      Object.entries(updates).forEach(([key, update]) => {
+        const [field, subfield] = key.split('.');
+        if (subfield) this[field][subfield] = update;
+        else this[field] = update;
+      });
+    }),
+    ...overrides
+  };
+  entry.aliases.id = jest.fn(id => entry.aliases.find(alias => String(alias._id) === String(id)) || null);
+  return entry;
+};
+
+describe('Geocoding Cache Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildCacheFilterQuery', () => {
+    it('should search names, aliases and addresses and filter by source, language and pinning', () => {
+      const query = buildCacheFilterQuery({ q: ' Deir (ez) ', source: 'manual', language: 'en', pinned: 'false' });
+
+      expect(query.$or.map(condition => Object.keys(condition)[0]))
+        .toEqual(['searchTerms.placeName', 'aliases.placeName', 'results.formattedAddress']);
+      expect(query.$or[0]['searchTerms.placeName'].source).toBe('Deir \\(ez\\)');
+      expect(query).toMatchObject({ source: 'manual', 'searchTerms.language': 'en', pinned: false });
+    });
+  });
+
+  describe('getCacheStats', () => {
+    it('should add the misses and hit rate to the cache statistics', async () => {
+      GeocodingCache.getStats.mockResolvedValue({ totalEntries: 2, hits: 30, apiCallsSaved: 45 });
+      const topMisses = [{ searchTerms: { placeName: 'Tal Rifaat' }, missCount: 6 }];
+      GeocodingMiss.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(topMisses)
+      });
+      GeocodingMiss.aggregate.mockResolvedValue([{ misses: 10, apiCallsUsed: 14 }]);
+
+      const stats = await getCacheStats();
+
+      expect(stats).toMatchObject({
+        totalEntries: 2,
+        apiCallsSaved: 45,
+        misses: 10,
+        missApiCalls: 14,
+        hitRate: 0.75,
+        topMisses
+      });
+    });
+  });
+
+  describe('updateCacheEntry', () => {
+    it('should correct the coordinates, pin the entry and clear its misses', async () => {
+      const entry = mockEntry();
+      GeocodingCache.findById.mockResolvedValue(entry);
+
+      const result = await updateCacheEntry(entry._id, { coordinates: [36.3308, 33.5192], city: 'Jobar' }, mockUserId);
+
+      expect(result).toEqual({ entry });
+      expect(entry.results).toMatchObject({ coordinates: [36.3308, 33.5192], quality: 1 });
+      expect(entry).toMatchObject({ source: 'manual', pinned: true, corrected_by: mockUserId });
+      expect(entry.save).toHaveBeenCalled();
+      expect(GeocodingMiss.deleteMany).toHaveBeenCalledWith({ cacheKey: { $in: [entry.cacheKey] } });
+      expect(Violation.find).not.toHaveBeenCalled();
+    });
+
+    it('should geocode the affected violations again when asked to', async () => {
+      const entry = mockEntry();
+      GeocodingCache.findById.mockResolvedValue(entry);
+      const violation = {
+        _id: new mongoose.Types.ObjectId(),
+        location: { name: { en: 'Jobar', ar: 'جوبر' }, administrative_division: { en: 'Damascus' } }
+      };
+      Violation.find.mockResolvedValue([violation]);
+      geocodeLocationForReview.mockResolvedValue({ coordinates: [36.3308, 33.5192], geocoding: { status: 'ok', source: 'manual' } });
+
+      const { regeocoded } = await updateCacheEntry(entry._id, { coordinates: [36.3308, 33.5192] }, mockUserId, {
+        regeocodeViolations: true
+      });
+
+      expect(regeocoded).toEqual({ matched: 1, updated: 1, failed: [] });
+      expect(updateViolation).toHaveBeenCalledWith(
+        violation._id,
+        { location: { ...violation.location, coordinates: [36.3308, 33.5192] } },
+        mockUserId,
+        expect.objectContaining({ geocoding: { status: 'ok', source: 'manual' } })
+      );
+    });
+
+    it('should reject coordinates outside Syria and unknown entries', async () => {
+      GeocodingCache.findById.mockResolvedValueOnce(mockEntry()).mockResolvedValueOnce(null);
+
+      await expect(updateCacheEntry('a', { coordinates: [2.35, 48.85] }, mockUserId))
+        .rejects.toThrow(new ErrorResponse('Coordinates must be inside Syria', 400));
+      await expect(updateCacheEntry('b', {}, mockUserId))
+        .rejects.toThrow(new ErrorResponse('Geocoding cache entry not found with id of b', 404));
+    });
+  });
+
+  describe('findViolationsForCacheEntry', () => {
+    it('should keep only violations whose name and admin division give a key of the entry', async () => {
+      const entry = mockEntry({
+        aliases: [{ cacheKey: generateCacheKey('جوبر', '', 'ar'), placeName: 'جوبر', adminDivision: '', language: 'ar' }]
+      });
+      const matching = { _id: 1, location: { name: { en: 'JOBAR' }, administrative_division: { en: 'damascus' } } };
+      const byAlias = { _id: 2, location: { name: { ar: 'جوبر' } } };
+      const otherDivision = { _id: 3, location: { name: { en: 'Jobar' }, administrative_division: { en: 'Homs' } } };
+      Violation.find.mockResolvedValue([matching, byAlias, otherDivision]);
+
+      const violations = await findViolationsForCacheEntry(entry);
+
+      expect(violations).toEqual([matching, byAlias]);
+      expect(Violation.find.mock.calls[0][0]).toMatchObject({ deleted_at: null, merged_into: null });
+    });
+  });
+
+  describe('aliases', () => {
+    it('should add an alias and replace the entry cached for the spelling', async () => {
+      const entry = mockEntry();
+      const superseded = { _id: new mongoose.Types.ObjectId(), cacheKey: generateCacheKey('Joubar', 'Damascus', 'en'), pinned: false };
+      GeocodingCache.findById.mockResolvedValue(entry);
+      GeocodingCache.findByCacheKey.mockResolvedValue(superseded);
+
+      await addCacheAlias(entry._id, { placeName: ' Joubar ', adminDivision: 'Damascus' }, mockUserId);
+
+      expect(entry.aliases).toHaveLength(1);
+      expect(entry.aliases[0]).toEqual({
+        cacheKey: superseded.cacheKey,
+        placeName: 'Joubar',
+        adminDivision: 'Damascus',
+        language: 'en',
+        added_by: mockUserId
+      });
+      expect(entry.save).toHaveBeenCalled();
+      expect(GeocodingCache.deleteOne).toHaveBeenCalledWith({ _id: superseded._id });
+      expect(GeocodingMiss.deleteOne).toHaveBeenCalledWith({ cacheKey: superseded.cacheKey });
+    });
+
+    it('should refuse a spelling that resolves to another entry', async () => {
+      const entry = mockEntry();
+      GeocodingCache.findById.mockResolvedValue(entry);
+      GeocodingCache.findByCacheKey.mockResolvedValue({ _id: 'other', cacheKey: 'canonical', pinned: false });
+
+      await expect(addCacheAlias(entry._id, { placeName: 'Joubar' }, mockUserId))
+        .rejects.toThrow(new ErrorResponse('"Joubar" already resolves to cache entry other', 409));
+      expect(entry.save).not.toHaveBeenCalled();
+    });
+
+    it('should refuse the entry\'s own spelling', async () => {
+      const entry = mockEntry();
+      GeocodingCache.findById.mockResolvedValue(entry);
+
+      await expect(addCacheAlias(entry._id, { placeName: 'jobar', adminDivision: 'Damascus' }, mockUserId))
+        .rejects.toThrow(new ErrorResponse('"jobar" already resolves to this cache entry', 400));
+    });
+
+    it('should remove an alias by ID', async () => {
+      const alias = { _id: new mongoose.Types.ObjectId(), placeName: 'Joubar', deleteOne: jest.fn() };
+      const entry = mockEntry({ aliases: [alias] });
+      GeocodingCache.findById.mockResolvedValue(entry);
+
+      await removeCacheAlias(entry._id, alias._id.toString(), mockUserId);
+
+      expect(alias.deleteOne).toHaveBeenCalled();
+      expect(entry.save).toHaveBeenCalled();
+      await expect(removeCacheAlias(entry._id, 'missing', mockUserId))
+        .rejects.toThrow(new ErrorResponse('Alias not found with id of missing', 404));
+    });
+  });
+});
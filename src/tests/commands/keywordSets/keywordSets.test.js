@@ -0,0 +1,102 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/KeywordSet', () => ({
+  exists: jest.fn(),
+  create: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndDelete: jest.fn()
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const {
+  buildKeywordSetFilterQuery,
+  buildSeedKeywordSets,
+  seedKeywordSets,
+  updateKeywordSet,
+  deleteKeywordSet
+} = require('../../../commands/keywordSets');
+const KeywordSet = require('../../../models/KeywordSet');
+
+describe('Keyword Set Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildKeywordSetFilterQuery', () => {
+    it('should filter by category, type, activation and keyword', () => {
+      const query = buildKeywordSetFilterQuery({
+        category: 'violation',
+        violation_type: 'AIRSTRIKE',
+        active: 'true',
+        keyword: ' غارة '
+      });
+
+      expect(query).toEqual({ category: 'violation', violation_type: 'AIRSTRIKE', active: true, keywords: 'غارة' });
+    });
+  });
+
+  describe('buildSeedKeywordSets', () => {
+    it('should create a set per violation type plus the context and location sets', () => {
+      const sets = buildSeedKeywordSets({
+        keywords: { AIRSTRIKE: ['غارة جوية'], SHELLING: ['قصف'] },
+        context_keywords: ['مدنيين'],
+        location_keywords: []
+      });
+
+      expect(sets).toEqual([
+        { name: 'AIRSTRIKE', category: 'violation', violation_type: 'AIRSTRIKE', keywords: ['غارة جوية'] },
+        { name: 'SHELLING', category: 'violation', violation_type: 'SHELLING', keywords: ['قصف'] },
+        { name: 'context', category: 'context', keywords: ['مدنيين'] }
+      ]);
+    });
+  });
+
+  describe('seedKeywordSets', () => {
+    it('should add the sets missing from the collection and keep the existing ones', async () => {
+      KeywordSet.exists.mockImplementation(async ({ name }) => name === 'AIRSTRIKE');
+
+      const result = await seedKeywordSets(mockUserId);
+
+      expect(result.existing).toBe(1);
+      expect(result.created).toBeGreaterThan(2);
+      expect(KeywordSet.create).not.toHaveBeenCalledWith(expect.objectContaining({ name: 'AIRSTRIKE' }));
+      expect(KeywordSet.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'location',
+        category: 'location',
+        keywords: expect.arrayContaining(['حلب']),
+        created_by: mockUserId
+      }));
+    });
+  });
+
+  describe('updateKeywordSet', () => {
+    it('should save the updated fields through the document', async () => {
+      const keywordSet = { name: 'context', keywords: ['مدنيين'], set: jest.fn(), save: jest.fn().mockResolvedValue() };
+      KeywordSet.findById.mockResolvedValue(keywordSet);
+
+      await updateKeywordSet('set1', { keywords: ['مدنيين', 'أطفال'], created_by: 'someone' }, mockUserId);
+
+      expect(keywordSet.set).toHaveBeenCalledWith({ keywords: ['مدنيين', 'أطفال'], updated_by: mockUserId });
+      expect(keywordSet.save).toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown keyword sets', async () => {
+      KeywordSet.findById.mockResolvedValue(null);
+
+      await expect(updateKeywordSet('missing', {}, mockUserId)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('deleteKeywordSet', () => {
+    it('should return 404 for unknown keyword sets', async () => {
+      KeywordSet.findByIdAndDelete.mockResolvedValue(null);
+
+      await expect(deleteKeywordSet('missing', mockUserId)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
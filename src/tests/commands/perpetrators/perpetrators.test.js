@@ -0,0 +1,287 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Perpetrator', () => {
+  const actual = jest.requireActual('../../../models/Perpetrator');
+  return {
+    find: jest.fn(),
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    exists: jest.fn(),
+    create: jest.fn(),
+    countDocuments: jest.fn(),
+    findByIdAndDelete: jest.fn(),
+    bulkWrite: jest.fn(),
+    buildNameKeys: actual.buildNameKeys,
+    PERPETRATOR_KINDS: actual.PERPETRATOR_KINDS
+  };
+});
+jest.mock('../../../models/Violation', () => ({
+  aggregate: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../../../commands/violations/history', () => ({
+  updateViolationsWithRevisions: jest.fn()
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const {
+  updatePerpetrator,
+  deletePerpetrator,
+  buildPerpetratorFilterQuery,
+  getPerpetratorStats,
+  resolvePerpetratorLink,
+  seedPerpetratorCatalogue
+} = require('../../../commands/perpetrators');
+const { buildCatalogueTree } = require('../../../commands/perpetrators/instructions');
+const { buildParseInstructions } = require('../../../config/parseInstructions');
+const { PERPETRATOR_AFFILIATIONS, PERPETRATOR_CATALOGUE } = require('../../../config/perpetratorCatalogue');
+const Perpetrator = require('../../../models/Perpetrator');
+const Violation = require('../../../models/Violation');
+const { updateViolationsWithRevisions } = require('../../../commands/violations/history');
+const ErrorResponse = require('../../../utils/errorResponse');
+
+// Chainable query mock resolving to the given value
+const mockQuery = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+describe('Perpetrator Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parse instructions', () => {
+    it('should list every affiliation code in the default prompts', () => {
+      const { SYSTEM_PROMPT, USER_PROMPT } = buildParseInstructions();
+
+      expect(SYSTEM_PROMPT).toContain(`One of [${PERPETRATOR_AFFILIATIONS.join(', ')}]`);
+      expect(USER_PROMPT).toContain('### Russia ("russia")\n- Russian Aerospace Forces');
+      expect(USER_PROMPT).toContain('- Wagner Group / Wagner PMC');
+      expect(USER_PROMPT).not.toMatch(/^(<<<<<<<|=======|>>>>>>>)/m);
+    });
+
+    it('should generate the reference guide from catalogue records', () => {
+      const russia = { _id: new mongoose.Types.ObjectId(), kind: 'affiliation', code: 'russia', name: { en: 'Russia' }, description: 'Russian forces', guidance: [] };
+      const wagner = { _id: new mongoose.Types.ObjectId(), kind: 'group', parent: russia._id, name: { en: 'Wagner Group' }, aliases: [{ en: 'Africa Corps' }] };
+      const commander = { _id: new mongoose.Types.ObjectId(), kind: 'individual', parent: wagner._id, name: { en: 'Field Commander X' }, guidance: ['Only when named'] };
+
+      const catalogue = buildCatalogueTree([russia, wagner, commander]);
+      const { USER_PROMPT } = buildParseInstructions(catalogue);
+
+      expect(catalogue.map(entry => entry.code)).toEqual(PERPETRATOR_AFFILIATIONS);
+      expect(USER_PROMPT).toContain('"russia" - Russian forces');
+      expect(USER_PROMPT).toContain('- Wagner Group / Africa Corps\n  - Field Commander X\n    - Only when named');
+      // Affiliations missing from the collection keep their seed entry
+      expect(USER_PROMPT).toContain('- Syrian Arab Army / SAA');
+    });
+  });
+
+  describe('resolvePerpetratorLink', () => {
+    it('should take the affiliation and missing names from the linked perpetrator', async () => {
+      const perpetratorId = new mongoose.Types.ObjectId();
+      Perpetrator.findById.mockReturnValue(mockQuery({
+        _id: perpetratorId,
+        name: { en: 'Wagner Group', ar: 'مجموعة فاغنر' },
+        affiliation: 'russia'
+      }));
+
+      const data = await resolvePerpetratorLink({
+        perpetrator_entity: perpetratorId.toString(),
+        perpetrator: { en: 'Wagner mercenaries' },
+        perpetrator_affiliation: 'unknown'
+      });
+
+      expect(data.perpetrator_entity).toBe(perpetratorId);
+      expect(data.perpetrator_affiliation).toBe('russia');
+      expect(data.perpetrator).toEqual({ en: 'Wagner mercenaries', ar: 'مجموعة فاغنر' });
+    });
+
+    it('should reject unknown perpetrators', async () => {
+      Perpetrator.findById.mockReturnValue(mockQuery(null));
+
+      await expect(resolvePerpetratorLink({ perpetrator_entity: new mongoose.Types.ObjectId().toString() }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should link by name when exactly one entry matches the reported affiliation', async () => {
+      const turkishId = new mongoose.Types.ObjectId();
+      Perpetrator.find.mockReturnValue(mockQuery([
+        { _id: new mongoose.Types.ObjectId(), name: { en: 'Hamza Division' }, affiliation: 'post_8th_december_government' },
+        { _id: turkishId, name: { en: 'Hamza Division' }, affiliation: 'turkey' }
+      ]));
+
+      const data = await resolvePerpetratorLink({
+        perpetrator: { en: 'Hamza  division' },
+        perpetrator_affiliation: 'turkey'
+      });
+
+      expect(Perpetrator.find).toHaveBeenCalledWith({ name_keys: { $in: ['hamza division'] } });
+      expect(data.perpetrator_entity).toBe(turkishId);
+    });
+
+    it('should leave ambiguous names unlinked', async () => {
+      Perpetrator.find.mockReturnValue(mockQuery([
+        { _id: new mongoose.Types.ObjectId(), name: { en: 'Hamza Division' }, affiliation: 'post_8th_december_government' },
+        { _id: new mongoose.Types.ObjectId(), name: { en: 'Hamza Division' }, affiliation: 'turkey' }
+      ]));
+
+      const data = await resolvePerpetratorLink({
+        perpetrator: { en: 'Hamza Division' },
+        perpetrator_affiliation: 'unknown'
+      });
+
+      expect(data.perpetrator_entity).toBeUndefined();
+      expect(data.perpetrator_affiliation).toBe('unknown');
+    });
+  });
+
+  describe('updatePerpetrator', () => {
+    it('should move members and linked violations along when a perpetrator changes affiliation', async () => {
+      const unitId = new mongoose.Types.ObjectId();
+      const oldRoot = new mongoose.Types.ObjectId();
+      const newRoot = new mongoose.Types.ObjectId();
+      const memberId = new mongoose.Types.ObjectId();
+      const unit = {
+        _id: unitId,
+        parent: oldRoot,
+        ancestors: [oldRoot],
+        affiliation: 'post_8th_december_government',
+        set: jest.fn(function(values) {
+          Object.assign(this, values);
+        }),
+        save: jest.fn(async function() {
+          this.ancestors = [newRoot];
+          this.affiliation = 'turkey';
+        })
+      };
+
+      Perpetrator.findById.mockResolvedValue(unit);
+      Perpetrator.find.mockReturnValue(mockQuery([{ _id: memberId, ancestors: [oldRoot, unitId] }]));
+      updateViolationsWithRevisions.mockResolvedValue(4);
+
+      await updatePerpetrator(unitId, { parent: newRoot, updated_by: 'ignored' }, mockUserId);
+
+      expect(unit.set).toHaveBeenCalledWith({ parent: newRoot, updated_by: mockUserId });
+      expect(Perpetrator.bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { _id: memberId },
+          update: { $set: { ancestors: [newRoot, unitId], affiliation: 'turkey' } }
+        }
+      }]);
+      expect(updateViolationsWithRevisions).toHaveBeenCalledWith(
+        { perpetrator_entity: { $in: [unitId, memberId] } },
+        { $set: { perpetrator_affiliation: 'turkey' } },
+        expect.objectContaining({ userId: mockUserId })
+      );
+    });
+
+    it('should return 404 for unknown perpetrators', async () => {
+      Perpetrator.findById.mockResolvedValue(null);
+
+      await expect(updatePerpetrator('missing-id', {}, mockUserId)).rejects.toThrow(ErrorResponse);
+    });
+  });
+
+  describe('deletePerpetrator', () => {
+    it('should refuse to delete a perpetrator with members', async () => {
+      Perpetrator.findById.mockResolvedValue({ _id: 'unit-id' });
+      Perpetrator.countDocuments.mockResolvedValue(3);
+
+      await expect(deletePerpetrator('unit-id', mockUserId)).rejects.toThrow('has 3 member(s)');
+      expect(Perpetrator.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to delete a perpetrator linked to violations', async () => {
+      Perpetrator.findById.mockResolvedValue({ _id: 'unit-id' });
+      Perpetrator.countDocuments.mockResolvedValue(0);
+      Violation.countDocuments.mockResolvedValue(2);
+
+      await expect(deletePerpetrator('unit-id', mockUserId)).rejects.toThrow('linked to 2 violation(s)');
+      expect(Perpetrator.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('queries', () => {
+    it('should search normalized names and filter the hierarchy', () => {
+      const query = buildPerpetratorFilterQuery({ name: 'قوات  سوريا', kind: 'unit', affiliation: 'sdf' });
+
+      expect(query.name_keys.test('قوات سوريا الديمقراطيه')).toBe(true);
+      expect(query.kind).toBe('unit');
+      expect(query.affiliation).toBe('sdf');
+    });
+  });
+
+  describe('getPerpetratorStats', () => {
+    const russia = { _id: new mongoose.Types.ObjectId(), kind: 'affiliation', code: 'russia', name: { en: 'Russia' }, affiliation: 'russia' };
+    const wagner = { _id: new mongoose.Types.ObjectId(), kind: 'group', parent: russia._id, name: { en: 'Wagner Group' }, affiliation: 'russia' };
+    const squadA = { _id: new mongoose.Types.ObjectId(), kind: 'unit', parent: wagner._id, name: { en: 'Squad A' }, affiliation: 'russia' };
+    const squadB = { _id: new mongoose.Types.ObjectId(), kind: 'unit', parent: wagner._id, name: { en: 'Squad B' }, affiliation: 'russia' };
+
+    beforeEach(() => {
+      Violation.aggregate.mockResolvedValue([
+        { _id: { perpetrator: squadA._id, affiliation: 'russia' }, count: 2, casualties: 5 },
+        { _id: { perpetrator: squadB._id, affiliation: 'russia' }, count: 1, casualties: 1 },
+        { _id: { perpetrator: null, affiliation: 'russia' }, count: 4, casualties: 2 },
+        { _id: { perpetrator: null, affiliation: 'isis' }, count: 1, casualties: 0 }
+      ]);
+      Perpetrator.find
+        .mockReturnValueOnce(mockQuery([squadA, squadB]))
+        .mockReturnValueOnce(mockQuery([wagner, russia]));
+    });
+
+    it('should roll units up to their parent', async () => {
+      const stats = await getPerpetratorStats({}, { groupBy: 'parent' });
+
+      expect(Violation.aggregate.mock.calls[0][0][0]).toEqual({
+        $match: { deleted_at: null, review_status: { $in: ['published', null] } }
+      });
+      expect(stats[0]).toMatchObject({ perpetrator: null, affiliation: 'russia', count: 4 });
+      expect(stats[1]).toMatchObject({
+        perpetrator: { _id: wagner._id, name: { en: 'Wagner Group' } },
+        count: 3,
+        casualties: 6
+      });
+    });
+
+    it('should roll everything up to the top-level affiliation', async () => {
+      const stats = await getPerpetratorStats({});
+
+      expect(stats).toHaveLength(2);
+      expect(stats[0]).toMatchObject({ affiliation: 'russia', count: 7, casualties: 8 });
+      expect(stats[0].perpetrator._id).toBe(russia._id);
+      // Affiliations that are not in the collection yet are named from the seed catalogue
+      expect(stats[1]).toMatchObject({ affiliation: 'isis', perpetrator: null, name: { en: 'Islamic State' } });
+    });
+  });
+
+  describe('seedPerpetratorCatalogue', () => {
+    it('should only create entries that do not exist yet', async () => {
+      Perpetrator.findOne.mockImplementation(async ({ code }) => (
+        code === 'russia' ? { _id: 'russia-id' } : null
+      ));
+      Perpetrator.exists.mockImplementation(async ({ parent, name_keys }) => (
+        parent === 'russia-id' && name_keys === 'wagner group'
+      ));
+      Perpetrator.create.mockImplementation(async (data) => ({ _id: `${data.code || data.name.en}-id`, ...data }));
+
+      const result = await seedPerpetratorCatalogue(mockUserId);
+
+      const total = PERPETRATOR_CATALOGUE.reduce((sum, entry) => sum + 1 + entry.members.length, 0);
+      expect(result).toEqual({ created: total - 2, existing: 2 });
+      expect(Perpetrator.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: { en: 'Syrian Arab Army' },
+        aliases: [{ en: 'SAA' }],
+        kind: 'unit',
+        parent: 'assad_regime-id'
+      }));
+    });
+  });
+});
@@ -0,0 +1,270 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Report', () => ({
+  findReadyForProcessing: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  countDocuments: jest.fn(),
+  findOne: jest.fn(),
+  find: jest.fn()
+}));
+jest.mock('../../../models/Channel', () => ({
+  CHANNEL_PRIORITIES: ['high', 'medium', 'low'],
+  find: jest.fn()
+}));
+jest.mock('../../../models/MediaItem', () => ({
+  getArchivedUrls: jest.fn()
+}));
+jest.mock('../../../models/jobs/ReportParsingJob', () => ({
+  create: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const {
+  findReportsByChannelPriority,
+  createReportParsingJob,
+  createReportParsingJobs,
+  recordReportParsingOutcome,
+  reclaimStuckReports
+} = require('../../../commands/reports');
+const Report = require('../../../models/Report');
+const Channel = require('../../../models/Channel');
+const MediaItem = require('../../../models/MediaItem');
+const ReportParsingJob = require('../../../models/jobs/ReportParsingJob');
+
+const mockReport = (id, channel) => ({
+  _id: id,
+  text: `قصف جوي على حلب في تقرير ${id}`,
+  source_url: `https://t.me/${channel}/${id}`,
+  date: new Date('2024-03-05T10:00:00Z'),
+  media: [],
+  metadata: { channel }
+});
+
+const mockChannels = (channels) => {
+  Channel.find.mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve(channels) })
+  });
+};
+
+describe('Report Parsing Commands', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockChannels([
+      { name: 'SNN', priority: 'high' },
+      { name: 'Halab Today', priority: 'low' },
+      { name: 'Naher Media', priority: 'medium' }
+    ]);
+  });
+
+  describe('findReportsByChannelPriority', () => {
+    it('should take the reports of high priority channels first', async () => {
+      Report.findReadyForProcessing
+        .mockResolvedValueOnce([mockReport('1', 'SNN')])
+        .mockResolvedValueOnce([mockReport('2', 'Naher Media')])
+        .mockResolvedValueOnce([mockReport('3', 'Halab Today')]);
+
+      const reports = await findReportsByChannelPriority(5);
+
+      expect(reports.map(report => report._id)).toEqual(['1', '2', '3']);
+      expect(Report.findReadyForProcessing).toHaveBeenNthCalledWith(1, 5, { 'metadata.channel': { $in: ['SNN'] } });
+      expect(Report.findReadyForProcessing).toHaveBeenNthCalledWith(2, 4, { 'metadata.channel': { $in: ['Naher Media'] } });
+      // Low priority also covers the reports of channels that no longer exist
+      expect(Report.findReadyForProcessing).toHaveBeenNthCalledWith(3, 3, { 'metadata.channel': { $nin: ['SNN', 'Naher Media'] } });
+    });
+
+    it('should stop once the limit is reached', async () => {
+      Report.findReadyForProcessing.mockResolvedValueOnce([mockReport('1', 'SNN'), mockReport('2', 'SNN')]);
+
+      const reports = await findReportsByChannelPriority(2);
+
+      expect(reports).toHaveLength(2);
+      expect(Report.findReadyForProcessing).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createReportParsingJob', () => {
+    it('should claim the report and create a job carrying its text, source and media', async () => {
+      const report = { ...mockReport('1', 'SNN'), media: ['media1'] };
+      const jobId = new mongoose.Types.ObjectId();
+      Report.findOneAndUpdate.mockResolvedValue(report);
+      MediaItem.getArchivedUrls.mockResolvedValue(['https://api.example.org/api/media/abc.jpg']);
+      ReportParsingJob.create.mockResolvedValue({ _id: jobId });
+
+      const job = await createReportParsingJob(report);
+
+      expect(job._id).toBe(jobId);
+      expect(Report.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: '1', status: 'new' },
+        {
+          $set: { status: 'processing', error: null, processingStartedAt: expect.any(Date) },
+          $inc: { parsingAttempts: 1 }
+        },
+        { new: true }
+      );
+      expect(ReportParsingJob.create).toHaveBeenCalledWith({
+        report: '1',
+        reportText: report.text,
+        sourceURL: { name: 'SNN', url: 'https://t.me/SNN/1', reportDate: '2024-03-05' },
+        mediaLinks: ['https://api.example.org/api/media/abc.jpg'],
+        status: 'queued'
+      });
+      expect(Report.updateOne).toHaveBeenCalledWith({ _id: '1' }, { parsingJobId: jobId });
+    });
+
+    it('should skip reports already claimed', async () => {
+      Report.findOneAndUpdate.mockResolvedValue(null);
+
+      expect(await createReportParsingJob(mockReport('1', 'SNN'))).toBeNull();
+      expect(ReportParsingJob.create).not.toHaveBeenCalled();
+    });
+
+    it('should mark the report as failed when the job cannot be created', async () => {
+      Report.findOneAndUpdate.mockResolvedValue(mockReport('1', 'SNN'));
+      MediaItem.getArchivedUrls.mockResolvedValue([]);
+      ReportParsingJob.create.mockRejectedValue(new Error('Validation failed'));
+
+      await expect(createReportParsingJob(mockReport('1', 'SNN'))).rejects.toThrow('Validation failed');
+      expect(Report.updateOne).toHaveBeenCalledWith(
+        { _id: '1' },
+        { status: 'failed', error: 'Could not queue report for parsing: Validation failed' }
+      );
+    });
+  });
+
+  describe('createReportParsingJobs', () => {
+    it('should only fill the free in-flight slots', async () => {
+      Report.countDocuments.mockResolvedValue(3);
+      Report.findReadyForProcessing.mockResolvedValue([mockReport('1', 'SNN'), mockReport('2', 'SNN')]);
+      Report.findOneAndUpdate.mockImplementation(async ({ _id }) => mockReport(_id, 'SNN'));
+      MediaItem.getArchivedUrls.mockResolvedValue([]);
+      ReportParsingJob.create.mockImplementation(async (data) => ({ _id: `job-${data.report}` }));
+
+      const result = await createReportParsingJobs({ maxInFlight: 5 });
+
+      expect(Report.countDocuments).toHaveBeenCalledWith({ status: 'processing' });
+      expect(Report.findReadyForProcessing).toHaveBeenCalledWith(2, expect.any(Object));
+      expect(result.jobs.map(job => job._id)).toEqual(['job-1', 'job-2']);
+      expect(result.inFlight).toBe(5);
+      expect(result.failed).toBe(0);
+    });
+
+    it('should not look for reports when the in-flight limit is reached', async () => {
+      Report.countDocuments.mockResolvedValue(5);
+
+      const result = await createReportParsingJobs({ maxInFlight: 5 });
+
+      expect(result).toEqual({ jobs: [], inFlight: 5, failed: 0 });
+      expect(Report.findReadyForProcessing).not.toHaveBeenCalled();
+    });
+
+    it('should count reports whose job could not be created', async () => {
+      Report.countDocuments.mockResolvedValue(0);
+      Report.findReadyForProcessing.mockResolvedValueOnce([mockReport('1', 'SNN')]).mockResolvedValue([]);
+      Report.findOneAndUpdate.mockResolvedValue(mockReport('1', 'SNN'));
+      MediaItem.getArchivedUrls.mockResolvedValue([]);
+      ReportParsingJob.create.mockRejectedValue(new Error('Validation failed'));
+
+      const result = await createReportParsingJobs({ maxInFlight: 5 });
+
+      expect(result).toEqual({ jobs: [], inFlight: 0, failed: 1 });
+    });
+  });
+
+  describe('recordReportParsingOutcome', () => {
+    it('should mark the report of a completed job as parsed', async () => {
+      const report = { markAsProcessed: jest.fn().mockResolvedValue('parsed'), markAsFailed: jest.fn() };
+      Report.findOne.mockResolvedValue(report);
+
+      await recordReportParsingOutcome('job1', { success: true });
+
+      expect(Report.findOne).toHaveBeenCalledWith({ parsingJobId: 'job1' });
+      expect(report.markAsProcessed).toHaveBeenCalledWith('job1');
+    });
+
+    it('should send the report of a failed job back to new while it has parsing jobs left', async () => {
+      const report = { parsingAttempts: 1, markForRetry: jest.fn().mockResolvedValue('new'), markAsFailed: jest.fn() };
+      Report.findOne.mockResolvedValue(report);
+
+      await recordReportParsingOutcome('job1', { success: false, error: 'Claude API timed out' });
+
+      expect(report.markForRetry).toHaveBeenCalledWith('Claude API timed out');
+      expect(report.markAsFailed).not.toHaveBeenCalled();
+    });
+
+    it('should mark the report of a failed job as failed with the error on its last parsing job', async () => {
+      const report = { parsingAttempts: 2, markForRetry: jest.fn(), markAsFailed: jest.fn().mockResolvedValue('failed') };
+      Report.findOne.mockResolvedValue(report);
+
+      await recordReportParsingOutcome('job1', { success: false, error: 'Claude API key is not configured' });
+
+      expect(report.markAsFailed).toHaveBeenCalledWith('Claude API key is not configured');
+      expect(report.markForRetry).not.toHaveBeenCalled();
+    });
+
+    it('should ignore jobs without a report', async () => {
+      Report.findOne.mockResolvedValue(null);
+
+      expect(await recordReportParsingOutcome('job1', { success: true })).toBeNull();
+    });
+  });
+
+  describe('reclaimStuckReports', () => {
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+    beforeEach(() => {
+      Report.findOneAndUpdate.mockImplementation(async ({ _id }) => ({ _id }));
+      ReportParsingJob.updateOne.mockResolvedValue({});
+    });
+
+    it('should take back reports past the timeout or whose job left the queue', async () => {
+      Report.find.mockResolvedValue([
+        { _id: 'timed-out', parsingJobId: 'job1', parsingAttempts: 1, processingStartedAt: minutesAgo(90) },
+        { _id: 'lost', parsingJobId: 'job2', parsingAttempts: 2, processingStartedAt: minutesAgo(10) },
+        { _id: 'never-queued', parsingJobId: null, parsingAttempts: 1, processingStartedAt: minutesAgo(10) },
+        { _id: 'running', parsingJobId: 'job3', parsingAttempts: 1, processingStartedAt: minutesAgo(10) },
+        { _id: 'just-claimed', parsingJobId: null, parsingAttempts: 1, processingStartedAt: minutesAgo(1) }
+      ]);
+      const isJobQueued = jest.fn(async (jobId) => jobId === 'job3');
+
+      const result = await reclaimStuckReports({ timeoutMinutes: 60, isJobQueued });
+
+      expect(Report.find).toHaveBeenCalledWith({ status: 'processing' });
+      expect(result).toEqual({ retried: 2, failed: 1 });
+      expect(Report.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'timed-out', status: 'processing', parsingJobId: 'job1' },
+        { $set: { status: 'new', error: 'Parsing did not finish within 60 minutes' } },
+        { new: true }
+      );
+      expect(Report.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'lost', status: 'processing', parsingJobId: 'job2' },
+        { $set: { status: 'failed', error: 'Parsing job is no longer on the queue' } },
+        { new: true }
+      );
+      expect(Report.findOneAndUpdate.mock.calls.map(([filter]) => filter._id)).toEqual(['timed-out', 'lost', 'never-queued']);
+      expect(ReportParsingJob.updateOne).toHaveBeenCalledWith(
+        { _id: 'job1', status: { $nin: ['completed', 'failed'] } },
+        { $set: { status: 'failed', error: 'Parsing did not finish within 60 minutes' } }
+      );
+    });
+
+    it('should only use the timeout without a queue and skip reports that finished meanwhile', async () => {
+      Report.find.mockResolvedValue([
+        { _id: 'lost', parsingJobId: 'job2', parsingAttempts: 1, processingStartedAt: minutesAgo(10) },
+        { _id: 'finished', parsingJobId: 'job1', parsingAttempts: 1, processingStartedAt: minutesAgo(90) }
+      ]);
+      Report.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await reclaimStuckReports({ timeoutMinutes: 60 });
+
+      expect(result).toEqual({ retried: 0, failed: 0 });
+      expect(Report.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(ReportParsingJob.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,269 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Victim', () => {
+  const actual = jest.requireActual('../../../models/Victim');
+  return {
+    find: jest.fn(),
+    findById: jest.fn(),
+    findByIdAndDelete: jest.fn(),
+    create: jest.fn(),
+    paginate: jest.fn(),
+    buildNameKeys: actual.buildNameKeys
+  };
+});
+jest.mock('../../../models/Violation', () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../../../commands/violations/history', () => ({
+  updateViolationsWithRevisions: jest.fn()
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const {
+  createVictim,
+  updateVictim,
+  mergeVictims,
+  deleteVictim,
+  buildVictimFilterQuery,
+  getVictimById,
+  getVictimTimeline,
+  findVictimDuplicates
+} = require('../../../commands/victims');
+const Victim = require('../../../models/Victim');
+const Violation = require('../../../models/Violation');
+const { updateViolationsWithRevisions } = require('../../../commands/violations/history');
+const ErrorResponse = require('../../../utils/errorResponse');
+
+// Chainable query mock resolving to the given value
+const mockQuery = (value) => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(value)
+  };
+  return query;
+};
+
+// Victim document mock with the methods the commands use
+const mockVictimDocument = (data) => ({
+  aliases: [],
+  hometown: { en: '', ar: '' },
+  notes: '',
+  restricted: false,
+  merged_into: null,
+  ...data,
+  set: jest.fn(function(pathOrValues, value) {
+    if (typeof pathOrValues === 'string') {
+      const [field, lang] = pathOrValues.split('.');
+      this[field] = { ...this[field], [lang]: value };
+    } else {
+      Object.assign(this, pathOrValues);
+    }
+  }),
+  save: jest.fn().mockResolvedValue(undefined)
+});
+
+describe('Victim Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildNameKeys', () => {
+    it('should normalize names and aliases in both languages', () => {
+      const keys = Victim.buildNameKeys({
+        name: { en: 'Muḥammad Al-Ḥasan', ar: 'مُحَمَّد الحسن' },
+        aliases: [{ en: 'Abu Ahmad', ar: '' }, { en: 'muhammad al hasan', ar: '' }]
+      });
+
+      expect(keys).toEqual(['muhammad al hasan', 'محمد الحسن', 'abu ahmad']);
+    });
+  });
+
+  describe('findVictimDuplicates', () => {
+    it('should suggest records with similar names and compatible details', async () => {
+      const sameId = new mongoose.Types.ObjectId();
+      Victim.find.mockReturnValue(mockQuery([
+        { _id: sameId, name: { en: 'Mohammad Al Hassan' }, name_keys: ['mohammad al hassan'], birth_year: 1990, hometown: { en: 'Douma' } },
+        { _id: new mongoose.Types.ObjectId(), name: { en: 'Mohammad Al Hassan' }, name_keys: ['mohammad al hassan'], birth_year: 1970 },
+        { _id: new mongoose.Types.ObjectId(), name: { en: 'Ahmad Khalil' }, name_keys: ['ahmad khalil'] }
+      ]));
+
+      const duplicates = await findVictimDuplicates({
+        name: { en: 'Muhammad Al-Hassan' },
+        birth_year: 1990,
+        hometown: { en: 'douma' }
+      });
+
+      expect(duplicates).toHaveLength(1);
+      expect(duplicates[0].victim._id).toBe(sameId);
+      expect(duplicates[0].victim.name_keys).toBeUndefined();
+      expect(duplicates[0].matchedCriteria).toEqual(['similar_name', 'same_birth_year', 'same_hometown']);
+      expect(Victim.find).toHaveBeenCalledWith(expect.objectContaining({ merged_into: null }));
+    });
+
+    it('should not search when the name has no usable tokens', async () => {
+      const duplicates = await findVictimDuplicates({ name: { en: 'Al' } });
+
+      expect(duplicates).toEqual([]);
+      expect(Victim.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createVictim', () => {
+    it('should create the victim and report possible duplicates', async () => {
+      Victim.find.mockReturnValue(mockQuery([]));
+      Victim.create.mockImplementation(async (data) => ({ _id: 'victim-id', ...data }));
+
+      const result = await createVictim({
+        name: { en: 'Omar Haddad', ar: 'عمر حداد' },
+        birth_year: 1985,
+        merged_into: 'someone-else'
+      }, mockUserId);
+
+      expect(Victim.create).toHaveBeenCalledWith({
+        name: { en: 'Omar Haddad', ar: 'عمر حداد' },
+        birth_year: 1985,
+        created_by: mockUserId,
+        updated_by: mockUserId
+      });
+      expect(result.possibleDuplicates).toEqual([]);
+    });
+  });
+
+  describe('updateVictim', () => {
+    it('should not update a victim that was merged away', async () => {
+      Victim.findById.mockResolvedValue(mockVictimDocument({ _id: 'old-id', merged_into: 'new-id' }));
+
+      await expect(updateVictim('old-id', { notes: 'x' }, mockUserId)).rejects.toThrow(ErrorResponse);
+    });
+
+    it('should save through the document so name keys are rebuilt', async () => {
+      const victim = mockVictimDocument({ _id: 'victim-id', name: { en: 'Omar' } });
+      Victim.findById.mockResolvedValue(victim);
+
+      await updateVictim('victim-id', { name: { en: 'Omar Haddad' } }, mockUserId);
+
+      expect(victim.set).toHaveBeenCalledWith({ name: { en: 'Omar Haddad' }, updated_by: mockUserId });
+      expect(victim.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('mergeVictims', () => {
+    it('should keep the source names as aliases and re-link its violations', async () => {
+      const targetId = new mongoose.Types.ObjectId();
+      const sourceId = new mongoose.Types.ObjectId();
+      const target = mockVictimDocument({ _id: targetId, name: { en: 'Omar Haddad', ar: '' } });
+      const source = mockVictimDocument({
+        _id: sourceId,
+        name: { en: 'Omar Hadad', ar: 'عمر حداد' },
+        aliases: [{ en: 'omar haddad', ar: '' }],
+        birth_year: 1985,
+        hometown: { en: 'Homs', ar: 'حمص' },
+        restricted: true
+      });
+
+      Victim.findById.mockImplementation(async (id) => (String(id) === String(targetId) ? target : source));
+      updateViolationsWithRevisions.mockResolvedValue(3);
+
+      const result = await mergeVictims(targetId, sourceId, mockUserId);
+
+      expect(target.aliases).toEqual([{ en: 'Omar Hadad', ar: 'عمر حداد' }]);
+      expect(target.birth_year).toBe(1985);
+      expect(target.hometown).toEqual({ en: 'Homs', ar: 'حمص' });
+      expect(target.restricted).toBe(true);
+      expect(source.merged_into).toBe(targetId);
+      expect(updateViolationsWithRevisions).toHaveBeenCalledWith(
+        { 'victims.victim': sourceId },
+        expect.any(Function),
+        expect.objectContaining({ userId: mockUserId })
+      );
+      const relink = updateViolationsWithRevisions.mock.calls[0][1];
+      expect(relink({ victims: [{ victim: sourceId, name: 'Omar' }, { victim: 'other-id' }] }).victims)
+        .toEqual([{ victim: targetId, name: 'Omar' }, { victim: 'other-id' }]);
+      expect(result.relinkedViolations).toBe(3);
+    });
+
+    it('should not merge a victim into itself', async () => {
+      await expect(mergeVictims('same-id', 'same-id', mockUserId)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('deleteVictim', () => {
+    it('should refuse to delete a victim linked to violations', async () => {
+      Victim.findById.mockResolvedValue({ _id: 'victim-id' });
+      Violation.countDocuments.mockResolvedValue(2);
+
+      await expect(deleteVictim('victim-id', mockUserId)).rejects.toThrow('linked to 2 violation(s)');
+      expect(Victim.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('queries', () => {
+    it('should hide restricted victims unless requested by an editor', () => {
+      expect(buildVictimFilterQuery({ restricted: 'true' })).toEqual({ merged_into: null, restricted: false });
+      expect(buildVictimFilterQuery({ restricted: 'true' }, { includeRestricted: true }))
+        .toEqual({ merged_into: null, restricted: true });
+    });
+
+    it('should search normalized names', () => {
+      const query = buildVictimFilterQuery({ name: 'أحمد' });
+
+      expect(query.name_keys.test('احمد خليل')).toBe(true);
+    });
+
+    it('should follow merges and hide restricted victims', async () => {
+      Victim.findById
+        .mockResolvedValueOnce({ _id: 'old-id', merged_into: 'new-id' })
+        .mockResolvedValueOnce({ _id: 'new-id', merged_into: null, restricted: true });
+
+      await expect(getVictimById('old-id')).resolves.toBeNull();
+
+      Victim.findById
+        .mockResolvedValueOnce({ _id: 'old-id', merged_into: 'new-id' })
+        .mockResolvedValueOnce({ _id: 'new-id', merged_into: null, restricted: true });
+
+      await expect(getVictimById('old-id', { includeRestricted: true })).resolves.toMatchObject({ _id: 'new-id' });
+    });
+
+    it('should build a chronological timeline of published violations', async () => {
+      const victimId = new mongoose.Types.ObjectId();
+      Victim.findById.mockResolvedValue({ _id: victimId, merged_into: null, restricted: false });
+      const query = mockQuery([
+        {
+          _id: 'detention',
+          type: 'DETENTION',
+          date: new Date('2013-04-01'),
+          location: { name: { en: 'Damascus' } },
+          victims: [{ victim: victimId, status: 'civilian', age: 30 }, { status: 'civilian' }]
+        },
+        {
+          _id: 'execution',
+          type: 'EXECUTION',
+          date: new Date('2015-09-12'),
+          location: { name: { en: 'Saydnaya' } },
+          victims: [{ victim: victimId, status: 'civilian', death_date: new Date('2015-09-12') }]
+        }
+      ]);
+      Violation.find.mockReturnValue(query);
+
+      const result = await getVictimTimeline(victimId);
+
+      expect(Violation.find).toHaveBeenCalledWith({
+        deleted_at: null,
+        review_status: { $in: ['published', null] },
+        'victims.victim': victimId
+      });
+      expect(query.sort).toHaveBeenCalledWith({ date: 1, _id: 1 });
+      expect(result.timeline.map(entry => entry.type)).toEqual(['DETENTION', 'EXECUTION']);
+      expect(result.timeline[0].details).toEqual([{ status: 'civilian', age: 30 }]);
+      expect(result.timeline[0].review_status).toBeUndefined();
+    });
+  });
+});
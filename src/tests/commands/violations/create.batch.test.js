@@ -20,6 +20,22 @@ jest.mock('../../../utils/duplicateChecker', () => ({
   checkForDuplicates: jest.fn()
 }));
 
+jest.mock('../../../commands/violations/history', () => ({
+  writeWithRevision: jest.fn((revision, write) => write())
+}));
+
+jest.mock('../../../commands/perpetrators/link', () => ({
+  resolvePerpetratorLink: jest.fn(async (data) => data)
+}));
+
+jest.mock('../../../commands/violations/territory', () => ({
+  resolveTerritoryControl: jest.fn().mockResolvedValue({ controlled_by: null, territory: null, map: null, map_date: null })
+}));
+
+jest.mock('../../../commands/adminBoundaries/assign', () => ({
+  resolveAdminCodes: jest.fn().mockResolvedValue({ governorate: null, district: null, sub_district: null })
+}));
+
 jest.mock('../../../config/logger', () => ({
   info: jest.fn(),
   warn: jest.fn(),
@@ -18,6 +18,26 @@ jest.mock('../../../commands/violations/merge', () => ({
   mergeWithExistingViolation: jest.fn()
 }));
 
+jest.mock('../../../commands/violations/history', () => ({
+  writeWithRevision: jest.fn((revision, write) => write())
+}));
+
+jest.mock('../../../commands/violations/duplicates', () => ({
+  recordDuplicateCandidates: jest.fn()
+}));
+
+jest.mock('../../../commands/perpetrators/link', () => ({
+  resolvePerpetratorLink: jest.fn(async (data) => data)
+}));
+
+jest.mock('../../../commands/violations/territory', () => ({
+  resolveTerritoryControl: jest.fn().mockResolvedValue({ controlled_by: null, territory: null, map: null, map_date: null })
+}));
+
+jest.mock('../../../commands/adminBoundaries/assign', () => ({
+  resolveAdminCodes: jest.fn().mockResolvedValue({ governorate: null, district: null, sub_district: null })
+}));
+
 jest.mock('../../../config/logger', () => ({
   info: jest.fn(),
   error: jest.fn()
@@ -31,6 +51,7 @@ const ErrorResponse = require('../../../utils/errorResponse');
 const { getCachedOrFreshGeocode } = require('../../../utils/geocoder');
 const { checkForDuplicates } = require('../../../utils/duplicateChecker');
 const { mergeWithExistingViolation } = require('../../../commands/violations/merge');
+const { recordDuplicateCandidates } = require('../../../commands/violations/duplicates');
 
 describe('Violation Create Command', () => {
   const mockUserId = new mongoose.Types.ObjectId().toString();
@@ -260,7 +281,9 @@ describe('Violation Create Command', () => {
 
       mergeWithExistingViolation.mockResolvedValue(mockMergedViolation);
 
-      const result = await createSingleViolation(baseViolationData, mockUserId);
+      const result = await createSingleViolation(baseViolationData, mockUserId, {
+        mergeDuplicates: true
+      });
 
       expect(result.violation).toEqual(mockMergedViolation);
       expect(result.wasMerged).toBe(true);
@@ -278,7 +301,7 @@ describe('Violation Create Command', () => {
       expect(Violation.create).not.toHaveBeenCalled();
     });
 
-    it('should throw error when duplicate found and mergeDuplicates=false', async () => {
+    it('should throw error when duplicate found and neither merging nor recording candidates', async () => {
       const mockExistingViolation = {
         _id: 'existing-id',
         type: 'AIRSTRIKE',
@@ -301,7 +324,8 @@ describe('Violation Create Command', () => {
       });
 
       await expect(createSingleViolation(baseViolationData, mockUserId, {
-        mergeDuplicates: false
+        mergeDuplicates: false,
+        recordCandidates: false
       })).rejects.toThrow(ErrorResponse);
 
       expect(checkForDuplicates).toHaveBeenCalled();
@@ -309,6 +333,37 @@ describe('Violation Create Command', () => {
       expect(Violation.create).not.toHaveBeenCalled();
     });
 
+    it('should create the violation and record candidates by default', async () => {
+      const mockExistingViolation = {
+        _id: 'existing-id',
+        type: 'AIRSTRIKE',
+        date: new Date('2023-06-15')
+      };
+      const duplicates = [{
+        violation: mockExistingViolation,
+        similarity: 0.9,
+        exactMatch: false
+      }];
+      const mockCreatedViolation = { ...baseViolationData, _id: 'mock-id' };
+      const mockCandidate = { _id: 'candidate-id', status: 'pending' };
+
+      checkForDuplicates.mockResolvedValue({
+        hasDuplicates: true,
+        duplicates,
+        bestMatch: duplicates[0]
+      });
+      Violation.create = jest.fn().mockResolvedValue(mockCreatedViolation);
+      recordDuplicateCandidates.mockResolvedValue([mockCandidate]);
+
+      const result = await createSingleViolation(baseViolationData, mockUserId);
+
+      expect(result.wasMerged).toBe(false);
+      expect(result.violation).toEqual(mockCreatedViolation);
+      expect(result.duplicateCandidates).toEqual([mockCandidate]);
+      expect(mergeWithExistingViolation).not.toHaveBeenCalled();
+      expect(recordDuplicateCandidates).toHaveBeenCalledWith(mockCreatedViolation, duplicates, mockUserId);
+    });
+
     it('should skip duplicate checking when checkDuplicates=false', async () => {
       const mockCreatedViolation = { 
         ...baseViolationData, 
@@ -328,6 +383,28 @@ describe('Violation Create Command', () => {
       expect(Violation.create).toHaveBeenCalled();
     });
 
+    it('should set the initial review status when provided', async () => {
+      Violation.create = jest.fn().mockResolvedValue({ ...baseViolationData, _id: 'mock-id' });
+
+      await createSingleViolation(baseViolationData, mockUserId, {
+        reviewStatus: 'pending_review'
+      });
+
+      const createCallArgs = Violation.create.mock.calls[0][0];
+      expect(createCallArgs.review_status).toBe('pending_review');
+    });
+
+    it('should ignore review status supplied in the violation data', async () => {
+      Violation.create = jest.fn().mockResolvedValue({ ...baseViolationData, _id: 'mock-id' });
+
+      await createSingleViolation({ ...baseViolationData, review_status: 'published' }, mockUserId, {
+        reviewStatus: 'pending_review'
+      });
+
+      const createCallArgs = Violation.create.mock.calls[0][0];
+      expect(createCallArgs.review_status).toBe('pending_review');
+    });
+
     it('should use custom duplicate threshold', async () => {
       const mockCreatedViolation = { 
         ...baseViolationData, 
@@ -493,7 +570,7 @@ describe('Violation Create Command', () => {
       Violation.create = jest.fn().mockResolvedValue(mockCreatedViolation);
       mergeWithExistingViolation.mockResolvedValue(mockMergedViolation);
 
-      const result = await createBatchViolations(violationsData, mockUserId);
+      const result = await createBatchViolations(violationsData, mockUserId, { mergeDuplicates: true });
 
       expect(result.violations).toHaveLength(2);
       expect(result.created).toHaveLength(1);
@@ -0,0 +1,167 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation');
+jest.mock('../../../commands/violations/history', () => ({
+  writeWithRevision: jest.fn((revision, write) => write())
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const {
+  deleteViolation,
+  restoreViolation,
+  purgeDeletedViolations
+} = require('../../../commands/violations/delete');
+const Violation = require('../../../models/Violation');
+const ErrorResponse = require('../../../utils/errorResponse');
+const { writeWithRevision } = require('../../../commands/violations/history');
+
+describe('Violation Delete Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+  const mockViolationId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('deleteViolation', () => {
+    it('should tombstone the violation instead of removing it', async () => {
+      const existingViolation = { _id: mockViolationId, type: 'AIRSTRIKE', deleted_at: null };
+      const deletedViolation = { ...existingViolation, deleted_at: new Date(), deleted_by: mockUserId };
+
+      Violation.findById = jest.fn().mockResolvedValue(existingViolation);
+      Violation.findByIdAndUpdate = jest.fn().mockResolvedValue(deletedViolation);
+      Violation.findByIdAndDelete = jest.fn();
+
+      const result = await deleteViolation(mockViolationId, mockUserId, { reason: 'Duplicate entry' });
+
+      expect(result).toEqual(deletedViolation);
+      expect(Violation.findByIdAndDelete).not.toHaveBeenCalled();
+      expect(Violation.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockViolationId,
+        {
+          deleted_at: expect.any(Date),
+          deleted_by: mockUserId,
+          deletion_reason: 'Duplicate entry'
+        },
+        { new: true }
+      );
+      expect(writeWithRevision).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'delete',
+        before: existingViolation,
+        update: expect.objectContaining({ deleted_by: mockUserId }),
+        reason: 'Duplicate entry'
+      }), expect.any(Function));
+    });
+
+    it('should throw 404 when violation not found', async () => {
+      Violation.findById = jest.fn().mockResolvedValue(null);
+
+      await expect(deleteViolation(mockViolationId, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Violation not found with id of ${mockViolationId}`, 404));
+    });
+
+    it('should throw 404 when violation is already deleted', async () => {
+      Violation.findById = jest.fn().mockResolvedValue({ _id: mockViolationId, deleted_at: new Date() });
+      Violation.findByIdAndUpdate = jest.fn();
+
+      await expect(deleteViolation(mockViolationId, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Violation not found with id of ${mockViolationId}`, 404));
+      expect(Violation.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreViolation', () => {
+    it('should clear the deletion fields and record a restore revision', async () => {
+      const deletedViolation = { _id: mockViolationId, deleted_at: new Date(), deleted_by: mockUserId };
+      const restoredViolation = { _id: mockViolationId, deleted_at: null };
+
+      Violation.findById = jest.fn().mockResolvedValue(deletedViolation);
+      Violation.findByIdAndUpdate = jest.fn().mockResolvedValue(restoredViolation);
+
+      const result = await restoreViolation(mockViolationId, mockUserId, { reason: 'Deleted by mistake' });
+
+      expect(result).toEqual(restoredViolation);
+      expect(Violation.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockViolationId,
+        {
+          $set: { deleted_at: null, updated_by: mockUserId },
+          $unset: { deleted_by: '', deletion_reason: '' }
+        },
+        { new: true }
+      );
+      expect(writeWithRevision).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'restore',
+        reason: 'Deleted by mistake'
+      }), expect.any(Function));
+    });
+
+    it('should throw 400 when violation is not deleted', async () => {
+      Violation.findById = jest.fn().mockResolvedValue({ _id: mockViolationId, deleted_at: null });
+
+      await expect(restoreViolation(mockViolationId, mockUserId))
+        .rejects.toThrow(new ErrorResponse('Violation is not deleted', 400));
+    });
+
+    it('should throw 400 when the violation was merged into another record', async () => {
+      const survivorId = new mongoose.Types.ObjectId().toString();
+      Violation.findById = jest.fn().mockResolvedValue({ _id: mockViolationId, deleted_at: new Date(), merged_into: survivorId });
+      Violation.findByIdAndUpdate = jest.fn();
+
+      await expect(restoreViolation(mockViolationId, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Violation was merged into ${survivorId}. Un-merge it instead of restoring it`, 400));
+      expect(Violation.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when violation not found', async () => {
+      Violation.findById = jest.fn().mockResolvedValue(null);
+
+      await expect(restoreViolation(mockViolationId, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Violation not found with id of ${mockViolationId}`, 404));
+    });
+  });
+
+  describe('purgeDeletedViolations', () => {
+    it('should hard delete violations past the retention period', async () => {
+      const expired = [
+        { _id: new mongoose.Types.ObjectId(), deleted_at: new Date('2020-01-01'), deleted_by: mockUserId },
+        { _id: new mongoose.Types.ObjectId(), deleted_at: new Date('2020-01-02'), deleted_by: mockUserId }
+      ];
+
+      Violation.find = jest.fn().mockResolvedValue(expired);
+      Violation.findByIdAndDelete = jest.fn().mockResolvedValue(true);
+
+      const result = await purgeDeletedViolations(30);
+
+      const query = Violation.find.mock.calls[0][0];
+      expect(query.deleted_at.$ne).toBeNull();
+      expect(query.deleted_at.$lte).toBeInstanceOf(Date);
+      expect(Date.now() - query.deleted_at.$lte.getTime()).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000);
+      expect(query.merged_into).toBeNull();
+
+      expect(Violation.findByIdAndDelete).toHaveBeenCalledTimes(2);
+      expect(writeWithRevision).toHaveBeenCalledWith(expect.objectContaining({ action: 'purge' }), expect.any(Function));
+      expect(result.purged).toBe(2);
+      expect(result.failed).toBe(0);
+    });
+
+    it('should continue when a single purge fails', async () => {
+      const expired = [
+        { _id: new mongoose.Types.ObjectId(), deleted_at: new Date('2020-01-01') },
+        { _id: new mongoose.Types.ObjectId(), deleted_at: new Date('2020-01-02') }
+      ];
+
+      Violation.find = jest.fn().mockResolvedValue(expired);
+      Violation.findByIdAndDelete = jest.fn()
+        .mockRejectedValueOnce(new Error('Database error'))
+        .mockResolvedValueOnce(true);
+
+      const result = await purgeDeletedViolations(30);
+
+      expect(result.purged).toBe(1);
+      expect(result.failed).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation');
+jest.mock('../../../models/DuplicateCandidate');
+jest.mock('../../../utils/duplicateChecker', () => ({
+  findPotentialDuplicates: jest.fn()
+}));
+jest.mock('../../../commands/violations/merge', () => ({
+  mergeViolationRecords: jest.fn()
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const {
+  recordDuplicateCandidates,
+  scanForDuplicates,
+  getDuplicateCandidates,
+  confirmDuplicateCandidate,
+  dismissDuplicateCandidate
+} = require('../../../commands/violations/duplicates');
+const Violation = require('../../../models/Violation');
+const DuplicateCandidate = require('../../../models/DuplicateCandidate');
+const ErrorResponse = require('../../../utils/errorResponse');
+const { findPotentialDuplicates } = require('../../../utils/duplicateChecker');
+const { mergeViolationRecords } = require('../../../commands/violations/merge');
+
+describe('Violation Duplicate Candidate Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+  const sourceId = new mongoose.Types.ObjectId().toString();
+  const targetId = new mongoose.Types.ObjectId().toString();
+  const candidateId = new mongoose.Types.ObjectId().toString();
+
+  const match = {
+    violation: { _id: targetId },
+    similarity: 0.91,
+    exactMatch: false,
+    matchDetails: {
+      sameType: true,
+      sameDate: true,
+      samePerpetrator: false,
+      nearbyLocation: true,
+      sameCasualties: false,
+      similarDescription: true,
+      distance: 42.6
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    DuplicateCandidate.buildPairKey = jest.fn((a, b) => [String(a), String(b)].sort().join(':'));
+    DuplicateCandidate.criteriaFromMatch = jest.fn().mockReturnValue(['same_type', 'same_date']);
+  });
+
+  describe('recordDuplicateCandidates', () => {
+    it('should upsert a pending candidate for each match', async () => {
+      DuplicateCandidate.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: candidateId, status: 'pending' });
+
+      const result = await recordDuplicateCandidates({ _id: sourceId }, [match], mockUserId);
+
+      expect(result).toHaveLength(1);
+      expect(DuplicateCandidate.findOneAndUpdate).toHaveBeenCalledWith(
+        { pair_key: [sourceId, targetId].sort().join(':') },
+        {
+          $setOnInsert: {
+            violation: sourceId,
+            duplicate_of: targetId,
+            similarity: 0.91,
+            distance: 43,
+            exact_match: false,
+            matched_criteria: ['same_type', 'same_date'],
+            detected_by: mockUserId
+          }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    });
+
+    it('should not return pairs that were already dismissed', async () => {
+      DuplicateCandidate.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: candidateId, status: 'dismissed' });
+
+      const result = await recordDuplicateCandidates({ _id: sourceId }, [match], mockUserId);
+
+      expect(result).toEqual([]);
+    });
+
+    it('should store a null distance when coordinates are missing', async () => {
+      DuplicateCandidate.findOneAndUpdate = jest.fn().mockResolvedValue({ status: 'pending' });
+
+      await recordDuplicateCandidates(
+        { _id: sourceId },
+        [{ ...match, matchDetails: { ...match.matchDetails, distance: Infinity } }],
+        mockUserId
+      );
+
+      const update = DuplicateCandidate.findOneAndUpdate.mock.calls[0][1];
+      expect(update.$setOnInsert.distance).toBeNull();
+    });
+
+    it('should skip matches against the violation itself', async () => {
+      DuplicateCandidate.findOneAndUpdate = jest.fn();
+
+      await recordDuplicateCandidates({ _id: targetId }, [match], mockUserId);
+
+      expect(DuplicateCandidate.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('scanForDuplicates', () => {
+    it('should search for duplicates excluding the violation itself', async () => {
+      Violation.findById = jest.fn().mockResolvedValue({ _id: sourceId, type: 'AIRSTRIKE', deleted_at: null });
+      findPotentialDuplicates.mockResolvedValue([match]);
+      DuplicateCandidate.findOneAndUpdate = jest.fn().mockResolvedValue({ status: 'pending' });
+
+      const result = await scanForDuplicates(sourceId, mockUserId);
+
+      expect(findPotentialDuplicates).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'AIRSTRIKE' }),
+        { limit: 5, excludeIds: [sourceId] }
+      );
+      expect(result).toHaveLength(1);
+    });
+
+    it('should throw 404 for deleted violations', async () => {
+      Violation.findById = jest.fn().mockResolvedValue({ _id: sourceId, deleted_at: new Date() });
+
+      await expect(scanForDuplicates(sourceId, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Violation not found with id of ${sourceId}`, 404));
+    });
+  });
+
+  describe('getDuplicateCandidates', () => {
+    it('should list pending candidates involving a violation', async () => {
+      DuplicateCandidate.paginate = jest.fn().mockResolvedValue({ docs: [{ _id: candidateId }], totalDocs: 1 });
+
+      const result = await getDuplicateCandidates({ violation: sourceId });
+
+      expect(DuplicateCandidate.paginate).toHaveBeenCalledWith(
+        {
+          status: 'pending',
+          $or: [{ violation: sourceId }, { duplicate_of: sourceId }]
+        },
+        expect.objectContaining({ sort: { similarity: -1, createdAt: 1 } })
+      );
+      expect(result.candidates).toHaveLength(1);
+    });
+  });
+
+  describe('confirmDuplicateCandidate', () => {
+    const mockPendingCandidate = () => {
+      DuplicateCandidate.findById = jest.fn().mockResolvedValue({
+        _id: candidateId,
+        violation: sourceId,
+        duplicate_of: targetId,
+        status: 'pending'
+      });
+      DuplicateCandidate.findByIdAndUpdate = jest.fn().mockImplementation((id, update) =>
+        Promise.resolve({ _id: id, ...update })
+      );
+      DuplicateCandidate.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 0 });
+    };
+
+    it('should merge the pair and mark the candidate confirmed', async () => {
+      mockPendingCandidate();
+      mergeViolationRecords.mockResolvedValue({ violation: { _id: targetId, casualties: 3 }, merge: { _id: 'merge-id' } });
+
+      const result = await confirmDuplicateCandidate(candidateId, mockUserId, {
+        notes: 'Same incident',
+        fieldChoices: { casualties: 'source' }
+      });
+
+      expect(mergeViolationRecords).toHaveBeenCalledWith(targetId, sourceId, mockUserId, {
+        fieldChoices: { casualties: 'source' },
+        reason: 'Same incident'
+      });
+      expect(result.candidate.status).toBe('confirmed');
+      expect(result.violation.casualties).toBe(3);
+      expect(DuplicateCandidate.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'pending', _id: { $ne: candidateId } }),
+        expect.objectContaining({ status: 'dismissed' })
+      );
+    });
+
+    it('should not confirm a candidate that was already dismissed', async () => {
+      DuplicateCandidate.findById = jest.fn().mockResolvedValue({ _id: candidateId, status: 'dismissed' });
+
+      await expect(confirmDuplicateCandidate(candidateId, mockUserId))
+        .rejects.toThrow(new ErrorResponse('Duplicate candidate has already been dismissed', 400));
+      expect(mergeViolationRecords).not.toHaveBeenCalled();
+    });
+
+    it('should leave the candidate pending when the merge fails', async () => {
+      mockPendingCandidate();
+      mergeViolationRecords.mockRejectedValue(new ErrorResponse(`Violation not found with id of ${sourceId}`, 404));
+
+      await expect(confirmDuplicateCandidate(candidateId, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Violation not found with id of ${sourceId}`, 404));
+      expect(DuplicateCandidate.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dismissDuplicateCandidate', () => {
+    it('should mark the candidate dismissed', async () => {
+      DuplicateCandidate.findById = jest.fn().mockResolvedValue({ _id: candidateId, status: 'pending' });
+      DuplicateCandidate.findByIdAndUpdate = jest.fn().mockImplementation((id, update) =>
+        Promise.resolve({ _id: id, ...update })
+      );
+
+      const result = await dismissDuplicateCandidate(candidateId, mockUserId, { notes: 'Different incidents' });
+
+      expect(result.status).toBe('dismissed');
+      expect(result.reviewed_by).toBe(mockUserId);
+      expect(result.review_notes).toBe('Different incidents');
+    });
+
+    it('should throw 404 when the candidate does not exist', async () => {
+      DuplicateCandidate.findById = jest.fn().mockResolvedValue(null);
+
+      await expect(dismissDuplicateCandidate(candidateId, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Duplicate candidate not found with id of ${candidateId}`, 404));
+    });
+  });
+});
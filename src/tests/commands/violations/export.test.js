@@ -0,0 +1,285 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation');
+jest.mock('../../../models/jobs/ViolationExportJob', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  ExportFormats: ['csv', 'geojson', 'xlsx']
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const mongoose = require('mongoose');
+const {
+  EXPORT_HEADERS,
+  buildExportRows,
+  buildGeoJsonFeature,
+  escapeCsvValue,
+  exportViolations,
+  createExportJob,
+  runExportJob
+} = require('../../../commands/violations/export');
+const Violation = require('../../../models/Violation');
+const ViolationExportJob = require('../../../models/jobs/ViolationExportJob');
+const ErrorResponse = require('../../../utils/errorResponse');
+const config = require('../../../config/config');
+
+describe('Violation Export Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+
+  const violationWithVictims = {
+    _id: new mongoose.Types.ObjectId(),
+    type: 'AIRSTRIKE',
+    date: new Date('2024-03-01T00:00:00Z'),
+    location: {
+      type: 'Point',
+      coordinates: [36.2765, 33.5138],
+      name: { en: 'Douma', ar: 'دوما' },
+      administrative_division: { en: 'Rif Dimashq', ar: 'ريف دمشق' }
+    },
+    description: { en: 'Airstrike on a residential building', ar: 'غارة جوية على مبنى سكني' },
+    source_urls: ['https://example.com/a', 'https://example.com/b'],
+    verified: true,
+    certainty_level: 'confirmed',
+    casualties: 2,
+    perpetrator: { en: 'Russian Air Force', ar: 'القوات الجوية الروسية' },
+    perpetrator_affiliation: 'russia',
+    tags: [{ en: 'civilians', ar: 'مدنيون' }],
+    victims: [
+      { age: 34, gender: 'male', status: 'civilian', death_date: new Date('2024-03-01T00:00:00Z') },
+      { age: 9, gender: 'female', status: 'civilian', group_affiliation: { en: '', ar: '' } }
+    ]
+  };
+
+  const violationWithoutLocation = {
+    _id: new mongoose.Types.ObjectId(),
+    type: 'DETENTION',
+    date: new Date('2024-02-10T00:00:00Z'),
+    location: { name: { en: 'Unknown checkpoint', ar: '' } },
+    description: { en: 'Detention at a checkpoint, "no charges" filed', ar: '' },
+    victims: []
+  };
+
+  const mockCursor = (violations) => {
+    const chain = {
+      sort: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockReturnThis(),
+      cursor: jest.fn().mockImplementation(async function* () {
+        yield* violations;
+      })
+    };
+    Violation.find = jest.fn().mockReturnValue(chain);
+    return chain;
+  };
+
+  const collectOutput = (stream) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    return () => Buffer.concat(chunks);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildExportRows', () => {
+    it('should produce one row per victim with the violation columns repeated', () => {
+      const rows = buildExportRows(violationWithVictims);
+      const column = (name) => EXPORT_HEADERS.indexOf(name);
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0][column('location_name_en')]).toBe('Douma');
+      expect(rows[1][column('location_name_ar')]).toBe('دوما');
+      expect(rows[0][column('latitude')]).toBe(33.5138);
+      expect(rows[0][column('source_urls')]).toBe('https://example.com/a | https://example.com/b');
+      expect(rows[0][column('victim_number')]).toBe(1);
+      expect(rows[1][column('victim_number')]).toBe(2);
+      expect(rows[0][column('victim_death_date')]).toBe('2024-03-01');
+      expect(rows[1][column('victim_age')]).toBe(9);
+    });
+
+    it('should produce a single row with empty victim columns when there are no victims', () => {
+      const rows = buildExportRows(violationWithoutLocation);
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toHaveLength(EXPORT_HEADERS.length);
+      expect(rows[0][EXPORT_HEADERS.indexOf('victim_number')]).toBe('');
+      expect(rows[0][EXPORT_HEADERS.indexOf('latitude')]).toBe('');
+    });
+  });
+
+  describe('buildGeoJsonFeature', () => {
+    it('should use the violation coordinates as a point geometry', () => {
+      const feature = buildGeoJsonFeature(violationWithVictims);
+
+      expect(feature.geometry).toEqual({ type: 'Point', coordinates: [36.2765, 33.5138] });
+      expect(feature.properties.description_ar).toBe('غارة جوية على مبنى سكني');
+      expect(feature.properties.victims).toHaveLength(2);
+      expect(feature.properties.victims[0]).toEqual(expect.objectContaining({ age: 34, status: 'civilian' }));
+    });
+
+    it('should use a null geometry when the violation has no coordinates', () => {
+      expect(buildGeoJsonFeature(violationWithoutLocation).geometry).toBeNull();
+    });
+  });
+
+  describe('escapeCsvValue', () => {
+    it('should quote values containing separators and escape quotes', () => {
+      expect(escapeCsvValue('a, "b"')).toBe('"a, ""b"""');
+      expect(escapeCsvValue('line\nbreak')).toBe('"line\nbreak"');
+    });
+
+    it('should neutralise text that would be evaluated as a formula', () => {
+      expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsvValue(-35.2)).toBe('-35.2');
+    });
+  });
+
+  describe('exportViolations', () => {
+    it('should stream every matching violation as CSV', async () => {
+      mockCursor([violationWithVictims, violationWithoutLocation]);
+      const stream = new PassThrough();
+      const output = collectOutput(stream);
+
+      const result = await exportViolations('csv', { type: 'AIRSTRIKE', format: 'csv', page: '2' }, stream);
+
+      expect(Violation.find).toHaveBeenCalledWith({ deleted_at: null, review_status: { $in: ['published', null] }, type: 'AIRSTRIKE' });
+      expect(result).toEqual({ exportedViolations: 2, exportedRows: 3 });
+
+      const lines = output().toString('utf8').split('\r\n').filter(Boolean);
+      expect(lines[0].startsWith('\uFEFFid,type,date')).toBe(true);
+      expect(lines).toHaveLength(4);
+      expect(lines[3]).toContain('"Detention at a checkpoint, ""no charges"" filed"');
+    });
+
+    it('should stream a GeoJSON FeatureCollection', async () => {
+      mockCursor([violationWithVictims, violationWithoutLocation]);
+      const stream = new PassThrough();
+      const output = collectOutput(stream);
+
+      await exportViolations('geojson', {}, stream);
+
+      const collection = JSON.parse(output().toString('utf8'));
+      expect(collection.type).toBe('FeatureCollection');
+      expect(collection.features).toHaveLength(2);
+      expect(collection.features[0].properties.location_name_ar).toBe('دوما');
+    });
+
+    it('should write an XLSX workbook with a header row and one row per victim', async () => {
+      mockCursor([violationWithVictims, violationWithoutLocation]);
+      const stream = new PassThrough();
+      const output = collectOutput(stream);
+
+      await exportViolations('xlsx', {}, stream);
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(output());
+      const worksheet = workbook.getWorksheet('Violations');
+
+      expect(worksheet.rowCount).toBe(4);
+      expect(worksheet.getRow(1).getCell(1).value).toBe('id');
+      expect(worksheet.getRow(2).getCell(EXPORT_HEADERS.indexOf('location_name_ar') + 1).value).toBe('دوما');
+    });
+
+    it('should report progress while exporting', async () => {
+      mockCursor(Array.from({ length: 500 }, () => violationWithoutLocation));
+      const stream = new PassThrough();
+      collectOutput(stream);
+      const onProgress = jest.fn();
+
+      await exportViolations('geojson', {}, stream, { onProgress });
+
+      expect(onProgress).toHaveBeenCalledWith({ exportedViolations: 500, exportedRows: 500 });
+    });
+
+    it('should reject unsupported formats', async () => {
+      await expect(exportViolations('shp', {}, new PassThrough()))
+        .rejects.toThrow(new ErrorResponse('Unsupported export format: shp', 400));
+    });
+  });
+
+  describe('createExportJob', () => {
+    it('should store only the violation filters', async () => {
+      ViolationExportJob.create.mockResolvedValue({ _id: 'job-id' });
+
+      await createExportJob('geojson', { format: 'geojson', async: 'true', type: 'SHELLING' }, mockUserId, 12000);
+
+      expect(ViolationExportJob.create).toHaveBeenCalledWith({
+        format: 'geojson',
+        filters: { type: 'SHELLING' },
+        requestedBy: mockUserId,
+        status: 'queued',
+        totalViolations: 12000
+      });
+    });
+  });
+
+  describe('runExportJob', () => {
+    const originalExportDir = config.exportDir;
+    let exportDir;
+
+    beforeEach(() => {
+      exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'violation-export-'));
+      config.exportDir = exportDir;
+    });
+
+    afterEach(() => {
+      config.exportDir = originalExportDir;
+      fs.rmSync(exportDir, { recursive: true, force: true });
+    });
+
+    it('should write the export file and mark the job completed', async () => {
+      const jobId = new mongoose.Types.ObjectId();
+      ViolationExportJob.findById.mockResolvedValue({
+        _id: jobId,
+        format: 'csv',
+        filters: { type: 'AIRSTRIKE' },
+        createdAt: new Date('2024-04-02T10:00:00Z')
+      });
+      ViolationExportJob.findByIdAndUpdate.mockResolvedValue({});
+      Violation.countDocuments = jest.fn().mockResolvedValue(1);
+      mockCursor([violationWithVictims]);
+
+      const result = await runExportJob(jobId);
+
+      const filePath = path.join(exportDir, `${jobId}.csv`);
+      expect(result).toEqual({ exportedViolations: 1, exportedRows: 2 });
+      expect(fs.readFileSync(filePath, 'utf8')).toContain('Douma');
+      expect(ViolationExportJob.findByIdAndUpdate).toHaveBeenCalledWith(jobId, expect.objectContaining({
+        status: 'processing',
+        fileName: 'violations-2024-04-02.csv',
+        filePath
+      }));
+      expect(ViolationExportJob.findByIdAndUpdate).toHaveBeenLastCalledWith(jobId, expect.objectContaining({
+        status: 'completed',
+        progress: 100,
+        exportedRows: 2
+      }));
+    });
+
+    it('should mark the job failed and remove the partial file when the export fails', async () => {
+      const jobId = new mongoose.Types.ObjectId();
+      ViolationExportJob.findById.mockResolvedValue({ _id: jobId, format: 'csv', filters: {}, createdAt: new Date() });
+      ViolationExportJob.findByIdAndUpdate.mockResolvedValue({});
+      Violation.countDocuments = jest.fn().mockResolvedValue(1);
+      Violation.find = jest.fn().mockImplementation(() => {
+        throw new Error('Cursor closed');
+      });
+
+      await expect(runExportJob(jobId)).rejects.toThrow('Cursor closed');
+
+      expect(fs.existsSync(path.join(exportDir, `${jobId}.csv`))).toBe(false);
+      expect(ViolationExportJob.findByIdAndUpdate).toHaveBeenLastCalledWith(jobId, {
+        status: 'failed',
+        error: 'Cursor closed'
+      });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation');
+jest.mock('../../../models/GeocodingCache');
+jest.mock('../../../utils/geocoder', () => ({
+  getCachedOrFreshGeocode: jest.fn(),
+  generateCacheKey: jest.fn((placeName, adminDivision, language) => `${placeName}_${adminDivision}_${language}`)
+}));
+jest.mock('../../../commands/gazetteer', () => ({
+  searchGazetteer: jest.fn()
+}));
+jest.mock('../../../commands/violations/update', () => ({
+  updateViolation: jest.fn()
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const {
+  getGeocodingReviewQueue,
+  resolveGeocodingReview
+} = require('../../../commands/violations/geocoding');
+const { geocodeLocationForReview } = require('../../../commands/violations/create');
+const Violation = require('../../../models/Violation');
+const GeocodingCache = require('../../../models/GeocodingCache');
+const ErrorResponse = require('../../../utils/errorResponse');
+const { getCachedOrFreshGeocode } = require('../../../utils/geocoder');
+const { searchGazetteer } = require('../../../commands/gazetteer');
+const { updateViolation } = require('../../../commands/violations/update');
+
+describe('Violation Geocoding Review Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+  const violationId = new mongoose.Types.ObjectId().toString();
+
+  const location = {
+    name: { en: 'Jobar', ar: 'جوبر' },
+    administrative_division: { en: 'Damascus', ar: 'دمشق' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    searchGazetteer.mockResolvedValue([]);
+  });
+
+  describe('geocodeLocationForReview', () => {
+    it('should accept a geocode at or above the review quality', async () => {
+      getCachedOrFreshGeocode.mockResolvedValue([{ latitude: 33.519, longitude: 36.331, quality: 0.8, source: 'nominatim' }]);
+
+      const result = await geocodeLocationForReview(location);
+
+      expect(result).toEqual({
+        coordinates: [36.331, 33.519],
+        geocoding: { status: 'ok', quality: 0.8, source: 'nominatim', error: null, candidates: [] }
+      });
+      expect(searchGazetteer).not.toHaveBeenCalled();
+    });
+
+    it('should flag a low quality geocode with candidates from the results and the gazetteer', async () => {
+      getCachedOrFreshGeocode
+        .mockResolvedValueOnce([{ latitude: 33.5, longitude: 36.3, quality: 0.5, formattedAddress: 'Damascus, Syria', source: 'photon' }])
+        .mockResolvedValueOnce([{ latitude: 33.5, longitude: 36.3, quality: 0.4, source: 'geocoding_api' }]);
+      searchGazetteer.mockResolvedValueOnce([
+        { latitude: 33.5192, longitude: 36.3308, quality: 0.9, formattedAddress: 'Jobar, Damascus, Syria', fromGazetteer: true }
+      ]);
+
+      const { coordinates, geocoding } = await geocodeLocationForReview(location);
+
+      expect(coordinates).toEqual([36.3, 33.5]);
+      expect(geocoding).toMatchObject({ status: 'low_quality', quality: 0.5, source: 'photon' });
+      expect(geocoding.candidates).toEqual([
+        { coordinates: [36.3308, 33.5192], label: 'Jobar, Damascus, Syria', quality: 0.9, source: 'gazetteer' },
+        { coordinates: [36.3, 33.5], label: 'Damascus, Syria', quality: 0.5, source: 'photon' }
+      ]);
+      expect(searchGazetteer).toHaveBeenCalledWith('جوبر', 'دمشق', { limit: 5 });
+    });
+
+    it('should flag a failed geocode instead of throwing when failures are allowed', async () => {
+      getCachedOrFreshGeocode.mockResolvedValue([]);
+
+      const { coordinates, geocoding } = await geocodeLocationForReview(location, { allowFailure: true });
+
+      expect(coordinates).toBeNull();
+      expect(geocoding).toMatchObject({ status: 'failed', quality: null, candidates: [] });
+      expect(geocoding.error).toContain('Could not find valid coordinates for location');
+    });
+
+    it('should throw on a failed geocode by default', async () => {
+      getCachedOrFreshGeocode.mockResolvedValue([]);
+
+      await expect(geocodeLocationForReview(location)).rejects.toThrow('Could not find valid coordinates for location');
+    });
+  });
+
+  describe('getGeocodingReviewQueue', () => {
+    it('should list low quality and failed geocodes oldest first', async () => {
+      Violation.paginate = jest.fn().mockResolvedValue({
+        docs: [{ _id: violationId }],
+        totalDocs: 1,
+        page: 1,
+        limit: 10,
+        totalPages: 1,
+        hasNextPage: false,
+        hasPrevPage: false,
+        nextPage: null,
+        prevPage: null
+      });
+
+      const result = await getGeocodingReviewQueue({ source: 'photon' });
+
+      expect(Violation.paginate).toHaveBeenCalledWith(
+        { deleted_at: null, 'geocoding.status': { $in: ['low_quality', 'failed'] }, 'geocoding.source': 'photon' },
+        expect.objectContaining({ page: 1, limit: 10, sort: 'createdAt' })
+      );
+      expect(result.totalDocs).toBe(1);
+      expect(result.pagination.totalResults).toBe(1);
+    });
+  });
+
+  describe('resolveGeocodingReview', () => {
+    const flaggedViolation = {
+      _id: violationId,
+      location,
+      geocoding: {
+        status: 'low_quality',
+        candidates: [{ coordinates: [36.3308, 33.5192], label: 'Jobar, Damascus, Syria', quality: 0.9 }]
+      }
+    };
+
+    beforeEach(() => {
+      Violation.findById = jest.fn().mockResolvedValue(flaggedViolation);
+      updateViolation.mockImplementation(async (id, data, userId, options) => ({ _id: id, ...data, geocoding: options.geocoding }));
+      GeocodingCache.createOrUpdate = jest.fn().mockResolvedValue({});
+    });
+
+    it('should save a picked candidate and cache it for both names', async () => {
+      const result = await resolveGeocodingReview(violationId, { candidate: 0 }, mockUserId, { notes: 'Jobar district' });
+
+      expect(updateViolation).toHaveBeenCalledWith(
+        violationId,
+        { location: { ...location, coordinates: [36.3308, 33.5192] } },
+        mockUserId,
+        expect.objectContaining({
+          reason: 'Jobar district',
+          geocoding: expect.objectContaining({ status: 'manual', quality: 1, source: 'manual', reviewed_by: mockUserId })
+        })
+      );
+      expect(result.geocoding.status).toBe('manual');
+      expect(GeocodingCache.createOrUpdate).toHaveBeenCalledTimes(2);
+      expect(GeocodingCache.createOrUpdate).toHaveBeenCalledWith('جوبر_دمشق_ar', expect.objectContaining({
+        source: 'manual',
+        apiCallsUsed: 0,
+        results: expect.objectContaining({ coordinates: [36.3308, 33.5192], formattedAddress: 'Jobar, Damascus, Syria', quality: 1 })
+      }));
+    });
+
+    it('should accept a dropped pin', async () => {
+      await resolveGeocodingReview(violationId, { coordinates: [36.33, 33.52] }, mockUserId);
+
+      expect(updateViolation.mock.calls[0][1].location.coordinates).toEqual([36.33, 33.52]);
+      expect(GeocodingCache.createOrUpdate).toHaveBeenCalledWith('Jobar_Damascus_en', expect.objectContaining({
+        searchTerms: { placeName: 'Jobar', adminDivision: 'Damascus', language: 'en' }
+      }));
+    });
+
+    it('should reject unknown candidates and pins outside Syria', async () => {
+      await expect(resolveGeocodingReview(violationId, { candidate: 3 }, mockUserId))
+        .rejects.toThrow(new ErrorResponse('Geocoding candidate 3 not found', 400));
+      await expect(resolveGeocodingReview(violationId, { coordinates: [2.35, 48.85] }, mockUserId))
+        .rejects.toThrow(new ErrorResponse('Coordinates must be inside Syria', 400));
+      expect(updateViolation).not.toHaveBeenCalled();
+      expect(GeocodingCache.createOrUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 for a deleted violation', async () => {
+      Violation.findById = jest.fn().mockResolvedValue({ ...flaggedViolation, deleted_at: new Date() });
+
+      await expect(resolveGeocodingReview(violationId, { candidate: 0 }, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Violation not found with id of ${violationId}`, 404));
+    });
+  });
+});
@@ -0,0 +1,455 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation');
+jest.mock('../../../models/ViolationRevision');
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const {
+  toSnapshot,
+  computeChanges,
+  recordRevision,
+  writeWithRevision,
+  updateViolationsWithRevisions,
+  getViolationHistory,
+  revertViolation
+} = require('../../../commands/violations/history');
+const Violation = require('../../../models/Violation');
+const ViolationRevision = require('../../../models/ViolationRevision');
+const ErrorResponse = require('../../../utils/errorResponse');
+
+describe('Violation History Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+  const mockViolationId = new mongoose.Types.ObjectId().toString();
+  const mockRevisionId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('toSnapshot', () => {
+    it('should strip identifiers and timestamps', () => {
+      const snapshot = toSnapshot({
+        _id: mockViolationId,
+        __v: 0,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        type: 'AIRSTRIKE',
+        date: new Date('2023-05-15T00:00:00.000Z')
+      });
+
+      expect(snapshot).toEqual({
+        type: 'AIRSTRIKE',
+        date: '2023-05-15T00:00:00.000Z'
+      });
+    });
+
+    it('should use toObject for mongoose documents', () => {
+      const doc = { toObject: jest.fn().mockReturnValue({ _id: mockViolationId, type: 'SHELLING' }) };
+
+      expect(toSnapshot(doc)).toEqual({ type: 'SHELLING' });
+      expect(doc.toObject).toHaveBeenCalled();
+    });
+
+    it('should return null for missing input', () => {
+      expect(toSnapshot(null)).toBeNull();
+    });
+  });
+
+  describe('computeChanges', () => {
+    it('should report nested field changes using dot paths', () => {
+      const before = {
+        casualties: 2,
+        description: { en: 'Old description', ar: 'وصف قديم' },
+        tags: [{ en: 'a' }]
+      };
+      const after = {
+        casualties: 5,
+        description: { en: 'New description', ar: 'وصف قديم' },
+        tags: [{ en: 'a' }]
+      };
+
+      expect(computeChanges(before, after)).toEqual([
+        { field: 'casualties', old_value: 2, new_value: 5 },
+        { field: 'description.en', old_value: 'Old description', new_value: 'New description' }
+      ]);
+    });
+
+    it('should treat arrays as whole values', () => {
+      const changes = computeChanges({ media_links: ['a'] }, { media_links: ['a', 'b'] });
+
+      expect(changes).toEqual([
+        { field: 'media_links', old_value: ['a'], new_value: ['a', 'b'] }
+      ]);
+    });
+
+    it('should ignore bookkeeping fields', () => {
+      const changes = computeChanges(
+        { updated_by: 'user-1', content_hash: 'abc', type: 'AIRSTRIKE' },
+        { updated_by: 'user-2', content_hash: 'def', type: 'AIRSTRIKE' }
+      );
+
+      expect(changes).toEqual([]);
+    });
+
+    it('should report every field as added when there is no previous state', () => {
+      const changes = computeChanges(null, { type: 'AIRSTRIKE' });
+
+      expect(changes).toEqual([{ field: 'type', old_value: null, new_value: 'AIRSTRIKE' }]);
+    });
+  });
+
+  describe('recordRevision', () => {
+    it('should create a revision with the next revision number', async () => {
+      ViolationRevision.getNextRevisionNumber = jest.fn().mockResolvedValue(3);
+      ViolationRevision.create = jest.fn().mockImplementation(data => Promise.resolve(data));
+
+      const revision = await recordRevision({
+        violationId: mockViolationId,
+        action: 'update',
+        before: { casualties: 1 },
+        after: { casualties: 2 },
+        userId: mockUserId,
+        reason: 'New information'
+      });
+
+      expect(ViolationRevision.create).toHaveBeenCalledWith({
+        violation: mockViolationId,
+        revision_number: 3,
+        action: 'update',
+        changed_by: mockUserId,
+        reason: 'New information',
+        changes: [{ field: 'casualties', old_value: 1, new_value: 2 }],
+        snapshot: { casualties: 2 },
+        metadata: {}
+      });
+      expect(revision.revision_number).toBe(3);
+    });
+
+    it('should store the previous state as snapshot for deletions', async () => {
+      ViolationRevision.getNextRevisionNumber = jest.fn().mockResolvedValue(2);
+      ViolationRevision.create = jest.fn().mockImplementation(data => Promise.resolve(data));
+
+      const revision = await recordRevision({
+        violationId: mockViolationId,
+        action: 'delete',
+        before: { type: 'AIRSTRIKE' },
+        userId: mockUserId
+      });
+
+      expect(revision.snapshot).toEqual({ type: 'AIRSTRIKE' });
+    });
+
+    it('should retry when the revision number is taken concurrently', async () => {
+      const duplicateError = Object.assign(new Error('duplicate key'), { code: 11000 });
+      ViolationRevision.getNextRevisionNumber = jest.fn()
+        .mockResolvedValueOnce(1)
+        .mockResolvedValueOnce(2);
+      ViolationRevision.create = jest.fn()
+        .mockRejectedValueOnce(duplicateError)
+        .mockImplementation(data => Promise.resolve(data));
+
+      const revision = await recordRevision({
+        violationId: mockViolationId,
+        action: 'create',
+        after: { type: 'AIRSTRIKE' },
+        userId: mockUserId
+      });
+
+      expect(ViolationRevision.create).toHaveBeenCalledTimes(2);
+      expect(revision.revision_number).toBe(2);
+    });
+
+    it('should fail the change when the revision cannot be recorded', async () => {
+      ViolationRevision.getNextRevisionNumber = jest.fn().mockRejectedValue(new Error('Database error'));
+
+      await expect(recordRevision({
+        violationId: mockViolationId,
+        action: 'create',
+        after: { type: 'AIRSTRIKE' },
+        userId: mockUserId
+      })).rejects.toMatchObject({ statusCode: 500 });
+    });
+  });
+
+  describe('writeWithRevision', () => {
+    const revision = {
+      violationId: mockViolationId,
+      action: 'update',
+      before: { casualties: 1 },
+      after: { casualties: 2 },
+      userId: mockUserId
+    };
+
+    beforeEach(() => {
+      ViolationRevision.getNextRevisionNumber = jest.fn().mockResolvedValue(5);
+      ViolationRevision.create = jest.fn().mockImplementation(data => Promise.resolve({ _id: 'revision-id', ...data }));
+      ViolationRevision.discard = jest.fn().mockResolvedValue({ deletedCount: 1 });
+    });
+
+    it('should store the revision before the write', async () => {
+      const write = jest.fn(async () => {
+        expect(ViolationRevision.create).toHaveBeenCalled();
+        return { _id: mockViolationId, casualties: 2 };
+      });
+
+      const result = await writeWithRevision(revision, write);
+
+      expect(result).toEqual({ _id: mockViolationId, casualties: 2 });
+      expect(write).toHaveBeenCalledTimes(1);
+      expect(ViolationRevision.discard).not.toHaveBeenCalled();
+    });
+
+    it('should not write when the revision cannot be stored', async () => {
+      ViolationRevision.create = jest.fn().mockRejectedValue(new Error('Database error'));
+      const write = jest.fn();
+
+      await expect(writeWithRevision(revision, write)).rejects.toMatchObject({ statusCode: 500 });
+      expect(write).not.toHaveBeenCalled();
+    });
+
+    it('should discard the revision when the write fails or changes nothing', async () => {
+      const failure = new Error('Validation failed');
+
+      await expect(writeWithRevision(revision, jest.fn().mockRejectedValue(failure))).rejects.toBe(failure);
+      expect(ViolationRevision.discard).toHaveBeenCalledWith('revision-id');
+
+      ViolationRevision.discard.mockClear();
+      expect(await writeWithRevision(revision, jest.fn().mockResolvedValue(null))).toBeNull();
+      expect(ViolationRevision.discard).toHaveBeenCalledWith('revision-id');
+    });
+  });
+
+  describe('updateViolationsWithRevisions', () => {
+    const otherViolationId = new mongoose.Types.ObjectId().toString();
+    const victimId = new mongoose.Types.ObjectId().toString();
+    const survivorId = new mongoose.Types.ObjectId().toString();
+
+    // Chainable find().select().lean() mock resolving to the given documents
+    const mockQuery = (docs) => ({
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(docs)
+    });
+
+    beforeEach(() => {
+      const ActualViolation = jest.requireActual('../../../models/Violation');
+      Violation.hydrate = jest.fn(doc => ActualViolation.hydrate(doc));
+      Violation.updateOne = jest.fn().mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+      ViolationRevision.getNextRevisionNumber = jest.fn().mockResolvedValue(4);
+      ViolationRevision.create = jest.fn().mockImplementation(data => Promise.resolve({ _id: 'revision-id', ...data }));
+      ViolationRevision.discard = jest.fn();
+    });
+
+    it('should write and record each violation the update changes, rebuilding its search text', async () => {
+      Violation.find
+        .mockReturnValueOnce(mockQuery([{ _id: mockViolationId }, { _id: otherViolationId }]))
+        .mockReturnValueOnce(mockQuery([
+          { _id: mockViolationId, perpetrator_affiliation: 'isis', description: { en: 'Shelling of the market' } },
+          { _id: otherViolationId, perpetrator_affiliation: 'turkey' }
+        ]));
+
+      const modified = await updateViolationsWithRevisions(
+        { perpetrator_entity: 'unit-id' },
+        { $set: { perpetrator_affiliation: 'turkey' } },
+        { userId: mockUserId, reason: 'Unit moved', metadata: { perpetrator: 'unit-id' } }
+      );
+
+      expect(Violation.updateOne).toHaveBeenCalledTimes(1);
+      expect(Violation.updateOne).toHaveBeenCalledWith(
+        { _id: mockViolationId },
+        {
+          $set: {
+            perpetrator_affiliation: 'turkey',
+            search_text: expect.objectContaining({ description: 'shelling of the market' })
+          }
+        }
+      );
+      expect(ViolationRevision.create).toHaveBeenCalledTimes(1);
+      expect(ViolationRevision.create).toHaveBeenCalledWith(expect.objectContaining({
+        violation: mockViolationId,
+        action: 'update',
+        changed_by: mockUserId,
+        reason: 'Unit moved',
+        changes: [{ field: 'perpetrator_affiliation', old_value: 'isis', new_value: 'turkey' }],
+        metadata: { perpetrator: 'unit-id', bulk: true }
+      }));
+      expect(ViolationRevision.create.mock.invocationCallOrder[0])
+        .toBeLessThan(Violation.updateOne.mock.invocationCallOrder[0]);
+      expect(modified).toBe(1);
+    });
+
+    it('should apply an update worked out per violation', async () => {
+      Violation.find
+        .mockReturnValueOnce(mockQuery([{ _id: mockViolationId }]))
+        .mockReturnValueOnce(mockQuery([
+          { _id: mockViolationId, victims: [{ name: { en: 'Omar' }, victim: victimId }] }
+        ]));
+
+      await updateViolationsWithRevisions(
+        { 'victims.victim': victimId },
+        violation => ({ victims: violation.victims.map(entry => ({ ...entry, victim: survivorId })) }),
+        { userId: mockUserId }
+      );
+
+      const [, update] = Violation.updateOne.mock.calls[0];
+      expect(update.$set.victims[0].victim).toBe(survivorId);
+    });
+
+    it('should discard the revision of a violation removed before it was written', async () => {
+      Violation.find
+        .mockReturnValueOnce(mockQuery([{ _id: mockViolationId }]))
+        .mockReturnValueOnce(mockQuery([{ _id: mockViolationId, admin_codes: null }]));
+      Violation.updateOne.mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+
+      const modified = await updateViolationsWithRevisions(
+        { _id: { $in: [mockViolationId] } },
+        { $set: { admin_codes: { governorate: 'SY02', district: null, sub_district: null } } }
+      );
+
+      expect(ViolationRevision.discard).toHaveBeenCalledWith('revision-id');
+      expect(modified).toBe(0);
+    });
+
+    it('should not touch anything when no violation matches', async () => {
+      Violation.find.mockReturnValueOnce(mockQuery([]));
+
+      expect(await updateViolationsWithRevisions({ 'victims.victim': 'victim-id' }, { $set: {} })).toBe(0);
+      expect(Violation.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getViolationHistory', () => {
+    it('should return paginated revisions newest first', async () => {
+      const revisions = [{ revision_number: 2 }, { revision_number: 1 }];
+      ViolationRevision.paginate = jest.fn().mockResolvedValue({
+        docs: revisions,
+        totalDocs: 2,
+        page: 1,
+        limit: 20,
+        totalPages: 1,
+        hasNextPage: false,
+        hasPrevPage: false
+      });
+
+      const result = await getViolationHistory(mockViolationId);
+
+      expect(ViolationRevision.paginate).toHaveBeenCalledWith(
+        { violation: mockViolationId },
+        expect.objectContaining({
+          page: 1,
+          limit: 20,
+          sort: { revision_number: -1 },
+          select: '-snapshot'
+        })
+      );
+      expect(result.revisions).toEqual(revisions);
+      expect(result.totalDocs).toBe(2);
+    });
+
+    it('should return an empty history for violations without revisions', async () => {
+      ViolationRevision.paginate = jest.fn().mockResolvedValue({ docs: [], totalDocs: 0, page: 1, limit: 20, totalPages: 0 });
+      Violation.exists = jest.fn().mockResolvedValue({ _id: mockViolationId });
+
+      const result = await getViolationHistory(mockViolationId);
+
+      expect(result.revisions).toEqual([]);
+    });
+
+    it('should throw 404 when the violation never existed', async () => {
+      ViolationRevision.paginate = jest.fn().mockResolvedValue({ docs: [], totalDocs: 0, page: 1, limit: 20, totalPages: 0 });
+      Violation.exists = jest.fn().mockResolvedValue(null);
+
+      await expect(getViolationHistory(mockViolationId))
+        .rejects.toThrow(new ErrorResponse(`Violation not found with id of ${mockViolationId}`, 404));
+    });
+  });
+
+  describe('revertViolation', () => {
+    const createMockDocument = (data) => {
+      const doc = {
+        ...data,
+        _id: mockViolationId,
+        set: jest.fn(function(field, value) {
+          if (typeof field === 'object') {
+            Object.assign(this, field);
+          } else if (value === undefined) {
+            delete this[field];
+          } else {
+            this[field] = value;
+          }
+        }),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      doc.toObject = jest.fn(() => {
+        const { set, save, toObject, ...rest } = doc; // eslint-disable-line no-unused-vars
+        return rest;
+      });
+      return doc;
+    };
+
+    beforeEach(() => {
+      ViolationRevision.getNextRevisionNumber = jest.fn().mockResolvedValue(4);
+      ViolationRevision.create = jest.fn().mockImplementation(data => Promise.resolve(data));
+    });
+
+    it('should throw 404 when the revision does not exist', async () => {
+      ViolationRevision.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(revertViolation(mockViolationId, mockRevisionId, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Revision not found with id of ${mockRevisionId}`, 404));
+    });
+
+    it('should refuse to revert to a deletion revision', async () => {
+      ViolationRevision.findOne = jest.fn().mockResolvedValue({
+        _id: mockRevisionId,
+        action: 'delete',
+        snapshot: { type: 'AIRSTRIKE' }
+      });
+
+      await expect(revertViolation(mockViolationId, mockRevisionId, mockUserId))
+        .rejects.toThrow(new ErrorResponse('Cannot revert to a deletion revision', 400));
+    });
+
+    it('should refuse to revert a soft deleted violation', async () => {
+      ViolationRevision.findOne = jest.fn().mockResolvedValue({
+        _id: mockRevisionId,
+        revision_number: 1,
+        action: 'create',
+        snapshot: { type: 'AIRSTRIKE' }
+      });
+      Violation.findById = jest.fn().mockResolvedValue(createMockDocument({ type: 'AIRSTRIKE', deleted_at: new Date() }));
+
+      await expect(revertViolation(mockViolationId, mockRevisionId, mockUserId))
+        .rejects.toThrow(new ErrorResponse('Violation is deleted. Restore it before reverting to a previous revision', 400));
+    });
+
+    it('should restore the snapshot and record a revert revision', async () => {
+      ViolationRevision.findOne = jest.fn().mockResolvedValue({
+        _id: mockRevisionId,
+        revision_number: 1,
+        action: 'create',
+        snapshot: { type: 'AIRSTRIKE', casualties: 2 }
+      });
+      const doc = createMockDocument({ type: 'AIRSTRIKE', casualties: 7, tags: [{ en: 'added later' }] });
+      Violation.findById = jest.fn().mockResolvedValue(doc);
+
+      const result = await revertViolation(mockViolationId, mockRevisionId, mockUserId, { reason: 'Vandalism' });
+
+      expect(result.casualties).toBe(2);
+      expect(result.tags).toBeUndefined();
+      expect(result.updated_by).toBe(mockUserId);
+      expect(doc.save).toHaveBeenCalled();
+      expect(ViolationRevision.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'revert',
+        reason: 'Vandalism',
+        changed_by: mockUserId,
+        metadata: {
+          revertedTo: mockRevisionId,
+          revertedToRevisionNumber: 1
+        }
+      }));
+    });
+  });
+});
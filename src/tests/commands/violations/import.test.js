@@ -0,0 +1,363 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation', () => {
+  const Violation = jest.fn();
+  Violation.prototype.validateSync = jest.fn();
+  Violation.validateBatch = jest.fn();
+  return Violation;
+});
+jest.mock('../../../models/ImportMappingProfile', () => ({
+  findById: jest.fn(),
+  ImportFieldTypes: jest.requireActual('../../../models/ImportMappingProfile').ImportFieldTypes
+}));
+jest.mock('../../../models/jobs/ViolationImportJob', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  DuplicateHandlingModes: ['candidate', 'merge', 'skip']
+}));
+jest.mock('../../../utils/duplicateChecker', () => ({
+  checkForDuplicates: jest.fn()
+}));
+jest.mock('../../../commands/violations/create', () => ({
+  createSingleViolation: jest.fn()
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const mongoose = require('mongoose');
+const {
+  parseCsv,
+  readImportFile,
+  convertCellValue,
+  buildImportRecords,
+  previewImport,
+  createImportJob,
+  runImportJob
+} = require('../../../commands/violations/import');
+const Violation = require('../../../models/Violation');
+const ImportMappingProfile = require('../../../models/ImportMappingProfile');
+const ViolationImportJob = require('../../../models/jobs/ViolationImportJob');
+const { checkForDuplicates } = require('../../../utils/duplicateChecker');
+const { createSingleViolation } = require('../../../commands/violations/create');
+const ErrorResponse = require('../../../utils/errorResponse');
+const config = require('../../../config/config');
+
+describe('Violation Import Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+  const profileId = new mongoose.Types.ObjectId().toString();
+
+  const profile = {
+    _id: profileId,
+    name: 'Partner sheet',
+    mappings: [
+      { column: 'Incident', field: 'type' },
+      { column: 'Date', field: 'date' },
+      { column: 'Place', field: 'location.name.en' },
+      { column: 'Lat', field: 'latitude' },
+      { column: 'Lng', field: 'longitude' },
+      { column: 'Summary', field: 'description.en' },
+      { column: 'Victim age', field: 'victims.age' },
+      { column: 'Victim gender', field: 'victims.gender' }
+    ],
+    group_by_column: '',
+    list_separator: '|',
+    defaults: { perpetrator_affiliation: 'unknown', 'victims.status': 'civilian' }
+  };
+
+  const csv = [
+    'Incident,Date,Place,Lat,Lng,Summary,Victim age,Victim gender',
+    'Airstrike,15/06/2023,Douma,33.57,36.40,"Strike on a market, several killed",34,Male',
+    'Shelling,yesterday,Aleppo,,,Shelling of a residential area,,',
+    ''
+  ].join('\r\n');
+
+  // Echo records back as valid, the way Violation.validateBatch reports them
+  const validateAll = (violations) => Promise.resolve({
+    valid: violations.map((data, index) => ({ ...data, _batchIndex: index })),
+    invalid: []
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ImportMappingProfile.findById.mockResolvedValue(profile);
+    Violation.validateBatch.mockImplementation(validateAll);
+    Violation.prototype.validateSync.mockReturnValue(undefined);
+    checkForDuplicates.mockResolvedValue({ hasDuplicates: false, duplicates: [] });
+  });
+
+  describe('parseCsv', () => {
+    it('should handle quoted cells, escaped quotes and line breaks inside quotes', () => {
+      const rows = parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\n"multi\nline",z');
+
+      expect(rows).toEqual([
+        ['a', 'b'],
+        ['x, y', 'say "hi"'],
+        ['multi\nline', 'z']
+      ]);
+    });
+  });
+
+  describe('readImportFile', () => {
+    it('should number rows as they appear in the spreadsheet and skip blank lines', async () => {
+      const { headers, rows } = await readImportFile(Buffer.from('Incident,Date\n\nAirstrike,2023-06-15\n'), 'data.csv');
+
+      expect(headers).toEqual(['Incident', 'Date']);
+      expect(rows).toEqual([{ rowNumber: 3, values: { Incident: 'Airstrike', Date: '2023-06-15' } }]);
+    });
+
+    it('should read the first worksheet of an XLSX file', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Incidents');
+      worksheet.addRow(['Incident', 'Date']);
+      worksheet.addRow(['Airstrike', new Date(Date.UTC(2023, 5, 15))]);
+      const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+      const { rows } = await readImportFile(buffer, 'data.xlsx');
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0].values.Incident).toBe('Airstrike');
+      expect(convertCellValue(rows[0].values.Date, 'date')).toBe('2023-06-15');
+    });
+
+    it('should reject other file types', async () => {
+      await expect(readImportFile(Buffer.from('x'), 'data.pdf')).rejects.toThrow(ErrorResponse);
+    });
+  });
+
+  describe('convertCellValue', () => {
+    it('should convert cells to the type of their field', () => {
+      expect(convertCellValue('1,250', 'casualties')).toBe(1250);
+      expect(convertCellValue('نعم', 'verified')).toBe(true);
+      expect(convertCellValue('31/12/2023', 'date')).toBe('2023-12-31');
+      expect(convertCellValue('a.com | b.com', 'source_urls')).toEqual(['a.com', 'b.com']);
+      expect(convertCellValue('Air strike', 'type')).toBe('AIR_STRIKE');
+      expect(convertCellValue('Assad Regime', 'perpetrator_affiliation')).toBe('assad_regime');
+      expect(convertCellValue('  ', 'casualties')).toBeUndefined();
+    });
+
+    it('should reject cells that cannot be converted', () => {
+      expect(() => convertCellValue('many', 'casualties')).toThrow('"many" is not a number');
+      expect(() => convertCellValue('31/02/2023', 'date')).toThrow('is not a valid date');
+      expect(() => convertCellValue('maybe', 'verified')).toThrow('is not a yes/no value');
+    });
+  });
+
+  describe('buildImportRecords', () => {
+    it('should map rows onto violation fields with defaults and coordinates', () => {
+      const [record] = buildImportRecords([{
+        rowNumber: 2,
+        values: { incident: 'Airstrike', DATE: '15/06/2023', Place: 'Douma', Lat: '33.57', Lng: '36.40', 'Victim age': '34' }
+      }], profile);
+
+      expect(record.errors).toEqual([]);
+      expect(record.data).toEqual({
+        type: 'AIRSTRIKE',
+        date: '2023-06-15',
+        location: { name: { en: 'Douma' }, coordinates: [36.4, 33.57] },
+        perpetrator_affiliation: 'unknown',
+        victims: [{ age: 34, status: 'civilian' }]
+      });
+    });
+
+    it('should combine grouped rows into one violation with a victim per row', () => {
+      const groupedProfile = { ...profile, group_by_column: 'Incident ID', defaults: {} };
+      const rows = [
+        { rowNumber: 2, values: { 'Incident ID': 'A1', Incident: 'Airstrike', 'Victim age': '34' } },
+        { rowNumber: 3, values: { 'Incident ID': 'A1', Incident: 'Shelling', 'Victim age': 'unknown' } },
+        { rowNumber: 4, values: { 'Incident ID': 'B2', Incident: 'Shelling', 'Victim age': '9' } }
+      ];
+
+      const records = buildImportRecords(rows, groupedProfile);
+
+      expect(records).toHaveLength(2);
+      expect(records[0].rows).toEqual([2, 3]);
+      expect(records[0].data.type).toBe('AIRSTRIKE');
+      expect(records[0].data.victims).toEqual([{ age: 34 }]);
+      expect(records[0].errors).toEqual(['Row 3: Column "Victim age": "unknown" is not a number']);
+      expect(records[1].rows).toEqual([4]);
+    });
+
+    it('should require both coordinates', () => {
+      const [record] = buildImportRecords([{ rowNumber: 2, values: { Incident: 'Airstrike', Lat: '33.5' } }], profile);
+
+      expect(record.errors).toContain('Both latitude and longitude are required for coordinates');
+    });
+  });
+
+  describe('previewImport', () => {
+    it('should report every record without saving anything', async () => {
+      checkForDuplicates.mockResolvedValue({
+        hasDuplicates: true,
+        duplicates: [{ violation: { _id: 'existing-id' }, similarity: 0.9, exactMatch: false }]
+      });
+
+      const report = await previewImport(Buffer.from(csv), 'partner.csv', profileId);
+
+      expect(report.summary).toEqual({ totalRows: 2, totalRecords: 2, valid: 0, invalid: 1, duplicates: 1 });
+      expect(report.records[0]).toMatchObject({
+        rows: [2],
+        status: 'duplicate',
+        duplicates: [{ id: 'existing-id', similarity: 0.9, exactMatch: false }]
+      });
+      expect(report.records[1]).toMatchObject({
+        rows: [3],
+        status: 'invalid',
+        errors: ['Column "Date": "yesterday" is not a valid date']
+      });
+      expect(Violation.validateBatch).toHaveBeenCalledWith([expect.any(Object)], { requiresGeocoding: true });
+      expect(createSingleViolation).not.toHaveBeenCalled();
+    });
+
+    it('should report validation and schema errors', async () => {
+      Violation.validateBatch.mockResolvedValue({
+        valid: [],
+        invalid: [{ index: 0, errors: ['Description must be between 10 and 2000 characters'] }]
+      });
+
+      const report = await previewImport(Buffer.from(csv), 'partner.csv', profileId, { checkDuplicates: false });
+
+      expect(report.summary.invalid).toBe(2);
+      expect(report.records[0].errors).toEqual(['Description must be between 10 and 2000 characters']);
+      expect(checkForDuplicates).not.toHaveBeenCalled();
+    });
+
+    it('should list columns the profile expects but the file lacks', async () => {
+      await expect(previewImport(Buffer.from('Incident,Date\nAirstrike,2023-06-15\n'), 'partner.csv', profileId))
+        .rejects.toThrow('Columns missing from the file: Place, Lat, Lng, Summary, Victim age, Victim gender');
+    });
+
+    it('should return 404 for unknown profiles', async () => {
+      ImportMappingProfile.findById.mockResolvedValue(null);
+
+      await expect(previewImport(Buffer.from(csv), 'partner.csv', profileId))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('import jobs', () => {
+    const originalImportDir = config.importDir;
+    let importDir;
+
+    beforeEach(() => {
+      importDir = fs.mkdtempSync(path.join(os.tmpdir(), 'violation-import-'));
+      config.importDir = importDir;
+    });
+
+    afterEach(() => {
+      config.importDir = originalImportDir;
+      fs.rmSync(importDir, { recursive: true, force: true });
+    });
+
+    it('should store the upload and create a queued job', async () => {
+      ViolationImportJob.create.mockImplementation(async (data) => data);
+
+      const job = await createImportJob(Buffer.from(csv), 'partner.csv', profileId, mockUserId, {
+        duplicateHandling: 'skip'
+      });
+
+      expect(job.status).toBe('queued');
+      expect(job.options).toEqual({ duplicateHandling: 'skip', reviewStatus: 'pending_review' });
+      expect(job.results).toEqual({ totalRows: 2, totalRecords: 2 });
+      expect(fs.readFileSync(job.filePath, 'utf8')).toBe(csv);
+    });
+
+    it('should import valid records and report the rest', async () => {
+      const jobId = new mongoose.Types.ObjectId().toString();
+      const filePath = path.join(importDir, `${jobId}.csv`);
+      fs.writeFileSync(filePath, csv);
+
+      ViolationImportJob.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          _id: jobId,
+          profile: profileId,
+          fileName: 'partner.csv',
+          filePath,
+          requestedBy: mockUserId,
+          options: { duplicateHandling: 'candidate', reviewStatus: 'pending_review' }
+        })
+      });
+      createSingleViolation.mockResolvedValue({ violation: { _id: 'new-id' }, wasMerged: false });
+
+      const results = await runImportJob(jobId);
+
+      expect(results).toMatchObject({
+        totalRows: 2,
+        totalRecords: 2,
+        createdCount: 1,
+        failedCount: 1,
+        violations: ['new-id']
+      });
+      expect(results.failedRecords[0]).toEqual({
+        rows: [3],
+        status: 'invalid',
+        reasons: ['Column "Date": "yesterday" is not a valid date']
+      });
+      expect(createSingleViolation).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'AIRSTRIKE' }),
+        mockUserId,
+        expect.objectContaining({
+          checkDuplicates: true,
+          mergeDuplicates: false,
+          recordCandidates: true,
+          reviewStatus: 'pending_review',
+          skipGeocoding: true
+        })
+      );
+      expect(ViolationImportJob.findByIdAndUpdate).toHaveBeenLastCalledWith(jobId, expect.objectContaining({
+        status: 'completed',
+        progress: 100
+      }));
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    it('should count duplicates as skipped when duplicates are not recorded', async () => {
+      const jobId = new mongoose.Types.ObjectId().toString();
+      const filePath = path.join(importDir, `${jobId}.csv`);
+      fs.writeFileSync(filePath, csv);
+
+      ViolationImportJob.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          _id: jobId,
+          profile: profileId,
+          fileName: 'partner.csv',
+          filePath,
+          requestedBy: mockUserId,
+          options: { duplicateHandling: 'skip', reviewStatus: 'draft' }
+        })
+      });
+      createSingleViolation.mockRejectedValue(new ErrorResponse('Duplicate violation found', 409));
+
+      const results = await runImportJob(jobId);
+
+      expect(results.skippedCount).toBe(1);
+      expect(results.failedRecords[0]).toEqual({
+        rows: [2],
+        status: 'duplicate',
+        reasons: ['Duplicate violation found']
+      });
+    });
+
+    it('should mark the job as failed when its profile is gone', async () => {
+      const jobId = new mongoose.Types.ObjectId().toString();
+      const filePath = path.join(importDir, `${jobId}.csv`);
+      fs.writeFileSync(filePath, csv);
+
+      ViolationImportJob.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: jobId, profile: profileId, fileName: 'partner.csv', filePath })
+      });
+      ImportMappingProfile.findById.mockResolvedValue(null);
+
+      await expect(runImportJob(jobId)).rejects.toThrow('no longer exists');
+      expect(ViolationImportJob.findByIdAndUpdate).toHaveBeenLastCalledWith(jobId, expect.objectContaining({
+        status: 'failed'
+      }));
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/ImportMappingProfile');
+jest.mock('../../../models/jobs/ViolationImportJob');
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const {
+  getImportProfiles,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile
+} = require('../../../commands/violations/importProfiles');
+const ImportMappingProfile = require('../../../models/ImportMappingProfile');
+const ViolationImportJob = require('../../../models/jobs/ViolationImportJob');
+const ErrorResponse = require('../../../utils/errorResponse');
+
+describe('Import Profile Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+  const profileId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return paginated profiles sorted by name', async () => {
+    ImportMappingProfile.paginate.mockResolvedValue({
+      docs: [{ name: 'Partner sheet' }],
+      totalDocs: 1,
+      page: 1,
+      limit: 20,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: false,
+      nextPage: null,
+      prevPage: null
+    });
+
+    const result = await getImportProfiles({ page: 1 });
+
+    expect(ImportMappingProfile.paginate).toHaveBeenCalledWith({}, expect.objectContaining({ sort: 'name', limit: 20 }));
+    expect(result.profiles).toHaveLength(1);
+    expect(result.pagination.totalResults).toBe(1);
+  });
+
+  it('should only save supported profile fields', async () => {
+    ImportMappingProfile.create.mockImplementation(async (data) => ({ _id: profileId, ...data }));
+
+    const profile = await createImportProfile({
+      name: 'Partner sheet',
+      mappings: [{ column: 'Type', field: 'type' }],
+      created_by: 'someone-else'
+    }, mockUserId);
+
+    expect(ImportMappingProfile.create).toHaveBeenCalledWith({
+      name: 'Partner sheet',
+      mappings: [{ column: 'Type', field: 'type' }],
+      created_by: mockUserId,
+      updated_by: mockUserId
+    });
+    expect(profile._id).toBe(profileId);
+  });
+
+  it('should return 404 when updating an unknown profile', async () => {
+    ImportMappingProfile.findByIdAndUpdate.mockResolvedValue(null);
+
+    await expect(updateImportProfile(profileId, { name: 'Renamed' }, mockUserId))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(ImportMappingProfile.findByIdAndUpdate).toHaveBeenCalledWith(
+      profileId,
+      { name: 'Renamed', updated_by: mockUserId },
+      { new: true, runValidators: true }
+    );
+  });
+
+  it('should not delete a profile used by an unfinished import', async () => {
+    ImportMappingProfile.findById.mockResolvedValue({ _id: profileId });
+    ViolationImportJob.countDocuments.mockResolvedValue(1);
+
+    await expect(deleteImportProfile(profileId)).rejects.toThrow(ErrorResponse);
+    expect(ImportMappingProfile.findByIdAndDelete).not.toHaveBeenCalled();
+  });
+
+  it('should delete a profile no import depends on', async () => {
+    ImportMappingProfile.findById.mockResolvedValue({ _id: profileId });
+    ViolationImportJob.countDocuments.mockResolvedValue(0);
+
+    await deleteImportProfile(profileId);
+
+    expect(ImportMappingProfile.findByIdAndDelete).toHaveBeenCalledWith(profileId);
+  });
+});
@@ -0,0 +1,111 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation', () => ({
+  aggregate: jest.fn(),
+  find: jest.fn()
+}));
+
+const { getViolationMap, getViolationTile } = require('../../../commands/violations/map');
+const Violation = require('../../../models/Violation');
+const config = require('../../../config/config');
+const { tileToBBox } = require('../../../utils/tiles');
+
+const violation = {
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  type: 'SHELLING',
+  date: new Date('2023-05-01'),
+  casualties: 2,
+  location: { name: { en: 'Douma', ar: 'دوما' }, coordinates: [36.4, 33.57] }
+};
+
+const cells = [
+  { count: 4, casualties: 9, lng: 37.1, lat: 36.2, types: { AIRSTRIKE: 3, SHELLING: 1 }, violation: null },
+  { count: 1, casualties: 2, lng: 36.4, lat: 33.57, types: { SHELLING: 1 }, violation }
+];
+
+// Chainable find().select().sort().limit().lean() mock resolving to the given documents
+const mockFind = (docs) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(docs)
+});
+
+describe('Violation map', () => {
+  const { mapPointLimit } = config;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    config.mapPointLimit = mapPointLimit;
+  });
+
+  describe('getViolationMap', () => {
+    it('should cluster filtered violations inside the box on a zoom-dependent grid', async () => {
+      Violation.aggregate.mockResolvedValue(cells);
+
+      const map = await getViolationMap({ type: 'SHELLING' }, { bbox: [35.5, 32.3, 42.4, 37.3], zoom: 6 });
+
+      const [pipeline] = Violation.aggregate.mock.calls[0];
+      expect(pipeline[0].$match).toMatchObject({
+        review_status: { $in: ['published', null] },
+        type: 'SHELLING',
+        $and: [{ 'location.coordinates': { $geoWithin: { $box: [[35.5, 32.3], [42.4, 37.3]] } } }]
+      });
+      expect(pipeline[2].$group._id.x.$floor.$multiply[1]).toBe(2 ** 6 * 4);
+
+      expect(map).toMatchObject({ zoom: 6, clustered: true, truncated: false });
+      expect(map.features.features).toEqual([
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [37.1, 36.2] },
+          properties: { cluster: true, count: 4, casualties: 9, types: { AIRSTRIKE: 3, SHELLING: 1 } }
+        },
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [36.4, 33.57] },
+          properties: {
+            cluster: false,
+            id: '64b7f0c2a1b2c3d4e5f60718',
+            type: 'SHELLING',
+            date: violation.date,
+            casualties: 2,
+            name: { en: 'Douma', ar: 'دوما' }
+          }
+        }
+      ]);
+    });
+
+    it('should return individual violations above the cluster zoom limit', async () => {
+      config.mapPointLimit = 1;
+      Violation.find.mockReturnValue(mockFind([violation, { ...violation, _id: 'other' }]));
+
+      const map = await getViolationMap({}, { bbox: [36.3, 33.5, 36.5, 33.6], zoom: config.mapClusterMaxZoom + 1 });
+
+      expect(Violation.aggregate).not.toHaveBeenCalled();
+      expect(map.clustered).toBe(false);
+      expect(map.truncated).toBe(true);
+      expect(map.features.features).toHaveLength(1);
+      expect(map.features.features[0].properties.id).toBe('64b7f0c2a1b2c3d4e5f60718');
+    });
+  });
+
+  describe('getViolationTile', () => {
+    it('should encode the clusters of the tile in a violations layer', async () => {
+      Violation.aggregate.mockResolvedValue(cells);
+
+      const tile = await getViolationTile({}, { z: 7, x: 77, y: 50 });
+
+      const [west, south, east, north] = tileToBBox(7, 77, 50);
+      const [pipeline] = Violation.aggregate.mock.calls[0];
+      expect(pipeline[0].$match.$and[0]['location.coordinates'].$geoWithin.$box).toEqual([[west, south], [east, north]]);
+
+      expect(Buffer.isBuffer(tile)).toBe(true);
+      const text = tile.toString('utf8');
+      expect(text).toContain('violations');
+      expect(text).toContain('type_AIRSTRIKE');
+      expect(text).toContain('name_en');
+    });
+  });
+});
@@ -1,5 +1,16 @@
 // Manual mocks to avoid global setup dependencies
 jest.mock('../../../models/Violation');
+jest.mock('../../../models/ViolationMerge');
+jest.mock('../../../models/ViolationRevision');
+jest.mock('../../../commands/violations/history', () => ({
+  writeWithRevision: jest.fn((revision, write) => write()),
+  toSnapshot: jest.fn(violation => {
+    if (!violation) return null;
+    const { _id, set, save, ...rest } = violation; // eslint-disable-line no-unused-vars
+    return JSON.parse(JSON.stringify(rest));
+  }),
+  applySnapshot: jest.fn((violation, snapshot) => Object.assign(violation, snapshot))
+}));
 jest.mock('../../../config/logger', () => ({
   info: jest.fn(),
   error: jest.fn()
@@ -14,9 +25,15 @@ const {
   mergeTags,
   mergeLocalizedString,
   mergeLocation,
-  mergeSourceUrls
+  mergeSourceUrls,
+  mergeViolationRecords,
+  unmergeViolation
 } = require('../../../commands/violations/merge');
 const Violation = require('../../../models/Violation');
+const ViolationMerge = require('../../../models/ViolationMerge');
+const ViolationRevision = require('../../../models/ViolationRevision');
+const ErrorResponse = require('../../../utils/errorResponse');
+const { writeWithRevision } = require('../../../commands/violations/history');
 
 describe('Violation Merge Service', () => {
   const mockUserId = new mongoose.Types.ObjectId().toString();
@@ -630,6 +647,16 @@ describe('Violation Merge Service', () => {
       )).rejects.toThrow('Failed to merge violation: Database error');
     });
 
+    it('should keep the status of errors that already carry one', async () => {
+      Violation.findByIdAndUpdate.mockRejectedValue(new ErrorResponse('Failed to record revision: write timeout', 500));
+
+      await expect(mergeWithExistingViolation(
+        mockNewViolationData,
+        mockExistingViolation,
+        mockUserId
+      )).rejects.toMatchObject({ message: 'Failed to record revision: write timeout', statusCode: 500 });
+    });
+
     it('should pass through merge options', async () => {
       const mockUpdatedViolation = { ...mockExistingViolation };
       Violation.findByIdAndUpdate.mockResolvedValue(mockUpdatedViolation);
@@ -644,4 +671,210 @@ describe('Violation Merge Service', () => {
       expect(Violation.findByIdAndUpdate).toHaveBeenCalled();
     });
   });
+
+  describe('mergeViolations - field choices', () => {
+    it('should apply explicit choices over the automatic merge', () => {
+      const source = { casualties: 2, description: { en: 'Source description' }, certainty_level: 'confirmed' };
+      const target = { casualties: 5, description: { en: 'Target description' }, certainty_level: 'possible' };
+
+      const result = mergeViolations(source, target, {
+        preferNew: false,
+        fieldChoices: { casualties: 'source', certainty_level: 'target' }
+      });
+
+      expect(result.casualties).toBe(2);
+      expect(result.certainty_level).toBe('possible');
+      expect(result.description.en).toBe('Target description');
+    });
+  });
+
+  describe('mergeViolationRecords', () => {
+    const targetId = new mongoose.Types.ObjectId().toString();
+    const sourceId = new mongoose.Types.ObjectId().toString();
+
+    const mockRecords = (source, target) => {
+      Violation.findById = jest.fn().mockImplementation(id =>
+        Promise.resolve(String(id) === sourceId ? source : target)
+      );
+    };
+
+    it('should reject merging a violation into itself', async () => {
+      await expect(mergeViolationRecords(targetId, targetId, mockUserId))
+        .rejects.toThrow(new ErrorResponse('A violation cannot be merged into itself', 400));
+    });
+
+    it('should reject choices for fields that cannot be merged', async () => {
+      await expect(mergeViolationRecords(targetId, sourceId, mockUserId, { fieldChoices: { created_by: 'source' } }))
+        .rejects.toThrow(new ErrorResponse('Field created_by cannot be chosen when merging violations', 400));
+    });
+
+    it('should reject invalid choice values', async () => {
+      await expect(mergeViolationRecords(targetId, sourceId, mockUserId, { fieldChoices: { casualties: 'both' } }))
+        .rejects.toThrow(ErrorResponse);
+    });
+
+    it('should throw 404 when the source is deleted', async () => {
+      mockRecords({ _id: sourceId, deleted_at: new Date() }, { _id: targetId, deleted_at: null });
+
+      await expect(mergeViolationRecords(targetId, sourceId, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Violation not found with id of ${sourceId}`, 404));
+    });
+
+    it('should merge into the target, store both snapshots and tombstone the source', async () => {
+      const source = { _id: sourceId, type: 'AIRSTRIKE', casualties: 2, content_hash: 'source-hash', deleted_at: null };
+      const target = { _id: targetId, type: 'AIRSTRIKE', casualties: 5, deleted_at: null };
+      const mergedAt = new Date('2024-01-01T00:00:00.000Z');
+      mockRecords(source, target);
+
+      Violation.findByIdAndUpdate = jest.fn()
+        .mockResolvedValueOnce({ ...target, casualties: 2, updatedAt: mergedAt })
+        .mockResolvedValueOnce({ ...source, merged_into: targetId });
+      ViolationMerge.create = jest.fn().mockImplementation(data => Promise.resolve({ _id: 'merge-id', ...data }));
+      ViolationRevision.getNextRevisionNumber = jest.fn().mockResolvedValue(8);
+
+      const result = await mergeViolationRecords(targetId, sourceId, mockUserId, {
+        fieldChoices: { casualties: 'source' },
+        reason: 'Same incident'
+      });
+
+      const [mergeTargetId, mergedData] = Violation.findByIdAndUpdate.mock.calls[0];
+      expect(mergeTargetId).toBe(targetId);
+      expect(mergedData.casualties).toBe(2);
+      expect(mergedData.content_hash).toBeUndefined();
+
+      expect(ViolationMerge.create).toHaveBeenCalledWith(expect.objectContaining({
+        target: targetId,
+        source: sourceId,
+        field_choices: { casualties: 'source' },
+        source_snapshot: expect.objectContaining({ casualties: 2 }),
+        target_snapshot: expect.objectContaining({ casualties: 5 }),
+        target_updated_at: mergedAt,
+        target_revision: 7
+      }));
+
+      expect(Violation.findByIdAndUpdate).toHaveBeenLastCalledWith(
+        sourceId,
+        expect.objectContaining({ merged_into: targetId, deleted_at: expect.any(Date) }),
+        { new: true }
+      );
+      expect(writeWithRevision).toHaveBeenCalledWith(expect.objectContaining({
+        violationId: sourceId,
+        action: 'merge',
+        metadata: { mergedInto: targetId, mergeId: 'merge-id' }
+      }), expect.any(Function));
+      expect(result.violation.casualties).toBe(2);
+      expect(result.merge._id).toBe('merge-id');
+    });
+  });
+
+  describe('unmergeViolation', () => {
+    const targetId = new mongoose.Types.ObjectId().toString();
+    const sourceId = new mongoose.Types.ObjectId().toString();
+    const mergedAt = new Date('2024-01-01T00:00:00.000Z');
+
+    const createMockDocument = (data) => ({
+      ...data,
+      set: jest.fn(function(field, value) {
+        if (typeof field === 'object') {
+          Object.assign(this, field);
+        } else {
+          this[field] = value;
+        }
+      }),
+      save: jest.fn().mockResolvedValue(true)
+    });
+
+    const activeMerge = {
+      _id: 'merge-id',
+      target: targetId,
+      source: sourceId,
+      source_snapshot: { type: 'AIRSTRIKE', casualties: 2 },
+      target_snapshot: { type: 'AIRSTRIKE', casualties: 5 },
+      target_updated_at: mergedAt
+    };
+
+    it('should throw 404 when there is no active merge', async () => {
+      ViolationMerge.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(unmergeViolation(sourceId, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`No active merge found for violation ${sourceId}`, 404));
+    });
+
+    it('should refuse when the target was edited after the merge', async () => {
+      ViolationMerge.findOne = jest.fn().mockResolvedValue({ ...activeMerge, target_revision: 7 });
+      ViolationRevision.exists = jest.fn().mockResolvedValue({ _id: 'revision-id' });
+      Violation.findById = jest.fn().mockResolvedValue(createMockDocument({ _id: targetId }));
+
+      await expect(unmergeViolation(sourceId, mockUserId))
+        .rejects.toThrow(new ErrorResponse(
+          `Violation ${targetId} has been edited since the merge. Pass force to discard those edits`,
+          409
+        ));
+      expect(ViolationRevision.exists).toHaveBeenCalledWith({
+        violation: targetId,
+        revision_number: { $gt: 7 },
+        'metadata.bulk': { $ne: true }
+      });
+    });
+
+    it('should refuse when a merge recorded without a revision number was followed by an edit', async () => {
+      ViolationMerge.findOne = jest.fn().mockResolvedValue(activeMerge);
+      Violation.findById = jest.fn().mockResolvedValue(
+        createMockDocument({ _id: targetId, updatedAt: new Date('2024-02-01T00:00:00.000Z') })
+      );
+
+      await expect(unmergeViolation(sourceId, mockUserId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should not count bulk updates of the target as edits', async () => {
+      const target = createMockDocument({ _id: targetId, casualties: 2, updatedAt: new Date('2024-02-01T00:00:00.000Z') });
+      const source = createMockDocument({ _id: sourceId, deleted_at: mergedAt, merged_into: targetId });
+
+      ViolationMerge.findOne = jest.fn().mockResolvedValue({ ...activeMerge, target_revision: 7 });
+      ViolationMerge.findByIdAndUpdate = jest.fn().mockResolvedValue({ ...activeMerge, status: 'reverted' });
+      ViolationRevision.exists = jest.fn().mockResolvedValue(null);
+      Violation.findById = jest.fn().mockImplementation(id =>
+        Promise.resolve(String(id) === sourceId ? source : target)
+      );
+
+      const result = await unmergeViolation(sourceId, mockUserId);
+
+      expect(result.target.casualties).toBe(5);
+    });
+
+    it('should restore both records and mark the merge reverted', async () => {
+      const target = createMockDocument({ _id: targetId, casualties: 2, updatedAt: mergedAt });
+      const source = createMockDocument({
+        _id: sourceId,
+        casualties: 2,
+        deleted_at: mergedAt,
+        deletion_reason: `Merged into ${targetId}`,
+        merged_into: targetId
+      });
+
+      ViolationMerge.findOne = jest.fn().mockResolvedValue(activeMerge);
+      ViolationMerge.findByIdAndUpdate = jest.fn().mockResolvedValue({ ...activeMerge, status: 'reverted' });
+      Violation.findById = jest.fn().mockImplementation(id =>
+        Promise.resolve(String(id) === sourceId ? source : target)
+      );
+
+      const result = await unmergeViolation(sourceId, mockUserId, { reason: 'Different incidents' });
+
+      expect(result.target.casualties).toBe(5);
+      expect(result.source.deleted_at).toBeNull();
+      expect(result.source.merged_into).toBeNull();
+      expect(result.source.deletion_reason).toBeUndefined();
+      expect(target.save).toHaveBeenCalled();
+      expect(source.save).toHaveBeenCalled();
+      expect(ViolationMerge.findByIdAndUpdate).toHaveBeenCalledWith('merge-id', expect.objectContaining({
+        status: 'reverted',
+        unmerged_by: mockUserId
+      }));
+      expect(writeWithRevision).toHaveBeenCalledTimes(2);
+      expect(writeWithRevision).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'unmerge',
+        reason: 'Different incidents'
+      }), expect.any(Function));
+    });
+  });
 });
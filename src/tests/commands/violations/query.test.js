@@ -1,8 +1,11 @@
 const { 
   buildFilterQuery, 
+  buildAreaFilterQuery,
   getViolations, 
   getViolationsInRadius, 
-  getViolationById 
+  getViolationById,
+  resolveMergedViolationId,
+  getDeletedViolations
 } = require('../../../commands/violations/query');
 const Violation = require('../../../models/Violation');
 
@@ -15,14 +18,14 @@ describe('Violation Query Command', () => {
   });
 
   describe('buildFilterQuery', () => {
-    it('should build empty query when no params provided', () => {
+    it('should only restrict to published, non-deleted violations when no params provided', () => {
       const query = buildFilterQuery({});
-      expect(query).toEqual({});
+      expect(query).toEqual({ deleted_at: null, review_status: { $in: ['published', null] } });
     });
 
     it('should filter by type', () => {
       const query = buildFilterQuery({ type: 'AIRSTRIKE' });
-      expect(query).toEqual({ type: 'AIRSTRIKE' });
+      expect(query).toEqual({ deleted_at: null, review_status: { $in: ['published', null] }, type: 'AIRSTRIKE' });
     });
 
     it('should filter by date range', () => {
@@ -90,15 +93,15 @@ describe('Violation Query Command', () => {
 
     it('should filter by certainty level', () => {
       const query = buildFilterQuery({ certainty_level: 'confirmed' });
-      expect(query).toEqual({ certainty_level: 'confirmed' });
+      expect(query).toEqual({ deleted_at: null, review_status: { $in: ['published', null] }, certainty_level: 'confirmed' });
     });
 
     it('should filter by verification status', () => {
       const query = buildFilterQuery({ verified: 'true' });
-      expect(query).toEqual({ verified: true });
+      expect(query).toEqual({ deleted_at: null, review_status: { $in: ['published', null] }, verified: true });
       
       const query2 = buildFilterQuery({ verified: 'false' });
-      expect(query2).toEqual({ verified: false });
+      expect(query2).toEqual({ deleted_at: null, review_status: { $in: ['published', null] }, verified: false });
     });
 
     it('should filter by perpetrator', () => {
@@ -108,7 +111,29 @@ describe('Violation Query Command', () => {
 
     it('should filter by perpetrator affiliation', () => {
       const query = buildFilterQuery({ perpetrator_affiliation: 'assad_regime' });
-      expect(query).toEqual({ perpetrator_affiliation: 'assad_regime' });
+      expect(query).toEqual({ deleted_at: null, review_status: { $in: ['published', null] }, perpetrator_affiliation: 'assad_regime' });
+    });
+
+    it('should filter by linked perpetrator', () => {
+      const query = buildFilterQuery({ perpetrator_entity: '5f7d327c3642214df4d0e0f8' });
+      expect(query.perpetrator_entity.toString()).toBe('5f7d327c3642214df4d0e0f8');
+    });
+
+    it('should filter by territory controller', () => {
+      const query = buildFilterQuery({ territory_controller: 'sdf' });
+      expect(query).toEqual({ deleted_at: null, review_status: { $in: ['published', null] }, 'territory_control.controlled_by': 'sdf' });
+    });
+
+    it('should filter by admin codes', () => {
+      const query = buildFilterQuery({ governorate: 'sy02', district: 'SY0200' });
+      expect(query['admin_codes.governorate']).toBe('SY02');
+      expect(query['admin_codes.district']).toBe('SY0200');
+      expect(query).not.toHaveProperty(['admin_codes.sub_district']);
+    });
+
+    it('should filter by linked victim', () => {
+      const query = buildFilterQuery({ victim: '5f7d327c3642214df4d0e0f8' });
+      expect(query['victims.victim'].toString()).toBe('5f7d327c3642214df4d0e0f8');
     });
 
     it('should filter by tags', () => {
@@ -143,6 +168,18 @@ describe('Violation Query Command', () => {
     });
   });
 
+  describe('buildAreaFilterQuery', () => {
+    it('should keep the radius filter alongside the area', () => {
+      const area = { 'location.coordinates': { $geoWithin: { $box: [[36, 33], [37, 34]] } } };
+
+      const query = buildAreaFilterQuery({ latitude: '33.5', longitude: '36.3', radius: '10', type: 'SHELLING' }, area);
+
+      expect(query.type).toBe('SHELLING');
+      expect(query['location.coordinates'].$geoWithin.$centerSphere).toBeDefined();
+      expect(query.$and).toEqual([area]);
+    });
+  });
+
   describe('getViolations', () => {
     it('should get violations with default pagination', async () => {
       const mockResult = {
@@ -162,7 +199,7 @@ describe('Violation Query Command', () => {
       const result = await getViolations({});
 
       expect(Violation.paginate).toHaveBeenCalledWith(
-        {},
+        { deleted_at: null, review_status: { $in: ['published', null] } },
         {
           page: 1,
           limit: 10,
@@ -202,7 +239,7 @@ describe('Violation Query Command', () => {
       await getViolations({ type: 'SHOOTING' }, paginationOptions);
 
       expect(Violation.paginate).toHaveBeenCalledWith(
-        { type: 'SHOOTING' },
+        { deleted_at: null, review_status: { $in: ['published', null] }, type: 'SHOOTING' },
         expect.objectContaining({
           page: 3,
           limit: 20,
@@ -224,6 +261,8 @@ describe('Violation Query Command', () => {
       const result = await getViolationsInRadius(36.2, 37.1, 10);
 
       expect(Violation.find).toHaveBeenCalledWith({
+        deleted_at: null,
+        review_status: { $in: ['published', null] },
         'location.coordinates': {
           $geoWithin: {
             $centerSphere: expect.any(Array)
@@ -300,5 +339,102 @@ describe('Violation Query Command', () => {
 
       expect(result).toBeNull();
     });
+
+    it('should return null when violation is not published', async () => {
+      const mockQuery = {
+        populate: jest.fn().mockResolvedValue({ _id: '123', review_status: 'pending_review' })
+      };
+
+      Violation.findById = jest.fn().mockReturnValue(mockQuery);
+
+      const result = await getViolationById('123');
+
+      expect(result).toBeNull();
+    });
+
+    it('should return a legacy violation without a review status', async () => {
+      const legacyViolation = { _id: '123', deleted_at: null };
+      Violation.findById = jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue(legacyViolation)
+      });
+
+      expect(await getViolationById('123')).toEqual(legacyViolation);
+    });
+
+    it('should return null when violation is soft deleted', async () => {
+      const mockQuery = {
+        populate: jest.fn().mockResolvedValue({ _id: '123', deleted_at: new Date() })
+      };
+
+      Violation.findById = jest.fn().mockReturnValue(mockQuery);
+
+      const result = await getViolationById('123');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getDeletedViolations', () => {
+    it('should list only soft deleted violations, most recent first', async () => {
+      const mockResult = {
+        docs: [{ _id: '1', deleted_at: new Date() }],
+        totalDocs: 1,
+        page: 1,
+        limit: 10,
+        totalPages: 1,
+        hasNextPage: false,
+        hasPrevPage: false
+      };
+
+      Violation.paginate = jest.fn().mockResolvedValue(mockResult);
+
+      const result = await getDeletedViolations();
+
+      expect(Violation.paginate).toHaveBeenCalledWith(
+        { deleted_at: { $ne: null } },
+        expect.objectContaining({
+          page: 1,
+          limit: 10,
+          sort: '-deleted_at'
+        })
+      );
+      expect(result.violations).toEqual(mockResult.docs);
+      expect(result.totalDocs).toBe(1);
+    });
+  });
+
+  describe('resolveMergedViolationId', () => {
+    const mockMergeChain = (records) => {
+      Violation.findById = jest.fn().mockImplementation(id => ({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue(records[String(id)] || null)
+        })
+      }));
+    };
+
+    it('should return null for violations that were never merged', async () => {
+      mockMergeChain({ a: { _id: 'a', merged_into: null } });
+
+      expect(await resolveMergedViolationId('a')).toBeNull();
+    });
+
+    it('should follow the merge chain to the surviving violation', async () => {
+      mockMergeChain({
+        a: { _id: 'a', merged_into: 'b' },
+        b: { _id: 'b', merged_into: 'c' },
+        c: { _id: 'c', merged_into: null }
+      });
+
+      expect(await resolveMergedViolationId('a')).toBe('c');
+    });
+
+    it('should stop on merge cycles', async () => {
+      mockMergeChain({
+        a: { _id: 'a', merged_into: 'b' },
+        b: { _id: 'b', merged_into: 'a' }
+      });
+
+      expect(await resolveMergedViolationId('a')).toBe('b');
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,182 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation');
+jest.mock('../../../commands/violations/history', () => ({
+  writeWithRevision: jest.fn((revision, write) => write())
+}));
+jest.mock('../../../commands/violations/update', () => ({
+  updateViolation: jest.fn()
+}));
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const {
+  getReviewQueue,
+  transitionReviewStatus,
+  submitForReview,
+  approveViolation,
+  rejectViolation
+} = require('../../../commands/violations/review');
+const Violation = require('../../../models/Violation');
+const ErrorResponse = require('../../../utils/errorResponse');
+const { writeWithRevision } = require('../../../commands/violations/history');
+const { updateViolation } = require('../../../commands/violations/update');
+
+// Mirror of the review state machine defined on the Violation model
+const transitions = {
+  draft: ['pending_review'],
+  pending_review: ['published', 'rejected', 'draft'],
+  rejected: ['pending_review', 'draft'],
+  published: ['pending_review']
+};
+
+describe('Violation Review Commands', () => {
+  const mockUserId = new mongoose.Types.ObjectId().toString();
+  const mockViolationId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Violation.canTransitionReview = jest.fn((from, to) => (transitions[from] || []).includes(to));
+  });
+
+  const mockTransition = (reviewStatus) => {
+    const existing = { _id: mockViolationId, review_status: reviewStatus, deleted_at: null };
+    Violation.findById = jest.fn().mockResolvedValue(existing);
+    Violation.findByIdAndUpdate = jest.fn().mockImplementation((id, update) =>
+      Promise.resolve({ ...existing, ...update })
+    );
+    return existing;
+  };
+
+  describe('getReviewQueue', () => {
+    it('should list pending violations by default, oldest first', async () => {
+      Violation.paginate = jest.fn().mockResolvedValue({
+        docs: [{ _id: '1', review_status: 'pending_review' }],
+        totalDocs: 1,
+        page: 1,
+        limit: 10,
+        totalPages: 1
+      });
+
+      const result = await getReviewQueue({});
+
+      expect(Violation.paginate).toHaveBeenCalledWith(
+        { deleted_at: null, review_status: 'pending_review' },
+        expect.objectContaining({ sort: 'createdAt' })
+      );
+      expect(result.totalDocs).toBe(1);
+    });
+
+    it('should combine the requested status with violation filters', async () => {
+      Violation.paginate = jest.fn().mockResolvedValue({ docs: [], totalDocs: 0 });
+
+      await getReviewQueue({ status: 'rejected', type: 'SHELLING' });
+
+      expect(Violation.paginate).toHaveBeenCalledWith(
+        { deleted_at: null, review_status: 'rejected', type: 'SHELLING' },
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('transitionReviewStatus', () => {
+    it('should update the review fields and record a review revision', async () => {
+      mockTransition('pending_review');
+
+      const result = await transitionReviewStatus(mockViolationId, 'published', mockUserId, { notes: 'Checked sources' });
+
+      expect(result.review_status).toBe('published');
+      expect(Violation.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockViolationId,
+        {
+          review_status: 'published',
+          reviewed_by: mockUserId,
+          reviewed_at: expect.any(Date),
+          review_notes: 'Checked sources'
+        },
+        { new: true, runValidators: true }
+      );
+      expect(writeWithRevision).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'review',
+        reason: 'Checked sources',
+        metadata: { from: 'pending_review', to: 'published' }
+      }), expect.any(Function));
+    });
+
+    it('should reject transitions not allowed by the state machine', async () => {
+      mockTransition('draft');
+
+      await expect(transitionReviewStatus(mockViolationId, 'published', mockUserId))
+        .rejects.toThrow(new ErrorResponse('Cannot change review status from draft to published', 400));
+      expect(Violation.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 for deleted violations', async () => {
+      Violation.findById = jest.fn().mockResolvedValue({ _id: mockViolationId, deleted_at: new Date() });
+
+      await expect(transitionReviewStatus(mockViolationId, 'published', mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Violation not found with id of ${mockViolationId}`, 404));
+    });
+  });
+
+  describe('submitForReview', () => {
+    it('should move a draft to pending_review', async () => {
+      mockTransition('draft');
+
+      const result = await submitForReview(mockViolationId, mockUserId);
+
+      expect(result.review_status).toBe('pending_review');
+    });
+  });
+
+  describe('approveViolation', () => {
+    it('should publish a pending violation', async () => {
+      mockTransition('pending_review');
+
+      const result = await approveViolation(mockViolationId, mockUserId);
+
+      expect(result.review_status).toBe('published');
+      expect(updateViolation).not.toHaveBeenCalled();
+    });
+
+    it('should apply edits before publishing', async () => {
+      mockTransition('pending_review');
+      const updates = { casualties: 4 };
+
+      await approveViolation(mockViolationId, mockUserId, { updates, notes: 'Fixed count' });
+
+      expect(updateViolation).toHaveBeenCalledWith(mockViolationId, updates, mockUserId, { reason: 'Fixed count' });
+      expect(Violation.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockViolationId,
+        expect.objectContaining({ review_status: 'published' }),
+        expect.any(Object)
+      );
+    });
+
+    it('should not apply edits when the violation cannot be approved', async () => {
+      mockTransition('draft');
+
+      await expect(approveViolation(mockViolationId, mockUserId, { updates: { casualties: 4 } }))
+        .rejects.toThrow(ErrorResponse);
+      expect(updateViolation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rejectViolation', () => {
+    it('should require review notes', async () => {
+      await expect(rejectViolation(mockViolationId, mockUserId, { notes: '  ' }))
+        .rejects.toThrow(new ErrorResponse('Review notes are required when rejecting a violation', 400));
+    });
+
+    it('should reject a pending violation', async () => {
+      mockTransition('pending_review');
+
+      const result = await rejectViolation(mockViolationId, mockUserId, { notes: 'Unverifiable source' });
+
+      expect(result.review_status).toBe('rejected');
+      expect(result.review_notes).toBe('Unverifiable source');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation', () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn()
+}));
+
+const { searchViolations } = require('../../../commands/violations/search');
+const Violation = require('../../../models/Violation');
+const ErrorResponse = require('../../../utils/errorResponse');
+
+// Chainable query mock resolving to the given value
+const mockQuery = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  skip: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+describe('searchViolations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should combine the text search with the structured filters and rank by score', async () => {
+    const query = mockQuery([
+      {
+        _id: 'violation1',
+        score: 6.5,
+        description: { en: 'Shelling hit the market', ar: 'قصف استهدف السوق' },
+        location: { name: { en: 'Douma', ar: 'دوما' } }
+      }
+    ]);
+    Violation.find.mockReturnValue(query);
+    Violation.countDocuments.mockResolvedValue(11);
+
+    const result = await searchViolations(
+      { q: 'دُوما shelling', type: 'SHELLING' },
+      { page: 2, limit: 5 }
+    );
+
+    const expectedQuery = {
+      deleted_at: null,
+      review_status: { $in: ['published', null] },
+      type: 'SHELLING',
+      $text: { $search: 'دوما shelling' }
+    };
+    expect(Violation.find).toHaveBeenCalledWith(expectedQuery, { score: { $meta: 'textScore' } });
+    expect(Violation.countDocuments).toHaveBeenCalledWith(expectedQuery);
+    expect(query.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' }, date: -1 });
+    expect(query.skip).toHaveBeenCalledWith(5);
+    expect(query.limit).toHaveBeenCalledWith(5);
+
+    expect(result.violations[0].highlights).toEqual([
+      { field: 'description.en', snippet: '<mark>Shelling</mark> hit the market' },
+      { field: 'location.name.ar', snippet: '<mark>دوما</mark>' }
+    ]);
+    expect(result.pagination).toMatchObject({
+      page: 2,
+      totalPages: 3,
+      totalResults: 11,
+      hasNextPage: true,
+      nextPage: 3,
+      prevPage: 1
+    });
+  });
+
+  it('should reject search text without letters or numbers', async () => {
+    await expect(searchViolations({ q: '؟!' })).rejects.toThrow(ErrorResponse);
+    expect(Violation.find).not.toHaveBeenCalled();
+  });
+});
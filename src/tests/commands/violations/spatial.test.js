@@ -0,0 +1,143 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation', () => ({
+  paginate: jest.fn()
+}));
+
+jest.mock('../../../models/TerritoryControl', () => ({
+  findById: jest.fn(),
+  findByDate: jest.fn()
+}));
+
+const {
+  buildCorridorQuery,
+  resolveTerritoryGeometry,
+  getViolationsInArea
+} = require('../../../commands/violations/spatial');
+const Violation = require('../../../models/Violation');
+const TerritoryControl = require('../../../models/TerritoryControl');
+
+const polygon = {
+  type: 'Polygon',
+  coordinates: [[[36.0, 35.0], [38.0, 35.0], [38.0, 37.0], [36.0, 37.0], [36.0, 35.0]]]
+};
+
+const territoryMap = {
+  _id: '64b7f0c2a1b2c3d4e5f60719',
+  date: new Date('2023-05-01'),
+  features: [
+    { geometry: { type: 'Polygon', coordinates: [[[35, 35], [36, 35], [36, 36], [35, 35]]] }, properties: { name: 'Coast', controlledBy: 'assad_regime' } },
+    { geometry: polygon, properties: { name: 'Idlib', controlledBy: 'hts' } }
+  ]
+};
+
+const paginated = {
+  docs: [{ _id: '1', type: 'AIRSTRIKE' }],
+  totalDocs: 1,
+  page: 1,
+  limit: 10,
+  totalPages: 1,
+  hasNextPage: false,
+  hasPrevPage: false,
+  nextPage: null,
+  prevPage: null
+};
+
+describe('Violation spatial queries', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Violation.paginate.mockResolvedValue(paginated);
+  });
+
+  describe('buildCorridorQuery', () => {
+    it('should cover every vertex with a circle and every segment with a rectangle', () => {
+      const line = { type: 'LineString', coordinates: [[36.2, 33.5], [36.7, 34.7], [36.7, 34.7], [36.7, 35.1]] };
+
+      const { $or: clauses } = buildCorridorQuery(line, 6.3781);
+
+      const circles = clauses.filter(clause => clause['location.coordinates'].$geoWithin.$centerSphere);
+      const rectangles = clauses.filter(clause => clause['location.coordinates'].$geoWithin.$geometry);
+      expect(circles).toHaveLength(4);
+      expect(circles[0]['location.coordinates'].$geoWithin.$centerSphere).toEqual([[36.2, 33.5], 0.001]);
+      // The repeated vertex has no segment to buffer
+      expect(rectangles).toHaveLength(2);
+      expect(rectangles[0]['location.coordinates'].$geoWithin.$geometry.type).toBe('Polygon');
+    });
+  });
+
+  describe('resolveTerritoryGeometry', () => {
+    it('should find a territory by name on the map in effect on a date', async () => {
+      TerritoryControl.findByDate.mockResolvedValue(territoryMap);
+
+      const { geometry, territory } = await resolveTerritoryGeometry({ date: '2023-06-01', feature: 'idlib' });
+
+      expect(TerritoryControl.findByDate).toHaveBeenCalledWith('2023-06-01');
+      expect(geometry).toBe(polygon);
+      expect(territory).toEqual({
+        map: territoryMap._id,
+        date: territoryMap.date,
+        index: 1,
+        name: 'Idlib',
+        controlledBy: 'hts'
+      });
+    });
+
+    it('should find a territory by index on a map by ID', async () => {
+      TerritoryControl.findById.mockResolvedValue(territoryMap);
+
+      const { territory } = await resolveTerritoryGeometry({ id: territoryMap._id, feature: '0' });
+
+      expect(TerritoryControl.findById).toHaveBeenCalledWith(territoryMap._id);
+      expect(territory.name).toBe('Coast');
+    });
+
+    it('should fail with 404 for a missing map or territory', async () => {
+      TerritoryControl.findByDate.mockResolvedValue(null);
+      await expect(resolveTerritoryGeometry({ date: '1990-01-01', feature: 0 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+
+      TerritoryControl.findById.mockResolvedValue(territoryMap);
+      await expect(resolveTerritoryGeometry({ id: territoryMap._id, feature: 5 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(resolveTerritoryGeometry({ id: territoryMap._id, feature: 'Raqqa' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getViolationsInArea', () => {
+    it('should combine a polygon with the list filters and pagination', async () => {
+      const result = await getViolationsInArea({ geometry: polygon }, { type: 'AIRSTRIKE' }, { page: 2 });
+
+      expect(Violation.paginate).toHaveBeenCalledWith(
+        {
+          deleted_at: null,
+          review_status: { $in: ['published', null] },
+          type: 'AIRSTRIKE',
+          $and: [{ 'location.coordinates': { $geoWithin: { $geometry: polygon } } }]
+        },
+        expect.objectContaining({ page: 2 })
+      );
+      expect(result.violations).toEqual(paginated.docs);
+      expect(result.area).toEqual({ mode: 'polygon' });
+    });
+
+    it('should search along a corridor', async () => {
+      const line = { type: 'LineString', coordinates: [[36.2, 33.5], [36.7, 34.7]] };
+
+      const result = await getViolationsInArea({ geometry: line, distance: '5' });
+
+      const [query] = Violation.paginate.mock.calls[0];
+      expect(query.$and[0].$or).toHaveLength(3);
+      expect(result.area).toEqual({ mode: 'corridor', distance: 5 });
+    });
+
+    it('should search inside a territory of a territory control map', async () => {
+      TerritoryControl.findByDate.mockResolvedValue(territoryMap);
+
+      const result = await getViolationsInArea({ territory: { date: '2023-06-01', feature: 'Idlib' } });
+
+      const [query] = Violation.paginate.mock.calls[0];
+      expect(query.$and).toEqual([{ 'location.coordinates': { $geoWithin: { $geometry: polygon } } }]);
+      expect(result.area).toMatchObject({ mode: 'territory', territory: { name: 'Idlib', controlledBy: 'hts' } });
+    });
+  });
+});
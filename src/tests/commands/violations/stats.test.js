@@ -0,0 +1,103 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../models/Violation', () => ({
+  aggregate: jest.fn()
+}));
+
+jest.mock('../../../commands/adminBoundaries/query', () => ({
+  getAdminBoundaryNames: jest.fn().mockResolvedValue({ SY07: { en: 'Idleb', ar: 'إدلب' } })
+}));
+
+const mongoose = require('mongoose');
+const { getViolationStats } = require('../../../commands/violations/stats');
+const Violation = require('../../../models/Violation');
+const { getAdminBoundaryNames } = require('../../../commands/adminBoundaries/query');
+
+const counts = (count, casualties) => ({
+  count,
+  casualties,
+  injured_count: 1,
+  detained_count: 0,
+  kidnapped_count: 2,
+  displaced_count: 0
+});
+
+describe('getViolationStats', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should run one filtered $facet aggregation with groups and a timeline', async () => {
+    Violation.aggregate.mockResolvedValue([{
+      totals: [{ _id: null, ...counts(3, 9) }],
+      groups: [
+        {
+          _id: { type: 'SHELLING', governorate: 'SY07' },
+          ...counts(2, 7)
+        },
+        { _id: { type: 'AIRSTRIKE', governorate: null }, ...counts(1, 2) }
+      ],
+      timeline: [{ _id: new Date('2023-05-01'), ...counts(3, 9) }]
+    }]);
+
+    const stats = await getViolationStats(
+      { type: 'SHELLING', startDate: '2023-01-01' },
+      { groupBy: ['type', 'governorate'], interval: 'week' }
+    );
+
+    const [pipeline] = Violation.aggregate.mock.calls[0];
+    expect(Violation.aggregate).toHaveBeenCalledTimes(1);
+    expect(pipeline[0].$match).toMatchObject({
+      review_status: { $in: ['published', null] },
+      type: 'SHELLING',
+      date: { $gte: new Date('2023-01-01') }
+    });
+    expect(pipeline[1].$facet.groups[0].$group._id).toEqual({
+      type: '$type',
+      governorate: '$admin_codes.governorate'
+    });
+    expect(pipeline[1].$facet.timeline[0].$group._id).toEqual({
+      $dateTrunc: { date: '$date', unit: 'week', startOfWeek: 'monday' }
+    });
+
+    expect(stats.totals).toEqual(counts(3, 9));
+    expect(stats.groups[0]).toEqual({
+      type: 'SHELLING',
+      governorate: { code: 'SY07', en: 'Idleb', ar: 'إدلب' },
+      ...counts(2, 7)
+    });
+    expect(stats.groups[1].governorate).toEqual({ code: null, en: null, ar: null });
+    expect(getAdminBoundaryNames).toHaveBeenCalledWith(['SY07', null]);
+    expect(stats.timeline).toEqual([{ period: new Date('2023-05-01'), ...counts(3, 9) }]);
+  });
+
+  it('should default to monthly buckets without groups', async () => {
+    Violation.aggregate.mockResolvedValue([{ totals: [], timeline: [] }]);
+
+    const stats = await getViolationStats({ dateFilterType: 'reported_date' });
+
+    const [pipeline] = Violation.aggregate.mock.calls[0];
+    expect(pipeline[1].$facet).not.toHaveProperty('groups');
+    expect(getAdminBoundaryNames).not.toHaveBeenCalled();
+    expect(pipeline[1].$facet.timeline[0].$group._id.$dateTrunc).toMatchObject({
+      date: '$reported_date',
+      unit: 'month'
+    });
+    expect(stats).toEqual({
+      totals: { count: 0, casualties: 0, injured_count: 0, detained_count: 0, kidnapped_count: 0, displaced_count: 0 },
+      groupBy: [],
+      interval: 'month',
+      groups: [],
+      timeline: []
+    });
+  });
+
+  it('should match a victim by ObjectId, since aggregations do not cast', async () => {
+    Violation.aggregate.mockResolvedValue([{ totals: [{ _id: null, ...counts(1, 1) }], timeline: [] }]);
+
+    const stats = await getViolationStats({ victim: '5f7d327c3642214df4d0e0f8' });
+
+    const [pipeline] = Violation.aggregate.mock.calls[0];
+    expect(pipeline[0].$match['victims.victim']).toEqual(new mongoose.Types.ObjectId('5f7d327c3642214df4d0e0f8'));
+    expect(stats.totals.count).toBe(1);
+  });
+});
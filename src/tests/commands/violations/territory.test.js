@@ -0,0 +1,145 @@
+// Manual mocks to avoid global setup dependencies
+jest.mock('../../../commands/violations/history', () => ({
+  updateViolationsWithRevisions: jest.fn()
+}));
+
+jest.mock('../../../models/TerritoryControl', () => ({
+  find: jest.fn(),
+  findByDate: jest.fn()
+}));
+
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const {
+  resolveTerritoryControl,
+  refreshTerritoryControl
+} = require('../../../commands/violations/territory');
+const { updateViolationsWithRevisions } = require('../../../commands/violations/history');
+const TerritoryControl = require('../../../models/TerritoryControl');
+
+const feature = (name, controlledBy, [west, south, east, north]) => ({
+  properties: { name, controlledBy },
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  }
+});
+
+const map2018 = {
+  _id: 'map2018',
+  date: new Date('2018-01-01'),
+  features: [feature('Raqqa', 'isis', [38.5, 35.5, 39.5, 36.5])]
+};
+
+const map2020 = {
+  _id: 'map2020',
+  date: new Date('2020-01-01'),
+  features: [feature('Raqqa', 'sdf', [38.5, 35.5, 39.5, 36.5])]
+};
+
+describe('Violation territory control', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveTerritoryControl', () => {
+    it('should record the controller of the territory containing the location on the incident date', async () => {
+      TerritoryControl.findByDate.mockResolvedValue(map2018);
+
+      const result = await resolveTerritoryControl({
+        date: '2018-06-01',
+        location: { coordinates: [39.0, 35.95] }
+      });
+
+      expect(TerritoryControl.findByDate).toHaveBeenCalledWith('2018-06-01');
+      expect(result).toMatchObject({
+        controlled_by: 'isis',
+        territory: 'Raqqa',
+        map: 'map2018',
+        map_date: map2018.date
+      });
+    });
+
+    it('should leave the controller empty outside every territory', async () => {
+      TerritoryControl.findByDate.mockResolvedValue(map2018);
+
+      const result = await resolveTerritoryControl({
+        date: '2018-06-01',
+        location: { coordinates: [36.3, 33.5] }
+      });
+
+      expect(result).toMatchObject({ controlled_by: null, territory: null, map: 'map2018' });
+    });
+
+    it('should not look up a map without coordinates', async () => {
+      const result = await resolveTerritoryControl({ date: '2018-06-01', location: {} });
+
+      expect(TerritoryControl.findByDate).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ controlled_by: null, map: null });
+    });
+  });
+
+  describe('refreshTerritoryControl', () => {
+    beforeEach(() => {
+      TerritoryControl.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ date: map2018.date }, { date: map2020.date }])
+      });
+      TerritoryControl.findByDate.mockImplementation(async (date) => (
+        date >= map2020.date ? map2020 : date >= map2018.date ? map2018 : null
+      ));
+      updateViolationsWithRevisions.mockResolvedValue(1);
+    });
+
+    // Update the refresh would write for a violation in the period of the nth helper call
+    const updateFor = (call, violation) => updateViolationsWithRevisions.mock.calls[call][1](violation);
+
+    it('should recompute only the period covered by a changed map', async () => {
+      const result = await refreshTerritoryControl({ dates: ['2018-01-01'] });
+
+      expect(result).toEqual({ periods: 1, updated: 1 });
+      expect(updateViolationsWithRevisions).toHaveBeenCalledWith(
+        { date: { $gte: map2018.date, $lt: map2020.date } },
+        expect.any(Function),
+        expect.objectContaining({ metadata: { territoryMap: 'map2018' } })
+      );
+      expect(updateFor(0, { location: { coordinates: [39.0, 35.95] } }).$set.territory_control).toMatchObject({
+        controlled_by: 'isis',
+        map: 'map2018'
+      });
+    });
+
+    it('should leave violations whose controller did not change', async () => {
+      await refreshTerritoryControl({ dates: ['2018-01-01'] });
+
+      expect(updateFor(0, {
+        location: { coordinates: [39.0, 35.95] },
+        territory_control: {
+          controlled_by: 'isis',
+          territory: 'Raqqa',
+          map: 'map2018',
+          resolved_at: new Date('2019-01-01')
+        }
+      })).toEqual({});
+    });
+
+    it('should recompute every period, including before the first map', async () => {
+      const result = await refreshTerritoryControl();
+
+      expect(result).toEqual({ periods: 3, updated: 3 });
+      expect(updateViolationsWithRevisions.mock.calls.map(([query]) => query)).toEqual([
+        { date: { $lt: map2018.date } },
+        { date: { $gte: map2018.date, $lt: map2020.date } },
+        { date: { $gte: map2020.date } }
+      ]);
+      const controllers = [0, 1, 2].map(call => (
+        updateFor(call, { location: { coordinates: [39.0, 35.95] } }).$set.territory_control.controlled_by
+      ));
+      expect(controllers).toEqual([null, 'isis', 'sdf']);
+    });
+  });
+});
@@ -9,6 +9,18 @@ jest.mock('../../../utils/geocoder', () => ({
   geocodeLocation: jest.fn()
 }));
 
+jest.mock('../../../commands/violations/history', () => ({
+  writeWithRevision: jest.fn((revision, write) => write())
+}));
+
+jest.mock('../../../commands/violations/territory', () => ({
+  resolveTerritoryControl: jest.fn().mockResolvedValue({ controlled_by: 'sdf', territory: 'Raqqa', map: null, map_date: null })
+}));
+
+jest.mock('../../../commands/adminBoundaries/assign', () => ({
+  resolveAdminCodes: jest.fn().mockResolvedValue({ governorate: 'SY11', district: 'SY1100', sub_district: 'SY110000' })
+}));
+
 jest.mock('../../../config/logger', () => ({
   info: jest.fn(),
   error: jest.fn()
@@ -16,13 +28,16 @@ jest.mock('../../../config/logger', () => ({
 
 const mongoose = require('mongoose');
 const { updateViolation, hasLocationChanged } = require('../../../commands/violations/update');
-const { geocodeLocationData } = require('../../../commands/violations/create');
+const { geocodeLocationForReview } = require('../../../commands/violations/create');
 const Violation = require('../../../models/Violation');
 const ErrorResponse = require('../../../utils/errorResponse');
+const { writeWithRevision } = require('../../../commands/violations/history');
+const { resolveTerritoryControl } = require('../../../commands/violations/territory');
+const { resolveAdminCodes } = require('../../../commands/adminBoundaries/assign');
 
-// Mock the geocodeLocationData function
+// Mock the geocodeLocationForReview function
 jest.mock('../../../commands/violations/create', () => ({
-  geocodeLocationData: jest.fn()
+  geocodeLocationForReview: jest.fn()
 }));
 
 describe('Violation Update Command', () => {
@@ -126,7 +141,7 @@ describe('Violation Update Command', () => {
           runValidators: true
         }
       );
-      expect(geocodeLocationData).not.toHaveBeenCalled();
+      expect(geocodeLocationForReview).not.toHaveBeenCalled();
     });
 
     it('should update violation with location change and geocoding', async () => {
@@ -148,7 +163,8 @@ describe('Violation Update Command', () => {
       };
 
       const newCoordinates = [38.5, 37.8];
-      geocodeLocationData.mockResolvedValue(newCoordinates);
+      const geocoding = { status: 'ok', quality: 0.9, source: 'nominatim', error: null, candidates: [] };
+      geocodeLocationForReview.mockResolvedValue({ coordinates: newCoordinates, geocoding });
 
       const updatedViolation = {
         ...existingViolation,
@@ -165,7 +181,7 @@ describe('Violation Update Command', () => {
       const result = await updateViolation(mockViolationId, updateData, mockUserId);
 
       expect(result).toEqual(updatedViolation);
-      expect(geocodeLocationData).toHaveBeenCalledWith(updateData.location);
+      expect(geocodeLocationForReview).toHaveBeenCalledWith(updateData.location);
       expect(Violation.findByIdAndUpdate).toHaveBeenCalledWith(
         mockViolationId,
         {
@@ -173,6 +189,9 @@ describe('Violation Update Command', () => {
             ...updateData.location,
             coordinates: newCoordinates
           },
+          geocoding,
+          territory_control: { controlled_by: 'sdf', territory: 'Raqqa', map: null, map_date: null },
+          admin_codes: { governorate: 'SY11', district: 'SY1100', sub_district: 'SY110000' },
           updated_by: mockUserId
         },
         {
@@ -180,6 +199,55 @@ describe('Violation Update Command', () => {
           runValidators: true
         }
       );
+      expect(resolveTerritoryControl).toHaveBeenCalledWith({
+        date: undefined,
+        location: { coordinates: newCoordinates }
+      });
+      expect(resolveAdminCodes).toHaveBeenCalledWith(newCoordinates);
+    });
+
+    it('should recompute territory control with the existing coordinates when the date changes', async () => {
+      const existingViolation = {
+        _id: mockViolationId,
+        date: new Date('2020-01-01'),
+        location: { name: { en: 'Raqqa' }, coordinates: [39.0, 35.95] }
+      };
+      Violation.findById = jest.fn().mockResolvedValue(existingViolation);
+      Violation.findByIdAndUpdate = jest.fn().mockResolvedValue(existingViolation);
+
+      await updateViolation(
+        mockViolationId,
+        { date: '2018-06-01', territory_control: { controlled_by: 'isis' } },
+        mockUserId
+      );
+
+      expect(resolveTerritoryControl).toHaveBeenCalledWith({
+        date: '2018-06-01',
+        location: { coordinates: [39.0, 35.95] }
+      });
+      expect(Violation.findByIdAndUpdate.mock.calls[0][1].territory_control.controlled_by).toBe('sdf');
+    });
+
+    it('should not accept territory control from input', async () => {
+      const existingViolation = { _id: mockViolationId, location: { name: { en: 'Location' } } };
+      Violation.findById = jest.fn().mockResolvedValue(existingViolation);
+      Violation.findByIdAndUpdate = jest.fn().mockResolvedValue(existingViolation);
+
+      await updateViolation(mockViolationId, { casualties: 2, territory_control: { controlled_by: 'isis' } }, mockUserId);
+
+      expect(resolveTerritoryControl).not.toHaveBeenCalled();
+      expect(Violation.findByIdAndUpdate.mock.calls[0][1]).toEqual({ casualties: 2, updated_by: mockUserId });
+    });
+
+    it('should not accept admin codes from input or recompute them without a location change', async () => {
+      const existingViolation = { _id: mockViolationId, location: { name: { en: 'Location' } } };
+      Violation.findById = jest.fn().mockResolvedValue(existingViolation);
+      Violation.findByIdAndUpdate = jest.fn().mockResolvedValue(existingViolation);
+
+      await updateViolation(mockViolationId, { casualties: 2, admin_codes: { governorate: 'SY01' } }, mockUserId);
+
+      expect(resolveAdminCodes).not.toHaveBeenCalled();
+      expect(Violation.findByIdAndUpdate.mock.calls[0][1]).toEqual({ casualties: 2, updated_by: mockUserId });
     });
 
     it('should throw 404 error when violation not found', async () => {
@@ -205,7 +273,7 @@ describe('Violation Update Command', () => {
       };
 
       Violation.findById = jest.fn().mockResolvedValue(existingViolation);
-      geocodeLocationData.mockRejectedValue(new Error('Geocoding failed'));
+      geocodeLocationForReview.mockRejectedValue(new Error('Geocoding failed'));
 
       await expect(updateViolation(mockViolationId, updateData, mockUserId))
         .rejects.toThrow(new ErrorResponse('Geocoding failed', 400));
@@ -223,5 +291,50 @@ describe('Violation Update Command', () => {
       await expect(updateViolation(mockViolationId, { description: 'New' }, mockUserId))
         .rejects.toThrow(new ErrorResponse(`Violation not found with id of ${mockViolationId}`, 404));
     });
+
+    it('should throw 404 error when violation is soft deleted', async () => {
+      Violation.findById = jest.fn().mockResolvedValue({ _id: mockViolationId, deleted_at: new Date() });
+      Violation.findByIdAndUpdate = jest.fn();
+
+      await expect(updateViolation(mockViolationId, { casualties: 3 }, mockUserId))
+        .rejects.toThrow(new ErrorResponse(`Violation not found with id of ${mockViolationId}`, 404));
+      expect(Violation.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not allow deletion fields to be set through an update', async () => {
+      const existingViolation = { _id: mockViolationId, location: { name: { en: 'Location' } } };
+      Violation.findById = jest.fn().mockResolvedValue(existingViolation);
+      Violation.findByIdAndUpdate = jest.fn().mockResolvedValue(existingViolation);
+
+      await updateViolation(mockViolationId, { casualties: 3, deleted_at: new Date(), deleted_by: mockUserId }, mockUserId);
+
+      expect(Violation.findByIdAndUpdate.mock.calls[0][1]).toEqual({
+        casualties: 3,
+        updated_by: mockUserId
+      });
+    });
+
+    it('should record an update revision with the given reason', async () => {
+      const existingViolation = {
+        _id: mockViolationId,
+        location: { name: { en: 'Location' } },
+        casualties: 1
+      };
+      const updatedViolation = { ...existingViolation, casualties: 3 };
+
+      Violation.findById = jest.fn().mockResolvedValue(existingViolation);
+      Violation.findByIdAndUpdate = jest.fn().mockResolvedValue(updatedViolation);
+
+      await updateViolation(mockViolationId, { casualties: 3 }, mockUserId, { reason: 'Corrected casualty count' });
+
+      expect(writeWithRevision).toHaveBeenCalledWith({
+        violationId: mockViolationId,
+        action: 'update',
+        before: existingViolation,
+        update: { casualties: 3, updated_by: mockUserId },
+        userId: mockUserId,
+        reason: 'Corrected casualty count'
+      }, expect.any(Function));
+    });
   });
-});
\ No newline at end of file
+});
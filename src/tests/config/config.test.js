@@ -27,9 +27,12 @@ describe('Config Module', () => {
     delete process.env.NODE_ENV;
     delete process.env.PORT;
     delete process.env.JWT_EXPIRES_IN;
-    delete process.env.JWT_COOKIE_EXPIRE;
+    delete process.env.REFRESH_TOKEN_EXPIRE_DAYS;
     delete process.env.RATE_LIMIT_WINDOW_MS;
     delete process.env.RATE_LIMIT_MAX;
+    delete process.env.VIOLATION_TRASH_RETENTION_DAYS;
+    delete process.env.EXPORT_SYNC_LIMIT;
+    delete process.env.IMPORT_MAX_FILE_SIZE_MB;
     
     // Load config
     config = require('../../config/config');
@@ -37,10 +40,13 @@ describe('Config Module', () => {
     // Assert default values
     expect(config.env).toBe('development');
     expect(config.port).toBe(5001);
-    expect(config.jwtExpiresIn).toBe('30d');
-    expect(config.jwtCookieExpire).toBe(30);
+    expect(config.jwtExpiresIn).toBe('15m');
+    expect(config.refreshTokenExpireDays).toBe(30);
     expect(config.rateLimit.windowMs).toBe(15 * 60 * 1000); // 15 minutes
     expect(config.rateLimit.max).toBe(500); // Test environment default
+    expect(config.violationTrashRetentionDays).toBe(30);
+    expect(config.exportSyncLimit).toBe(5000);
+    expect(config.importMaxFileSizeMb).toBe(10);
   });
   
   it('should use environment variables when set', () => {
@@ -48,7 +54,7 @@ describe('Config Module', () => {
     process.env.NODE_ENV = 'test';
     process.env.PORT = '4000';
     process.env.JWT_EXPIRES_IN = '7d';
-    process.env.JWT_COOKIE_EXPIRE = '7';
+    process.env.REFRESH_TOKEN_EXPIRE_DAYS = '7';
     process.env.RATE_LIMIT_WINDOW_MS = '600000'; // 10 minutes
     process.env.RATE_LIMIT_MAX = '50';
     
@@ -59,11 +65,24 @@ describe('Config Module', () => {
     expect(config.env).toBe('test');
     expect(parseInt(config.port)).toBe(4000);
     expect(config.jwtExpiresIn).toBe('7d');
-    expect(config.jwtCookieExpire).toBe(7);
+    expect(config.refreshTokenExpireDays).toBe(7);
     expect(config.rateLimit.windowMs).toBe(600000);
     expect(config.rateLimit.max).toBe(500);
   });
   
+  it('should accept 0 as the geocoding review threshold', () => {
+    delete process.env.GEOCODING_REVIEW_MIN_QUALITY;
+    expect(require('../../config/config').geocoding.reviewMinQuality).toBe(0.7);
+
+    jest.resetModules();
+    process.env.GEOCODING_REVIEW_MIN_QUALITY = '0';
+    expect(require('../../config/config').geocoding.reviewMinQuality).toBe(0);
+
+    jest.resetModules();
+    process.env.GEOCODING_REVIEW_MIN_QUALITY = 'high';
+    expect(require('../../config/config').geocoding.reviewMinQuality).toBe(0.7);
+  });
+  
   it('should load environment-specific configuration when available', () => {
     // Mock fs.existsSync to simulate .env.test file exists
     jest.spyOn(fs, 'existsSync').mockImplementation((path) => {
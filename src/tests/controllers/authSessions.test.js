@@ -0,0 +1,110 @@
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+
+// Sessions are stored by the auth commands; the cookie handling is what is tested here
+jest.mock('../../commands/auth', () => ({
+  issueSession: jest.fn(),
+  rotateRefreshToken: jest.fn(),
+  revokeRefreshToken: jest.fn(),
+  revokeAccessToken: jest.fn(),
+  isAccessTokenRevoked: jest.fn(),
+  revokeUserSessions: jest.fn()
+}));
+
+jest.mock('../../models/User', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn()
+}));
+
+const config = require('../../config/config');
+const authRoutes = require('../../routes/authRoutes');
+const errorHandler = require('../../middleware/error');
+const User = require('../../models/User');
+const ErrorResponse = require('../../utils/errorResponse');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  isAccessTokenRevoked
+} = require('../../commands/auth');
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+describe('Auth session cookies', () => {
+  const user = {
+    _id: 'user-id',
+    id: 'user-id',
+    name: 'Test User',
+    role: 'user',
+    tokenVersion: 0,
+    matchPassword: jest.fn().mockResolvedValue(true)
+  };
+
+  const session = (jti, refreshToken) => ({
+    token: jwt.sign({ id: 'user-id', ver: 0 }, config.jwtSecret, { expiresIn: '15m', jwtid: jti }),
+    tokenExpires: new Date(Date.now() + 15 * 60 * 1000),
+    refreshToken,
+    refreshTokenExpires: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+
+  beforeAll(() => {
+    config.jwtSecret = config.jwtSecret || 'test-secret';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    User.findById.mockResolvedValue(user);
+    isAccessTokenRevoked.mockResolvedValue(false);
+    issueSession.mockResolvedValue(session('access-1', 'refresh-1'));
+    rotateRefreshToken.mockImplementation(async (token) => {
+      if (!token) throw new ErrorResponse('Refresh token is required', 401);
+      return { user, ...session('access-2', 'refresh-2') };
+    });
+  });
+
+  it('should log in, authenticate, refresh and log out with cookies only', async () => {
+    const agent = request.agent(app);
+
+    const login = await agent
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'password123' });
+
+    expect(login.status).toBe(200);
+    expect(login.headers['set-cookie']).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^token=.+; Path=\/;.*HttpOnly/),
+      expect.stringMatching(/^refreshToken=refresh-1; Path=\/api\/auth;.*HttpOnly/)
+    ]));
+
+    const me = await agent.get('/api/auth/me');
+    expect(me.status).toBe(200);
+    expect(isAccessTokenRevoked).toHaveBeenCalledWith('access-1');
+
+    const refresh = await agent.post('/api/auth/refresh');
+    expect(refresh.status).toBe(200);
+    expect(rotateRefreshToken).toHaveBeenCalledWith('refresh-1', expect.any(Object));
+
+    const logout = await agent.get('/api/auth/logout');
+    expect(logout.status).toBe(200);
+    expect(revokeRefreshToken).toHaveBeenCalledWith('refresh-2', 'logout');
+    expect(revokeAccessToken).toHaveBeenCalledWith(expect.objectContaining({ jti: 'access-2' }), 'logout');
+    expect(logout.headers['set-cookie']).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^token=none;/),
+      expect.stringMatching(/^refreshToken=none; Path=\/api\/auth;/)
+    ]));
+  });
+
+  it('should answer 401 to a refresh without a body or cookie', async () => {
+    const res = await request(app).post('/api/auth/refresh');
+
+    expect(res.status).toBe(401);
+    expect(rotateRefreshToken).toHaveBeenCalledWith(undefined, expect.any(Object));
+  });
+});
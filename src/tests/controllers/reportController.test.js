@@ -6,6 +6,8 @@ const ErrorResponse = require('../../utils/errorResponse');
 const request = require('supertest');
 const express = require('express');
 const Report = require('../../models/Report');
+const TelegramChannelState = require('../../models/TelegramChannelState');
+const Channel = require('../../models/Channel');
 const User = require('../../models/User');
 const { connectDB, closeDB } = require('../setup');
 const jwt = require('jsonwebtoken');
@@ -33,7 +35,8 @@ jest.mock('../../middleware/auth', () => ({
 // Mock validators
 jest.mock('../../middleware/validators', () => ({
   validateRequest: (req, res, next) => next(),
-  idParamRules: (req, res, next) => next()
+  idParamRules: (req, res, next) => next(),
+  telegramBackfillRules: (req, res, next) => next()
 }));
 
 // Create a simple Express app for testing instead of importing the full server
@@ -95,8 +98,8 @@ describe('Report Controller Tests', () => {
     });
 
     // Generate tokens
-    adminToken = jwt.sign({ id: adminUser._id }, process.env.JWT_SECRET || 'test-secret', { expiresIn: '30d' });
-    editorToken = jwt.sign({ id: editorUser._id }, process.env.JWT_SECRET || 'test-secret', { expiresIn: '30d' });
+    adminToken = jwt.sign({ id: adminUser._id, ver: 0 }, process.env.JWT_SECRET || 'test-secret', { expiresIn: '15m', jwtid: 'admin-token' });
+    editorToken = jwt.sign({ id: editorUser._id, ver: 0 }, process.env.JWT_SECRET || 'test-secret', { expiresIn: '15m', jwtid: 'editor-token' });
     
     // Create test app with the tokens and users
     app = createTestApp(adminToken, adminUser, editorToken, editorUser);
@@ -667,6 +670,24 @@ describe('Report Controller Tests', () => {
       expect(res.body.data.every(report => !report.parsedByLLM && report.status === 'new')).toBe(true);
     });
 
+    it('should list the reports of high priority channels first', async () => {
+      await Channel.create({ name: 'urgentchannel', url: 'https://t.me/urgentchannel', priority: 'high' });
+      await Report.create({
+        source_url: 'https://t.me/urgentchannel/1',
+        text: 'This is a comprehensive report from a high priority channel with adequate length',
+        date: new Date(),
+        metadata: { channel: 'urgentchannel', messageId: '1', scrapedAt: new Date(Date.now() - 60 * 60 * 1000) }
+      });
+
+      const res = await request(app)
+        .get('/api/reports/ready-for-processing')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data).toHaveLength(3);
+      expect(res.body.data[0].metadata.channel).toBe('urgentchannel');
+    });
+
     it('should support limit parameter', async () => {
       const res = await request(app)
         .get('/api/reports/ready-for-processing?limit=1')
@@ -686,6 +707,31 @@ describe('Report Controller Tests', () => {
     });
   });
 
+  describe('POST /api/reports/processing/trigger', () => {
+    it('should queue the reports ready for processing as admin', async () => {
+      queueService.queueReportsForParsing.mockResolvedValueOnce({ queued: 2, inFlight: 2, failed: 0 });
+
+      const res = await request(app)
+        .post('/api/reports/processing/trigger')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.data).toEqual({ queued: 2, inFlight: 2, failed: 0 });
+      expect(queueService.queueReportsForParsing).toHaveBeenCalled();
+    });
+
+    it('should deny access to non-admin users', async () => {
+      const res = await request(app)
+        .post('/api/reports/processing/trigger')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(403);
+
+      expect(res.body.success).toBe(false);
+      expect(queueService.queueReportsForParsing).not.toHaveBeenCalled();
+    });
+  });
+
   describe('PUT /api/reports/:id/mark-processed', () => {
     let testReport;
     let testCounter = 0;
@@ -797,4 +843,63 @@ describe('Report Controller Tests', () => {
       expect(res.body.success).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('GET /api/reports/scraping/channels', () => {
+    it('should return the scraping state of each channel', async () => {
+      await TelegramChannelState.create({ channel: 'SNN', lastMessageId: 4821, consecutiveFailures: 0 });
+      await TelegramChannelState.recordFailure('NEDAAPOST', 'HTTP 429 Error');
+
+      const res = await request(app)
+        .get('/api/reports/scraping/channels')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.count).toBe(2);
+      expect(res.body.data[0]).toMatchObject({ channel: 'NEDAAPOST', consecutiveFailures: 1, lastError: 'HTTP 429 Error' });
+      expect(res.body.data[1]).toMatchObject({ channel: 'SNN', lastMessageId: 4821 });
+    });
+  });
+
+  describe('POST /api/reports/scraping/backfill', () => {
+    beforeEach(async () => {
+      await Channel.deleteMany({});
+      await Channel.create({ name: 'SNN', url: 'https://t.me/ShaamNetwork' });
+    });
+
+    it('should queue a backfill of a channel', async () => {
+      queueService.addTelegramBackfillJob.mockResolvedValue({ id: '17' });
+
+      const res = await request(app)
+        .post('/api/reports/scraping/backfill')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ channel: 'SNN', from: '2024-03-01', to: '2024-03-05' })
+        .expect(202);
+
+      expect(res.body.data).toMatchObject({ jobId: '17', channel: 'SNN' });
+      expect(queueService.addTelegramBackfillJob).toHaveBeenCalledWith({
+        channel: 'SNN',
+        from: '2024-03-01T00:00:00.000Z',
+        to: '2024-03-05T00:00:00.000Z'
+      });
+    });
+
+    it('should return 404 for an unknown channel', async () => {
+      const res = await request(app)
+        .post('/api/reports/scraping/backfill')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ channel: 'unknown', from: '2024-03-01' })
+        .expect(404);
+
+      expect(res.body.success).toBe(false);
+      expect(queueService.addTelegramBackfillJob).not.toHaveBeenCalled();
+    });
+
+    it('should deny access to non-admin users', async () => {
+      await request(app)
+        .post('/api/reports/scraping/backfill')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ channel: 'SNN', from: '2024-03-01' })
+        .expect(403);
+    });
+  });
+});
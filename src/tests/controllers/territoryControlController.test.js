@@ -11,6 +11,10 @@ jest.mock('../../config/logger', () => ({
   error: jest.fn()
 }));
 
+jest.mock('../../services/queueService', () => ({
+  addTerritoryRefreshJob: jest.fn().mockResolvedValue({ id: 'refresh-job' })
+}));
+
 describe('Territory Control Controller', () => {
   let req, res, next;
   let testUserId, adminUserId;
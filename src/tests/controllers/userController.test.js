@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 const User = require('../../models/User');
 const userController = require('../../controllers/userController');
+const { revokeRefreshTokensForUser } = require('../../commands/auth');
+
+jest.mock('../../commands/auth', () => ({
+  revokeRefreshTokensForUser: jest.fn()
+}));
 
 describe('User Controller', () => {
   let req;
@@ -111,38 +116,84 @@ describe('User Controller', () => {
   });
 
   describe('updateUser', () => {
+    const mockUserDocument = (data) => {
+      const user = {
+        ...data,
+        set: jest.fn(updates => Object.assign(user, updates)),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      return user;
+    };
+
+    beforeEach(() => {
+      revokeRefreshTokensForUser.mockClear();
+    });
+
     it('should update an existing user', async () => {
       const userId = new mongoose.Types.ObjectId();
       req.params.id = userId;
       req.body = { name: 'Updated Name' };
 
-      const mockUpdatedUser = {
-        _id: userId,
-        name: 'Updated Name'
-      };
+      const mockUser = mockUserDocument({ _id: userId, name: 'User', role: 'user', password: 'hash', tokenVersion: 0 });
 
-      User.findByIdAndUpdate = jest.fn().mockReturnValue({
-        select: jest.fn().mockResolvedValue(mockUpdatedUser)
+      User.findById = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue(mockUser)
       });
 
       await userController.updateUser(req, res, next);
 
-      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
-        userId,
-        req.body,
-        expect.any(Object)
-      );
+      expect(User.findById).toHaveBeenCalledWith(userId);
+      expect(mockUser.set).toHaveBeenCalledWith({ name: 'Updated Name' });
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(mockUser.tokenVersion).toBe(0);
+      expect(mockUser.password).toBeUndefined();
+      expect(revokeRefreshTokensForUser).not.toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
-        data: mockUpdatedUser
+        data: mockUser
       });
     });
 
+    it('should end the sessions of a user whose role changes', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      req.params.id = userId;
+      req.body = { role: 'editor', tokenVersion: 0 };
+
+      const mockUser = mockUserDocument({ _id: userId, role: 'user', tokenVersion: 3 });
+
+      User.findById = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue(mockUser)
+      });
+
+      await userController.updateUser(req, res, next);
+
+      expect(mockUser.set).toHaveBeenCalledWith({ role: 'editor' });
+      expect(mockUser.tokenVersion).toBe(4);
+      expect(revokeRefreshTokensForUser).toHaveBeenCalledWith(userId, 'role_changed');
+    });
+
+    it('should end the sessions of a user whose password changes', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      req.params.id = userId;
+      req.body = { password: 'new-password' };
+
+      const mockUser = mockUserDocument({ _id: userId, role: 'user', tokenVersion: 0 });
+
+      User.findById = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue(mockUser)
+      });
+
+      await userController.updateUser(req, res, next);
+
+      expect(mockUser.tokenVersion).toBe(1);
+      expect(revokeRefreshTokensForUser).toHaveBeenCalledWith(userId, 'password_changed');
+    });
+
     it('should return 404 when updating non-existent user', async () => {
       req.params.id = new mongoose.Types.ObjectId();
 
-      User.findByIdAndUpdate = jest.fn().mockReturnValue({
+      User.findById = jest.fn().mockReturnValue({
         select: jest.fn().mockResolvedValue(null)
       });
 
@@ -139,7 +139,7 @@ jest.mock('../../models/Violation', () => {
         ]);
       } else if (pipeline[0].$group && pipeline[0].$group._id === '$location.administrative_division') {
         return Promise.resolve([
-          { _id: 'Test Division', count: 3 }
+          { _id: 'SY02', name: { en: 'Aleppo', ar: 'حلب' }, count: 3 }
         ]);
       } else if (pipeline[0].$project && pipeline[0].$project.year) {
         return Promise.resolve([
@@ -222,6 +222,16 @@ jest.mock('../../models/User', () => {
   };
 });
 
+// Mock Victim model (looked up when filtering violations by victim)
+jest.mock('../../models/Victim', () => ({
+  findById: jest.fn().mockImplementation((id) => ({
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(
+      id === '5f7d327c3642214df4d0e0a1' ? { _id: id, restricted: true } : { _id: id, restricted: false }
+    )
+  }))
+}));
+
 // Mock Geocoder utility
 jest.mock('../../utils/geocoder', () => ({
   geocodeLocation: jest.fn().mockResolvedValue([
@@ -294,6 +304,44 @@ jest.mock('../../commands/violations', () => ({
       hasPrevPage: false
     }
   }),
+  searchViolations: jest.fn().mockResolvedValue({
+    violations: [{ ...mockViolation, score: 7.5, highlights: [{ field: 'location.name.en', snippet: '<mark>Aleppo</mark>' }] }],
+    totalDocs: 1,
+    pagination: {
+      page: 1,
+      limit: 10,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: false
+    }
+  }),
+  getViolationMap: jest.fn().mockImplementation(async (queryParams, { bbox, zoom }) => ({
+    zoom,
+    bbox,
+    clustered: true,
+    truncated: false,
+    features: {
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [36.7, 35.9] },
+        properties: { cluster: true, count: 4, casualties: 9, types: { AIRSTRIKE: 3, SHELLING: 1 } }
+      }]
+    }
+  })),
+  getViolationTile: jest.fn().mockResolvedValue(Buffer.from([0x1a, 0x00])),
+  getViolationsInArea: jest.fn().mockImplementation(async (area) => ({
+    violations: [mockViolation],
+    totalDocs: 1,
+    pagination: {
+      page: 1,
+      limit: 10,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: false
+    },
+    area: { mode: area.territory ? 'territory' : area.geometry.type === 'LineString' ? 'corridor' : 'polygon' }
+  })),
   getViolationsInRadius: jest.fn().mockResolvedValue([mockViolation]),
   getViolationById: jest.fn().mockImplementation((id) => {
     if (id === violationId) {
@@ -301,6 +349,12 @@ jest.mock('../../commands/violations', () => ({
     }
     return Promise.resolve(null);
   }),
+  resolveMergedViolationId: jest.fn().mockImplementation((id) => {
+    if (id === '5f7d327c3642214df4d0e0fd') {
+      return Promise.resolve(violationId);
+    }
+    return Promise.resolve(null);
+  }),
   // Update operations
   updateViolation: jest.fn().mockImplementation((id, data, userId) => {
     if (id === violationId) {
@@ -317,8 +371,32 @@ jest.mock('../../commands/violations', () => ({
     const ErrorResponse = require('../../utils/errorResponse');
     throw new ErrorResponse(`Violation not found with id of ${id}`, 404);
   }),
+  restoreViolation: jest.fn().mockImplementation((id) => {
+    if (id === violationId) {
+      return Promise.resolve({ ...mockViolation, deleted_at: null });
+    }
+    const ErrorResponse = require('../../utils/errorResponse');
+    throw new ErrorResponse('Violation is not deleted', 400);
+  }),
+  getDeletedViolations: jest.fn().mockResolvedValue({
+    violations: [{ ...mockViolation, deleted_at: '2024-01-01T00:00:00.000Z' }],
+    totalDocs: 1,
+    pagination: {
+      page: 1,
+      limit: 10,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: false
+    }
+  }),
   // Stats operations
-  getViolationStats: jest.fn().mockResolvedValue({}),
+  getViolationStats: jest.fn().mockResolvedValue({
+    totals: { count: 3, casualties: 12, injured_count: 4, detained_count: 0, kidnapped_count: 1, displaced_count: 0 },
+    groupBy: ['type'],
+    interval: 'month',
+    groups: [{ type: 'AIRSTRIKE', count: 3, casualties: 12, injured_count: 4, detained_count: 0, kidnapped_count: 1, displaced_count: 0 }],
+    timeline: [{ period: '2023-05-01T00:00:00.000Z', count: 3, casualties: 12, injured_count: 4, detained_count: 0, kidnapped_count: 1, displaced_count: 0 }]
+  }),
   getViolationsByType: jest.fn().mockResolvedValue([
     { _id: 'AIRSTRIKE', count: 2 },
     { _id: 'ARTILLERY', count: 1 }
@@ -329,9 +407,158 @@ jest.mock('../../commands/violations', () => ({
   getViolationsByYear: jest.fn().mockResolvedValue([
     { _id: 2023, count: 3 }
   ]),
-  getViolationsTotal: jest.fn().mockResolvedValue(5)
+  getViolationsTotal: jest.fn().mockResolvedValue(5),
+  // Review operations
+  getReviewQueue: jest.fn().mockResolvedValue({
+    violations: [{ ...mockViolation, review_status: 'pending_review' }],
+    totalDocs: 1,
+    pagination: {
+      page: 1,
+      limit: 10,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: false
+    }
+  }),
+  submitForReview: jest.fn().mockResolvedValue({ ...mockViolation, review_status: 'pending_review' }),
+  approveViolation: jest.fn().mockResolvedValue({ ...mockViolation, review_status: 'published' }),
+  rejectViolation: jest.fn().mockImplementation((id, userId, options) => {
+    if (!options.notes) {
+      const ErrorResponse = require('../../utils/errorResponse');
+      throw new ErrorResponse('Review notes are required when rejecting a violation', 400);
+    }
+    return Promise.resolve({ ...mockViolation, review_status: 'rejected' });
+  }),
+  // History operations
+  getViolationHistory: jest.fn().mockResolvedValue({
+    revisions: [{ revision_number: 1, action: 'create', changes: [] }],
+    totalDocs: 1,
+    pagination: {
+      page: 1,
+      limit: 20,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: false
+    }
+  }),
+  revertViolation: jest.fn().mockImplementation((id, revisionId) => {
+    if (revisionId === '5f7d327c3642214df4d0e0f9') {
+      return Promise.resolve(mockViolation);
+    }
+    const ErrorResponse = require('../../utils/errorResponse');
+    throw new ErrorResponse(`Revision not found with id of ${revisionId}`, 404);
+  }),
+  // Merge operations
+  mergeViolationRecords: jest.fn().mockImplementation((targetId, sourceId) => {
+    if (sourceId === targetId) {
+      const ErrorResponse = require('../../utils/errorResponse');
+      throw new ErrorResponse('A violation cannot be merged into itself', 400);
+    }
+    return Promise.resolve({ violation: mockViolation, merge: { _id: 'merge-id', status: 'active' } });
+  }),
+  unmergeViolation: jest.fn().mockImplementation((id, userId, options) => {
+    if (!options.force) {
+      const ErrorResponse = require('../../utils/errorResponse');
+      throw new ErrorResponse(`Violation ${violationId} has been edited since the merge. Pass force to discard those edits`, 409);
+    }
+    return Promise.resolve({ source: { _id: id }, target: mockViolation });
+  }),
+  // Duplicate candidate operations
+  getDuplicateCandidates: jest.fn().mockResolvedValue({
+    candidates: [{ _id: '5f7d327c3642214df4d0e0fb', similarity: 0.92, status: 'pending' }],
+    totalDocs: 1,
+    pagination: {
+      page: 1,
+      limit: 10,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: false
+    }
+  }),
+  getDuplicateCandidateById: jest.fn().mockImplementation((id) => {
+    if (id === '5f7d327c3642214df4d0e0fb') {
+      return Promise.resolve({ _id: id, similarity: 0.92, status: 'pending' });
+    }
+    return Promise.resolve(null);
+  }),
+  scanForDuplicates: jest.fn().mockResolvedValue([{ _id: '5f7d327c3642214df4d0e0fb', status: 'pending' }]),
+  confirmDuplicateCandidate: jest.fn().mockImplementation((id) => {
+    if (id === '5f7d327c3642214df4d0e0fb') {
+      return Promise.resolve({ candidate: { _id: id, status: 'confirmed' }, violation: mockViolation });
+    }
+    const ErrorResponse = require('../../utils/errorResponse');
+    throw new ErrorResponse('Duplicate candidate has already been dismissed', 400);
+  }),
+  dismissDuplicateCandidate: jest.fn().mockResolvedValue({ _id: '5f7d327c3642214df4d0e0fb', status: 'dismissed' }),
+  // Export operations
+  EXPORT_CONTENT_TYPES: {
+    csv: 'text/csv; charset=utf-8',
+    geojson: 'application/geo+json',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  },
+  buildExportFileName: jest.fn().mockImplementation((format) => `violations-2024-01-01.${format}`),
+  countViolationsForExport: jest.fn().mockResolvedValue(1),
+  exportViolations: jest.fn().mockImplementation(async (format, queryParams, stream) => {
+    stream.end('id,type\r\n5f7d327c3642214df4d0e0f8,AIRSTRIKE\r\n');
+    return { exportedViolations: 1, exportedRows: 1 };
+  }),
+  createExportJob: jest.fn().mockImplementation(async (format) => ({
+    _id: '5f7d327c3642214df4d0e0fc',
+    format,
+    status: 'queued'
+  })),
+  getExportJob: jest.fn().mockImplementation((id) => {
+    if (id === '5f7d327c3642214df4d0e0fc') {
+      return Promise.resolve({
+        _id: id,
+        format: 'csv',
+        status: 'processing',
+        progress: 40,
+        requestedBy: { _id: '5f7d327c3642214df4d0e0f6', name: 'Editor' }
+      });
+    }
+    return Promise.resolve(null);
+  }),
+  // Import operations
+  previewImport: jest.fn().mockResolvedValue({
+    summary: { totalRows: 2, totalRecords: 2, valid: 1, invalid: 1, duplicates: 0 },
+    records: [
+      { rows: [2], status: 'valid', errors: [], duplicates: [] },
+      { rows: [3], status: 'invalid', errors: ['Column "Date": "yesterday" is not a valid date'], duplicates: [] }
+    ]
+  }),
+  createImportJob: jest.fn().mockResolvedValue({
+    _id: '5f7d327c3642214df4d0e0fd',
+    status: 'queued',
+    results: { totalRows: 2, totalRecords: 2 }
+  }),
+  getImportJob: jest.fn().mockImplementation((id) => {
+    if (id === '5f7d327c3642214df4d0e0fd') {
+      return Promise.resolve({
+        _id: id,
+        profile: { name: 'Partner sheet' },
+        fileName: 'partner.csv',
+        status: 'completed',
+        progress: 100,
+        results: { totalRecords: 2, createdCount: 1, failedCount: 1 },
+        requestedBy: { _id: '5f7d327c3642214df4d0e0f6', name: 'Editor' }
+      });
+    }
+    return Promise.resolve(null);
+  }),
+  getImportProfiles: jest.fn().mockResolvedValue({
+    profiles: [{ _id: '5f7d327c3642214df4d0e0fe', name: 'Partner sheet' }],
+    totalDocs: 1,
+    pagination: { page: 1, limit: 20, totalPages: 1, totalResults: 1 }
+  }),
+  getImportProfileById: jest.fn().mockResolvedValue({ _id: '5f7d327c3642214df4d0e0fe', name: 'Partner sheet' }),
+  createImportProfile: jest.fn().mockImplementation(async (data) => ({ _id: '5f7d327c3642214df4d0e0fe', ...data })),
+  updateImportProfile: jest.fn().mockImplementation(async (id, data) => ({ _id: id, ...data })),
+  deleteImportProfile: jest.fn().mockResolvedValue({ _id: '5f7d327c3642214df4d0e0fe' })
 }));
 
+jest.mock('../../services/queueService');
+
 // Mock JWT verification
 jest.mock('jsonwebtoken', () => ({
   sign: jest.fn().mockImplementation((payload) => {
@@ -435,8 +662,149 @@ describe('Violations API', () => {
         expect(res.body.data[0].type).toBe('AIRSTRIKE');
       }
     });
+
+    it('should filter violations by a victim', async () => {
+      const { getViolations } = require('../../commands/violations');
+
+      const res = await request(app).get('/api/violations?victim=5f7d327c3642214df4d0e0a2');
+
+      expect(res.status).toBe(200);
+      expect(getViolations).toHaveBeenLastCalledWith(
+        expect.objectContaining({ victim: '5f7d327c3642214df4d0e0a2' }),
+        expect.anything()
+      );
+    });
+
+    it('should not list the violations of a restricted victim publicly', async () => {
+      const res = await request(app).get('/api/violations?victim=5f7d327c3642214df4d0e0a1');
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
   });
   
+  describe('GET /api/violations/search', () => {
+    it('should return ranked results with highlights', async () => {
+      const { searchViolations } = require('../../commands/violations');
+
+      const res = await request(app).get('/api/violations/search?q=aleppo&type=AIRSTRIKE&page=2');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data[0].highlights[0].snippet).toBe('<mark>Aleppo</mark>');
+      expect(searchViolations).toHaveBeenCalledWith(
+        expect.objectContaining({ q: 'aleppo', type: 'AIRSTRIKE' }),
+        { page: 2, limit: 10 }
+      );
+    });
+
+    it('should require search text', async () => {
+      const res = await request(app).get('/api/violations/search?q=%20');
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/violations/map', () => {
+    it('should return clusters for the view with the list filters', async () => {
+      const { getViolationMap } = require('../../commands/violations');
+
+      const res = await request(app).get('/api/violations/map?bbox=35.5,32.3,42.4,37.3&zoom=6&type=AIRSTRIKE');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ count: 1, zoom: 6, clustered: true, truncated: false });
+      expect(res.body.data.features[0].properties.types).toEqual({ AIRSTRIKE: 3, SHELLING: 1 });
+      expect(getViolationMap).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'AIRSTRIKE' }),
+        { bbox: [35.5, 32.3, 42.4, 37.3], zoom: 6 }
+      );
+    });
+
+    it('should reject an invalid bounding box or zoom', async () => {
+      const badBBox = await request(app).get('/api/violations/map?bbox=42,32,35,37&zoom=6');
+      const badZoom = await request(app).get('/api/violations/map?bbox=35,32,42,37&zoom=30');
+
+      expect(badBBox.status).toBe(400);
+      expect(badZoom.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/violations/tiles/:z/:x/:y.mvt', () => {
+    it('should return an encoded vector tile', async () => {
+      const { getViolationTile } = require('../../commands/violations');
+
+      const res = await request(app).get('/api/violations/tiles/7/77/50.mvt?type=SHELLING');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/vnd.mapbox-vector-tile');
+      expect(getViolationTile).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'SHELLING' }),
+        { z: 7, x: 77, y: 50 }
+      );
+    });
+
+    it('should reject a tile outside the zoom level', async () => {
+      const res = await request(app).get('/api/violations/tiles/2/4/0.mvt');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/violations/spatial', () => {
+    const polygon = {
+      type: 'Polygon',
+      coordinates: [[[36.0, 35.0], [38.0, 35.0], [38.0, 37.0], [36.0, 37.0], [36.0, 35.0]]]
+    };
+
+    it('should return violations inside a polygon with the list filters', async () => {
+      const { getViolationsInArea } = require('../../commands/violations');
+
+      const res = await request(app)
+        .post('/api/violations/spatial?type=AIRSTRIKE&page=2')
+        .send({ geometry: polygon });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, count: 1, area: { mode: 'polygon' } });
+      expect(getViolationsInArea).toHaveBeenCalledWith(
+        { geometry: polygon },
+        expect.objectContaining({ type: 'AIRSTRIKE' }),
+        { page: 2, limit: 10, sort: '-date' }
+      );
+    });
+
+    it('should accept a route corridor and a territory', async () => {
+      const corridor = await request(app)
+        .post('/api/violations/spatial')
+        .send({ geometry: { type: 'LineString', coordinates: [[36.2, 33.5], [36.7, 34.7]] }, distance: 5 });
+      const territory = await request(app)
+        .post('/api/violations/spatial')
+        .send({ territory: { date: '2023-05-01', feature: 'Idlib' } });
+
+      expect(corridor.status).toBe(200);
+      expect(corridor.body.area.mode).toBe('corridor');
+      expect(territory.status).toBe(200);
+      expect(territory.body.area.mode).toBe('territory');
+    });
+
+    it('should reject open polygons, corridors without a distance and ambiguous areas', async () => {
+      const open = await request(app)
+        .post('/api/violations/spatial')
+        .send({ geometry: { type: 'Polygon', coordinates: [polygon.coordinates[0].slice(0, 4)] } });
+      const noDistance = await request(app)
+        .post('/api/violations/spatial')
+        .send({ geometry: { type: 'LineString', coordinates: [[36.2, 33.5], [36.7, 34.7]] } });
+      const both = await request(app)
+        .post('/api/violations/spatial')
+        .send({ geometry: polygon, territory: { date: '2023-05-01', feature: 0 } });
+      const none = await request(app).post('/api/violations/spatial').send({});
+
+      expect(open.status).toBe(400);
+      expect(noDistance.status).toBe(400);
+      expect(both.status).toBe(400);
+      expect(none.status).toBe(400);
+    });
+  });
+
   describe('GET /api/violations/:id', () => {
     it('should return a single violation', async () => {
       const res = await request(app).get(`/api/violations/${violationId}`);
@@ -452,6 +820,14 @@ describe('Violations API', () => {
       expect(res.status).toBe(404);
       expect(res.body.success).toBe(false);
     });
+
+    it('should redirect a merged violation to the surviving record', async () => {
+      const res = await request(app).get('/api/violations/5f7d327c3642214df4d0e0fd');
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe(`/api/violations/${violationId}`);
+      expect(res.body.mergedInto).toBe(violationId);
+    });
   });
   
   describe('POST /api/violations', () => {
@@ -570,6 +946,75 @@ describe('Violations API', () => {
       expect(res.body.duplicateInfo.similarity).toBe(0.95);
       expect(res.body.duplicateInfo.exactMatch).toBe(false);
     });
+
+    it('should keep a near-duplicate as a pending candidate instead of merging it', async () => {
+      const { createSingleViolation } = require('../../commands/violations');
+      createSingleViolation.mockResolvedValueOnce({
+        violation: { ...mockViolation, _id: '5f7d327c3642214df4d0e0fa' },
+        wasMerged: false,
+        duplicateCandidates: [{
+          _id: 'candidate-id',
+          violation: '5f7d327c3642214df4d0e0fa',
+          duplicate_of: mockViolation._id,
+          similarity: 0.8,
+          status: 'pending'
+        }]
+      });
+
+      const nearDuplicate = {
+        type: 'AIRSTRIKE',
+        date: '2023-06-15',
+        location: {
+          name: { en: 'Test Location', ar: 'موقع اختبار' },
+          administrative_division: { en: 'Test Division', ar: 'قسم اختبار' }
+        },
+        description: {
+          en: 'Similar violation description that meets the minimum length requirement.',
+          ar: 'وصف انتهاك مماثل'
+        },
+        perpetrator_affiliation: 'assad_regime',
+        casualties: 3
+      };
+
+      const res = await request(app)
+        .post('/api/violations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(nearDuplicate);
+
+      expect(res.status).toBe(201);
+      expect(createSingleViolation.mock.calls[createSingleViolation.mock.calls.length - 1][2])
+        .toMatchObject({ mergeDuplicates: false, recordCandidates: true });
+      expect(res.body.merged).toBe(false);
+      expect(res.body.duplicateCandidates).toEqual([
+        expect.objectContaining({ duplicate_of: mockViolation._id, status: 'pending' })
+      ]);
+    });
+
+    it('should keep the status of errors raised by the create command', async () => {
+      const { createSingleViolation } = require('../../commands/violations');
+      const ErrorResponse = require('../../utils/errorResponse');
+      createSingleViolation.mockRejectedValueOnce(new ErrorResponse('Failed to record revision: write timeout', 500));
+
+      const res = await request(app)
+        .post('/api/violations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          type: 'AIRSTRIKE',
+          date: '2023-06-15',
+          location: {
+            name: { en: 'Test Location', ar: 'موقع اختبار' },
+            administrative_division: { en: 'Test Division', ar: 'قسم اختبار' }
+          },
+          description: {
+            en: 'Violation description that meets the minimum length requirement.',
+            ar: 'وصف الانتهاك'
+          },
+          perpetrator_affiliation: 'assad_regime'
+        });
+
+      expect(res.status).toBe(500);
+      expect(res.body.success).toBe(false);
+    });
     
     it('should require authentication', async () => {
       const res = await request(app)
@@ -679,6 +1124,506 @@ describe('Violations API', () => {
     });
   });
   
+  describe('GET /api/violations/trash', () => {
+    it('should list soft deleted violations for admins', async () => {
+      const res = await request(app)
+        .get('/api/violations/trash')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0]).toHaveProperty('deleted_at');
+    });
+
+    it('should not allow editors to view the trash', async () => {
+      const res = await request(app)
+        .get('/api/violations/trash')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/violations/:id/restore', () => {
+    it('should restore a deleted violation', async () => {
+      const res = await request(app)
+        .post(`/api/violations/${violationId}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Deleted by mistake' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+    });
+
+    it('should return 400 when the violation is not deleted', async () => {
+      const res = await request(app)
+        .post('/api/violations/5f7d327c3642214df4d0e0fb/restore')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('Review workflow', () => {
+    it('should return the review queue for editors', async () => {
+      const res = await request(app)
+        .get('/api/violations/review')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data[0].review_status).toBe('pending_review');
+    });
+
+    it('should require authentication for the review queue', async () => {
+      const res = await request(app).get('/api/violations/review');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should submit a violation for review', async () => {
+      const res = await request(app)
+        .post(`/api/violations/${violationId}/submit`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.review_status).toBe('pending_review');
+    });
+
+    it('should approve a violation with edits', async () => {
+      const { approveViolation } = require('../../commands/violations');
+
+      const res = await request(app)
+        .post(`/api/violations/${violationId}/approve`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ notes: 'Verified', updates: { casualties: 3 } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.review_status).toBe('published');
+      expect(approveViolation).toHaveBeenCalledWith(
+        violationId,
+        undefined,
+        { notes: 'Verified', updates: { casualties: 3 } }
+      );
+    });
+
+    it('should reject a violation with notes', async () => {
+      const res = await request(app)
+        .post(`/api/violations/${violationId}/reject`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ notes: 'Source could not be verified' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.review_status).toBe('rejected');
+    });
+
+    it('should return 400 when rejecting without notes', async () => {
+      const res = await request(app)
+        .post(`/api/violations/${violationId}/reject`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/violations/:id/history', () => {
+    it('should return the revision history of a violation', async () => {
+      const res = await request(app)
+        .get(`/api/violations/${violationId}/history`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].action).toBe('create');
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app)
+        .get(`/api/violations/${violationId}/history`);
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/violations/:id/revert/:revisionId', () => {
+    it('should revert a violation to a previous revision', async () => {
+      const { revertViolation } = require('../../commands/violations');
+
+      const res = await request(app)
+        .post(`/api/violations/${violationId}/revert/5f7d327c3642214df4d0e0f9`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ reason: 'Undo incorrect edit' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(revertViolation).toHaveBeenCalledWith(
+        violationId,
+        '5f7d327c3642214df4d0e0f9',
+        undefined,
+        { reason: 'Undo incorrect edit' }
+      );
+    });
+
+    it('should return 404 for a non-existent revision', async () => {
+      const res = await request(app)
+        .post(`/api/violations/${violationId}/revert/5f7d327c3642214df4d0e0fa`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/violations/:id/merge', () => {
+    const sourceId = '5f7d327c3642214df4d0e0fd';
+
+    it('should merge a source violation into the target', async () => {
+      const { mergeViolationRecords } = require('../../commands/violations');
+
+      const res = await request(app)
+        .post(`/api/violations/${violationId}/merge`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ sourceId, fieldChoices: { casualties: 'source' }, reason: 'Same incident' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.merge.status).toBe('active');
+      expect(mergeViolationRecords).toHaveBeenCalledWith(
+        violationId,
+        sourceId,
+        undefined,
+        { fieldChoices: { casualties: 'source' }, reason: 'Same incident' }
+      );
+    });
+
+    it('should return 400 without a valid source ID', async () => {
+      const res = await request(app)
+        .post(`/api/violations/${violationId}/merge`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ sourceId: 'not-an-id' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should return 400 when merging a violation into itself', async () => {
+      const res = await request(app)
+        .post(`/api/violations/${violationId}/merge`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ sourceId: violationId });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/violations/:id/unmerge', () => {
+    const sourceId = '5f7d327c3642214df4d0e0fd';
+
+    it('should return 409 when the survivor was edited after the merge', async () => {
+      const res = await request(app)
+        .post(`/api/violations/${sourceId}/unmerge`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(409);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should un-merge when forced', async () => {
+      const res = await request(app)
+        .post(`/api/violations/${sourceId}/unmerge`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ force: true, reason: 'Different incidents' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.source._id).toBe(sourceId);
+    });
+  });
+
+  describe('Duplicate candidates', () => {
+    const candidateId = '5f7d327c3642214df4d0e0fb';
+
+    it('should list duplicate candidates for editors', async () => {
+      const res = await request(app)
+        .get('/api/violations/duplicates')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].status).toBe('pending');
+    });
+
+    it('should return 404 for a non-existent candidate', async () => {
+      const res = await request(app)
+        .get('/api/violations/duplicates/5f7d327c3642214df4d0e0fc')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should confirm a duplicate candidate', async () => {
+      const { confirmDuplicateCandidate } = require('../../commands/violations');
+
+      const res = await request(app)
+        .post(`/api/violations/duplicates/${candidateId}/confirm`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ notes: 'Same incident reported twice' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.candidate.status).toBe('confirmed');
+      expect(confirmDuplicateCandidate).toHaveBeenCalledWith(
+        candidateId,
+        undefined,
+        { notes: 'Same incident reported twice' }
+      );
+    });
+
+    it('should return 400 when the candidate was already decided', async () => {
+      const res = await request(app)
+        .post('/api/violations/duplicates/5f7d327c3642214df4d0e0fc/confirm')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should dismiss a duplicate candidate', async () => {
+      const res = await request(app)
+        .post(`/api/violations/duplicates/${candidateId}/dismiss`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('dismissed');
+    });
+
+    it('should scan a violation for duplicates', async () => {
+      const res = await request(app)
+        .post(`/api/violations/${violationId}/duplicates/scan`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+    });
+  });
+
+  describe('GET /api/violations/export', () => {
+    const { exportViolations, createExportJob } = require('../../commands/violations');
+    const queueService = require('../../services/queueService');
+    const exportJobId = '5f7d327c3642214df4d0e0fc';
+
+    it('should stream small exports as a file download', async () => {
+      const res = await request(app)
+        .get('/api/violations/export?format=csv&type=AIRSTRIKE')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      expect(res.headers['content-disposition']).toContain('violations-2024-01-01.csv');
+      expect(res.text).toContain('AIRSTRIKE');
+      expect(exportViolations).toHaveBeenCalledWith(
+        'csv',
+        expect.objectContaining({ type: 'AIRSTRIKE' }),
+        expect.anything()
+      );
+    });
+
+    it('should queue a background job when requested', async () => {
+      const res = await request(app)
+        .get('/api/violations/export?format=xlsx&async=true')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(202);
+      expect(res.headers.location).toBe(`/api/violations/export/${exportJobId}`);
+      expect(res.body.data.jobId).toBe(exportJobId);
+      expect(createExportJob).toHaveBeenCalledWith('xlsx', expect.any(Object), undefined, 1);
+      expect(queueService.addExportJob).toHaveBeenCalledWith(exportJobId);
+    });
+
+    it('should reject unsupported formats', async () => {
+      const res = await request(app)
+        .get('/api/violations/export?format=shp')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).get('/api/violations/export?format=csv');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should return the status of an export job', async () => {
+      const res = await request(app)
+        .get(`/api/violations/export/${exportJobId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('processing');
+      expect(res.body.data.progress).toBe(40);
+    });
+
+    it('should not let other users see an export job', async () => {
+      const res = await request(app)
+        .get(`/api/violations/export/${exportJobId}`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should not download an export that is still running', async () => {
+      const res = await request(app)
+        .get(`/api/violations/export/${exportJobId}/download`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should return 404 for unknown export jobs', async () => {
+      const res = await request(app)
+        .get('/api/violations/export/5f7d327c3642214df4d0e0aa')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Violation import', () => {
+    const { previewImport, createImportJob, createImportProfile } = require('../../commands/violations');
+    const queueService = require('../../services/queueService');
+    const profileId = '5f7d327c3642214df4d0e0fe';
+    const importJobId = '5f7d327c3642214df4d0e0fd';
+    const csv = Buffer.from('Type,Date\nAIRSTRIKE,15/06/2023\nSHELLING,yesterday\n');
+
+    it('should return a per-row report for a dry run', async () => {
+      const res = await request(app)
+        .post('/api/violations/import/preview')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('profileId', profileId)
+        .field('checkDuplicates', 'false')
+        .attach('file', csv, 'partner.csv');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.summary.invalid).toBe(1);
+      expect(res.body.data.records).toHaveLength(2);
+      expect(previewImport).toHaveBeenCalledWith(expect.any(Buffer), 'partner.csv', profileId, {
+        checkDuplicates: false
+      });
+    });
+
+    it('should require a mapping profile', async () => {
+      const res = await request(app)
+        .post('/api/violations/import/preview')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .attach('file', csv, 'partner.csv');
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should reject files that are not CSV or XLSX', async () => {
+      const res = await request(app)
+        .post('/api/violations/import/preview')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('profileId', profileId)
+        .attach('file', Buffer.from('%PDF-1.4'), 'partner.pdf');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Import file must be a .csv or .xlsx file');
+    });
+
+    it('should queue the import as a background job', async () => {
+      const res = await request(app)
+        .post('/api/violations/import')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('profileId', profileId)
+        .field('duplicateHandling', 'skip')
+        .attach('file', csv, 'partner.csv');
+
+      expect(res.status).toBe(202);
+      expect(res.headers.location).toBe(`/api/violations/import/${importJobId}`);
+      expect(res.body.data.totalRecords).toBe(2);
+      expect(createImportJob).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        'partner.csv',
+        profileId,
+        undefined,
+        { duplicateHandling: 'skip', reviewStatus: undefined }
+      );
+      expect(queueService.addImportJob).toHaveBeenCalledWith(importJobId);
+    });
+
+    it('should reject unknown duplicate handling modes', async () => {
+      const res = await request(app)
+        .post('/api/violations/import')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('profileId', profileId)
+        .field('duplicateHandling', 'overwrite')
+        .attach('file', csv, 'partner.csv');
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return the results of an import job to admins', async () => {
+      const res = await request(app)
+        .get(`/api/violations/import/${importJobId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.profile).toBe('Partner sheet');
+      expect(res.body.data.results.createdCount).toBe(1);
+    });
+
+    it('should not let other users see an import job', async () => {
+      const res = await request(app)
+        .get(`/api/violations/import/${importJobId}`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should list mapping profiles', async () => {
+      const res = await request(app)
+        .get('/api/violations/import/profiles')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].name).toBe('Partner sheet');
+    });
+
+    it('should create a mapping profile', async () => {
+      const profile = {
+        name: 'Partner sheet',
+        mappings: [
+          { column: 'Type', field: 'type' },
+          { column: 'Date', field: 'date' }
+        ]
+      };
+
+      const res = await request(app)
+        .post('/api/violations/import/profiles')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send(profile);
+
+      expect(res.status).toBe(201);
+      expect(createImportProfile).toHaveBeenCalledWith(expect.objectContaining(profile), undefined);
+    });
+
+    it('should reject mappings onto unsupported fields', async () => {
+      const res = await request(app)
+        .post('/api/violations/import/profiles')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ name: 'Broken', mappings: [{ column: 'Type', field: 'review_status' }] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
   describe('GET /api/violations/radius/:latitude/:longitude/:radius', () => {
     it('should get violations within radius', async () => {
       const res = await request(app)
@@ -692,6 +1637,31 @@ describe('Violations API', () => {
     });
   });
   
+  describe('GET /api/violations/stats', () => {
+    it('should return filtered statistics without authentication', async () => {
+      const { getViolationStats } = require('../../commands/violations');
+
+      const res = await request(app)
+        .get('/api/violations/stats?groupBy=type,%20governorate&interval=month&type=AIRSTRIKE&startDate=2023-01-01');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.totals.casualties).toBe(12);
+      expect(res.body.data.timeline).toHaveLength(1);
+      expect(getViolationStats).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'AIRSTRIKE', startDate: '2023-01-01' }),
+        { groupBy: ['type', 'governorate'], interval: 'month' }
+      );
+    });
+
+    it('should reject unknown group dimensions and intervals', async () => {
+      const groupRes = await request(app).get('/api/violations/stats?groupBy=type,victim');
+      const intervalRes = await request(app).get('/api/violations/stats?interval=hour');
+
+      expect(groupRes.status).toBe(400);
+      expect(intervalRes.status).toBe(400);
+    });
+  });
+
   describe('GET /api/violations/stats/type', () => {
     it('should get violations by type', async () => {
       const res = await request(app)
@@ -853,6 +1823,42 @@ describe('Violations API', () => {
       expect(res.body).toHaveProperty('mergedInfo');
       expect(Array.isArray(res.body.mergedInfo)).toBe(true);
     });
+
+    it('should record near-duplicates in a batch as pending candidates', async () => {
+      const { createBatchViolations } = require('../../commands/violations');
+      const created = { ...mockViolation, _id: '5f7d327c3642214df4d0e0fa' };
+      createBatchViolations.mockResolvedValueOnce({
+        violations: [created],
+        created: [created],
+        merged: [],
+        duplicateCandidates: [{ _id: 'candidate-id', violation: created._id, duplicate_of: mockViolation._id, status: 'pending' }]
+      });
+
+      const res = await request(app)
+        .post('/api/violations/batch')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send([{
+          type: 'AIRSTRIKE',
+          date: '2023-06-20',
+          location: {
+            name: { en: 'Batch Location 1', ar: 'موقع دفعة 1' },
+            administrative_division: { en: 'Batch Division 1', ar: 'قسم دفعة 1' }
+          },
+          description: {
+            en: 'This is a detailed description of the first violation in the batch.',
+            ar: 'هذا وصف مفصل للانتهاك الأول في الدفعة'
+          },
+          perpetrator_affiliation: 'assad_regime',
+          casualties: 3
+        }]);
+
+      expect(res.status).toBe(201);
+      expect(createBatchViolations.mock.calls[createBatchViolations.mock.calls.length - 1][2])
+        .toMatchObject({ mergeDuplicates: false, recordCandidates: true });
+      expect(res.body.summary.merged).toBe(0);
+      expect(res.body.summary.duplicateCandidates).toBe(1);
+      expect(res.body.duplicateCandidates[0].status).toBe('pending');
+    });
     
     it('should require the request body to be an array', async () => {
       const res = await request(app)
@@ -4,10 +4,14 @@ const auth = require('../../middleware/auth');
 const { protect, authorize } = auth;
 const User = require('../../models/User');
 const ErrorResponse = require('../../utils/errorResponse');
+const { isAccessTokenRevoked } = require('../../commands/auth');
 
 // Mock dependencies
 jest.mock('jsonwebtoken');
 jest.mock('../../models/User');
+jest.mock('../../commands/auth', () => ({
+  isAccessTokenRevoked: jest.fn()
+}));
 
 describe('Authentication Middleware', () => {
   let req;
@@ -26,6 +30,7 @@ describe('Authentication Middleware', () => {
     next = jest.fn();
     // Clear all mocks before each test
     jest.clearAllMocks();
+    isAccessTokenRevoked.mockResolvedValue(false);
   });
   
   it('should return 401 if no token is provided', async () => {
@@ -47,14 +52,15 @@ describe('Authentication Middleware', () => {
       _id: userId,
       name: 'Test User',
       email: 'test@example.com',
-      role: 'user'
+      role: 'user',
+      tokenVersion: 0
     };
     
     // Mock User.findById
     User.findById = jest.fn().mockResolvedValue(user);
     
     // Mock JWT verify with proper payload
-    jwt.verify = jest.fn().mockReturnValue({ id: userId.toString() });
+    jwt.verify = jest.fn().mockReturnValue({ id: userId.toString(), jti: 'token-id', ver: 0 });
     
     // Set token in headers with Bearer scheme
     req.headers.authorization = 'Bearer test-token';
@@ -62,9 +68,47 @@ describe('Authentication Middleware', () => {
     await protect(req, res, next);
     
     expect(jwt.verify).toHaveBeenCalledWith('test-token', process.env.JWT_SECRET);
+    expect(isAccessTokenRevoked).toHaveBeenCalledWith('token-id');
     expect(User.findById).toHaveBeenCalledWith(userId.toString());
     expect(req.user).toEqual(user);
-    expect(next).toHaveBeenCalled();
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should return 401 if the token was revoked', async () => {
+    isAccessTokenRevoked.mockResolvedValue(true);
+    User.findById = jest.fn();
+    jwt.verify = jest.fn().mockReturnValue({ id: 'user-id', jti: 'token-id', ver: 0 });
+    req.headers.authorization = 'Bearer test-token';
+
+    await protect(req, res, next);
+
+    expect(User.findById).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+  });
+
+  it('should return 401 for tokens without an ID', async () => {
+    jwt.verify = jest.fn().mockReturnValue({ id: 'user-id' });
+    req.headers.authorization = 'Bearer test-token';
+
+    await protect(req, res, next);
+
+    expect(isAccessTokenRevoked).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+  });
+
+  it('should return 401 if the sessions of the user were ended', async () => {
+    User.findById = jest.fn().mockResolvedValue({ _id: 'user-id', role: 'user', tokenVersion: 2 });
+    jwt.verify = jest.fn().mockReturnValue({ id: 'user-id', jti: 'token-id', ver: 1 });
+    req.headers.authorization = 'Bearer test-token';
+
+    await protect(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({
+        statusCode: 401,
+        message: 'Not authorized to access this route'
+      })
+    );
   });
   
   it('should return 401 if token is invalid', async () => {
@@ -93,7 +137,7 @@ describe('Authentication Middleware', () => {
     User.findById = jest.fn().mockResolvedValue(null);
     
     // Mock JWT verify with proper payload
-    jwt.verify = jest.fn().mockReturnValue({ id: userId.toString() });
+    jwt.verify = jest.fn().mockReturnValue({ id: userId.toString(), jti: 'token-id', ver: 0 });
     
     // Set token in headers
     req.headers.authorization = 'Bearer test-token';
@@ -28,7 +28,8 @@ jest.mock('express-validator', () => {
     isInt: () => createChain(field),
     isURL: () => createChain(field),
     isString: () => createChain(field),
-    isFloat: () => createChain(field)
+    isFloat: () => createChain(field),
+    isMongoId: () => createChain(field)
   });
 
   return {
@@ -0,0 +1,93 @@
+const request = require('supertest');
+const express = require('express');
+
+// Create test app
+const app = express();
+app.use(express.json());
+
+// Mock middleware
+jest.mock('../../middleware/auth', () => ({
+  protect: jest.fn((req, res, next) => {
+    if (req.headers.authorization !== 'Bearer valid-token') {
+      return res.status(401).json({ success: false, error: 'Not authorized' });
+    }
+    req.user = { id: 'test-user-id', role: req.headers['x-role'] || 'user' };
+    next();
+  }),
+  authorize: (...roles) => (req, res, next) => {
+    if (req.headers['x-role'] && roles.includes(req.headers['x-role'])) {
+      return next();
+    }
+    return res.status(403).json({ success: false, error: 'Not authorized to access this route' });
+  }
+}));
+
+// Mock validators
+jest.mock('../../middleware/validators', () => ({
+  validateRequest: jest.fn((req, res, next) => next()),
+  adminBoundaryFilterRules: [],
+  adminBoundaryCodeParamRules: []
+}));
+
+// Mock commands
+jest.mock('../../commands/adminBoundaries', () => ({
+  getAdminBoundaries: jest.fn().mockResolvedValue([
+    { code: 'SY0200', level: 'district', name: { en: 'Jebel Saman', ar: 'جبل سمعان' }, parent: 'SY02' }
+  ]),
+  getAdminBoundaryByCode: jest.fn().mockImplementation(async (code) => (
+    code === 'SY02' ? { code: 'SY02', level: 'governorate', geometry: { type: 'Polygon', coordinates: [] } } : null
+  )),
+  assignAdminCodes: jest.fn().mockResolvedValue({ boundaries: 14, assigned: 9, unassigned: 1 })
+}));
+
+const adminBoundaryRoutes = require('../../routes/adminBoundaryRoutes');
+const commands = require('../../commands/adminBoundaries');
+
+app.use('/api/admin-boundaries', adminBoundaryRoutes);
+
+describe('Admin Boundary Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should list boundaries without authentication', async () => {
+    const res = await request(app).get('/api/admin-boundaries?level=district&parent=SY02');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(commands.getAdminBoundaries).toHaveBeenCalledWith(
+      expect.objectContaining({ level: 'district', parent: 'SY02' })
+    );
+  });
+
+  it('should return a boundary by code', async () => {
+    const res = await request(app).get('/api/admin-boundaries/SY02');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.geometry.type).toBe('Polygon');
+  });
+
+  it('should return 404 for an unknown code', async () => {
+    const res = await request(app).get('/api/admin-boundaries/SY99');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should only let admins assign violations', async () => {
+    const denied = await request(app)
+      .post('/api/admin-boundaries/assign-violations')
+      .set('Authorization', 'Bearer valid-token')
+      .set('x-role', 'editor');
+
+    expect(denied.status).toBe(403);
+    expect(commands.assignAdminCodes).not.toHaveBeenCalled();
+
+    const res = await request(app)
+      .post('/api/admin-boundaries/assign-violations')
+      .set('Authorization', 'Bearer valid-token')
+      .set('x-role', 'admin');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ boundaries: 14, assigned: 9, unassigned: 1 });
+  });
+});
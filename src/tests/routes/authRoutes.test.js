@@ -19,7 +19,8 @@ jest.mock('../../middleware/auth', () => ({
 jest.mock('../../middleware/validators', () => ({
   validateRequest: jest.fn((req, res, next) => next()),
   userRegistrationRules: [],
-  userLoginRules: []
+  userLoginRules: [],
+  refreshTokenRules: []
 }));
 
 // Mock the controllers
@@ -27,7 +28,9 @@ jest.mock('../../controllers/authController', () => ({
   register: jest.fn((req, res) => res.status(201).json({ success: true, token: 'test-token' })),
   login: jest.fn((req, res) => res.status(200).json({ success: true, token: 'test-token' })),
   getMe: jest.fn((req, res) => res.status(200).json({ success: true, data: { id: req.user.id } })),
-  logout: jest.fn((req, res) => res.status(200).json({ success: true, data: {} }))
+  refresh: jest.fn((req, res) => res.status(200).json({ success: true, token: 'new-token', refreshToken: 'new-refresh-token' })),
+  logout: jest.fn((req, res) => res.status(200).json({ success: true, data: {} })),
+  logoutAll: jest.fn((req, res) => res.status(200).json({ success: true, data: { refreshTokensRevoked: 2 } }))
 }));
 
 // Setup app with routes
@@ -85,4 +88,39 @@ describe('Auth Routes', () => {
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
   });
-}); 
\ No newline at end of file
+
+  it('should refresh the tokens of a session', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'refresh-token' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).toBe('new-refresh-token');
+  });
+
+  it('should log out with a refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: 'refresh-token' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  it('should log out of all sessions with a valid token', async () => {
+    const res = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', 'Bearer valid-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshTokensRevoked).toBe(2);
+  });
+
+  it('should not log out of all sessions with an invalid token', async () => {
+    const res = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', 'Bearer invalid-token');
+
+    expect(res.status).toBe(401);
+  });
+}); 
@@ -0,0 +1,239 @@
+const request = require('supertest');
+const express = require('express');
+
+// Create test app
+const app = express();
+app.use(express.json());
+
+// Mock middleware
+jest.mock('../../middleware/auth', () => ({
+  protect: jest.fn((req, res, next) => {
+    if (req.headers.authorization !== 'Bearer valid-token') {
+      return res.status(401).json({ success: false, error: 'Not authorized' });
+    }
+    req.user = { id: 'test-user-id', role: req.headers['x-role'] || 'user' };
+    next();
+  }),
+  authorize: (...roles) => (req, res, next) => {
+    if (req.headers['x-role'] && roles.includes(req.headers['x-role'])) {
+      return next();
+    }
+    return res.status(403).json({ success: false, error: 'Not authorized to access this route' });
+  }
+}));
+
+// Mock validators
+jest.mock('../../middleware/validators', () => ({
+  validateRequest: jest.fn((req, res, next) => next()),
+  idParamRules: [],
+  channelRules: [],
+  channelUpdateRules: [],
+  channelFilterRules: [],
+  filterDecisionRules: [],
+  keywordSetRules: [],
+  keywordSetUpdateRules: [],
+  keywordSetFilterRules: []
+}));
+
+// Mock commands
+jest.mock('../../commands/channels', () => ({
+  getChannels: jest.fn().mockResolvedValue({
+    channels: [{ _id: 'channel1', name: 'SNN', priority: 'high' }],
+    totalDocs: 1,
+    pagination: { page: 1, limit: 10, totalPages: 1, totalResults: 1 }
+  }),
+  getChannelById: jest.fn().mockImplementation(async (id) => ({ _id: id, name: 'SNN' })),
+  createChannel: jest.fn().mockImplementation(async (data) => ({ _id: 'channel2', ...data })),
+  updateChannel: jest.fn().mockImplementation(async (id, data) => ({ _id: id, ...data })),
+  deleteChannel: jest.fn().mockResolvedValue({}),
+  seedChannels: jest.fn().mockResolvedValue({ created: 11, existing: 0 }),
+  testChannel: jest.fn().mockResolvedValue({
+    channel: 'SNN',
+    accessible: true,
+    responseTime: 120,
+    messages: [{ messageId: '4821', matchedKeywords: ['قصف'], kept: true, reason: 'matched' }]
+  }),
+  getFilterDecisions: jest.fn().mockResolvedValue({
+    decisions: [{ channel: 'SNN', messageId: '4821', kept: false, reason: 'missing_context' }],
+    totalDocs: 1,
+    pagination: { page: 1, limit: 20, totalPages: 1, totalResults: 1 }
+  }),
+  getFilterStats: jest.fn().mockResolvedValue([
+    { channel: 'SNN', total: 10, kept: 4, dropped: 6, reasons: { matched: 4, no_keywords: 6 } }
+  ])
+}));
+
+jest.mock('../../commands/keywordSets', () => ({
+  getKeywordSets: jest.fn().mockResolvedValue({
+    keywordSets: [{ _id: 'set1', name: 'AIRSTRIKE', category: 'violation' }],
+    totalDocs: 1,
+    pagination: { page: 1, limit: 10, totalPages: 1, totalResults: 1 }
+  }),
+  getKeywordSetById: jest.fn().mockImplementation(async (id) => ({ _id: id, name: 'AIRSTRIKE' })),
+  createKeywordSet: jest.fn().mockImplementation(async (data) => ({ _id: 'set2', ...data })),
+  updateKeywordSet: jest.fn().mockImplementation(async (id, data) => ({ _id: id, ...data })),
+  deleteKeywordSet: jest.fn().mockResolvedValue({}),
+  seedKeywordSets: jest.fn().mockResolvedValue({ created: 18, existing: 0 })
+}));
+
+const channelRoutes = require('../../routes/channelRoutes');
+const keywordSetRoutes = require('../../routes/keywordSetRoutes');
+const channelCommands = require('../../commands/channels');
+const keywordSetCommands = require('../../commands/keywordSets');
+
+app.use('/api/channels', channelRoutes);
+app.use('/api/keyword-sets', keywordSetRoutes);
+
+const asAdmin = (req) => req.set('Authorization', 'Bearer valid-token').set('X-Role', 'admin');
+
+describe('Channel Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).get('/api/channels');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should not allow editors to manage channels', async () => {
+    const res = await request(app)
+      .put('/api/channels/channel1')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor')
+      .send({ active: false });
+
+    expect(res.status).toBe(403);
+    expect(channelCommands.updateChannel).not.toHaveBeenCalled();
+  });
+
+  it('should list channels with admin role', async () => {
+    const res = await asAdmin(request(app).get('/api/channels?active=true&priority=high'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(channelCommands.getChannels).toHaveBeenCalledWith(
+      expect.objectContaining({ active: 'true', priority: 'high' }),
+      expect.objectContaining({ page: 1, limit: 10, sort: 'name' })
+    );
+  });
+
+  it('should return 404 for unknown channels', async () => {
+    channelCommands.getChannelById.mockResolvedValueOnce(null);
+
+    const res = await asAdmin(request(app).get('/api/channels/channel1'));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should create a channel', async () => {
+    const data = { name: 'D24net', url: 'https://t.me/D24net', priority: 'high', filtering: { min_text_length: 40 } };
+
+    const res = await asAdmin(request(app).post('/api/channels')).send(data);
+
+    expect(res.status).toBe(201);
+    expect(channelCommands.createChannel).toHaveBeenCalledWith(data, 'test-user-id');
+  });
+
+  it('should update the filtering rules of a channel', async () => {
+    const res = await asAdmin(request(app).put('/api/channels/channel1'))
+      .send({ filtering: { exclude_patterns: ['إعلان'] } });
+
+    expect(res.status).toBe(200);
+    expect(channelCommands.updateChannel).toHaveBeenCalledWith(
+      'channel1',
+      { filtering: { exclude_patterns: ['إعلان'] } },
+      'test-user-id'
+    );
+  });
+
+  it('should seed channels from the YAML', async () => {
+    const res = await asAdmin(request(app).post('/api/channels/seed'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.created).toBe(11);
+    expect(channelCommands.seedChannels).toHaveBeenCalledWith('test-user-id');
+  });
+
+  it('should dry run a channel', async () => {
+    const res = await asAdmin(request(app).post('/api/channels/channel1/test'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.messages[0].kept).toBe(true);
+    expect(channelCommands.testChannel).toHaveBeenCalledWith('channel1');
+  });
+
+  it('should list filtering decisions', async () => {
+    const res = await asAdmin(request(app).get('/api/channels/filter-decisions?channel=SNN&kept=false'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].reason).toBe('missing_context');
+    expect(channelCommands.getFilterDecisions).toHaveBeenCalledWith(
+      expect.objectContaining({ channel: 'SNN', kept: 'false' }),
+      expect.objectContaining({ page: 1, limit: 20, sort: '-decidedAt' })
+    );
+    expect(channelCommands.getChannelById).not.toHaveBeenCalled();
+  });
+
+  it('should return filtering statistics', async () => {
+    const res = await asAdmin(request(app).get('/api/channels/filter-stats?startDate=2024-03-01'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0]).toMatchObject({ channel: 'SNN', dropped: 6 });
+    expect(channelCommands.getFilterStats).toHaveBeenCalledWith(expect.objectContaining({ startDate: '2024-03-01' }));
+  });
+
+  it('should delete a channel', async () => {
+    const res = await asAdmin(request(app).delete('/api/channels/channel1'));
+
+    expect(res.status).toBe(200);
+    expect(channelCommands.deleteChannel).toHaveBeenCalledWith('channel1', 'test-user-id');
+  });
+});
+
+describe('Keyword Set Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should not allow editors to list keyword sets', async () => {
+    const res = await request(app)
+      .get('/api/keyword-sets')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should list keyword sets with admin role', async () => {
+    const res = await asAdmin(request(app).get('/api/keyword-sets?category=violation'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].name).toBe('AIRSTRIKE');
+    expect(keywordSetCommands.getKeywordSets).toHaveBeenCalledWith(
+      expect.objectContaining({ category: 'violation' }),
+      expect.objectContaining({ page: 1, limit: 10 })
+    );
+  });
+
+  it('should create a keyword set', async () => {
+    const data = { name: 'DRONE', category: 'violation', violation_type: 'AIRSTRIKE', keywords: ['مسيرة'] };
+
+    const res = await asAdmin(request(app).post('/api/keyword-sets')).send(data);
+
+    expect(res.status).toBe(201);
+    expect(keywordSetCommands.createKeywordSet).toHaveBeenCalledWith(data, 'test-user-id');
+  });
+
+  it('should update, seed and delete keyword sets', async () => {
+    const updateRes = await asAdmin(request(app).put('/api/keyword-sets/set1')).send({ active: false });
+    const seedRes = await asAdmin(request(app).post('/api/keyword-sets/seed'));
+    const deleteRes = await asAdmin(request(app).delete('/api/keyword-sets/set1'));
+
+    expect(updateRes.status).toBe(200);
+    expect(keywordSetCommands.updateKeywordSet).toHaveBeenCalledWith('set1', { active: false }, 'test-user-id');
+    expect(seedRes.body.data.created).toBe(18);
+    expect(deleteRes.status).toBe(200);
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const express = require('express');
+
+// Create test app
+const app = express();
+app.use(express.json());
+
+// Mock middleware
+jest.mock('../../middleware/auth', () => ({
+  protect: jest.fn((req, res, next) => {
+    if (req.headers.authorization !== 'Bearer valid-token') {
+      return res.status(401).json({ success: false, error: 'Not authorized' });
+    }
+    req.user = { id: 'test-user-id', role: req.headers['x-role'] || 'user' };
+    next();
+  }),
+  authorize: (...roles) => (req, res, next) => {
+    if (req.headers['x-role'] && roles.includes(req.headers['x-role'])) {
+      return next();
+    }
+    return res.status(403).json({ success: false, error: 'Not authorized to access this route' });
+  }
+}));
+
+// Mock validators
+jest.mock('../../middleware/validators', () => ({
+  validateRequest: jest.fn((req, res, next) => next()),
+  idParamRules: [],
+  geocodingCacheFilterRules: [],
+  geocodingCacheUpdateRules: [],
+  geocodingCacheAliasRules: [],
+  geocodingCacheAliasParamRules: []
+}));
+
+// Mock commands
+jest.mock('../../commands/geocodingCache', () => ({
+  getCacheEntries: jest.fn().mockResolvedValue({ entries: [], totalDocs: 0, pagination: { page: 1 } }),
+  getCacheEntryById: jest.fn().mockResolvedValue(null),
+  getCacheStats: jest.fn().mockResolvedValue({ totalEntries: 12, apiCallsSaved: 40, topMisses: [] }),
+  updateCacheEntry: jest.fn().mockResolvedValue({ entry: { pinned: true }, regeocoded: { matched: 2, updated: 2, failed: [] } }),
+  setCacheEntryPinned: jest.fn().mockImplementation(async (id, pinned) => ({ _id: id, pinned })),
+  deleteCacheEntry: jest.fn().mockResolvedValue({}),
+  addCacheAlias: jest.fn().mockResolvedValue({ aliases: [{ placeName: 'Joubar' }] }),
+  removeCacheAlias: jest.fn().mockResolvedValue({ aliases: [] })
+}));
+
+const geocodingCacheRoutes = require('../../routes/geocodingCacheRoutes');
+const errorHandler = require('../../middleware/error');
+const commands = require('../../commands/geocodingCache');
+
+app.use('/api/geocoding-cache', geocodingCacheRoutes);
+app.use(errorHandler);
+
+const ENTRY_ID = '64b000000000000000000001';
+
+describe('Geocoding Cache Routes', () => {
+  const asAdmin = (req) => req.set('Authorization', 'Bearer valid-token').set('x-role', 'admin');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should only let admins manage the cache', async () => {
+    const res = await request(app)
+      .get('/api/geocoding-cache')
+      .set('Authorization', 'Bearer valid-token')
+      .set('x-role', 'editor');
+
+    expect(res.status).toBe(403);
+    expect(commands.getCacheEntries).not.toHaveBeenCalled();
+  });
+
+  it('should search entries and return the stats', async () => {
+    const list = await asAdmin(request(app).get('/api/geocoding-cache?q=jobar&pinned=true'));
+
+    expect(list.status).toBe(200);
+    expect(commands.getCacheEntries).toHaveBeenCalledWith(
+      expect.objectContaining({ q: 'jobar', pinned: 'true' }),
+      { page: 1, limit: 10, sort: '-hitCount' }
+    );
+
+    const stats = await asAdmin(request(app).get('/api/geocoding-cache/stats'));
+
+    expect(stats.status).toBe(200);
+    expect(stats.body.data.apiCallsSaved).toBe(40);
+  });
+
+  it('should return 404 for an unknown entry', async () => {
+    const res = await asAdmin(request(app).get(`/api/geocoding-cache/${ENTRY_ID}`));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should correct an entry and pass the re-geocoding option separately', async () => {
+    const res = await asAdmin(request(app).put(`/api/geocoding-cache/${ENTRY_ID}`))
+      .send({ coordinates: [36.33, 33.52], regeocodeViolations: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.regeocoded.updated).toBe(2);
+    expect(commands.updateCacheEntry).toHaveBeenCalledWith(
+      ENTRY_ID,
+      { coordinates: [36.33, 33.52] },
+      'test-user-id',
+      { regeocodeViolations: true }
+    );
+  });
+
+  it('should pin, unpin and delete entries', async () => {
+    const pinned = await asAdmin(request(app).post(`/api/geocoding-cache/${ENTRY_ID}/pin`));
+    const unpinned = await asAdmin(request(app).post(`/api/geocoding-cache/${ENTRY_ID}/unpin`));
+    const deleted = await asAdmin(request(app).delete(`/api/geocoding-cache/${ENTRY_ID}`));
+
+    expect(pinned.body.data.pinned).toBe(true);
+    expect(unpinned.body.data.pinned).toBe(false);
+    expect(deleted.status).toBe(200);
+    expect(commands.deleteCacheEntry).toHaveBeenCalledWith(ENTRY_ID, 'test-user-id');
+  });
+
+  it('should add and remove aliases', async () => {
+    const added = await asAdmin(request(app).post(`/api/geocoding-cache/${ENTRY_ID}/aliases`))
+      .send({ placeName: 'Joubar', language: 'en' });
+    const removed = await asAdmin(request(app).delete(`/api/geocoding-cache/${ENTRY_ID}/aliases/64b000000000000000000002`));
+
+    expect(added.status).toBe(201);
+    expect(removed.status).toBe(200);
+    expect(commands.removeCacheAlias).toHaveBeenCalledWith(ENTRY_ID, '64b000000000000000000002', 'test-user-id');
+  });
+});
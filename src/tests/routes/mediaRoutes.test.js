@@ -0,0 +1,71 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockMediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+const SHA256 = 'a'.repeat(64);
+
+jest.mock('../../models/MediaItem', () => ({
+  findOne: jest.fn()
+}));
+
+jest.mock('../../services/mediaStorage', () => {
+  const { LocalMediaStorage } = jest.requireActual('../../services/mediaStorage');
+  return {
+    createMediaStorage: jest.fn(() => new LocalMediaStorage({ dir: mockMediaDir }))
+  };
+});
+
+const MediaItem = require('../../models/MediaItem');
+const mediaRoutes = require('../../routes/mediaRoutes');
+const errorHandler = require('../../middleware/error');
+
+// Create test app
+const app = express();
+app.use('/api/media', mediaRoutes);
+app.use(errorHandler);
+
+describe('Media Routes', () => {
+  beforeAll(() => {
+    fs.writeFileSync(path.join(mockMediaDir, `${SHA256}.jpg`), 'photo');
+  });
+
+  afterAll(() => {
+    fs.rmSync(mockMediaDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should serve an archived file with its hash', async () => {
+    MediaItem.findOne.mockResolvedValue({ key: `${SHA256}.jpg`, sha256: SHA256, content_type: 'image/jpeg' });
+
+    const res = await request(app).get(`/api/media/${SHA256}.jpg`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/jpeg');
+    expect(res.headers['x-content-sha256']).toBe(SHA256);
+    expect(res.body.toString()).toBe('photo');
+    expect(MediaItem.findOne).toHaveBeenCalledWith({ key: `${SHA256}.jpg`, status: 'archived', storage: 'local' });
+  });
+
+  it('should return 404 for unknown media', async () => {
+    MediaItem.findOne.mockResolvedValue(null);
+
+    const res = await request(app).get('/api/media/missing.jpg');
+
+    expect(res.status).toBe(404);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('should return 404 when the file is missing from storage', async () => {
+    MediaItem.findOne.mockResolvedValue({ key: `${'b'.repeat(64)}.jpg`, sha256: 'b'.repeat(64), content_type: 'image/jpeg' });
+
+    const res = await request(app).get(`/api/media/${'b'.repeat(64)}.jpg`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const express = require('express');
+
+// Create test app
+const app = express();
+app.use(express.json());
+
+// Mock middleware
+jest.mock('../../middleware/auth', () => ({
+  protect: jest.fn((req, res, next) => {
+    if (req.headers.authorization !== 'Bearer valid-token') {
+      return res.status(401).json({ success: false, error: 'Not authorized' });
+    }
+    req.user = { id: 'test-user-id', role: req.headers['x-role'] || 'user' };
+    next();
+  }),
+  authorize: (...roles) => (req, res, next) => {
+    if (req.headers['x-role'] && roles.includes(req.headers['x-role'])) {
+      return next();
+    }
+    return res.status(403).json({ success: false, error: 'Not authorized to access this route' });
+  }
+}));
+
+// Mock validators
+jest.mock('../../middleware/validators', () => ({
+  validateRequest: jest.fn((req, res, next) => next()),
+  idParamRules: [],
+  perpetratorRules: [],
+  perpetratorUpdateRules: [],
+  perpetratorFilterRules: [],
+  perpetratorStatsRules: []
+}));
+
+// Mock commands
+jest.mock('../../commands/perpetrators', () => ({
+  getPerpetrators: jest.fn().mockResolvedValue({
+    perpetrators: [{ _id: 'perpetrator1', name: { en: 'Wagner Group' }, kind: 'group' }],
+    totalDocs: 1,
+    pagination: { page: 1, limit: 10, totalPages: 1, totalResults: 1 }
+  }),
+  getPerpetratorById: jest.fn().mockImplementation(async (id) => ({ _id: id, name: { en: 'Wagner Group' } })),
+  getPerpetratorTree: jest.fn().mockResolvedValue([{ _id: 'russia', code: 'russia', members: [] }]),
+  getPerpetratorStats: jest.fn().mockResolvedValue([{ perpetrator: null, affiliation: 'russia', count: 4 }]),
+  createPerpetrator: jest.fn().mockImplementation(async (data) => ({ _id: 'perpetrator2', ...data })),
+  updatePerpetrator: jest.fn().mockImplementation(async (id, data) => ({ _id: id, ...data })),
+  deletePerpetrator: jest.fn().mockResolvedValue({}),
+  seedPerpetratorCatalogue: jest.fn().mockResolvedValue({ created: 120, existing: 0 }),
+  linkExistingViolations: jest.fn().mockResolvedValue({ checked: 10, linked: 6 })
+}));
+
+const perpetratorRoutes = require('../../routes/perpetratorRoutes');
+const commands = require('../../commands/perpetrators');
+
+app.use('/api/perpetrators', perpetratorRoutes);
+
+describe('Perpetrator Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should list the catalogue without authentication', async () => {
+    const res = await request(app).get('/api/perpetrators?name=wagner');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(commands.getPerpetrators).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'wagner' }),
+      expect.objectContaining({ page: 1, limit: 10 })
+    );
+  });
+
+  it('should return the catalogue tree', async () => {
+    const res = await request(app).get('/api/perpetrators/tree?affiliation=russia');
+
+    expect(res.status).toBe(200);
+    expect(commands.getPerpetratorTree).toHaveBeenCalledWith({ affiliation: 'russia' });
+    expect(commands.getPerpetratorById).not.toHaveBeenCalled();
+  });
+
+  it('should return rolled up statistics', async () => {
+    const res = await request(app).get('/api/perpetrators/stats?groupBy=parent&type=SHELLING');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].count).toBe(4);
+    expect(commands.getPerpetratorStats).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'SHELLING' }),
+      { groupBy: 'parent', within: undefined }
+    );
+  });
+
+  it('should return 404 for unknown perpetrators', async () => {
+    commands.getPerpetratorById.mockResolvedValueOnce(null);
+
+    const res = await request(app).get('/api/perpetrators/perpetrator1');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should not allow regular users to create perpetrators', async () => {
+    const res = await request(app)
+      .post('/api/perpetrators')
+      .set('Authorization', 'Bearer valid-token')
+      .send({ name: { en: 'Squad A' }, kind: 'unit', parent: 'perpetrator1' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should create a perpetrator with editor role', async () => {
+    const res = await request(app)
+      .post('/api/perpetrators')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor')
+      .send({ name: { en: 'Squad A' }, kind: 'unit', parent: 'perpetrator1' });
+
+    expect(res.status).toBe(201);
+    expect(commands.createPerpetrator).toHaveBeenCalledWith(
+      { name: { en: 'Squad A' }, kind: 'unit', parent: 'perpetrator1' },
+      'test-user-id'
+    );
+  });
+
+  it('should only allow admins to seed the catalogue', async () => {
+    const editorRes = await request(app)
+      .post('/api/perpetrators/seed')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(editorRes.status).toBe(403);
+
+    const adminRes = await request(app)
+      .post('/api/perpetrators/seed')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'admin');
+
+    expect(adminRes.status).toBe(200);
+    expect(adminRes.body.data.created).toBe(120);
+  });
+
+  it('should link existing violations with admin role', async () => {
+    const res = await request(app)
+      .post('/api/perpetrators/link-violations')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'admin');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.linked).toBe(6);
+  });
+
+  it('should only allow admins to delete perpetrators', async () => {
+    const res = await request(app)
+      .delete('/api/perpetrators/perpetrator1')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(403);
+    expect(commands.deletePerpetrator).not.toHaveBeenCalled();
+  });
+});
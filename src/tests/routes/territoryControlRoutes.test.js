@@ -34,6 +34,11 @@ jest.mock('../../middleware/validators', () => ({
   territoryControlFilterRules: []
 }));
 
+// Mock queue service
+jest.mock('../../services/queueService', () => ({
+  addTerritoryRefreshJob: jest.fn().mockResolvedValue({ id: 'refresh-job' })
+}));
+
 // Mock commands
 jest.mock('../../commands/territoryControl', () => ({
   getTerritoryControls: jest.fn().mockResolvedValue({
@@ -228,6 +233,7 @@ jest.mock('../../commands/territoryControl', () => ({
 
 // Import routes after mocking
 const territoryControlRoutes = require('../../routes/territoryControlRoutes');
+const queueService = require('../../services/queueService');
 app.use('/api/territory-control', territoryControlRoutes);
 
 // Add error handling middleware
@@ -235,6 +241,10 @@ const errorHandler = require('../../middleware/error');
 app.use(errorHandler);
 
 describe('Territory Control Routes', () => {
+  beforeEach(() => {
+    queueService.addTerritoryRefreshJob.mockClear();
+  });
+
   describe('GET /api/territory-control', () => {
     it('should get all territory controls', async () => {
       const res = await request(app)
@@ -509,6 +519,18 @@ describe('Territory Control Routes', () => {
       
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
+      expect(queueService.addTerritoryRefreshJob).toHaveBeenCalledWith(['2025-01-22']);
+    });
+
+    it('should refresh violations for the old and new date when a map moves', async () => {
+      const res = await request(app)
+        .put('/api/territory-control/existing-id')
+        .set('Authorization', 'Bearer valid-token')
+        .set('X-Role', 'editor')
+        .send({ date: '2025-01-22' });
+
+      expect(res.status).toBe(200);
+      expect(queueService.addTerritoryRefreshJob).toHaveBeenCalledWith(['2025-01-15', '2025-01-22']);
     });
   });
 
@@ -581,6 +603,7 @@ describe('Territory Control Routes', () => {
       
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
+      expect(queueService.addTerritoryRefreshJob).toHaveBeenCalledWith(['2025-01-26']);
     });
 
     it('should reject deletion with non-admin role', async () => {
@@ -593,4 +616,27 @@ describe('Territory Control Routes', () => {
       expect(res.body.success).toBe(false);
     });
   });
-}); 
\ No newline at end of file
+
+  describe('POST /api/territory-control/refresh-violations', () => {
+    it('should queue a refresh of all violations with admin role', async () => {
+      const res = await request(app)
+        .post('/api/territory-control/refresh-violations')
+        .set('Authorization', 'Bearer valid-token')
+        .set('X-Role', 'admin');
+
+      expect(res.status).toBe(202);
+      expect(res.body.data.jobId).toBe('refresh-job');
+      expect(queueService.addTerritoryRefreshJob).toHaveBeenCalledWith();
+    });
+
+    it('should reject the refresh with non-admin role', async () => {
+      const res = await request(app)
+        .post('/api/territory-control/refresh-violations')
+        .set('Authorization', 'Bearer valid-token')
+        .set('X-Role', 'editor');
+
+      expect(res.status).toBe(403);
+      expect(queueService.addTerritoryRefreshJob).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const express = require('express');
+
+// Create test app
+const app = express();
+app.use(express.json());
+
+// Mock middleware
+jest.mock('../../middleware/auth', () => ({
+  protect: jest.fn((req, res, next) => {
+    if (req.headers.authorization === 'Bearer invalid-token') {
+      return res.status(401).json({ success: false, error: 'Not authorized' });
+    }
+    req.user = { id: 'test-user-id', role: req.headers['x-role'] || 'user' };
+    next();
+  }),
+  authorize: (...roles) => (req, res, next) => {
+    if (req.headers['x-role'] && roles.includes(req.headers['x-role'])) {
+      return next();
+    }
+    return res.status(403).json({ success: false, error: 'Not authorized to access this route' });
+  }
+}));
+
+// Mock validators
+jest.mock('../../middleware/validators', () => ({
+  validateRequest: jest.fn((req, res, next) => next()),
+  idParamRules: [],
+  victimRules: [],
+  victimUpdateRules: [],
+  victimFilterRules: [],
+  victimMergeRules: []
+}));
+
+// Mock commands
+jest.mock('../../commands/victims', () => ({
+  getVictims: jest.fn().mockResolvedValue({
+    victims: [{ _id: 'victim1', name: { en: 'Omar Haddad', ar: 'عمر حداد' } }],
+    totalDocs: 1,
+    pagination: { page: 1, limit: 10, totalPages: 1, totalResults: 1 }
+  }),
+  getVictimById: jest.fn().mockImplementation(async (id) => ({
+    _id: id,
+    name: { en: 'Omar Haddad' },
+    toObject: () => ({ _id: id, name: { en: 'Omar Haddad' } })
+  })),
+  getVictimTimeline: jest.fn().mockImplementation(async (id) => ({
+    victim: { _id: id },
+    timeline: [{ violation: 'violation1', type: 'DETENTION' }, { violation: 'violation2', type: 'EXECUTION' }]
+  })),
+  findVictimDuplicates: jest.fn().mockResolvedValue([{ victim: { _id: 'victim2' }, similarity: 0.9 }]),
+  createVictim: jest.fn().mockImplementation(async (data) => ({
+    victim: { _id: 'victim3', ...data },
+    possibleDuplicates: []
+  })),
+  updateVictim: jest.fn().mockImplementation(async (id, data) => ({ _id: id, ...data })),
+  mergeVictims: jest.fn().mockImplementation(async (id) => ({ victim: { _id: id }, relinkedViolations: 2 })),
+  deleteVictim: jest.fn().mockResolvedValue({})
+}));
+
+const victimRoutes = require('../../routes/victimRoutes');
+const commands = require('../../commands/victims');
+
+app.use('/api/victims', victimRoutes);
+
+describe('Victim Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should require authentication to search victims', async () => {
+    const res = await request(app)
+      .get('/api/victims')
+      .set('Authorization', 'Bearer invalid-token');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should hide restricted victims from regular users', async () => {
+    const res = await request(app)
+      .get('/api/victims?name=omar')
+      .set('Authorization', 'Bearer valid-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(commands.getVictims).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'omar' }),
+      expect.objectContaining({ page: 1, limit: 10 }),
+      { includeRestricted: false }
+    );
+  });
+
+  it('should include restricted victims for editors', async () => {
+    await request(app)
+      .get('/api/victims')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(commands.getVictims).toHaveBeenCalledWith(expect.any(Object), expect.any(Object), { includeRestricted: true });
+  });
+
+  it('should return 404 for victims that are not visible', async () => {
+    commands.getVictimById.mockResolvedValueOnce(null);
+
+    const res = await request(app)
+      .get('/api/victims/victim1')
+      .set('Authorization', 'Bearer valid-token');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return the victim timeline', async () => {
+    const res = await request(app)
+      .get('/api/victims/victim1/timeline')
+      .set('Authorization', 'Bearer valid-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(commands.getVictimTimeline).toHaveBeenCalledWith('victim1', {
+      includeRestricted: false,
+      includeUnpublished: false
+    });
+  });
+
+  it('should list possible duplicates for editors', async () => {
+    const res = await request(app)
+      .get('/api/victims/victim1/duplicates')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].similarity).toBe(0.9);
+    expect(commands.findVictimDuplicates).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'victim1' }),
+      { excludeId: 'victim1' }
+    );
+  });
+
+  it('should not allow regular users to create victims', async () => {
+    const res = await request(app)
+      .post('/api/victims')
+      .set('Authorization', 'Bearer valid-token')
+      .send({ name: { en: 'Omar Haddad' } });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should create a victim with editor role', async () => {
+    const res = await request(app)
+      .post('/api/victims')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor')
+      .send({ name: { en: 'Omar Haddad' } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.possibleDuplicates).toEqual([]);
+  });
+
+  it('should merge victims with editor role', async () => {
+    const res = await request(app)
+      .post('/api/victims/victim1/merge')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor')
+      .send({ sourceId: 'victim2' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.relinkedViolations).toBe(2);
+    expect(commands.mergeVictims).toHaveBeenCalledWith('victim1', 'victim2', 'test-user-id');
+  });
+
+  it('should only allow admins to delete victims', async () => {
+    const res = await request(app)
+      .delete('/api/victims/victim1')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(403);
+  });
+});
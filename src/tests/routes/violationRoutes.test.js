@@ -75,12 +75,38 @@ jest.mock('../../middleware/validators', () => ({
   violationRules: [],
   batchViolationsRules: [],
   violationFilterRules: [],
-  idParamRules: []
+  violationSearchRules: [],
+  violationMapRules: [],
+  violationTileRules: [],
+  violationSpatialRules: [],
+  violationStatsRules: [],
+  idParamRules: [],
+  revisionParamRules: [],
+  revisionReasonRules: [],
+  reviewQueueRules: [],
+  reviewActionRules: [],
+  mergeViolationRules: [],
+  unmergeViolationRules: [],
+  duplicateCandidateQueryRules: [],
+  duplicateCandidateRules: [],
+  geocodingReviewQueueRules: [],
+  geocodingReviewRules: [],
+  exportRules: [],
+  exportJobRules: [],
+  importRules: [],
+  importJobRules: [],
+  importProfileIdRules: [],
+  importProfileRules: [],
+  importProfileUpdateRules: []
 }));
 
 // Mock the controllers
 jest.mock('../../controllers/violationsController', () => ({
   getViolations: jest.fn((req, res) => res.status(200).json({ success: true, data: [] })),
+  searchViolations: jest.fn((req, res) => res.status(200).json({ success: true, count: 0, data: [] })),
+  getViolationMap: jest.fn((req, res) => res.status(200).json({ success: true, count: 0, data: { type: 'FeatureCollection', features: [] } })),
+  getViolationTile: jest.fn((req, res) => res.status(200).send(Buffer.alloc(0))),
+  getViolationsInArea: jest.fn((req, res) => res.status(200).json({ success: true, count: 0, data: [] })),
   getViolation: jest.fn((req, res) => res.status(200).json({ success: true, data: {} })),
   createViolation: jest.fn((req, res) => res.status(201).json({ success: true, data: req.body })),
   createViolationsBatch: jest.fn((req, res) => res.status(201).json({ success: true, count: req.body.length, data: req.body })),
@@ -95,7 +121,35 @@ jest.mock('../../controllers/violationsController', () => ({
   getViolationsByLocation: jest.fn((req, res) => res.status(200).json({ success: true, data: [] })),
   getViolationsByYear: jest.fn((req, res) => res.status(200).json({ success: true, data: [] })),
   getViolationsTotal: jest.fn((req, res) => res.status(200).json({ success: true, data: { total: 0 } })),
-  getViolationStats: jest.fn((req, res) => res.status(200).json({ success: true, data: {} }))
+  getViolationStats: jest.fn((req, res) => res.status(200).json({ success: true, data: {} })),
+  getViolationHistory: jest.fn((req, res) => res.status(200).json({ success: true, count: 0, data: [] })),
+  revertViolation: jest.fn((req, res) => res.status(200).json({ success: true, data: { id: req.params.id } })),
+  getDeletedViolations: jest.fn((req, res) => res.status(200).json({ success: true, count: 0, data: [] })),
+  restoreViolation: jest.fn((req, res) => res.status(200).json({ success: true, data: { id: req.params.id } })),
+  getReviewQueue: jest.fn((req, res) => res.status(200).json({ success: true, count: 0, data: [] })),
+  submitForReview: jest.fn((req, res) => res.status(200).json({ success: true, data: { review_status: 'pending_review' } })),
+  approveViolation: jest.fn((req, res) => res.status(200).json({ success: true, data: { review_status: 'published' } })),
+  rejectViolation: jest.fn((req, res) => res.status(200).json({ success: true, data: { review_status: 'rejected' } })),
+  getDuplicateCandidates: jest.fn((req, res) => res.status(200).json({ success: true, count: 0, data: [] })),
+  getDuplicateCandidate: jest.fn((req, res) => res.status(200).json({ success: true, data: { _id: req.params.candidateId } })),
+  scanForDuplicates: jest.fn((req, res) => res.status(200).json({ success: true, count: 0, data: [] })),
+  confirmDuplicateCandidate: jest.fn((req, res) => res.status(200).json({ success: true, data: { candidate: { status: 'confirmed' } } })),
+  dismissDuplicateCandidate: jest.fn((req, res) => res.status(200).json({ success: true, data: { status: 'dismissed' } })),
+  getGeocodingReviewQueue: jest.fn((req, res) => res.status(200).json({ success: true, count: 0, data: [] })),
+  resolveGeocodingReview: jest.fn((req, res) => res.status(200).json({ success: true, data: { geocoding: { status: 'manual' } } })),
+  mergeViolation: jest.fn((req, res) => res.status(200).json({ success: true, data: { violation: { _id: req.params.id } } })),
+  unmergeViolation: jest.fn((req, res) => res.status(200).json({ success: true, data: { source: { _id: req.params.id } } })),
+  exportViolations: jest.fn((req, res) => res.status(200).type('text/csv').send('id,type\r\n')),
+  getExportJob: jest.fn((req, res) => res.status(200).json({ success: true, data: { id: req.params.jobId, status: 'queued' } })),
+  downloadExport: jest.fn((req, res) => res.status(200).type('text/csv').send('id,type\r\n')),
+  previewImport: jest.fn((req, res) => res.status(200).json({ success: true, data: { fileName: req.file.originalname } })),
+  importViolations: jest.fn((req, res) => res.status(202).json({ success: true, data: { status: 'queued' } })),
+  getImportJob: jest.fn((req, res) => res.status(200).json({ success: true, data: { id: req.params.jobId } })),
+  getImportProfiles: jest.fn((req, res) => res.status(200).json({ success: true, count: 0, data: [] })),
+  getImportProfile: jest.fn((req, res) => res.status(200).json({ success: true, data: { _id: req.params.profileId } })),
+  createImportProfile: jest.fn((req, res) => res.status(201).json({ success: true, data: req.body })),
+  updateImportProfile: jest.fn((req, res) => res.status(200).json({ success: true, data: req.body })),
+  deleteImportProfile: jest.fn((req, res) => res.status(200).json({ success: true, data: {} }))
 }));
 
 // Setup app with routes
@@ -127,6 +181,42 @@ describe('Violation Routes', () => {
     expect(res.body.success).toBe(true);
   });
   
+  it('should search violations without authentication', async () => {
+    const { searchViolations, getViolation } = require('../../controllers/violationsController');
+
+    const res = await request(app)
+      .get('/api/violations/search?q=douma');
+
+    expect(res.status).toBe(200);
+    expect(searchViolations).toHaveBeenCalled();
+    expect(getViolation).not.toHaveBeenCalled();
+  });
+
+  it('should route map views and vector tiles without authentication', async () => {
+    const { getViolationMap, getViolationTile, getViolation } = require('../../controllers/violationsController');
+
+    const map = await request(app).get('/api/violations/map?bbox=35,32,42,37&zoom=7');
+    const tile = await request(app).get('/api/violations/tiles/7/77/50.mvt');
+
+    expect(map.status).toBe(200);
+    expect(tile.status).toBe(200);
+    expect(getViolationMap).toHaveBeenCalled();
+    expect(getViolationTile.mock.calls[0][0].params).toEqual({ z: '7', x: '77', y: '50' });
+    expect(getViolation).not.toHaveBeenCalled();
+  });
+
+  it('should route spatial queries without authentication', async () => {
+    const { getViolationsInArea, createViolation } = require('../../controllers/violationsController');
+
+    const res = await request(app)
+      .post('/api/violations/spatial')
+      .send({ territory: { date: '2023-05-01', feature: 0 } });
+
+    expect(res.status).toBe(200);
+    expect(getViolationsInArea).toHaveBeenCalled();
+    expect(createViolation).not.toHaveBeenCalled();
+  });
+
   it('should get a single violation without authentication', async () => {
     const violationId = new mongoose.Types.ObjectId();
     
@@ -404,4 +494,304 @@ describe('Violation Routes', () => {
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
   });
-}); 
\ No newline at end of file
+
+  it('should get violation history with editor role', async () => {
+    const violationId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .get(`/api/violations/${violationId}/history`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  it('should not allow regular users to view violation history', async () => {
+    const violationId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .get(`/api/violations/${violationId}/history`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'user');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should revert a violation with editor role', async () => {
+    const violationId = new mongoose.Types.ObjectId();
+    const revisionId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/violations/${violationId}/revert/${revisionId}`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor')
+      .send({ reason: 'Restore verified figures' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  it('should list the trash with admin role', async () => {
+    const res = await request(app)
+      .get('/api/violations/trash')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'admin');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  it('should not allow editors to restore violations', async () => {
+    const violationId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/violations/${violationId}/restore`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should get the review queue with editor role', async () => {
+    const res = await request(app)
+      .get('/api/violations/review')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  it('should not allow regular users to approve violations', async () => {
+    const violationId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/violations/${violationId}/approve`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'user');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject a violation with editor role', async () => {
+    const violationId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/violations/${violationId}/reject`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor')
+      .send({ notes: 'Duplicate of an existing record' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.review_status).toBe('rejected');
+  });
+
+  it('should list the geocoding review queue with editor role', async () => {
+    const res = await request(app)
+      .get('/api/violations/geocoding-review')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  it('should not allow regular users to resolve a geocode', async () => {
+    const violationId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/violations/${violationId}/geocoding-review`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'user')
+      .send({ candidate: 0 });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should resolve a geocode with editor role', async () => {
+    const violationId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/violations/${violationId}/geocoding-review`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor')
+      .send({ coordinates: [36.29, 33.51] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.geocoding.status).toBe('manual');
+  });
+
+  it('should list duplicate candidates with editor role', async () => {
+    const res = await request(app)
+      .get('/api/violations/duplicates')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  it('should not allow regular users to list duplicate candidates', async () => {
+    const res = await request(app)
+      .get('/api/violations/duplicates')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'user');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should confirm a duplicate candidate with editor role', async () => {
+    const candidateId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/violations/duplicates/${candidateId}/confirm`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.candidate.status).toBe('confirmed');
+  });
+
+  it('should dismiss a duplicate candidate with admin role', async () => {
+    const candidateId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/violations/duplicates/${candidateId}/dismiss`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'admin')
+      .send({ notes: 'Different incidents on the same street' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('dismissed');
+  });
+
+  it('should scan a violation for duplicates with editor role', async () => {
+    const violationId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/violations/${violationId}/duplicates/scan`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  it('should merge violations with editor role', async () => {
+    const violationId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/violations/${violationId}/merge`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor')
+      .send({ sourceId: new mongoose.Types.ObjectId().toString() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.violation._id).toBe(violationId.toString());
+  });
+
+  it('should not allow regular users to un-merge violations', async () => {
+    const violationId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/violations/${violationId}/unmerge`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'user');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should export violations for any authenticated user', async () => {
+    const res = await request(app)
+      .get('/api/violations/export?format=csv&type=AIRSTRIKE')
+      .set('Authorization', 'Bearer valid-token');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+  });
+
+  it('should not route the export path to the violation detail handler', async () => {
+    const jobId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .get(`/api/violations/export/${jobId}`)
+      .set('Authorization', 'Bearer valid-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.id).toBe(jobId.toString());
+  });
+
+  it('should require authentication to download an export', async () => {
+    const jobId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .get(`/api/violations/export/${jobId}/download`)
+      .set('Authorization', 'Bearer invalid-token');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should accept a CSV upload for an import preview with editor role', async () => {
+    const res = await request(app)
+      .post('/api/violations/import/preview')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor')
+      .field('profileId', new mongoose.Types.ObjectId().toString())
+      .attach('file', Buffer.from('Type,Date\nAIRSTRIKE,2023-06-15\n'), 'partner.csv');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.fileName).toBe('partner.csv');
+  });
+
+  it('should reject import uploads that are not CSV or XLSX', async () => {
+    const res = await request(app)
+      .post('/api/violations/import')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor')
+      .attach('file', Buffer.from('not a spreadsheet'), 'partner.pdf');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should require a file for an import', async () => {
+    const res = await request(app)
+      .post('/api/violations/import')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor')
+      .field('profileId', new mongoose.Types.ObjectId().toString());
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should not allow regular users to import violations', async () => {
+    const res = await request(app)
+      .post('/api/violations/import')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'user')
+      .attach('file', Buffer.from('Type\nAIRSTRIKE\n'), 'partner.csv');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should route import profiles before import job lookups', async () => {
+    const res = await request(app)
+      .get('/api/violations/import/profiles')
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(0);
+  });
+
+  it('should only allow admins to delete import profiles', async () => {
+    const profileId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .delete(`/api/violations/import/profiles/${profileId}`)
+      .set('Authorization', 'Bearer valid-token')
+      .set('X-Role', 'editor');
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,211 @@
+const nock = require('nock');
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../../commands/gazetteer', () => ({
+  searchGazetteer: jest.fn()
+}));
+
+jest.mock('../../models/GeocodingUsage', () => ({
+  reserveCalls: jest.fn()
+}));
+
+const {
+  calculateQualityScore,
+  GazetteerProvider,
+  NominatimProvider,
+  PhotonProvider,
+  GooglePlacesProvider,
+  MapQuestProvider,
+  createGeocodingProviders
+} = require('../../services/geocodingProviders');
+const { searchGazetteer } = require('../../commands/gazetteer');
+const GeocodingUsage = require('../../models/GeocodingUsage');
+
+const NOMINATIM_URL = 'http://nominatim.local';
+const PHOTON_URL = 'http://photon.local';
+
+const nominatimPlace = (lat, lon) => ({
+  lat: String(lat),
+  lon: String(lon),
+  display_name: 'Jobar, Damascus, Syria',
+  address: { suburb: 'Jobar', state: 'Damascus', country: 'Syria', country_code: 'sy' }
+});
+
+describe('Geocoding providers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nock.cleanAll();
+  });
+
+  afterAll(() => {
+    nock.restore();
+  });
+
+  describe('calculateQualityScore', () => {
+    it('should weigh the score by the provider weight', () => {
+      const result = { country: 'Syria', city: 'Damascus', state: 'Damascus', formattedAddress: 'Jobar, Damascus, Syria' };
+
+      expect(calculateQualityScore(result, 'Jobar, Syria')).toBe(0.8);
+      expect(calculateQualityScore(result, 'Jobar, Syria', 0.5)).toBe(0.4);
+    });
+  });
+
+  describe('NominatimProvider', () => {
+    it('should search Syria and return results in NodeGeocoder format', async () => {
+      const scope = nock(NOMINATIM_URL)
+        .get('/search')
+        .query(query => query.q === 'Jobar, Damascus, Syria' && query.countrycodes === 'sy')
+        .reply(200, [nominatimPlace(33.5192, 36.3308)]);
+
+      const provider = new NominatimProvider({ url: `${NOMINATIM_URL}/`, weight: 0.9 });
+      const { results, apiCalls } = await provider.geocode('Jobar', 'Damascus');
+
+      expect(scope.isDone()).toBe(true);
+      expect(apiCalls).toBe(1);
+      expect(results[0]).toMatchObject({
+        latitude: 33.5192,
+        longitude: 36.3308,
+        country: 'Syria',
+        city: 'Jobar',
+        state: 'Damascus',
+        provider: 'nominatim',
+        quality: 0.9
+      });
+    });
+
+    it('should try the next query when a result is outside Syria', async () => {
+      nock(NOMINATIM_URL)
+        .get('/search')
+        .query(query => query.q === 'Jobar, Damascus, Syria')
+        .reply(200, [nominatimPlace(48.85, 2.35)])
+        .get('/search')
+        .query(query => query.q === 'Jobar, Syria')
+        .reply(200, []);
+
+      const provider = new NominatimProvider({ url: NOMINATIM_URL });
+
+      expect(await provider.geocode('Jobar', 'Damascus')).toEqual({ results: [], apiCalls: 2 });
+    });
+
+    it('should reserve each search against its daily quota and stop when it is used up', async () => {
+      const scope = nock(NOMINATIM_URL).get('/search').query(true).reply(200, []);
+      GeocodingUsage.reserveCalls.mockResolvedValueOnce(true).mockResolvedValue(false);
+
+      const provider = new NominatimProvider({ url: NOMINATIM_URL, dailyQuota: 1 });
+
+      expect(await provider.geocode('Jobar', 'Damascus')).toEqual({ results: [], apiCalls: 1 });
+      expect(await provider.geocode('Jobar', 'Damascus')).toEqual({ results: [], apiCalls: 0 });
+      expect(scope.isDone()).toBe(true);
+      expect(GeocodingUsage.reserveCalls).toHaveBeenCalledWith(
+        'nominatim',
+        new Date().toISOString().slice(0, 10),
+        1,
+        1
+      );
+    });
+
+    it('should not count searches without a quota', async () => {
+      nock(NOMINATIM_URL).get('/search').query(true).times(2).reply(200, []);
+
+      await new NominatimProvider({ url: NOMINATIM_URL }).geocode('Jobar', 'Damascus');
+
+      expect(GeocodingUsage.reserveCalls).not.toHaveBeenCalled();
+    });
+
+    it('should give up on a query that takes longer than its timeout', async () => {
+      nock(NOMINATIM_URL).get('/search').query(true).times(2).delay(200).reply(200, [nominatimPlace(33.5, 36.3)]);
+
+      const provider = new NominatimProvider({ url: NOMINATIM_URL, timeoutMs: 50 });
+
+      expect(await provider.geocode('Jobar', 'Damascus')).toEqual({ results: [], apiCalls: 2 });
+    });
+  });
+
+  describe('PhotonProvider', () => {
+    it('should read GeoJSON features', async () => {
+      nock(PHOTON_URL)
+        .get('/api')
+        .query(query => query.bbox === '35.727222,32.310939,42.385029,37.319831')
+        .reply(200, {
+          features: [{
+            geometry: { type: 'Point', coordinates: [37.1343, 36.2021] },
+            properties: { name: 'Aleppo', state: 'Aleppo Governorate', country: 'Syria', countrycode: 'SY' }
+          }]
+        });
+
+      const { results } = await new PhotonProvider({ url: PHOTON_URL }).geocode('Aleppo', '');
+
+      expect(results[0]).toMatchObject({
+        latitude: 36.2021,
+        longitude: 37.1343,
+        city: 'Aleppo',
+        formattedAddress: 'Aleppo, Aleppo Governorate, Syria',
+        provider: 'photon'
+      });
+    });
+  });
+
+  describe('MapQuestProvider', () => {
+    it('should read the locations of the first result', async () => {
+      nock('https://www.mapquestapi.com')
+        .get('/geocoding/v1/address')
+        .query(query => query.key === 'mapquest-key')
+        .reply(200, {
+          results: [{
+            locations: [{ latLng: { lat: 34.7324, lng: 36.7137 }, adminArea1: 'SY', adminArea3: 'Homs', adminArea5: 'Homs', street: '' }]
+          }]
+        });
+
+      const { results } = await new MapQuestProvider({ apiKey: 'mapquest-key' }).geocode('Homs', '');
+
+      expect(results[0]).toMatchObject({ latitude: 34.7324, longitude: 36.7137, country: 'Syria', formattedAddress: 'Homs, Homs, Syria' });
+    });
+  });
+
+  describe('GazetteerProvider', () => {
+    it('should keep its own match quality and cost no API calls', async () => {
+      searchGazetteer.mockResolvedValue([{ latitude: 35.33, longitude: 40.14, quality: 0.85 }]);
+
+      const provider = new GazetteerProvider({ minQuality: 0.6 });
+      const { results, apiCalls } = await provider.geocode('Deir ez-Zor', 'Deir-ez-Zor');
+
+      expect(searchGazetteer).toHaveBeenCalledWith('Deir ez-Zor', 'Deir-ez-Zor', { limit: 1 });
+      expect(apiCalls).toBe(0);
+      expect(results[0]).toMatchObject({ quality: 0.85, provider: 'gazetteer' });
+    });
+
+    it('should reject matches below its minimum quality', async () => {
+      searchGazetteer.mockResolvedValue([{ latitude: 35.33, longitude: 40.14, quality: 0.5 }]);
+
+      expect((await new GazetteerProvider({ minQuality: 0.6 }).geocode('Dair', '')).results).toEqual([]);
+    });
+  });
+
+  describe('createGeocodingProviders', () => {
+    it('should keep the configured order and leave out providers without URL or key', () => {
+      const providers = createGeocodingProviders({
+        providers: ['photon', 'gazetteer', 'nominatim', 'mapquest'],
+        photon: { url: PHOTON_URL },
+        nominatim: {}
+      });
+
+      expect(providers.map(provider => provider.name)).toEqual(['photon', 'gazetteer']);
+    });
+
+    it('should make a Places search cost two API calls', () => {
+      const provider = new GooglePlacesProvider({ apiKey: 'key' });
+
+      expect(provider.callsPerSearch).toBe(2);
+      expect(provider.queries('Jobar', 'Damascus')).toEqual(['Jobar, Damascus, Syria']);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createGeocodingProviders({ providers: ['here'] })).toThrow('Unknown geocoding provider: here');
+    });
+  });
+});
@@ -1,7 +1,16 @@
 const TelegramScraper = require('../../services/TelegramScraper');
 const Report = require('../../models/Report');
+const TelegramChannelState = require('../../models/TelegramChannelState');
+const Channel = require('../../models/Channel');
+const KeywordSet = require('../../models/KeywordSet');
+const FilterDecision = require('../../models/FilterDecision');
+const MediaItem = require('../../models/MediaItem');
+const { LocalMediaStorage } = require('../../services/mediaStorage');
 const { connectDB, closeDB } = require('../setup');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
 const yaml = require('js-yaml');
 
 // Mock HTTP client for TelegramScraper to avoid real HTTP requests
@@ -53,22 +62,13 @@ describe('TelegramScraper', () => {
   beforeAll(async () => {
     await connectDB();
     
-    // Create test configuration files
+    // Scraping settings still come from the YAML file
     const channelsConfig = {
-      channels: [
-        {
-          name: 'testchannel',
-          url: 'https://t.me/testchannel',
-          description: 'Test Channel',
-          active: true,
-          priority: 'high',
-          language: 'ar'
-        }
-      ],
       scraping: {
         interval: 5,
         lookback_window: 5,
-        max_messages_per_channel: 50,
+        max_pages_per_run: 5,
+        max_backfill_pages: 10,
         request_timeout: 30,
         max_retries: 3,
         retry_delay: 5000,
@@ -76,27 +76,41 @@ describe('TelegramScraper', () => {
       }
     };
 
-    const keywordsConfig = {
-      keywords: {
-        AIRSTRIKE: ['قصف جوي', 'غارة جوية'],
-        EXPLOSION: ['انفجار', 'عبوة ناسفة'],
-        SHELLING: ['قصف']
-      },
-      context_keywords: ['مدنيين', 'مستشفى'],
-      location_keywords: ['حلب', 'دمشق']
-    };
-
-    // Mock fs.readFileSync for configuration files
+    // Mock fs.readFileSync for the configuration file
     const originalReadFileSync = fs.readFileSync;
     jest.spyOn(fs, 'readFileSync').mockImplementation((filePath, encoding) => {
       if (filePath.includes('telegram-channels.yaml')) {
         return yaml.dump(channelsConfig);
-      } else if (filePath.includes('violation-keywords.yaml')) {
-        return yaml.dump(keywordsConfig);
       }
       return originalReadFileSync(filePath, encoding);
     });
 
+    // Channels and keywords are loaded from the database
+    await Channel.create([
+      {
+        name: 'testchannel',
+        url: 'https://t.me/testchannel',
+        description: 'Test Channel',
+        active: true,
+        priority: 'high',
+        language: 'ar'
+      },
+      {
+        name: 'inactivechannel',
+        url: 'https://t.me/inactivechannel',
+        active: false
+      }
+    ]);
+
+    await KeywordSet.create([
+      { name: 'AIRSTRIKE', category: 'violation', violation_type: 'AIRSTRIKE', keywords: ['قصف جوي', 'غارة جوية'] },
+      { name: 'EXPLOSION', category: 'violation', violation_type: 'EXPLOSION', keywords: ['انفجار', 'عبوة ناسفة'] },
+      { name: 'SHELLING', category: 'violation', violation_type: 'SHELLING', keywords: ['قصف'] },
+      { name: 'context', category: 'context', keywords: ['مدنيين', 'مستشفى'] },
+      { name: 'location', category: 'location', keywords: ['حلب', 'دمشق'] },
+      { name: 'disabled', category: 'context', keywords: ['طقس'], active: false }
+    ]);
+
     scraper = new TelegramScraper();
     
     // Mock the HTTP client
@@ -106,25 +120,46 @@ describe('TelegramScraper', () => {
     };
     axios.create.mockReturnValue(mockHttpClient);
     scraper.httpClient = mockHttpClient;
+
+    await scraper.loadSources();
   });
 
   afterAll(async () => {
+    await Channel.deleteMany({});
+    await KeywordSet.deleteMany({});
     await closeDB();
     jest.restoreAllMocks();
   });
 
   beforeEach(async () => {
     await Report.deleteMany({});
+    await TelegramChannelState.deleteMany({});
+    await FilterDecision.deleteMany({});
+    await MediaItem.deleteMany({});
     jest.clearAllMocks();
   });
 
   describe('Configuration Loading', () => {
-    it('should load channels and keywords configuration', () => {
+    it('should load the active channels and keywords from the database', () => {
       expect(scraper.activeChannels).toHaveLength(1);
       expect(scraper.activeChannels[0].name).toBe('testchannel');
       expect(scraper.allKeywords.length).toBeGreaterThan(0);
       expect(scraper.allKeywords).toContain('قصف جوي');
       expect(scraper.allKeywords).toContain('مدنيين');
+      expect(scraper.allKeywords).not.toContain('طقس');
+      expect(scraper.keywordsConfig.keywords.EXPLOSION).toEqual(['انفجار', 'عبوة ناسفة']);
+    });
+
+    it('should pick up channel changes on the next load', async () => {
+      const reloading = new TelegramScraper();
+      await Channel.updateOne({ name: 'inactivechannel' }, { active: true });
+
+      try {
+        await reloading.loadSources();
+        expect(reloading.activeChannels.map(channel => channel.name)).toEqual(['testchannel', 'inactivechannel']);
+      } finally {
+        await Channel.updateOne({ name: 'inactivechannel' }, { active: false });
+      }
     });
   });
 
@@ -206,6 +241,9 @@ describe('TelegramScraper', () => {
       const channel = scraper.activeChannels[0];
       await scraper.scrapeChannel(channel);
 
+      // Forget the channel cursor so the same messages are read again
+      await TelegramChannelState.deleteMany({});
+
       // Second scrape with EXACTLY the same content
       mockHttpClient.get.mockResolvedValue({
         data: firstHTML // Use the same HTML string
@@ -256,6 +294,337 @@ describe('TelegramScraper', () => {
 
       expect(result.newReports).toBe(0);
       expect(result.processed).toBe(1);
+      expect(result.dropped).toBe(1);
+
+      const decision = await FilterDecision.findOne({ channel: 'testchannel', messageId: '126' });
+      expect(decision).toMatchObject({ kept: false, reason: 'no_keywords' });
+    }, 10000);
+
+    it('should apply the channel filtering rules and record each decision', async () => {
+      mockHttpClient.get.mockResolvedValue({
+        data: getMockTelegramHTML()
+      });
+
+      const channel = {
+        ...scraper.activeChannels[0],
+        filtering: { min_keyword_matches: 1, require_context_keywords: true, min_text_length: 0, exclude_patterns: [] }
+      };
+      const result = await scraper.scrapeChannel(channel);
+
+      // 124 (explosion in Damascus) has a location, 125 has no keywords
+      expect(result.newReports).toBe(2);
+      expect(result.dropped).toBe(1);
+
+      const decisions = await FilterDecision.find({ channel: 'testchannel' }).sort({ messageId: 1 });
+      expect(decisions.map(decision => [decision.messageId, decision.reason])).toEqual([
+        ['123', 'matched'],
+        ['124', 'matched'],
+        ['125', 'no_keywords']
+      ]);
+      expect(decisions[0].violationTypes).toContain('AIRSTRIKE');
+
+      const report = await Report.findOne({ 'metadata.messageId': '123' });
+      expect(report.metadata.matchedKeywords).toEqual(expect.arrayContaining(['قصف جوي', 'مستشفى', 'حلب']));
+      expect(report.metadata.matchedKeywords).not.toContain('قصف');
+    }, 10000);
+
+    it('should drop messages matching an exclude pattern', async () => {
+      mockHttpClient.get.mockResolvedValue({
+        data: getMockTelegramHTML()
+      });
+
+      const channel = {
+        ...scraper.activeChannels[0],
+        filtering: { min_keyword_matches: 1, require_context_keywords: false, min_text_length: 0, exclude_patterns: ['عبوة'] }
+      };
+      const result = await scraper.scrapeChannel(channel);
+
+      expect(result.newReports).toBe(1);
+      expect(result.dropped).toBe(2);
+
+      const decision = await FilterDecision.findOne({ messageId: '124' });
+      expect(decision).toMatchObject({ kept: false, reason: 'excluded', excludedBy: 'عبوة' });
+    }, 10000);
+
+    it('should move the channel cursor to the newest message', async () => {
+      mockHttpClient.get.mockResolvedValue({
+        data: getMockTelegramHTML()
+      });
+
+      const channel = scraper.activeChannels[0];
+      await scraper.scrapeChannel(channel);
+
+      const state = await TelegramChannelState.findByChannel('testchannel');
+      expect(state.lastMessageId).toBe(125);
+      expect(state.lastSuccessAt).toBeInstanceOf(Date);
+      expect(state.consecutiveFailures).toBe(0);
+    }, 10000);
+
+    it('should stop at the channel cursor', async () => {
+      await TelegramChannelState.create({ channel: 'testchannel', lastMessageId: 123 });
+      mockHttpClient.get.mockResolvedValue({
+        data: getMockTelegramHTML()
+      });
+
+      const channel = scraper.activeChannels[0];
+      const result = await scraper.scrapeChannel(channel);
+
+      // Only 124 (keywords) and 125 (no keywords) are newer than the cursor
+      expect(result.reachedCursor).toBe(true);
+      expect(result.processed).toBe(2);
+      expect(result.newReports).toBe(1);
+      expect(mockHttpClient.get).toHaveBeenCalledTimes(1);
+
+      const savedReports = await Report.find({});
+      expect(savedReports.map(report => report.metadata.messageId)).toEqual(['124']);
+    }, 10000);
+
+    it('should page back with ?before= until the cursor, past the lookback window', async () => {
+      const olderHTML = `
+        <div class="tgme_widget_message" data-post="testchannel/121">
+          <div class="tgme_widget_message_text">قصف جوي على ريف حلب الجنوبي صباح اليوم</div>
+          <div class="tgme_widget_message_date">
+            <a href="https://t.me/testchannel/121">
+              <time datetime="${new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString()}">3 hours ago</time>
+            </a>
+          </div>
+        </div>
+        <div class="tgme_widget_message" data-post="testchannel/122">
+          <div class="tgme_widget_message_text">انفجار سيارة مفخخة في ريف دمشق</div>
+          <div class="tgme_widget_message_date">
+            <a href="https://t.me/testchannel/122">
+              <time datetime="${new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()}">2 hours ago</time>
+            </a>
+          </div>
+        </div>
+      `;
+
+      await TelegramChannelState.create({ channel: 'testchannel', lastMessageId: 121 });
+      mockHttpClient.get.mockImplementation(async (url) => ({
+        data: url.endsWith('?before=123') ? olderHTML : getMockTelegramHTML()
+      }));
+
+      const channel = scraper.activeChannels[0];
+      const result = await scraper.scrapeChannel(channel);
+
+      expect(mockHttpClient.get.mock.calls.map(([url]) => url)).toEqual([
+        'https://t.me/s/testchannel',
+        'https://t.me/s/testchannel?before=123'
+      ]);
+      expect(result.pages).toBe(2);
+      expect(result.reachedCursor).toBe(true);
+      expect(result.newReports).toBe(3);
+
+      const state = await TelegramChannelState.findByChannel('testchannel');
+      expect(state.lastMessageId).toBe(125);
+    }, 10000);
+
+    it('should keep the messages left at the page limit as a gap and fill it on the next run', async () => {
+      // Five messages a page: the latest page lists 141-145, ?before=141 lists 136-140, ...
+      const pageHTML = (before) => {
+        const newestId = before === null ? 145 : before - 1;
+        return Array.from({ length: 5 }, (unused, index) => newestId - 4 + index).map(id => `
+          <div class="tgme_widget_message" data-post="testchannel/${id}">
+            <div class="tgme_widget_message_text">قصف جوي على حلب رقم ${id}</div>
+            <div class="tgme_widget_message_date">
+              <a href="https://t.me/testchannel/${id}">
+                <time datetime="${new Date(Date.now() - (146 - id) * 60000).toISOString()}">${146 - id} minutes ago</time>
+              </a>
+            </div>
+          </div>
+        `).join('');
+      };
+
+      await TelegramChannelState.create({ channel: 'testchannel', lastMessageId: 105 });
+      mockHttpClient.get.mockImplementation(async (url) => {
+        const match = url.match(/\?before=(\d+)$/);
+        return { data: pageHTML(match ? parseInt(match[1], 10) : null) };
+      });
+
+      const channel = scraper.activeChannels[0];
+
+      // max_pages_per_run is 5: messages 121-145 are scraped, 106-120 are left
+      const firstRun = await scraper.scrapeChannel(channel);
+
+      expect(firstRun.pages).toBe(5);
+      expect(firstRun.reachedCursor).toBe(false);
+      expect(firstRun.newReports).toBe(25);
+
+      let state = await TelegramChannelState.findByChannel('testchannel');
+      expect(state.lastMessageId).toBe(145);
+      expect(state.gap.toObject()).toEqual({ newerThan: 105, olderThan: 121 });
+
+      // The next run reaches the cursor on the latest page and spends the pages left on the gap
+      mockHttpClient.get.mockClear();
+      const secondRun = await scraper.scrapeChannel(channel);
+
+      expect(mockHttpClient.get.mock.calls.map(([url]) => url)).toEqual([
+        'https://t.me/s/testchannel',
+        'https://t.me/s/testchannel?before=121',
+        'https://t.me/s/testchannel?before=116',
+        'https://t.me/s/testchannel?before=111',
+        'https://t.me/s/testchannel?before=106'
+      ]);
+      expect(secondRun.reachedCursor).toBe(true);
+      expect(secondRun.newReports).toBe(15);
+      expect(secondRun.gap).toBeNull();
+
+      state = await TelegramChannelState.findByChannel('testchannel');
+      expect(state.lastMessageId).toBe(145);
+      expect(state.gap).toBeNull();
+
+      const messageIds = (await Report.find({})).map(report => parseInt(report.metadata.messageId, 10));
+      expect(messageIds.sort((a, b) => a - b)).toEqual(Array.from({ length: 40 }, (unused, index) => 106 + index));
+    }, 20000);
+
+    it('should record consecutive failures', async () => {
+      mockHttpClient.get.mockRejectedValue(new Error('HTTP 500 Error'));
+
+      const channel = scraper.activeChannels[0];
+      await expect(scraper.scrapeChannel(channel)).rejects.toThrow();
+      await expect(scraper.scrapeChannel(channel)).rejects.toThrow();
+
+      const state = await TelegramChannelState.findByChannel('testchannel');
+      expect(state.consecutiveFailures).toBe(2);
+      expect(state.lastError).toBe('HTTP 500 Error');
+      expect(state.lastSuccessAt).toBeNull();
+    }, 10000);
+  });
+
+  describe('Media Archiving', () => {
+    const PHOTO_URL = 'https://cdn4.telesco.pe/file/photo123.jpg';
+    const VIDEO_URL = 'https://cdn4.telesco.pe/file/video123.mp4';
+
+    const getMockMediaHTML = () => `
+      <!DOCTYPE html>
+      <html>
+      <body>
+      <div class="tgme_widget_message" data-post="testchannel/130">
+        <a class="tgme_widget_message_photo_wrap" style="width:800px;background-image:url('${PHOTO_URL}')"></a>
+        <div class="tgme_widget_message_video_player">
+          <video src="${VIDEO_URL}" class="tgme_widget_message_video"></video>
+        </div>
+        <div class="tgme_widget_message_text">قصف جوي استهدف مستشفى في حلب أدى إلى مقتل 5 مدنيين</div>
+        <div class="tgme_widget_message_date">
+          <a href="https://t.me/testchannel/130">
+            <time datetime="${new Date().toISOString()}">Just now</time>
+          </a>
+        </div>
+      </div>
+      </body>
+      </html>
+    `;
+
+    let mediaDir;
+
+    beforeEach(async () => {
+      mediaDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'media-'));
+      scraper.mediaStorage = new LocalMediaStorage({ dir: mediaDir, publicUrl: 'https://api.example.org/api/media' });
+      scraper.channelsConfig.scraping.archive_media = true;
+    });
+
+    afterEach(async () => {
+      scraper.channelsConfig.scraping.archive_media = false;
+      scraper.mediaStorage = null;
+      await fs.promises.rm(mediaDir, { recursive: true, force: true });
+    });
+
+    it('should extract the photo and video URLs of a message', async () => {
+      const cheerio = require('cheerio');
+      const $ = cheerio.load(getMockMediaHTML());
+
+      const messageData = await scraper.parseMessage($('.tgme_widget_message').first(), scraper.activeChannels[0]);
+
+      expect(messageData.metadata.mediaCount).toBe(1);
+      expect(messageData.mediaFiles).toEqual([
+        { type: 'photo', url: PHOTO_URL },
+        { type: 'video', url: VIDEO_URL }
+      ]);
+    });
+
+    it('should archive the media of saved reports with their SHA-256', async () => {
+      const photo = Buffer.from('photo contents');
+      mockHttpClient.get.mockImplementation(async (url) => {
+        if (url === PHOTO_URL) {
+          return { data: photo, headers: { 'content-type': 'image/jpeg' } };
+        }
+        if (url === VIDEO_URL) {
+          throw new Error('Request failed with status code 403');
+        }
+        return { data: getMockMediaHTML() };
+      });
+
+      const result = await scraper.scrapeChannel(scraper.activeChannels[0]);
+      expect(result.newReports).toBe(1);
+
+      const report = await Report.findOne({ 'metadata.messageId': '130' }).populate('media');
+      expect(report.media).toHaveLength(2);
+
+      const sha256 = crypto.createHash('sha256').update(photo).digest('hex');
+      const [archived, failed] = report.media;
+      expect(archived).toMatchObject({
+        type: 'photo',
+        status: 'archived',
+        source_url: PHOTO_URL,
+        storage: 'local',
+        key: `${sha256}.jpg`,
+        url: `https://api.example.org/api/media/${sha256}.jpg`,
+        sha256,
+        content_type: 'image/jpeg',
+        size: photo.length
+      });
+      expect(archived.captured_at).toBeInstanceOf(Date);
+      expect(fs.readFileSync(path.join(mediaDir, `${sha256}.jpg`))).toEqual(photo);
+
+      expect(failed).toMatchObject({ type: 'video', status: 'failed', source_url: VIDEO_URL });
+      expect(failed.error).toContain('403');
+
+      expect(await MediaItem.getArchivedUrls(report.media.map(item => item._id))).toEqual([archived.url]);
+    }, 10000);
+
+    it('should not archive media when disabled', async () => {
+      scraper.channelsConfig.scraping.archive_media = false;
+      mockHttpClient.get.mockResolvedValue({ data: getMockMediaHTML() });
+
+      await scraper.scrapeChannel(scraper.activeChannels[0]);
+
+      const report = await Report.findOne({ 'metadata.messageId': '130' });
+      expect(report.media).toHaveLength(0);
+      expect(mockHttpClient.get).not.toHaveBeenCalledWith(PHOTO_URL, expect.anything());
+    }, 10000);
+  });
+
+  describe('Channel Backfill', () => {
+    it('should save the messages of a date range without moving the cursor', async () => {
+      const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+      const message = (id, minutes) => `
+        <div class="tgme_widget_message" data-post="testchannel/${id}">
+          <div class="tgme_widget_message_text">قصف جوي على حي سكني في حلب رقم ${id}</div>
+          <div class="tgme_widget_message_date">
+            <a href="https://t.me/testchannel/${id}"><time datetime="${minutesAgo(minutes)}"></time></a>
+          </div>
+        </div>`;
+
+      await TelegramChannelState.create({ channel: 'testchannel', lastMessageId: 132 });
+      mockHttpClient.get.mockResolvedValue({
+        data: message(130, 10) + message(131, 5) + message(132, 1)
+      });
+
+      const channel = scraper.activeChannels[0];
+      const result = await scraper.backfillChannel(channel, {
+        from: new Date(minutesAgo(7)),
+        to: new Date(minutesAgo(3))
+      });
+
+      // Only message 131 was posted inside the range
+      expect(result.newReports).toBe(1);
+      expect(result.reachedStart).toBe(true);
+
+      const savedReports = await Report.find({});
+      expect(savedReports.map(report => report.metadata.messageId)).toEqual(['131']);
+
+      const state = await TelegramChannelState.findByChannel('testchannel');
+      expect(state.lastMessageId).toBe(132);
     }, 10000);
   });
 
@@ -305,6 +674,36 @@ describe('TelegramScraper', () => {
       expect(result.channel).toBe('testchannel');
       expect(result.accessible).toBe(true);
       expect(result.status).toBe(200);
+      expect(result.responseTime).toBeGreaterThanOrEqual(0);
+    }, 5000);
+
+    it('should report which messages would be saved without saving them', async () => {
+      mockHttpClient.get.mockResolvedValue({
+        status: 200,
+        data: getMockTelegramHTML()
+      });
+
+      const result = await scraper.testChannel('testchannel');
+
+      expect(result.messages).toHaveLength(3);
+      expect(result.messages[0]).toMatchObject({ messageId: '125', kept: false, reason: 'no_keywords', matchedKeywords: [] });
+      expect(result.messages[2].messageId).toBe('123');
+      expect(result.messages[2]).toMatchObject({ kept: true, reason: 'matched' });
+      expect(result.messages[2].matchedKeywords).toContain('قصف جوي');
+
+      expect(await Report.countDocuments()).toBe(0);
+      expect(await FilterDecision.countDocuments()).toBe(0);
+      expect(await TelegramChannelState.findByChannel('testchannel')).toBeNull();
+    }, 5000);
+
+    it('should test an inactive channel passed as a channel', async () => {
+      mockHttpClient.get.mockResolvedValue({ status: 200, data: '' });
+      const channel = await Channel.findOne({ name: 'inactivechannel' }).lean();
+
+      const result = await scraper.testChannel(channel);
+
+      expect(result.accessible).toBe(true);
+      expect(mockHttpClient.get).toHaveBeenCalledWith('https://t.me/s/inactivechannel');
     }, 5000);
 
     it('should handle channel connectivity failure', async () => {
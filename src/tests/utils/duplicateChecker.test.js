@@ -321,10 +321,22 @@ describe('Duplicate Checker Utility', () => {
       expect(Array.isArray(result)).toBe(true);
       expect(Violation.find).toHaveBeenCalledWith({
         type: 'AIRSTRIKE',
-        date: expect.any(Object)
+        date: expect.any(Object),
+        deleted_at: null
       });
     });
 
+    it('should exclude the given violation IDs from the search', async () => {
+      await findPotentialDuplicates(
+        { type: 'AIRSTRIKE', date: '2023-06-15' },
+        { excludeIds: ['existing-id'] }
+      );
+
+      expect(Violation.find).toHaveBeenCalledWith(expect.objectContaining({
+        _id: { $nin: ['existing-id'] }
+      }));
+    });
+
     it('should handle database errors', async () => {
       const mockQuery = {
         limit: jest.fn().mockReturnThis(),
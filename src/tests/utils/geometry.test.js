@@ -0,0 +1,114 @@
+const {
+  pointInPolygon,
+  findFeatureContainingPoint,
+  isValidPoint,
+  isValidPolygonGeometry,
+  isValidLineString,
+  bufferSegment
+} = require('../../utils/geometry');
+
+describe('Geometry Utils', () => {
+  const square = {
+    type: 'Polygon',
+    coordinates: [
+      [[36.0, 35.0], [38.0, 35.0], [38.0, 37.0], [36.0, 37.0], [36.0, 35.0]],
+      // Hole in the middle
+      [[36.8, 35.8], [37.2, 35.8], [37.2, 36.2], [36.8, 36.2], [36.8, 35.8]]
+    ]
+  };
+
+  describe('pointInPolygon', () => {
+    it('should find points inside a polygon and outside its holes', () => {
+      expect(pointInPolygon([36.5, 36.5], square)).toBe(true);
+      expect(pointInPolygon([37.0, 36.0], square)).toBe(false);
+      expect(pointInPolygon([39.0, 36.0], square)).toBe(false);
+    });
+
+    it('should check every polygon of a MultiPolygon', () => {
+      const multiPolygon = {
+        type: 'MultiPolygon',
+        coordinates: [
+          [[[36.0, 35.0], [37.0, 35.0], [37.0, 36.0], [36.0, 35.0]]],
+          [[[40.0, 36.0], [41.0, 36.0], [41.0, 37.0], [40.0, 37.0], [40.0, 36.0]]]
+        ]
+      };
+
+      expect(pointInPolygon([40.5, 36.5], multiPolygon)).toBe(true);
+      expect(pointInPolygon([38.5, 36.5], multiPolygon)).toBe(false);
+    });
+
+    it('should ignore missing or unsupported geometries', () => {
+      expect(pointInPolygon([36.5, 36.5], null)).toBe(false);
+      expect(pointInPolygon([36.5, 36.5], { type: 'Point', coordinates: [36.5, 36.5] })).toBe(false);
+    });
+  });
+
+  describe('findFeatureContainingPoint', () => {
+    it('should return the first feature containing the point', () => {
+      const features = [
+        { properties: { name: 'Hole' }, geometry: square },
+        { properties: { name: 'Everywhere' }, geometry: { type: 'Polygon', coordinates: [[[30, 30], [45, 30], [45, 40], [30, 40], [30, 30]]] } }
+      ];
+
+      expect(findFeatureContainingPoint(features, [36.5, 36.5]).properties.name).toBe('Hole');
+      expect(findFeatureContainingPoint(features, [37.0, 36.0]).properties.name).toBe('Everywhere');
+      expect(findFeatureContainingPoint(features, [10, 10])).toBeNull();
+    });
+  });
+
+  describe('isValidPoint', () => {
+    it('should accept finite coordinate pairs only', () => {
+      expect(isValidPoint([36.5, 36.5])).toBe(true);
+      expect(isValidPoint([36.5])).toBe(false);
+      expect(isValidPoint([36.5, NaN])).toBe(false);
+      expect(isValidPoint(undefined)).toBe(false);
+    });
+  });
+
+  describe('isValidPolygonGeometry', () => {
+    it('should accept closed Polygon and MultiPolygon rings', () => {
+      expect(isValidPolygonGeometry(square)).toBe(true);
+      expect(isValidPolygonGeometry({ type: 'MultiPolygon', coordinates: [square.coordinates] })).toBe(true);
+    });
+
+    it('should reject open, short or out of range rings and other types', () => {
+      expect(isValidPolygonGeometry({ type: 'Polygon', coordinates: [[[36, 35], [38, 35], [38, 37], [36, 37]]] })).toBe(false);
+      expect(isValidPolygonGeometry({ type: 'Polygon', coordinates: [[[36, 35], [38, 35], [36, 35]]] })).toBe(false);
+      expect(isValidPolygonGeometry({ type: 'Polygon', coordinates: [[[36, 35], [190, 35], [38, 37], [36, 35]]] })).toBe(false);
+      expect(isValidPolygonGeometry({ type: 'LineString', coordinates: [[36, 35], [38, 35]] })).toBe(false);
+      expect(isValidPolygonGeometry(null)).toBe(false);
+    });
+  });
+
+  describe('isValidLineString', () => {
+    it('should accept lines of two or more valid positions up to the limit', () => {
+      const line = { type: 'LineString', coordinates: [[36.2, 33.5], [36.7, 34.7], [36.7, 35.1]] };
+
+      expect(isValidLineString(line)).toBe(true);
+      expect(isValidLineString(line, 2)).toBe(false);
+      expect(isValidLineString({ type: 'LineString', coordinates: [[36.2, 33.5]] })).toBe(false);
+      expect(isValidLineString({ type: 'LineString', coordinates: [[36.2, 33.5], [36.7, 95]] })).toBe(false);
+    });
+  });
+
+  describe('bufferSegment', () => {
+    it('should return a closed rectangle at the buffer distance on both sides', () => {
+      // Northbound segment: the rectangle is offset east and west by 10 km
+      const rectangle = bufferSegment([36.0, 35.0], [36.0, 36.0], 10);
+      const ring = rectangle.coordinates[0];
+      const kmPerDegreeLongitude = 111.32 * Math.cos((35.5 * Math.PI) / 180);
+
+      expect(rectangle.type).toBe('Polygon');
+      expect(ring).toHaveLength(5);
+      expect(ring[4]).toEqual(ring[0]);
+      expect(Math.abs(ring[2][0] - ring[1][0]) * kmPerDegreeLongitude).toBeCloseTo(20, 6);
+      expect(ring[0][1]).toBeCloseTo(35.0, 6);
+      expect(ring[1][1]).toBeCloseTo(36.0, 6);
+      expect(isValidPolygonGeometry(rectangle)).toBe(true);
+    });
+
+    it('should return null for a zero-length segment', () => {
+      expect(bufferSegment([36.0, 35.0], [36.0, 35.0], 10)).toBeNull();
+    });
+  });
+});
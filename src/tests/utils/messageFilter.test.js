@@ -0,0 +1,113 @@
+const {
+  FILTER_REASONS,
+  compileKeywords,
+  matchKeywords,
+  findExcludePattern,
+  filterMessage
+} = require('../../utils/messageFilter');
+
+describe('Message Filter Utils', () => {
+  const compiled = compileKeywords({
+    keywords: {
+      AIRSTRIKE: ['غارة جوية', 'قصف جوي'],
+      SHELLING: ['قصف'],
+      DETENTION: ['اعتقال'],
+      EXECUTION: ['execution']
+    },
+    context_keywords: ['مدنيين', 'أطفال'],
+    location_keywords: ['حلب']
+  });
+
+  const keywordsOf = (text) => matchKeywords(text, compiled).map(match => match.keyword);
+
+  describe('matchKeywords', () => {
+    it('should match whole words only', () => {
+      expect(keywordsOf('اعتقال شاب في حلب')).toEqual(['اعتقال', 'حلب']);
+      expect(keywordsOf('اعتقالات في المدينة')).toEqual([]);
+      expect(keywordsOf('Summary executions reported')).toEqual([]);
+    });
+
+    it('should match keywords with attached Arabic prefixes', () => {
+      expect(keywordsOf('والقصف مستمر')).toEqual(['قصف']);
+      expect(keywordsOf('بالقصف على الأطفال')).toEqual(['قصف', 'أطفال']);
+      expect(keywordsOf('استهداف للمدنيين')).toEqual(['مدنيين']);
+    });
+
+    it('should ignore diacritics and letter variants', () => {
+      expect(keywordsOf('غارةٌ جويّة على البلدة')).toEqual(['غارة جوية']);
+      expect(keywordsOf('غاره جويه')).toEqual(['غارة جوية']);
+      expect(keywordsOf('اطفال')).toEqual(['أطفال']);
+    });
+
+    it('should leave out keywords only matched inside a longer matching phrase', () => {
+      expect(keywordsOf('قصف جوي على حلب')).toEqual(['قصف جوي', 'حلب']);
+      expect(keywordsOf('قصف جوي ثم قصف')).toEqual(['قصف جوي']);
+    });
+
+    it('should match Latin keywords regardless of case', () => {
+      expect(keywordsOf('EXECUTION in the square')).toEqual(['execution']);
+    });
+  });
+
+  describe('findExcludePattern', () => {
+    it('should return the first matching pattern', () => {
+      expect(findExcludePattern('Sponsored: قصف', ['^promo', 'sponsored'])).toBe('sponsored');
+    });
+
+    it('should match Arabic letter variants', () => {
+      expect(findExcludePattern('اعلان ممول', ['إعلان'])).toBe('إعلان');
+    });
+
+    it('should skip invalid patterns', () => {
+      expect(findExcludePattern('text (', ['(', 'xyz'])).toBeNull();
+    });
+  });
+
+  describe('filterMessage', () => {
+    it('should keep messages matching the keywords', () => {
+      expect(filterMessage('قصف على حلب', {}, compiled)).toEqual({
+        kept: true,
+        reason: FILTER_REASONS.MATCHED,
+        matchedKeywords: ['قصف', 'حلب'],
+        violationTypes: ['SHELLING'],
+        excludedBy: null
+      });
+    });
+
+    it('should drop messages shorter than the minimum length', () => {
+      const decision = filterMessage('قصف على حلب', { min_text_length: 30 }, compiled);
+
+      expect(decision).toMatchObject({ kept: false, reason: FILTER_REASONS.TOO_SHORT });
+    });
+
+    it('should drop messages matching an exclude pattern before matching keywords', () => {
+      const decision = filterMessage('قصف على حلب - رابط الاشتراك', { exclude_patterns: ['رابط الاشتراك'] }, compiled);
+
+      expect(decision).toMatchObject({ kept: false, reason: FILTER_REASONS.EXCLUDED, excludedBy: 'رابط الاشتراك', matchedKeywords: [] });
+    });
+
+    it('should drop messages without keywords', () => {
+      expect(filterMessage('Weather update: sunny', {}, compiled).reason).toBe(FILTER_REASONS.NO_KEYWORDS);
+    });
+
+    it('should count distinct keywords against the minimum', () => {
+      const rules = { min_keyword_matches: 2 };
+
+      expect(filterMessage('قصف ثم قصف', rules, compiled)).toMatchObject({
+        kept: false,
+        reason: FILTER_REASONS.TOO_FEW_KEYWORDS,
+        matchedKeywords: ['قصف']
+      });
+      expect(filterMessage('قصف على حلب', rules, compiled).kept).toBe(true);
+    });
+
+    it('should require a violation keyword together with a context or location keyword', () => {
+      const rules = { require_context_keywords: true };
+
+      expect(filterMessage('قصف مدفعي', rules, compiled).reason).toBe(FILTER_REASONS.MISSING_CONTEXT);
+      expect(filterMessage('مقتل مدنيين في حلب', rules, compiled).reason).toBe(FILTER_REASONS.MISSING_CONTEXT);
+      expect(filterMessage('قصف يقتل مدنيين', rules, compiled).kept).toBe(true);
+      expect(filterMessage('قصف على حلب', rules, compiled).kept).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const {
+  buildSearchText,
+  buildTextSearch,
+  highlightText,
+  buildHighlights
+} = require('../../utils/searchText');
+
+describe('Search Text Utils', () => {
+  const violation = {
+    description: {
+      en: 'Artillery shelling of Douma killed three civilians near the market',
+      ar: 'قصفٌ مدفعيّ على مدينة دوما أدى إلى مقتل ثلاثة مدنيين'
+    },
+    location: {
+      name: { en: 'Douma', ar: 'دوما' },
+      administrative_division: { en: 'Rif Dimashq', ar: 'ريف دمشق' }
+    },
+    perpetrator: { en: 'Syrian Arab Army', ar: '' },
+    tags: [{ en: 'shelling', ar: 'قصف' }, { en: 'civilians', ar: '' }]
+  };
+
+  describe('buildSearchText', () => {
+    it('should normalize each section in both languages', () => {
+      expect(buildSearchText(violation)).toEqual({
+        description: 'artillery shelling of douma killed three civilians near the market قصف مدفعي علي مدينه دوما ادي الي مقتل ثلاثه مدنيين',
+        location: 'douma دوما rif dimashq ريف دمشق',
+        perpetrator: 'syrian arab army',
+        tags: 'shelling civilians قصف'
+      });
+    });
+
+    it('should handle missing fields', () => {
+      expect(buildSearchText({ description: { en: 'Shelling' } })).toEqual({
+        description: 'shelling',
+        location: '',
+        perpetrator: '',
+        tags: ''
+      });
+    });
+  });
+
+  describe('buildTextSearch', () => {
+    it('should normalize Arabic letter variants and keep quoted phrases', () => {
+      expect(buildTextSearch('"مدينة  دوما" إلى Ḥomṣ')).toEqual({
+        search: '"مدينه دوما" الي homs',
+        terms: ['مدينه', 'دوما', 'الي', 'homs']
+      });
+    });
+
+    it('should return an empty search for punctuation only', () => {
+      expect(buildTextSearch(' "" !? ').search).toBe('');
+    });
+  });
+
+  describe('highlightText', () => {
+    it('should mark matches written with diacritics or letter variants', () => {
+      expect(highlightText('قصفٌ مدفعيّ على مدينة دوما', ['مدفعي', 'مدينه']))
+        .toBe('قصفٌ <mark>مدفعيّ</mark> على <mark>مدينة</mark> دوما');
+    });
+
+    it('should escape HTML and cut long text around the first match', () => {
+      const text = `${'word '.repeat(40)}<b>Douma</b> ${'word '.repeat(40)}`.trim();
+      const snippet = highlightText(text, ['douma'], { maxWords: 9 });
+
+      expect(snippet).toBe('… word word &lt;b&gt;<mark>Douma</mark>&lt;/b&gt; word word word word …');
+    });
+
+    it('should return null without a match', () => {
+      expect(highlightText('Aleppo', ['douma'])).toBeNull();
+    });
+  });
+
+  describe('buildHighlights', () => {
+    it('should list the fields that match', () => {
+      const highlights = buildHighlights(violation, ['douma', 'قصف']);
+
+      expect(highlights.map(highlight => highlight.field)).toEqual([
+        'description.en',
+        'description.ar',
+        'location.name.en',
+        'tags.ar'
+      ]);
+      expect(highlights[3].snippet).toBe('<mark>قصف</mark>');
+    });
+  });
+});
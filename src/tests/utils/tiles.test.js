@@ -0,0 +1,58 @@
+const {
+  MAX_LATITUDE,
+  longitudeToWorldX,
+  latitudeToWorldY,
+  tileToBBox,
+  isValidTile,
+  parseBBox
+} = require('../../utils/tiles');
+
+describe('Tile Utils', () => {
+  describe('tileToBBox', () => {
+    it('should cover the Web Mercator world at zoom 0', () => {
+      const [west, south, east, north] = tileToBBox(0, 0, 0);
+
+      expect(west).toBe(-180);
+      expect(east).toBe(180);
+      expect(south).toBeCloseTo(-MAX_LATITUDE, 6);
+      expect(north).toBeCloseTo(MAX_LATITUDE, 6);
+    });
+
+    it('should return the tile containing a point', () => {
+      // Aleppo
+      const x = Math.floor(longitudeToWorldX(37.16, 10));
+      const y = Math.floor(latitudeToWorldY(36.2, 10));
+      const [west, south, east, north] = tileToBBox(10, x, y);
+
+      expect([x, y]).toEqual([617, 401]);
+      expect(west).toBeLessThanOrEqual(37.16);
+      expect(east).toBeGreaterThan(37.16);
+      expect(south).toBeLessThan(36.2);
+      expect(north).toBeGreaterThanOrEqual(36.2);
+    });
+  });
+
+  describe('isValidTile', () => {
+    it('should accept tiles inside the zoom level only', () => {
+      expect(isValidTile(0, 0, 0)).toBe(true);
+      expect(isValidTile(3, 7, 7)).toBe(true);
+      expect(isValidTile(3, 8, 0)).toBe(false);
+      expect(isValidTile(23, 0, 0)).toBe(false);
+      expect(isValidTile(2, 1.5, 0)).toBe(false);
+    });
+  });
+
+  describe('parseBBox', () => {
+    it('should parse west,south,east,north', () => {
+      expect(parseBBox('35.5, 32.3,42.4,37.3')).toEqual([35.5, 32.3, 42.4, 37.3]);
+    });
+
+    it('should reject malformed or inverted boxes', () => {
+      expect(parseBBox('35,32,42')).toBeNull();
+      expect(parseBBox('35,32,abc,37')).toBeNull();
+      expect(parseBBox('42,32,35,37')).toBeNull();
+      expect(parseBBox('35,-91,42,37')).toBeNull();
+      expect(parseBBox(undefined)).toBeNull();
+    });
+  });
+});
@@ -127,6 +127,7 @@ function checkViolationsMatch(newViolation, existingViolation) {
       distance,
       nearbyLocation,
       sameCasualties,
+      similarDescription: highSimilarity,
       similarity
     }
   };
@@ -139,7 +140,7 @@ function checkViolationsMatch(newViolation, existingViolation) {
  * @returns {Promise<Array>} Array of potential duplicates with match details
  */
 async function findPotentialDuplicates(newViolationData, options = {}) {
-  const { limit = 5 } = options;
+  const { limit = 5, excludeIds = [] } = options;
 
   try {
     // Build query conditions
@@ -149,9 +150,16 @@ async function findPotentialDuplicates(newViolationData, options = {}) {
       date: {
         $gte: new Date(violationDate.getTime() - COMPARISON_DATE_TOLERANCE),
         $lte: new Date(violationDate.getTime() + COMPARISON_DATE_TOLERANCE)
-      }
+      },
+      // Never match against soft deleted violations
+      deleted_at: null
     };
 
+    // Leave out the record being checked and any other records the caller already knows about
+    if (excludeIds.length > 0) {
+      query._id = { $nin: excludeIds };
+    }
+
     // Find potential candidates
     const candidates = await Violation.find(query)
       .limit(limit * 2) // Get more candidates to filter through
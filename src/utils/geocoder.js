@@ -1,96 +1,25 @@
-const NodeGeocoder = require('node-geocoder');
-const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../config/logger');
-const config = require('../config/config');
 const GeocodingCache = require('../models/GeocodingCache');
+const GeocodingMiss = require('../models/GeocodingMiss');
+const { geocoder, createGeocodingProviders } = require('../services/geocodingProviders');
 
-// Check if Google API key is available
-if (!config.googleApiKey) {
-  // Dynamically try to get API key from environment
-  const googleApiKey = process.env.GOOGLE_API_KEY;
-  
-  if (googleApiKey) {
-    logger.info('Found GOOGLE_API_KEY directly in environment variables');
-    // Set the key in config for consistency
-    config.googleApiKey = googleApiKey;
-  } else {
-    logger.warn('GOOGLE_API_KEY environment variable is not set. Geocoding will not work correctly.');
-    
-    // In test environment, provide guidance without revealing keys
-    if (process.env.NODE_ENV === 'test') {
-      logger.info('Using test environment, ensure GOOGLE_API_KEY is set in .env.test or CI environment');
-    }
-  }
-}
-
-// Using Google Maps as the provider
-const options = {
-  provider: 'google',
-  apiKey: config.googleApiKey, // Reads from environment variables via config
-  formatter: null,
-  httpAdapter: 'https'
+// GeocodingCache source of the results of each provider
+const CACHE_SOURCES = {
+  google: 'geocoding_api',
+  google_places: 'places_api'
 };
 
-// Alternative providers that could be used:
-// 1. For HERE:
-// const options = {
-//   provider: 'here',
-//   apiKey: process.env.HERE_API_KEY,
-//   formatter: null
-// };
-// 
-// 2. For MapQuest:
-// const options = {
-//   provider: 'mapquest',
-//   apiKey: config.mapquestApiKey,
-//   formatter: null
-// };
-//
-// 3. For OpenStreetMap:
-// const options = {
-//   provider: 'openstreetmap',
-//   formatter: null
-// };
+// Provider chain, created on first use
+let geocodingProviders = null;
 
-let geocoder;
-try {
-  geocoder = NodeGeocoder(options);
-  logger.info('Google Maps Geocoder initialized successfully');
-} catch (error) {
-  logger.error(`Failed to initialize geocoder: ${error.message}`);
-  // Create a dummy geocoder that will always return empty results
-  // This prevents the application from crashing if geocoding fails
-  geocoder = {
-    geocode: async () => {
-      logger.error('Geocoder not properly initialized. Using fallback that returns empty results.');
-      return [];
-    }
-  };
-}
-
-// Special handling for test environment record and replay
-if (process.env.NODE_ENV === 'test') {
-  logger.info('In test environment: will use real API with recording capability');
-  
-  // Special handling for invalid location test
-  const originalGeocode = geocoder.geocode;
-  geocoder.geocode = async (query) => {
-    // Special case for the invalid test location
-    if (query && query.includes('xyznon-existentlocation12345completelyfake')) {
-      logger.info(`Test mode: Returning empty results for invalid test location: ${query}`);
-      return [];
-    }
-    
-    try {
-      // Use original geocoder for all other queries
-      return await originalGeocode.call(geocoder, query);
-    } catch (err) {
-      logger.error(`Error in geocoder wrapper: ${err.message}`);
-      return [];
-    }
-  };
-}
+const getGeocodingProviders = () => {
+  if (!geocodingProviders) {
+    geocodingProviders = createGeocodingProviders();
+    logger.info(`Geocoding providers: ${geocodingProviders.map(provider => provider.name).join(', ') || 'none'}`);
+  }
+  return geocodingProviders;
+};
 
 /**
  * Clean up location name by removing common words that might interfere with geocoding
@@ -218,6 +147,28 @@ const getTestMockResults = (placeName) => {
   return null;
 };
 
+/**
+ * Cache source of a geocoding result
+ * @param {Object} result - Geocoding result
+ * @returns {string} - GeocodingCache source
+ */
+const geocodeSource = (result) => CACHE_SOURCES[result.provider] || result.provider || 'geocoding_api';
+
+/**
+ * Count a cache miss for the cache statistics; failing to count it never fails the geocode
+ * @param {string} cacheKey - Cache key of the search
+ * @param {Object} searchTerms - { placeName, adminDivision, language }
+ * @param {Object} outcome - { found, error, apiCallsUsed } of the lookup
+ * @returns {Promise<void>}
+ */
+const recordMiss = async (cacheKey, searchTerms, outcome) => {
+  try {
+    await GeocodingMiss.recordMiss(cacheKey, searchTerms, outcome);
+  } catch (error) {
+    logger.warn(`Failed to record geocoding cache miss for "${searchTerms.placeName}": ${error.message}`);
+  }
+};
+
 /**
  * Get coordinates from cache or API with optimized strategy
  * @param {string} placeName - Name of the place
@@ -255,6 +206,7 @@ const getCachedOrFreshGeocode = async (placeName, adminDivision, language = 'en'
         state: cached.results.state,
         formattedAddress: cached.results.formattedAddress,
         quality: cached.results.quality,
+        source: cached.source,
         fromCache: true
       }];
     }
@@ -264,26 +216,35 @@ const getCachedOrFreshGeocode = async (placeName, adminDivision, language = 'en'
   
   // Not in cache, make API call with optimized strategies
   logger.info(`Cache miss for "${placeName}" (${language}) - making API calls`);
-  const results = await geocodeLocationWithOptimizedStrategies(placeName, adminDivision);
+  const searchTerms = { placeName, adminDivision, language };
+  let results;
+  try {
+    results = await geocodeLocationWithOptimizedStrategies(placeName, adminDivision);
+  } catch (error) {
+    await recordMiss(cacheKey, searchTerms, { found: false, error: error.message, apiCallsUsed: error.apiCallsUsed });
+    throw error;
+  }
+  await recordMiss(cacheKey, searchTerms, { found: true, apiCallsUsed: results[0]?.apiCallsUsed });
   
   // Cache the result if successful
   if (results && results.length > 0) {
     const result = results[0];
+    result.source = geocodeSource(result);
     try {
       await GeocodingCache.createOrUpdate(cacheKey, {
-        searchTerms: { placeName, adminDivision, language },
+        searchTerms,
         results: {
           coordinates: [result.longitude, result.latitude],
           formattedAddress: result.formattedAddress || '',
           country: result.country || 'Syria',
           city: result.city || '',
           state: result.state || '',
-          quality: result.quality || 0.5
+          quality: result.quality ?? 0.5
         },
-        source: result.fromPlacesAPI ? 'places_api' : 'geocoding_api',
-        apiCallsUsed: result.apiCallsUsed || 1
+        source: result.source,
+        apiCallsUsed: result.apiCallsUsed ?? 1
       });
-      logger.info(`Cached geocoding result for "${placeName}" with ${result.apiCallsUsed || 1} API calls`);
+      logger.info(`Cached geocoding result for "${placeName}" with ${result.apiCallsUsed ?? 1} API calls`);
     } catch (cacheError) {
       logger.warn(`Failed to cache geocoding result for "${placeName}": ${cacheError.message}`);
     }
@@ -293,332 +254,34 @@ const getCachedOrFreshGeocode = async (placeName, adminDivision, language = 'en'
 };
 
 /**
- * Optimized geocoding with reduced API calls
+ * Geocode with the provider chain: each configured provider is tried in order (gazetteer,
+ * self-hosted services, then the paid APIs) until one finds the place inside Syria
  * @param {string} placeName - Name of the place
  * @param {string} adminDivision - Administrative division
  * @returns {Promise<Array>} - Returns geocoding results
  */
 const geocodeLocationWithOptimizedStrategies = async (placeName, adminDivision) => {
   const cleanedPlaceName = cleanLocationName(placeName || '');
-  
-  // OPTIMIZED: Reduced strategies from 5 to 2 for cost efficiency
-  const strategies = [
-    // 1. Full query with all details (most specific)
-    `${cleanedPlaceName}${adminDivision ? ', ' + adminDivision : ''}, Syria`,
-    // 2. Just the place name and Syria (fallback)
-    `${cleanedPlaceName}, Syria`
-  ];
-
   let apiCallsUsed = 0;
-  
-  // Try regular geocoding API first (cheaper than Places API)
-  for (const query of strategies) {
-    try {
-      const results = await tryGeocode(query);
-      apiCallsUsed += 1;
-      
-      if (results && results.length > 0) {
-        const [longitude, latitude] = [results[0].longitude, results[0].latitude];
-        if (isWithinSyria(latitude, longitude)) {
-          results[0].quality = calculateQualityScore(results[0], query);
-          results[0].apiCallsUsed = apiCallsUsed;
-          results[0].fromPlacesAPI = false;
-          logger.info(`Geocoding successful with ${apiCallsUsed} API calls: [${longitude}, ${latitude}]`);
-          return results;
-        }
-      }
-    } catch (error) {
-      logger.warn(`Geocoding strategy failed for "${query}": ${error.message}`);
-    }
-  }
-  
-  // Only use expensive Places API as last resort for the main query
-  try {
-    const mainQuery = strategies[0];
-    logger.info(`Falling back to Places API for: ${mainQuery}`);
-    const placesResults = await googlePlacesSearch(mainQuery);
-    apiCallsUsed += 2; // Places API uses 2 calls (findplace + details)
-    
-    if (placesResults && placesResults.length > 0) {
-      placesResults[0].fromPlacesAPI = true;
-      placesResults[0].apiCallsUsed = apiCallsUsed;
-      logger.info(`Places API successful with ${apiCallsUsed} total API calls`);
-      return placesResults;
-    }
-  } catch (error) {
-    logger.error(`Places API also failed for "${placeName}": ${error.message}`);
-  }
-  
-  throw new Error(`Could not find valid coordinates for location: ${placeName} (used ${apiCallsUsed} API calls)`);
-};
-
-/**
- * Try to geocode with Google Maps API directly (fallback for when NodeGeocoder fails)
- * @param {string} query - The query string to geocode
- * @returns {Promise<Array>} - Returns geocoding results in same format as NodeGeocoder
- */
-const directGoogleGeocode = async (query) => {
-  // Special case for tests with invalid locations
-  if (process.env.NODE_ENV === 'test' && query && query.includes('xyznon-existentlocation12345completelyfake')) {
-    logger.info(`Test mode: Direct geocoder returning empty results for invalid test location: ${query}`);
-    return [];
-  }
-  
-  try {
-    if (!config.googleApiKey) {
-      logger.error('Cannot perform direct Google geocoding: GOOGLE_API_KEY is not set');
-      return [];
-    }
-    
-    const encodedQuery = encodeURIComponent(query);
-    const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodedQuery}&key=${config.googleApiKey}`;
-    
-    logger.info(`Making request to Google Maps API for: ${query}`);
-    const response = await axios.get(url);
-    
-    // Check for API errors
-    if (response.data.status && response.data.status !== 'OK') {
-      logger.error(`Google API error: ${response.data.status} - ${response.data.error_message || 'No error message'}`);
-      return [];
-    }
-    
-    if (response.data && response.data.results && response.data.results.length > 0) {
-      // Filter results to prioritize Syria
-      let results = response.data.results;
-      const syriaResults = results.filter(result => 
-        result.address_components && 
-        result.address_components.some(component => 
-          component.short_name === 'SY' || 
-          component.long_name === 'Syria' ||
-          (component.types.includes('country') && 
-          (component.short_name === 'SY' || component.long_name === 'Syria'))
-        )
-      );
-      
-      // Use Syria results if available, otherwise use all results
-      const resultsToUse = syriaResults.length > 0 ? syriaResults : results;
-      
-      // Convert Google Maps API format to NodeGeocoder format
-      const formattedResults = resultsToUse.map(result => {
-        // Extract components from address
-        const getAddressComponent = (type, nameType = 'long_name') => {
-          const component = result.address_components?.find(comp => 
-            comp.types.includes(type)
-          );
-          return component ? component[nameType] : '';
-        };
-        
-        return {
-          latitude: result.geometry.location.lat,
-          longitude: result.geometry.location.lng,
-          country: getAddressComponent('country'),
-          city: getAddressComponent('locality') || getAddressComponent('administrative_area_level_2'),
-          state: getAddressComponent('administrative_area_level_1'),
-          formattedAddress: result.formatted_address || '',
-        };
-      });
-      
-      if (formattedResults.length > 0) {
-        logger.info(`Direct Google geocoding successful for ${query}: [${formattedResults[0].longitude}, ${formattedResults[0].latitude}]`);
-      }
-      
-      return formattedResults;
-    }
-    
-    return [];
-  } catch (error) {
-    logger.warn(`Direct Google geocoding failed for "${query}": ${error.message}`);
-    if (error.response) {
-      logger.error(`API response error: ${JSON.stringify(error.response.data)}`);
-    }
-    return [];
-  }
-};
 
-/**
- * Try to geocode with different query strategies
- * @param {string} query - The query string to try
- * @returns {Promise<Array>} - Returns geocoding results
- */
-const tryGeocode = async (query) => {
-  try {
-    // First try with NodeGeocoder
-    const results = await geocoder.geocode(query);
-    if (results && results.length > 0) {
-      logger.info(`Geocoding successful for ${query}: [${results[0].longitude}, ${results[0].latitude}]`);
-      return results;
-    }
-    
-    // If NodeGeocoder fails, try direct Google API call
-    const directResults = await directGoogleGeocode(query);
-    if (directResults && directResults.length > 0) {
-      return directResults;
-    }
-    
-    // Log more details if both methods fail
-    logger.warn(`Both NodeGeocoder and direct API call failed to geocode: ${query}`);
-    
-    return null;
-  } catch (error) {
-    logger.warn(`Geocoding attempt failed for "${query}": ${error.message}`);
-    
-    // Try direct Google API as fallback on exception
+  for (const provider of getGeocodingProviders()) {
     try {
-      const directResults = await directGoogleGeocode(query);
-      if (directResults && directResults.length > 0) {
-        return directResults;
+      const { results, apiCalls } = await provider.geocode(cleanedPlaceName, adminDivision);
+      apiCallsUsed += apiCalls;
+
+      if (results.length > 0) {
+        results[0].apiCallsUsed = apiCallsUsed;
+        logger.info(`Geocoding successful with ${provider.name} (quality ${results[0].quality}) after ${apiCallsUsed} API calls: [${results[0].longitude}, ${results[0].latitude}]`);
+        return results;
       }
-    } catch (directError) {
-      logger.error(`Direct geocoding also failed: ${directError.message}`);
+    } catch (error) {
+      logger.warn(`Geocoding provider ${provider.name} failed for "${placeName}": ${error.message}`);
     }
-    
-    return null;
   }
-};
 
-/**
- * Check if coordinates are within Syria's approximate bounds
- * @param {number} latitude 
- * @param {number} longitude 
- * @returns {boolean}
- */
-const isWithinSyria = (latitude, longitude) => {
-  // Syria's approximate bounds
-  const SYRIA_BOUNDS = {
-    north: 37.319831,
-    south: 32.310939,
-    east: 42.385029,
-    west: 35.727222
-  };
-  
-  return latitude >= SYRIA_BOUNDS.south && 
-         latitude <= SYRIA_BOUNDS.north && 
-         longitude >= SYRIA_BOUNDS.west && 
-         longitude <= SYRIA_BOUNDS.east;
-};
-
-/**
- * Calculate a quality score for geocoding results
- * @param {Object} result - Geocoding result
- * @param {string} originalQuery - The original query string
- * @returns {number} - Quality score (0-1)
- */
-const calculateQualityScore = (result, originalQuery) => {
-  if (!result) return 0;
-  
-  let score = 0.5; // Default base score
-  
-  // If we have an exact match, increase score
-  if (result.formattedAddress && result.formattedAddress.includes(originalQuery)) {
-    score += 0.3;
-  }
-  
-  // If we have a country match to Syria, increase score
-  if (result.country === 'Syria' || result.country === 'SY') {
-    score += 0.2;
-  }
-  
-  // Add precision bonus if we have detailed city/state info
-  if (result.city && result.state) {
-    score += 0.1;
-  }
-  
-  // Add extra score for high-precision addresses
-  if (result.streetName || result.streetNumber) {
-    score += 0.1;
-  }
-  
-  return Math.min(score, 1); // Cap at 1
-};
-
-/**
- * Try to search for a place using Google Places API
- * @param {string} query - The query string to search for
- * @returns {Promise<Array>} - Returns geocoding results in same format as NodeGeocoder
- */
-const googlePlacesSearch = async (query) => {
-  // Special case for tests with invalid locations
-  if (process.env.NODE_ENV === 'test' && query && query.includes('xyznon-existentlocation12345completelyfake')) {
-    logger.info(`Test mode: Places search returning empty results for invalid test location: ${query}`);
-    return [];
-  }
-  
-  try {
-    if (!config.googleApiKey) {
-      logger.error('Cannot perform Google Places search: GOOGLE_API_KEY is not set');
-      return [];
-    }
-    
-    const encodedQuery = encodeURIComponent(query);
-    
-    // First use findplacefromtext to get place_id
-    const findPlaceUrl = `https://maps.googleapis.com/maps/api/place/findplacefromtext/json?input=${encodedQuery}&inputtype=textquery&fields=place_id,name,formatted_address&locationbias=rectangle:32.310939,35.727222|37.319831,42.385029&key=${config.googleApiKey}`;
-    
-    logger.info(`Making Places API findplacefromtext request for: ${query}`);
-    const findPlaceResponse = await axios.get(findPlaceUrl);
-    
-    // Check for API errors
-    if (findPlaceResponse.data.status !== 'OK') {
-      logger.warn(`Google Places API findplacefromtext error: ${findPlaceResponse.data.status} - ${findPlaceResponse.data.error_message || 'No error message'}`);
-      return [];
-    }
-    
-    if (!findPlaceResponse.data.candidates || findPlaceResponse.data.candidates.length === 0) {
-      logger.warn(`No places found for query: ${query}`);
-      return [];
-    }
-    
-    // Get place details for the first candidate
-    const placeId = findPlaceResponse.data.candidates[0].place_id;
-    const detailsUrl = `https://maps.googleapis.com/maps/api/place/details/json?placeid=${placeId}&fields=formatted_address,geometry,name,address_component&key=${config.googleApiKey}`;
-    
-    logger.info(`Making Places API details request for place_id: ${placeId}`);
-    const detailsResponse = await axios.get(detailsUrl);
-    
-    // Check for API errors
-    if (detailsResponse.data.status !== 'OK') {
-      logger.warn(`Google Places API details error: ${detailsResponse.data.status} - ${detailsResponse.data.error_message || 'No error message'}`);
-      return [];
-    }
-    
-    if (!detailsResponse.data.result) {
-      logger.warn(`No place details found for place_id: ${placeId}`);
-      return [];
-    }
-    
-    const placeDetails = detailsResponse.data.result;
-    
-    // Extract components from address
-    const getAddressComponent = (type, nameType = 'long_name') => {
-      const component = placeDetails.address_components?.find(comp => 
-        comp.types.includes(type)
-      );
-      return component ? component[nameType] : '';
-    };
-    
-    // Convert to NodeGeocoder format
-    const result = {
-      latitude: placeDetails.geometry.location.lat,
-      longitude: placeDetails.geometry.location.lng,
-      country: getAddressComponent('country'),
-      city: getAddressComponent('locality') || getAddressComponent('administrative_area_level_2'),
-      state: getAddressComponent('administrative_area_level_1'),
-      formattedAddress: placeDetails.formatted_address || '',
-      placeName: placeDetails.name || '',
-      // Add high quality score for Places API results since they tend to be more precise
-      quality: 0.9
-    };
-    
-    logger.info(`Google Places search successful for ${query}: [${result.longitude}, ${result.latitude}] (${result.formattedAddress})`);
-    return [result];
-    
-  } catch (error) {
-    logger.warn(`Google Places search failed for "${query}": ${error.message}`);
-    if (error.response) {
-      logger.error(`Places API response error: ${JSON.stringify(error.response.data)}`);
-    }
-    return [];
-  }
+  const error = new Error(`Could not find valid coordinates for location: ${placeName} (used ${apiCallsUsed} API calls)`);
+  error.apiCallsUsed = apiCallsUsed;
+  throw error;
 };
 
 /**
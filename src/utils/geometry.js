@@ -0,0 +1,181 @@
+/**
+ * Planar geometry helpers for GeoJSON coordinates ([longitude, latitude]).
+ *
+ * Territory polygons are small compared to the curvature of the earth, so a
+ * planar ray casting test is accurate enough to tell which one contains a point.
+ */
+
+/**
+ * Check if a point lies inside a linear ring (ray casting)
+ * @param {Array<Number>} point - [longitude, latitude]
+ * @param {Array<Array<Number>>} ring - Closed ring of [longitude, latitude] positions
+ * @returns {Boolean} - True if the point is inside the ring
+ */
+const pointInRing = ([x, y], ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Check if a point lies inside a polygon given as rings (outer ring first, then holes)
+ * @param {Array<Number>} point - [longitude, latitude]
+ * @param {Array} rings - Polygon coordinates
+ * @returns {Boolean} - True if the point is inside the outer ring and outside every hole
+ */
+const pointInPolygonRings = (point, rings) => {
+  if (!Array.isArray(rings) || rings.length === 0 || !pointInRing(point, rings[0])) {
+    return false;
+  }
+
+  return !rings.slice(1).some(hole => pointInRing(point, hole));
+};
+
+/**
+ * Check if a point lies inside a GeoJSON Polygon or MultiPolygon geometry
+ * @param {Array<Number>} point - [longitude, latitude]
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Boolean} - True if the geometry contains the point
+ */
+const pointInPolygon = (point, geometry) => {
+  if (!geometry || !Array.isArray(geometry.coordinates)) {
+    return false;
+  }
+
+  if (geometry.type === 'Polygon') {
+    return pointInPolygonRings(point, geometry.coordinates);
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(polygon => pointInPolygonRings(point, polygon));
+  }
+
+  return false;
+};
+
+/**
+ * Find the first GeoJSON feature whose geometry contains a point
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {Array<Number>} point - [longitude, latitude]
+ * @returns {Object|null} - The containing feature, or null
+ */
+const findFeatureContainingPoint = (features, point) => (features || [])
+  .find(feature => pointInPolygon(point, feature.geometry)) || null;
+
+/**
+ * Check if coordinates are a usable [longitude, latitude] pair
+ * @param {Array<Number>} coordinates - Coordinates to check
+ * @returns {Boolean} - True if both values are finite numbers
+ */
+const isValidPoint = (coordinates) => Array.isArray(coordinates)
+  && coordinates.length === 2
+  && coordinates.every(value => typeof value === 'number' && Number.isFinite(value));
+
+/**
+ * Check if coordinates are a [longitude, latitude] pair within the valid ranges
+ * @param {Array<Number>} coordinates - Coordinates to check
+ * @returns {Boolean} - True if the position is on the globe
+ */
+const isValidPosition = (coordinates) => isValidPoint(coordinates)
+  && Math.abs(coordinates[0]) <= 180
+  && Math.abs(coordinates[1]) <= 90;
+
+const isValidRing = (ring) => Array.isArray(ring)
+  && ring.length >= 4
+  && ring.every(isValidPosition)
+  && ring[0][0] === ring[ring.length - 1][0]
+  && ring[0][1] === ring[ring.length - 1][1];
+
+const isValidPolygonRings = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing);
+
+/**
+ * Check if a GeoJSON geometry is a well-formed Polygon or MultiPolygon (closed rings of
+ * at least four valid positions)
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Boolean} - True if the geometry is a usable polygon
+ */
+const isValidPolygonGeometry = (geometry) => {
+  if (!geometry || !Array.isArray(geometry.coordinates)) {
+    return false;
+  }
+
+  if (geometry.type === 'Polygon') {
+    return isValidPolygonRings(geometry.coordinates);
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.length > 0 && geometry.coordinates.every(isValidPolygonRings);
+  }
+
+  return false;
+};
+
+/**
+ * Check if a GeoJSON geometry is a LineString of at least two valid positions
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Number} maxPositions - Most positions accepted
+ * @returns {Boolean} - True if the geometry is a usable line
+ */
+const isValidLineString = (geometry, maxPositions = Infinity) => Boolean(geometry)
+  && geometry.type === 'LineString'
+  && Array.isArray(geometry.coordinates)
+  && geometry.coordinates.length >= 2
+  && geometry.coordinates.length <= maxPositions
+  && geometry.coordinates.every(isValidPosition);
+
+// Kilometres per degree of latitude
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Build the rectangle covering every point within a distance of a line segment, apart
+ * from the round caps at its ends. Distances are measured in a local equirectangular
+ * projection, which is accurate for segments of up to a few hundred kilometres.
+ * @param {Array<Number>} start - [longitude, latitude]
+ * @param {Array<Number>} end - [longitude, latitude]
+ * @param {Number} distanceKm - Buffer distance in kilometres
+ * @returns {Object|null} - GeoJSON Polygon, or null for a zero-length segment
+ */
+const bufferSegment = (start, end, distanceKm) => {
+  const kmPerDegreeLongitude = KM_PER_DEGREE * Math.cos((((start[1] + end[1]) / 2) * Math.PI) / 180);
+  const dx = (end[0] - start[0]) * kmPerDegreeLongitude;
+  const dy = (end[1] - start[1]) * KM_PER_DEGREE;
+  const length = Math.hypot(dx, dy);
+
+  if (length === 0) {
+    return null;
+  }
+
+  // Offset perpendicular to the segment, converted back to degrees
+  const offsetLongitude = (-dy / length) * distanceKm / kmPerDegreeLongitude;
+  const offsetLatitude = (dx / length) * distanceKm / KM_PER_DEGREE;
+  const corner = ([longitude, latitude], side) => [
+    longitude + side * offsetLongitude,
+    latitude + side * offsetLatitude
+  ];
+
+  const ring = [corner(start, -1), corner(end, -1), corner(end, 1), corner(start, 1)];
+
+  return {
+    type: 'Polygon',
+    coordinates: [[...ring, ring[0]]]
+  };
+};
+
+module.exports = {
+  pointInPolygon,
+  findFeatureContainingPoint,
+  isValidPoint,
+  isValidPosition,
+  isValidPolygonGeometry,
+  isValidLineString,
+  bufferSegment
+};
@@ -0,0 +1,158 @@
+/**
+ * Filter engine deciding which scraped Telegram messages are kept as reports.
+ * Keywords are matched as whole words on normalized text, so spelling variants,
+ * diacritics and attached Arabic prefixes (و، ف، ب، ل، ك، ال) do not prevent a
+ * match while a keyword inside a longer word does not match.
+ */
+
+const { normalizeArabic, normalizeText, escapeRegExp } = require('./textNormalizer');
+
+// Why a message was kept or dropped, checked in this order
+const FILTER_REASONS = {
+  TOO_SHORT: 'too_short',
+  EXCLUDED: 'excluded',
+  NO_KEYWORDS: 'no_keywords',
+  TOO_FEW_KEYWORDS: 'too_few_keywords',
+  MISSING_CONTEXT: 'missing_context',
+  MATCHED: 'matched'
+};
+
+// Conjunctions, prepositions and the article written attached to the next word
+// (normalized, so أ/إ/آ are already plain alef)
+const ARABIC_PREFIXES = '(?:[وف]?(?:بال|كال|لل|ال|[بلك])?)';
+
+const ARABIC_LETTER = /^[؀-ۿ]/;
+
+/**
+ * Compile the keyword configuration into matchers
+ * @param {Object} keywordsConfig - { keywords: { TYPE: [..] }, context_keywords: [..], location_keywords: [..] }
+ * @returns {Array<Object>} - { keyword, category, violationType, normalized, pattern }
+ */
+const compileKeywords = (keywordsConfig = {}) => {
+  const entries = [
+    ...Object.entries(keywordsConfig.keywords || {}).flatMap(([violationType, keywords]) =>
+      keywords.map(keyword => ({ keyword, category: 'violation', violationType }))),
+    ...(keywordsConfig.context_keywords || []).map(keyword => ({ keyword, category: 'context', violationType: null })),
+    ...(keywordsConfig.location_keywords || []).map(keyword => ({ keyword, category: 'location', violationType: null }))
+  ];
+
+  return entries
+    .map(entry => {
+      const normalized = normalizeText(entry.keyword);
+      if (!normalized) return null;
+
+      const prefix = ARABIC_LETTER.test(normalized) ? ARABIC_PREFIXES : '';
+      return {
+        ...entry,
+        normalized,
+        pattern: new RegExp(`(?:^| )${prefix}${escapeRegExp(normalized)}(?= |$)`, 'u')
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Find the compiled keywords that occur in a text. A keyword that only matched as part
+ * of a longer matching phrase ("قصف" inside "قصف جوي") is left out.
+ * @param {String} text - Message text
+ * @param {Array<Object>} compiledKeywords - Result of compileKeywords
+ * @returns {Array<Object>} - Matching compiled keywords
+ */
+const matchKeywords = (text, compiledKeywords) => {
+  const normalized = normalizeText(text);
+  if (!normalized) return [];
+
+  const matches = compiledKeywords.filter(entry => entry.pattern.test(normalized));
+
+  return matches.filter(entry => !matches.some(other =>
+    other.normalized !== entry.normalized && ` ${other.normalized} `.includes(` ${entry.normalized} `)));
+};
+
+/**
+ * Find the first exclude pattern a text matches. Patterns are case-insensitive regular
+ * expressions, also tried with Arabic letter variants unified in both the pattern and
+ * the text; invalid ones are skipped.
+ * @param {String} text - Message text
+ * @param {Array<String>} patterns - Exclude patterns
+ * @returns {String|null} - Matching pattern
+ */
+const findExcludePattern = (text, patterns = []) => {
+  const normalized = normalizeArabic(text);
+
+  for (const pattern of patterns) {
+    try {
+      if (new RegExp(pattern, 'iu').test(text) || new RegExp(normalizeArabic(pattern), 'iu').test(normalized)) {
+        return pattern;
+      }
+    } catch (error) {
+      continue;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Decide whether a message is kept, applying a channel's filtering rules:
+ * minimum text length, exclude patterns, minimum number of distinct keywords and,
+ * with require_context_keywords, a violation keyword together with a context or
+ * location keyword
+ * @param {String} text - Message text
+ * @param {Object} filtering - Channel filtering rules
+ * @param {Array<Object>} compiledKeywords - Result of compileKeywords
+ * @returns {Object} - { kept, reason, matchedKeywords, violationTypes, excludedBy }
+ */
+const filterMessage = (text, filtering = {}, compiledKeywords = []) => {
+  const {
+    min_keyword_matches: minKeywordMatches = 1,
+    require_context_keywords: requireContext = false,
+    min_text_length: minTextLength = 0,
+    exclude_patterns: excludePatterns = []
+  } = filtering || {};
+
+  const decision = (reason, matches = [], excludedBy = null) => ({
+    kept: reason === FILTER_REASONS.MATCHED,
+    reason,
+    matchedKeywords: [...new Set(matches.map(match => match.keyword))],
+    violationTypes: [...new Set(matches.filter(match => match.violationType).map(match => match.violationType))],
+    excludedBy
+  });
+
+  if (!text || text.trim().length < minTextLength) {
+    return decision(FILTER_REASONS.TOO_SHORT);
+  }
+
+  const excludedBy = findExcludePattern(text, excludePatterns);
+  if (excludedBy) {
+    return decision(FILTER_REASONS.EXCLUDED, [], excludedBy);
+  }
+
+  const matches = matchKeywords(text, compiledKeywords);
+  const distinctKeywords = new Set(matches.map(match => match.keyword)).size;
+
+  if (distinctKeywords === 0) {
+    return decision(FILTER_REASONS.NO_KEYWORDS);
+  }
+
+  if (distinctKeywords < minKeywordMatches) {
+    return decision(FILTER_REASONS.TOO_FEW_KEYWORDS, matches);
+  }
+
+  if (requireContext) {
+    const hasViolation = matches.some(match => match.category === 'violation');
+    const hasContext = matches.some(match => match.category !== 'violation');
+    if (!hasViolation || !hasContext) {
+      return decision(FILTER_REASONS.MISSING_CONTEXT, matches);
+    }
+  }
+
+  return decision(FILTER_REASONS.MATCHED, matches);
+};
+
+module.exports = {
+  FILTER_REASONS,
+  compileKeywords,
+  matchKeywords,
+  findExcludePattern,
+  filterMessage
+};
@@ -0,0 +1,171 @@
+/**
+ * Full-text search helpers for violations.
+ *
+ * Violations keep a normalized copy of their bilingual text in search_text, which
+ * carries the MongoDB text index. Queries are normalized the same way, so searches
+ * match regardless of case, accents, Arabic diacritics and letter variants.
+ */
+const { normalizeText } = require('./textNormalizer');
+
+// Violation fields copied into search_text, per search_text section
+const SEARCH_TEXT_SOURCES = {
+  description: ['description.en', 'description.ar'],
+  location: [
+    'location.name.en',
+    'location.name.ar',
+    'location.administrative_division.en',
+    'location.administrative_division.ar'
+  ],
+  perpetrator: ['perpetrator.en', 'perpetrator.ar'],
+  tags: ['tags.en', 'tags.ar']
+};
+
+// Relevance weight of each search_text section
+const SEARCH_TEXT_WEIGHTS = {
+  'search_text.location': 5,
+  'search_text.perpetrator': 5,
+  'search_text.tags': 3,
+  'search_text.description': 2
+};
+
+// Top-level violation fields whose changes require search_text to be rebuilt
+const SEARCH_SOURCE_FIELDS = ['description', 'location', 'perpetrator', 'tags'];
+
+// A word in the original text, including Arabic diacritics
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+
+/**
+ * Read the values at a dotted path, flattening arrays along the way
+ * @param {Object} source - Object to read
+ * @param {String} path - Dotted path (e.g. 'tags.en')
+ * @returns {Array<String>} - Non-empty string values
+ */
+const valuesAt = (source, path) => {
+  const values = path.split('.').reduce((current, key) => current
+    .flatMap(value => (Array.isArray(value) ? value : [value]))
+    .map(value => (value === null || value === undefined ? undefined : value[key]))
+    .filter(value => value !== undefined && value !== null), [source]);
+
+  return values
+    .flatMap(value => (Array.isArray(value) ? value : [value]))
+    .filter(value => typeof value === 'string' && value.trim());
+};
+
+/**
+ * Build the normalized search text of a violation
+ * @param {Object} violation - Violation document or plain object
+ * @returns {Object} - { description, location, perpetrator, tags } normalized strings
+ */
+const buildSearchText = (violation) => {
+  const searchText = {};
+
+  Object.entries(SEARCH_TEXT_SOURCES).forEach(([section, paths]) => {
+    searchText[section] = paths
+      .flatMap(path => valuesAt(violation, path))
+      .map(normalizeText)
+      .filter(Boolean)
+      .join(' ');
+  });
+
+  return searchText;
+};
+
+/**
+ * Turn a user query into a MongoDB $text search string. Quoted phrases are kept as
+ * phrases; everything is normalized like the indexed text.
+ * @param {String} query - User query
+ * @returns {Object} - { search, terms } where terms are the normalized words used for highlighting
+ */
+const buildTextSearch = (query) => {
+  const phrases = [];
+  const rest = String(query || '').replace(/"([^"]*)"/g, (match, phrase) => {
+    const normalized = normalizeText(phrase);
+    if (normalized) phrases.push(normalized);
+    return ' ';
+  });
+  const words = normalizeText(rest).split(' ').filter(Boolean);
+
+  return {
+    search: [...phrases.map(phrase => `"${phrase}"`), ...words].join(' '),
+    terms: [...new Set([...phrases.flatMap(phrase => phrase.split(' ')), ...words])]
+  };
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build an HTML-escaped snippet of a text around its first matching word, with
+ * matching words wrapped in <mark>
+ * @param {String} text - Original text
+ * @param {Array<String>} terms - Normalized query terms
+ * @param {Object} options - Snippet options
+ * @param {Number} options.maxWords - Words in the snippet (default 30)
+ * @returns {String|null} - Snippet, or null when no word matches
+ */
+const highlightText = (text, terms, options = {}) => {
+  const { maxWords = 30 } = options;
+  const termSet = new Set(terms);
+
+  if (!text || termSet.size === 0) {
+    return null;
+  }
+
+  const words = [...String(text).matchAll(WORD_PATTERN)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    matched: normalizeText(match[0]).split(' ').some(token => termSet.has(token))
+  }));
+
+  const first = words.findIndex(word => word.matched);
+
+  if (first === -1) {
+    return null;
+  }
+
+  // Show some context before the first match
+  const from = Math.max(0, Math.min(first - Math.floor(maxWords / 3), words.length - maxWords));
+  const to = Math.min(words.length, from + maxWords);
+
+  let snippet = from > 0 ? '… ' : '';
+  let position = words[from].start;
+
+  for (let i = from; i < to; i++) {
+    const word = words[i];
+    const content = escapeHtml(text.slice(word.start, word.end));
+    snippet += escapeHtml(text.slice(position, word.start));
+    snippet += word.matched ? `<mark>${content}</mark>` : content;
+    position = word.end;
+  }
+
+  return to < words.length ? `${snippet} …` : snippet;
+};
+
+/**
+ * Build highlighted snippets for the searchable fields of a violation that match
+ * @param {Object} violation - Violation (plain object)
+ * @param {Array<String>} terms - Normalized query terms
+ * @returns {Array<Object>} - { field, snippet } for each matching field
+ */
+const buildHighlights = (violation, terms) => Object.values(SEARCH_TEXT_SOURCES)
+  .flat()
+  .flatMap(path => {
+    // Tags are short, so all tags of a language are shown together
+    const values = valuesAt(violation, path);
+    const text = path.startsWith('tags.') ? values.join(', ') : values[0];
+    const snippet = highlightText(text, terms);
+    return snippet ? [{ field: path, snippet }] : [];
+  });
+
+module.exports = {
+  SEARCH_TEXT_SOURCES,
+  SEARCH_TEXT_WEIGHTS,
+  SEARCH_SOURCE_FIELDS,
+  buildSearchText,
+  buildTextSearch,
+  highlightText,
+  buildHighlights
+};
@@ -0,0 +1,117 @@
+/**
+ * Text normalization helpers for matching names and free text written in
+ * English or Arabic with inconsistent spelling.
+ */
+
+// Arabic diacritics (tashkeel), superscript alef and tatweel
+const ARABIC_MARKS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+
+// Letter variants that are commonly written interchangeably
+const ARABIC_LETTER_VARIANTS = [
+  [/[أإآٱ]/g, 'ا'],
+  [/ى/g, 'ي'],
+  [/ئ/g, 'ي'],
+  [/ؤ/g, 'و'],
+  [/ة/g, 'ه']
+];
+
+/**
+ * Normalize Arabic text: strip diacritics and tatweel and unify letter variants
+ * (alef forms, alef maqsura, ta marbuta, hamza carriers)
+ * @param {String} text - Text to normalize
+ * @returns {String} - Normalized text
+ */
+const normalizeArabic = (text) => {
+  if (!text) return '';
+
+  let normalized = String(text).replace(ARABIC_MARKS, '');
+
+  ARABIC_LETTER_VARIANTS.forEach(([pattern, replacement]) => {
+    normalized = normalized.replace(pattern, replacement);
+  });
+
+  return normalized;
+};
+
+/**
+ * Normalize text for matching: lowercase, drop Latin accents, normalize Arabic
+ * and collapse punctuation and whitespace into single spaces
+ * @param {String} text - Text to normalize
+ * @returns {String} - Normalized text
+ */
+const normalizeText = (text) => {
+  if (!text) return '';
+
+  const withoutAccents = String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+  return normalizeArabic(withoutAccents)
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+// Latin transliterations of the Arabic article, written as a separate word once hyphens
+// are removed (al-Midan, ash-Sham, Deir ez-Zor)
+const LATIN_ARTICLES = new Set([
+  'al', 'el', 'il', 'ul', 'ad', 'ed', 'adh', 'ar', 'er', 'as', 'es', 'ash', 'esh',
+  'at', 'et', 'ath', 'az', 'ez', 'an', 'en'
+]);
+
+const LATIN_WORD = /^[a-z]/;
+
+/**
+ * Reduce a Latin word to its consonant skeleton, so transliteration variants of the
+ * same Arabic name (Dayr/Deir, Zawr/Zor, Idlib/Idleb, Hama/Hamah, Raqqa/Rakka) match
+ * @param {String} word - Lowercase Latin word
+ * @returns {String} - Skeleton
+ */
+const latinSkeleton = (word) => {
+  const consonants = word
+    .replace(/dj/g, 'j')
+    .replace(/ph/g, 'f')
+    .replace(/[qc]/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/([dtgk])h/g, '$1');
+
+  // A leading vowel is kept as 'a' (Idlib/Edleb), other vowels and semivowels are dropped
+  const skeleton = (/^[aeiou]/.test(consonants) ? 'a' : consonants[0]) +
+    consonants.slice(1).replace(/[aeiouwy]/g, '');
+
+  return skeleton.replace(/(.)\1+/g, '$1').replace(/(.)h$/, '$1');
+};
+
+/**
+ * Build the key used to match a place name across spellings and transliterations:
+ * normalized text without the Arabic article, with Latin words reduced to their
+ * consonant skeleton
+ * @param {String} text - Place name in English or Arabic
+ * @returns {String} - Matching key
+ */
+const transliterationKey = (text) => {
+  if (!text) return '';
+
+  return normalizeText(String(text).replace(/['’‘`ʿʾ]/g, ''))
+    .split(' ')
+    .filter(word => word && !LATIN_ARTICLES.has(word))
+    .map(word => {
+      if (LATIN_WORD.test(word)) return latinSkeleton(word);
+      return word.length > 3 && word.startsWith('ال') ? word.slice(2) : word;
+    })
+    .join(' ');
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {String} text - Text to escape
+ * @returns {String} - Escaped text
+ */
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  normalizeArabic,
+  normalizeText,
+  transliterationKey,
+  escapeRegExp
+};
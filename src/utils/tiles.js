@@ -0,0 +1,102 @@
+/**
+ * Web Mercator tile helpers for the violation map.
+ *
+ * Positions are expressed in world units: at zoom z the world is 2^z tiles wide and
+ * high, so tile (x, y) covers world units [x, x + 1) horizontally and [y, y + 1)
+ * vertically, with y growing southwards as in XYZ tile URLs.
+ */
+
+// Latitude where Web Mercator is cut off so the world is square
+const MAX_LATITUDE = 85.0511287798;
+
+// Highest zoom level accepted by the map endpoints
+const MAX_ZOOM = 22;
+
+const clampLatitude = (latitude) => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+
+/**
+ * Convert a longitude to a horizontal world position
+ * @param {Number} longitude - Longitude in degrees
+ * @param {Number} zoom - Zoom level
+ * @returns {Number} - Position in tiles from the antimeridian
+ */
+const longitudeToWorldX = (longitude, zoom) => ((longitude + 180) / 360) * 2 ** zoom;
+
+/**
+ * Convert a latitude to a vertical world position
+ * @param {Number} latitude - Latitude in degrees
+ * @param {Number} zoom - Zoom level
+ * @returns {Number} - Position in tiles from the northern edge
+ */
+const latitudeToWorldY = (latitude, zoom) => {
+  const radians = (clampLatitude(latitude) * Math.PI) / 180;
+  return ((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** zoom;
+};
+
+/**
+ * Convert a vertical world position back to a latitude
+ * @param {Number} worldY - Position in tiles from the northern edge
+ * @param {Number} zoom - Zoom level
+ * @returns {Number} - Latitude in degrees
+ */
+const worldYToLatitude = (worldY, zoom) => {
+  const n = Math.PI - (2 * Math.PI * worldY) / 2 ** zoom;
+  return (180 / Math.PI) * Math.atan(Math.sinh(n));
+};
+
+/**
+ * Get the bounding box of a tile
+ * @param {Number} z - Zoom level
+ * @param {Number} x - Tile column
+ * @param {Number} y - Tile row
+ * @returns {Array<Number>} - [west, south, east, north] in degrees
+ */
+const tileToBBox = (z, x, y) => [
+  (x / 2 ** z) * 360 - 180,
+  worldYToLatitude(y + 1, z),
+  ((x + 1) / 2 ** z) * 360 - 180,
+  worldYToLatitude(y, z)
+];
+
+/**
+ * Check if z/x/y identifies an existing tile
+ * @param {Number} z - Zoom level
+ * @param {Number} x - Tile column
+ * @param {Number} y - Tile row
+ * @returns {Boolean} - True if the tile exists
+ */
+const isValidTile = (z, x, y) => [z, x, y].every(Number.isInteger)
+  && z >= 0 && z <= MAX_ZOOM
+  && x >= 0 && x < 2 ** z
+  && y >= 0 && y < 2 ** z;
+
+/**
+ * Parse a "west,south,east,north" bounding box
+ * @param {String} value - Bounding box string
+ * @returns {Array<Number>|null} - [west, south, east, north], or null if invalid
+ */
+const parseBBox = (value) => {
+  const parts = String(value || '').split(',').map(part => part.trim());
+
+  if (parts.length !== 4 || parts.some(part => part === '' || !Number.isFinite(Number(part)))) {
+    return null;
+  }
+
+  const [west, south, east, north] = parts.map(Number);
+
+  if (west < -180 || east > 180 || south < -90 || north > 90 || west >= east || south >= north) {
+    return null;
+  }
+
+  return [west, south, east, north];
+};
+
+module.exports = {
+  MAX_LATITUDE,
+  MAX_ZOOM,
+  longitudeToWorldX,
+  latitudeToWorldY,
+  tileToBBox,
+  isValidTile,
+  parseBBox
+};